@@ -44,6 +44,70 @@ function warn(message) {
   log(`⚠️  ${message}`, "yellow");
 }
 
+// /api/code-roach endpoints require the API key from .code-roach.json
+function authHeaders(config) {
+  const apiKey = process.env.CODE_ROACH_API_KEY || config.apiKey;
+  return apiKey ? { "X-API-Key": apiKey } : {};
+}
+
+/**
+ * Write a project's or crawl's issues as SARIF to --output, or to stdout so
+ * it can be piped to an uploader
+ */
+function exportSarif(config, args) {
+  const serverUrl = config.serverUrl || "http://localhost:3000";
+  const http = require("http");
+
+  const params = new URLSearchParams();
+  if (args.project) params.append("projectId", args.project);
+  if (args.crawl) params.append("crawlId", args.crawl);
+  // Paths in the log are relative to the repository the CLI runs in
+  params.append("baseDir", args["base-dir"] || process.cwd());
+  const url = new URL(`/api/code-roach/issues/sarif?${params}`, serverUrl);
+
+  const options = {
+    hostname: url.hostname,
+    port: url.port || 3000,
+    path: url.pathname + url.search,
+    method: "GET",
+    headers: authHeaders(config),
+  };
+
+  const req = http.request(options, (res) => {
+    let data = "";
+    res.on("data", (chunk) => {
+      data += chunk;
+    });
+    res.on("end", () => {
+      if (res.statusCode !== 200) {
+        let message = `Server returned ${res.statusCode}`;
+        try {
+          message = JSON.parse(data).error || message;
+        } catch {
+          // Not JSON; keep the status
+        }
+        error(message);
+        return;
+      }
+
+      const output = args.output;
+      if (output && output !== true) {
+        fs.writeFileSync(output, data);
+        const { results } = JSON.parse(data).runs[0];
+        success(`SARIF written to ${output} (${results.length} results)`);
+      } else {
+        process.stdout.write(`${data}\n`);
+      }
+    });
+  });
+
+  req.on("error", (err) => {
+    error(`Request failed: ${err.message}`);
+  });
+
+  req.end();
+}
+
 // Command handlers
 const commands = {
   init: () => {
@@ -578,6 +642,7 @@ const commands = {
         method: "GET",
         headers: {
           "Content-Type": "application/json",
+          ...authHeaders(config),
         },
       };
 
@@ -631,6 +696,8 @@ const commands = {
     const url = new URL("/api/code-roach/crawl", serverUrl);
     const postData = JSON.stringify({
       rootDir: process.cwd(),
+      // API crawls need a registered project
+      ...(args.project && { projectId: args.project }),
       options: {
         autoFix: true,
         extensions: [".js", ".ts", ".jsx", ".tsx"],
@@ -644,6 +711,7 @@ const commands = {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        ...authHeaders(config),
         "Content-Length": Buffer.byteLength(postData),
       },
     };
@@ -722,6 +790,7 @@ const commands = {
     const url = new URL("/api/code-roach/crawl/parallel", serverUrl);
     const postData = JSON.stringify({
       directories: directories,
+      ...(options.project && { projectId: options.project }),
       options: {
         autoFix: options.autoFix !== false,
         useAllFixGenerators: true,
@@ -739,6 +808,7 @@ const commands = {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
+        ...authHeaders(config),
         "Content-Length": Buffer.byteLength(postData),
       },
     };
@@ -787,14 +857,24 @@ const commands = {
   },
 
   issues: (args) => {
-    log("\n🐛 Code Roach Issues\n", "bright");
-
     if (!fs.existsSync(CONFIG_FILE)) {
       error('Configuration file not found. Run "code-roach init" first.');
       return;
     }
 
     const config = JSON.parse(fs.readFileSync(CONFIG_FILE, "utf8"));
+
+    // SARIF goes to stdout as-is, without the banner
+    if (args.format === "sarif") {
+      exportSarif(config, args);
+      return;
+    }
+    if (args.format && args.format !== "text") {
+      error(`Unknown format: ${args.format}. Use "text" or "sarif"`);
+      return;
+    }
+
+    log("\n🐛 Code Roach Issues\n", "bright");
     const serverUrl = config.serverUrl || "http://localhost:3000";
     const http = require("http");
 
@@ -823,6 +903,7 @@ const commands = {
         method: "POST",
         headers: {
           "Content-Type": "application/json",
+          ...authHeaders(config),
           "Content-Length": Buffer.byteLength(postData),
         },
       };
@@ -910,6 +991,7 @@ const commands = {
       method: "GET",
       headers: {
         "Content-Type": "application/json",
+        ...authHeaders(config),
       },
     };
 
@@ -1129,9 +1211,10 @@ Commands:
   integrate <platform>          Integrate with third-party platform
   analyze pr [--pr <number>]    Analyze pull request
   analyze code [--file <path>]  Analyze code file
-  crawl [--status]              Start codebase crawl or check status
-  crawl-parallel [--status]     Start parallel crawls for multiple directories
+  crawl [--status]              Start codebase crawl or check status (--project <id>)
+  crawl-parallel [--status]     Start parallel crawls for multiple directories (--project <id>)
   issues [--review] [--open]    Get issues (use --review for review queue, --open to open in editor)
+  issues --format sarif         Export issues as SARIF 2.1.0 (--project <id>, --crawl <id>, --output <file>)
   quality check                 Run Beast Mode quality checks
   quality fix [--dry-run]       Auto-fix quality issues (or preview)
   quality score                 Calculate Beast Mode quality score
@@ -1163,6 +1246,7 @@ Examples:
   code-roach issues --review                    # Get issues needing review
   code-roach issues --review --open --cursor    # Open issues in Cursor
   code-roach issues --review <id> --action approve  # Approve an issue
+  code-roach issues --format sarif --output code-roach.sarif  # Export for code scanning
   code-roach quality check                      # Run Beast Mode quality checks
   code-roach quality fix --dry-run              # Preview quality fixes
   code-roach quality score                      # Get quality score
@@ -4,12 +4,27 @@
  */
 
 const jwt = require('jsonwebtoken');
+const bcrypt = require('bcrypt');
 const crypto = require('crypto');
+const authStore = require('./services/commercialAuthStore');
+const apiKeyService = require('./services/apiKeyService');
+const accessControlService = require('./services/accessControlService');
+const tenantContext = require('./services/tenantContext');
+const auditLogService = require('./services/auditLogService');
+
+const DEFAULT_JWT_SECRET = 'default-secret-change-in-production';
 
 // Commercial configuration
 const COMMERCIAL_CONFIG = {
-    jwtSecret: process.env.JWT_SECRET || 'default-secret-change-in-production',
+    jwtSecret: process.env.JWT_SECRET || DEFAULT_JWT_SECRET,
     stripeSecret: process.env.STRIPE_SECRET_KEY,
+    auth: {
+        accessTokenTtl: process.env.AUTH_ACCESS_TOKEN_TTL || '1h',
+        refreshTokenTtlDays: parseInt(process.env.AUTH_REFRESH_TOKEN_TTL_DAYS, 10) || 30,
+        resetTokenTtlMinutes: parseInt(process.env.AUTH_RESET_TOKEN_TTL_MINUTES, 10) || 60,
+        bcryptRounds: parseInt(process.env.AUTH_BCRYPT_ROUNDS, 10) || 12,
+        minPasswordLength: parseInt(process.env.AUTH_MIN_PASSWORD_LENGTH, 10) || 8
+    },
     monitoring: {
         enabled: process.env.MONITORING_ENABLED === 'true',
         endpoint: process.env.MONITORING_ENDPOINT
@@ -53,36 +68,246 @@ const PRICING_TIERS = {
     }
 };
 
-// User management (in-memory for demo - use database in production)
-const users = new Map();
-const sessions = new Map();
+// Principals for tenant API keys, kept so their usage counts accumulate
+const tenantPrincipals = new Map();
+
+// Compared against when a login email is unknown, so response times
+// don't reveal which accounts exist
+let dummyPasswordHash = null;
+
+/**
+ * Refuse to run in production with the default JWT secret
+ */
+function assertSecureConfig() {
+    if (process.env.NODE_ENV === 'production' && COMMERCIAL_CONFIG.jwtSecret === DEFAULT_JWT_SECRET) {
+        throw new Error('JWT_SECRET must be set in production; refusing to start with the default secret');
+    }
+}
+
+function hashPassword(password) {
+    return bcrypt.hash(password, COMMERCIAL_CONFIG.auth.bcryptRounds);
+}
+
+async function verifyPassword(password, passwordHash) {
+    if (!passwordHash) {
+        dummyPasswordHash = dummyPasswordHash || await hashPassword(crypto.randomBytes(16).toString('hex'));
+        await bcrypt.compare(String(password || ''), dummyPasswordHash);
+        return false;
+    }
+    return bcrypt.compare(String(password || ''), passwordHash);
+}
+
+function checkPasswordStrength(password) {
+    if (typeof password !== 'string' || password.length < COMMERCIAL_CONFIG.auth.minPasswordLength) {
+        return `Password must be at least ${COMMERCIAL_CONFIG.auth.minPasswordLength} characters`;
+    }
+    return null;
+}
+
+function refreshTokenExpiry() {
+    return new Date(Date.now() + COMMERCIAL_CONFIG.auth.refreshTokenTtlDays * 24 * 60 * 60 * 1000).toISOString();
+}
+
+/**
+ * Sign an access token bound to a session
+ * @returns {{token: string, expiresIn: number}} Token and lifetime in seconds
+ */
+function signAccessToken(user, sessionId) {
+    const token = jwt.sign(
+        { userId: user.id, email: user.email, sid: sessionId },
+        COMMERCIAL_CONFIG.jwtSecret,
+        { expiresIn: COMMERCIAL_CONFIG.auth.accessTokenTtl }
+    );
+    const { exp } = jwt.decode(token);
+    return { token, expiresIn: exp - Math.floor(Date.now() / 1000) };
+}
+
+/**
+ * Start a login session: an access token plus a rotating refresh token
+ */
+async function issueSession(user, req) {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const session = await authStore.createSession({
+        userId: user.id,
+        refreshToken,
+        expiresAt: refreshTokenExpiry(),
+        userAgent: req.get('user-agent'),
+        ipAddress: req.ip
+    });
+    return { ...signAccessToken(user, session.id), refreshToken };
+}
+
+/**
+ * Record a sign-in, sign-out or password event in the system audit chain
+ */
+function auditAuth(req, event, userId, metadata = null) {
+    return auditLogService.record({
+        event,
+        category: 'auth',
+        tenantId: null,
+        actorId: userId,
+        ip: req.ip,
+        userAgent: req.get('user-agent'),
+        resourceType: 'user',
+        resourceId: userId,
+        metadata
+    });
+}
+
+/**
+ * The caller behind a tenant API key; it acts for the tenant rather than a user
+ */
+function tenantPrincipal(tenantId) {
+    if (!tenantPrincipals.has(tenantId)) {
+        tenantPrincipals.set(tenantId, {
+            id: `tenant:${tenantId}`,
+            principalType: 'tenant',
+            tenantId,
+            tier: 'enterprise',
+            role: 'user',
+            usage: {
+                requests: 0,
+                storage: 0,
+                lastReset: new Date()
+            }
+        });
+    }
+    return tenantPrincipals.get(tenantId);
+}
 
-// Authentication middleware
-function authenticate(req, res, next) {
+/**
+ * Resolve the caller from an API key or a Bearer access token whose
+ * session is still active
+ */
+async function resolveCaller(req) {
     const authHeader = req.headers.authorization;
-    const apiKey = req.headers['x-api-key'];
+    const presentedKey = req.headers['x-api-key'];
 
-    if (apiKey) {
+    if (presentedKey) {
         // API key authentication
-        const user = Array.from(users.values()).find(u => u.apiKey === apiKey);
-        if (user) {
-            req.user = user;
-            return next();
+        const apiKey = await apiKeyService.validateKey(presentedKey);
+        if (apiKey) {
+            const user = apiKey.ownerType === 'tenant'
+                ? tenantPrincipal(apiKey.ownerId)
+                : await authStore.getUserById(apiKey.ownerId);
+            if (user) {
+                return { user, session: null, apiKey };
+            }
         }
     }
 
     if (authHeader && authHeader.startsWith('Bearer ')) {
         const token = authHeader.substring(7);
+        let decoded;
         try {
-            const decoded = jwt.verify(token, COMMERCIAL_CONFIG.jwtSecret);
-            const user = users.get(decoded.userId);
-            if (user) {
-                req.user = user;
-                return next();
-            }
+            decoded = jwt.verify(token, COMMERCIAL_CONFIG.jwtSecret);
         } catch (error) {
-            // Token invalid
+            // Token invalid or expired
+            return null;
+        }
+
+        const session = await authStore.getSession(decoded.sid);
+        if (!session || session.revokedAt || session.userId !== decoded.userId) {
+            return null;
+        }
+        const user = await authStore.getUserById(decoded.userId);
+        if (user) {
+            return { user, session, apiKey: null };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Tenant a request names: the X-Tenant-Id header, a tenantId route param,
+ * body field or query parameter
+ */
+function requestedTenantId(req) {
+    const body = req.body || {};
+    return req.get('x-tenant-id') || req.params?.tenantId || body.tenantId || req.query?.tenantId || null;
+}
+
+/**
+ * Tenant context for the rest of the request. Tenant API keys act for their
+ * own tenant only; users for tenants whose organizations they belong to (or
+ * the untenanted workspace when they name none); admins for any tenant, and
+ * unrestricted when they name none. `deniedTenantId` is set when the caller
+ * named a tenant it can't act for.
+ */
+async function resolveTenantContext(req) {
+    const user = req.user;
+    const requested = requestedTenantId(req);
+    const context = {
+        tenantId: null,
+        principalId: user.id,
+        ip: req.ip,
+        userAgent: req.get('user-agent')
+    };
+
+    if (user.principalType === 'tenant') {
+        context.tenantId = user.tenantId;
+        if (requested && requested !== user.tenantId) {
+            context.deniedTenantId = requested;
         }
+        return context;
+    }
+
+    if (!requested) {
+        context.unrestricted = user.role === 'admin';
+        return context;
+    }
+
+    if (user.role !== 'admin') {
+        const { role } = await accessControlService.getTenantRole(user, requested);
+        if (!role) {
+            context.deniedTenantId = requested;
+            return context;
+        }
+    }
+    context.tenantId = requested;
+    return context;
+}
+
+// Authentication middleware; the rest of the request runs in the caller's
+// tenant context, so storage only returns that tenant's data
+async function authenticate(req, res, next) {
+    let caller;
+    let context;
+    try {
+        caller = await resolveCaller(req);
+        if (caller) {
+            req.user = caller.user;
+            req.authSession = caller.session;
+            req.apiKey = caller.apiKey;
+            context = await resolveTenantContext(req);
+        }
+    } catch (error) {
+        console.error('Authentication lookup failed:', error.message);
+        return res.status(503).json({
+            error: 'Authentication unavailable',
+            message: 'Could not verify credentials, please retry'
+        });
+    }
+
+    if (caller) {
+        if (context.deniedTenantId) {
+            tenantContext.logViolation({
+                action: `${req.method} ${req.originalUrl}`,
+                tenantId: context.tenantId,
+                targetTenantId: context.deniedTenantId,
+                principalId: context.principalId,
+                ip: context.ip,
+                userAgent: context.userAgent
+            });
+            return res.status(403).json({
+                error: 'Forbidden',
+                message: 'You do not have access to this tenant'
+            });
+        }
+
+        req.tenantId = context.tenantId;
+        return tenantContext.run(context, next);
     }
 
     res.status(401).json({
@@ -109,6 +334,9 @@ function trackUsage(req, res, next) {
 
     // Increment request count
     user.usage.requests++;
+    if (user.principalType !== 'tenant') {
+        authStore.recordUsage(user);
+    }
 
     // Check limits
     const tier = PRICING_TIERS[user.tier];
@@ -156,6 +384,60 @@ function checkPricing(req, res, next) {
     next();
 }
 
+// Scope middleware: API keys must carry the scope; logged-in sessions act
+// with the user's full rights
+function requireScope(scope) {
+    return (req, res, next) => {
+        if (!req.apiKey || apiKeyService.hasScope(req.apiKey.scopes, scope)) {
+            return next();
+        }
+        res.status(403).json({
+            error: 'Insufficient scope',
+            message: `This API key needs the ${scope} scope`,
+            requiredScope: scope
+        });
+    };
+}
+
+// Tenant, organization and project a request targets
+function resourceFromRequest(req) {
+    const body = req.body || {};
+    return {
+        tenantId: req.params.tenantId || req.tenantId || body.tenantId || req.query.tenantId || null,
+        organizationId: req.params.organizationId || body.organizationId || req.query.organizationId || null,
+        projectId: req.params.projectId || body.projectId || body.options?.projectId || req.query.projectId || null
+    };
+}
+
+// Role middleware: the caller's organization/project role must grant the
+// permission on every resource the request targets
+function requirePermission(permission, resolveResource = resourceFromRequest) {
+    return async (req, res, next) => {
+        let resource;
+        let allowed;
+        try {
+            resource = await resolveResource(req);
+            allowed = await accessControlService.can(req.user, permission, resource);
+        } catch (error) {
+            return res.status(error.status || 500).json({
+                error: 'Authorization failed',
+                message: error.message
+            });
+        }
+
+        if (allowed) {
+            // Handlers act on the resource the check passed for
+            req.resource = resource;
+            return next();
+        }
+        res.status(403).json({
+            error: 'Forbidden',
+            message: `Your role doesn't include the ${permission} permission`,
+            requiredPermission: permission
+        });
+    };
+}
+
 // Admin middleware
 function requireAdmin(req, res, next) {
     if (!req.user || req.user.role !== 'admin') {
@@ -168,78 +450,212 @@ function requireAdmin(req, res, next) {
 }
 
 // Authentication routes
-function createAuthRoutes() {
+function createAuthRoutes(options = {}) {
     const express = require('express');
     const router = express.Router();
 
+    // Delivers password reset tokens (e.g. by email); without one, tokens
+    // are only returned in the response outside production
+    const { onPasswordReset } = options;
+
     // Register new user
-    router.post('/register', (req, res) => {
+    router.post('/register', async (req, res) => {
         const { email, password, company, tier = 'starter' } = req.body;
 
         if (!email || !password) {
             return res.status(400).json({ error: 'Email and password required' });
         }
 
-        // Check if user exists
-        const existingUser = Array.from(users.values()).find(u => u.email === email);
-        if (existingUser) {
-            return res.status(409).json({ error: 'User already exists' });
+        const passwordError = checkPasswordStrength(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
         }
 
-        // Create user
-        const userId = 'user_' + Date.now();
-        const apiKey = crypto.randomBytes(32).toString('hex');
-
-        const user = {
-            id: userId,
-            email,
-            company,
-            tier,
-            apiKey,
-            role: 'user',
-            created: new Date().toISOString(),
-            usage: {
-                requests: 0,
-                storage: 0,
-                lastReset: new Date()
+        try {
+            // Check if user exists
+            const existingUser = await authStore.getCredentialsByEmail(email);
+            if (existingUser) {
+                return res.status(409).json({ error: 'User already exists' });
             }
-        };
-
-        users.set(userId, user);
 
-        res.json({
-            userId,
-            apiKey,
-            message: 'User registered successfully',
-            tier: PRICING_TIERS[tier]
-        });
+            // Create user
+            const userId = 'user_' + crypto.randomBytes(12).toString('hex');
+
+            await authStore.createUser({
+                id: userId,
+                email,
+                passwordHash: await hashPassword(password),
+                company,
+                tier,
+                role: 'user'
+            });
+
+            // Default key; narrower keys for CI can be created under /api/auth/api-keys
+            const { key: apiKey } = await apiKeyService.createKey({
+                ownerType: 'user',
+                ownerId: userId,
+                name: 'default',
+                scopes: apiKeyService.defaultScopes,
+                createdBy: userId
+            });
+            await auditAuth(req, 'user_registered', userId, { email, company: company || null, tier });
+
+            res.json({
+                userId,
+                apiKey,
+                message: 'User registered successfully',
+                tier: PRICING_TIERS[tier]
+            });
+        } catch (error) {
+            if (error.code === '23505') {
+                return res.status(409).json({ error: 'User already exists' });
+            }
+            res.status(500).json({ error: 'Registration failed', message: error.message });
+        }
     });
 
     // Login
-    router.post('/login', (req, res) => {
+    router.post('/login', async (req, res) => {
         const { email, password } = req.body;
 
-        const user = Array.from(users.values()).find(u => u.email === email);
-        if (!user) {
-            return res.status(401).json({ error: 'Invalid credentials' });
+        try {
+            const credentials = email ? await authStore.getCredentialsByEmail(email) : null;
+            const valid = await verifyPassword(password, credentials?.passwordHash);
+            if (!credentials || !valid) {
+                await auditAuth(req, 'login_failed', credentials?.user.id || null, { email: email || null });
+                return res.status(401).json({ error: 'Invalid credentials' });
+            }
+
+            const user = credentials.user;
+            const { token, refreshToken, expiresIn } = await issueSession(user, req);
+            await auditAuth(req, 'login_succeeded', user.id);
+
+            res.json({
+                token,
+                refreshToken,
+                expiresIn,
+                user: {
+                    id: user.id,
+                    email: user.email,
+                    tier: user.tier,
+                    company: user.company
+                }
+            });
+        } catch (error) {
+            res.status(500).json({ error: 'Login failed', message: error.message });
         }
+    });
 
-        // Generate JWT
-        const token = jwt.sign(
-            { userId: user.id, email: user.email },
-            COMMERCIAL_CONFIG.jwtSecret,
-            { expiresIn: '24h' }
-        );
+    // Exchange a refresh token for a new access token; the refresh token
+    // is rotated and the old one stops working
+    router.post('/refresh', async (req, res) => {
+        const { refreshToken } = req.body;
 
-        res.json({
-            token,
-            user: {
-                id: user.id,
-                email: user.email,
-                tier: user.tier,
-                company: user.company
+        if (!refreshToken) {
+            return res.status(400).json({ error: 'Refresh token required' });
+        }
+
+        try {
+            const session = await authStore.getSessionByRefreshToken(refreshToken);
+            if (!session || session.revokedAt || new Date(session.expiresAt) <= new Date()) {
+                return res.status(401).json({ error: 'Invalid refresh token' });
             }
-        });
+
+            const user = await authStore.getUserById(session.userId);
+            const nextRefreshToken = crypto.randomBytes(48).toString('base64url');
+            const rotated = user && await authStore.rotateSession(refreshToken, nextRefreshToken, refreshTokenExpiry());
+            if (!rotated) {
+                return res.status(401).json({ error: 'Invalid refresh token' });
+            }
+
+            res.json({
+                ...signAccessToken(user, rotated.id),
+                refreshToken: nextRefreshToken
+            });
+        } catch (error) {
+            res.status(500).json({ error: 'Token refresh failed', message: error.message });
+        }
+    });
+
+    // Revoke the current session, or every session of the user with { all: true }
+    router.post('/logout', authenticate, async (req, res) => {
+        try {
+            let revoked = 0;
+            if (req.body?.all) {
+                revoked = await authStore.revokeUserSessions(req.user.id);
+            } else if (req.authSession) {
+                revoked = await authStore.revokeSession(req.authSession.id);
+            }
+            await auditAuth(req, 'logout', req.user.id, { all: Boolean(req.body?.all), revokedSessions: revoked });
+
+            res.json({ message: 'Logged out', revokedSessions: revoked });
+        } catch (error) {
+            res.status(500).json({ error: 'Logout failed', message: error.message });
+        }
+    });
+
+    // Request a password reset token; the response doesn't reveal whether
+    // the account exists
+    router.post('/password-reset/request', async (req, res) => {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({ error: 'Email required' });
+        }
+
+        try {
+            const response = { message: 'If the account exists, a password reset token has been sent' };
+            const credentials = await authStore.getCredentialsByEmail(email);
+
+            if (credentials) {
+                const resetToken = crypto.randomBytes(32).toString('hex');
+                const expiresAt = new Date(Date.now() + COMMERCIAL_CONFIG.auth.resetTokenTtlMinutes * 60 * 1000).toISOString();
+                await authStore.createPasswordResetToken(credentials.user.id, resetToken, expiresAt);
+                await auditAuth(req, 'password_reset_requested', credentials.user.id);
+
+                if (onPasswordReset) {
+                    await onPasswordReset({ user: credentials.user, token: resetToken, expiresAt });
+                } else if (process.env.NODE_ENV !== 'production') {
+                    response.resetToken = resetToken;
+                    response.expiresAt = expiresAt;
+                } else {
+                    console.warn('⚠️  Password reset requested but no reset delivery is configured');
+                }
+            }
+
+            res.json(response);
+        } catch (error) {
+            res.status(500).json({ error: 'Password reset failed', message: error.message });
+        }
+    });
+
+    // Set a new password with a reset token and sign out every session
+    router.post('/password-reset/confirm', async (req, res) => {
+        const { token, password } = req.body;
+
+        if (!token || !password) {
+            return res.status(400).json({ error: 'Token and password required' });
+        }
+
+        const passwordError = checkPasswordStrength(password);
+        if (passwordError) {
+            return res.status(400).json({ error: passwordError });
+        }
+
+        try {
+            const userId = await authStore.consumePasswordResetToken(token);
+            if (!userId) {
+                return res.status(400).json({ error: 'Invalid or expired reset token' });
+            }
+
+            await authStore.updatePassword(userId, await hashPassword(password));
+            const revoked = await authStore.revokeUserSessions(userId);
+            await auditAuth(req, 'password_reset_completed', userId, { revokedSessions: revoked });
+
+            res.json({ message: 'Password updated', revokedSessions: revoked });
+        } catch (error) {
+            res.status(500).json({ error: 'Password reset failed', message: error.message });
+        }
     });
 
     // Get current user
@@ -303,9 +719,12 @@ function createHealthCheck(serviceName, version) {
 }
 
 module.exports = {
+    assertSecureConfig,
     authenticate,
     trackUsage,
     checkPricing,
+    requireScope,
+    requirePermission,
     requireAdmin,
     createAuthRoutes,
     createHealthCheck,
@@ -8,6 +8,7 @@
 
 // Load environment variables
 require("dotenv").config();
+const path = require("path");
 
 // Logger setup - simple console logger for now
 const log = {
@@ -17,6 +18,12 @@ const log = {
   debug: (...args) => console.debug('[DEBUG]', ...args)
 };
 
+// Retention in days from the environment; "never" keeps data indefinitely
+function retentionDays(value, fallback) {
+  if (value === "never") return null;
+  return parseInt(value, 10) || fallback;
+}
+
 /**
  * Server configuration object
  */
@@ -232,6 +239,229 @@ const config = {
     },
   },
 
+  // Storage backend
+  // "auto" uses Supabase when credentials are set, otherwise the local store
+  storage: {
+    backend: process.env.CODE_ROACH_STORAGE_BACKEND || "auto", // auto, supabase, local
+    localDataDir:
+      process.env.CODE_ROACH_DATA_DIR ||
+      path.join(__dirname, "../data/storage"),
+  },
+
+  // Local vector index for semantic search (HNSW, persisted under storage.localDataDir)
+  vectorIndex: {
+    enabled: process.env.CODE_ROACH_VECTOR_INDEX !== "false",
+    m: parseInt(process.env.CODE_ROACH_VECTOR_INDEX_M, 10) || 16,
+    efConstruction:
+      parseInt(process.env.CODE_ROACH_VECTOR_INDEX_EF_CONSTRUCTION, 10) || 100,
+    efSearch: parseInt(process.env.CODE_ROACH_VECTOR_INDEX_EF_SEARCH, 10) || 50,
+  },
+
+  // Embedding provider: auto (local-llm > openai > cohere > local-code), or one of those names
+  embeddings: {
+    provider: process.env.CODE_ROACH_EMBEDDING_PROVIDER || "auto",
+    localDimension:
+      parseInt(process.env.CODE_ROACH_EMBEDDING_DIMENSION, 10) || 512,
+  },
+
+  // Self-hosted LLM server with an OpenAI-compatible API (vLLM, Ollama, llama.cpp, LM Studio)
+  localLLM: {
+    baseUrl: process.env.LOCAL_LLM_BASE_URL || null, // e.g. http://localhost:11434/v1
+    apiKey: process.env.LOCAL_LLM_API_KEY || null,
+    // Ordered fastest to most capable; routine work uses the first, critical/complex the last
+    models: (process.env.LOCAL_LLM_MODELS || process.env.LOCAL_LLM_MODEL || "")
+      .split(",")
+      .map((m) => m.trim())
+      .filter(Boolean),
+    timeoutMs: parseInt(process.env.LOCAL_LLM_TIMEOUT_MS, 10) || 120000,
+    // primary: route to local first, cloud as fallback
+    // fallback: cloud first, local when no cloud provider is available
+    // only: never send prompts to cloud providers
+    priority: process.env.LOCAL_LLM_PRIORITY || "primary",
+    embeddingModel: process.env.LOCAL_LLM_EMBEDDING_MODEL || null,
+    embeddingDimension:
+      parseInt(process.env.LOCAL_LLM_EMBEDDING_DIMENSION, 10) || 768,
+  },
+
+  // Record/replay of LLM responses for deterministic tests
+  llmRecordReplay: {
+    mode: process.env.LLM_RECORD_MODE || "off", // off, record, replay
+    fixturesDir:
+      process.env.LLM_FIXTURES_DIR ||
+      path.join(__dirname, "../tests/fixtures/llm"),
+  },
+
+  // Redaction of secrets and personal data from prompts sent to LLM
+  // providers (tenants override the default per tenant, or make it mandatory)
+  llmRedaction: {
+    enabled: process.env.LLM_REDACTION_ENABLED !== "false",
+    // Also redact prompts to the self-hosted model (mandatory always does)
+    includeLocal: process.env.LLM_REDACTION_INCLUDE_LOCAL === "true",
+    // HMAC key for placeholders; set it so they stay the same across
+    // restarts (e.g. for recorded fixtures)
+    key: process.env.LLM_REDACTION_KEY || null,
+  },
+
+  // LLM token/spend budgets (unset limits are unlimited)
+  // Per-tenant and per-project limits are set via tokenBudgetService.setBudget();
+  // the defaults below apply to any tenant/project without its own limits
+  llmBudgets: {
+    enabled: process.env.LLM_BUDGETS_ENABLED !== "false",
+    softLimitRatio: parseFloat(process.env.LLM_BUDGET_SOFT_LIMIT_RATIO) || 0.8,
+    global: {
+      dailyTokens: parseInt(process.env.LLM_BUDGET_DAILY_TOKENS, 10) || null,
+      monthlyTokens:
+        parseInt(process.env.LLM_BUDGET_MONTHLY_TOKENS, 10) || null,
+      dailyCostUsd: parseFloat(process.env.LLM_BUDGET_DAILY_USD) || null,
+      monthlyCostUsd: parseFloat(process.env.LLM_BUDGET_MONTHLY_USD) || null,
+    },
+    tenantDefaults: {
+      dailyTokens: parseInt(process.env.LLM_TENANT_DAILY_TOKENS, 10) || null,
+      monthlyTokens:
+        parseInt(process.env.LLM_TENANT_MONTHLY_TOKENS, 10) || null,
+      dailyCostUsd: parseFloat(process.env.LLM_TENANT_DAILY_USD) || null,
+      monthlyCostUsd: parseFloat(process.env.LLM_TENANT_MONTHLY_USD) || null,
+    },
+    projectDefaults: {
+      dailyTokens: parseInt(process.env.LLM_PROJECT_DAILY_TOKENS, 10) || null,
+      monthlyTokens:
+        parseInt(process.env.LLM_PROJECT_MONTHLY_TOKENS, 10) || null,
+      dailyCostUsd: parseFloat(process.env.LLM_PROJECT_DAILY_USD) || null,
+      monthlyCostUsd: parseFloat(process.env.LLM_PROJECT_MONTHLY_USD) || null,
+    },
+  },
+
+  // Scoped API keys for users and tenants
+  apiKeys: {
+    // How long the previous key keeps working after a rotation
+    rotationOverlapHours:
+      parseInt(process.env.API_KEY_ROTATION_OVERLAP_HOURS, 10) || 24,
+    // Upper bound for new key lifetimes (0 = keys may never expire)
+    maxLifetimeDays: parseInt(process.env.API_KEY_MAX_LIFETIME_DAYS, 10) || 0,
+  },
+
+  // Crawls started through the API (/api/code-roach/crawl)
+  crawler: {
+    // Only directories under this root can be crawled (default: the
+    // server's working directory)
+    workspaceRoot: path.resolve(
+      process.env.CODE_ROACH_WORKSPACE_ROOT || process.cwd(),
+    ),
+  },
+
+  // Organization/project roles (owner, maintainer, reviewer, viewer)
+  accessControl: {
+    // Strict: only admins may use project ids that aren't registered
+    // projects; otherwise they stay open to any authenticated caller
+    strict: process.env.ACCESS_CONTROL_STRICT === "true",
+  },
+
+  // Hash-chained audit log
+  auditLog: {
+    // Most entries one export returns
+    exportMaxEntries:
+      parseInt(process.env.AUDIT_EXPORT_MAX_ENTRIES, 10) || 50000,
+  },
+
+  // Data subject requests (GDPR access, portability and erasure)
+  dsar: {
+    // Days a request may stay open before it is overdue
+    responseDays: parseInt(process.env.DSAR_RESPONSE_DAYS, 10) || 30,
+    // HMAC key for erasure pseudonyms; without one, pseudonyms of the same
+    // subject differ between server restarts
+    pseudonymKey: process.env.DSAR_PSEUDONYM_KEY || null,
+  },
+
+  // Data retention (tenants override the defaults per data class)
+  retention: {
+    purgeEnabled: process.env.RETENTION_PURGE_ENABLED !== "false",
+    purgeIntervalHours:
+      parseInt(process.env.RETENTION_PURGE_INTERVAL_HOURS, 10) || 24,
+    // Shortest audit log retention a tenant may set
+    auditLogMinimumDays:
+      parseInt(process.env.RETENTION_AUDIT_LOG_MIN_DAYS, 10) || 365,
+    defaults: {
+      raw_code: retentionDays(process.env.RETENTION_RAW_CODE_DAYS, 90),
+      embeddings: retentionDays(process.env.RETENTION_EMBEDDINGS_DAYS, 365),
+      issues: retentionDays(process.env.RETENTION_ISSUES_DAYS, 730),
+      usage_logs: retentionDays(process.env.RETENTION_USAGE_LOGS_DAYS, 400),
+      audit_logs: retentionDays(process.env.RETENTION_AUDIT_LOGS_DAYS, 2555),
+    },
+  },
+
+  // Field-level encryption at rest of stored source code (per-tenant data
+  // keys wrapped by the master key); off without a master key
+  encryption: {
+    enabled: process.env.ENCRYPTION_AT_REST !== "false",
+    masterKey: process.env.ENCRYPTION_MASTER_KEY || null,
+    // Earlier master keys (comma separated) unwrap data keys until they are
+    // re-wrapped with the current one
+    previousMasterKeys: (process.env.ENCRYPTION_PREVIOUS_MASTER_KEYS || "")
+      .split(",")
+      .map((key) => key.trim())
+      .filter(Boolean),
+    // Data keys older than this fail the encryption compliance check
+    keyRotationDays:
+      parseInt(process.env.ENCRYPTION_KEY_ROTATION_DAYS, 10) || 365,
+    // Re-encryption of plaintext and retired-key fields
+    reencryptEnabled: process.env.ENCRYPTION_REENCRYPT_ENABLED !== "false",
+    reencryptIntervalHours:
+      parseInt(process.env.ENCRYPTION_REENCRYPT_INTERVAL_HOURS, 10) || 24,
+  },
+
+  // Compliance evidence reports
+  complianceReports: {
+    // Ed25519 private key (PEM) that signs reports; without one reports
+    // carry only their chained digest
+    signingKey: process.env.COMPLIANCE_REPORT_SIGNING_KEY
+      ? process.env.COMPLIANCE_REPORT_SIGNING_KEY.replace(/\\n/g, "\n")
+      : null,
+    // Days of activity a report covers unless the request says otherwise
+    periodDays: parseInt(process.env.COMPLIANCE_REPORT_PERIOD_DAYS, 10) || 90,
+    // Most audit log entries quoted per evidence excerpt
+    auditExcerptSize:
+      parseInt(process.env.COMPLIANCE_REPORT_AUDIT_EXCERPT, 10) || 25,
+  },
+
+  // Outgoing webhooks
+  webhooks: {
+    // Attempts per delivery before it moves to the dead-letter queue
+    maxAttempts: parseInt(process.env.WEBHOOK_MAX_ATTEMPTS, 10) || 8,
+    // Backoff between attempts doubles from the initial delay up to the max
+    retryInitialDelayMs:
+      parseInt(process.env.WEBHOOK_RETRY_INITIAL_DELAY_MS, 10) || 10000,
+    retryMaxDelayMs:
+      parseInt(process.env.WEBHOOK_RETRY_MAX_DELAY_MS, 10) || 10 * 60 * 1000,
+    timeoutMs: parseInt(process.env.WEBHOOK_TIMEOUT_MS, 10) || 10000,
+    // Dead-lettered deliveries in a row that disable a webhook
+    disableAfterFailures:
+      parseInt(process.env.WEBHOOK_DISABLE_AFTER_FAILURES, 10) || 5,
+    // How often deliveries left pending (e.g. by a restart) are picked up
+    sweepIntervalSeconds:
+      parseInt(process.env.WEBHOOK_SWEEP_INTERVAL_SECONDS, 10) || 60,
+    // Hosts webhooks may reach even though they are (or resolve to)
+    // loopback, private or link-local addresses, e.g. an on-premises CI
+    allowedHosts: (process.env.WEBHOOK_ALLOWED_HOSTS || "")
+      .split(",")
+      .map((host) => host.trim().toLowerCase())
+      .filter(Boolean),
+  },
+
+  // AST analysis rules (enabled and configured per project in .code-roach.json)
+  astRules: {
+    // Load a project's own rules from its rulesDirectory. They are required
+    // as code into this process, so they stay off unless every analysed
+    // repository is trusted (AST_PROJECT_RULES=true)
+    projectRules: process.env.AST_PROJECT_RULES === "true",
+  },
+
+  // Tree-sitter grammars for Python, Java and Rust analysis
+  treeSitter: {
+    // Directory of tree-sitter-<language>.wasm files (default: the
+    // tree-sitter-wasms package)
+    grammarDir: process.env.TREE_SITTER_GRAMMAR_DIR || null,
+  },
+
   // Phase 16: Supabase Configuration
   // SECURITY: All keys must be in environment variables - no hardcoded fallbacks
   supabase: {
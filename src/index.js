@@ -6,13 +6,20 @@
 const express = require('express');
 const path = require('path');
 const {
+    assertSecureConfig,
     authenticate,
     trackUsage,
     checkPricing,
+    requireScope,
+    requirePermission,
+    requireAdmin,
     createAuthRoutes,
     createHealthCheck
 } = require('./commercial-middleware');
 
+// Refuse to start in production with the default JWT secret
+assertSecureConfig();
+
 const app = express();
 const PORT = process.env.PORT || 3001;
 
@@ -24,7 +31,7 @@ app.use(express.urlencoded({ extended: true }));
 app.use((req, res, next) => {
     res.header('Access-Control-Allow-Origin', '*');
     res.header('Access-Control-Allow-Methods', 'GET, POST, PUT, DELETE, OPTIONS');
-    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization');
+    res.header('Access-Control-Allow-Headers', 'Content-Type, Authorization, X-API-Key, X-Tenant-Id');
     if (req.method === 'OPTIONS') {
         return res.sendStatus(200);
     }
@@ -35,28 +42,69 @@ app.use((req, res, next) => {
 const EnterpriseCodeRoachService = require('./services/enterpriseCodeRoachService');
 const ComplianceService = require('./services/complianceService');
 const quantumAnalysisRouter = require('./routes/quantumAnalysis');
+const { setupCodeRoachRoutes } = require('./routes/codeRoachAPI');
+const { createApiKeyRoutes } = require('./routes/apiKeyRoutes');
+const { createAuditLogRoutes } = require('./routes/auditLogRoutes');
+const { createRetentionRoutes, createRetentionAdminRoutes } = require('./routes/retentionRoutes');
+const { createPromptRedactionRoutes } = require('./routes/promptRedactionRoutes');
+const { createEncryptionRoutes, createEncryptionAdminRoutes } = require('./routes/encryptionRoutes');
+const { createComplianceReportRoutes } = require('./routes/complianceReportRoutes');
+const { createWebhookRoutes } = require('./routes/webhookRoutes');
+const { createDsarRoutes } = require('./routes/dsarRoutes');
+const codeAnalysisPipeline = require('./services/codeAnalysisPipeline');
+const accessControlService = require('./services/accessControlService');
+const retentionService = require('./services/retentionService');
+const encryptionKeyService = require('./services/encryptionKeyService');
+const webhookService = require('./services/webhookService');
 
 const enterpriseService = new EnterpriseCodeRoachService();
 const complianceService = new ComplianceService();
 
+// Tenant named by the :tenantId route param, 404 when it doesn't exist
+async function resolveTenantParam(req) {
+    const { tenantId } = req.params;
+    try {
+        await enterpriseService.getTenant(tenantId);
+    } catch (error) {
+        throw Object.assign(error, { status: 404 });
+    }
+    return tenantId;
+}
+
 // Commercial auth routes
 app.use('/api/auth', createAuthRoutes());
 
+// API keys of the signed-in user
+app.use('/api/auth/api-keys', authenticate, createApiKeyRoutes({
+    resolveOwner: (req) => {
+        if (req.user.principalType === 'tenant') {
+            throw Object.assign(new Error('Tenant keys are managed under /api/enterprise/tenants/:tenantId/api-keys'), { status: 403 });
+        }
+        return { ownerType: 'user', ownerId: req.user.id };
+    }
+}));
+
 // Health check
 app.get('/api/health', createHealthCheck('code-roach', '1.0.0'));
 
 // Enterprise tenant management endpoints
-app.post('/api/enterprise/tenants', authenticate, trackUsage, checkPricing, async (req, res) => {
+app.post('/api/enterprise/tenants', authenticate, trackUsage, checkPricing, requireScope('admin'), async (req, res) => {
     try {
         const tenantConfig = req.body;
         const result = await enterpriseService.createTenant(tenantConfig);
-        res.json(result);
+
+        // Tenant roles come from its organizations; the creator owns the first one
+        const organization = await accessControlService.createOrganization({
+            name: tenantConfig.name || 'Default',
+            tenantId: result.tenantId
+        }, req.user);
+        res.json({ ...result, organizationId: organization.id });
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-app.get('/api/enterprise/tenants/:tenantId', authenticate, trackUsage, checkPricing, async (req, res) => {
+app.get('/api/enterprise/tenants/:tenantId', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:read'), async (req, res) => {
     try {
         const tenant = await enterpriseService.getTenant(req.params.tenantId);
         res.json(tenant);
@@ -65,7 +113,7 @@ app.get('/api/enterprise/tenants/:tenantId', authenticate, trackUsage, checkPric
     }
 });
 
-app.put('/api/enterprise/tenants/:tenantId', authenticate, trackUsage, checkPricing, async (req, res) => {
+app.put('/api/enterprise/tenants/:tenantId', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:manage'), async (req, res) => {
     try {
         const updates = req.body;
         const tenant = await enterpriseService.updateTenant(req.params.tenantId, updates);
@@ -75,29 +123,90 @@ app.put('/api/enterprise/tenants/:tenantId', authenticate, trackUsage, checkPric
     }
 });
 
-// Compliance endpoints
-app.get('/api/compliance/check/:framework', authenticate, trackUsage, checkPricing, async (req, res) => {
+// LLM budget status (remaining tokens/spend for today and this month)
+app.get('/api/enterprise/tenants/:tenantId/budget', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:read'), async (req, res) => {
     try {
-        const { tenantId } = req.query;
-        const compliance = await complianceService.checkCompliance(tenantId, req.params.framework);
-        res.json(compliance);
+        const status = await enterpriseService.getBudgetStatus(req.params.tenantId, req.query.projectId || null);
+        res.json(status);
+    } catch (error) {
+        res.status(404).json({ error: error.message });
+    }
+});
+
+app.put('/api/enterprise/tenants/:tenantId/projects/:projectId/budget', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:manage'), async (req, res) => {
+    try {
+        const budget = await enterpriseService.setProjectBudget(req.params.tenantId, req.params.projectId, req.body);
+        res.json(budget);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
-app.post('/api/compliance/dsar', authenticate, trackUsage, checkPricing, async (req, res) => {
+// Tenant API keys (CI runners, integrations)
+app.use('/api/enterprise/tenants/:tenantId/api-keys', authenticate, requirePermission('tenant:manage'), createApiKeyRoutes({
+    resolveOwner: async (req) => ({ ownerType: 'tenant', ownerId: await resolveTenantParam(req) })
+}));
+
+// Tenant audit log: query, export and hash chain verification
+app.use('/api/enterprise/tenants/:tenantId/audit-log', authenticate, requireScope('admin'), requirePermission('tenant:manage'), createAuditLogRoutes({
+    resolveTenant: resolveTenantParam
+}));
+
+// System audit log (sign-ins, password resets, user API keys)
+app.use('/api/audit-log', authenticate, requireAdmin, createAuditLogRoutes({
+    resolveTenant: () => null
+}));
+
+// Tenant retention policies, legal holds and purges
+app.use('/api/enterprise/tenants/:tenantId/retention', authenticate, requireScope('admin'), requirePermission('tenant:manage'), createRetentionRoutes({
+    resolveTenant: resolveTenantParam
+}));
+
+// Platform-wide purges, purge reports and legal holds
+app.use('/api/retention', authenticate, requireAdmin, createRetentionAdminRoutes());
+
+// Tenant redaction of prompts sent to LLM providers
+app.use('/api/enterprise/tenants/:tenantId/redaction', authenticate, requireScope('admin'), requirePermission('tenant:manage'), createPromptRedactionRoutes({
+    resolveTenant: resolveTenantParam
+}));
+
+// Tenant encryption at rest: data keys and re-encryption
+app.use('/api/enterprise/tenants/:tenantId/encryption', authenticate, requireScope('admin'), requirePermission('tenant:manage'), createEncryptionRoutes({
+    resolveTenant: resolveTenantParam
+}));
+
+// Platform-wide re-encryption, master key rotation and reports
+app.use('/api/encryption', authenticate, requireAdmin, createEncryptionAdminRoutes());
+
+// Tenant compliance evidence reports (signed, hash-chained, JSON or HTML)
+app.use('/api/enterprise/tenants/:tenantId/compliance/reports', authenticate, requireScope('admin'), requirePermission('tenant:manage'), createComplianceReportRoutes({
+    resolveTenant: resolveTenantParam,
+    generateReport: (tenantId, options) => enterpriseService.generateComplianceReport(tenantId, options)
+}));
+
+// Tenant webhooks: registrations, delivery log and dead-letter queue
+app.use('/api/enterprise/tenants/:tenantId/webhooks', authenticate, requireScope('admin'), requirePermission('tenant:manage'), createWebhookRoutes({
+    resolveTenant: resolveTenantParam
+}));
+
+// Compliance endpoints
+app.get('/api/compliance/check/:framework', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:read'), async (req, res) => {
     try {
-        const { tenantId, subjectId, requestType, data } = req.body;
-        const dsar = await complianceService.processDSAR(tenantId, subjectId, requestType, data);
-        res.json(dsar);
+        const { tenantId } = req.query;
+        const compliance = await complianceService.checkCompliance(tenantId, req.params.framework);
+        res.json(compliance);
     } catch (error) {
         res.status(400).json({ error: error.message });
     }
 });
 
+// Data subject requests of the caller's tenant (platform-wide for admins)
+app.use('/api/compliance/dsar', authenticate, createDsarRoutes({
+    processDSAR: (tenantId, subjectId, requestType, data) => complianceService.processDSAR(tenantId, subjectId, requestType, data)
+}));
+
 // Enterprise analytics
-app.get('/api/enterprise/analytics', authenticate, trackUsage, checkPricing, async (req, res) => {
+app.get('/api/enterprise/analytics', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:read'), async (req, res) => {
     try {
         const { tenantId, period } = req.query;
         const analytics = await enterpriseService.generateEnterpriseAnalytics(tenantId, period);
@@ -108,7 +217,7 @@ app.get('/api/enterprise/analytics', authenticate, trackUsage, checkPricing, asy
 });
 
 // Security breach handling
-app.post('/api/security/breach', authenticate, trackUsage, checkPricing, async (req, res) => {
+app.post('/api/security/breach', authenticate, trackUsage, checkPricing, requireScope('admin'), requirePermission('tenant:manage'), async (req, res) => {
     try {
         const { tenantId, breachDetails } = req.body;
         const result = await complianceService.handleBreach(tenantId, breachDetails);
@@ -121,27 +230,26 @@ app.post('/api/security/breach', authenticate, trackUsage, checkPricing, async (
 // Quantum analysis endpoints
 app.use('/api/quantum', quantumAnalysisRouter);
 
+// Code Roach crawler, issue and analytics endpoints (/api/code-roach/*)
+setupCodeRoachRoutes(app, {
+    middleware: [authenticate, trackUsage, checkPricing]
+});
+
 // Commercial API endpoints (require authentication)
-app.post('/api/analyze', authenticate, trackUsage, checkPricing, async (req, res) => {
+app.post('/api/analyze', authenticate, trackUsage, checkPricing, requireScope('analyze:read'), requirePermission('analysis:run'), async (req, res) => {
     try {
-        const { code, language, tenantId, framework } = req.body;
+        const { code, language, filePath, framework } = req.body;
+        const { tenantId } = req;
+        if (typeof code !== 'string' || code.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'code is required' });
+        }
 
-        // Basic analysis response
+        // AST rules come from the registered project's root, never the request
+        const projectRoot = await codeAnalysisPipeline.projectRootOf(req.resource.projectId);
+        const analysis = await codeAnalysisPipeline.analyzeCode(code, { language, filePath, projectRoot });
         const response = {
             status: 'success',
-            message: 'Code analysis completed',
-            features: [
-                'AST Analysis',
-                'Code Smell Detection',
-                'Security Vulnerability Scanning',
-                'Performance Analysis'
-            ],
-            enterprise: {
-                multiTenant: true,
-                compliance: ['GDPR', 'HIPAA', 'SOC2', 'PCI'],
-                security: 'enterprise',
-                reporting: 'advanced'
-            },
+            ...analysis,
             commercial: {
                 tier: req.user?.tier,
                 requests_used: req.user?.usage?.requests || 0
@@ -176,78 +284,81 @@ app.post('/api/analyze', authenticate, trackUsage, checkPricing, async (req, res
     }
 });
 
-app.post('/api/fix', authenticate, trackUsage, checkPricing, (req, res) => {
-    res.json({
-        status: 'success',
-        message: 'Automated fixing endpoint - Coming Soon',
-        capabilities: [
-            'Auto-fix security issues',
-            'Code quality improvements',
-            'Performance optimizations',
-            'Best practice enforcement'
-        ],
-        commercial: {
-            tier: req.user?.tier,
-            requests_used: req.user?.usage?.requests || 0
+app.post('/api/fix', authenticate, trackUsage, checkPricing, requireScope('fix:write'), requirePermission('fix:apply'), async (req, res) => {
+    try {
+        const { code, issue, language, filePath } = req.body;
+        if (typeof code !== 'string' || code.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'code is required' });
         }
-    });
-});
 
-app.post('/api/review', authenticate, trackUsage, checkPricing, (req, res) => {
-    res.json({
-        status: 'success',
-        message: 'Code review endpoint - Coming Soon',
-        features: [
-            'AI-powered code review',
-            'Pattern recognition',
-            'Consistency checking',
-            'Technical debt analysis'
-        ],
-        commercial: {
-            tier: req.user?.tier,
-            requests_used: req.user?.usage?.requests || 0
-        }
-    });
-});
+        // Fixes are previewed, never written to disk
+        const result = await codeAnalysisPipeline.previewFix(code, {
+            issue,
+            language,
+            filePath,
+            tenantId: req.tenantId || null,
+            projectId: req.resource.projectId
+        });
+        const { success, error, ...fix } = result;
 
-// Basic API endpoints (placeholders for full implementation)
-app.post('/api/analyze', (req, res) => {
-    res.json({
-        status: 'success',
-        message: 'Code analysis endpoint - Coming Soon',
-        features: [
-            'AST Analysis',
-            'Code Smell Detection',
-            'Security Vulnerability Scanning',
-            'Performance Analysis'
-        ]
-    });
+        res.status(success ? 200 : 422).json({
+            status: success ? 'success' : 'error',
+            ...(success ? {} : { message: error }),
+            ...fix,
+            commercial: {
+                tier: req.user?.tier,
+                requests_used: req.user?.usage?.requests || 0
+            }
+        });
+    } catch (error) {
+        console.error('Fix error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Fix generation failed',
+            error: error.message
+        });
+    }
 });
 
-app.post('/api/fix', (req, res) => {
-    res.json({
-        status: 'success',
-        message: 'Automated fixing endpoint - Coming Soon',
-        capabilities: [
-            'Auto-fix security issues',
-            'Code quality improvements',
-            'Performance optimizations',
-            'Best practice enforcement'
-        ]
-    });
-});
+app.post('/api/review', authenticate, trackUsage, checkPricing, requireScope('analyze:read'), requirePermission('analysis:run'), async (req, res) => {
+    try {
+        const { code, language, filePath, options = {} } = req.body;
+        if (typeof code !== 'string' || code.length === 0) {
+            return res.status(400).json({ status: 'error', message: 'code is required' });
+        }
 
-app.post('/api/review', (req, res) => {
-    res.json({
-        status: 'success',
-        message: 'Code review endpoint - Coming Soon',
-        features: [
-            'AI-powered code review',
-            'Pattern recognition',
-            'Consistency checking',
-            'Technical debt analysis'
-        ]
-    });
+        const result = await codeAnalysisPipeline.reviewCode(code, {
+            ...options,
+            language,
+            filePath,
+            tenantId: req.tenantId || null,
+            projectId: req.resource.projectId
+        });
+        if (!result.success) {
+            return res.status(500).json({
+                status: 'error',
+                message: 'Review failed',
+                error: result.error
+            });
+        }
+
+        res.json({
+            status: 'success',
+            review: result.review,
+            inlineComments: result.inlineComments,
+            commercial: {
+                tier: req.user?.tier,
+                requests_used: req.user?.usage?.requests || 0
+            }
+        });
+    } catch (error) {
+        console.error('Review error:', error);
+        res.status(500).json({
+            status: 'error',
+            message: 'Review failed',
+            error: error.message
+        });
+    }
 });
 
 // Serve static files
@@ -293,6 +404,9 @@ app.use((err, req, res, next) => {
 });
 
 app.listen(PORT, () => {
+    retentionService.start();
+    encryptionKeyService.start();
+    webhookService.start();
     console.log(`🐛 Code Roach Standalone running on port ${PORT}`);
     console.log(`   Health check: http://localhost:${PORT}/api/health`);
     console.log(`   Dashboard: http://localhost:${PORT}/`);
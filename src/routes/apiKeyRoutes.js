@@ -0,0 +1,118 @@
+/**
+ * API Key Routes
+ * Create, list, rotate and revoke the API keys of a user or tenant
+ *
+ * Mounted behind `authenticate`. Managing keys with an API key requires the
+ * admin scope, so least-privilege CI keys can't mint new keys.
+ */
+
+const express = require("express");
+const apiKeyService = require("../services/apiKeyService");
+const { requireScope } = require("../commercial-middleware");
+
+/**
+ * Create API key routes
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveOwner - (req) => { ownerType, ownerId };
+ *   may throw an error with a `status` to refuse the request
+ * @returns {express.Router}
+ */
+function createApiKeyRoutes({ resolveOwner }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(requireScope("admin"));
+
+  // Resolve the key owner once per request
+  router.use(async (req, res, next) => {
+    try {
+      req.apiKeyOwner = await resolveOwner(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET / - Keys of the owner (revoked keys with ?includeRevoked=true)
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const keys = await apiKeyService.listKeys(req.apiKeyOwner, {
+        includeRevoked: req.query.includeRevoked === "true",
+      });
+      res.json({ success: true, keys, scopes: apiKeyService.scopes });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST / - Create a key; the plaintext key is only returned here
+   */
+  router.post("/", async (req, res) => {
+    try {
+      const { name, scopes, expiresAt, expiresInDays } = req.body || {};
+      const { key, apiKey } = await apiKeyService.createKey({
+        ...req.apiKeyOwner,
+        name,
+        scopes,
+        expiresAt,
+        expiresInDays,
+        createdBy: req.user.id,
+        grantedScopes: req.apiKey?.scopes,
+      });
+      res.status(201).json({ success: true, apiKey: key, key: apiKey });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /:keyId/rotate - Replace a key; the old one keeps working for
+   * overlapHours (default from config.apiKeys.rotationOverlapHours)
+   */
+  router.post("/:keyId/rotate", async (req, res) => {
+    try {
+      const { key, apiKey, previous } = await apiKeyService.rotateKey(
+        req.apiKeyOwner,
+        req.params.keyId,
+        { overlapHours: req.body?.overlapHours, createdBy: req.user.id },
+      );
+      res.json({ success: true, apiKey: key, key: apiKey, previous });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /:keyId - Revoke a key immediately
+   */
+  router.delete("/:keyId", async (req, res) => {
+    try {
+      const key = await apiKeyService.revokeKey(
+        req.apiKeyOwner,
+        req.params.keyId,
+      );
+      if (!key) {
+        return res
+          .status(404)
+          .json({ success: false, error: "API key not found" });
+      }
+      res.json({ success: true, key });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = {
+  createApiKeyRoutes,
+};
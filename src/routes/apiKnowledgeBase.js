@@ -3,32 +3,28 @@
  * Provides endpoints for knowledge base analytics and management
  */
 
-const { log } = require("../utils/logger");
 const express = require("express");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("ApiKnowledgeBase");
 const router = express.Router();
 const agentKnowledgeService = require("../services/agentKnowledgeService");
 
-// Use shared Supabase client utility
-const {
-  getSupabaseService,
-  isSupabaseConfigured,
-} = require("../utils/supabaseClient");
+// Shared storage client (Supabase or local backend)
+const databaseService = require("../services/databaseService");
 
 // Standardized response utilities
 const { asyncHandler } = require("../utils/errorHandler");
 const { sendSuccess } = require("../utils/responseHandler");
 
-// Log Supabase status on load
-if (!isSupabaseConfigured()) {
+// Log storage status on load
+if (!databaseService.getClient()) {
   log.warn(
-    "[apiKnowledgeBase] Supabase config not available - knowledge base endpoints will return empty results",
+    "[apiKnowledgeBase] Storage not available - knowledge base endpoints will return empty results",
   );
 }
 
-// Helper to get Supabase client lazily
-const getSupabase = () => getSupabaseService();
+// Helper to get storage client lazily
+const getSupabase = () => databaseService.getClient();
 
 // Helper to check if error is a "table not found" type error
 const isTableNotFoundError = (error) => {
@@ -0,0 +1,141 @@
+/**
+ * Audit Log Routes
+ * Query, export and verify the hash-chained audit log of a tenant, or the
+ * system chain that holds sign-ins and user API key changes
+ *
+ * Mounted behind `authenticate` and the caller's permission checks.
+ */
+
+const express = require("express");
+const auditLogService = require("../services/auditLogService");
+
+const FILTERS = [
+  "event",
+  "category",
+  "actorId",
+  "resourceType",
+  "resourceId",
+  "from",
+  "to",
+];
+const EXPORT_FORMATS = ["json", "ndjson", "csv"];
+
+/**
+ * Create audit log routes
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveTenant - (req) => tenant id, or null for
+ *   the system chain; may throw an error with a `status` to refuse the request
+ * @returns {express.Router}
+ */
+function createAuditLogRoutes({ resolveTenant }) {
+  const router = express.Router({ mergeParams: true });
+
+  // Resolve the chain once per request
+  router.use(async (req, res, next) => {
+    try {
+      req.auditTenantId = await resolveTenant(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET / - Entries, most recent first
+   * Query: event, category, actorId, resourceType, resourceId, from, to,
+   * limit (at most 1000), offset
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const filters = parseFilters(req.query);
+      const { entries, total } = await auditLogService.query(
+        req.auditTenantId,
+        {
+          ...filters,
+          limit: req.query.limit,
+          offset: req.query.offset,
+        },
+      );
+      res.json({ success: true, entries, total });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /export - Matching entries in chain order as a download
+   * Query: the filters of GET /, plus format (json, ndjson or csv)
+   */
+  router.get("/export", async (req, res) => {
+    try {
+      const format = req.query.format || "json";
+      if (!EXPORT_FORMATS.includes(format)) {
+        return res.status(400).json({
+          success: false,
+          error: `format must be one of: ${EXPORT_FORMATS.join(", ")}`,
+        });
+      }
+
+      const { body, contentType, count } = await auditLogService.export(
+        req.auditTenantId,
+        parseFilters(req.query),
+        format,
+      );
+      const name = `audit-log-${req.auditTenantId || "system"}-${new Date()
+        .toISOString()
+        .slice(0, 10)}.${format}`;
+
+      res.set("Content-Type", contentType);
+      res.set("Content-Disposition", `attachment; filename="${name}"`);
+      res.set("X-Audit-Entry-Count", String(count));
+      res.send(body);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /verify - Recompute the hash chain; valid is false if entries were
+   * changed, removed or reordered
+   */
+  router.get("/verify", async (req, res) => {
+    try {
+      const verification = await auditLogService.verify(req.auditTenantId);
+      res.json({ success: true, ...verification });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Known filters from the query string; dates must parse
+ */
+function parseFilters(query) {
+  const filters = {};
+  for (const name of FILTERS) {
+    if (query[name]) {
+      filters[name] = String(query[name]);
+    }
+  }
+  for (const name of ["from", "to"]) {
+    if (filters[name] && Number.isNaN(Date.parse(filters[name]))) {
+      throw Object.assign(new Error(`${name} must be a date`), {
+        status: 400,
+      });
+    }
+  }
+  return filters;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = {
+  createAuditLogRoutes,
+};
@@ -0,0 +1,173 @@
+/**
+ * Code Roach Analytics Routes
+ * Health scores, natural language queries, code review and IP analytics
+ */
+
+const express = require("express");
+const fs = require("fs").promises;
+const path = require("path");
+const codeHealthScoring = require("../../services/codeHealthScoring");
+const naturalLanguageQuery = require("../../services/naturalLanguageQuery");
+const codeReviewAssistant = require("../../services/codeReviewAssistant");
+const ipAnalyticsService = require("../../services/ipAnalyticsService");
+const tokenBudgetService = require("../../services/tokenBudgetService");
+const {
+  requireScope,
+  requirePermission,
+} = require("../../commercial-middleware");
+const {
+  resolveProjectId,
+  resolveTenantId,
+  resolveResource,
+} = require("./scope");
+
+/**
+ * Read a file relative to the server's working directory, or null if it
+ * isn't on disk (health scoring then falls back to the codebase index)
+ */
+async function readSource(filePath) {
+  try {
+    return await fs.readFile(path.resolve(process.cwd(), filePath), "utf8");
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Run an LLM-backed handler against the caller's tenant/project budget
+ */
+function withBudgetScope(req, fn) {
+  return tokenBudgetService.runWithScope(
+    { tenantId: resolveTenantId(req), projectId: resolveProjectId(req) },
+    fn,
+  );
+}
+
+/**
+ * Create analytics routes
+ * @returns {express.Router}
+ */
+function createAnalyticsRoutes() {
+  const router = express.Router();
+  const canRead = [
+    requireScope("analyze:read"),
+    requirePermission("project:read", resolveResource),
+  ];
+  const canAnalyze = [
+    requireScope("analyze:read"),
+    requirePermission("analysis:run", resolveResource),
+  ];
+
+  /**
+   * GET /health-score?filePath= - Health score for a file
+   */
+  router.get("/health-score", canRead, async (req, res) => {
+    try {
+      const { filePath } = req.query;
+      if (!filePath) {
+        return res
+          .status(400)
+          .json({ success: false, error: "filePath is required" });
+      }
+
+      const code = await readSource(filePath);
+      const score = await codeHealthScoring.calculateHealthScore(
+        filePath,
+        code,
+      );
+      if (score.error) {
+        return res.status(500).json({ success: false, error: score.error });
+      }
+
+      res.json({ success: true, filePath, score });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /nl-query - Answer a natural language question about the code
+   */
+  router.post("/nl-query", canAnalyze, async (req, res) => {
+    try {
+      const { query, context = {} } = req.body || {};
+      if (!query) {
+        return res
+          .status(400)
+          .json({ success: false, error: "query is required" });
+      }
+
+      const result = await withBudgetScope(req, () =>
+        naturalLanguageQuery.processQuery(query, context),
+      );
+      if (result.success === false) {
+        return res.json({
+          success: false,
+          error: result.error || result.answer,
+          response: result,
+        });
+      }
+
+      res.json({ success: true, response: result });
+    } catch (error) {
+      const status = tokenBudgetService.isBudgetExceeded(error) ? 429 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /code-review - Review a snippet of code
+   */
+  router.post("/code-review", canAnalyze, async (req, res) => {
+    try {
+      const { code, filePath = "review.js", options = {} } = req.body || {};
+      if (!code) {
+        return res
+          .status(400)
+          .json({ success: false, error: "code is required" });
+      }
+
+      const result = await withBudgetScope(req, () =>
+        codeReviewAssistant.reviewCode(code, filePath, options),
+      );
+      if (!result.success) {
+        return res.status(500).json({ success: false, error: result.error });
+      }
+
+      res.json({ success: true, review: result.review });
+    } catch (error) {
+      const status = tokenBudgetService.isBudgetExceeded(error) ? 429 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /ip-analytics - Usage of test generation, refactoring, smells, etc.
+   */
+  router.get("/ip-analytics", canRead, async (req, res) => {
+    try {
+      const analytics = await ipAnalyticsService.getIPAnalytics();
+      res.json({ success: true, ...analytics });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /ip-analytics/roi - Time and cost saved
+   */
+  router.get("/ip-analytics/roi", canRead, async (req, res) => {
+    try {
+      const roi = await ipAnalyticsService.getROIMetrics();
+      res.json({ success: true, ...roi });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = {
+  createAnalyticsRoutes,
+};
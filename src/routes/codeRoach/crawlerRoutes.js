@@ -0,0 +1,333 @@
+/**
+ * Code Roach Crawler Routes
+ * Start crawls, queue parallel crawls and report crawl/job status
+ *
+ * The crawler is a singleton that can only run one crawl at a time, so
+ * parallel crawl requests are queued here and run back to back.
+ */
+
+const express = require("express");
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config");
+const codebaseCrawler = require("../../services/codebaseCrawler");
+const { createLogger } = require("../../utils/logger");
+const {
+  requireScope,
+  requirePermission,
+} = require("../../commercial-middleware");
+const {
+  resolveProjectId,
+  resolveTenantId,
+  resolveResource,
+} = require("./scope");
+
+const log = createLogger("CodeRoachCrawlerRoutes");
+
+// Finished jobs kept for /jobs/:jobId lookups
+const MAX_FINISHED_JOBS = 100;
+
+const jobs = new Map();
+const queue = [];
+let activeJob = null;
+
+/**
+ * Translate CLI/dashboard crawl options into crawler options
+ */
+function toCrawlerOptions(options = {}, scope) {
+  const { extensions, ...rest } = options;
+  return {
+    ...rest,
+    ...(extensions && !rest.fileExtensions
+      ? { fileExtensions: extensions }
+      : {}),
+    tenantId: scope.tenantId,
+    projectId: scope.projectId,
+  };
+}
+
+function isInside(root, target) {
+  const relative = path.relative(root, target);
+  return (
+    relative !== ".." &&
+    !relative.startsWith(`..${path.sep}`) &&
+    !path.isAbsolute(relative)
+  );
+}
+
+/**
+ * Validate a crawl root directory, returning an absolute path
+ * Relative paths are taken from the workspace root, and nothing outside it
+ * (directly or through a symlink) can be crawled.
+ */
+function resolveRootDir(rootDir) {
+  const workspace = config.crawler.workspaceRoot;
+  const resolved = path.resolve(workspace, rootDir || ".");
+  if (!isInside(workspace, resolved)) {
+    const error = new Error("rootDir must be inside the crawl workspace");
+    error.status = 403;
+    throw error;
+  }
+
+  let stat;
+  try {
+    stat = fs.statSync(resolved);
+  } catch (err) {
+    stat = null;
+  }
+  if (!stat || !stat.isDirectory()) {
+    const error = new Error(`Directory not found: ${resolved}`);
+    error.status = 400;
+    throw error;
+  }
+  if (!isInside(fs.realpathSync(workspace), fs.realpathSync(resolved))) {
+    const error = new Error("rootDir must be inside the crawl workspace");
+    error.status = 403;
+    throw error;
+  }
+  return resolved;
+}
+
+function isBusy() {
+  return codebaseCrawler.isRunning || activeJob !== null;
+}
+
+function getQueueStatus() {
+  return {
+    active: activeJob ? 1 : 0,
+    queued: queue.length,
+  };
+}
+
+function serializeJob(job) {
+  return {
+    id: job.id,
+    rootDir: job.rootDir,
+    projectId: job.options.projectId || null,
+    status: job.status,
+    queuedAt: job.queuedAt,
+    startedAt: job.startedAt,
+    completedAt: job.completedAt,
+    stats: job.stats,
+    error: job.error,
+  };
+}
+
+function pruneFinishedJobs() {
+  const finished = [...jobs.values()].filter(
+    (job) => job.status === "completed" || job.status === "failed",
+  );
+  for (const job of finished.slice(0, finished.length - MAX_FINISHED_JOBS)) {
+    jobs.delete(job.id);
+  }
+}
+
+function createJob(rootDir, options) {
+  const id = `crawl_${Date.now()}_${crypto.randomBytes(4).toString("hex")}`;
+  const job = {
+    id,
+    rootDir,
+    // Stored issues carry the crawl id, so a crawl's issues can be exported
+    options: { ...options, crawlId: id },
+    status: "queued",
+    queuedAt: new Date().toISOString(),
+    startedAt: null,
+    completedAt: null,
+    stats: null,
+    error: null,
+  };
+  jobs.set(job.id, job);
+  return job;
+}
+
+function isVisible(job, req) {
+  return (
+    req.user?.role === "admin" ||
+    (job.options.tenantId || null) === (req.tenantId || null)
+  );
+}
+
+/**
+ * A queued, running or recently finished crawl job the request may see:
+ * one started in the request's tenant, or any job for an admin
+ * @param {string} jobId
+ * @param {Object} req - Authenticated request
+ * @returns {Object|null}
+ */
+function findJob(jobId, req) {
+  const job = jobs.get(jobId);
+  return job && isVisible(job, req) ? job : null;
+}
+
+/**
+ * Run queued crawl jobs one at a time
+ */
+function runNext() {
+  if (activeJob || queue.length === 0) return;
+
+  const job = queue.shift();
+  activeJob = job;
+  job.status = "running";
+  job.startedAt = new Date().toISOString();
+
+  codebaseCrawler
+    .crawlCodebase(job.rootDir, job.options)
+    .then((result) => {
+      job.status = "completed";
+      job.stats = result?.stats || null;
+    })
+    .catch((err) => {
+      log.error(`Crawl ${job.id} failed`, err);
+      job.status = "failed";
+      job.error = err.message;
+    })
+    .finally(() => {
+      job.completedAt = new Date().toISOString();
+      activeJob = null;
+      pruneFinishedJobs();
+      runNext();
+    });
+}
+
+function enqueue(job) {
+  queue.push(job);
+  runNext();
+}
+
+/**
+ * Create crawler routes
+ * @returns {express.Router}
+ */
+function createCrawlerRoutes() {
+  const router = express.Router();
+  const canRead = [
+    requireScope("analyze:read"),
+    requirePermission("project:read", resolveResource),
+  ];
+  const canCrawl = [
+    requireScope("analyze:write"),
+    requirePermission("crawl:run", resolveResource),
+  ];
+
+  /**
+   * GET /crawl/status - Current crawler state and last crawl stats
+   */
+  router.get("/crawl/status", canRead, async (req, res) => {
+    try {
+      const status = await codebaseCrawler.getStatus();
+      const body = {
+        isRunning: status.isRunning || activeJob !== null,
+        stats: status.stats,
+        progress: status.progress,
+        currentJob:
+          activeJob && isVisible(activeJob, req)
+            ? serializeJob(activeJob)
+            : null,
+        queue: getQueueStatus(),
+      };
+      res.json({ success: true, status: body, ...body });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /crawl - Start a crawl in the background
+   */
+  router.post("/crawl", canCrawl, (req, res) => {
+    try {
+      if (isBusy()) {
+        return res.status(409).json({
+          success: false,
+          error: "Crawler is already running",
+          queueStatus: getQueueStatus(),
+        });
+      }
+
+      const { rootDir, options = {} } = req.body || {};
+      const scope = {
+        tenantId: resolveTenantId(req),
+        projectId: resolveProjectId(req),
+      };
+      const job = createJob(
+        resolveRootDir(rootDir),
+        toCrawlerOptions(options, scope),
+      );
+      enqueue(job);
+
+      res.json({
+        success: true,
+        crawlId: job.id,
+        message: `Crawl started for ${job.rootDir}`,
+        job: serializeJob(job),
+      });
+    } catch (error) {
+      res
+        .status(error.status || 500)
+        .json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /crawl/parallel - Queue crawls for several directories
+   */
+  router.post("/crawl/parallel", canCrawl, (req, res) => {
+    const { directories, options = {} } = req.body || {};
+
+    if (!Array.isArray(directories) || directories.length === 0) {
+      return res.status(400).json({
+        success: false,
+        error: "directories must be a non-empty array",
+      });
+    }
+
+    const scope = {
+      tenantId: resolveTenantId(req),
+      projectId: resolveProjectId(req),
+    };
+    const crawlerOptions = toCrawlerOptions(options, scope);
+
+    const results = directories.map((dir) => {
+      try {
+        const job = createJob(resolveRootDir(dir), { ...crawlerOptions });
+        enqueue(job);
+        return {
+          success: true,
+          crawlId: job.id,
+          message: job.status === "running" ? "Started" : "Queued",
+        };
+      } catch (error) {
+        return { success: false, crawlId: null, message: error.message };
+      }
+    });
+
+    res.json({
+      success: results.some((result) => result.success),
+      results,
+      queueStatus: getQueueStatus(),
+    });
+  });
+
+  /**
+   * GET /jobs/:jobId - Status of a queued or finished crawl
+   */
+  router.get("/jobs/:jobId", canRead, (req, res) => {
+    const job = findJob(req.params.jobId, req);
+    if (!job) {
+      return res.status(404).json({ success: false, error: "Job not found" });
+    }
+    res.json({
+      success: true,
+      job: serializeJob(job),
+      queueStatus: getQueueStatus(),
+    });
+  });
+
+  return router;
+}
+
+module.exports = {
+  createCrawlerRoutes,
+  findJob,
+};
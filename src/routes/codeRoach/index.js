@@ -0,0 +1,40 @@
+/**
+ * Code Roach Modular Routes
+ * Mounts the /api/code-roach/* route modules used by the CLI and dashboard
+ */
+
+const express = require("express");
+const { createCrawlerRoutes } = require("./crawlerRoutes");
+const { createIssueRoutes } = require("./issueRoutes");
+const { createAnalyticsRoutes } = require("./analyticsRoutes");
+const { createOrganizationRoutes } = require("./organizationRoutes");
+
+const BASE_PATH = "/api/code-roach";
+
+/**
+ * Setup all modular Code Roach routes
+ * @param {Express} app - Express application
+ * @param {Object} options - Route options
+ * @param {Function[]} [options.middleware] - Middleware run before every
+ *   route (authentication, usage tracking, pricing)
+ * @param {string} [options.basePath] - Mount path (default /api/code-roach)
+ */
+function setupModularCodeRoachRoutes(app, options = {}) {
+  const { middleware = [], basePath = BASE_PATH } = options;
+
+  const router = express.Router();
+
+  if (middleware.length > 0) {
+    router.use(...middleware);
+  }
+  router.use(createCrawlerRoutes(options));
+  router.use(createIssueRoutes(options));
+  router.use(createAnalyticsRoutes(options));
+  router.use(createOrganizationRoutes(options));
+
+  app.use(basePath, router);
+}
+
+module.exports = {
+  setupModularCodeRoachRoutes,
+};
@@ -0,0 +1,311 @@
+/**
+ * Code Roach Issue Routes
+ * List stored issues, the review queue, review decisions and statistics
+ */
+
+const express = require("express");
+const issueStorageService = require("../../services/issueStorageService");
+const codebaseCrawler = require("../../services/codebaseCrawler");
+const sarifExporter = require("../../services/sarifExporter");
+const {
+  requireScope,
+  requirePermission,
+} = require("../../commercial-middleware");
+const { findJob } = require("./crawlerRoutes");
+const {
+  DEFAULT_PROJECT_ID,
+  resolveResource,
+  resolveTenantId,
+} = require("./scope");
+
+// CLI review actions -> stored review_status
+const REVIEW_ACTIONS = {
+  approve: "approved",
+  reject: "rejected",
+  defer: "deferred",
+};
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 1000;
+
+function parseLimit(value, fallback) {
+  const limit = parseInt(value, 10);
+  if (!Number.isFinite(limit) || limit <= 0) return fallback;
+  return Math.min(limit, MAX_LIMIT);
+}
+
+/**
+ * Shape a stored issue row for the CLI and dashboard, which read
+ * both flat fields and a nested `error` object
+ */
+function formatIssue(row) {
+  const file = row.file_path || row.error_file || null;
+  const line = row.line ?? row.error_line ?? null;
+  const hasFix = Boolean(row.fix_code || row.fix_method || row.fix_applied);
+
+  return {
+    ...row,
+    file,
+    line,
+    type: row.error_type,
+    severity: row.error_severity,
+    message: row.error_message,
+    status: row.review_status,
+    error: {
+      file,
+      line,
+      type: row.error_type,
+      severity: row.error_severity,
+      message: row.error_message,
+    },
+    fix: hasFix
+      ? {
+          code: row.fix_code || null,
+          method: row.fix_method || null,
+          safety: row.fix_safety || "medium",
+          confidence: row.fix_confidence ?? null,
+          applied: Boolean(row.fix_applied),
+        }
+      : null,
+  };
+}
+
+async function listIssues(filters, projectId) {
+  const rows = projectId
+    ? await issueStorageService.getProjectIssues(projectId, filters)
+    : await issueStorageService.getAllIssues(filters);
+  return {
+    issues: rows.map(formatIssue),
+    total: rows._count ?? rows.length,
+  };
+}
+
+/**
+ * Permissions on a single issue are checked against the issue's project
+ */
+async function resolveIssueResource(req) {
+  const issue = await issueStorageService.getIssue(req.params.id);
+  return { projectId: issue?.project_id || DEFAULT_PROJECT_ID };
+}
+
+/**
+ * A SARIF export of one crawl is checked against the crawl's project
+ */
+async function resolveExportResource(req) {
+  const { projectId, crawlId } = req.query;
+  if (projectId || !crawlId) return resolveResource(req);
+
+  const job = findJob(crawlId, req);
+  let crawlProject = job?.options.projectId;
+  if (!crawlProject) {
+    const [issue] = await issueStorageService.getAllIssues({
+      crawlId,
+      limit: 1,
+    });
+    crawlProject = issue?.project_id;
+  }
+  return {
+    tenantId: resolveTenantId(req),
+    projectId: crawlProject || DEFAULT_PROJECT_ID,
+  };
+}
+
+/**
+ * Create issue routes
+ * @returns {express.Router}
+ */
+function createIssueRoutes() {
+  const router = express.Router();
+  const canRead = [
+    requireScope("analyze:read"),
+    requirePermission("project:read", resolveResource),
+  ];
+  const canReadIssue = [
+    requireScope("analyze:read"),
+    requirePermission("project:read", resolveIssueResource),
+  ];
+  const canExport = [
+    requireScope("analyze:read"),
+    requirePermission("project:read", resolveExportResource),
+  ];
+  const canReview = [
+    requireScope("analyze:write"),
+    requirePermission("issue:review", resolveIssueResource),
+  ];
+
+  /**
+   * GET /issues - Stored issues with optional filters
+   */
+  router.get("/issues", canRead, async (req, res) => {
+    try {
+      const { projectId, status, severity, type, filePath, safety, offset } =
+        req.query;
+      const { issues, total } = await listIssues(
+        {
+          status,
+          severity,
+          type,
+          filePath,
+          safety,
+          limit: parseLimit(req.query.limit, DEFAULT_LIMIT),
+          offset: parseInt(offset, 10) || 0,
+        },
+        projectId,
+      );
+      res.json({ success: true, issues, count: issues.length, total });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /issues/review - Issues waiting for a human decision
+   */
+  router.get("/issues/review", canRead, async (req, res) => {
+    try {
+      const { issues, total } = await listIssues(
+        {
+          status: "pending",
+          limit: parseLimit(req.query.limit, 20),
+        },
+        req.query.projectId,
+      );
+      res.json({ success: true, issues, count: issues.length, total });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /issues/sarif - A project's or crawl's issues as a SARIF 2.1.0 log
+   * (?projectId, ?crawlId, ?baseDir: the source root paths are relative to,
+   * by default the crawl's root directory)
+   */
+  router.get("/issues/sarif", canExport, async (req, res) => {
+    try {
+      const { projectId, crawlId, baseDir } = req.query;
+      // A crawl on its own exports from the crawl's project
+      const scope =
+        crawlId && !projectId ? await resolveExportResource(req) : req.query;
+      const sarif = await sarifExporter.exportIssues({
+        projectId: scope.projectId,
+        crawlId,
+        baseDir:
+          baseDir || (crawlId && findJob(crawlId, req)?.rootDir) || null,
+      });
+      res.type("application/sarif+json").send(JSON.stringify(sarif, null, 2));
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /issues/:id - Single issue
+   */
+  router.get("/issues/:id", canReadIssue, async (req, res) => {
+    try {
+      const issue = await issueStorageService.getIssue(req.params.id);
+      if (!issue) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Issue not found" });
+      }
+      res.json({ success: true, issue: formatIssue(issue) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * POST /issues/:id/review - Approve, reject or defer an issue
+   */
+  router.post("/issues/:id/review", canReview, async (req, res) => {
+    try {
+      const { action, notes } = req.body || {};
+      const reviewStatus = REVIEW_ACTIONS[action];
+      if (!reviewStatus) {
+        return res.status(400).json({
+          success: false,
+          error: "Action must be: approve, reject, or defer",
+        });
+      }
+
+      const existing = await issueStorageService.getIssue(req.params.id);
+      if (!existing) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Issue not found" });
+      }
+
+      const issue = await issueStorageService.updateIssue(req.params.id, {
+        review_status: reviewStatus,
+        review_notes: notes || null,
+        reviewed_at: new Date().toISOString(),
+        reviewed_by: req.user?.id || null,
+      });
+      if (!issue) {
+        return res
+          .status(500)
+          .json({ success: false, error: "Failed to update issue" });
+      }
+
+      res.json({ success: true, issue: formatIssue(issue) });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  /**
+   * GET /stats - Issue statistics plus the last crawl's stats
+   */
+  router.get("/stats", canRead, async (req, res) => {
+    try {
+      const { projectId } = req.query;
+      let statistics;
+      if (projectId) {
+        statistics = await issueStorageService.getProjectStatistics(projectId);
+      } else {
+        const { issues, total } = await listIssues({ limit: MAX_LIMIT });
+        statistics = summarize(issues, total);
+      }
+      const crawl = await codebaseCrawler.getStatus();
+
+      res.json({
+        success: true,
+        statistics: { ...(statistics || {}), crawl: crawl.stats },
+      });
+    } catch (error) {
+      res.status(500).json({ success: false, error: error.message });
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Same shape as issueStorageService.getProjectStatistics, across projects
+ */
+function summarize(issues, total) {
+  const stats = {
+    total,
+    byStatus: {},
+    bySeverity: {},
+    byType: {},
+    resolved: 0,
+    pending: 0,
+  };
+  for (const issue of issues) {
+    stats.byStatus[issue.status] = (stats.byStatus[issue.status] || 0) + 1;
+    stats.bySeverity[issue.severity] =
+      (stats.bySeverity[issue.severity] || 0) + 1;
+    stats.byType[issue.type] = (stats.byType[issue.type] || 0) + 1;
+    if (issue.status === "resolved") stats.resolved++;
+    else if (issue.status === "pending") stats.pending++;
+  }
+  return stats;
+}
+
+module.exports = {
+  createIssueRoutes,
+  formatIssue,
+};
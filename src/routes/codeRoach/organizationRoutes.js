@@ -0,0 +1,271 @@
+/**
+ * Code Roach Organization Routes
+ * Organizations, projects and their members, as used by the dashboard
+ */
+
+const express = require("express");
+const accessControlService = require("../../services/accessControlService");
+const authStore = require("../../services/commercialAuthStore");
+const {
+  requireScope,
+  requirePermission,
+} = require("../../commercial-middleware");
+
+const MEMBER_TYPES = {
+  organizations: "organization",
+  projects: "project",
+};
+
+function organizationResource(req) {
+  return { organizationId: req.params.organizationId };
+}
+
+function projectResource(req) {
+  return { projectId: req.params.projectId };
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+/**
+ * Member by userId, or by the email of a registered user
+ */
+async function resolveMemberId(body) {
+  if (body.userId) return String(body.userId);
+  if (!body.email) return null;
+  const user = await authStore.getUserByEmail(body.email);
+  return user?.id || null;
+}
+
+/**
+ * Create organization and project routes
+ * @returns {express.Router}
+ */
+function createOrganizationRoutes() {
+  const router = express.Router();
+  const canRead = requireScope("analyze:read");
+  const canWrite = requireScope("analyze:write");
+
+  /**
+   * GET /organizations - Organizations the caller belongs to, with their role
+   */
+  router.get("/organizations", canRead, async (req, res) => {
+    try {
+      const organizations = await accessControlService.listOrganizations(
+        req.user,
+      );
+      res.json({ success: true, organizations });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /organizations - Create an organization; the caller becomes owner
+   */
+  router.post("/organizations", canWrite, async (req, res) => {
+    try {
+      const { name, slug } = req.body || {};
+      const organization = await accessControlService.createOrganization(
+        { name, slug },
+        req.user,
+      );
+      res.status(201).json({ success: true, organization });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /projects - Projects the caller can see (?organizationId= to filter)
+   */
+  router.get("/projects", canRead, async (req, res) => {
+    try {
+      const projects = await accessControlService.listProjects(req.user, {
+        organizationId: req.query.organizationId,
+      });
+      res.json({ success: true, projects });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /projects - Create a project in an organization
+   */
+  router.post(
+    "/projects",
+    canWrite,
+    requirePermission("project:manage", (req) => ({
+      organizationId: req.body?.organizationId,
+    })),
+    async (req, res) => {
+      try {
+        const project = await accessControlService.createProject(
+          req.body || {},
+          req.user,
+        );
+        res.status(201).json({ success: true, project });
+      } catch (error) {
+        sendError(res, error);
+      }
+    },
+  );
+
+  /**
+   * GET /projects/:projectId - One project
+   */
+  router.get(
+    "/projects/:projectId",
+    canRead,
+    requirePermission("project:read", projectResource),
+    async (req, res) => {
+      try {
+        const project = await accessControlService.getProject(
+          req.params.projectId,
+        );
+        if (!project) {
+          return res
+            .status(404)
+            .json({ success: false, error: "Project not found" });
+        }
+        res.json({ success: true, project });
+      } catch (error) {
+        sendError(res, error);
+      }
+    },
+  );
+
+  /**
+   * PUT /projects/:projectId - Update project settings
+   */
+  router.put(
+    "/projects/:projectId",
+    canWrite,
+    requirePermission("project:manage", projectResource),
+    async (req, res) => {
+      try {
+        const project = await accessControlService.updateProject(
+          req.params.projectId,
+          req.body || {},
+        );
+        if (!project) {
+          return res
+            .status(404)
+            .json({ success: false, error: "Project not found" });
+        }
+        res.json({ success: true, project });
+      } catch (error) {
+        sendError(res, error);
+      }
+    },
+  );
+
+  /**
+   * DELETE /projects/:projectId - Delete a project (owners only)
+   */
+  router.delete(
+    "/projects/:projectId",
+    canWrite,
+    requirePermission("project:delete", projectResource),
+    async (req, res) => {
+      try {
+        await accessControlService.deleteProject(req.params.projectId);
+        res.json({ success: true });
+      } catch (error) {
+        sendError(res, error);
+      }
+    },
+  );
+
+  // Membership of organizations and projects share one set of handlers
+  for (const [collection, type] of Object.entries(MEMBER_TYPES)) {
+    const param = type === "organization" ? "organizationId" : "projectId";
+    const base = `/${collection}/:${param}/members`;
+    const resource =
+      type === "organization" ? organizationResource : projectResource;
+
+    /**
+     * GET /:collection/:id/members - Members and their roles
+     */
+    router.get(
+      base,
+      canRead,
+      requirePermission("project:read", resource),
+      async (req, res) => {
+        try {
+          const members = await accessControlService.listMembers(
+            type,
+            req.params[param],
+          );
+          res.json({ success: true, members });
+        } catch (error) {
+          sendError(res, error);
+        }
+      },
+    );
+
+    /**
+     * POST /:collection/:id/members - Add a member or change their role
+     * Body: { userId | email, role }
+     */
+    router.post(
+      base,
+      canWrite,
+      requirePermission("members:manage", resource),
+      async (req, res) => {
+        try {
+          const body = req.body || {};
+          const userId = await resolveMemberId(body);
+          if (!userId) {
+            return res.status(404).json({
+              success: false,
+              error: "User not found (pass userId or a registered email)",
+            });
+          }
+          const member = await accessControlService.addMember(
+            type,
+            req.params[param],
+            userId,
+            body.role,
+            req.user,
+          );
+          res.json({ success: true, member });
+        } catch (error) {
+          sendError(res, error);
+        }
+      },
+    );
+
+    /**
+     * DELETE /:collection/:id/members/:userId - Remove a member
+     */
+    router.delete(
+      `${base}/:userId`,
+      canWrite,
+      requirePermission("members:manage", resource),
+      async (req, res) => {
+        try {
+          const member = await accessControlService.removeMember(
+            type,
+            req.params[param],
+            req.params.userId,
+            req.user,
+          );
+          res.json({ success: true, member });
+        } catch (error) {
+          sendError(res, error);
+        }
+      },
+    );
+  }
+
+  return router;
+}
+
+module.exports = {
+  createOrganizationRoutes,
+};
@@ -0,0 +1,49 @@
+/**
+ * Code Roach Route Scope Helpers
+ * Resolve the tenant and project a request applies to
+ */
+
+// Issues from crawls without an explicit project are stored under this id
+const DEFAULT_PROJECT_ID = process.env.DEFAULT_PROJECT_ID || "default";
+
+/**
+ * Project from the body, crawl options or query, falling back to the default
+ */
+function resolveProjectId(req) {
+  const body = req.body || {};
+  return (
+    body.projectId ||
+    body.options?.projectId ||
+    req.query.projectId ||
+    DEFAULT_PROJECT_ID
+  );
+}
+
+/**
+ * Tenant the request acts in (checked by authenticate), else from the body
+ * or query, falling back to the authenticated user
+ */
+function resolveTenantId(req) {
+  const body = req.body || {};
+  return (
+    req.tenantId ||
+    body.tenantId ||
+    req.query.tenantId ||
+    req.user?.tenantId ||
+    null
+  );
+}
+
+/**
+ * Resource a request targets, for requirePermission()
+ */
+function resolveResource(req) {
+  return { tenantId: resolveTenantId(req), projectId: resolveProjectId(req) };
+}
+
+module.exports = {
+  DEFAULT_PROJECT_ID,
+  resolveProjectId,
+  resolveTenantId,
+  resolveResource,
+};
@@ -6,8 +6,6 @@
  * See ./codeRoach/crawlerRoutes.js, ./codeRoach/analyticsRoutes.js, etc.
  */
 
-const express = require("express");
-const router = express.Router();
 const { createLogger } = require("../utils/logger");
 const { setupModularCodeRoachRoutes } = require("./codeRoach");
 
@@ -18,7 +16,7 @@ const log = createLogger("CodeRoachAPI");
  * @param {Express} app - Express application
  * @param {Object} options - Route options
  */
-function setupCodeRoachRoutes(app, options) {
+function setupCodeRoachRoutes(app, options = {}) {
   log.info("🐜 Setting up Code Roach API routes...");
 
   // Setup all modular Code Roach routes
@@ -30,5 +28,3 @@ function setupCodeRoachRoutes(app, options) {
 module.exports = {
   setupCodeRoachRoutes,
 };
-
-// Start crawl (non-blocking - starts in background)
@@ -0,0 +1,156 @@
+/**
+ * Compliance Report Routes
+ * A tenant's compliance evidence reports: generate, list, export as JSON or
+ * HTML, and verify an export or the whole report chain
+ *
+ * Mounted behind `authenticate` and the caller's permission checks.
+ */
+
+const express = require("express");
+const complianceReportService = require("../services/complianceReportService");
+
+// HTML exports carry every evidence excerpt
+const UPLOAD_LIMIT = "10mb";
+
+/**
+ * Create routes for one tenant's compliance reports
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveTenant - (req) => tenant id; may throw an
+ *   error with a `status` to refuse the request
+ * @param {Function} [options.generateReport] - (tenantId, { frameworks,
+ *   from, to }) => exported report; defaults to complianceReportService
+ * @returns {express.Router}
+ */
+function createComplianceReportRoutes({ resolveTenant, generateReport }) {
+  const router = express.Router({ mergeParams: true });
+  const generate =
+    generateReport ||
+    ((tenantId, options) => complianceReportService.generate(tenantId, options));
+
+  router.use(async (req, res, next) => {
+    try {
+      req.reportTenantId = await resolveTenant(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST / - Generate a report; Body: { frameworks, from, to } (defaults:
+   * every framework, the last COMPLIANCE_REPORT_PERIOD_DAYS days)
+   */
+  router.post("/", async (req, res) => {
+    try {
+      const { frameworks, from, to } = req.body || {};
+      const exported = await generate(req.reportTenantId, {
+        frameworks,
+        from,
+        to,
+      });
+      res.status(201).json({ success: true, ...exported });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET / - Reports without their content, newest first; Query: limit
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const reports = await complianceReportService.listReports(
+        req.reportTenantId,
+        { limit: req.query.limit },
+      );
+      res.json({ success: true, reports });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /verify - Recompute the tenant's whole report chain
+   */
+  router.get("/verify", async (req, res) => {
+    try {
+      const verification = await complianceReportService.verifyChain(
+        req.reportTenantId,
+      );
+      res.json({ success: true, ...verification });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /verify - Verify an export: the JSON export as application/json,
+   * or the HTML export as text/html
+   */
+  router.post(
+    "/verify",
+    express.text({ type: ["text/html", "text/plain"], limit: UPLOAD_LIMIT }),
+    async (req, res) => {
+      try {
+        const verification = await complianceReportService.verify(req.body, {
+          tenantId: req.reportTenantId,
+        });
+        res.json({ success: true, ...verification });
+      } catch (error) {
+        sendError(res, error);
+      }
+    },
+  );
+
+  /**
+   * GET /signing-key - The public key report signatures verify with
+   */
+  router.get("/signing-key", (req, res) => {
+    const key = complianceReportService.getPublicKey();
+    if (!key) {
+      return res
+        .status(404)
+        .json({ success: false, error: "Reports are not signed" });
+    }
+    res.json({ success: true, ...key });
+  });
+
+  /**
+   * GET /:reportId - Download a report; Query: format (json or html)
+   */
+  router.get("/:reportId", async (req, res) => {
+    try {
+      const exported = await complianceReportService.getReport(
+        req.reportTenantId,
+        req.params.reportId,
+      );
+      if (!exported) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Compliance report not found" });
+      }
+
+      const name = `compliance-report-${exported.integrity.sequence}`;
+      if (req.query.format === "html") {
+        res.set("Content-Disposition", `attachment; filename="${name}.html"`);
+        return res
+          .type("html")
+          .send(complianceReportService.toHtml(exported));
+      }
+      res.set("Content-Disposition", `attachment; filename="${name}.json"`);
+      res.type("json").send(JSON.stringify(exported, null, 2));
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = { createComplianceReportRoutes };
@@ -0,0 +1,113 @@
+/**
+ * DSAR Routes
+ * Receive data subject access, rectification and erasure requests and
+ * report their status
+ *
+ * Mounted behind `authenticate`. A DSAR acts on the tenant the request was
+ * authenticated for (req.tenantId). Without one it is platform-wide and
+ * reaches account data shared by every tenant, so only platform admins can
+ * make or read those.
+ */
+
+const express = require("express");
+const dataSubjectService = require("../services/dataSubjectService");
+const {
+  trackUsage,
+  checkPricing,
+  requireScope,
+  requirePermission,
+  requireAdmin,
+} = require("../commercial-middleware");
+
+/**
+ * Refuse a tenantId other than the request's tenant, and platform-wide
+ * requests from anyone but an admin
+ */
+function requireOwnTenantOrAdmin(req, res, next) {
+  const named = req.body?.tenantId || req.query.tenantId;
+  if (named && named !== req.tenantId) {
+    return res.status(400).json({
+      error: "tenantId must be the tenant the request acts in (X-Tenant-Id)",
+    });
+  }
+  if (req.tenantId) {
+    return next();
+  }
+  requireAdmin(req, res, next);
+}
+
+/**
+ * Create DSAR routes
+ * @param {Object} options - Route options
+ * @param {Function} options.processDSAR - (tenantId, subjectId, requestType,
+ *   data) => DSAR; tenantId is null for platform-wide requests
+ * @returns {express.Router}
+ */
+function createDsarRoutes({ processDSAR }) {
+  const router = express.Router();
+  router.use(
+    requireScope("admin"),
+    requirePermission("tenant:manage"),
+    requireOwnTenantOrAdmin,
+  );
+
+  /**
+   * POST / - Process a request; Body: { subjectId, requestType, data }
+   */
+  router.post("/", trackUsage, checkPricing, async (req, res) => {
+    try {
+      const { subjectId, requestType, data } = req.body || {};
+      const dsar = await processDSAR(
+        req.tenantId || null,
+        subjectId,
+        requestType,
+        data,
+      );
+      res.json(dsar);
+    } catch (error) {
+      res.status(error.status || 400).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET / - The tenant's requests (every request for a platform admin)
+   * Query: status, subjectId, overdue, limit
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const { status, subjectId, overdue, limit } = req.query;
+      const requests = await dataSubjectService.listRequests({
+        tenantId: req.tenantId || undefined,
+        status,
+        subjectId,
+        overdue: overdue === "true",
+        limit,
+      });
+      res.json({ requests });
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  /**
+   * GET /:dsarId - One of the tenant's requests
+   */
+  router.get("/:dsarId", async (req, res) => {
+    try {
+      const request = await dataSubjectService.getRequest(
+        req.params.dsarId,
+        req.tenantId || undefined,
+      );
+      if (!request) {
+        return res.status(404).json({ error: "DSAR not found" });
+      }
+      res.json(request);
+    } catch (error) {
+      res.status(500).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = { createDsarRoutes };
@@ -0,0 +1,159 @@
+/**
+ * Encryption Routes
+ * A tenant's encryption at rest: its state, data key rotation and
+ * re-encryption, and the platform-wide key and re-encryption operations
+ *
+ * Mounted behind `authenticate` and the caller's permission checks.
+ */
+
+const express = require("express");
+const encryptionKeyService = require("../services/encryptionKeyService");
+
+/**
+ * Create routes for one tenant's encryption at rest
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveTenant - (req) => tenant id; may throw an
+ *   error with a `status` to refuse the request
+ * @returns {express.Router}
+ */
+function createEncryptionRoutes({ resolveTenant }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      req.encryptionTenantId = await resolveTenant(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET / - The tenant's data keys (without key material), how its stored
+   * code fields are encrypted and whether that is compliant
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const evaluation = await encryptionKeyService.evaluate(
+        req.encryptionTenantId,
+      );
+      res.json({
+        success: true,
+        tenantId: req.encryptionTenantId,
+        ...evaluation,
+      });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /rotate - Retire the active data key and start a new one
+   */
+  router.post("/rotate", async (req, res) => {
+    try {
+      const rotation = await encryptionKeyService.rotateKey(
+        req.encryptionTenantId,
+      );
+      res.json({ success: true, ...rotation });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /reencrypt - Move the tenant's data to its active key now; Body:
+   * { dryRun }
+   */
+  router.post("/reencrypt", async (req, res) => {
+    try {
+      const report = await encryptionKeyService.reencrypt({
+        tenantId: req.encryptionTenantId,
+        dryRun: Boolean(req.body?.dryRun),
+      });
+      res.json({ success: true, report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create platform-wide encryption routes (admins only)
+ * @returns {express.Router}
+ */
+function createEncryptionAdminRoutes() {
+  const router = express.Router();
+
+  /**
+   * POST /reencrypt - Re-encrypt every tenant, or one; Body: { tenantId,
+   * dryRun }
+   */
+  router.post("/reencrypt", async (req, res) => {
+    try {
+      const { tenantId, dryRun } = req.body || {};
+      const report = await encryptionKeyService.reencrypt({
+        tenantId,
+        dryRun: Boolean(dryRun),
+      });
+      res.json({ success: true, report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /rewrap - Re-wrap data keys after a master key rotation
+   */
+  router.post("/rewrap", async (req, res) => {
+    try {
+      const result = await encryptionKeyService.rewrapKeys();
+      res.json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /reports - Re-encryption reports, newest first; Query: limit
+   */
+  router.get("/reports", async (req, res) => {
+    try {
+      const reports = await encryptionKeyService.listReports({
+        limit: req.query.limit,
+      });
+      res.json({ success: true, reports });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get("/reports/:reportId", async (req, res) => {
+    try {
+      const report = await encryptionKeyService.getReport(req.params.reportId);
+      if (!report) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Re-encryption report not found" });
+      }
+      res.json({ success: true, report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = {
+  createEncryptionRoutes,
+  createEncryptionAdminRoutes,
+};
@@ -0,0 +1,87 @@
+/**
+ * Prompt Redaction Routes
+ * A tenant's redaction mode for prompts sent to LLM providers and the
+ * record of what was redacted
+ *
+ * Mounted behind `authenticate` and the caller's permission checks.
+ */
+
+const express = require("express");
+const promptRedactionService = require("../services/promptRedactionService");
+
+/**
+ * Create routes for one tenant's prompt redaction
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveTenant - (req) => tenant id; may throw an
+ *   error with a `status` to refuse the request
+ * @returns {express.Router}
+ */
+function createPromptRedactionRoutes({ resolveTenant }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      req.redactionTenantId = await resolveTenant(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET / - The tenant's redaction mode
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const policy = await promptRedactionService.getPolicy(
+        req.redactionTenantId,
+      );
+      res.json({ success: true, tenantId: req.redactionTenantId, ...policy });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * PUT / - Body: { mode } (enabled, disabled or mandatory); only platform
+   * admins can lift mandatory redaction
+   */
+  router.put("/", async (req, res) => {
+    try {
+      const policy = await promptRedactionService.setPolicy(
+        req.redactionTenantId,
+        req.body?.mode,
+        { allowDowngrade: req.user?.role === "admin" },
+      );
+      res.json({ success: true, tenantId: req.redactionTenantId, ...policy });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /records - What was redacted per request, newest first; Query:
+   * since, limit
+   */
+  router.get("/records", async (req, res) => {
+    try {
+      const records = await promptRedactionService.listRecords(
+        req.redactionTenantId,
+        { since: req.query.since, limit: req.query.limit },
+      );
+      res.json({ success: true, records });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = { createPromptRedactionRoutes };
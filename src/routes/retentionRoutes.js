@@ -0,0 +1,240 @@
+/**
+ * Retention Routes
+ * A tenant's retention policies, legal holds and purges, and the
+ * platform-wide purge reports and holds for admins
+ *
+ * Mounted behind `authenticate` and the caller's permission checks.
+ */
+
+const express = require("express");
+const retentionService = require("../services/retentionService");
+
+/**
+ * Create routes for one tenant's retention
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveTenant - (req) => tenant id; may throw an
+ *   error with a `status` to refuse the request
+ * @returns {express.Router}
+ */
+function createRetentionRoutes({ resolveTenant }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      req.retentionTenantId = await resolveTenant(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET / - Effective policies, active holds, last purge, records past
+   * their retention period and whether that is compliant
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const evaluation = await retentionService.evaluate(req.retentionTenantId);
+      res.json({ success: true, ...evaluation });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * PUT /policies/:dataClass - Body: { days } (null keeps the data
+   * indefinitely)
+   */
+  router.put("/policies/:dataClass", async (req, res) => {
+    try {
+      if (!req.body || req.body.days === undefined) {
+        return res
+          .status(400)
+          .json({ success: false, error: "days is required" });
+      }
+      const policy = await retentionService.setPolicy(
+        req.retentionTenantId,
+        req.params.dataClass,
+        req.body.days,
+      );
+      res.json({ success: true, dataClass: req.params.dataClass, ...policy });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /policies/:dataClass - Follow the platform default again
+   */
+  router.delete("/policies/:dataClass", async (req, res) => {
+    try {
+      const policy = await retentionService.resetPolicy(
+        req.retentionTenantId,
+        req.params.dataClass,
+      );
+      res.json({ success: true, dataClass: req.params.dataClass, ...policy });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /holds - Body: { reason, dataClasses } (dataClasses omitted holds
+   * every class)
+   */
+  router.post("/holds", async (req, res) => {
+    try {
+      const { reason, dataClasses } = req.body || {};
+      const hold = await retentionService.placeHold({
+        tenantId: req.retentionTenantId,
+        dataClasses: dataClasses || null,
+        reason,
+      });
+      res.status(201).json({ success: true, hold });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /holds/:holdId - Release one of the tenant's holds
+   */
+  router.delete("/holds/:holdId", async (req, res) => {
+    try {
+      const hold = await retentionService.releaseHold(req.params.holdId, {
+        tenantId: req.retentionTenantId,
+      });
+      res.json({ success: true, hold });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /purge - Purge the tenant now; Body: { dryRun }
+   */
+  router.post("/purge", async (req, res) => {
+    try {
+      const report = await retentionService.purge({
+        tenantId: req.retentionTenantId,
+        dryRun: Boolean(req.body?.dryRun),
+      });
+      res.json({ success: true, report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+/**
+ * Create platform-wide retention routes (admins only)
+ * @returns {express.Router}
+ */
+function createRetentionAdminRoutes() {
+  const router = express.Router();
+
+  /**
+   * POST /purge - Purge every known tenant, or one; Body: { tenantId,
+   * dryRun }
+   */
+  router.post("/purge", async (req, res) => {
+    try {
+      const { tenantId, dryRun } = req.body || {};
+      const report = await retentionService.purge({
+        tenantId,
+        dryRun: Boolean(dryRun),
+      });
+      res.json({ success: true, report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /reports - Purge reports, newest first; Query: dryRun, limit
+   */
+  router.get("/reports", async (req, res) => {
+    try {
+      const reports = await retentionService.listReports({
+        dryRun:
+          req.query.dryRun === undefined
+            ? undefined
+            : req.query.dryRun === "true",
+        limit: req.query.limit,
+      });
+      res.json({ success: true, reports });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.get("/reports/:reportId", async (req, res) => {
+    try {
+      const report = await retentionService.getReport(req.params.reportId);
+      if (!report) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Purge report not found" });
+      }
+      res.json({ success: true, report });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /holds - Every hold; Query: includeReleased
+   */
+  router.get("/holds", async (req, res) => {
+    try {
+      const holds = await retentionService.listHolds({
+        includeReleased: req.query.includeReleased === "true",
+      });
+      res.json({ success: true, holds });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /holds - Body: { tenantId, reason, dataClasses }; no tenantId
+   * holds every tenant
+   */
+  router.post("/holds", async (req, res) => {
+    try {
+      const { tenantId, reason, dataClasses } = req.body || {};
+      const hold = await retentionService.placeHold({
+        tenantId: tenantId || null,
+        dataClasses: dataClasses || null,
+        reason,
+      });
+      res.status(201).json({ success: true, hold });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  router.delete("/holds/:holdId", async (req, res) => {
+    try {
+      const hold = await retentionService.releaseHold(req.params.holdId);
+      res.json({ success: true, hold });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = {
+  createRetentionRoutes,
+  createRetentionAdminRoutes,
+};
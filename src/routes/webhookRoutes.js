@@ -0,0 +1,243 @@
+/**
+ * Webhook Routes
+ * A tenant's outgoing webhooks: registration, the delivery log, the
+ * dead-letter queue and redelivery
+ *
+ * Mounted behind `authenticate` and the caller's permission checks.
+ */
+
+const express = require("express");
+const webhookService = require("../services/webhookService");
+
+/**
+ * Create routes for one tenant's webhooks
+ * @param {Object} options - Route options
+ * @param {Function} options.resolveTenant - (req) => tenant id; may throw an
+ *   error with a `status` to refuse the request
+ * @returns {express.Router}
+ */
+function createWebhookRoutes({ resolveTenant }) {
+  const router = express.Router({ mergeParams: true });
+
+  router.use(async (req, res, next) => {
+    try {
+      req.webhookTenantId = await resolveTenant(req);
+      next();
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  const scope = (req) => ({ tenantId: req.webhookTenantId });
+
+  /**
+   * GET / - The tenant's webhooks; Query: event, enabled
+   */
+  router.get("/", async (req, res) => {
+    try {
+      const { webhooks } = await webhookService.listWebhooks({
+        ...scope(req),
+        event: req.query.event,
+        enabled:
+          req.query.enabled === undefined
+            ? undefined
+            : req.query.enabled === "true",
+      });
+      res.json({ success: true, webhooks });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST / - Register a webhook; Body: { url, events, secret }. The secret
+   * (generated unless given) is only returned here.
+   */
+  router.post("/", async (req, res) => {
+    try {
+      const { url, events, secret } = req.body || {};
+      const result = await webhookService.registerWebhook({
+        ...scope(req),
+        url,
+        events,
+        secret,
+      });
+      if (!result.success) {
+        return res
+          .status(result.status || 400)
+          .json({ success: false, error: result.error });
+      }
+      res.status(201).json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /dead-letters - Deliveries that ran out of attempts; Query:
+   * webhookId, limit
+   */
+  router.get("/dead-letters", async (req, res) => {
+    try {
+      const deliveries = await webhookService.listDeadLetters({
+        ...scope(req),
+        webhookId: req.query.webhookId,
+        limit: req.query.limit,
+      });
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /deliveries/:deliveryId - One delivery with its attempts
+   */
+  router.get("/deliveries/:deliveryId", async (req, res) => {
+    try {
+      const delivery = await webhookService.getDelivery(
+        req.params.deliveryId,
+        scope(req),
+      );
+      if (!delivery) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Delivery not found" });
+      }
+      res.json({ success: true, delivery });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /deliveries/:deliveryId/redeliver - Queue a delivery again
+   */
+  router.post("/deliveries/:deliveryId/redeliver", async (req, res) => {
+    try {
+      const delivery = await webhookService.redeliver(
+        req.params.deliveryId,
+        scope(req),
+      );
+      res.status(202).json({ success: true, delivery });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /:webhookId - One webhook
+   */
+  router.get("/:webhookId", async (req, res) => {
+    try {
+      const webhook = await webhookService.getWebhook(
+        req.params.webhookId,
+        scope(req),
+      );
+      if (!webhook) {
+        return res
+          .status(404)
+          .json({ success: false, error: "Webhook not found" });
+      }
+      res.json({ success: true, webhook });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * PATCH /:webhookId - Change url, events or enabled; Body: { url,
+   * events, enabled }
+   */
+  router.patch("/:webhookId", async (req, res) => {
+    try {
+      const { url, events, enabled } = req.body || {};
+      const webhook = await webhookService.updateWebhook(
+        req.params.webhookId,
+        { url, events, enabled },
+        scope(req),
+      );
+      res.json({ success: true, webhook });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * DELETE /:webhookId - Remove a webhook and its delivery log
+   */
+  router.delete("/:webhookId", async (req, res) => {
+    try {
+      const result = await webhookService.deleteWebhook(
+        req.params.webhookId,
+        scope(req),
+      );
+      if (!result.success) {
+        return res.status(404).json(result);
+      }
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /:webhookId/test - Send a `test` event once
+   */
+  router.post("/:webhookId/test", async (req, res) => {
+    try {
+      const result = await webhookService.testWebhook(
+        req.params.webhookId,
+        scope(req),
+      );
+      if (result.error === "Webhook not found") {
+        return res.status(404).json(result);
+      }
+      res.json(result);
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * GET /:webhookId/deliveries - The delivery log, newest first; Query:
+   * status (pending, delivered, dead_letter), limit
+   */
+  router.get("/:webhookId/deliveries", async (req, res) => {
+    try {
+      const deliveries = await webhookService.listDeliveries(
+        req.params.webhookId,
+        { ...scope(req), status: req.query.status, limit: req.query.limit },
+      );
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  /**
+   * POST /:webhookId/redeliver - Queue all of the webhook's dead letters
+   * again
+   */
+  router.post("/:webhookId/redeliver", async (req, res) => {
+    try {
+      const result = await webhookService.redeliverDeadLetters(
+        req.params.webhookId,
+        scope(req),
+      );
+      res.status(202).json({ success: true, ...result });
+    } catch (error) {
+      sendError(res, error);
+    }
+  });
+
+  return router;
+}
+
+function sendError(res, error) {
+  res
+    .status(error.status || 500)
+    .json({ success: false, error: error.message });
+}
+
+module.exports = { createWebhookRoutes };
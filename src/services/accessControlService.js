@@ -0,0 +1,684 @@
+/**
+ * Access Control Service
+ * Organizations, projects and role-based membership
+ *
+ * Users hold one of four roles on an organization or project:
+ *   owner > maintainer > reviewer > viewer
+ * An organization role applies to every project in it, and a project role
+ * can raise (never lower) it for one project. Organizations linked to an
+ * enterprise tenant also grant their roles on that tenant. Platform admins
+ * (user.role === "admin") may do everything; tenant API keys act as owner
+ * of their own tenant's organizations.
+ *
+ * Routes check permissions through requirePermission() in
+ * commercial-middleware, which calls can().
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const auditLogService = require("./auditLogService");
+
+const ORGANIZATIONS_TABLE = "organizations";
+const PROJECTS_TABLE = "projects";
+const MEMBER_TABLES = {
+  organization: "organization_members",
+  project: "project_members",
+};
+const MEMBER_KEYS = {
+  organization: "organization_id",
+  project: "project_id",
+};
+
+// Ascending
+const ROLES = ["viewer", "reviewer", "maintainer", "owner"];
+
+// Least role needed for each permission
+const PERMISSIONS = {
+  "project:read": "viewer",
+  "tenant:read": "viewer",
+  "analysis:run": "reviewer",
+  "issue:review": "reviewer",
+  "crawl:run": "maintainer",
+  "fix:apply": "maintainer",
+  "project:manage": "maintainer",
+  "members:manage": "maintainer",
+  "project:delete": "owner",
+  "organization:manage": "owner",
+  "tenant:manage": "owner",
+};
+
+// Permissions that change code or settings, or read server directories;
+// outside strict mode, unregistered projects and requests naming no
+// resource still never grant them
+const MANAGED_ONLY = new Set([
+  "crawl:run",
+  "fix:apply",
+  "project:manage",
+  "members:manage",
+  "project:delete",
+  "organization:manage",
+  "tenant:manage",
+]);
+
+const PROJECT_FIELDS = [
+  "name",
+  "slug",
+  "repository_url",
+  "repository_type",
+  "root_directory",
+  "language",
+  "framework",
+];
+
+class AccessControlError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "AccessControlError";
+    this.status = status;
+  }
+}
+
+function rank(role) {
+  return ROLES.indexOf(role);
+}
+
+function highestRole(roles) {
+  return roles.reduce(
+    (best, role) => (rank(role) > rank(best) ? role : best),
+    null,
+  );
+}
+
+function slugify(name) {
+  return (
+    String(name)
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .substring(0, 48) || "org"
+  );
+}
+
+function isAdmin(user) {
+  return user?.role === "admin";
+}
+
+function isTenantPrincipal(user) {
+  return user?.principalType === "tenant";
+}
+
+class AccessControlService {
+  get roles() {
+    return ROLES;
+  }
+
+  get permissions() {
+    return PERMISSIONS;
+  }
+
+  /**
+   * Whether a user holds a permission on every resource given
+   * @param {Object} user - req.user
+   * @param {string} permission - Key of PERMISSIONS
+   * @param {Object} resource - { tenantId, organizationId, projectId }
+   * @returns {Promise<boolean>}
+   */
+  async can(user, permission, resource = {}) {
+    const required = PERMISSIONS[permission];
+    if (!required) {
+      throw new AccessControlError(`Unknown permission: ${permission}`, 500);
+    }
+    if (!user) return false;
+    if (isAdmin(user)) return true;
+
+    const checks = [];
+    if (resource.projectId) {
+      checks.push(this.getProjectRole(user, resource.projectId));
+    }
+    if (resource.organizationId) {
+      checks.push(this.getOrganizationRole(user, resource.organizationId));
+    }
+    if (resource.tenantId) {
+      checks.push(this.getTenantRole(user, resource.tenantId));
+    }
+    const results = await Promise.all(checks);
+    const managed = results.filter((result) => result.managed);
+    const openUnmanaged = !config.accessControl?.strict;
+
+    // Nothing registered to check a role on
+    if (managed.length === 0) {
+      return openUnmanaged && !MANAGED_ONLY.has(permission);
+    }
+    return (
+      managed.every(({ role }) => rank(role) >= rank(required)) &&
+      (managed.length === results.length || openUnmanaged)
+    );
+  }
+
+  /**
+   * Role on a project; ids that aren't registered projects are unmanaged
+   * @returns {Promise<{role: string|null, managed: boolean}>}
+   */
+  async getProjectRole(user, projectId) {
+    const project = await this.getProject(projectId);
+    if (!project) {
+      return { role: null, managed: false };
+    }
+
+    const roles = [await this.getMemberRole("project", projectId, user)];
+    if (project.organization_id) {
+      roles.push(
+        (await this.getOrganizationRole(user, project.organization_id)).role,
+      );
+    }
+    return { role: highestRole(roles), managed: true };
+  }
+
+  async getOrganizationRole(user, organizationId) {
+    const organization = await this.getOrganization(organizationId);
+    if (!organization) {
+      return { role: null, managed: true };
+    }
+    if (isTenantPrincipal(user)) {
+      return {
+        role: organization.tenant_id === user.tenantId ? "owner" : null,
+        managed: true,
+      };
+    }
+    return {
+      role: await this.getMemberRole("organization", organizationId, user),
+      managed: true,
+    };
+  }
+
+  /**
+   * Role on a tenant: the highest role across its organizations
+   */
+  async getTenantRole(user, tenantId) {
+    if (isTenantPrincipal(user)) {
+      return {
+        role: user.tenantId === tenantId ? "owner" : null,
+        managed: true,
+      };
+    }
+
+    const { data: organizations } = await databaseService.query(
+      ORGANIZATIONS_TABLE,
+      {
+        select: "id",
+        filters: [{ column: "tenant_id", operator: "eq", value: tenantId }],
+      },
+    );
+    const roles = await Promise.all(
+      (organizations || []).map((organization) =>
+        this.getMemberRole("organization", organization.id, user),
+      ),
+    );
+    return { role: highestRole(roles), managed: true };
+  }
+
+  async getMemberRole(type, resourceId, user) {
+    if (!user?.id || isTenantPrincipal(user)) return null;
+    const { data: member } = await databaseService.query(MEMBER_TABLES[type], {
+      select: "role",
+      filters: [
+        { column: MEMBER_KEYS[type], operator: "eq", value: resourceId },
+        { column: "user_id", operator: "eq", value: user.id },
+      ],
+      single: true,
+    });
+    return member?.role || null;
+  }
+
+  // ==========================================================================
+  // ORGANIZATIONS
+  // ==========================================================================
+
+  async getOrganization(organizationId) {
+    const { data } = await databaseService.query(ORGANIZATIONS_TABLE, {
+      select: "*",
+      filters: [{ column: "id", operator: "eq", value: organizationId }],
+      single: true,
+    });
+    return data || null;
+  }
+
+  /**
+   * Create an organization; a user creator becomes its owner
+   * @param {Object} data - { name, slug, tenantId }
+   * @param {Object} creator - req.user
+   */
+  async createOrganization(data, creator) {
+    const name = String(data.name || "").trim();
+    if (!name) {
+      throw new AccessControlError("Organization name is required");
+    }
+
+    const slug = data.slug
+      ? slugify(data.slug)
+      : `${slugify(name)}-${crypto.randomBytes(3).toString("hex")}`;
+    const now = new Date().toISOString();
+
+    let organization;
+    try {
+      ({ data: organization } = await databaseService.insert(
+        ORGANIZATIONS_TABLE,
+        {
+          name,
+          slug,
+          tenant_id: data.tenantId || creator?.tenantId || null,
+          created_by: creator?.id || null,
+          created_at: now,
+          updated_at: now,
+        },
+        { single: true },
+      ));
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new AccessControlError(`Slug "${slug}" is already taken`, 409);
+      }
+      throw error;
+    }
+    await this.audit(
+      "organization_created",
+      "config",
+      "organization",
+      organization.id,
+      { after: organization },
+    );
+
+    if (creator?.id && !isTenantPrincipal(creator)) {
+      await this.addMember(
+        "organization",
+        organization.id,
+        creator.id,
+        "owner",
+        creator,
+      );
+    }
+    return organization;
+  }
+
+  /**
+   * Organizations the user belongs to (all of them for admins)
+   */
+  async listOrganizations(user) {
+    if (isAdmin(user)) {
+      const { data } = await databaseService.query(ORGANIZATIONS_TABLE, {
+        select: "*",
+        order: { column: "created_at", ascending: false },
+      });
+      return data || [];
+    }
+
+    if (isTenantPrincipal(user)) {
+      const { data } = await databaseService.query(ORGANIZATIONS_TABLE, {
+        select: "*",
+        filters: [
+          { column: "tenant_id", operator: "eq", value: user.tenantId },
+        ],
+      });
+      return (data || []).map((org) => ({ ...org, role: "owner" }));
+    }
+
+    const memberships = await this.listMemberships("organization", user);
+    const organizations = await Promise.all(
+      memberships.map(async (membership) => {
+        const org = await this.getOrganization(membership.organization_id);
+        return org ? { ...org, role: membership.role } : null;
+      }),
+    );
+    return organizations.filter(Boolean);
+  }
+
+  // ==========================================================================
+  // PROJECTS
+  // ==========================================================================
+
+  async getProject(projectId) {
+    const { data } = await databaseService.query(PROJECTS_TABLE, {
+      select: "*",
+      filters: [{ column: "id", operator: "eq", value: projectId }],
+      single: true,
+    });
+    return data || null;
+  }
+
+  /**
+   * Tenant that owns a project through its organization
+   * @returns {Promise<string|null>} null for unregistered or untenanted projects
+   */
+  async getProjectTenantId(projectId) {
+    const project = await this.getProject(projectId);
+    if (!project?.organization_id) return null;
+    const organization = await this.getOrganization(project.organization_id);
+    return organization?.tenant_id || null;
+  }
+
+  async createProject(data, creator) {
+    if (!data.organizationId) {
+      throw new AccessControlError("organizationId is required");
+    }
+    if (!data.name) {
+      throw new AccessControlError("Project name is required");
+    }
+    if (!(await this.getOrganization(data.organizationId))) {
+      throw new AccessControlError("Organization not found", 404);
+    }
+
+    const now = new Date().toISOString();
+    const slug = slugify(data.slug || data.name);
+    try {
+      const { data: project } = await databaseService.insert(
+        PROJECTS_TABLE,
+        {
+          ...this.pickProjectFields(data),
+          slug,
+          organization_id: data.organizationId,
+          created_by: creator?.id || null,
+          created_at: now,
+          updated_at: now,
+        },
+        { single: true },
+      );
+      await this.audit("project_created", "config", "project", project.id, {
+        after: project,
+      });
+      return project;
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new AccessControlError(
+          `A project with slug "${slug}" already exists`,
+          409,
+        );
+      }
+      throw error;
+    }
+  }
+
+  async updateProject(projectId, updates) {
+    const before = await this.getProject(projectId);
+    const { data: project } = await databaseService.update(
+      PROJECTS_TABLE,
+      [{ column: "id", operator: "eq", value: projectId }],
+      {
+        ...this.pickProjectFields(updates),
+        updated_at: new Date().toISOString(),
+      },
+      { single: true },
+    );
+    const after = Array.isArray(project) ? project[0] || null : project;
+
+    await this.audit("project_updated", "config", "project", projectId, {
+      before,
+      after,
+    });
+    return after;
+  }
+
+  async deleteProject(projectId) {
+    const before = await this.getProject(projectId);
+    await databaseService.delete(MEMBER_TABLES.project, [
+      { column: "project_id", operator: "eq", value: projectId },
+    ]);
+    await databaseService.delete(PROJECTS_TABLE, [
+      { column: "id", operator: "eq", value: projectId },
+    ]);
+    await this.audit("project_deleted", "config", "project", projectId, {
+      before,
+    });
+  }
+
+  /**
+   * Projects the user can see: every project of their organizations plus
+   * projects they were added to directly
+   */
+  async listProjects(user, { organizationId } = {}) {
+    let projects;
+    if (isAdmin(user)) {
+      const { data } = await databaseService.query(PROJECTS_TABLE, {
+        select: "*",
+        order: { column: "created_at", ascending: false },
+      });
+      projects = data || [];
+    } else {
+      const organizations = await this.listOrganizations(user);
+      const byId = new Map();
+
+      for (const organization of organizations) {
+        const { data } = await databaseService.query(PROJECTS_TABLE, {
+          select: "*",
+          filters: [
+            {
+              column: "organization_id",
+              operator: "eq",
+              value: organization.id,
+            },
+          ],
+        });
+        for (const project of data || []) {
+          byId.set(project.id, { ...project, role: organization.role });
+        }
+      }
+
+      for (const membership of await this.listMemberships("project", user)) {
+        const current = byId.get(membership.project_id);
+        const project =
+          current || (await this.getProject(membership.project_id));
+        if (project) {
+          byId.set(project.id, {
+            ...project,
+            role: highestRole([current?.role, membership.role]),
+          });
+        }
+      }
+      projects = [...byId.values()];
+    }
+
+    return organizationId
+      ? projects.filter((project) => project.organization_id === organizationId)
+      : projects;
+  }
+
+  pickProjectFields(data) {
+    const fields = {};
+    for (const field of PROJECT_FIELDS) {
+      if (data[field] !== undefined) fields[field] = data[field];
+    }
+    return fields;
+  }
+
+  // ==========================================================================
+  // MEMBERSHIP
+  // ==========================================================================
+
+  async listMemberships(type, user) {
+    if (!user?.id || isTenantPrincipal(user)) return [];
+    const { data } = await databaseService.query(MEMBER_TABLES[type], {
+      select: "*",
+      filters: [{ column: "user_id", operator: "eq", value: user.id }],
+    });
+    return data || [];
+  }
+
+  /**
+   * Members of an organization or project
+   * @param {string} type - "organization" or "project"
+   */
+  async listMembers(type, resourceId) {
+    const { data } = await databaseService.query(MEMBER_TABLES[type], {
+      select: "*",
+      filters: [
+        { column: MEMBER_KEYS[type], operator: "eq", value: resourceId },
+      ],
+      order: { column: "created_at", ascending: true },
+    });
+    return data || [];
+  }
+
+  /**
+   * A tenant's role-based access configuration: the least role each
+   * permission needs and the members of the tenant's organizations
+   * @returns {Promise<Object>} { roles, permissions, organizations }
+   */
+  async describeTenantAccess(tenantId) {
+    const { data: organizations } = await databaseService.query(
+      ORGANIZATIONS_TABLE,
+      {
+        select: "*",
+        filters: [{ column: "tenant_id", operator: "eq", value: tenantId }],
+        order: { column: "created_at", ascending: true },
+      },
+    );
+    return {
+      roles: [...ROLES],
+      permissions: { ...PERMISSIONS },
+      organizations: await Promise.all(
+        (organizations || []).map(async (organization) => ({
+          id: organization.id,
+          name: organization.name,
+          members: (
+            await this.listMembers("organization", organization.id)
+          ).map((member) => ({
+            userId: member.user_id,
+            role: member.role,
+            since: member.created_at || null,
+          })),
+        })),
+      ),
+    };
+  }
+
+  /**
+   * Add a member or change their role. Callers can't grant a role above
+   * their own, so only owners make owners.
+   * @param {string} type - "organization" or "project"
+   * @param {string} resourceId - Organization or project id
+   * @param {string} userId - Member
+   * @param {string} role - One of ROLES
+   * @param {Object} actor - req.user making the change
+   */
+  async addMember(type, resourceId, userId, role, actor) {
+    if (!ROLES.includes(role)) {
+      throw new AccessControlError(`role must be one of: ${ROLES.join(", ")}`);
+    }
+    await this.assertCanGrant(type, resourceId, role, actor);
+
+    const existing = (await this.listMembers(type, resourceId)).find(
+      (member) => member.user_id === userId,
+    );
+    if (existing) {
+      if (existing.role === "owner" && role !== "owner") {
+        await this.assertNotLastOwner(type, resourceId);
+      }
+      const { data } = await databaseService.update(
+        MEMBER_TABLES[type],
+        [{ column: "id", operator: "eq", value: existing.id }],
+        { role },
+        { single: true },
+      );
+      await this.audit("role_changed", "access", type, resourceId, {
+        before: { userId, role: existing.role },
+        after: { userId, role },
+      });
+      return Array.isArray(data) ? data[0] : data;
+    }
+
+    const { data } = await databaseService.insert(
+      MEMBER_TABLES[type],
+      {
+        [MEMBER_KEYS[type]]: resourceId,
+        user_id: userId,
+        role,
+        created_by: actor?.id || null,
+        created_at: new Date().toISOString(),
+      },
+      { single: true },
+    );
+    await this.audit("role_granted", "access", type, resourceId, {
+      after: { userId, role },
+    });
+    return data;
+  }
+
+  async removeMember(type, resourceId, userId, actor) {
+    const member = (await this.listMembers(type, resourceId)).find(
+      (entry) => entry.user_id === userId,
+    );
+    if (!member) {
+      throw new AccessControlError("Member not found", 404);
+    }
+    await this.assertCanGrant(type, resourceId, member.role, actor);
+    if (member.role === "owner") {
+      await this.assertNotLastOwner(type, resourceId);
+    }
+
+    await databaseService.delete(MEMBER_TABLES[type], [
+      { column: "id", operator: "eq", value: member.id },
+    ]);
+    await this.audit("role_revoked", "access", type, resourceId, {
+      before: { userId, role: member.role },
+    });
+    return member;
+  }
+
+  /**
+   * Record a change to an organization or project in the audit chain of
+   * the tenant it belongs to
+   */
+  async audit(event, category, type, resourceId, change) {
+    const organizationId =
+      type === "organization"
+        ? resourceId
+        : change.before?.organization_id ||
+          (await this.getProject(resourceId))?.organization_id;
+    const organization = organizationId
+      ? await this.getOrganization(organizationId)
+      : null;
+    return auditLogService.record({
+      event,
+      category,
+      tenantId: organization?.tenant_id || null,
+      resourceType: type,
+      resourceId,
+      ...change,
+    });
+  }
+
+  async assertCanGrant(type, resourceId, role, actor) {
+    // Admins and system-initiated changes (no actor) aren't limited
+    if (!actor || isAdmin(actor)) return;
+
+    const { role: actorRole } =
+      type === "organization"
+        ? await this.getOrganizationRole(actor, resourceId)
+        : await this.getProjectRole(actor, resourceId);
+    const creatingFirstOwner =
+      type === "organization" &&
+      role === "owner" &&
+      (await this.listMembers(type, resourceId)).length === 0;
+
+    if (!creatingFirstOwner && rank(role) > rank(actorRole)) {
+      throw new AccessControlError(
+        `Only a ${role} or higher can grant or remove the ${role} role`,
+        403,
+      );
+    }
+  }
+
+  async assertNotLastOwner(type, resourceId) {
+    if (type !== "organization") return;
+    const owners = (await this.listMembers(type, resourceId)).filter(
+      (member) => member.role === "owner",
+    );
+    if (owners.length <= 1) {
+      throw new AccessControlError(
+        "An organization must keep at least one owner",
+        409,
+      );
+    }
+  }
+}
+
+module.exports = new AccessControlService();
@@ -93,11 +93,11 @@ class AdvancedFixGenerator {
         if (fix.success) {
           return {
             success: true,
-            fixedCode: fix.fixed,
-            explanation: `Fixed ${relevantVuln.type} vulnerability`,
+            fixedCode: fix.fixedCode,
+            explanation: fix.explanation,
             confidence: 0.9,
             safety: "safe",
-            changes: [`Fixed ${relevantVuln.type} vulnerability`],
+            changes: fix.changes,
             method: "security-auto-fix",
           };
         }
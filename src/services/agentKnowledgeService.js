@@ -16,30 +16,13 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("AgentKnowledgeService");
+const databaseService = require("./databaseService");
 const codebaseSearch = require("./codebaseSearch");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class AgentKnowledgeService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[AgentKnowledgeService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[AgentKnowledgeService] Supabase credentials not configured. Knowledge service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -59,7 +42,7 @@ class AgentKnowledgeService {
       const embedding = await codebaseSearch.generateQueryEmbedding(query);
 
       // Search knowledge base
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "search_agent_knowledge",
         {
           query_embedding: embedding,
@@ -123,7 +106,7 @@ class AgentKnowledgeService {
       if (!this.supabase) {
         return false;
       }
-      const { error } = await this.getSupabaseService().rpc(
+      const { error } = await this.supabase.rpc(
         "record_knowledge_usage",
         {
           p_knowledge_id: knowledgeId,
@@ -144,7 +127,7 @@ class AgentKnowledgeService {
    */
   async getBestKnowledge(knowledgeType, limit = 5) {
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_best_knowledge",
         {
           p_knowledge_type: knowledgeType,
@@ -14,31 +14,14 @@
  */
 
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
 const { createLogger } = require("../utils/logger");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 const log = createLogger("AgentSessionService");
+const databaseService = require("./databaseService");
 
 class AgentSessionService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[AgentSessionService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[AgentSessionService] Supabase credentials not configured. Agent session service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -52,7 +35,7 @@ class AgentSessionService {
       return null;
     }
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_or_create_agent_session",
         {
           p_agent_type: agentType,
@@ -75,7 +58,7 @@ class AgentSessionService {
   async recordSuccess(agentType, sessionId, action) {
     if (!this.supabase) return false;
     try {
-      const { error } = await this.getSupabaseService().rpc(
+      const { error } = await this.supabase.rpc(
         "record_agent_success",
         {
           p_agent_type: agentType,
@@ -98,7 +81,7 @@ class AgentSessionService {
   async recordFailure(agentType, sessionId, action) {
     if (!this.supabase) return false;
     try {
-      const { error } = await this.getSupabaseService().rpc(
+      const { error } = await this.supabase.rpc(
         "record_agent_failure",
         {
           p_agent_type: agentType,
@@ -172,7 +155,7 @@ class AgentSessionService {
   async getDecisionStats(agentType, days = 7) {
     if (!this.supabase) return [];
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_agent_decision_stats",
         {
           p_agent_type: agentType,
@@ -17,31 +17,14 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("AiCodeGenerator");
+const databaseService = require("./databaseService");
 const llmService = require("./llmService");
 const codebaseSearch = require("./codebaseSearch");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class AICodeGenerator {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[aiCodeGenerator] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[aiCodeGenerator] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -0,0 +1,417 @@
+/**
+ * API Key Service
+ * Named, scoped and expiring API keys for users and tenants
+ *
+ * A key is shown once when it is created and stored only as a SHA-256 hash.
+ * Scopes limit what a key may call, so CI runners can hold least-privilege
+ * keys. Rotation issues a replacement key and leaves the old one working for
+ * an overlap window, so deployments can switch over without downtime.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const auditLogService = require("./auditLogService");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("ApiKeyService");
+
+const TABLE = "api_keys";
+const KEY_PREFIX = "cr_";
+const OWNER_TYPES = ["user", "tenant"];
+
+// "write" implies "read" on the same resource; "admin" implies every scope
+const SCOPES = ["analyze:read", "analyze:write", "fix:write", "admin"];
+const DEFAULT_SCOPES = ["analyze:read", "analyze:write", "fix:write"];
+
+// Validated keys are re-read after this long so revocations made by other
+// instances are picked up
+const KEY_CACHE_TTL = 30 * 1000;
+// last_used_at is written at most this often per key
+const LAST_USED_INTERVAL = 60 * 1000;
+
+class ApiKeyError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ApiKeyError";
+    this.status = status;
+  }
+}
+
+function hashKey(key) {
+  return crypto.createHash("sha256").update(String(key)).digest("hex");
+}
+
+function toApiKey(row) {
+  return {
+    id: row.id,
+    ownerType: row.owner_type,
+    ownerId: row.owner_id,
+    name: row.name,
+    prefix: row.key_prefix,
+    scopes: row.scopes || [],
+    expiresAt: row.expires_at || null,
+    lastUsedAt: row.last_used_at || null,
+    revokedAt: row.revoked_at || null,
+    rotatedFrom: row.rotated_from || null,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+  };
+}
+
+function isActive(apiKey, now = new Date()) {
+  return (
+    !apiKey.revokedAt && (!apiKey.expiresAt || new Date(apiKey.expiresAt) > now)
+  );
+}
+
+class ApiKeyService {
+  constructor() {
+    this.cache = new Map(); // key hash -> { apiKey, loadedAt, touchedAt }
+  }
+
+  get scopes() {
+    return SCOPES;
+  }
+
+  get defaultScopes() {
+    return DEFAULT_SCOPES;
+  }
+
+  /**
+   * Whether granted scopes cover a required scope
+   * @param {string[]} granted - Scopes held by the key
+   * @param {string} required - e.g. "analyze:read"
+   */
+  hasScope(granted, required) {
+    if (!Array.isArray(granted)) return false;
+    if (granted.includes("admin") || granted.includes(required)) return true;
+
+    const [resource, action] = required.split(":");
+    return action === "read" && granted.includes(`${resource}:write`);
+  }
+
+  /**
+   * Create a key
+   * @param {Object} options - { ownerType, ownerId, name, scopes, expiresAt,
+   *   expiresInDays, createdBy, grantedScopes, rotatedFrom }
+   *   grantedScopes are the caller's own key scopes; a key can't be given
+   *   scopes its creator doesn't hold
+   * @returns {Promise<{key: string, apiKey: Object}>} The plaintext key
+   *   (only returned here) and its stored record
+   */
+  async createKey(options) {
+    const {
+      ownerType,
+      ownerId,
+      createdBy = null,
+      rotatedFrom = null,
+    } = options;
+    if (!OWNER_TYPES.includes(ownerType) || !ownerId) {
+      throw new ApiKeyError("A key must belong to a user or tenant");
+    }
+
+    const name = String(options.name || "").trim();
+    if (!name || name.length > 100) {
+      throw new ApiKeyError("name is required (at most 100 characters)");
+    }
+
+    const scopes = this.validateScopes(options.scopes, options.grantedScopes);
+    const expiresAt = this.resolveExpiry(options);
+
+    const key = `${KEY_PREFIX}${crypto.randomBytes(32).toString("base64url")}`;
+    const { data: row } = await databaseService.insert(
+      TABLE,
+      {
+        owner_type: ownerType,
+        owner_id: String(ownerId),
+        name,
+        key_prefix: key.substring(0, KEY_PREFIX.length + 8),
+        key_hash: hashKey(key),
+        scopes,
+        expires_at: expiresAt,
+        rotated_from: rotatedFrom,
+        created_by: createdBy,
+        created_at: new Date().toISOString(),
+      },
+      { single: true },
+    );
+    const apiKey = toApiKey(row);
+
+    // Rotations are recorded once, by rotateKey()
+    if (!rotatedFrom) {
+      await this.audit("api_key_created", apiKey, {
+        after: {
+          name: apiKey.name,
+          prefix: apiKey.prefix,
+          scopes: apiKey.scopes,
+          expiresAt: apiKey.expiresAt,
+        },
+      });
+    }
+
+    return { key, apiKey };
+  }
+
+  validateScopes(scopes = DEFAULT_SCOPES, grantedScopes = null) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      throw new ApiKeyError("scopes must be a non-empty array");
+    }
+
+    const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+      throw new ApiKeyError(
+        `Unknown scope(s): ${unknown.join(", ")}. Valid scopes: ${SCOPES.join(", ")}`,
+      );
+    }
+
+    if (grantedScopes) {
+      const missing = scopes.filter(
+        (scope) => !this.hasScope(grantedScopes, scope),
+      );
+      if (missing.length > 0) {
+        throw new ApiKeyError(
+          `Cannot grant scope(s) the calling key doesn't hold: ${missing.join(", ")}`,
+          403,
+        );
+      }
+    }
+
+    return [...new Set(scopes)];
+  }
+
+  resolveExpiry({ expiresAt, expiresInDays }) {
+    const maxDays = config.apiKeys?.maxLifetimeDays || 0;
+    let expiry = null;
+
+    if (expiresAt) {
+      expiry = new Date(expiresAt);
+    } else if (expiresInDays !== undefined && expiresInDays !== null) {
+      const days = Number(expiresInDays);
+      if (!Number.isFinite(days) || days <= 0) {
+        throw new ApiKeyError("expiresInDays must be a positive number");
+      }
+      expiry = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+    } else if (maxDays > 0) {
+      expiry = new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000);
+    }
+
+    if (!expiry) return null;
+    if (Number.isNaN(expiry.getTime()) || expiry <= new Date()) {
+      throw new ApiKeyError("expiresAt must be a date in the future");
+    }
+    if (
+      maxDays > 0 &&
+      expiry > new Date(Date.now() + maxDays * 24 * 60 * 60 * 1000)
+    ) {
+      throw new ApiKeyError(
+        `Keys can't be valid for more than ${maxDays} days`,
+      );
+    }
+    return expiry.toISOString();
+  }
+
+  /**
+   * Look up a presented key
+   * @returns {Promise<Object|null>} The key record, or null if the key is
+   *   unknown, revoked or expired
+   */
+  async validateKey(key) {
+    if (typeof key !== "string" || !key) return null;
+
+    const keyHash = hashKey(key);
+    let entry = this.cache.get(keyHash);
+    if (!entry || Date.now() - entry.loadedAt >= KEY_CACHE_TTL) {
+      const { data: row } = await databaseService.query(TABLE, {
+        select: "*",
+        filters: [{ column: "key_hash", operator: "eq", value: keyHash }],
+        single: true,
+      });
+      if (!row) {
+        this.cache.delete(keyHash);
+        return null;
+      }
+      entry = {
+        apiKey: toApiKey(row),
+        loadedAt: Date.now(),
+        touchedAt: entry?.touchedAt || 0,
+      };
+      this.cache.set(keyHash, entry);
+    }
+
+    if (!isActive(entry.apiKey)) return null;
+
+    this.touch(entry);
+    return entry.apiKey;
+  }
+
+  /**
+   * Record last use without waiting on the write
+   */
+  touch(entry) {
+    const now = Date.now();
+    if (now - entry.touchedAt < LAST_USED_INTERVAL) return;
+    entry.touchedAt = now;
+    entry.apiKey.lastUsedAt = new Date(now).toISOString();
+
+    databaseService
+      .update(
+        TABLE,
+        [{ column: "id", operator: "eq", value: entry.apiKey.id }],
+        { last_used_at: entry.apiKey.lastUsedAt },
+      )
+      .catch((err) =>
+        log.warn("[API Keys] Failed to record last use:", err.message),
+      );
+  }
+
+  /**
+   * Keys of an owner, newest first
+   * @param {Object} owner - { ownerType, ownerId }
+   */
+  async listKeys(owner, { includeRevoked = false } = {}) {
+    const { data } = await databaseService.query(TABLE, {
+      select: "*",
+      filters: this.ownerFilters(owner),
+      order: { column: "created_at", ascending: false },
+    });
+    const keys = (data || []).map(toApiKey);
+    return includeRevoked ? keys : keys.filter((apiKey) => !apiKey.revokedAt);
+  }
+
+  async getKey(owner, keyId) {
+    const { data: row } = await databaseService.query(TABLE, {
+      select: "*",
+      filters: [
+        { column: "id", operator: "eq", value: keyId },
+        ...this.ownerFilters(owner),
+      ],
+      single: true,
+    });
+    return row ? toApiKey(row) : null;
+  }
+
+  /**
+   * Revoke a key immediately
+   * @returns {Promise<Object|null>} The revoked key, or null if the owner has
+   *   no such active key
+   */
+  async revokeKey(owner, keyId) {
+    const { data: rows } = await databaseService.update(
+      TABLE,
+      [
+        { column: "id", operator: "eq", value: keyId },
+        ...this.ownerFilters(owner),
+        { column: "revoked_at", operator: "is", value: null },
+      ],
+      { revoked_at: new Date().toISOString() },
+    );
+    this.evict(keyId);
+    const revoked = rows?.[0] ? toApiKey(rows[0]) : null;
+    if (revoked) {
+      await this.audit("api_key_revoked", revoked, {
+        after: { revokedAt: revoked.revokedAt },
+      });
+    }
+    return revoked;
+  }
+
+  /**
+   * Replace a key with a new one carrying the same name, scopes and expiry;
+   * the old key keeps working until the overlap window ends
+   * @param {Object} owner - { ownerType, ownerId }
+   * @param {string} keyId - Key to rotate
+   * @param {Object} options - { overlapHours, createdBy }
+   * @returns {Promise<{key: string, apiKey: Object, previous: Object}>}
+   */
+  async rotateKey(owner, keyId, options = {}) {
+    const current = await this.getKey(owner, keyId);
+    if (!current || !isActive(current)) {
+      throw new ApiKeyError("API key not found or no longer active", 404);
+    }
+
+    const overlapHours = Number(
+      options.overlapHours ?? config.apiKeys?.rotationOverlapHours ?? 24,
+    );
+    if (!Number.isFinite(overlapHours) || overlapHours < 0) {
+      throw new ApiKeyError("overlapHours must be zero or more");
+    }
+
+    const { key, apiKey } = await this.createKey({
+      ...owner,
+      name: current.name,
+      scopes: current.scopes,
+      expiresAt: current.expiresAt,
+      createdBy: options.createdBy || current.createdBy,
+      rotatedFrom: current.id,
+    });
+
+    const overlapEnd = new Date(Date.now() + overlapHours * 60 * 60 * 1000);
+    const previousExpiry =
+      current.expiresAt && new Date(current.expiresAt) < overlapEnd
+        ? current.expiresAt
+        : overlapEnd.toISOString();
+    const { data: rows } = await databaseService.update(
+      TABLE,
+      [{ column: "id", operator: "eq", value: current.id }],
+      { expires_at: previousExpiry },
+    );
+    this.evict(current.id);
+
+    await this.audit("api_key_rotated", current, {
+      before: { expiresAt: current.expiresAt },
+      after: { expiresAt: previousExpiry, replacedBy: apiKey.id },
+    });
+
+    return {
+      key,
+      apiKey,
+      previous: rows?.[0] ? toApiKey(rows[0]) : current,
+    };
+  }
+
+  /**
+   * Record a key change; tenant keys go to the tenant's audit chain, user
+   * keys to the system chain
+   */
+  audit(event, apiKey, change) {
+    return auditLogService.record({
+      event,
+      category: "auth",
+      tenantId: apiKey.ownerType === "tenant" ? apiKey.ownerId : null,
+      resourceType: "api_key",
+      resourceId: apiKey.id,
+      ...change,
+    });
+  }
+
+  ownerFilters({ ownerType, ownerId }) {
+    return [
+      { column: "owner_type", operator: "eq", value: ownerType },
+      { column: "owner_id", operator: "eq", value: String(ownerId) },
+    ];
+  }
+
+  /**
+   * Drop every cached key of an owner, e.g. after its keys were deleted
+   */
+  evictOwner({ ownerType, ownerId }) {
+    for (const [keyHash, entry] of this.cache) {
+      if (
+        entry.apiKey.ownerType === ownerType &&
+        entry.apiKey.ownerId === String(ownerId)
+      ) {
+        this.cache.delete(keyHash);
+      }
+    }
+  }
+
+  evict(keyId) {
+    for (const [keyHash, entry] of this.cache) {
+      if (entry.apiKey.id === keyId) {
+        this.cache.delete(keyHash);
+      }
+    }
+  }
+}
+
+module.exports = new ApiKeyService();
@@ -31,6 +31,10 @@
 // For now, we'll create the structure and note the dependency
 
 /* eslint-disable no-undef */
+const { createLogger } = require("../utils/logger");
+const log = createLogger("AstAnalyzer");
+const astRuleEngine = require("./astRuleEngine");
+
 class ASTAnalyzer {
   constructor(options = {}) {
     this.parser = null;
@@ -47,8 +51,6 @@ class ASTAnalyzer {
     try {
       // Try to load Babel parser
       const parser = require("@babel/parser");
-      const { createLogger } = require("../utils/logger");
-      const log = createLogger("AstAnalyzer");
       const traverse = require("@babel/traverse").default;
 
       this.parser = parser;
@@ -104,8 +106,12 @@ class ASTAnalyzer {
   /**
    * Analyze code for error-prone patterns using AST
    *
+   * Runs the rules astRuleEngine enables for the file's project (see
+   * .code-roach.json) in a single traversal.
+   *
    * @param {string} code - Source code to analyze
-   * @param {Object} context - Analysis context
+   * @param {Object} context - Analysis context (language, filePath,
+   *   projectRoot)
    * @returns {Array} Array of detected patterns with confidence scores
    */
   analyzeCode(code, context = {}) {
@@ -122,246 +128,86 @@ class ASTAnalyzer {
     }
 
     const patterns = [];
-
-    // Traverse AST to find error-prone patterns
-    const self = this;
-    this.traverse(ast, {
-      // Detect null/undefined property access
-      MemberExpression(path) {
-        const pattern = self.detectUnsafePropertyAccess(path, code);
-        if (pattern) {
-          patterns.push(pattern);
-        }
-      },
-
-      // Detect undefined variable usage
-      Identifier(path) {
-        const pattern = self.detectUndefinedVariable(path, ast);
-        if (pattern) {
-          patterns.push(pattern);
-        }
-      },
-
-      // Detect missing error handling
-      CallExpression(path) {
-        const pattern = self.detectMissingErrorHandling(path, code);
-        if (pattern) {
-          patterns.push(pattern);
-        }
-      },
-
-      // Memory leak detection moved to separate pass to avoid recursive traversal issues
-      // See detectMemoryLeaks() method for standalone implementation
-    });
-
-    return patterns;
-  }
-
-  /**
-   * Detect unsafe property access (null/undefined)
-   *
-   * @param {Object} path - Babel AST path
-   * @param {string} code - Source code
-   * @returns {Object|null} Pattern object or null
-   */
-  detectUnsafePropertyAccess(path, code) {
-    // Check if this is a property access (obj.prop)
-    if (!path.isMemberExpression()) {
-      return null;
-    }
-
-    const object = path.node.object;
-    const property = path.node.property;
-
-    // Get the object name
-    let objectName = null;
-    if (object.type === "Identifier") {
-      objectName = object.name;
-    } else if (object.type === "MemberExpression") {
-      // Handle nested access (obj.prop.subprop)
-      objectName = this.getObjectName(object);
-    }
-
-    if (!objectName) {
-      return null;
-    }
-
-    // Check if there's a null check before this access
-    const beforeAccess = code.substring(0, path.node.start);
-    const hasNullCheck =
-      beforeAccess.includes(`${objectName} !== null`) ||
-      beforeAccess.includes(`${objectName} != null`) ||
-      beforeAccess.includes(`${objectName} === null`) ||
-      beforeAccess.includes(`if (${objectName}`) ||
-      beforeAccess.includes(`&& ${objectName}`);
-
-    if (!hasNullCheck) {
-      const propertyName = property.name || property.value;
-      const location = this.getLocation(path.node, code);
-
-      return {
-        type: "null-reference",
-        severity: "high",
-        confidence: this.calculateASTConfidence(path, "null-reference"),
-        message: `Potential null reference: ${objectName}.${propertyName}`,
-        location: location,
-        object: objectName,
-        property: propertyName,
-        suggestion: `Add null check: if (${objectName} !== null && ${objectName} !== undefined) { ... }`,
-      };
-    }
-
-    return null;
-  }
-
-  /**
-   * Detect undefined variable usage
-   *
-   * @param {Object} path - Babel AST path
-   * @param {Object} ast - Full AST
-   * @returns {Object|null} Pattern object or null
-   */
-  detectUndefinedVariable(path, ast) {
-    // Skip if this is a declaration
-    if (
-      path.isVariableDeclarator() ||
-      path.isFunctionDeclaration() ||
-      path.isFunctionExpression()
-    ) {
-      return null;
-    }
-
-    // Skip if this is a property access
-    if (path.parent && path.parent.type === "MemberExpression") {
-      return null;
+    const entries = [];
+    for (const { rule, severity, options } of astRuleEngine.resolve(context)) {
+      const ruleContext = this.createRuleContext(rule, {
+        severity,
+        options,
+        code,
+        filePath: context.filePath || null,
+        language,
+        patterns,
+      });
+      try {
+        entries.push({ id: rule.meta.id, visitor: rule.create(ruleContext) });
+      } catch (err) {
+        log.warn(
+          `[AST Analyzer] Rule "${rule.meta.id}" could not start: ${err.message}`,
+        );
+      }
     }
 
-    const variableName = path.node.name;
-
-    // Check if variable is defined in scope
-    const isDefined = this.isVariableDefined(path, variableName, ast);
-
-    if (!isDefined && !this.isBuiltIn(variableName)) {
-      const location = this.getLocation(path.node, path.hub.file.code || "");
-
-      return {
-        type: "undefined-variable",
-        severity: "high",
-        confidence: this.calculateASTConfidence(path, "undefined-variable"),
-        message: `Variable "${variableName}" may be undefined`,
-        location: location,
-        variable: variableName,
-        suggestion: `Declare variable: let ${variableName} = null; // TODO: Initialize`,
-      };
+    if (entries.length > 0) {
+      this.traverse(ast, astRuleEngine.mergeVisitors(entries));
     }
 
-    return null;
+    return patterns;
   }
 
   /**
-   * Detect missing error handling
+   * Build the context a rule's create() receives
    *
-   * @param {Object} path - Babel AST path
-   * @param {string} code - Source code
-   * @returns {Object|null} Pattern object or null
+   * @param {Object} rule - Rule module ({ meta, create })
+   * @param {Object} run - Severity, options, code, file and the findings list
+   * @returns {Object} Rule context
    */
-  detectMissingErrorHandling(path, code) {
-    const callee = path.node.callee;
-
-    // Check for async operations (fetch, axios, etc.)
-    const asyncPatterns = [
-      "fetch",
-      "axios",
-      "request",
-      "get",
-      "post",
-      "put",
-      "delete",
-    ];
-    let isAsync = false;
-    let functionName = null;
-
-    if (callee.type === "Identifier") {
-      functionName = callee.name;
-      isAsync = asyncPatterns.some((pattern) => functionName.includes(pattern));
-    } else if (callee.type === "MemberExpression" && callee.property) {
-      functionName = callee.property.name;
-      isAsync = asyncPatterns.includes(functionName);
-    }
+  createRuleContext(rule, run) {
+    const { severity, options, code, filePath, language, patterns } = run;
+    const { meta } = rule;
 
-    if (!isAsync) {
-      return null;
-    }
-
-    // Check if there's error handling (try-catch or .catch())
-    const hasTryCatch = this.hasTryCatch(path);
-    const hasCatch = this.hasCatch(path);
-
-    if (!hasTryCatch && !hasCatch) {
-      const location = this.getLocation(path.node, code);
-
-      return {
-        type: "missing-error-handling",
-        severity: "medium",
-        confidence: this.calculateASTConfidence(path, "missing-error-handling"),
-        message: `Async operation "${functionName}" may fail without error handling`,
-        location: location,
-        function: functionName,
-        suggestion: `Add error handling: .catch(err => { console.error('Error:', err); })`,
-      };
-    }
-
-    return null;
-  }
-
-  /**
-   * Detect memory leaks (timers, event listeners)
-   *
-   * @param {Object} path - Babel AST path
-   * @param {string} code - Source code
-   * @returns {Object|null} Pattern object or null
-   */
-  detectMemoryLeak(path, code) {
-    const callee = path.node.callee;
-
-    if (callee.type !== "Identifier") {
-      return null;
-    }
-
-    const functionName = callee.name;
-    const leakPatterns = [
-      "setInterval",
-      "setTimeout",
-      "addEventListener",
-      "on",
-    ];
-
-    if (!leakPatterns.includes(functionName)) {
-      return null;
-    }
-
-    // Check if result is stored for cleanup
-    const parent = path.parent;
-    const isStored =
-      parent &&
-      (parent.type === "VariableDeclarator" ||
-        parent.type === "AssignmentExpression");
-
-    if (!isStored) {
-      const location = this.getLocation(path.node, code);
-
-      return {
-        type: "memory-leak",
-        severity: "low",
-        confidence: this.calculateASTConfidence(path, "memory-leak"),
-        message: `Potential memory leak: ${functionName} result not stored for cleanup`,
-        location: location,
-        function: functionName,
-        suggestion: `Store result: const timerId = ${functionName}(...); // Remember to clear`,
-      };
-    }
-
-    return null;
+    return {
+      id: meta.id,
+      options,
+      severity,
+      code,
+      filePath,
+      language,
+      helpers: {
+        getObjectName: (node) => this.getObjectName(node),
+        getLocation: (node) => this.getLocation(node, code),
+        isBuiltIn: (name) => this.isBuiltIn(name),
+        isVariableDefined: (path, name) => this.isVariableDefined(path, name),
+        hasTryCatch: (path) => this.hasTryCatch(path),
+        hasCatch: (path) => this.hasCatch(path),
+      },
+      report: ({ path, node, message, suggestion, fix, data } = {}) => {
+        const target = node || path?.node;
+        const location = target
+          ? this.getLocation(target, code)
+          : { line: 0, column: 0 };
+
+        patterns.push({
+          ...data,
+          type: meta.id,
+          ruleId: meta.id,
+          category: meta.category,
+          severity,
+          confidence: path
+            ? this.calculateASTConfidence(path, meta.confidence)
+            : (meta.confidence ?? 0.5),
+          message: message || meta.docs.description,
+          location,
+          suggestion: suggestion || null,
+          file: filePath,
+          line: location.line,
+          column: location.column,
+          endLine: location.endLine ?? location.line,
+          code: meta.id,
+          fixable: meta.fixable && Boolean(fix),
+          fix: fix || null,
+        });
+      },
+    };
   }
 
   /**
@@ -375,19 +221,10 @@ class ASTAnalyzer {
    * - C = Context confidence (0-1) - based on surrounding code
    *
    * @param {Object} path - Babel AST path
-   * @param {string} patternType - Type of pattern detected
+   * @param {number} structuralConfidence - The rule's meta.confidence
    * @returns {number} Confidence score (0-1)
    */
-  calculateASTConfidence(path, patternType) {
-    // Structural confidence based on node type
-    const structuralConfidence =
-      {
-        "null-reference": 0.9,
-        "undefined-variable": 0.8,
-        "missing-error-handling": 0.7,
-        "memory-leak": 0.6,
-      }[patternType] || 0.5;
-
+  calculateASTConfidence(path, structuralConfidence = 0.5) {
     // Depth confidence (deeper = less confident, as it might be intentional)
     const depth = this.getPathDepth(path);
     const depthConfidence = Math.max(0.5, 1.0 - depth * 0.1);
@@ -413,9 +250,9 @@ class ASTAnalyzer {
   getPathDepth(path) {
     let depth = 0;
     let current = path;
-    while (current && current.parent) {
+    while (current && current.parentPath) {
       depth++;
-      current = current.parent;
+      current = current.parentPath;
     }
     return depth;
   }
@@ -433,7 +270,7 @@ class ASTAnalyzer {
       if (current.isTryStatement() || current.isCatchClause()) {
         return 0.3; // Lower confidence in error handling blocks
       }
-      current = current.parent;
+      current = current.parentPath;
     }
 
     // Check if pattern is in conditional (higher confidence)
@@ -442,7 +279,7 @@ class ASTAnalyzer {
       if (current.isIfStatement() || current.isConditionalExpression()) {
         return 0.9; // Higher confidence in conditionals
       }
-      current = current.parent;
+      current = current.parentPath;
     }
 
     return 0.7; // Default confidence
@@ -483,10 +320,9 @@ class ASTAnalyzer {
    *
    * @param {Object} path - Babel AST path
    * @param {string} variableName - Variable name
-   * @param {Object} ast - Full AST
    * @returns {boolean} True if variable is defined
    */
-  isVariableDefined(path, variableName, ast) {
+  isVariableDefined(path, variableName) {
     // Walk up the scope chain
     let current = path;
     while (current) {
@@ -599,9 +435,13 @@ class ASTAnalyzer {
    * @returns {Array} Array of patterns
    */
   fallbackAnalysis(code, context) {
-    // Use existing error prediction service for fallback
+    // Use existing error prediction service for fallback (skipAst keeps it
+    // from calling back into this analyzer)
     const errorPredictionService = require("./errorPredictionService");
-    return errorPredictionService.analyzeCode(code, context);
+    return errorPredictionService.analyzeCode(code, {
+      ...context,
+      skipAst: true,
+    });
   }
 
   /**
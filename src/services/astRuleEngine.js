@@ -0,0 +1,412 @@
+/**
+ * AST Rule Engine
+ * The rules astAnalyzer runs: the built-in rules in ./astRules and a
+ * project's own rules, enabled and configured in the project's
+ * .code-roach.json:
+ *
+ *   {
+ *     "rules": {
+ *       "memory-leak": "on",
+ *       "null-reference": "off",
+ *       "missing-error-handling": ["high", { "functions": ["fetch"] }],
+ *       "no-eval": { "severity": "critical" }
+ *     },
+ *     "rulesDirectory": ".code-roach/rules"
+ *   }
+ *
+ * A rule setting is "on"/true, "off"/false, a severity, [severity, options]
+ * or { enabled, severity, options }. Rules not listed run with their
+ * defaults.
+ *
+ * A rule is a module exporting { meta, create }:
+ * - meta: { id, category, severity, docs: { description, url }, fixable,
+ *   confidence, enabledByDefault }
+ * - create(context): Babel visitors ({ Identifier(path) {...}, ... }).
+ *   context carries the rule's options, the code and file path, analyzer
+ *   helpers and report({ path, node, message, suggestion, fix, data }).
+ *
+ * Rules in a project's rulesDirectory are required into this process, so
+ * they are only loaded when config.astRules.projectRules is on
+ * (AST_PROJECT_RULES=true); a project's settings apply either way.
+ *
+ * All enabled rules share one traversal. A rule that throws is logged and
+ * skipped for the rest of that file; the other rules carry on.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("AstRuleEngine");
+
+const CONFIG_FILE = ".code-roach.json";
+const DEFAULT_RULES_DIRECTORY = ".code-roach/rules";
+const BUILT_IN_DIRECTORY = path.join(__dirname, "astRules");
+const SEVERITIES = ["critical", "high", "medium", "low", "info"];
+const GENERIC_PHASES = ["enter", "exit"];
+
+class AstRuleEngine {
+  constructor() {
+    this.builtIn = null;
+    // project root -> { settings, rules, directory, configStamp, directoryStamp }
+    this.projects = new Map();
+    this.warned = new Set();
+  }
+
+  /**
+   * The enabled rules for an analysis, with their severity and options
+   * @param {Object} context - { projectRoot }; without a project root only
+   *   the built-in rules run, with their defaults. The root is never derived
+   *   from a file path, which may come from an API client.
+   * @returns {Array<{rule: Object, severity: string, options: Object}>}
+   */
+  resolve(context = {}) {
+    return this.describe(context)
+      .filter((entry) => entry.enabled)
+      .map(({ rule, severity, options }) => ({ rule, severity, options }));
+  }
+
+  /**
+   * Metadata of every available rule and whether the project enables it
+   * @param {Object} context - { projectRoot }
+   * @returns {Array<Object>} { id, category, defaultSeverity, docs,
+   *   fixable, source, enabled, severity, options }
+   */
+  listRules(context = {}) {
+    return this.describe(context).map(({ rule, source, ...setting }) => ({
+      id: rule.meta.id,
+      category: rule.meta.category,
+      defaultSeverity: rule.meta.severity,
+      docs: rule.meta.docs,
+      fixable: rule.meta.fixable,
+      source,
+      enabled: setting.enabled,
+      severity: setting.severity,
+      options: setting.options,
+    }));
+  }
+
+  /**
+   * Combine the visitors of several rules into one visitor for a single
+   * traversal
+   * @param {Array<{id: string, visitor: Object}>} entries - from each rule's
+   *   create(context), in the order they should run
+   * @returns {Object} Babel visitor
+   */
+  mergeVisitors(entries) {
+    const failed = new Set();
+    const handlers = {};
+
+    const guard = (id, fn) =>
+      function (...args) {
+        if (failed.has(id)) return;
+        try {
+          fn.apply(this, args);
+        } catch (error) {
+          failed.add(id);
+          log.warn(
+            `[AST Rules] Rule "${id}" failed and was skipped: ${error.message}`,
+          );
+        }
+      };
+
+    for (const { id, visitor } of entries) {
+      for (const [key, value] of Object.entries(visitor || {})) {
+        if (GENERIC_PHASES.includes(key)) {
+          // { enter(path) {...} } runs on every node
+          if (typeof value === "function") {
+            handlers[""] = handlers[""] || { enter: [], exit: [] };
+            handlers[""][key].push(guard(id, value));
+          }
+          continue;
+        }
+        const phases = typeof value === "function" ? { enter: value } : value;
+        for (const type of key.split("|")) {
+          handlers[type] = handlers[type] || { enter: [], exit: [] };
+          for (const phase of GENERIC_PHASES) {
+            if (typeof phases?.[phase] === "function") {
+              handlers[type][phase].push(guard(id, phases[phase]));
+            }
+          }
+        }
+      }
+    }
+
+    const visitor = {};
+    for (const [type, phases] of Object.entries(handlers)) {
+      const target = type ? (visitor[type] = {}) : visitor;
+      for (const phase of GENERIC_PHASES) {
+        const fns = phases[phase];
+        if (fns.length) {
+          target[phase] = function (...args) {
+            for (const fn of fns) fn.apply(this, args);
+          };
+        }
+      }
+    }
+    return visitor;
+  }
+
+  /**
+   * Forget cached project configuration and rules (e.g. after editing a
+   * project rule, which is otherwise reloaded only when its directory or
+   * .code-roach.json changes)
+   */
+  clearCache() {
+    this.projects.clear();
+    this.warned.clear();
+  }
+
+  describe(context) {
+    const project = this.loadProject(this.projectRootFor(context));
+    const settings = project?.settings || {};
+    const rules = [
+      ...[...this.loadBuiltIn().values()].map((rule) => ({
+        rule,
+        source: "built-in",
+      })),
+      ...[...(project?.rules.values() || [])].map((rule) => ({
+        rule,
+        source: "project",
+      })),
+    ];
+
+    const ids = new Set(rules.map(({ rule }) => rule.meta.id));
+    for (const id of Object.keys(settings)) {
+      if (!ids.has(id)) {
+        this.warnOnce(
+          `[AST Rules] ${CONFIG_FILE} configures unknown rule "${id}"`,
+        );
+      }
+    }
+
+    return rules.map(({ rule, source }) => ({
+      rule,
+      source,
+      ...this.parseSetting(rule.meta, settings[rule.meta.id]),
+    }));
+  }
+
+  parseSetting(meta, value) {
+    const defaults = () => ({
+      enabled: meta.enabledByDefault !== false,
+      severity: meta.severity,
+      options: {},
+    });
+    const setting = defaults();
+    if (value === undefined) {
+      return setting;
+    }
+
+    const invalid = () => {
+      this.warnOnce(
+        `[AST Rules] Invalid setting for "${meta.id}" in ${CONFIG_FILE}; using its defaults`,
+      );
+      return defaults();
+    };
+    const applyLevel = (level) => {
+      if (level === false || level === "off") {
+        setting.enabled = false;
+      } else if (level === true || level === "on") {
+        setting.enabled = true;
+      } else if (SEVERITIES.includes(level)) {
+        setting.enabled = true;
+        setting.severity = level;
+      } else {
+        return false;
+      }
+      return true;
+    };
+
+    if (Array.isArray(value)) {
+      const [level, options] = value;
+      if (!applyLevel(level) || !isOptions(options)) return invalid();
+      setting.options = options || {};
+    } else if (value && typeof value === "object") {
+      const { enabled, severity, options } = value;
+      if (
+        (enabled !== undefined && typeof enabled !== "boolean") ||
+        (severity !== undefined && !SEVERITIES.includes(severity)) ||
+        !isOptions(options)
+      ) {
+        return invalid();
+      }
+      setting.enabled = enabled ?? true;
+      setting.severity = severity || meta.severity;
+      setting.options = options || {};
+    } else if (!applyLevel(value)) {
+      return invalid();
+    }
+    return setting;
+  }
+
+  loadBuiltIn() {
+    if (!this.builtIn) {
+      this.builtIn = this.loadDirectory(BUILT_IN_DIRECTORY, new Map());
+    }
+    return this.builtIn;
+  }
+
+  /**
+   * The project's rule settings and rules, reloaded when .code-roach.json or
+   * the rules directory changes
+   */
+  loadProject(root) {
+    if (!root) return null;
+
+    const configPath = path.join(root, CONFIG_FILE);
+    const configStat = statOrNull(configPath);
+    const cached = this.projects.get(root);
+    if (
+      cached &&
+      cached.configStamp === (configStat?.mtimeMs ?? null) &&
+      cached.directoryStamp === (statOrNull(cached.directory)?.mtimeMs ?? null)
+    ) {
+      return cached;
+    }
+
+    let projectConfig = {};
+    if (configStat) {
+      try {
+        projectConfig = JSON.parse(fs.readFileSync(configPath, "utf8")) || {};
+      } catch (error) {
+        this.warnOnce(
+          `[AST Rules] Could not read ${configPath}: ${error.message}`,
+        );
+      }
+    }
+
+    const settings =
+      projectConfig.rules && typeof projectConfig.rules === "object"
+        ? projectConfig.rules
+        : {};
+    const directory = this.rulesDirectoryFor(root, projectConfig);
+    const rules = new Map();
+    if (directory && config.astRules.projectRules) {
+      this.loadDirectory(directory, rules, { fresh: true });
+    }
+
+    const project = {
+      settings,
+      rules,
+      directory,
+      configStamp: configStat?.mtimeMs ?? null,
+      directoryStamp: statOrNull(directory)?.mtimeMs ?? null,
+    };
+    this.projects.set(root, project);
+    return project;
+  }
+
+  rulesDirectoryFor(root, projectConfig) {
+    const directory = path.resolve(
+      root,
+      projectConfig.rulesDirectory || DEFAULT_RULES_DIRECTORY,
+    );
+    const relative = path.relative(root, directory);
+    if (relative.startsWith("..") || path.isAbsolute(relative)) {
+      this.warnOnce(
+        `[AST Rules] rulesDirectory ${directory} is outside the project ${root}; ignoring it`,
+      );
+      return null;
+    }
+    return directory;
+  }
+
+  loadDirectory(directory, rules, { fresh = false } = {}) {
+    let files;
+    try {
+      files = fs
+        .readdirSync(directory)
+        .filter((file) => file.endsWith(".js") || file.endsWith(".cjs"))
+        .sort();
+    } catch (error) {
+      if (error.code !== "ENOENT") {
+        this.warnOnce(
+          `[AST Rules] Could not read rules from ${directory}: ${error.message}`,
+        );
+      }
+      return rules;
+    }
+
+    const builtIn = rules === this.builtIn ? null : this.builtIn;
+    for (const file of files) {
+      const fullPath = path.join(directory, file);
+      let rule;
+      try {
+        if (fresh) delete require.cache[require.resolve(fullPath)];
+        rule = require(fullPath);
+      } catch (error) {
+        this.warnOnce(
+          `[AST Rules] Could not load rule ${fullPath}: ${error.message}`,
+        );
+        continue;
+      }
+
+      const problem = validateRule(rule);
+      if (problem) {
+        this.warnOnce(`[AST Rules] Skipping rule ${fullPath}: ${problem}`);
+        continue;
+      }
+      const id = rule.meta.id;
+      if (rules.has(id) || builtIn?.has(id)) {
+        this.warnOnce(
+          `[AST Rules] Skipping rule ${fullPath}: a rule "${id}" is already loaded`,
+        );
+        continue;
+      }
+      rules.set(id, {
+        meta: { ...rule.meta, fixable: Boolean(rule.meta.fixable) },
+        create: rule.create,
+      });
+    }
+    return rules;
+  }
+
+  projectRootFor({ projectRoot } = {}) {
+    return projectRoot ? path.resolve(projectRoot) : null;
+  }
+
+  warnOnce(message) {
+    if (this.warned.has(message)) return;
+    this.warned.add(message);
+    log.warn(message);
+  }
+}
+
+function validateRule(rule) {
+  const meta = rule?.meta;
+  if (!meta || typeof meta.id !== "string" || !meta.id) {
+    return "meta.id is required";
+  }
+  if (typeof meta.category !== "string" || !meta.category) {
+    return "meta.category is required";
+  }
+  if (!SEVERITIES.includes(meta.severity)) {
+    return `meta.severity must be one of ${SEVERITIES.join(", ")}`;
+  }
+  if (typeof meta.docs?.description !== "string") {
+    return "meta.docs.description is required";
+  }
+  if (typeof rule.create !== "function") {
+    return "create(context) must be a function";
+  }
+  return null;
+}
+
+function isOptions(options) {
+  return (
+    options === undefined ||
+    (options !== null && typeof options === "object" && !Array.isArray(options))
+  );
+}
+
+function statOrNull(file) {
+  if (!file) return null;
+  try {
+    return fs.statSync(file);
+  } catch {
+    return null;
+  }
+}
+
+module.exports = new AstRuleEngine();
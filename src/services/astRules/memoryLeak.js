@@ -0,0 +1,58 @@
+/**
+ * memory-leak
+ * A timer or listener registration whose handle is not kept, so it can never
+ * be cleared
+ *
+ * Options: { functions: [names] } - the registration calls to check
+ */
+
+const DEFAULT_FUNCTIONS = [
+  "setInterval",
+  "setTimeout",
+  "addEventListener",
+  "on",
+];
+
+module.exports = {
+  meta: {
+    id: "memory-leak",
+    category: "performance",
+    severity: "low",
+    confidence: 0.6,
+    fixable: false,
+    // Noisy on event-driven code; projects turn it on in .code-roach.json
+    enabledByDefault: false,
+    docs: {
+      description: "Timer or event listener that is never cleaned up",
+    },
+  },
+
+  create(context) {
+    const functions = context.options.functions || DEFAULT_FUNCTIONS;
+
+    return {
+      CallExpression(path) {
+        const callee = path.node.callee;
+        if (callee.type !== "Identifier" || !functions.includes(callee.name)) {
+          return;
+        }
+
+        const parent = path.parent;
+        const isStored =
+          parent &&
+          (parent.type === "VariableDeclarator" ||
+            parent.type === "AssignmentExpression");
+        if (isStored) {
+          return;
+        }
+
+        context.report({
+          path,
+          message: `Potential memory leak: ${callee.name} result not stored for cleanup`,
+          suggestion: `Store result: const timerId = ${callee.name}(...); // Remember to clear`,
+          data: { function: callee.name },
+        });
+      },
+    };
+  },
+};
@@ -0,0 +1,66 @@
+/**
+ * missing-error-handling
+ * A call to an async I/O function outside any try block and without a
+ * .catch() handler
+ *
+ * Options: { functions: [names] } - the calls to check (a bare call matches
+ * when its name contains one of them, a method call when it equals one)
+ */
+
+const DEFAULT_FUNCTIONS = [
+  "fetch",
+  "axios",
+  "request",
+  "get",
+  "post",
+  "put",
+  "delete",
+];
+
+module.exports = {
+  meta: {
+    id: "missing-error-handling",
+    category: "reliability",
+    severity: "medium",
+    confidence: 0.7,
+    fixable: false,
+    docs: {
+      description: "Async operation that can fail without error handling",
+    },
+  },
+
+  create(context) {
+    const functions = context.options.functions || DEFAULT_FUNCTIONS;
+
+    return {
+      CallExpression(path) {
+        const callee = path.node.callee;
+        let functionName = null;
+        let isAsync = false;
+
+        if (callee.type === "Identifier") {
+          functionName = callee.name;
+          isAsync = functions.some((name) => functionName.includes(name));
+        } else if (callee.type === "MemberExpression" && callee.property) {
+          functionName = callee.property.name;
+          isAsync = functions.includes(functionName);
+        }
+
+        if (
+          !isAsync ||
+          context.helpers.hasTryCatch(path) ||
+          context.helpers.hasCatch(path)
+        ) {
+          return;
+        }
+
+        context.report({
+          path,
+          message: `Async operation "${functionName}" may fail without error handling`,
+          suggestion: `Add error handling: .catch(err => { console.error('Error:', err); })`,
+          data: { function: functionName },
+        });
+      },
+    };
+  },
+};
@@ -0,0 +1,54 @@
+/**
+ * null-reference
+ * Property access on an object that is never checked for null or undefined
+ * earlier in the file
+ */
+
+module.exports = {
+  meta: {
+    id: "null-reference",
+    category: "correctness",
+    severity: "high",
+    confidence: 0.9,
+    fixable: false,
+    docs: {
+      description:
+        "Property access on a value that may be null or undefined",
+    },
+  },
+
+  create(context) {
+    return {
+      MemberExpression(path) {
+        const { object, property } = path.node;
+        if (object.type !== "Identifier" && object.type !== "MemberExpression") {
+          return;
+        }
+
+        const objectName = context.helpers.getObjectName(object);
+        if (!objectName) {
+          return;
+        }
+
+        const beforeAccess = context.code.substring(0, path.node.start);
+        const hasNullCheck =
+          beforeAccess.includes(`${objectName} !== null`) ||
+          beforeAccess.includes(`${objectName} != null`) ||
+          beforeAccess.includes(`${objectName} === null`) ||
+          beforeAccess.includes(`if (${objectName}`) ||
+          beforeAccess.includes(`&& ${objectName}`);
+        if (hasNullCheck) {
+          return;
+        }
+
+        const propertyName = property.name || property.value;
+        context.report({
+          path,
+          message: `Potential null reference: ${objectName}.${propertyName}`,
+          suggestion: `Add null check: if (${objectName} !== null && ${objectName} !== undefined) { ... }`,
+          data: { object: objectName, property: propertyName },
+        });
+      },
+    };
+  },
+};
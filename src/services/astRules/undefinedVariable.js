@@ -0,0 +1,47 @@
+/**
+ * undefined-variable
+ * A referenced identifier with no binding in scope that is not a known global
+ *
+ * Options: { globals: [names] } - extra globals the project provides
+ */
+
+module.exports = {
+  meta: {
+    id: "undefined-variable",
+    category: "correctness",
+    severity: "high",
+    confidence: 0.8,
+    fixable: false,
+    docs: {
+      description: "Use of a variable that is not declared in any scope",
+    },
+  },
+
+  create(context) {
+    const globals = new Set(context.options.globals || []);
+
+    return {
+      Identifier(path) {
+        if (!path.isReferencedIdentifier()) {
+          return;
+        }
+
+        const variableName = path.node.name;
+        if (
+          globals.has(variableName) ||
+          context.helpers.isBuiltIn(variableName) ||
+          context.helpers.isVariableDefined(path, variableName)
+        ) {
+          return;
+        }
+
+        context.report({
+          path,
+          message: `Variable "${variableName}" may be undefined`,
+          suggestion: `Declare variable: let ${variableName} = null; // TODO: Initialize`,
+          data: { variable: variableName },
+        });
+      },
+    };
+  },
+};
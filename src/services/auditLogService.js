@@ -0,0 +1,514 @@
+/**
+ * Audit Log Service
+ * Append-only, hash-chained audit trail of security-relevant actions
+ *
+ * Every entry records who did what (actor, IP, user agent), to which
+ * resource, and the state before and after. Entries form one chain per
+ * tenant plus a "system" chain for events outside any tenant (sign-ins,
+ * user API keys). Each entry stores the SHA-256 hash of its own content and
+ * the hash of the entry before it, so editing, removing or reordering
+ * entries breaks the chain and verify() reports where.
+ *
+ * Actor, IP and tenant default to the request's tenant context, so services
+ * only pass what changed:
+ *   await auditLogService.record({
+ *     event: "project_updated",
+ *     category: "config",
+ *     resourceType: "project",
+ *     resourceId: project.id,
+ *     before,
+ *     after,
+ *   });
+ *
+ * record() never throws: an audited action isn't undone because its entry
+ * couldn't be written. Failed writes are counted and reported by verify().
+ *
+ * Retention purges entries from the start of a chain (purgeBefore()). A
+ * checkpoint keeps the sequence and hash of the last purged entry, and
+ * verify() continues the chain from there.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const { canonicalJson } = require("../utils/canonicalJson");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("AuditLogService");
+
+const TABLE = "audit_log";
+const CHECKPOINTS_TABLE = "audit_log_checkpoints";
+const SYSTEM_CHAIN = "system";
+const GENESIS_HASH = "0".repeat(64);
+const PAGE_SIZE = 500;
+const MAX_QUERY_LIMIT = 1000;
+// Appends retried after another instance extended the same chain
+const APPEND_ATTEMPTS = 3;
+
+const EXPORT_COLUMNS = [
+  "sequence",
+  "created_at",
+  "tenant_id",
+  "event",
+  "category",
+  "actor_id",
+  "actor_type",
+  "ip_address",
+  "user_agent",
+  "resource_type",
+  "resource_id",
+  "before",
+  "after",
+  "metadata",
+  "prev_hash",
+  "hash",
+];
+
+function chainId(tenantId) {
+  return tenantId ? `tenant:${tenantId}` : SYSTEM_CHAIN;
+}
+
+/**
+ * Tenant API keys act as "tenant:<id>" principals; no actor means the system
+ */
+function actorTypeOf(actorId) {
+  if (!actorId) return "system";
+  return String(actorId).startsWith("tenant:") ? "tenant" : "user";
+}
+
+/**
+ * JSON-safe copy (Dates become ISO strings); undefined becomes null
+ */
+function toJson(value) {
+  return value === undefined ? null : JSON.parse(JSON.stringify(value));
+}
+
+/**
+ * Hash of an entry's content and its predecessor's hash
+ */
+function hashEntry(entry) {
+  const content = {
+    chain_id: entry.chain_id,
+    sequence: Number(entry.sequence),
+    tenant_id: entry.tenant_id ?? null,
+    event: entry.event,
+    category: entry.category ?? null,
+    actor_id: entry.actor_id ?? null,
+    actor_type: entry.actor_type ?? null,
+    ip_address: entry.ip_address ?? null,
+    user_agent: entry.user_agent ?? null,
+    resource_type: entry.resource_type ?? null,
+    resource_id: entry.resource_id ?? null,
+    before: entry.before ?? null,
+    after: entry.after ?? null,
+    metadata: entry.metadata ?? null,
+    // Postgres returns timestamps in its own format
+    created_at: new Date(entry.created_at).toISOString(),
+    prev_hash: entry.prev_hash,
+  };
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson(content))
+    .digest("hex");
+}
+
+function toEntry(row) {
+  return {
+    id: row.id,
+    sequence: Number(row.sequence),
+    tenantId: row.tenant_id || null,
+    event: row.event,
+    category: row.category || null,
+    actorId: row.actor_id || null,
+    actorType: row.actor_type || null,
+    ipAddress: row.ip_address || null,
+    userAgent: row.user_agent || null,
+    resourceType: row.resource_type || null,
+    resourceId: row.resource_id || null,
+    before: row.before ?? null,
+    after: row.after ?? null,
+    metadata: row.metadata ?? null,
+    createdAt: row.created_at,
+    prevHash: row.prev_hash,
+    hash: row.hash,
+  };
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return "";
+  const text =
+    typeof value === "object" ? JSON.stringify(value) : String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+class AuditLogService {
+  constructor() {
+    this.heads = new Map(); // chain id -> { sequence, hash } of the last append
+    this.appending = new Map(); // chain id -> promise of the pending append
+    this.failedWrites = 0;
+  }
+
+  /**
+   * Append an entry to its tenant's chain
+   * @param {Object} entry - { event, category, tenantId, actorId, actorType,
+   *   ip, userAgent, resourceType, resourceId, before, after, metadata };
+   *   category is one of auth, access, compliance, config, dsar,
+   *   encryption, fix, retention or tenant.
+   *   tenantId, actor, IP and user agent default to the tenant context
+   * @returns {Promise<Object|null>} The stored entry, null if it couldn't be written
+   */
+  async record(entry) {
+    const context = tenantContext.current() || {};
+    const tenantId =
+      entry.tenantId !== undefined ? entry.tenantId : context.tenantId;
+    const actorId = entry.actorId || context.principalId || null;
+    const row = {
+      tenant_id: tenantId || null,
+      event: entry.event,
+      category: entry.category || null,
+      actor_id: actorId,
+      actor_type: entry.actorType || actorTypeOf(actorId),
+      ip_address: entry.ip || context.ip || null,
+      user_agent: entry.userAgent || context.userAgent || null,
+      resource_type: entry.resourceType || null,
+      resource_id:
+        entry.resourceId === undefined || entry.resourceId === null
+          ? null
+          : String(entry.resourceId),
+      before: toJson(entry.before),
+      after: toJson(entry.after),
+      metadata: toJson(entry.metadata),
+    };
+
+    try {
+      return await this.append(chainId(row.tenant_id), row);
+    } catch (error) {
+      this.failedWrites++;
+      log.error(
+        `[Audit Log] Failed to record ${entry.event}: ${error.message}`,
+      );
+      return null;
+    }
+  }
+
+  /**
+   * Appends to one chain run one at a time in this process; the unique
+   * (chain_id, sequence) index catches appends from other instances
+   */
+  append(chain, row) {
+    const previous = this.appending.get(chain) || Promise.resolve();
+    const next = previous
+      .catch(() => {})
+      .then(() => this.appendWithRetry(chain, row));
+    this.appending.set(chain, next);
+    next
+      .catch(() => {})
+      .finally(() => {
+        if (this.appending.get(chain) === next) this.appending.delete(chain);
+      });
+    return next;
+  }
+
+  async appendWithRetry(chain, row) {
+    for (let attempt = 1; ; attempt++) {
+      const head = await this.getHead(chain);
+      const entry = {
+        ...row,
+        chain_id: chain,
+        sequence: head.sequence + 1,
+        prev_hash: head.hash,
+        created_at: new Date().toISOString(),
+      };
+      entry.hash = hashEntry(entry);
+
+      try {
+        // The audit log spans tenants; rows carry their tenant explicitly
+        const { data } = await tenantContext.runUnrestricted(() =>
+          databaseService.insert(TABLE, entry, { single: true }),
+        );
+        this.heads.set(chain, { sequence: entry.sequence, hash: entry.hash });
+        return toEntry(data || entry);
+      } catch (error) {
+        this.heads.delete(chain);
+        if (error.code !== "23505" || attempt >= APPEND_ATTEMPTS) throw error;
+      }
+    }
+  }
+
+  async getHead(chain) {
+    if (this.heads.has(chain)) return this.heads.get(chain);
+
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(TABLE, {
+        select: "sequence, hash",
+        filters: [{ column: "chain_id", operator: "eq", value: chain }],
+        order: { column: "sequence", ascending: false },
+        limit: 1,
+      }),
+    );
+    const last = data?.[0] || (await this.getCheckpoint(chain));
+    const head = last
+      ? { sequence: Number(last.sequence), hash: last.hash }
+      : { sequence: 0, hash: GENESIS_HASH };
+    this.heads.set(chain, head);
+    return head;
+  }
+
+  /**
+   * The latest checkpoint of a chain, null if nothing was purged from it
+   */
+  async getCheckpoint(chain) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(CHECKPOINTS_TABLE, {
+        select: "*",
+        filters: [{ column: "chain_id", operator: "eq", value: chain }],
+        order: { column: "sequence", ascending: false },
+        limit: 1,
+      }),
+    );
+    return data?.[0] || null;
+  }
+
+  /**
+   * Remove a tenant's entries (null = the system chain) recorded before a
+   * date, from the start of the chain, leaving a checkpoint and an
+   * audit_log_purged entry
+   * @param {string|null} tenantId
+   * @param {Date|string} before - Entries older than this are purged
+   * @param {Object} [options] - { dryRun: only count the entries }
+   * @returns {Promise<{ entries: number, throughSequence: number|null }>}
+   */
+  async purgeBefore(tenantId, before, { dryRun = false } = {}) {
+    const chain = chainId(tenantId);
+    const purgedBefore = new Date(before).toISOString();
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(TABLE, {
+        select: "sequence, hash",
+        filters: [
+          { column: "chain_id", operator: "eq", value: chain },
+          { column: "created_at", operator: "lt", value: purgedBefore },
+        ],
+        order: { column: "sequence", ascending: false },
+        limit: 1,
+      }),
+    );
+    const last = data?.[0];
+    if (!last) return { entries: 0, throughSequence: null };
+
+    const checkpoint = await this.getCheckpoint(chain);
+    const throughSequence = Number(last.sequence);
+    const entries = throughSequence - Number(checkpoint?.sequence || 0);
+    if (dryRun || entries <= 0) return { entries, throughSequence };
+
+    // The database only lets entries covered by a checkpoint go
+    await tenantContext.runUnrestricted(async () => {
+      await databaseService.insert(CHECKPOINTS_TABLE, {
+        chain_id: chain,
+        tenant_id: tenantId || null,
+        sequence: throughSequence,
+        hash: last.hash,
+        purged_before: purgedBefore,
+      });
+      await databaseService.delete(TABLE, [
+        { column: "chain_id", operator: "eq", value: chain },
+        { column: "sequence", operator: "lte", value: throughSequence },
+      ]);
+    });
+
+    await this.record({
+      event: "audit_log_purged",
+      category: "retention",
+      tenantId: tenantId || null,
+      resourceType: "audit_log",
+      resourceId: chain,
+      metadata: { entries, throughSequence, purgedBefore },
+    });
+    return { entries, throughSequence };
+  }
+
+  /**
+   * Entries of a tenant (null = the system chain), most recent first
+   * @param {string|null} tenantId
+   * @param {Object} filters - { event, category, actorId, resourceType,
+   *   resourceId, from, to, limit, offset }
+   * @returns {Promise<{ entries: Object[], total: number }>}
+   */
+  async query(tenantId, filters = {}) {
+    const limit = Math.min(parseInt(filters.limit, 10) || 100, MAX_QUERY_LIMIT);
+    const { data, count } = await this.fetch(tenantId, filters, {
+      limit,
+      offset: parseInt(filters.offset, 10) || 0,
+      ascending: false,
+      count: "exact",
+    });
+    const entries = (data || []).map(toEntry);
+    return { entries, total: count ?? entries.length };
+  }
+
+  /**
+   * Matching entries in chain order, as JSON, NDJSON or CSV
+   * @param {string|null} tenantId
+   * @param {Object} filters - As for query()
+   * @param {string} format - "json", "ndjson" or "csv"
+   * @returns {Promise<{ body: string, contentType: string, count: number }>}
+   */
+  async export(tenantId, filters = {}, format = "json") {
+    const rows = [];
+    const max = config.auditLog.exportMaxEntries;
+    while (rows.length < max) {
+      const { data } = await this.fetch(tenantId, filters, {
+        limit: Math.min(PAGE_SIZE, max - rows.length),
+        offset: rows.length,
+        ascending: true,
+      });
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) break;
+    }
+
+    if (format === "csv") {
+      const lines = rows.map((row) =>
+        EXPORT_COLUMNS.map((column) => csvValue(row[column])).join(","),
+      );
+      return {
+        body: [EXPORT_COLUMNS.join(","), ...lines].join("\n") + "\n",
+        contentType: "text/csv",
+        count: rows.length,
+      };
+    }
+    if (format === "ndjson") {
+      return {
+        body: rows.map((row) => JSON.stringify(toEntry(row))).join("\n") + "\n",
+        contentType: "application/x-ndjson",
+        count: rows.length,
+      };
+    }
+    return {
+      body: JSON.stringify(
+        {
+          tenantId: tenantId || null,
+          exportedAt: new Date().toISOString(),
+          entries: rows.map(toEntry),
+        },
+        null,
+        2,
+      ),
+      contentType: "application/json",
+      count: rows.length,
+    };
+  }
+
+  fetch(tenantId, filters, { limit, offset, ascending, count }) {
+    const conditions = [
+      { column: "chain_id", operator: "eq", value: chainId(tenantId) },
+    ];
+    const columns = {
+      event: "event",
+      category: "category",
+      actorId: "actor_id",
+      resourceType: "resource_type",
+      resourceId: "resource_id",
+    };
+    for (const [filter, column] of Object.entries(columns)) {
+      if (filters[filter]) {
+        conditions.push({ column, operator: "eq", value: filters[filter] });
+      }
+    }
+    if (filters.from) {
+      conditions.push({
+        column: "created_at",
+        operator: "gte",
+        value: new Date(filters.from).toISOString(),
+      });
+    }
+    if (filters.to) {
+      conditions.push({
+        column: "created_at",
+        operator: "lte",
+        value: new Date(filters.to).toISOString(),
+      });
+    }
+
+    return tenantContext.runUnrestricted(() =>
+      databaseService.query(TABLE, {
+        select: "*",
+        filters: conditions,
+        order: { column: "sequence", ascending },
+        limit,
+        offset,
+        count,
+      }),
+    );
+  }
+
+  /**
+   * Recompute a tenant's chain (null = the system chain) and report the
+   * first entry that was changed, removed or reordered
+   * @returns {Promise<Object>} { valid, entries, headSequence, headHash,
+   *   purgedThrough, brokenAt, reason, failedWrites }
+   */
+  async verify(tenantId) {
+    const chain = chainId(tenantId);
+    const checkpoint = await this.getCheckpoint(chain);
+    const result = {
+      chain,
+      valid: true,
+      entries: 0,
+      headSequence: Number(checkpoint?.sequence || 0),
+      headHash: checkpoint?.hash || GENESIS_HASH,
+      purgedThrough: checkpoint ? Number(checkpoint.sequence) : null,
+      brokenAt: null,
+      reason: null,
+      failedWrites: this.failedWrites,
+      verifiedAt: new Date().toISOString(),
+    };
+    const fail = (sequence, reason) =>
+      Object.assign(result, { valid: false, brokenAt: sequence, reason });
+
+    let offset = 0;
+    for (;;) {
+      const { data } = await tenantContext.runUnrestricted(() =>
+        databaseService.query(TABLE, {
+          select: "*",
+          filters: [{ column: "chain_id", operator: "eq", value: chain }],
+          order: { column: "sequence", ascending: true },
+          limit: PAGE_SIZE,
+          offset,
+        }),
+      );
+      const rows = data || [];
+
+      for (const row of rows) {
+        const sequence = Number(row.sequence);
+        if (sequence !== result.headSequence + 1) {
+          return fail(
+            result.headSequence + 1,
+            sequence > result.headSequence + 1
+              ? "Entries are missing"
+              : "Sequence numbers are out of order",
+          );
+        }
+        if (row.prev_hash !== result.headHash) {
+          return fail(sequence, "Link to the previous entry is broken");
+        }
+        if (hashEntry(row) !== row.hash) {
+          return fail(sequence, "Entry content does not match its hash");
+        }
+        result.entries++;
+        result.headSequence = sequence;
+        result.headHash = row.hash;
+      }
+
+      if (rows.length < PAGE_SIZE) break;
+      offset += rows.length;
+    }
+
+    // Entries this process appended can't disappear from the end of the chain
+    const known = this.heads.get(chain);
+    if (known && known.sequence > result.headSequence) {
+      return fail(result.headSequence + 1, "Entries are missing at the end");
+    }
+    return result;
+  }
+}
+
+module.exports = new AuditLogService();
@@ -17,33 +17,16 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("AutomatedTestGenerator");
+const databaseService = require("./databaseService");
 const llmService = require("./llmService");
 const agentKnowledgeService = require("./agentKnowledgeService");
 const fs = require("fs").promises;
 const path = require("path");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class AutomatedTestGenerator {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[automatedTestGenerator] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[automatedTestGenerator] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
 
     // Ensure test directory exists
     fs.mkdir(this.testDir, { recursive: true }).catch(() => {});
@@ -31,6 +31,7 @@ const incrementalFixEngine = require("./incrementalFixEngine");
 const advancedFixIntelligence = require("./advancedFixIntelligence");
 const quantumFixOptimizer = require("./quantumFixOptimizer");
 const issueStorageService = require("./issueStorageService");
+const tokenBudgetService = require("./tokenBudgetService");
 const path = require("path");
 
 class AutonomousMode {
@@ -81,16 +82,27 @@ class AutonomousMode {
     this.isActive = true;
     this.startTime = Date.now();
 
-    // Start file watcher
-    await this.startFileWatcher();
-
-    // Start scheduled tasks
-    this.startScheduledTasks();
-
-    // Run initial scan (don't await - run in background)
-    this.runInitialScan().catch((err) => {
-      console.error("[Autonomous Mode] Initial scan error:", err.message);
-    });
+    // Everything started here (watcher callbacks, timers, scans) inherits the
+    // budget scope, so LLM spend counts against this tenant/project
+    await tokenBudgetService.runWithScope(
+      {
+        tenantId: this.config.tenantId || null,
+        projectId:
+          this.config.projectId || process.env.DEFAULT_PROJECT_ID || null,
+      },
+      async () => {
+        // Start file watcher
+        await this.startFileWatcher();
+
+        // Start scheduled tasks
+        this.startScheduledTasks();
+
+        // Run initial scan (don't await - run in background)
+        this.runInitialScan().catch((err) => {
+          console.error("[Autonomous Mode] Initial scan error:", err.message);
+        });
+      },
+    );
 
     console.log("✅ [Autonomous Mode] Started successfully");
   }
@@ -17,32 +17,15 @@
 const agentKnowledgeService = require("./agentKnowledgeService");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("BatchLearningService");
+const databaseService = require("./databaseService");
 const fixLearningSystem = require("./fixLearningSystem");
 const fixSuccessTracker = require("./fixSuccessTracker");
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class BatchLearningService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[batchLearningService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[batchLearningService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
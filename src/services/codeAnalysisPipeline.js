@@ -0,0 +1,305 @@
+/**
+ * Code Analysis Pipeline
+ * Backs the commercial /api/analyze, /api/fix and /api/review endpoints:
+ * runs the analyzers on submitted code, previews orchestrated fixes and
+ * collects review feedback
+ */
+
+const path = require("path");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const astAnalyzer = require("./astAnalyzer");
+const codeSmellDetector = require("./codeSmellDetector");
+const securityAutoFix = require("./securityAutoFix");
+const codeHealthScoring = require("./codeHealthScoring");
+const codeReviewAssistant = require("./codeReviewAssistant");
+const fixOrchestrationService = require("./fixOrchestrationService");
+const fixPreviewService = require("./fixPreviewService");
+const tokenBudgetService = require("./tokenBudgetService");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("CodeAnalysisPipeline");
+
+const SEVERITY_RANK = { critical: 0, high: 1, medium: 2, low: 3, info: 4 };
+
+const DEFAULT_FILE_PATHS = {
+  javascript: "input.js",
+  typescript: "input.ts",
+};
+
+class CodeAnalysisPipeline {
+  /**
+   * Default file name for submitted snippets without a path
+   */
+  defaultFilePath(language = "javascript") {
+    return DEFAULT_FILE_PATHS[language] || "input.js";
+  }
+
+  /**
+   * Root directory of a registered project, whose .code-roach.json sets the
+   * AST rules; null without one or when it lies outside the crawl workspace
+   * @param {string|null} projectId - A project the caller may analyse
+   * @returns {Promise<string|null>}
+   */
+  async projectRootOf(projectId) {
+    if (!projectId) return null;
+    let directory;
+    try {
+      const { data } = await databaseService.query("projects", {
+        select: "root_directory",
+        filters: [{ column: "id", operator: "eq", value: projectId }],
+      });
+      directory = data?.[0]?.root_directory;
+    } catch (error) {
+      log.warn(`Could not look up project ${projectId}:`, error.message);
+      return null;
+    }
+    if (!directory) return null;
+
+    const workspace = config.crawler.workspaceRoot;
+    const root = path.resolve(workspace, directory);
+    const relative = path.relative(workspace, root);
+    return relative.startsWith("..") || path.isAbsolute(relative) ? null : root;
+  }
+
+  /**
+   * Run AST, code smell, security and health analysis on submitted code
+   * @param {string} code - Source code
+   * @param {Object} options - { language, filePath, projectRoot }; a
+   *   projectRoot applies that project's AST rules (.code-roach.json)
+   * @returns {Promise<Object>} { filePath, language, issues, summary, health }
+   */
+  async analyzeCode(code, options = {}) {
+    const language = options.language || "javascript";
+    const filePath = options.filePath || this.defaultFilePath(language);
+
+    const [astPatterns, smells, vulnerabilities, health] = await Promise.all([
+      this.runAnalyzer("ast", () =>
+        astAnalyzer.analyzeCode(code, {
+          language,
+          filePath,
+          projectRoot: options.projectRoot,
+        }),
+      ),
+      this.runAnalyzer("code-smell", () =>
+        codeSmellDetector.detectCodeSmells(code, filePath),
+      ),
+      this.runAnalyzer("security", () =>
+        securityAutoFix.scanForVulnerabilities(code, filePath),
+      ),
+      codeHealthScoring.calculateHealthScore(filePath, code),
+    ]);
+
+    const issues = [
+      ...astPatterns.map((pattern) => this.fromAstPattern(pattern)),
+      ...smells.map((smell) => this.fromCodeSmell(smell)),
+      ...vulnerabilities.map((vuln) => this.fromVulnerability(vuln)),
+    ].sort(compareIssues);
+
+    issues.forEach((issue, index) => {
+      issue.id = `issue-${index + 1}`;
+      issue.file = filePath;
+    });
+
+    return {
+      filePath,
+      language,
+      issues,
+      summary: summarizeIssues(issues),
+      health,
+    };
+  }
+
+  /**
+   * Drive the fix orchestration pipeline without applying the result
+   * @param {string} code - Original source code
+   * @param {Object} options - { issue, language, filePath, tenantId, projectId }
+   * @returns {Promise<Object>} Pipeline decision, fix and preview
+   */
+  async previewFix(code, options = {}) {
+    const language = options.language || "javascript";
+    const filePath = options.filePath || this.defaultFilePath(language);
+
+    // Without an explicit issue, fix the most severe one analysis finds
+    let issue = options.issue;
+    if (!issue) {
+      const analysis = await this.analyzeCode(code, { language, filePath });
+      issue = analysis.issues[0];
+      if (!issue) {
+        return { success: false, error: "No issues found to fix" };
+      }
+    }
+
+    const context = {
+      filePath,
+      originalCode: code,
+      fixedCode: null,
+      issue,
+      method: "orchestration",
+      confidence: 0.8,
+      tenantId: options.tenantId,
+      projectId: options.projectId,
+      dryRun: true,
+    };
+
+    const result = await tokenBudgetService.runWithScope(
+      { tenantId: options.tenantId, projectId: options.projectId },
+      () => fixOrchestrationService.orchestrateFix(issue, context),
+    );
+
+    const stages = (result.pipeline?.stages || []).map((stage) => ({
+      name: stage.name,
+      status: stage.status,
+      error: stage.error,
+    }));
+
+    if (!result.success || !context.fixedCode) {
+      const generateStage = result.pipeline?.stages?.find(
+        (stage) => stage.name === "generate_fix",
+      );
+      return {
+        success: false,
+        error:
+          result.error || generateStage?.error || "No fix could be generated",
+        pipelineId: result.pipelineId,
+        issue,
+        stages,
+      };
+    }
+
+    const verifyStage = result.pipeline.stages.find(
+      (stage) => stage.name === "verify",
+    );
+    const preview = await fixPreviewService.generatePreview(
+      code,
+      context.fixedCode,
+      issue,
+      filePath,
+      {
+        edits: context.edits,
+        confidence: context.confidence,
+        validation: verifyStage?.result,
+      },
+    );
+
+    return {
+      success: true,
+      pipelineId: result.pipelineId,
+      issue,
+      decision: result.decision,
+      fix: {
+        code: context.fixedCode,
+        edits: context.edits,
+        explanation: context.explanation,
+        method: context.method,
+        confidence: context.confidence,
+      },
+      preview,
+      previewText: preview
+        ? fixPreviewService.formatPreview(preview, "text")
+        : null,
+      stages,
+    };
+  }
+
+  /**
+   * Review code and attach inline comments for line-level findings
+   * @param {string} code - Source code
+   * @param {Object} options - { filePath, language, tenantId, projectId, ... }
+   * @returns {Promise<Object>} { success, review, inlineComments }
+   */
+  async reviewCode(code, options = {}) {
+    const { tenantId, projectId, language, ...reviewOptions } = options;
+    const filePath = options.filePath || this.defaultFilePath(language);
+
+    const result = await tokenBudgetService.runWithScope(
+      { tenantId, projectId },
+      () => codeReviewAssistant.reviewCode(code, filePath, reviewOptions),
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    return {
+      success: true,
+      review: result.review,
+      inlineComments: codeReviewAssistant.buildInlineComments(result.review),
+    };
+  }
+
+  /**
+   * Run one analyzer, treating failures as "no findings"
+   */
+  async runAnalyzer(name, fn) {
+    try {
+      const findings = await fn();
+      return Array.isArray(findings) ? findings : [];
+    } catch (err) {
+      log.warn(`[Code Analysis] ${name} analyzer failed:`, err.message);
+      return [];
+    }
+  }
+
+  fromAstPattern(pattern) {
+    return {
+      source: "ast",
+      type: pattern.type,
+      severity: pattern.severity || "medium",
+      message: pattern.message,
+      line: pattern.location?.line || pattern.line || null,
+      column: pattern.location?.column ?? null,
+      endLine: pattern.location?.endLine || null,
+      confidence: pattern.confidence ?? null,
+      suggestion: pattern.suggestion || null,
+      code: pattern.code || null,
+    };
+  }
+
+  fromCodeSmell(smell) {
+    return {
+      source: "code-smell",
+      type: smell.type,
+      severity: smell.severity || "medium",
+      message: smell.description || smell.type,
+      line: smell.location?.line || null,
+      column: smell.location?.column ?? null,
+      endLine: null,
+      confidence: null,
+      suggestion: smell.fix || null,
+    };
+  }
+
+  fromVulnerability(vuln) {
+    return {
+      source: "security",
+      type: vuln.type || "security",
+      severity: vuln.severity || "high",
+      message: vuln.message,
+      line: vuln.line || null,
+      column: vuln.column ?? null,
+      endLine: vuln.endLine || null,
+      confidence: vuln.confidence ?? null,
+      suggestion: vuln.suggestion || null,
+      ...(vuln.cwe && { cwe: vuln.cwe }),
+      ...(vuln.trace && { trace: vuln.trace }),
+    };
+  }
+}
+
+function compareIssues(a, b) {
+  const bySeverity =
+    (SEVERITY_RANK[a.severity] ?? SEVERITY_RANK.info) -
+    (SEVERITY_RANK[b.severity] ?? SEVERITY_RANK.info);
+  return bySeverity || (a.line || 0) - (b.line || 0);
+}
+
+function summarizeIssues(issues) {
+  const summary = { total: issues.length, bySeverity: {}, bySource: {} };
+  for (const issue of issues) {
+    summary.bySeverity[issue.severity] =
+      (summary.bySeverity[issue.severity] || 0) + 1;
+    summary.bySource[issue.source] = (summary.bySource[issue.source] || 0) + 1;
+  }
+  return summary;
+}
+
+module.exports = new CodeAnalysisPipeline();
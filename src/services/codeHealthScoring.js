@@ -13,6 +13,7 @@
  * Provides real-time health scores (0-100) for code files and modules
  */
 
+const crypto = require("crypto");
 const codebaseSearch = require("./codebaseSearch");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CodeHealthScoring");
@@ -39,8 +40,10 @@ class CodeHealthScoring {
    */
   async calculateHealthScore(filePath, code = null) {
     try {
-      // Check cache
-      const cacheKey = `health_${filePath}`;
+      // Check cache (submitted code is keyed by content, not just path)
+      const cacheKey = code
+        ? `health_${filePath}_${crypto.createHash("sha1").update(code).digest("hex")}`
+        : `health_${filePath}`;
       const cached = this.healthCache.get(cacheKey);
       if (cached && Date.now() - cached.timestamp < this.cacheTTL) {
         return cached.score;
@@ -170,9 +170,9 @@ class CodeReviewAssistant {
         type: "security",
         severity: vuln.severity,
         line: vuln.line,
-        message: `${vuln.type} vulnerability detected`,
+        message: vuln.message || `${vuln.type} vulnerability detected`,
         code: vuln.code,
-        suggestion: `Fix ${vuln.type} vulnerability`,
+        suggestion: vuln.suggestion || `Fix ${vuln.type} vulnerability`,
         fixType: vuln.fixType,
       });
     });
@@ -405,9 +405,16 @@ Provide 2-3 specific improvement suggestions. Be concise.`;
    */
   async generateInlineComments(code, filePath) {
     const review = await this.reviewCode(code, filePath);
+    return review.success ? this.buildInlineComments(review.review) : [];
+  }
+
+  /**
+   * Turn a review's line-level issues into inline comments
+   */
+  buildInlineComments(review) {
     const comments = [];
 
-    review.review.issues.forEach((issue) => {
+    review.issues.forEach((issue) => {
       if (issue.line) {
         comments.push({
           line: issue.line,
@@ -448,7 +455,7 @@ Provide 2-3 specific improvement suggestions. Be concise.`;
           );
 
           if (fix.success) {
-            fixedCode = fixedCode.replace(issue.code, fix.fixed);
+            fixedCode = fix.fixedCode;
             fixes.push({
               issue,
               fix: fix.fixed,
@@ -14,31 +14,14 @@
  */
 
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
 const { createLogger } = require("../utils/logger");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 const log = createLogger("CodeRoachAlerts");
+const databaseService = require("./databaseService");
 
 class CodeRoachAlerts {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[codeRoachAlerts] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[codeRoachAlerts] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   start() {
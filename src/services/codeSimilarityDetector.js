@@ -17,30 +17,13 @@
 const codebaseSearch = require("./codebaseSearch");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CodeSimilarityDetector");
+const databaseService = require("./databaseService");
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class CodeSimilarityDetector {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[codeSimilarityDetector] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[codeSimilarityDetector] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
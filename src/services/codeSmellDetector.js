@@ -17,30 +17,29 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CodeSmellDetector");
+const databaseService = require("./databaseService");
 const codebaseSearch = require("./codebaseSearch");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class CodeSmellDetector {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[codeSmellDetector] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[codeSmellDetector] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
+
+    // Line-level smells; each pattern is also used to locate the first match
+    this.smellPatterns = [
+      {
+        name: "Magic Numbers",
+        pattern: /\b\d{3,}\b/,
+        severity: "low",
+        fix: "extract-constant",
+      },
+      {
+        name: "Deep Nesting",
+        pattern: /^(?:\t{5,}| {10,})(?:if|for|while|switch)\b/m,
+        severity: "medium",
+        fix: "reduce-nesting",
+      },
+    ];
   }
 
   /**
@@ -21,7 +21,15 @@ const codebaseSearch = require("./codebaseSearch");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CodebaseAwareFixGenerator");
 const llmService = require("./llmService");
+const { isFixtureMissing } = require("./llm/recordReplay");
+const {
+  FIX_SCHEMA,
+  numberLines,
+  validateFixEdits,
+  applyFixEdits,
+} = require("./llm/fixSchema");
 const patternBasedFixTemplates = require("./patternBasedFixTemplates");
+const tokenBudgetService = require("./tokenBudgetService");
 const agentKnowledgeService = require("./agentKnowledgeService");
 const agentSessionService = require("./agentSessionService");
 const fixSuccessTracker = require("./fixSuccessTracker");
@@ -43,6 +51,7 @@ class CodebaseAwareFixGenerator {
           message: error.message || error.description || "Unknown error",
           type: error.type || error.category || "error",
           stack: error.stack || error.trace || "",
+          line: error.line,
         };
 
     console.log(`[Codebase-Aware Fix] Generating fix for: ${errorObj.message}`);
@@ -117,19 +126,30 @@ class CodebaseAwareFixGenerator {
     }
 
     // 5. Generate fix matching codebase patterns
+    // (pattern-only when the tenant/project LLM budget is exhausted)
     const startTime = Date.now();
-    const fix = await this.generateFixFromPatterns({
-      error: errorObj,
-      code,
-      filePath,
-      similarErrors,
-      similarCode,
-      context,
-      workingExamples,
-      learnedFixes, // Include learned fixes
-      fileRiskScore, // SPRINT 3: Include risk score
-      isHighRisk, // SPRINT 3: Include risk flag
-    });
+    let fix;
+    if (await tokenBudgetService.isExceeded()) {
+      fix = this.generatePatternOnlyFix(errorObj, code, template);
+    } else {
+      try {
+        fix = await this.generateFixFromPatterns({
+          error: errorObj,
+          code,
+          filePath,
+          similarErrors,
+          similarCode,
+          context,
+          workingExamples,
+          learnedFixes, // Include learned fixes
+          fileRiskScore, // SPRINT 3: Include risk score
+          isHighRisk, // SPRINT 3: Include risk flag
+        });
+      } catch (err) {
+        if (!tokenBudgetService.isBudgetExceeded(err)) throw err;
+        fix = this.generatePatternOnlyFix(errorObj, code, template);
+      }
+    }
     const duration = Date.now() - startTime;
 
     // SPRINT 3: Add risk warnings and extra validation for high-risk files
@@ -523,6 +543,7 @@ Return a short phrase (2-5 words) describing the intent, like "handling undefine
         return intent;
       }
     } catch (err) {
+      if (isFixtureMissing(err)) throw err;
       // Fallback to pattern-based
     }
 
@@ -607,8 +628,8 @@ Message: ${error.message}
 Type: ${error.type}
 File: ${filePath}
 
-CURRENT CODE (BROKEN):
-${code.substring(0, 1000)}
+CURRENT CODE (BROKEN, line numbers are part of the display, not the code):
+${numberLines(code, { around: error.line || 1, context: 40 })}
 ${patternSection}
 CODEBASE CONTEXT:
 - Imports: ${context.imports?.join(", ") || "none"}
@@ -622,10 +643,10 @@ REQUIREMENTS FOR THE FIX:
 4. Apply the same structure and conventions from working examples
 5. Fix the specific error: ${error.message}
 6. Make the code production-ready and robust
+7. Express the fix as edits replacing original lines startLine..endLine (1-based, inclusive); insert before line N with startLine N and endLine N-1
+8. Edit only the lines needed; edits must not overlap
 
-${hasPatterns ? "CRITICAL: The patterns above show how this codebase handles similar situations. Your fix MUST follow these patterns." : ""}
-
-Return ONLY the fixed code, no explanations, no markdown, just the code.`;
+${hasPatterns ? "CRITICAL: The patterns above show how this codebase handles similar situations. Your fix MUST follow these patterns." : ""}`;
 
     try {
       const systemPrompt =
@@ -641,11 +662,13 @@ Return ONLY the fixed code, no explanations, no markdown, just the code.`;
       // Determine context type for routing
       const contextType = this.getContextTypeForError(error);
 
-      const response = await llmService.generateNarrative({
-        userMessage: prompt,
-        gameStateContext: systemPrompt,
+      const response = await llmService.generateStructured({
+        systemPrompt,
+        userPrompt: prompt,
+        schema: FIX_SCHEMA,
+        schemaName: "code_fix",
+        validate: (data) => validateFixEdits(data.edits, code),
         costMode: costMode,
-        source: "code-roach-fix", // Track Code Roach usage
         // Context for smart routing
         context: {
           contextType: contextType,
@@ -659,16 +682,20 @@ Return ONLY the fixed code, no explanations, no markdown, just the code.`;
         },
       });
 
-      // New system returns { narrative, provider, model, cost, ... }
-      const fixedCode = response.narrative || "";
+      // Validated line-range edits, applied to the original file
+      const { edits, rationale, affectedSymbols } = response.data;
 
       return {
-        code: fixedCode,
+        code: applyFixEdits(code, edits),
+        edits,
+        rationale,
+        affectedSymbols,
         confidence: this.calculateConfidence(
           similarErrors,
           similarCode,
           workingExamples,
         ),
+        modelConfidence: response.data.confidence,
         patternsUsed: {
           similarErrors: similarErrors.length,
           similarCode: similarCode.length,
@@ -679,6 +706,7 @@ Return ONLY the fixed code, no explanations, no markdown, just the code.`;
         model: response.model,
         cost: response.cost,
         responseTime: response.responseTime,
+        attempts: response.attempts,
       };
     } catch (err) {
       console.error("[Codebase-Aware Fix] LLM generation failed:", err);
@@ -686,6 +714,24 @@ Return ONLY the fixed code, no explanations, no markdown, just the code.`;
     }
   }
 
+  /**
+   * Pattern-only fix used when the LLM budget is exhausted
+   */
+  generatePatternOnlyFix(error, code, template) {
+    log.warn(
+      `[Codebase-Aware Fix] LLM budget exceeded - pattern-only fix for: ${error.message}`,
+    );
+    const fix = patternBasedFixTemplates.generatePatternFix(error, code) || {
+      code: null,
+      confidence: 0,
+      method: "pattern-only",
+      error: "LLM budget exceeded and no pattern-only fix applies",
+    };
+    fix.template = template?.type || null;
+    fix.budgetExceeded = true;
+    return fix;
+  }
+
   /**
    * Get context type for error (used for LLM routing)
    */
@@ -17,6 +17,7 @@
 const fs = require("fs").promises;
 const { createLogger } = require("../utils/logger");
 const log = createLogger("${file##*/}");
+const databaseService = require("./databaseService");
 const path = require("path");
 const crypto = require("crypto");
 const { exec } = require("child_process");
@@ -24,9 +25,11 @@ const { promisify } = require("util");
 const config = require("../config");
 const execAsync = promisify(exec);
 const codeReviewAssistant = require("./codeReviewAssistant");
+const astAnalyzer = require("./astAnalyzer");
 const errorHistoryService = require("./errorHistoryService");
 const fixApplicationService = require("./fixApplicationService");
 const llmFixGenerator = require("./llmFixGenerator");
+const tokenBudgetService = require("./tokenBudgetService");
 const contextAwareFixGenerator = require("./contextAwareFixGenerator");
 const fixLearningSystem = require("./fixLearningSystem");
 const advancedFixGenerator = require("./advancedFixGenerator");
@@ -66,26 +69,13 @@ const fixDocumentationGenerationService = require("./fixDocumentationGenerationS
 // Path for persisting crawler stats
 const STATS_FILE = path.join(__dirname, "../../data/crawler-stats.json");
 
+// Files the AST rules (astRuleEngine) run on
+const AST_EXTENSIONS = new Set([".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx"]);
+
 class CodebaseCrawler {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[codebaseCrawler] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[codebaseCrawler] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
 
     // Load persisted stats on initialization
     this.loadStats().catch((err) => {
@@ -157,6 +147,7 @@ class CodebaseCrawler {
             try {
               await this.analyzeFile(filePath, {
                 autoFix: options.autoFix !== false,
+                projectRoot: rootDir,
               });
             } catch (err) {
               log.warn(
@@ -890,6 +881,17 @@ class CodebaseCrawler {
       rootDir = process.cwd();
     }
 
+    // LLM spend during the crawl counts against the tenant/project budget
+    const budgetScope = {
+      tenantId: options.tenantId,
+      projectId: options.projectId,
+    };
+    if (tokenBudgetService.needsScope(budgetScope)) {
+      return tokenBudgetService.runWithScope(budgetScope, () =>
+        this.crawlCodebase(rootDir, options),
+      );
+    }
+
     // If projectId is provided, look up project and use its root directory
     if (options.projectId && this.supabase) {
       try {
@@ -1035,6 +1037,7 @@ class CodebaseCrawler {
                 autoFix,
                 maxFileSize,
                 skipUnchanged: options.skipUnchanged !== false,
+                projectRoot: rootDir,
               }),
             ),
           );
@@ -1109,6 +1112,7 @@ class CodebaseCrawler {
                   ...issue,
                   file: fileResult.filePath,
                   filePath: fileResult.filePath,
+                  crawlId: options.crawlId,
                 })),
                 options.projectId,
               );
@@ -1283,6 +1287,38 @@ class CodebaseCrawler {
   /**
    * Analyze a single file
    */
+  /**
+   * Findings of the AST rules the crawled project enables (.code-roach.json
+   * in its root), shaped like review issues
+   */
+  ruleIssues(code, filePath, projectRoot) {
+    const extension = path.extname(filePath);
+    if (!AST_EXTENSIONS.has(extension)) return [];
+    try {
+      return astAnalyzer
+        .analyzeCode(code, {
+          language: extension.startsWith(".ts") ? "typescript" : "javascript",
+          filePath,
+          projectRoot,
+        })
+        .map((pattern) => ({
+          type: pattern.type,
+          severity: pattern.severity || "medium",
+          line: pattern.location?.line || pattern.line || null,
+          message: pattern.message,
+          code: pattern.code || null,
+          suggestion: pattern.suggestion || null,
+          source: "ast",
+        }));
+    } catch (error) {
+      log.warn(
+        `[Codebase Crawler] AST rules failed for ${filePath}:`,
+        error.message,
+      );
+      return [];
+    }
+  }
+
   async analyzeFile(filePath, options = {}) {
     const {
       autoFix = true,
@@ -1431,7 +1467,10 @@ class CodebaseCrawler {
       }
 
       const review = reviewResult.review || reviewResult;
-      const issues = review?.issues || [];
+      const issues = [
+        ...(review?.issues || []),
+        ...this.ruleIssues(code, filePath, options.projectRoot),
+      ];
 
       // Update fileResult with issues (always, even if empty)
       fileResult.issues = issues;
@@ -1483,10 +1522,6 @@ class CodebaseCrawler {
                   // Learn from successful fix
                   try {
                     const patternEvolutionService = require("./patternEvolutionService");
-const { getSupabaseClient } = require('../utils/supabaseClient');
-                    const {
-                      getSupabaseService,
-                    } = require("../utils/supabaseClient");
                     const knownPatterns = await this.getKnownPatterns();
                     if (knownPatterns && knownPatterns.length > 0) {
                       const matchingPattern = knownPatterns.find(
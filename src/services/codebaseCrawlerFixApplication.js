@@ -59,6 +59,7 @@ class CodebaseCrawlerFixApplication {
             strictness: "auto", // Auto-determine based on fix type
             fixMethod: fix.method,
             fixConfidence: fix.confidence || 0.5,
+            edits: fix.edits,
           },
         );
 
@@ -20,30 +20,24 @@ const config = require("../config");
 const { createLogger } = require("../utils/logger");
 
 const log = createLogger("CodebaseIndexer");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const fieldEncryption = require("./fieldEncryption");
 
 const agentSessionService = require("./agentSessionService");
 const performanceTrackingService = require("./performanceTrackingService");
+const { codebaseVectorIndex } = require("./vectorIndex");
+const {
+  getActiveEmbeddingProvider,
+  describeProvider,
+  providerKey,
+  isSameVectorSpace,
+} = require("./llm/embeddingProviders");
 
 class CodebaseIndexer {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[codebaseIndexer] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[codebaseIndexer] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
 
     this.excludePatterns = [
       /node_modules/,
@@ -530,18 +524,14 @@ class CodebaseIndexer {
 
   /**
    * Generate embeddings for multiple texts in batch (much faster!)
-   * OpenAI supports up to 2048 inputs per request
+   * Uses the active embedding provider (OpenAI, Cohere or offline local-code)
    */
-  async generateEmbeddingsBatch(texts, retries = 3) {
-    if (!this.openaiApiKey) {
-      log.warn("OpenAI API key not found, skipping embedding generation");
-      return texts.map(() => null);
-    }
-
+  async generateEmbeddingsBatch(
+    texts,
+    provider = getActiveEmbeddingProvider(),
+  ) {
     const startTime = Date.now();
     const metricsCollector = require("./metricsCollector");
-const { getSupabaseClient } = require('../utils/supabaseClient');
-    const { getSupabaseService } = require("../utils/supabaseClient");
 
     // Limit batch size to avoid token limits (2048 inputs max, but we'll use 100 for safety)
     const batchSize = 100;
@@ -550,7 +540,7 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
     for (let i = 0; i < texts.length; i += batchSize) {
       const batch = texts.slice(i, i + batchSize);
       const batchStartTime = Date.now();
-      const batchEmbeddings = await this._generateBatch(batch, retries);
+      const batchEmbeddings = await provider.embed(batch);
       const batchTime = Date.now() - batchStartTime;
 
       // Record metrics
@@ -569,75 +559,18 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
     return allEmbeddings;
   }
 
-  /**
-   * Generate a single batch of embeddings
-   */
-  async _generateBatch(texts, retries = 3) {
-    for (let attempt = 1; attempt <= retries; attempt++) {
-      try {
-        const response = await fetch("https://api.openai.com/v1/embeddings", {
-          method: "POST",
-          headers: {
-            "Content-Type": "application/json",
-            Authorization: `Bearer ${this.openaiApiKey}`,
-          },
-          body: JSON.stringify({
-            model: "text-embedding-3-small",
-            input: texts.map((t) => t.substring(0, 8000)), // Limit each to 8k tokens
-          }),
-          signal: AbortSignal.timeout(60000), // 60 second timeout for batches
-        });
-
-        if (!response.ok) {
-          const error = await response
-            .json()
-            .catch(() => ({ error: "Unknown error" }));
-
-          // Rate limit - wait longer
-          if (response.status === 429) {
-            const waitTime = Math.pow(2, attempt) * 1000;
-            log.warn(
-              `Rate limited, waiting ${waitTime}ms before retry ${attempt}/${retries}`,
-            );
-            await new Promise((resolve) => setTimeout(resolve, waitTime));
-            continue;
-          }
-
-          throw new Error(`OpenAI API error: ${JSON.stringify(error)}`);
-        }
-
-        const data = await response.json();
-        return data.data.map((item) => item.embedding);
-      } catch (error) {
-        if (attempt === retries) {
-          log.error(
-            `Error generating batch embeddings after ${retries} attempts:`,
-            error.message,
-          );
-          return texts.map(() => null);
-        }
-
-        const waitTime = Math.pow(2, attempt) * 1000;
-        log.warn(
-          `Batch embedding failed (attempt ${attempt}/${retries}), retrying in ${waitTime}ms...`,
-        );
-        await new Promise((resolve) => setTimeout(resolve, waitTime));
-      }
-    }
-
-    return texts.map(() => null);
-  }
-
   /**
    * Generate embedding for single text (backward compatibility)
    * Now includes similarity-based caching
    */
-  async generateEmbedding(text, retries = 3) {
+  async generateEmbedding(text) {
     const embeddingCache = require("./embeddingCache");
     const metricsCollector = require("./metricsCollector");
+    const provider = getActiveEmbeddingProvider();
+    const namespace = providerKey(provider);
 
     // Check cache first
-    const cached = embeddingCache.get(text);
+    const cached = embeddingCache.get(text, null, namespace);
     if (cached) {
       metricsCollector.recordEmbeddingGeneration(0, 1, true); // 0ms, from cache
       return cached.embedding;
@@ -645,13 +578,13 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
 
     // Generate new embedding
     const startTime = Date.now();
-    const results = await this.generateEmbeddingsBatch([text], retries);
+    const results = await this.generateEmbeddingsBatch([text], provider);
     const time = Date.now() - startTime;
 
     const embedding = results[0];
     if (embedding) {
       // Store in cache
-      embeddingCache.set(text, embedding);
+      embeddingCache.set(text, embedding, namespace);
       metricsCollector.recordEmbeddingGeneration(time, 1, false);
     }
 
@@ -688,12 +621,14 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
 
     // Check cache for existing embeddings
     const embeddingCache = require("./embeddingCache");
+    const provider = getActiveEmbeddingProvider();
+    const namespace = providerKey(provider);
     const embeddings = [];
     const textsToGenerate = [];
     const textIndices = [];
 
     for (let i = 0; i < searchTexts.length; i++) {
-      const cached = embeddingCache.get(searchTexts[i]);
+      const cached = embeddingCache.get(searchTexts[i], null, namespace);
       if (cached) {
         embeddings[i] = cached.embedding;
       } else {
@@ -705,7 +640,10 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
     // Generate embeddings for uncached texts
     if (textsToGenerate.length > 0) {
       const startTime = Date.now();
-      const newEmbeddings = await this.generateEmbeddingsBatch(textsToGenerate);
+      const newEmbeddings = await this.generateEmbeddingsBatch(
+        textsToGenerate,
+        provider,
+      );
       const time = Date.now() - startTime;
 
       // Store in cache and populate results
@@ -714,7 +652,7 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
         const embedding = newEmbeddings[j];
         if (embedding) {
           embeddings[idx] = embedding;
-          embeddingCache.set(textsToGenerate[j], embedding);
+          embeddingCache.set(textsToGenerate[j], embedding, namespace);
         }
       }
 
@@ -729,6 +667,7 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
 
     // Build indexed chunks
     const indexedChunks = [];
+    const indexedAt = new Date().toISOString();
     for (let i = 0; i < parsed.chunks.length; i++) {
       const chunk = parsed.chunks[i];
       const embedding = embeddings[i];
@@ -740,6 +679,7 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
           content: chunk.content.substring(0, 10000),
           search_text: searchText.substring(0, 10000),
           embedding: embedding,
+          indexed_at: indexedAt, // retention counts from the last indexing
           metadata: {
             language: fileData.language,
             type: chunk.type,
@@ -748,6 +688,7 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
             file_size: fileData.size,
             modified: fileData.modified,
             ...parsed.metadata,
+            embedding_provider: providerKey(provider),
           },
         });
       }
@@ -790,6 +731,67 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
     } catch (error) {
       log.error("Error storing chunks in database:", error);
     }
+
+    await this.addToVectorIndex(chunks);
+  }
+
+  /**
+   * Mirror chunk embeddings into the local vector index
+   * Keyed like the database upsert (tenant + file path + start line); the
+   * chunk text is encrypted like the stored rows (see fieldEncryption)
+   */
+  async addToVectorIndex(chunks) {
+    if (!config.vectorIndex?.enabled) return;
+
+    this.ensureVectorIndexProvider();
+
+    const tenantId = tenantContext.currentTenantId();
+    for (const chunk of chunks) {
+      if (!chunk.embedding) continue;
+      const { embedding, ...payload } = chunk;
+      try {
+        codebaseVectorIndex.add(
+          `${tenantId ? `${tenantId}:` : ""}${chunk.file_path}:${chunk.metadata?.line_start}`,
+          embedding,
+          await fieldEncryption.encryptRows(
+            "codebase_index",
+            { ...payload, tenant_id: tenantId },
+            tenantId,
+          ),
+        );
+      } catch (error) {
+        log.warn(
+          `Failed to add ${chunk.file_path} to vector index:`,
+          error.message,
+        );
+      }
+    }
+  }
+
+  /**
+   * Make sure the vector index holds vectors from the active embedding provider
+   * An index built by a different provider/model/dimension is cleared so it
+   * gets rebuilt rather than mixing incomparable vectors
+   */
+  ensureVectorIndexProvider() {
+    codebaseVectorIndex.ensureLoaded();
+    const active = describeProvider();
+    const stored = codebaseVectorIndex.metadata.embedding;
+
+    if (isSameVectorSpace(stored, active)) return;
+
+    if (codebaseVectorIndex.size > 0) {
+      const previous = stored
+        ? `${stored.provider}/${stored.model} (${stored.dimension} dims)`
+        : "an unrecorded provider";
+      log.warn(
+        `Vector index was built with ${previous}, rebuilding for ` +
+          `${active.provider}/${active.model} (${active.dimension} dims)`,
+      );
+      codebaseVectorIndex.clear();
+    }
+    codebaseVectorIndex.metadata.embedding = active;
+    codebaseVectorIndex.scheduleSave();
   }
 
   /**
@@ -832,12 +834,29 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
       log.info("Checking for already indexed files...");
       const { data: existingChunks } = await this.supabase
         .from("codebase_index")
-        .select("file_path")
+        .select("file_path, metadata")
         .limit(10000);
 
-      const indexedFiles = new Set(
-        existingChunks?.map((c) => c.file_path) || [],
-      );
+      // Chunks embedded by another provider (or before providers were
+      // recorded) are not comparable with new vectors, so re-index those files
+      const activeProviderKey = providerKey();
+      const staleFiles = new Set();
+      const indexedFiles = new Set();
+      for (const chunk of existingChunks || []) {
+        if (chunk.metadata?.embedding_provider === activeProviderKey) {
+          indexedFiles.add(chunk.file_path);
+        } else {
+          staleFiles.add(chunk.file_path);
+        }
+      }
+      for (const filePath of staleFiles) {
+        indexedFiles.delete(filePath);
+      }
+      if (staleFiles.size > 0) {
+        log.info(
+          `Re-indexing ${staleFiles.size} files embedded with a different provider`,
+        );
+      }
       const filesToIndex = files.filter((f) => !indexedFiles.has(f.path));
 
       log.info(
@@ -999,6 +1018,9 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
       .from("codebase_index")
       .delete()
       .eq("file_path", filePath);
+    codebaseVectorIndex.removeWhere(
+      (chunk) => chunk.file_path === filePath && tenantContext.owns(chunk),
+    );
 
     // Re-index
     const result = await this.indexFile(fileInfo);
@@ -13,84 +13,41 @@
  * Provides semantic search capabilities over indexed codebase
  */
 
-const { getSupabaseClient } = require("../utils/supabaseClient");
 const config = require("../config");
 const performanceTrackingService = require("./performanceTrackingService");
 const { createLogger } = require("../utils/logger");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const fieldEncryption = require("./fieldEncryption");
+const { codebaseVectorIndex } = require("./vectorIndex");
+const {
+  getActiveEmbeddingProvider,
+  describeProvider,
+  isSameVectorSpace,
+} = require("./llm/embeddingProviders");
 
 const log = createLogger("CodebaseSearch");
 
 class CodebaseSearch {
   constructor() {
-    // Use shared Supabase client to avoid multiple instances
-    this.supabase = getSupabaseClient({ requireService: true });
+    // Shared storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
     if (!this.supabase) {
-      log.warn("Supabase service client not available for CodebaseSearch - search functionality disabled");
+      log.warn("Storage client not available for CodebaseSearch - search functionality disabled");
     }
-    this.openaiApiKey =
-      process.env.OPENAI_API_KEY || config.imageGeneration?.openai?.apiKey;
   }
 
   /**
    * Generate embedding for search query
+   * Uses the same active provider as the indexer so vectors are comparable
    */
   async generateQueryEmbedding(query) {
-    if (!this.openaiApiKey) {
-      throw new Error("OpenAI API key not found");
-    }
-
-    const startTime = Date.now();
-    try {
-      const response = await fetch("https://api.openai.com/v1/embeddings", {
-        method: "POST",
-        headers: {
-          "Content-Type": "application/json",
-          Authorization: `Bearer ${this.openaiApiKey}`,
-        },
-        body: JSON.stringify({
-          model: "text-embedding-3-small",
-          input: query,
-        }),
-      });
-
-      if (!response.ok) {
-        const error = await response
-          .json()
-          .catch(() => ({ error: "Unknown error" }));
-        throw new Error(`OpenAI API error: ${JSON.stringify(error)}`);
-      }
-
-      const data = await response.json();
-      const executionTime = Date.now() - startTime;
-      const tokensUsed = data.usage?.total_tokens || 0;
-
-      // SPRINT 4: Track embedding API cost
-      // text-embedding-3-small: $0.02 per 1M tokens
-      const embeddingCost = (tokensUsed / 1000000) * 0.02;
-      if (embeddingCost > 0 || tokensUsed > 0) {
-        performanceTrackingService
-          .trackAPICost({
-            service: "openai",
-            operationType: "embedding",
-            costUsd: embeddingCost,
-            tokensUsed: tokensUsed,
-            cacheUsed: false,
-            requestId: `embedding-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
-            metadata: {
-              model: "text-embedding-3-small",
-              executionTimeMs: executionTime,
-            },
-          })
-          .catch((err) => {
-            log.warn("Failed to track embedding cost:", err.message);
-          });
-      }
-
-      return data.data[0].embedding;
-    } catch (error) {
-      log.error("Error generating query embedding:", error);
-      throw error;
+    const provider = getActiveEmbeddingProvider();
+    const [embedding] = await provider.embed([query]);
+    if (!embedding) {
+      throw new Error(`Embedding provider ${provider.name} returned no vector`);
     }
+    return embedding;
   }
 
   /**
@@ -99,14 +56,26 @@ class CodebaseSearch {
   async semanticSearch(query, options = {}) {
     const {
       limit = 10,
-      threshold = 0.3, // Lower default threshold for better results (0.3 = 30% similarity)
+      threshold = getActiveEmbeddingProvider().defaultThreshold ?? 0.3, // Lower default threshold for better results (0.3 = 30% similarity)
       fileFilter = null,
       languageFilter = null,
     } = options;
 
+    // Prefer the in-process vector index when it has been populated
+    if (config.vectorIndex?.enabled && codebaseVectorIndex.size > 0) {
+      try {
+        return await this.vectorIndexSearch(query, options);
+      } catch (error) {
+        log.warn(
+          "[CodebaseSearch] Vector index search failed, trying database:",
+          error.message,
+        );
+      }
+    }
+
     if (!this.supabase) {
       log.warn(
-        "[CodebaseSearch] Supabase not configured, using fallback search",
+        "[CodebaseSearch] Storage not configured, using fallback search",
       );
       return await this.fallbackSearch(query, options);
     }
@@ -119,7 +88,7 @@ class CodebaseSearch {
       const queryEmbedding = await this.generateQueryEmbedding(query);
 
       // Build query
-      let dbQuery = this.getSupabaseService().rpc("match_codebase_chunks", {
+      let dbQuery = this.supabase.rpc("match_codebase_chunks", {
         query_embedding: queryEmbedding,
         match_threshold: threshold,
         match_count: limit,
@@ -177,6 +146,70 @@ class CodebaseSearch {
     }
   }
 
+  /**
+   * Semantic search against the local HNSW index
+   * Returns rows shaped like match_codebase_chunks (chunk columns + similarity)
+   */
+  async vectorIndexSearch(query, options = {}) {
+    const {
+      limit = 10,
+      threshold = getActiveEmbeddingProvider().defaultThreshold ?? 0.3,
+      fileFilter = null,
+      languageFilter = null,
+    } = options;
+
+    // Vectors from another provider are not comparable with the query
+    const indexed = codebaseVectorIndex.metadata.embedding;
+    if (!isSameVectorSpace(indexed, describeProvider())) {
+      throw new Error(
+        `Vector index was built with ${indexed?.provider || "an unrecorded provider"}; re-index to use ${getActiveEmbeddingProvider().name}`,
+      );
+    }
+
+    const startTime = Date.now();
+    const queryEmbedding = await this.generateQueryEmbedding(query);
+
+    const matches = (chunk) =>
+      (!fileFilter || chunk.file_path === fileFilter) &&
+      (!languageFilter || chunk.metadata?.language === languageFilter);
+
+    // The index is shared by every tenant; only the caller's chunks match
+    const filter = tenantContext.scope()
+      ? (chunk) => tenantContext.owns(chunk) && matches(chunk)
+      : fileFilter || languageFilter
+        ? matches
+        : null;
+
+    const hits = codebaseVectorIndex.search(queryEmbedding, {
+      k: limit,
+      threshold,
+      filter,
+    });
+
+    performanceTrackingService
+      .logSlowQuery({
+        queryType: "codebase_vector_index_search",
+        executionTimeMs: Date.now() - startTime,
+        rowsReturned: hits.length,
+        cacheHit: false,
+        queryText: query.substring(0, 200),
+        errorMessage: null,
+      })
+      .catch(() => {});
+
+    const results = await fieldEncryption.decryptRows(
+      "codebase_index",
+      hits.map((hit) => ({ ...hit.payload, similarity: hit.similarity })),
+    );
+
+    return {
+      results,
+      query: query,
+      count: results.length,
+      method: "vector_index",
+    };
+  }
+
   /**
    * Fallback text-based search
    */
@@ -242,7 +275,6 @@ class CodebaseSearch {
     try {
       // Use advanced hybrid retrieval service if available
       const hybridRetrieval = require("./hybridRetrieval");
-      const { getSupabaseService } = require("../utils/supabaseClient");
       return await hybridRetrieval.hybridSearch(query, options);
     } catch (error) {
       // Fallback to simple hybrid search
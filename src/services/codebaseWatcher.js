@@ -16,10 +16,12 @@
 
 const fs = require("fs").promises;
 const path = require("path");
-const { createLogger } = require("../utils/logger");
-const log = createLogger("CodebaseWatcher");
 const codebaseIndexer = require("./codebaseIndexer");
 const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const dependencyAnalysisService = require("./dependencyAnalysisService");
+const { codebaseVectorIndex } = require("./vectorIndex");
 
 // Log to console and file for resilience/review
 const LOG_PATH =
@@ -38,7 +40,7 @@ const log = {
     writeLog("ERROR", args);
   },
   warn: (...args) => {
-    log.warn("[WATCHER WARN]", ...args);
+    console.warn("[WATCHER WARN]", ...args);
     writeLog("WARN", args);
   },
 };
@@ -146,6 +148,9 @@ class CodebaseWatcher {
             const stats = await fs.stat(fullPath).catch(() => null);
             if (stats && stats.isFile()) {
               this.handleFileChange(relativeFilePath, stats.mtimeMs);
+            } else if (!stats && eventType === "rename") {
+              // Deleted or moved away: drop it from the index and graph
+              this.handleFileChange(relativeFilePath, Infinity);
             }
           } catch (error) {
             // File might have been deleted, ignore
@@ -261,12 +266,15 @@ class CodebaseWatcher {
         if (!stats) {
           // File was deleted, remove from index
           log.info(`File deleted, removing from index: ${filePath}`);
-          if (!config.supabase?.serviceRoleKey) {
-            log.warn("Supabase not configured, cannot remove from index");
+          codebaseVectorIndex.removeWhere(
+            (chunk) =>
+              chunk.file_path === filePath && tenantContext.owns(chunk),
+          );
+          const supabase = databaseService.getClient();
+          if (!supabase) {
+            log.warn("Storage not available, cannot remove from index");
             continue;
           }
-          const supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-          );
           await supabase
             .from("codebase_index")
             .delete()
@@ -307,8 +315,6 @@ class CodebaseWatcher {
         ) {
           try {
             const codeReviewAssistant = require("./codeReviewAssistant");
-            const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
             const code = await fs.readFile(fullPath, "utf8");
             const review = await codeReviewAssistant.reviewCode(code, filePath);
 
@@ -326,6 +332,15 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
       }
     }
 
+    // Keep loaded module graphs in step with changed and deleted files
+    try {
+      await dependencyAnalysisService.updateFiles(
+        filesToReindex.map((filePath) => path.join(this.rootPath, filePath)),
+      );
+    } catch (error) {
+      log.warn("Failed to update the module graph:", error.message);
+    }
+
     log.info(`✅ Finished re-indexing ${filesToReindex.length} file(s)`);
   }
 
@@ -334,12 +349,11 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
    */
   async loadIndexedFiles() {
     try {
-      if (!config.supabase?.serviceRoleKey) {
-        log.warn("Supabase not configured, cannot load indexed files");
+      const supabase = databaseService.getClient();
+      if (!supabase) {
+        log.warn("Storage not available, cannot load indexed files");
         return;
       }
-      const supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-      );
 
       const { data: chunks } = await supabase
         .from("codebase_index")
@@ -384,12 +398,11 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
     log.info("Checking for changed files...");
 
     try {
-      if (!config.supabase?.serviceRoleKey) {
-        log.warn("Supabase not configured, cannot check for changes");
+      const supabase = databaseService.getClient();
+      if (!supabase) {
+        log.warn("Storage not available, cannot check for changes");
         return;
       }
-      const supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-      );
 
       // Get all indexed files
       const { data: chunks } = await supabase
@@ -0,0 +1,368 @@
+/**
+ * Commercial Auth Store
+ * Persistence for commercial users, login sessions and password reset tokens
+ *
+ * Backs commercial-middleware through databaseService, so accounts, API keys
+ * and sessions survive restarts on both Supabase and the local backend.
+ * Secrets are never stored in the clear: passwords arrive as bcrypt hashes,
+ * and refresh and reset tokens are stored as SHA-256 hashes. API keys live
+ * in apiKeyService.
+ */
+
+const crypto = require("crypto");
+const databaseService = require("./databaseService");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("CommercialAuthStore");
+
+const USERS_TABLE = "commercial_users";
+const SESSIONS_TABLE = "auth_sessions";
+const RESET_TOKENS_TABLE = "password_reset_tokens";
+
+// Users and sessions are re-read after this long so changes made by other
+// instances (tier upgrades, revocations) are picked up
+const USER_CACHE_TTL = 60 * 1000;
+const SESSION_CACHE_TTL = 30 * 1000;
+const USAGE_FLUSH_DELAY = 2000;
+
+/**
+ * SHA-256 hex digest used to store opaque tokens
+ */
+function hashToken(token) {
+  return crypto.createHash("sha256").update(String(token)).digest("hex");
+}
+
+function normalizeEmail(email) {
+  return String(email || "")
+    .trim()
+    .toLowerCase();
+}
+
+function toUser(row) {
+  return {
+    id: row.id,
+    email: row.email,
+    company: row.company,
+    tier: row.tier,
+    role: row.role,
+    created: row.created_at,
+    usage: {
+      requests: 0,
+      storage: 0,
+      lastReset: row.created_at,
+      ...(row.usage || {}),
+    },
+  };
+}
+
+function toSession(row) {
+  return {
+    id: row.id,
+    userId: row.user_id,
+    expiresAt: row.expires_at,
+    revokedAt: row.revoked_at || null,
+    lastUsedAt: row.last_used_at || null,
+    createdAt: row.created_at,
+  };
+}
+
+class CommercialAuthStore {
+  constructor() {
+    this.users = new Map(); // id -> { user, loadedAt }
+    this.sessions = new Map(); // id -> { session, loadedAt }
+    this.dirtyUsage = new Set();
+    this.flushTimer = null;
+  }
+
+  hashToken(token) {
+    return hashToken(token);
+  }
+
+  cacheUser(row) {
+    const cached = this.users.get(row.id);
+    const user = toUser(row);
+    // Keep request counts that haven't been flushed yet
+    if (cached && this.dirtyUsage.has(row.id)) {
+      user.usage = cached.user.usage;
+    }
+    this.users.set(user.id, { user, loadedAt: Date.now() });
+    return user;
+  }
+
+  /**
+   * Create a user
+   * @param {Object} data - { id, email, passwordHash, company, tier, role }
+   * @returns {Promise<Object>} The user, or throws with code 23505 if the
+   *   email is already registered
+   */
+  async createUser(data) {
+    const now = new Date().toISOString();
+    const { data: row } = await databaseService.insert(
+      USERS_TABLE,
+      {
+        id: data.id,
+        email: normalizeEmail(data.email),
+        password_hash: data.passwordHash,
+        company: data.company || null,
+        tier: data.tier,
+        role: data.role || "user",
+        usage: { requests: 0, storage: 0, lastReset: now },
+        created_at: now,
+        updated_at: now,
+      },
+      { single: true },
+    );
+    return this.cacheUser(row);
+  }
+
+  async getUserById(userId) {
+    if (!userId) return null;
+
+    const cached = this.users.get(userId);
+    if (cached && Date.now() - cached.loadedAt < USER_CACHE_TTL) {
+      return cached.user;
+    }
+
+    const row = await this.findUserRow("id", userId);
+    if (!row) {
+      this.users.delete(userId);
+      return null;
+    }
+    return this.cacheUser(row);
+  }
+
+  /**
+   * Look up a user and their password hash by email
+   * @returns {Promise<{user: Object, passwordHash: string}|null>}
+   */
+  async getCredentialsByEmail(email) {
+    const row = await this.findUserRow("email", normalizeEmail(email));
+    if (!row) return null;
+    return { user: this.cacheUser(row), passwordHash: row.password_hash };
+  }
+
+  async getUserByEmail(email) {
+    const row = await this.findUserRow("email", normalizeEmail(email));
+    return row ? this.cacheUser(row) : null;
+  }
+
+  async findUserRow(column, value) {
+    const { data } = await databaseService.query(USERS_TABLE, {
+      select: "*",
+      filters: [{ column, operator: "eq", value }],
+      single: true,
+    });
+    return data || null;
+  }
+
+  async updatePassword(userId, passwordHash) {
+    await databaseService.update(
+      USERS_TABLE,
+      [{ column: "id", operator: "eq", value: userId }],
+      { password_hash: passwordHash, updated_at: new Date().toISOString() },
+    );
+  }
+
+  /**
+   * Drop a deleted user and their sessions from the caches
+   */
+  forgetUser(userId) {
+    this.users.delete(userId);
+    this.dirtyUsage.delete(userId);
+    for (const [sessionId, cached] of this.sessions) {
+      if (cached.session.userId === userId) {
+        this.sessions.delete(sessionId);
+      }
+    }
+  }
+
+  /**
+   * Queue a user's usage counters to be written back
+   */
+  recordUsage(user) {
+    this.dirtyUsage.add(user.id);
+    if (this.flushTimer) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flushUsage().catch((err) =>
+        log.warn("[Auth Store] Failed to flush usage:", err.message),
+      );
+    }, USAGE_FLUSH_DELAY);
+    this.flushTimer.unref?.();
+  }
+
+  async flushUsage() {
+    const userIds = [...this.dirtyUsage];
+    this.dirtyUsage.clear();
+
+    for (const userId of userIds) {
+      const cached = this.users.get(userId);
+      if (!cached) continue;
+      try {
+        await databaseService.update(
+          USERS_TABLE,
+          [{ column: "id", operator: "eq", value: userId }],
+          { usage: cached.user.usage, updated_at: new Date().toISOString() },
+        );
+      } catch (err) {
+        this.dirtyUsage.add(userId);
+        throw err;
+      }
+    }
+  }
+
+  /**
+   * Create a login session
+   * @param {Object} data - { userId, refreshToken, expiresAt, userAgent, ipAddress }
+   * @returns {Promise<Object>} The session
+   */
+  async createSession(data) {
+    const now = new Date().toISOString();
+    const { data: row } = await databaseService.insert(
+      SESSIONS_TABLE,
+      {
+        user_id: data.userId,
+        refresh_token_hash: hashToken(data.refreshToken),
+        expires_at: data.expiresAt,
+        user_agent: data.userAgent || null,
+        ip_address: data.ipAddress || null,
+        last_used_at: now,
+        created_at: now,
+      },
+      { single: true },
+    );
+    const session = toSession(row);
+    this.sessions.set(session.id, { session, loadedAt: Date.now() });
+    return session;
+  }
+
+  async getSession(sessionId) {
+    if (!sessionId) return null;
+
+    const cached = this.sessions.get(sessionId);
+    if (cached && Date.now() - cached.loadedAt < SESSION_CACHE_TTL) {
+      return cached.session;
+    }
+
+    const { data: row } = await databaseService.query(SESSIONS_TABLE, {
+      select: "*",
+      filters: [{ column: "id", operator: "eq", value: sessionId }],
+      single: true,
+    });
+    if (!row) {
+      this.sessions.delete(sessionId);
+      return null;
+    }
+    const session = toSession(row);
+    this.sessions.set(session.id, { session, loadedAt: Date.now() });
+    return session;
+  }
+
+  async getSessionByRefreshToken(refreshToken) {
+    const { data: row } = await databaseService.query(SESSIONS_TABLE, {
+      select: "*",
+      filters: [
+        {
+          column: "refresh_token_hash",
+          operator: "eq",
+          value: hashToken(refreshToken),
+        },
+      ],
+      single: true,
+    });
+    return row ? toSession(row) : null;
+  }
+
+  /**
+   * Replace a session's refresh token; the previous one stops working
+   * @returns {Promise<Object|null>} The session, or null if the previous
+   *   token was already rotated or revoked
+   */
+  async rotateSession(previousToken, refreshToken, expiresAt) {
+    const { data: rows } = await databaseService.update(
+      SESSIONS_TABLE,
+      [
+        {
+          column: "refresh_token_hash",
+          operator: "eq",
+          value: hashToken(previousToken),
+        },
+        { column: "revoked_at", operator: "is", value: null },
+      ],
+      {
+        refresh_token_hash: hashToken(refreshToken),
+        expires_at: expiresAt,
+        last_used_at: new Date().toISOString(),
+      },
+    );
+    if (!rows || rows.length === 0) return null;
+
+    const session = toSession(rows[0]);
+    this.sessions.set(session.id, { session, loadedAt: Date.now() });
+    return session;
+  }
+
+  async revokeSession(sessionId) {
+    return this.revokeSessions([
+      { column: "id", operator: "eq", value: sessionId },
+    ]);
+  }
+
+  /**
+   * Revoke every active session of a user
+   * @returns {Promise<number>} Number of sessions revoked
+   */
+  async revokeUserSessions(userId) {
+    return this.revokeSessions([
+      { column: "user_id", operator: "eq", value: userId },
+    ]);
+  }
+
+  async revokeSessions(filters) {
+    const revokedAt = new Date().toISOString();
+    const { data: rows } = await databaseService.update(
+      SESSIONS_TABLE,
+      [...filters, { column: "revoked_at", operator: "is", value: null }],
+      { revoked_at: revokedAt },
+      { select: "id" },
+    );
+    for (const row of rows || []) {
+      const cached = this.sessions.get(row.id);
+      if (cached) {
+        cached.session.revokedAt = revokedAt;
+      }
+    }
+    return (rows || []).length;
+  }
+
+  async createPasswordResetToken(userId, token, expiresAt) {
+    await databaseService.insert(RESET_TOKENS_TABLE, {
+      user_id: userId,
+      token_hash: hashToken(token),
+      expires_at: expiresAt,
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  /**
+   * Mark a password reset token used
+   * @returns {Promise<string|null>} The user id, or null if the token is
+   *   unknown, expired or already used
+   */
+  async consumePasswordResetToken(token) {
+    const { data: rows } = await databaseService.update(
+      RESET_TOKENS_TABLE,
+      [
+        { column: "token_hash", operator: "eq", value: hashToken(token) },
+        { column: "used_at", operator: "is", value: null },
+      ],
+      { used_at: new Date().toISOString() },
+    );
+    const row = rows?.[0];
+    if (!row || new Date(row.expires_at) <= new Date()) {
+      return null;
+    }
+    return row.user_id;
+  }
+}
+
+module.exports = new CommercialAuthStore();
@@ -0,0 +1,975 @@
+/**
+ * Compliance Report Service
+ * Evidence reports for auditors: every control of a framework (see
+ * complianceService.loadFrameworks) with the outcome of its check and the
+ * evidence behind it
+ *
+ * Evidence comes from the services that enforce the controls: audit log
+ * excerpts and chain verification, the encryption state, the tenant's roles,
+ * retention purges, DSAR completions and the prompt redaction mode. Controls
+ * without an automated check are reported as needing an attestation, with
+ * whatever evidence exists for them.
+ *
+ * Reports are stored in compliance_reports and chained per tenant. A
+ * report's digest covers its content and the previous report's digest, and
+ * is signed with config.complianceReports.signingKey (Ed25519) when one is
+ * configured. The digest is also recorded in the tenant's audit log, which
+ * timestamps it in a second chain. Reports export as JSON or HTML; verify()
+ * checks either export against all three, so a snapshot handed to an
+ * auditor can be proven unaltered later.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const auditLogService = require("./auditLogService");
+const accessControlService = require("./accessControlService");
+const dataSubjectService = require("./dataSubjectService");
+const retentionService = require("./retentionService");
+const encryptionKeyService = require("./encryptionKeyService");
+const promptRedactionService = require("./promptRedactionService");
+const ComplianceService = require("./complianceService");
+const { canonicalJson } = require("../utils/canonicalJson");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("ComplianceReportService");
+
+const REPORTS_TABLE = "compliance_reports";
+const FORMAT = "code-roach-compliance-report";
+const VERSION = 1;
+const GENESIS_DIGEST = "0".repeat(64);
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 100;
+const SCRIPT_ID = "compliance-report";
+const SUMMARY_COLUMNS = [
+  "id",
+  "tenant_id",
+  "sequence",
+  "frameworks",
+  "status",
+  "period_from",
+  "period_to",
+  "digest",
+  "signature",
+  "generated_by",
+  "generated_at",
+].join(", ");
+
+// Evidence behind each framework requirement; checked requirements have an
+// automated check in complianceService, the others need an attestation
+const CONTROLS = {
+  encryption: { checked: true, evidence: ["encryption"] },
+  auditLogging: { checked: true, evidence: ["audit_log"] },
+  dataRetention: { checked: true, evidence: ["retention"] },
+  accessControls: {
+    checked: true,
+    evidence: ["access_control", "access_changes"],
+  },
+  dataPortability: { checked: true, evidence: ["dsar"] },
+  rightToKnow: { checked: true, evidence: ["dsar"] },
+  rightToErasure: { checked: true, evidence: ["dsar"] },
+  rightToDelete: { checked: true, evidence: ["dsar"] },
+  promptRedaction: { checked: true, evidence: ["prompt_redaction"] },
+  phiDetection: { evidence: ["prompt_redaction"] },
+  dataIntegrity: { evidence: ["audit_log"] },
+  securityMonitoring: { evidence: ["audit_log"] },
+  monitoring: { evidence: ["audit_log"] },
+  changeManagement: { evidence: ["config_changes"] },
+};
+
+const EVIDENCE_DESCRIPTIONS = {
+  audit_log: "Audit log chain verification and the latest entries",
+  config_changes: "Configuration changes recorded in the audit log",
+  access_changes: "Role and membership changes recorded in the audit log",
+  access_control: "Roles, permissions and members of the tenant",
+  encryption: "Encryption at rest of stored source code",
+  retention: "Retention policies, legal holds and purge runs",
+  dsar: "Data subject requests and their completion",
+  prompt_redaction: "Redaction of prompts sent to LLM providers",
+};
+
+class ComplianceReportError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "ComplianceReportError";
+    this.status = status;
+  }
+}
+
+/**
+ * JSON-safe copy, so a report hashes the same after a round trip through
+ * JSONB
+ */
+function toJson(value) {
+  return JSON.parse(JSON.stringify(value));
+}
+
+function digestOf(report, sequence, previousDigest) {
+  return crypto
+    .createHash("sha256")
+    .update(canonicalJson({ report, sequence, previousDigest }))
+    .digest("hex");
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+function label(status) {
+  return escapeHtml(String(status).replace(/_/g, " "));
+}
+
+function renderFramework([key, framework]) {
+  const rows = framework.controls.map((control) => {
+    const finding = control.check
+      ? escapeHtml(control.check.description) +
+        (control.check.remediation
+          ? `<br><em>${escapeHtml(control.check.remediation)}</em>`
+          : "")
+      : "Needs an attestation";
+    const evidence = control.evidence
+      .map((source) => `<a href="#evidence-${source}">${source}</a>`)
+      .join(", ");
+    return `<tr><td>${escapeHtml(control.requirement)}</td><td class="${control.status}">${label(control.status)}</td><td>${finding}</td><td>${evidence}</td></tr>`;
+  });
+  return `<section id="framework-${escapeHtml(key)}">
+<h2>${escapeHtml(framework.name)}</h2>
+<p><strong class="${framework.status}">${label(framework.status)}</strong>, score ${framework.score}%: ${framework.met} met, ${framework.notMet} not met, ${framework.attestationRequired} need an attestation</p>
+<table>
+<thead><tr><th>Control</th><th>Status</th><th>Finding</th><th>Evidence</th></tr></thead>
+<tbody>
+${rows.join("\n")}
+</tbody>
+</table>
+</section>`;
+}
+
+function renderEvidence(item) {
+  const error = item.error
+    ? `<p class="not_met">Unavailable: ${escapeHtml(item.error)}</p>\n`
+    : "";
+  return `<section id="evidence-${item.source}">
+<h3>${escapeHtml(item.description)}</h3>
+<p>${item.source}, collected ${escapeHtml(item.collectedAt)}</p>
+${error}<pre>${escapeHtml(JSON.stringify(item.data, null, 2))}</pre>
+</section>`;
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id || null,
+    sequence: Number(row.sequence),
+    frameworks: row.frameworks || [],
+    status: row.status,
+    periodFrom: row.period_from,
+    periodTo: row.period_to,
+    digest: row.digest,
+    signed: Boolean(row.signature),
+    generatedBy: row.generated_by || null,
+    generatedAt: row.generated_at,
+  };
+}
+
+/**
+ * The export form of a stored report: its content and what proves it
+ */
+function toExport(row) {
+  return {
+    report: row.content,
+    integrity: {
+      algorithm: "sha256",
+      sequence: Number(row.sequence),
+      previousDigest: row.previous_digest,
+      digest: row.digest,
+      signature: row.signature
+        ? { algorithm: "ed25519", keyId: row.key_id, value: row.signature }
+        : null,
+    },
+  };
+}
+
+/**
+ * Audit entries as quoted in a report; data subjects appear as pseudonyms,
+ * and the hash still locates each entry in the chain
+ */
+function auditExcerpt(entries) {
+  return entries.map((entry) => ({
+    sequence: entry.sequence,
+    event: entry.event,
+    category: entry.category,
+    actorId: entry.actorId,
+    resourceType: entry.resourceType,
+    resourceId:
+      entry.resourceType === "data_subject" && entry.resourceId
+        ? dataSubjectService.pseudonym(entry.resourceId)
+        : entry.resourceId,
+    createdAt: entry.createdAt,
+    hash: entry.hash,
+  }));
+}
+
+class ComplianceReportService {
+  constructor() {
+    this.complianceService = new ComplianceService();
+    this.generating = new Map(); // tenant id -> promise of the pending report
+    this.configure(config.complianceReports);
+  }
+
+  /**
+   * Load the signing key
+   * @param {Object} options - { signingKey } Ed25519 private key (PEM)
+   */
+  configure(options = {}) {
+    this.signingKey = null;
+    this.publicKey = null;
+    this.keyId = null;
+    this.signingError = null;
+    if (!options.signingKey) return;
+
+    try {
+      const key = crypto.createPrivateKey(options.signingKey);
+      if (key.asymmetricKeyType !== "ed25519") {
+        throw new Error(`expected ed25519, got ${key.asymmetricKeyType}`);
+      }
+      this.signingKey = key;
+      this.publicKey = crypto.createPublicKey(key);
+      this.keyId = crypto
+        .createHash("sha256")
+        .update(this.publicKey.export({ type: "spki", format: "der" }))
+        .digest("hex")
+        .slice(0, 16);
+    } catch (error) {
+      this.signingError = error.message;
+      log.error("Compliance report signing key unusable:", error.message);
+    }
+  }
+
+  /**
+   * The key auditors verify signatures with, null when reports are unsigned
+   */
+  getPublicKey() {
+    if (!this.publicKey) return null;
+    return {
+      algorithm: "ed25519",
+      keyId: this.keyId,
+      publicKey: this.publicKey.export({ type: "spki", format: "pem" }),
+    };
+  }
+
+  // ==========================================================================
+  // Generation
+  // ==========================================================================
+
+  /**
+   * Collect the evidence for a tenant's frameworks, then store, sign and
+   * chain the report
+   * @param {string|null} tenantId - null for the untenanted workspace
+   * @param {Object} [options] - { frameworks, from, to, tenantName }
+   * @returns {Promise<Object>} The export form: { report, integrity }
+   */
+  async generate(tenantId, options = {}) {
+    if (this.signingError) {
+      throw new ComplianceReportError(
+        `Reports can't be signed: ${this.signingError}`,
+        500,
+      );
+    }
+
+    const frameworks = (
+      options.frameworks?.length
+        ? options.frameworks
+        : Object.keys(this.complianceService.frameworks)
+    ).map((framework) => String(framework).toLowerCase());
+    const unknown = frameworks.filter(
+      (framework) => !this.complianceService.frameworks[framework],
+    );
+    if (unknown.length > 0) {
+      throw new ComplianceReportError(
+        `Unknown compliance framework(s): ${unknown.join(", ")}`,
+      );
+    }
+
+    const to = options.to ? new Date(options.to) : new Date();
+    const from = options.from
+      ? new Date(options.from)
+      : new Date(to.getTime() - config.complianceReports.periodDays * DAY_MS);
+    if (isNaN(from) || isNaN(to) || from > to) {
+      throw new ComplianceReportError("from and to must be dates, from first");
+    }
+
+    const report = await this.buildReport(tenantId || null, {
+      frameworks: [...new Set(frameworks)],
+      from,
+      to,
+      tenantName: options.tenantName || null,
+    });
+    return this.issue(report);
+  }
+
+  async buildReport(tenantId, { frameworks, from, to, tenantName }) {
+    const period = { from: from.toISOString(), to: to.toISOString() };
+    const sources = new Set();
+    const results = {};
+
+    for (const framework of frameworks) {
+      const definition = this.complianceService.frameworks[framework];
+      const controls = [];
+      for (const [requirement, required] of Object.entries(
+        definition.requirements,
+      )) {
+        if (!required) continue;
+        const control = CONTROLS[requirement] || { evidence: [] };
+        control.evidence.forEach((source) => sources.add(source));
+        controls.push({
+          id: `${framework}.${requirement}`,
+          requirement,
+          required,
+          evidence: control.evidence,
+          ...(await this.assess(tenantId, requirement, required, control)),
+        });
+      }
+
+      const met = controls.filter((c) => c.status === "met").length;
+      const notMet = controls.filter((c) => c.status === "not_met").length;
+      results[framework] = {
+        name: definition.name,
+        region: definition.region,
+        status: notMet > 0 ? "non_compliant" : "compliant",
+        score: met + notMet > 0 ? Math.round((met / (met + notMet)) * 100) : 0,
+        met,
+        notMet,
+        attestationRequired: controls.length - met - notMet,
+        controls,
+      };
+    }
+
+    const evidence = {};
+    for (const source of sources) {
+      evidence[source] = await this.collect(source, tenantId, period);
+    }
+
+    return toJson({
+      format: FORMAT,
+      version: VERSION,
+      id: crypto.randomUUID(),
+      tenantId,
+      tenantName,
+      period,
+      generatedAt: new Date().toISOString(),
+      generatedBy: tenantContext.current()?.principalId || null,
+      status: Object.values(results).some(
+        (result) => result.status !== "compliant",
+      )
+        ? "non_compliant"
+        : "compliant",
+      frameworks: results,
+      evidence,
+    });
+  }
+
+  /**
+   * Outcome of one control: met or not_met from its check, or
+   * attestation_required without one
+   */
+  async assess(tenantId, requirement, required, control) {
+    if (!control.checked) {
+      return {
+        status: "attestation_required",
+        check: null,
+      };
+    }
+    const result = await this.complianceService.checkRequirement(
+      tenantId,
+      requirement,
+      {},
+      required,
+    );
+    return {
+      status: result.compliant ? "met" : "not_met",
+      check: {
+        description: result.description || null,
+        severity: result.compliant ? null : result.severity || "high",
+        remediation: result.remediation || null,
+      },
+    };
+  }
+
+  /**
+   * Store a report as the next in its tenant's chain, sign it and record
+   * its digest in the audit log; one report per tenant at a time
+   */
+  issue(report) {
+    const tenant = report.tenantId;
+    const previous = this.generating.get(tenant) || Promise.resolve();
+    const next = previous.catch(() => {}).then(() => this.append(report));
+    this.generating.set(tenant, next);
+    next
+      .catch(() => {})
+      .finally(() => {
+        if (this.generating.get(tenant) === next) {
+          this.generating.delete(tenant);
+        }
+      });
+    return next;
+  }
+
+  async append(report) {
+    const head = await this.getHead(report.tenantId);
+    const sequence = head ? Number(head.sequence) + 1 : 1;
+    const previousDigest = head ? head.digest : GENESIS_DIGEST;
+    const digest = digestOf(report, sequence, previousDigest);
+    const signature = this.signingKey
+      ? crypto
+          .sign(null, Buffer.from(digest), this.signingKey)
+          .toString("base64")
+      : null;
+
+    const row = {
+      id: report.id,
+      tenant_id: report.tenantId,
+      sequence,
+      frameworks: Object.keys(report.frameworks),
+      status: report.status,
+      period_from: report.period.from,
+      period_to: report.period.to,
+      content: report,
+      previous_digest: previousDigest,
+      digest,
+      signature,
+      key_id: signature ? this.keyId : null,
+      generated_by: report.generatedBy,
+      generated_at: report.generatedAt,
+    };
+    await tenantContext.runUnrestricted(() =>
+      databaseService.insert(REPORTS_TABLE, row),
+    );
+
+    await auditLogService.record({
+      event: "compliance_report_generated",
+      category: "compliance",
+      tenantId: report.tenantId,
+      resourceType: "compliance_report",
+      resourceId: report.id,
+      metadata: {
+        sequence,
+        digest,
+        frameworks: row.frameworks,
+        status: report.status,
+        signed: Boolean(signature),
+      },
+    });
+    log.info(
+      `[Compliance] Report ${sequence} for ${report.tenantId || "workspace"}: ${report.status} (${digest.slice(0, 12)})`,
+    );
+    return toExport(row);
+  }
+
+  async getHead(tenantId) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "sequence, digest",
+        filters: [this.tenantFilter(tenantId)],
+        order: { column: "sequence", ascending: false },
+        limit: 1,
+      }),
+    );
+    return data?.[0] || null;
+  }
+
+  tenantFilter(tenantId) {
+    return tenantId
+      ? { column: "tenant_id", operator: "eq", value: tenantId }
+      : { column: "tenant_id", operator: "is", value: null };
+  }
+
+  // ==========================================================================
+  // Evidence
+  // ==========================================================================
+
+  /**
+   * Collect one evidence source; a source that fails is reported with its
+   * error rather than failing the report
+   */
+  async collect(source, tenantId, period) {
+    const collectors = {
+      audit_log: () => this.collectAuditLog(tenantId, period),
+      config_changes: () =>
+        this.collectAuditCategory(tenantId, "config", period),
+      access_changes: () =>
+        this.collectAuditCategory(tenantId, "access", period),
+      access_control: () =>
+        tenantId
+          ? accessControlService.describeTenantAccess(tenantId)
+          : { organizations: [] },
+      encryption: () => encryptionKeyService.evaluate(tenantId),
+      retention: () => this.collectRetention(tenantId, period),
+      dsar: () => this.collectDsar(tenantId, period),
+      prompt_redaction: () => this.collectPromptRedaction(tenantId, period),
+    };
+
+    const evidence = {
+      source,
+      description: EVIDENCE_DESCRIPTIONS[source],
+      collectedAt: new Date().toISOString(),
+    };
+    try {
+      return { ...evidence, data: await collectors[source]() };
+    } catch (error) {
+      log.warn(`Evidence ${source} unavailable:`, error.message);
+      return { ...evidence, data: null, error: error.message };
+    }
+  }
+
+  async collectAuditLog(tenantId, period) {
+    const [verification, recent] = await Promise.all([
+      auditLogService.verify(tenantId),
+      auditLogService.query(tenantId, {
+        from: period.from,
+        to: period.to,
+        limit: config.complianceReports.auditExcerptSize,
+      }),
+    ]);
+    return {
+      verification: {
+        valid: verification.valid,
+        entries: verification.entries,
+        headSequence: verification.headSequence,
+        headHash: verification.headHash,
+        purgedThrough: verification.purgedThrough,
+        brokenAt: verification.brokenAt,
+        reason: verification.reason,
+        failedWrites: verification.failedWrites,
+      },
+      entriesInPeriod: recent.total,
+      excerpt: auditExcerpt(recent.entries),
+    };
+  }
+
+  async collectAuditCategory(tenantId, category, period) {
+    const { entries, total } = await auditLogService.query(tenantId, {
+      category,
+      from: period.from,
+      to: period.to,
+      limit: config.complianceReports.auditExcerptSize,
+    });
+    return { category, entriesInPeriod: total, excerpt: auditExcerpt(entries) };
+  }
+
+  async collectRetention(tenantId, period) {
+    const [evaluation, reports] = await Promise.all([
+      retentionService.evaluate(tenantId),
+      retentionService.listReports({ dryRun: false, limit: 500 }),
+    ]);
+    const purges = [];
+    for (const report of reports) {
+      if (report.startedAt < period.from || report.startedAt > period.to) {
+        continue;
+      }
+      const result = report.results.find(
+        (candidate) => (candidate.tenantId ?? null) === tenantId,
+      );
+      if (!result) continue;
+      purges.push({
+        id: report.id,
+        status: report.status,
+        triggeredBy: report.triggeredBy,
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        result,
+      });
+    }
+    return {
+      policies: evaluation.policies,
+      holds: evaluation.holds,
+      lastPurgeAt: evaluation.lastPurgeAt,
+      issues: evaluation.issues,
+      purges,
+    };
+  }
+
+  async collectDsar(tenantId, period) {
+    const requests = await tenantContext.run({ tenantId }, () =>
+      dataSubjectService.listRequests({ limit: 1000 }),
+    );
+    const now = Date.now();
+    const inPeriod = requests.filter(
+      (request) =>
+        new Date(request.receivedAt) >= new Date(period.from) &&
+        new Date(request.receivedAt) <= new Date(period.to),
+    );
+
+    const byType = {};
+    for (const request of inPeriod) {
+      const counts = (byType[request.requestType] ||= {
+        received: 0,
+        completed: 0,
+        failed: 0,
+      });
+      counts[request.status] = (counts[request.status] || 0) + 1;
+    }
+
+    return {
+      byType,
+      overdue: requests.filter(
+        (request) =>
+          request.status === "received" &&
+          new Date(request.dueAt).getTime() < now,
+      ).length,
+      // Subjects appear as pseudonyms; the report itself holds no personal
+      // data
+      requests: inPeriod.map((request) => ({
+        id: request.id,
+        requestType: request.requestType,
+        status: request.status,
+        subject: dataSubjectService.pseudonym(request.subjectId),
+        receivedAt: request.receivedAt,
+        dueAt: request.dueAt,
+        completedAt: request.completedAt,
+        onTime: request.completedAt
+          ? new Date(request.completedAt) <= new Date(request.dueAt)
+          : null,
+      })),
+    };
+  }
+
+  async collectPromptRedaction(tenantId, period) {
+    if (!tenantId) {
+      return { policy: null, requestsRedacted: 0, valuesRedacted: 0 };
+    }
+    const [policy, records] = await Promise.all([
+      promptRedactionService.getPolicy(tenantId),
+      promptRedactionService.listRecords(tenantId, {
+        since: period.from,
+        limit: 500,
+      }),
+    ]);
+    const counts = {};
+    for (const record of records) {
+      for (const [category, count] of Object.entries(record.counts)) {
+        counts[category] = (counts[category] || 0) + count;
+      }
+    }
+    return {
+      policy,
+      requestsRedacted: records.length,
+      valuesRedacted: records.reduce((sum, record) => sum + record.total, 0),
+      counts,
+    };
+  }
+
+  // ==========================================================================
+  // Reading and export
+  // ==========================================================================
+
+  /**
+   * A tenant's reports without their content, newest first
+   * @param {Object} [filters] - { limit }
+   */
+  async listReports(tenantId, filters = {}) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: SUMMARY_COLUMNS,
+        filters: [this.tenantFilter(tenantId)],
+        order: { column: "sequence", ascending: false },
+        limit: Math.min(parseInt(filters.limit, 10) || 50, 500),
+      }),
+    );
+    return (data || []).map(toSummary);
+  }
+
+  /**
+   * A tenant's report in its export form, null if there is none
+   */
+  async getReport(tenantId, reportId) {
+    const row = await this.getRow(tenantId, reportId);
+    return row ? toExport(row) : null;
+  }
+
+  async getRow(tenantId, reportId) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "*",
+        filters: [
+          { column: "id", operator: "eq", value: reportId },
+          this.tenantFilter(tenantId),
+        ],
+        limit: 1,
+      }),
+    );
+    return data?.[0] || null;
+  }
+
+  /**
+   * Render an exported report as a standalone HTML document
+   * The export is embedded as JSON, so the HTML file verifies on its own.
+   */
+  toHtml(exported) {
+    const { report, integrity } = exported;
+    const signature = integrity.signature
+      ? `${integrity.signature.algorithm} key ${escapeHtml(integrity.signature.keyId)}: <code>${escapeHtml(integrity.signature.value)}</code>`
+      : "Unsigned";
+    // "<" is escaped so the JSON can't close the script element
+    const embedded = JSON.stringify(exported).replace(/</g, "\\u003c");
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<title>Compliance report ${escapeHtml(report.id)}</title>
+<style>
+body { font-family: sans-serif; margin: 2rem; color: #222; }
+table { border-collapse: collapse; width: 100%; }
+th, td { border: 1px solid #ccc; padding: 0.4rem; vertical-align: top; }
+.met { color: #1a7f37; }
+.not_met { color: #cf222e; }
+.attestation_required { color: #9a6700; }
+pre { background: #f6f8fa; padding: 0.5rem; overflow-x: auto; }
+code { word-break: break-all; }
+</style>
+</head>
+<body>
+<h1>Compliance report</h1>
+<p>
+Tenant: ${escapeHtml(report.tenantName || report.tenantId || "workspace")}<br>
+Period: ${escapeHtml(report.period.from)} to ${escapeHtml(report.period.to)}<br>
+Generated: ${escapeHtml(report.generatedAt)} by ${escapeHtml(report.generatedBy || "the system")}<br>
+Status: <strong class="${report.status}">${label(report.status)}</strong>
+</p>
+${Object.entries(report.frameworks).map(renderFramework).join("\n")}
+<h2>Evidence</h2>
+${Object.values(report.evidence).map(renderEvidence).join("\n")}
+<h2>Integrity</h2>
+<p>
+Report ${integrity.sequence} in this tenant's chain<br>
+SHA-256 digest: <code>${escapeHtml(integrity.digest)}</code><br>
+Previous digest: <code>${escapeHtml(integrity.previousDigest)}</code><br>
+Signature: ${signature}
+</p>
+<script type="application/json" id="${SCRIPT_ID}">${embedded}</script>
+</body>
+</html>
+`;
+  }
+
+  /**
+   * The export embedded in an HTML report
+   */
+  fromHtml(html) {
+    const match = String(html).match(
+      new RegExp(
+        `<script type="application/json" id="${SCRIPT_ID}">([\\s\\S]*?)</script>`,
+      ),
+    );
+    if (!match) {
+      throw new ComplianceReportError("The HTML holds no compliance report");
+    }
+    try {
+      return JSON.parse(match[1]);
+    } catch (error) {
+      throw new ComplianceReportError(
+        `The embedded report is unreadable: ${error.message}`,
+      );
+    }
+  }
+
+  // ==========================================================================
+  // Verification
+  // ==========================================================================
+
+  /**
+   * Check an exported report (JSON export or HTML) against its digest, its
+   * signature, the stored copy, the chain and the audit log
+   * @param {Object|string} input - The export, or the HTML document
+   * @param {Object} [options] - { tenantId } refuses other tenants' reports
+   * @returns {Promise<Object>} { valid, reportId, tenantId, digest, checks,
+   *   reasons, verifiedAt }
+   */
+  async verify(input, options = {}) {
+    const exported = typeof input === "string" ? this.fromHtml(input) : input;
+    const { report, integrity } = exported || {};
+    if (!report?.id || !integrity?.digest) {
+      throw new ComplianceReportError(
+        "Expected an exported report: { report, integrity }",
+      );
+    }
+    const tenantId = report.tenantId || null;
+    if (options.tenantId !== undefined && tenantId !== options.tenantId) {
+      throw new ComplianceReportError(
+        "The report belongs to another tenant",
+        403,
+      );
+    }
+
+    const reasons = [];
+    const digest = digestOf(
+      report,
+      integrity.sequence,
+      integrity.previousDigest,
+    );
+    const checks = {
+      digest: digest === integrity.digest,
+      signature: null,
+      stored: false,
+      chain: false,
+      auditLog: false,
+    };
+    if (!checks.digest) {
+      reasons.push("The content does not match its digest");
+    }
+
+    if (integrity.signature) {
+      checks.signature = this.verifySignature(digest, integrity.signature);
+      if (!checks.signature) {
+        reasons.push(
+          integrity.signature.keyId === this.keyId
+            ? "The signature does not match the digest"
+            : `Signed with an unknown key (${integrity.signature.keyId})`,
+        );
+      }
+    }
+
+    const row = await this.getRow(tenantId, report.id);
+    if (!row) {
+      reasons.push("No report with this id was issued");
+    } else {
+      checks.stored =
+        row.digest === digest &&
+        Number(row.sequence) === integrity.sequence &&
+        digestOf(row.content, Number(row.sequence), row.previous_digest) ===
+          row.digest;
+      if (!checks.stored) {
+        reasons.push("The report differs from the issued copy");
+      }
+      checks.chain = await this.verifyLink(row);
+      if (!checks.chain) {
+        reasons.push("The link to the previous report is broken");
+      }
+    }
+
+    const { entries } = await auditLogService.query(tenantId, {
+      event: "compliance_report_generated",
+      resourceId: report.id,
+      limit: 1,
+    });
+    checks.auditLog = entries[0]?.metadata?.digest === digest;
+    if (!checks.auditLog) {
+      reasons.push("The audit log has no matching record of this report");
+    }
+
+    return {
+      valid:
+        checks.digest &&
+        checks.signature !== false &&
+        checks.stored &&
+        checks.chain &&
+        checks.auditLog,
+      reportId: report.id,
+      tenantId,
+      digest,
+      checks,
+      reasons,
+      verifiedAt: new Date().toISOString(),
+    };
+  }
+
+  verifySignature(digest, signature) {
+    if (!this.publicKey || signature.keyId !== this.keyId) return false;
+    try {
+      return crypto.verify(
+        null,
+        Buffer.from(digest),
+        this.publicKey,
+        Buffer.from(signature.value, "base64"),
+      );
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Whether a stored report's previous_digest is the digest of the report
+   * before it
+   */
+  async verifyLink(row) {
+    const sequence = Number(row.sequence);
+    if (sequence === 1) return row.previous_digest === GENESIS_DIGEST;
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "digest",
+        filters: [
+          this.tenantFilter(row.tenant_id || null),
+          { column: "sequence", operator: "eq", value: sequence - 1 },
+        ],
+        limit: 1,
+      }),
+    );
+    return data?.[0]?.digest === row.previous_digest;
+  }
+
+  /**
+   * Recompute a tenant's whole report chain and report the first report
+   * that was changed, removed or reordered
+   * @returns {Promise<Object>} { valid, reports, headDigest, brokenAt,
+   *   reason, verifiedAt }
+   */
+  async verifyChain(tenantId) {
+    const result = {
+      valid: true,
+      reports: 0,
+      headDigest: GENESIS_DIGEST,
+      brokenAt: null,
+      reason: null,
+      verifiedAt: new Date().toISOString(),
+    };
+    const fail = (sequence, reason) =>
+      Object.assign(result, { valid: false, brokenAt: sequence, reason });
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      const { data } = await tenantContext.runUnrestricted(() =>
+        databaseService.query(REPORTS_TABLE, {
+          select: "*",
+          filters: [this.tenantFilter(tenantId || null)],
+          order: { column: "sequence", ascending: true },
+          limit: PAGE_SIZE,
+          offset,
+        }),
+      );
+      const rows = data || [];
+
+      for (const row of rows) {
+        const sequence = Number(row.sequence);
+        if (sequence !== result.reports + 1) {
+          return fail(result.reports + 1, "Reports are missing");
+        }
+        if (row.previous_digest !== result.headDigest) {
+          return fail(sequence, "Link to the previous report is broken");
+        }
+        if (
+          digestOf(row.content, sequence, row.previous_digest) !== row.digest
+        ) {
+          return fail(sequence, "Report content does not match its digest");
+        }
+        // Signatures of an earlier signing key can't be checked here
+        if (row.signature && row.key_id === this.keyId) {
+          const signature = { keyId: row.key_id, value: row.signature };
+          if (!this.verifySignature(row.digest, signature)) {
+            return fail(sequence, "Signature does not match the digest");
+          }
+        }
+        result.reports++;
+        result.headDigest = row.digest;
+      }
+
+      if (rows.length < PAGE_SIZE) break;
+    }
+    return result;
+  }
+}
+
+module.exports = new ComplianceReportService();
@@ -18,31 +18,14 @@ const fs = require("fs").promises;
 const path = require("path");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CursorRulesLearningService");
+const databaseService = require("./databaseService");
 const config = require("../config");
 const llmService = require("./llmService");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class CursorRulesLearningService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[cursorRulesLearningService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[cursorRulesLearningService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -101,7 +84,7 @@ class CursorRulesLearningService {
     }
 
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_top_problematic_patterns",
         {
           limit_count: limit,
@@ -470,7 +453,7 @@ Return as JSON array:
       });
 
       // Update rule success rate
-      const { data: stats } = await this.getSupabaseService().rpc(
+      const { data: stats } = await this.supabase.rpc(
         "calculate_rule_effectiveness",
         {
           rule_id_param: rule.id,
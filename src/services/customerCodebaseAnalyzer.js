@@ -19,34 +19,17 @@ const fs = require("fs").promises;
 const path = require("path");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CustomerCodebaseAnalyzer");
+const databaseService = require("./databaseService");
 const { exec } = require("child_process");
 const { promisify } = require("util");
 const config = require("../config");
 const codebaseSearch = require("./codebaseSearch");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 const execAsync = promisify(exec);
 
 class CustomerCodebaseAnalyzer {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[customerCodebaseAnalyzer] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[customerCodebaseAnalyzer] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -16,31 +16,14 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("CustomerOnboardingService");
+const databaseService = require("./databaseService");
 const customerCodebaseAnalyzer = require("./customerCodebaseAnalyzer");
 const expertTrainingService = require("./expertTrainingService");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class CustomerOnboardingService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[customerOnboardingService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[customerOnboardingService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -0,0 +1,551 @@
+/**
+ * Data Subject Service
+ * Finds, exports and erases the personal data Code Roach holds about one
+ * person, and tracks data subject requests (DSARs) to completion
+ *
+ * LOCATIONS lists every table that references a person and what erasure
+ * does there: account rows are deleted, references in shared records
+ * (issue reviews, fix reviews, who created a project) are replaced with a
+ * pseudonym, and the append-only audit log is retained under legal
+ * obligation. A subject is matched by the id given and, when it names a
+ * commercial user, that user's id and email.
+ *
+ * A request for a tenant only covers tenant data (issue reviews and the
+ * tenant's audit chain, read through the tenant context). Account data
+ * (users, sessions, API keys, memberships, fix reviews, agent sessions) is
+ * shared across tenants and only covered by platform-wide requests, which
+ * name no tenant.
+ *
+ * Erasure re-reads every location afterwards; `verified` is true only when
+ * no row still references the subject.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const authStore = require("./commercialAuthStore");
+const apiKeyService = require("./apiKeyService");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("DataSubjectService");
+
+const REQUESTS_TABLE = "dsar_requests";
+const PAGE_SIZE = 500;
+const EXPORT_FORMAT = "code-roach-dsar-export";
+const RETENTION_REASON =
+  "Append-only audit log kept to meet legal obligations (GDPR Art. 17(3)(b))";
+// Tables created outside the migrations; a missing table holds no data
+const MISSING_TABLE_CODES = ["42P01", "PGRST205"];
+
+// Every table that references a person. account: only in platform-wide
+// requests; omit: secrets left out of exports; erasure: delete,
+// pseudonymize (matched columns) or retain
+const LOCATIONS = [
+  {
+    name: "account",
+    table: "commercial_users",
+    category: "account",
+    columns: ["id", "email"],
+    omit: ["password_hash", "api_key_hash"],
+    erasure: "delete",
+    account: true,
+  },
+  {
+    name: "sessions",
+    table: "auth_sessions",
+    category: "security",
+    columns: ["user_id"],
+    omit: ["refresh_token_hash"],
+    erasure: "delete",
+    account: true,
+  },
+  {
+    name: "password_resets",
+    table: "password_reset_tokens",
+    category: "security",
+    columns: ["user_id"],
+    omit: ["token_hash"],
+    erasure: "delete",
+    account: true,
+  },
+  {
+    name: "api_keys",
+    table: "api_keys",
+    category: "security",
+    columns: ["owner_id"],
+    filters: [{ column: "owner_type", operator: "eq", value: "user" }],
+    omit: ["key_hash"],
+    erasure: "delete",
+    account: true,
+  },
+  {
+    name: "organization_memberships",
+    table: "organization_members",
+    category: "access",
+    columns: ["user_id"],
+    erasure: "delete",
+    account: true,
+  },
+  {
+    name: "project_memberships",
+    table: "project_members",
+    category: "access",
+    columns: ["user_id"],
+    erasure: "delete",
+    account: true,
+  },
+  {
+    name: "organizations_created",
+    table: "organizations",
+    category: "access",
+    columns: ["created_by"],
+    erasure: "pseudonymize",
+    account: true,
+  },
+  {
+    name: "projects_created",
+    table: "projects",
+    category: "access",
+    columns: ["created_by"],
+    erasure: "pseudonymize",
+    account: true,
+  },
+  {
+    name: "issue_reviews",
+    table: "code_roach_issues",
+    category: "feedback",
+    columns: ["reviewed_by"],
+    select: "id, review_status, review_notes, reviewed_at, reviewed_by",
+    erasure: "pseudonymize",
+  },
+  {
+    name: "fix_reviews",
+    table: "fix_review_queue",
+    category: "feedback",
+    columns: ["proposed_by", "reviewed_by"],
+    erasure: "pseudonymize",
+    account: true,
+  },
+  {
+    name: "developer_fixes",
+    table: "fixes",
+    category: "usage",
+    columns: ["developer_id"],
+    erasure: "pseudonymize",
+    account: true,
+    optional: true,
+  },
+  {
+    name: "agent_sessions",
+    table: "agent_sessions",
+    category: "agent",
+    columns: ["session_id"],
+    erasure: "delete",
+    account: true,
+    optional: true,
+  },
+  {
+    name: "agent_decisions",
+    table: "agent_decisions",
+    category: "agent",
+    columns: ["session_id"],
+    erasure: "delete",
+    account: true,
+    optional: true,
+  },
+  {
+    name: "audit_log",
+    table: "audit_log",
+    category: "audit",
+    columns: ["actor_id", "resource_id"],
+    erasure: "retain",
+    chained: true,
+  },
+];
+
+function sha256(text) {
+  return crypto.createHash("sha256").update(text).digest("hex");
+}
+
+function withoutColumns(row, columns = []) {
+  const copy = { ...row };
+  for (const column of columns) {
+    delete copy[column];
+  }
+  return copy;
+}
+
+function isMissingTable(error) {
+  return MISSING_TABLE_CODES.includes(error?.code);
+}
+
+function toRequest(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id || null,
+    subjectId: row.subject_id,
+    requestType: row.request_type,
+    status: row.status,
+    requestedBy: row.requested_by || null,
+    receivedAt: row.received_at,
+    dueAt: row.due_at,
+    completedAt: row.completed_at || null,
+    result: row.result ?? null,
+    error: row.error || null,
+  };
+}
+
+class DataSubjectService {
+  constructor() {
+    this.pseudonymKey =
+      config.dsar?.pseudonymKey || crypto.randomBytes(32).toString("hex");
+  }
+
+  /**
+   * Stable replacement for a subject's id in records that are kept
+   */
+  pseudonym(subjectId) {
+    const digest = crypto
+      .createHmac("sha256", this.pseudonymKey)
+      .update(String(subjectId))
+      .digest("hex");
+    return `erased-${digest.substring(0, 16)}`;
+  }
+
+  /**
+   * Values that identify the subject: the id given plus, when it names a
+   * commercial user (by id or email), that user's id and email
+   */
+  async resolveIdentifiers(subjectId) {
+    const identifiers = new Set([String(subjectId)]);
+    for (const column of ["id", "email"]) {
+      const { data } = await databaseService.query("commercial_users", {
+        select: "id, email",
+        filters: [
+          {
+            column,
+            operator: "eq",
+            value:
+              column === "email"
+                ? String(subjectId).trim().toLowerCase()
+                : String(subjectId),
+          },
+        ],
+        single: true,
+      });
+      if (data) {
+        identifiers.add(data.id);
+        identifiers.add(data.email);
+      }
+    }
+    return [...identifiers];
+  }
+
+  /**
+   * Locations a request covers: tenant data only when it names a tenant
+   */
+  locationsFor(tenantId) {
+    return LOCATIONS.filter((location) => !tenantId || !location.account);
+  }
+
+  /**
+   * Rows of one location that reference any of the identifiers
+   * @returns {Promise<Object[]|null>} null if an optional table doesn't exist
+   */
+  async find(location, identifiers, tenantId) {
+    const rows = new Map();
+    for (const column of location.columns) {
+      const filters = [
+        { column, operator: "in", value: identifiers },
+        ...(location.filters || []),
+      ];
+      if (location.chained && tenantId) {
+        filters.push({
+          column: "chain_id",
+          operator: "eq",
+          value: `tenant:${tenantId}`,
+        });
+      }
+
+      let offset = 0;
+      for (;;) {
+        let data;
+        try {
+          ({ data } = await this.read(location, () =>
+            databaseService.query(location.table, {
+              select: location.select || "*",
+              filters,
+              limit: PAGE_SIZE,
+              offset,
+            }),
+          ));
+        } catch (error) {
+          if (location.optional && isMissingTable(error)) return null;
+          throw error;
+        }
+
+        for (const row of data || []) {
+          rows.set(row.id ?? JSON.stringify(row), row);
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+        offset += data.length;
+      }
+    }
+    return [...rows.values()];
+  }
+
+  /**
+   * The audit log spans tenants; its rows are filtered by chain instead
+   */
+  read(location, fn) {
+    return location.chained ? tenantContext.runUnrestricted(fn) : fn();
+  }
+
+  /**
+   * Every record that references the subject, as a machine-readable bundle
+   * @param {string|null} tenantId - null for a platform-wide export
+   * @param {string} subjectId - User id, email or other subject identifier
+   * @returns {Promise<Object>} { format, version, subject, tenantId,
+   *   generatedAt, recordCount, categories, locations, checksum }
+   */
+  async exportSubjectData(tenantId, subjectId) {
+    const identifiers = await this.resolveIdentifiers(subjectId);
+    const locations = {};
+    const categories = new Set();
+    let recordCount = 0;
+
+    for (const location of this.locationsFor(tenantId)) {
+      const rows = await this.find(location, identifiers, tenantId);
+      if (!rows || rows.length === 0) continue;
+
+      locations[location.name] = {
+        table: location.table,
+        category: location.category,
+        records: rows.map((row) => withoutColumns(row, location.omit)),
+      };
+      categories.add(location.category);
+      recordCount += rows.length;
+    }
+
+    const bundle = {
+      format: EXPORT_FORMAT,
+      version: 1,
+      subject: { id: subjectId, identifiers },
+      tenantId: tenantId || null,
+      generatedAt: new Date().toISOString(),
+      recordCount,
+      categories: [...categories],
+      locations,
+    };
+    bundle.checksum = sha256(JSON.stringify(bundle));
+    return bundle;
+  }
+
+  /**
+   * Delete or pseudonymize every record that references the subject, then
+   * check that none is left
+   * @param {string|null} tenantId - null for a platform-wide erasure
+   * @param {string} subjectId
+   * @returns {Promise<Object>} { subjectId, tenantId, pseudonym, erasedAt,
+   *   locations, verified, partialErasure, receipt }
+   */
+  async eraseSubjectData(tenantId, subjectId) {
+    const identifiers = await this.resolveIdentifiers(subjectId);
+    const pseudonym = this.pseudonym(subjectId);
+    const locations = [];
+
+    for (const location of this.locationsFor(tenantId)) {
+      const outcome = {
+        location: location.name,
+        table: location.table,
+        action: location.erasure,
+        matched: 0,
+        remaining: 0,
+        status: "erased",
+      };
+      locations.push(outcome);
+
+      try {
+        const rows = await this.find(location, identifiers, tenantId);
+        if (rows === null) {
+          outcome.status = "not_present";
+          continue;
+        }
+        outcome.matched = rows.length;
+        if (rows.length === 0) continue;
+
+        if (location.erasure === "retain") {
+          outcome.status = "retained";
+          outcome.remaining = rows.length;
+          outcome.reason = RETENTION_REASON;
+          continue;
+        }
+
+        await this.eraseLocation(location, identifiers, pseudonym);
+        outcome.remaining = (await this.find(location, identifiers, tenantId))
+          .length;
+        if (outcome.remaining > 0) {
+          outcome.status = "failed";
+          outcome.error = `${outcome.remaining} records still reference the subject`;
+        }
+      } catch (error) {
+        log.error(
+          `[Data Subject] Erasure of ${location.name} failed: ${error.message}`,
+        );
+        outcome.status = "failed";
+        outcome.error = error.message;
+      }
+    }
+
+    // Deleted accounts and keys must stop authenticating right away
+    if (!tenantId) {
+      for (const identifier of identifiers) {
+        authStore.forgetUser(identifier);
+        apiKeyService.evictOwner({ ownerType: "user", ownerId: identifier });
+      }
+    }
+
+    const result = {
+      subjectId,
+      tenantId: tenantId || null,
+      pseudonym,
+      erasedAt: new Date().toISOString(),
+      locations,
+      verified: locations.every((outcome) => outcome.status !== "failed"),
+      partialErasure: locations.some((outcome) => outcome.status === "failed"),
+    };
+    result.receipt = sha256(JSON.stringify(result));
+    return result;
+  }
+
+  async eraseLocation(location, identifiers, pseudonym) {
+    for (const column of location.columns) {
+      const filters = [
+        { column, operator: "in", value: identifiers },
+        ...(location.filters || []),
+      ];
+      if (location.erasure === "delete") {
+        await databaseService.delete(location.table, filters);
+      } else {
+        await databaseService.update(location.table, filters, {
+          [column]: pseudonym,
+        });
+      }
+    }
+  }
+
+  // ==========================================================================
+  // REQUEST TRACKING
+  // ==========================================================================
+
+  /**
+   * Record a newly received request
+   * @param {Object} dsar - { id, tenantId, subjectId, requestType, receivedAt }
+   */
+  async createRequest(dsar) {
+    const receivedAt = new Date(dsar.receivedAt || Date.now());
+    const dueAt = new Date(
+      receivedAt.getTime() + config.dsar.responseDays * 24 * 60 * 60 * 1000,
+    );
+    const { data } = await databaseService.insert(
+      REQUESTS_TABLE,
+      {
+        id: dsar.id,
+        tenant_id: dsar.tenantId || null,
+        subject_id: String(dsar.subjectId),
+        request_type: dsar.requestType,
+        status: dsar.status || "received",
+        requested_by: tenantContext.current()?.principalId || null,
+        received_at: receivedAt.toISOString(),
+        due_at: dueAt.toISOString(),
+        updated_at: new Date().toISOString(),
+      },
+      { single: true },
+    );
+    return data ? toRequest(data) : null;
+  }
+
+  /**
+   * Record a request's status and result summary
+   * @param {Object} dsar - { id, status, completedAt, failedAt, result, error }
+   */
+  async updateRequest(dsar, summary = null) {
+    const { data } = await databaseService.update(
+      REQUESTS_TABLE,
+      [{ column: "id", operator: "eq", value: dsar.id }],
+      {
+        status: dsar.status,
+        completed_at: dsar.completedAt || dsar.failedAt || null,
+        result: summary,
+        error: dsar.error || null,
+        updated_at: new Date().toISOString(),
+      },
+      { single: true },
+    );
+    const row = Array.isArray(data) ? data[0] : data;
+    return row ? toRequest(row) : null;
+  }
+
+  /**
+   * A request by id (within the caller's tenant)
+   * @param {string} [tenantId] - Only a request of this tenant
+   */
+  async getRequest(id, tenantId) {
+    const filters = [{ column: "id", operator: "eq", value: id }];
+    if (tenantId !== undefined) {
+      filters.push({ column: "tenant_id", operator: "eq", value: tenantId });
+    }
+    const { data } = await databaseService.query(REQUESTS_TABLE, {
+      select: "*",
+      filters,
+      single: true,
+    });
+    return data ? toRequest(data) : null;
+  }
+
+  /**
+   * Requests, newest first
+   * @param {Object} filters - { tenantId, status, subjectId, overdue, limit };
+   *   without tenantId, every request the caller's context can read
+   */
+  async listRequests(filters = {}) {
+    const conditions = [];
+    if (filters.tenantId !== undefined) {
+      conditions.push({
+        column: "tenant_id",
+        operator: "eq",
+        value: filters.tenantId,
+      });
+    }
+    if (filters.status) {
+      conditions.push({
+        column: "status",
+        operator: "eq",
+        value: filters.status,
+      });
+    }
+    if (filters.subjectId) {
+      conditions.push({
+        column: "subject_id",
+        operator: "eq",
+        value: String(filters.subjectId),
+      });
+    }
+    if (filters.overdue) {
+      conditions.push(
+        { column: "status", operator: "eq", value: "received" },
+        { column: "due_at", operator: "lt", value: new Date().toISOString() },
+      );
+    }
+
+    const { data } = await databaseService.query(REQUESTS_TABLE, {
+      select: "*",
+      filters: conditions,
+      order: { column: "received_at", ascending: false },
+      limit: Math.min(parseInt(filters.limit, 10) || 100, 1000),
+    });
+    return (data || []).map(toRequest);
+  }
+}
+
+module.exports = new DataSubjectService();
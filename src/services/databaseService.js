@@ -13,6 +13,7 @@
  * Resilient wrapper around Supabase with circuit breakers and retry logic
  *
  * Provides:
+ * - Pluggable storage backend (Supabase or embedded local store)
  * - Circuit breaker protection
  * - Retry logic with exponential backoff
  * - Connection pooling
@@ -25,14 +26,17 @@ const { createLogger } = require("../utils/logger");
 const log = createLogger("DatabaseService");
 const { circuitBreakerManager } = require("./circuitBreaker");
 const RetryService = require("./retryService");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
+const { createClient } = require("@supabase/supabase-js");
+const { LocalStorageBackend } = require("./localStorageBackend");
+const tenantContext = require("./tenantContext");
+const fieldEncryption = require("./fieldEncryption");
 
 class DatabaseService {
   constructor() {
     this.client = null; // Primary (write) client
     this.readReplicas = []; // Read replica clients
     this.readReplicaIndex = 0; // Round-robin index
+    this.backend = null; // "supabase" or "local"
     this.initialized = false;
 
     // Initialize circuit breaker for database operations
@@ -68,32 +72,17 @@ class DatabaseService {
     }
 
     try {
-      if (
-        !config.supabase ||
-        !config.getSupabaseService().url ||
-        !config.getSupabaseService().serviceRoleKey
-      ) {
-        log.warn("[Database] Supabase not configured");
+      this.createClient();
+      if (!this.client) {
         return;
       }
 
-      // Initialize primary (write) client
-      this.client = getSupabaseClient({ requireService: true }).serviceRoleKey,
-      );
-
-      // Initialize read replicas if configured
-      const replicaUrls = [
-        process.env.SUPABASE_READ_REPLICA_1_URL,
-        process.env.SUPABASE_READ_REPLICA_2_URL,
-      ].filter(Boolean);
-
-      if (replicaUrls.length > 0) {
-        this.readReplicas = replicaUrls.map((url) =>
-          getSupabaseClient({ requireService: true }).serviceRoleKey),
-        );
+      if (this.backend === "local") {
+        this.initialized = true;
         console.log(
-          `[Database] ✅ ${replicaUrls.length} read replica(s) configured`,
+          `[Database] ✅ Local storage backend ready (${config.storage.localDataDir})`,
         );
+        return;
       }
 
       // Test primary connection with timeout
@@ -141,6 +130,81 @@ class DatabaseService {
     }
   }
 
+  /**
+   * Choose the storage backend
+   * "supabase" requires credentials, "local" always uses the embedded store,
+   * "auto" (default) falls back to local when Supabase is not configured
+   */
+  resolveBackend() {
+    const requested = config.storage?.backend || "auto";
+    const supabaseConfigured = !!(
+      config.supabase?.url && config.supabase?.serviceRoleKey
+    );
+
+    if (requested === "local") return "local";
+    if (requested === "supabase") {
+      return supabaseConfigured ? "supabase" : null;
+    }
+    return supabaseConfigured ? "supabase" : "local";
+  }
+
+  /**
+   * Create the primary client (and read replicas) synchronously
+   * Both backends expose the same supabase-js style from()/rpc() API, and
+   * both are wrapped so tenant-scoped tables follow the tenant context and
+   * source code fields are encrypted at rest
+   */
+  createClient() {
+    if (this.client) {
+      return this.client;
+    }
+
+    this.backend = this.resolveBackend();
+    if (!this.backend) {
+      log.warn("[Database] Supabase backend requested but not configured");
+      return null;
+    }
+
+    if (this.backend === "local") {
+      this.client = tenantContext.scopeClient(
+        fieldEncryption.wrapClient(
+          new LocalStorageBackend({
+            dataDir: config.storage.localDataDir,
+          }),
+        ),
+      );
+      return this.client;
+    }
+
+    const { url, serviceRoleKey } = config.getSupabaseService();
+    const clientOptions = { auth: { persistSession: false } };
+    this.client = tenantContext.scopeClient(
+      fieldEncryption.wrapClient(
+        createClient(url, serviceRoleKey, clientOptions),
+      ),
+    );
+
+    const replicaUrls = [
+      process.env.SUPABASE_READ_REPLICA_1_URL,
+      process.env.SUPABASE_READ_REPLICA_2_URL,
+    ].filter(Boolean);
+
+    if (replicaUrls.length > 0) {
+      this.readReplicas = replicaUrls.map((replicaUrl) =>
+        tenantContext.scopeClient(
+          fieldEncryption.wrapClient(
+            createClient(replicaUrl, serviceRoleKey, clientOptions),
+          ),
+        ),
+      );
+      console.log(
+        `[Database] ✅ ${replicaUrls.length} read replica(s) configured`,
+      );
+    }
+
+    return this.client;
+  }
+
   /**
    * Get read replica client (round-robin)
    */
@@ -278,6 +342,8 @@ class DatabaseService {
         throw new Error("Database not initialized");
       }
     }
+    // Cross-tenant writes are refused before they count as breaker failures
+    tenantContext.assertWritable(table, data);
 
     return this.dbBreaker.execute(async () => {
       return RetryService.retryWithJitter(
@@ -322,6 +388,7 @@ class DatabaseService {
         throw new Error("Database not initialized");
       }
     }
+    tenantContext.assertWritable(table, data);
 
     return this.dbBreaker.execute(async () => {
       return RetryService.retryWithJitter(
@@ -447,14 +514,32 @@ class DatabaseService {
   }
 
   /**
-   * Get raw Supabase client (for advanced operations)
+   * Get raw storage client (for advanced operations)
+   * Supabase client or the local backend, both with a supabase-js style API.
+   * Returns null when no backend is available.
    * Use with caution - no circuit breaker protection
    */
   getClient() {
-    if (!this.client) {
-      throw new Error("Database not initialized");
+    return this.createClient();
+  }
+
+  /**
+   * Name of the active backend ("supabase" or "local")
+   */
+  getBackend() {
+    this.createClient();
+    return this.backend;
+  }
+
+  /**
+   * Register a JavaScript implementation of an RPC function
+   * Only applies to the local backend; Supabase uses Postgres functions
+   */
+  registerRpc(functionName, fn) {
+    const client = this.createClient();
+    if (this.backend === "local") {
+      client.registerRpc(functionName, fn);
     }
-    return this.client;
   }
 
   /**
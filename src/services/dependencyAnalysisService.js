@@ -0,0 +1,1087 @@
+/**
+ * Dependency Analysis Service
+ * The module graph of a repository: which files import which, resolved the
+ * way Node and TypeScript resolve them.
+ *
+ * - CommonJS require(), ESM import and re-exports, dynamic import() and
+ *   TypeScript import = require() / import("x").T (type-only)
+ * - Relative paths with implicit extensions and index files, including
+ *   TypeScript's "./util.js" for util.ts
+ * - tsconfig.json / jsconfig.json baseUrl and paths (following "extends")
+ * - Packages in the repository (workspaces, or the repository importing
+ *   itself by name) through package.json "exports", "main" and "imports"
+ *
+ * A graph is built per root directory (the nearest directory with .git, or
+ * else package.json) and persisted in code_roach_module_graph, one row per
+ * file with its resolved imports. Loading a persisted graph only re-parses
+ * files whose modification time and content changed; codebaseWatcher passes
+ * changed files to updateFiles() to keep loaded graphs current.
+ *
+ * Queries take and return absolute paths.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const { builtinModules } = require("module");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("DependencyAnalysisService");
+const databaseService = require("./databaseService");
+const astAnalyzer = require("./astAnalyzer");
+
+const TABLE = "code_roach_module_graph";
+const PAGE_SIZE = 1000;
+const BATCH_SIZE = 500;
+
+const SOURCE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".mts",
+  ".cts",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+];
+// Extensions tried for "./util", in TypeScript's order of preference
+const RESOLVE_EXTENSIONS = [
+  ".ts",
+  ".tsx",
+  ".d.ts",
+  ".js",
+  ".jsx",
+  ".mjs",
+  ".cjs",
+  ".mts",
+  ".cts",
+  ".json",
+];
+// TypeScript ESM imports name the compiled file: "./util.js" is util.ts
+const TS_SOURCES = {
+  ".js": [".ts", ".tsx"],
+  ".jsx": [".tsx"],
+  ".mjs": [".mts"],
+  ".cjs": [".cts"],
+};
+// Same directories the crawler skips
+const IGNORED_DIRS = new Set([
+  "node_modules",
+  ".git",
+  "dist",
+  "build",
+  ".next",
+  "out",
+  "coverage",
+  ".vscode-extension",
+]);
+const TS_CONFIGS = ["tsconfig.json", "jsconfig.json"];
+const BUILTINS = new Set(builtinModules);
+// package.json "exports"/"imports" conditions, in addition to "default"
+const REQUIRE_CONDITIONS = ["source", "require", "node"];
+const IMPORT_CONDITIONS = ["source", "import", "module", "node"];
+
+// Used without Babel, or when a file does not parse
+const SOURCE_PATTERNS = [
+  [
+    /\bimport\s+(type\s+)?(?:[\w$*{},\s]+?\s+from\s*)?["']([^"'\n]+)["']/g,
+    "import",
+  ],
+  [
+    /\bexport\s+(type\s+)?(?:\*(?:\s+as\s+[\w$]+)?|\{[^}]*\})\s*from\s*["']([^"'\n]+)["']/g,
+    "re-export",
+  ],
+  [/\brequire\s*\(\s*()["']([^"'\n]+)["']\s*\)/g, "require"],
+  [/\bimport\s*\(\s*()["']([^"'\n]+)["']\s*\)/g, "dynamic-import"],
+];
+
+/**
+ * One root directory's graph. Files are keyed by their path relative to
+ * the root, with forward slashes.
+ */
+class ModuleGraph {
+  constructor(rootDir) {
+    this.rootDir = rootDir;
+    // file -> { hash, mtimeMs, imports: [{ specifier, kind, line, typeOnly,
+    //   target, package, builtin }] }
+    this.nodes = new Map();
+    this.dependents = new Map(); // file -> Set of files importing it
+    this.packages = new Map(); // package name -> { dir, manifest }
+    this.manifests = new Map(); // package directory -> manifest
+    this.aliases = null; // { baseUrl, pathsBase, paths }
+    this.updating = Promise.resolve();
+  }
+
+  /**
+   * Re-resolve the imports of files (all by default)
+   * @returns {Array<string>} Files whose resolved imports changed
+   */
+  link(files = [...this.nodes.keys()]) {
+    const changed = [];
+    for (const file of files) {
+      const node = this.nodes.get(file);
+      if (!node) continue;
+      const before = JSON.stringify(node.imports);
+      node.imports = node.imports.map(({ specifier, kind, line, typeOnly }) =>
+        compact({
+          specifier,
+          kind,
+          line,
+          typeOnly,
+          ...this.resolve({ specifier, kind, typeOnly }, file),
+        }),
+      );
+      if (JSON.stringify(node.imports) !== before) changed.push(file);
+    }
+
+    this.dependents.clear();
+    for (const [file, node] of this.nodes) {
+      for (const { target } of node.imports) {
+        if (!target) continue;
+        if (!this.dependents.has(target)) {
+          this.dependents.set(target, new Set());
+        }
+        this.dependents.get(target).add(file);
+      }
+    }
+    return changed;
+  }
+
+  /**
+   * Resolve an import of a file
+   * @returns {Object} { target } for a file in the graph, { package } for
+   *   an installed package, { builtin: true } for a Node module, or
+   *   { target: null } when a path does not resolve
+   */
+  resolve({ specifier, kind, typeOnly }, from) {
+    const conditions = [
+      ...(typeOnly ? ["types"] : []),
+      ...(kind === "require" ? REQUIRE_CONDITIONS : IMPORT_CONDITIONS),
+    ];
+
+    if (specifier.startsWith("node:") || BUILTINS.has(specifier)) {
+      return { builtin: true };
+    }
+    if (/^\.{1,2}(\/|$)/.test(specifier) || path.isAbsolute(specifier)) {
+      const base = path.isAbsolute(specifier)
+        ? toPosix(path.relative(this.rootDir, specifier))
+        : path.posix.join(path.posix.dirname(from), specifier);
+      return { target: this.resolveFile(base, conditions) };
+    }
+    if (specifier.startsWith("#")) {
+      const owner = this.owningPackage(from);
+      const target =
+        owner && resolveMap(owner.manifest.imports, specifier, conditions);
+      return {
+        target: target
+          ? this.resolveFile(path.posix.join(owner.dir, target), conditions)
+          : null,
+      };
+    }
+
+    const aliased = this.resolveAlias(specifier, conditions);
+    if (aliased) return { target: aliased };
+
+    const name = packageName(specifier);
+    const pkg = this.packages.get(name);
+    const subpath = `.${specifier.slice(name.length)}`;
+    const target = pkg && this.resolvePackage(pkg, subpath, conditions);
+    return target ? { target } : { package: name };
+  }
+
+  /**
+   * The file a path refers to: itself, with an extension, the TypeScript
+   * source of a .js path, a package directory's entry or an index file
+   */
+  resolveFile(base, conditions) {
+    const file = path.posix.normalize(base).replace(/\/$/, "");
+    if (file.startsWith("..")) return null;
+
+    const ext = path.posix.extname(file);
+    const candidates = [
+      file,
+      ...RESOLVE_EXTENSIONS.map((extension) => file + extension),
+      ...(TS_SOURCES[ext] || []).map(
+        (extension) => file.slice(0, -ext.length) + extension,
+      ),
+    ];
+    const found = candidates.find((candidate) => this.nodes.has(candidate));
+    if (found) return found;
+
+    const manifest = this.manifests.get(file);
+    const main =
+      manifest &&
+      ((conditions.includes("import") && manifest.module) || manifest.main);
+    if (main) {
+      const entry = path.posix.join(file, main);
+      const resolved = entry !== file && this.resolveFile(entry, conditions);
+      if (resolved) return resolved;
+    }
+    return (
+      RESOLVE_EXTENSIONS.map((extension) =>
+        path.posix.join(file, `index${extension}`),
+      ).find((candidate) => this.nodes.has(candidate)) || null
+    );
+  }
+
+  /**
+   * tsconfig paths (the longest matching pattern), then baseUrl
+   */
+  resolveAlias(specifier, conditions) {
+    if (!this.aliases) return null;
+    const { baseUrl, pathsBase, paths } = this.aliases;
+
+    for (const { prefix, suffix, wildcard, targets } of paths) {
+      const matches = wildcard
+        ? specifier.length >= prefix.length + suffix.length &&
+          specifier.startsWith(prefix) &&
+          specifier.endsWith(suffix)
+        : specifier === prefix;
+      if (!matches) continue;
+
+      const match = wildcard
+        ? specifier.slice(prefix.length, specifier.length - suffix.length)
+        : "";
+      for (const target of targets) {
+        const file = this.resolveFile(
+          path.posix.join(pathsBase, target.split("*").join(match)),
+          conditions,
+        );
+        if (file) return file;
+      }
+      break;
+    }
+    return baseUrl === null
+      ? null
+      : this.resolveFile(path.posix.join(baseUrl, specifier), conditions);
+  }
+
+  /**
+   * A subpath ("." or "./x") of a package in the repository
+   */
+  resolvePackage({ dir, manifest }, subpath, conditions) {
+    if (manifest.exports !== undefined && manifest.exports !== null) {
+      const target = resolveMap(
+        normalizeExports(manifest.exports),
+        subpath,
+        conditions,
+      );
+      return target
+        ? this.resolveFile(path.posix.join(dir, target), conditions)
+        : null;
+    }
+    return this.resolveFile(path.posix.join(dir, subpath), conditions);
+  }
+
+  /**
+   * The package a file belongs to (the nearest package.json)
+   */
+  owningPackage(file) {
+    let dir = path.posix.dirname(file);
+    for (;;) {
+      const manifest = this.manifests.get(dir);
+      if (manifest) return { dir, manifest };
+      if (dir === ".") return null;
+      dir = path.posix.dirname(dir);
+    }
+  }
+
+  /**
+   * Files reachable from the start files, breadth first
+   * @returns {Array<Object>} { file, depth, via } where via is the file it
+   *   was reached from
+   */
+  reach(starts, next, maxDepth = Infinity) {
+    const seen = new Set(starts);
+    const reached = [];
+    let frontier = starts;
+    for (let depth = 1; frontier.length > 0 && depth <= maxDepth; depth++) {
+      const following = [];
+      for (const file of frontier) {
+        for (const other of next(file)) {
+          if (seen.has(other)) continue;
+          seen.add(other);
+          reached.push({ file: other, depth, via: file });
+          following.push(other);
+        }
+      }
+      frontier = following;
+    }
+    return reached;
+  }
+
+  targets(file, includeTypeOnly = true) {
+    const node = this.nodes.get(file);
+    if (!node) return [];
+    return node.imports
+      .filter(
+        ({ target, typeOnly }) => target && (includeTypeOnly || !typeOnly),
+      )
+      .map(({ target }) => target);
+  }
+
+  importers(file) {
+    return [...(this.dependents.get(file) || [])];
+  }
+
+  /**
+   * Strongly connected groups of files (Tarjan's algorithm, iteratively)
+   * @returns {Array<Array<string>>} Groups of two or more files, and files
+   *   importing themselves
+   */
+  cycles(includeTypeOnly) {
+    const successors = (file) => [
+      ...new Set(this.targets(file, includeTypeOnly)),
+    ];
+    const index = new Map();
+    const low = new Map();
+    const stack = [];
+    const onStack = new Set();
+    const groups = [];
+    let counter = 0;
+
+    const visit = (file) => {
+      index.set(file, counter);
+      low.set(file, counter);
+      counter++;
+      stack.push(file);
+      onStack.add(file);
+      return { file, next: successors(file), position: 0 };
+    };
+
+    for (const start of [...this.nodes.keys()].sort()) {
+      if (index.has(start)) continue;
+      const work = [visit(start)];
+      while (work.length > 0) {
+        const frame = work[work.length - 1];
+        if (frame.position < frame.next.length) {
+          const child = frame.next[frame.position++];
+          if (!index.has(child)) {
+            work.push(visit(child));
+          } else if (onStack.has(child)) {
+            low.set(
+              frame.file,
+              Math.min(low.get(frame.file), index.get(child)),
+            );
+          }
+          continue;
+        }
+
+        work.pop();
+        const parent = work[work.length - 1];
+        if (parent) {
+          low.set(
+            parent.file,
+            Math.min(low.get(parent.file), low.get(frame.file)),
+          );
+        }
+        if (low.get(frame.file) !== index.get(frame.file)) continue;
+
+        const group = [];
+        let member;
+        do {
+          member = stack.pop();
+          onStack.delete(member);
+          group.push(member);
+        } while (member !== frame.file);
+        if (group.length > 1 || frame.next.includes(frame.file)) {
+          groups.push(group.sort());
+        }
+      }
+    }
+    return groups;
+  }
+
+  absolute(file) {
+    return path.join(this.rootDir, file);
+  }
+}
+
+class DependencyAnalysisService {
+  constructor() {
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
+    this.graphs = new Map(); // root directory -> Promise<ModuleGraph>
+  }
+
+  /**
+   * The root directory a file's graph is built for: the nearest directory
+   * with .git, or else package.json, or the file's own directory
+   */
+  findRoot(filePath) {
+    const start = path.dirname(path.resolve(filePath));
+    let packageRoot = null;
+    for (let dir = start; ; dir = path.dirname(dir)) {
+      if (fs.existsSync(path.join(dir, ".git"))) return dir;
+      if (!packageRoot && fs.existsSync(path.join(dir, "package.json"))) {
+        packageRoot = dir;
+      }
+      if (path.dirname(dir) === dir) return packageRoot || start;
+    }
+  }
+
+  /**
+   * The graph of a root directory, loaded from storage (re-parsing changed
+   * files) or built
+   * @param {string} rootDir
+   * @returns {Promise<ModuleGraph>}
+   */
+  getGraph(rootDir) {
+    const root = path.resolve(rootDir);
+    if (!this.graphs.has(root)) {
+      const loading = this.loadGraph(root);
+      this.graphs.set(root, loading);
+      loading.catch(() => this.graphs.delete(root));
+    }
+    return this.graphs.get(root);
+  }
+
+  /**
+   * Reload a root directory's graph, picking up files changed while it was
+   * not being watched
+   */
+  refresh(rootDir) {
+    this.graphs.delete(path.resolve(rootDir));
+    return this.getGraph(rootDir);
+  }
+
+  /**
+   * What a file imports
+   * @param {string} filePath
+   * @param {Object} options - { rootDir, transitive, maxDepth }
+   * @returns {Promise<Array<Object>>} Its imports ({ specifier, kind, line,
+   *   typeOnly, file, package, builtin }; an import with none of file,
+   *   package or builtin did not resolve), or with transitive the files it
+   *   depends on directly or indirectly ({ file, depth, via })
+   */
+  async getDependencies(filePath, options = {}) {
+    const { graph, file } = await this.locate(filePath, options.rootDir);
+    if (options.transitive) {
+      return this.describeReach(
+        graph,
+        graph.reach([file], (f) => graph.targets(f), options.maxDepth),
+      );
+    }
+    const node = graph.nodes.get(file);
+    return (node?.imports || []).map(({ target, ...entry }) =>
+      target ? { ...entry, file: graph.absolute(target) } : entry,
+    );
+  }
+
+  /**
+   * What imports a file
+   * @param {string} filePath
+   * @param {Object} options - { rootDir, transitive, maxDepth }
+   * @returns {Promise<Array<Object>>} Its importers with how they import it
+   *   ({ file, specifier, kind, line, typeOnly }), or with transitive every
+   *   file depending on it ({ file, depth, via })
+   */
+  async getDependents(filePath, options = {}) {
+    if (options.transitive) return this.getImpactSet([filePath], options);
+
+    const { graph, file } = await this.locate(filePath, options.rootDir);
+    return graph.importers(file).flatMap((importer) =>
+      graph.nodes
+        .get(importer)
+        .imports.filter(({ target }) => target === file)
+        .map(({ specifier, kind, line, typeOnly }) =>
+          compact({
+            file: graph.absolute(importer),
+            specifier,
+            kind,
+            line,
+            typeOnly,
+          }),
+        ),
+    );
+  }
+
+  /**
+   * Files a change to these files can affect: everything importing them,
+   * directly or indirectly
+   * @param {Array<string>} filePaths
+   * @param {Object} options - { rootDir, maxDepth }
+   * @returns {Promise<Array<Object>>} { file, depth, via }, nearest first
+   */
+  async getImpactSet(filePaths, options = {}) {
+    if (filePaths.length === 0) return [];
+    const rootDir = options.rootDir || this.findRoot(filePaths[0]);
+    const located = await Promise.all(
+      filePaths.map((filePath) => this.locate(filePath, rootDir)),
+    );
+    const { graph } = located[0];
+    return this.describeReach(
+      graph,
+      graph.reach(
+        located.map(({ file }) => file),
+        (f) => graph.importers(f),
+        options.maxDepth,
+      ),
+    );
+  }
+
+  /**
+   * Import cycles: groups of files that import each other directly or
+   * indirectly. Type-only imports are left out unless includeTypeOnly.
+   * @param {Object} options - { rootDir, filePath (only cycles through
+   *   this file), includeTypeOnly }
+   * @returns {Promise<Array<Array<string>>>}
+   */
+  async findCycles(options = {}) {
+    const { filePath, includeTypeOnly = false } = options;
+    const rootDir =
+      options.rootDir || (filePath ? this.findRoot(filePath) : process.cwd());
+    const graph = await this.getGraph(rootDir);
+    const file =
+      filePath &&
+      toPosix(path.relative(graph.rootDir, path.resolve(filePath)));
+    return graph
+      .cycles(includeTypeOnly)
+      .filter((group) => !file || group.includes(file))
+      .map((group) => group.map((f) => graph.absolute(f)));
+  }
+
+  /**
+   * Apply changed, added or deleted files to the loaded graphs containing
+   * them. Graphs that are not loaded catch up when they are next loaded.
+   * @param {Array<string>} filePaths - Absolute paths
+   * @returns {Promise<Array<Object>>} { rootDir, updated, removed } per graph
+   */
+  async updateFiles(filePaths) {
+    const summaries = [];
+    for (const [rootDir, loading] of this.graphs) {
+      const graph = await loading.catch(() => null);
+      if (!graph) continue;
+
+      const files = [
+        ...new Set(
+          filePaths
+            .map((filePath) => toPosix(path.relative(rootDir, filePath)))
+            .filter(
+              (file) =>
+                !file.startsWith("..") &&
+                !path.isAbsolute(file) &&
+                isGraphFile(file),
+            ),
+        ),
+      ];
+      if (files.length === 0) continue;
+
+      // One update at a time per graph
+      const update = graph.updating.then(() => this.applyChanges(graph, files));
+      graph.updating = update.catch(() => {});
+      summaries.push(await update);
+    }
+    return summaries;
+  }
+
+  /**
+   * Extract a file's imports (unresolved)
+   * @param {string} code
+   * @param {string} filePath
+   * @returns {Array<Object>} { specifier, kind, line, typeOnly } where kind
+   *   is "import", "re-export", "require" or "dynamic-import"
+   */
+  extractImports(code, filePath) {
+    const language = /\.[mc]?tsx?$/i.test(filePath)
+      ? "typescript"
+      : "javascript";
+    const ast = astAnalyzer.traverse
+      ? astAnalyzer.parseCode(code, language)
+      : null;
+    return ast ? importsFromAst(ast) : importsFromSource(code);
+  }
+
+  async locate(filePath, rootDir) {
+    const graph = await this.getGraph(rootDir || this.findRoot(filePath));
+    const file = toPosix(path.relative(graph.rootDir, path.resolve(filePath)));
+    return { graph, file };
+  }
+
+  describeReach(graph, reached) {
+    return reached.map(({ file, depth, via }) => ({
+      file: graph.absolute(file),
+      depth,
+      via: graph.absolute(via),
+    }));
+  }
+
+  async loadGraph(rootDir) {
+    const startTime = Date.now();
+    const graph = new ModuleGraph(rootDir);
+    const stored = await this.loadRows(rootDir);
+    const files = await listFiles(rootDir);
+
+    const scanned = new Map();
+    for (const file of files) {
+      const node = await this.scanFile(graph, file, stored.get(file));
+      if (node) scanned.set(file, node);
+    }
+    await this.configure(graph, [...scanned.keys()]);
+    graph.nodes = scanned;
+    const relinked = graph.link();
+
+    const changed = new Set(relinked);
+    for (const [file, node] of scanned) {
+      if (node !== stored.get(file)) changed.add(file);
+    }
+    const removed = [...stored.keys()].filter((file) => !scanned.has(file));
+    await this.save(graph, [...changed], removed);
+
+    log.info(
+      `[Dependency Graph] ${rootDir}: ${graph.nodes.size} files, ${changed.size} updated (${Date.now() - startTime}ms)`,
+    );
+    return graph;
+  }
+
+  async applyChanges(graph, files) {
+    const scanned = new Map();
+    for (const file of files) {
+      scanned.set(
+        file,
+        await this.scanFile(graph, file, graph.nodes.get(file)),
+      );
+    }
+
+    const added = files.filter((f) => scanned.get(f) && !graph.nodes.has(f));
+    const removed = files.filter((f) => !scanned.get(f) && graph.nodes.has(f));
+    const updated = files.filter(
+      (f) => scanned.get(f) && scanned.get(f) !== graph.nodes.get(f),
+    );
+    const reconfigure = updated.concat(added, removed).some(isConfigFile);
+    if (reconfigure) {
+      const remaining = new Set(graph.nodes.keys());
+      added.forEach((file) => remaining.add(file));
+      removed.forEach((file) => remaining.delete(file));
+      await this.configure(graph, [...remaining]);
+    }
+
+    for (const file of removed) graph.nodes.delete(file);
+    for (const file of updated.concat(added)) {
+      graph.nodes.set(file, scanned.get(file));
+    }
+    // Added and removed files and configuration can change what any import
+    // resolves to; otherwise only the changed files' imports
+    const relinked =
+      added.length > 0 || removed.length > 0 || reconfigure
+        ? graph.link()
+        : graph.link(updated);
+
+    const changed = [...new Set([...updated, ...added, ...relinked])];
+    await this.save(graph, changed, removed);
+    return { rootDir: graph.rootDir, updated: changed, removed };
+  }
+
+  /**
+   * A file's node, reusing the previous one when the file is unchanged
+   * @returns {Promise<Object|null>} null when the file is gone
+   */
+  async scanFile(graph, file, previous) {
+    const fullPath = graph.absolute(file);
+    const stats = await fs.promises.stat(fullPath).catch(() => null);
+    if (!stats || !stats.isFile()) return null;
+    if (previous && previous.mtimeMs === stats.mtimeMs) return previous;
+
+    const code = await fs.promises.readFile(fullPath, "utf8").catch(() => null);
+    if (code === null) return null;
+    const hash = crypto.createHash("sha256").update(code).digest("hex");
+    if (previous && previous.hash === hash) {
+      return { ...previous, mtimeMs: stats.mtimeMs };
+    }
+    return {
+      hash,
+      mtimeMs: stats.mtimeMs,
+      imports: file.endsWith(".json") ? [] : this.extractImports(code, file),
+    };
+  }
+
+  /**
+   * Read the package.json files and the root tsconfig.json/jsconfig.json
+   */
+  async configure(graph, files) {
+    graph.packages.clear();
+    graph.manifests.clear();
+    for (const file of files) {
+      if (path.posix.basename(file) !== "package.json") continue;
+      try {
+        const manifest = JSON.parse(
+          await fs.promises.readFile(graph.absolute(file), "utf8"),
+        );
+        const dir = path.posix.dirname(file);
+        graph.manifests.set(dir, manifest);
+        if (manifest.name) graph.packages.set(manifest.name, { dir, manifest });
+      } catch (error) {
+        log.warn(`[Dependency Graph] Skipping ${file}: ${error.message}`);
+      }
+    }
+
+    graph.aliases = null;
+    const tsconfig = TS_CONFIGS.find((name) => files.includes(name));
+    if (!tsconfig) return;
+    try {
+      const options = await readTsconfig(graph.absolute(tsconfig));
+      const relative = (dir) =>
+        toPosix(path.relative(graph.rootDir, dir)) || ".";
+      const pathsBase = options.baseUrl || options.pathsDir;
+      graph.aliases = {
+        baseUrl: options.baseUrl ? relative(options.baseUrl) : null,
+        pathsBase: pathsBase ? relative(pathsBase) : ".",
+        paths: Object.entries(options.paths || {})
+          .map(([pattern, targets]) => {
+            const star = pattern.indexOf("*");
+            return {
+              wildcard: star !== -1,
+              prefix: star === -1 ? pattern : pattern.slice(0, star),
+              suffix: star === -1 ? "" : pattern.slice(star + 1),
+              targets: [].concat(targets),
+            };
+          })
+          // Exact patterns first, then the longest prefix
+          .sort(
+            (a, b) =>
+              a.wildcard - b.wildcard || b.prefix.length - a.prefix.length,
+          ),
+      };
+    } catch (error) {
+      log.warn(`[Dependency Graph] Skipping ${tsconfig}: ${error.message}`);
+    }
+  }
+
+  async loadRows(rootDir) {
+    const rows = new Map();
+    if (!this.supabase) return rows;
+
+    try {
+      for (let from = 0; ; from += PAGE_SIZE) {
+        const { data, error } = await this.supabase
+          .from(TABLE)
+          .select("file_path, content_hash, mtime_ms, imports")
+          .eq("root_dir", rootDir)
+          .order("file_path", { ascending: true })
+          .range(from, from + PAGE_SIZE - 1);
+        if (error) throw error;
+        for (const row of data || []) {
+          rows.set(row.file_path, {
+            hash: row.content_hash,
+            mtimeMs: row.mtime_ms,
+            imports: row.imports || [],
+          });
+        }
+        if (!data || data.length < PAGE_SIZE) break;
+      }
+    } catch (error) {
+      log.warn("[Dependency Graph] Could not load stored graph:", error.message);
+      rows.clear();
+    }
+    return rows;
+  }
+
+  async save(graph, files, removed = []) {
+    if (!this.supabase || (files.length === 0 && removed.length === 0)) return;
+
+    try {
+      const updatedAt = new Date().toISOString();
+      for (let i = 0; i < files.length; i += BATCH_SIZE) {
+        const rows = files.slice(i, i + BATCH_SIZE).map((file) => {
+          const node = graph.nodes.get(file);
+          return {
+            root_dir: graph.rootDir,
+            file_path: file,
+            content_hash: node.hash,
+            mtime_ms: node.mtimeMs,
+            imports: node.imports,
+            updated_at: updatedAt,
+          };
+        });
+        const { error } = await this.supabase
+          .from(TABLE)
+          .upsert(rows, { onConflict: "root_dir,file_path" });
+        if (error) throw error;
+      }
+      for (let i = 0; i < removed.length; i += BATCH_SIZE) {
+        const { error } = await this.supabase
+          .from(TABLE)
+          .delete()
+          .eq("root_dir", graph.rootDir)
+          .in("file_path", removed.slice(i, i + BATCH_SIZE));
+        if (error) throw error;
+      }
+    } catch (error) {
+      // The graph in memory is still current; storage catches up on the
+      // next change or load
+      log.warn("[Dependency Graph] Could not save graph:", error.message);
+    }
+  }
+}
+
+function importsFromAst(ast) {
+  const imports = [];
+  const add = (source, kind, node, typeOnly = false) => {
+    const specifier = staticString(source);
+    if (!specifier) return;
+    imports.push(
+      compact({ specifier, kind, line: node.loc?.start.line, typeOnly }),
+    );
+  };
+
+  astAnalyzer.traverse(ast, {
+    enter(nodePath) {
+      const { node } = nodePath;
+      switch (node.type) {
+        case "ImportDeclaration":
+          add(
+            node.source,
+            "import",
+            node,
+            node.importKind === "type" ||
+              (node.specifiers.length > 0 &&
+                node.specifiers.every((s) => s.importKind === "type")),
+          );
+          break;
+        case "ExportNamedDeclaration":
+        case "ExportAllDeclaration":
+          if (node.source) {
+            add(node.source, "re-export", node, node.exportKind === "type");
+          }
+          break;
+        case "TSImportEqualsDeclaration":
+          if (node.moduleReference.type === "TSExternalModuleReference") {
+            add(
+              node.moduleReference.expression,
+              "require",
+              node,
+              node.importKind === "type",
+            );
+          }
+          break;
+        case "TSImportType":
+          add(node.argument, "import", node, true);
+          break;
+        case "ImportExpression":
+          add(node.source, "dynamic-import", node);
+          break;
+        case "CallExpression":
+          if (node.callee.type === "Import") {
+            add(node.arguments[0], "dynamic-import", node);
+          } else if (
+            node.callee.type === "Identifier" &&
+            node.callee.name === "require" &&
+            node.arguments.length === 1 &&
+            !nodePath.scope.getBinding("require")
+          ) {
+            add(node.arguments[0], "require", node);
+          }
+          break;
+        default:
+          break;
+      }
+    },
+  });
+  return imports;
+}
+
+function importsFromSource(code) {
+  // Blank out comments, keeping line numbers
+  const source = code.replace(/\/\*[\s\S]*?\*\/|\/\/[^\n]*/g, (comment) =>
+    comment.replace(/[^\n]/g, " "),
+  );
+  const imports = [];
+  for (const [pattern, kind] of SOURCE_PATTERNS) {
+    for (const match of source.matchAll(pattern)) {
+      imports.push(
+        compact({
+          specifier: match[2],
+          kind,
+          line: source.slice(0, match.index).split("\n").length,
+          typeOnly: Boolean(match[1]),
+        }),
+      );
+    }
+  }
+  return imports.sort((a, b) => a.line - b.line);
+}
+
+function staticString(node) {
+  if (!node) return null;
+  if (node.type === "StringLiteral") return node.value;
+  if (node.type === "TemplateLiteral" && node.expressions.length === 0) {
+    return node.quasis[0].value.cooked;
+  }
+  if (node.type === "TSLiteralType") return staticString(node.literal);
+  return null;
+}
+
+/**
+ * Look up a specifier in package.json "exports" or "imports", including
+ * "*" patterns, choosing targets by condition
+ */
+function resolveMap(map, key, conditions) {
+  if (!map || typeof map !== "object") return null;
+  if (Object.prototype.hasOwnProperty.call(map, key)) {
+    return pickTarget(map[key], conditions, null);
+  }
+
+  let best = null;
+  for (const pattern of Object.keys(map)) {
+    const star = pattern.indexOf("*");
+    if (star === -1) continue;
+    const prefix = pattern.slice(0, star);
+    const suffix = pattern.slice(star + 1);
+    if (
+      key.length >= pattern.length - 1 &&
+      key.startsWith(prefix) &&
+      key.endsWith(suffix) &&
+      (!best || prefix.length > best.prefix.length)
+    ) {
+      best = {
+        pattern,
+        prefix,
+        match: key.slice(prefix.length, key.length - suffix.length),
+      };
+    }
+  }
+  return best ? pickTarget(map[best.pattern], conditions, best.match) : null;
+}
+
+function pickTarget(value, conditions, match) {
+  if (typeof value === "string") {
+    return match === null ? value : value.split("*").join(match);
+  }
+  if (Array.isArray(value)) {
+    for (const option of value) {
+      const target = pickTarget(option, conditions, match);
+      if (target) return target;
+    }
+    return null;
+  }
+  if (value && typeof value === "object") {
+    for (const [condition, option] of Object.entries(value)) {
+      if (condition !== "default" && !conditions.includes(condition)) continue;
+      const target = pickTarget(option, conditions, match);
+      if (target) return target;
+    }
+  }
+  return null;
+}
+
+// "exports": "./index.js" and condition-only objects are the "." entry
+function normalizeExports(exports) {
+  if (
+    typeof exports === "string" ||
+    Array.isArray(exports) ||
+    !Object.keys(exports).some((key) => key.startsWith("."))
+  ) {
+    return { ".": exports };
+  }
+  return exports;
+}
+
+function packageName(specifier) {
+  const parts = specifier.split("/");
+  return specifier.startsWith("@") ? parts.slice(0, 2).join("/") : parts[0];
+}
+
+/**
+ * compilerOptions.baseUrl and paths of a tsconfig and the configs it
+ * extends (relative ones; published base configs do not set paths)
+ */
+async function readTsconfig(file, seen = new Set()) {
+  if (seen.has(file)) return {};
+  seen.add(file);
+
+  const config = parseJsonc(await fs.promises.readFile(file, "utf8"));
+  let options = {};
+  for (const parent of [].concat(config.extends || [])) {
+    if (!/^\.{1,2}\//.test(parent)) continue;
+    const parentFile = path.resolve(
+      path.dirname(file),
+      parent.endsWith(".json") ? parent : `${parent}.json`,
+    );
+    options = {
+      ...options,
+      ...(await readTsconfig(parentFile, seen).catch(() => ({}))),
+    };
+  }
+
+  const own = config.compilerOptions || {};
+  if (own.baseUrl !== undefined) {
+    options.baseUrl = path.resolve(path.dirname(file), own.baseUrl);
+  }
+  if (own.paths) {
+    options.paths = own.paths;
+    options.pathsDir = path.dirname(file);
+  }
+  return options;
+}
+
+// JSON with comments and trailing commas, as tsconfig.json allows
+function parseJsonc(text) {
+  let json = "";
+  let inString = false;
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+    if (inString) {
+      json += char;
+      if (char === "\\") json += text[++i] || "";
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+      json += char;
+    } else if (char === "/" && text[i + 1] === "/") {
+      while (i < text.length && text[i] !== "\n") i++;
+      json += "\n";
+    } else if (char === "/" && text[i + 1] === "*") {
+      const end = text.indexOf("*/", i + 2);
+      i = end === -1 ? text.length : end + 1;
+    } else {
+      json += char;
+    }
+  }
+  return JSON.parse(json.replace(/,(\s*[}\]])/g, "$1"));
+}
+
+async function listFiles(rootDir) {
+  const files = [];
+  const walk = async (dir) => {
+    const entries = await fs.promises
+      .readdir(dir, { withFileTypes: true })
+      .catch(() => []);
+    for (const entry of entries) {
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRS.has(entry.name)) await walk(fullPath);
+      } else if (entry.isFile() && isGraphFile(entry.name)) {
+        files.push(toPosix(path.relative(rootDir, fullPath)));
+      }
+    }
+  };
+  await walk(rootDir);
+  return files.sort();
+}
+
+function isGraphFile(file) {
+  const ext = path.posix.extname(file);
+  return (
+    (SOURCE_EXTENSIONS.includes(ext) || ext === ".json") &&
+    !file.split("/").some((part) => IGNORED_DIRS.has(part))
+  );
+}
+
+function isConfigFile(file) {
+  return (
+    path.posix.basename(file) === "package.json" || TS_CONFIGS.includes(file)
+  );
+}
+
+function toPosix(file) {
+  return file.split(path.sep).join("/");
+}
+
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) => value !== undefined && value !== null && value !== false,
+    ),
+  );
+}
+
+module.exports = new DependencyAnalysisService();
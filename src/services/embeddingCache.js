@@ -63,6 +63,18 @@ class EmbeddingCache {
     return hash.toString(36);
   }
 
+  /**
+   * Cache key for code, scoped to an embedding provider when given
+   *
+   * @param {string} code - Code string
+   * @param {string} [namespace] - Embedding provider/model identifier
+   * @returns {string} Cache key
+   */
+  cacheKey(code, namespace = null) {
+    const codeHash = this.hashCode(code);
+    return namespace ? `${namespace}:${codeHash}` : codeHash;
+  }
+
   /**
    * Calculate cosine similarity between two embedding vectors
    *
@@ -108,10 +120,11 @@ class EmbeddingCache {
    *
    * @param {string} code - Code string to find embedding for
    * @param {Array<number>} [newEmbedding] - Optional: new embedding to compare against
+   * @param {string} [namespace] - Optional: embedding provider/model the vector must come from
    * @returns {Object|null} Cached embedding data or null if not found
    */
-  get(code, newEmbedding = null) {
-    const codeHash = this.hashCode(code);
+  get(code, newEmbedding = null, namespace = null) {
+    const codeHash = this.cacheKey(code, namespace);
 
     // Check exact match first
     if (this.cache.has(codeHash)) {
@@ -142,7 +155,10 @@ class EmbeddingCache {
 
     // If we have a new embedding, check similarity-based cache
     if (newEmbedding) {
-      const similarityMatch = this.findSimilarEmbedding(newEmbedding);
+      const similarityMatch = this.findSimilarEmbedding(
+        newEmbedding,
+        namespace,
+      );
       if (similarityMatch) {
         this.metrics.hits++;
         this.metrics.similarityHits++;
@@ -169,9 +185,10 @@ class EmbeddingCache {
    * Find similar embedding using cosine similarity
    *
    * @param {Array<number>} embedding - Embedding vector to find similar match for
+   * @param {string} [namespace] - Optional: only consider entries from this provider
    * @returns {Object|null} Similar embedding data or null
    */
-  findSimilarEmbedding(embedding) {
+  findSimilarEmbedding(embedding, namespace = null) {
     let bestMatch = null;
     let bestSimilarity = 0;
 
@@ -182,6 +199,11 @@ class EmbeddingCache {
         continue;
       }
 
+      // Vectors from different providers are not comparable
+      if ((cached.namespace || null) !== namespace) {
+        continue;
+      }
+
       const similarity = this.cosineSimilarity(embedding, cached.embedding);
 
       if (
@@ -205,9 +227,10 @@ class EmbeddingCache {
    *
    * @param {string} code - Code string
    * @param {Array<number>} embedding - Embedding vector
+   * @param {string} [namespace] - Optional: embedding provider/model that produced it
    */
-  set(code, embedding) {
-    const codeHash = this.hashCode(code);
+  set(code, embedding, namespace = null) {
+    const codeHash = this.cacheKey(code, namespace);
 
     // Check if we need to evict
     if (this.cache.size >= this.maxSize && !this.cache.has(codeHash)) {
@@ -217,6 +240,7 @@ class EmbeddingCache {
     // Store in cache
     this.cache.set(codeHash, {
       embedding: embedding,
+      namespace,
       timestamp: Date.now(),
       accessCount: 0,
       code: code.substring(0, 100), // Store first 100 chars for debugging
@@ -0,0 +1,512 @@
+/**
+ * Encryption Key Service
+ * Data key rotation, the re-encryption job, and a tenant's encryption state
+ * for the compliance check
+ *
+ * Fields are encrypted in the storage layer (see fieldEncryption). Fields
+ * written before encryption was turned on, or with a data key that has
+ * since been retired, are moved to the tenant's active key by the
+ * re-encryption job. It runs every config.encryption.reencryptIntervalHours
+ * and on demand, and stores a report in reencryption_reports.
+ *
+ * Rotating the master key: set the new key as ENCRYPTION_MASTER_KEY, the
+ * old one in ENCRYPTION_PREVIOUS_MASTER_KEYS, and re-wrap the data keys.
+ */
+
+const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const fieldEncryption = require("./fieldEncryption");
+const auditLogService = require("./auditLogService");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("EncryptionKeyService");
+
+const REPORTS_TABLE = "reencryption_reports";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 200;
+// The first scheduled run waits for the server to settle
+const FIRST_RUN_DELAY = 10 * 60 * 1000;
+
+class EncryptionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "EncryptionError";
+    this.status = status;
+  }
+}
+
+function principalId() {
+  return tenantContext.current()?.principalId || null;
+}
+
+function toKey(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id || null,
+    version: row.version,
+    status: row.status,
+    masterKeyId: row.master_key_id,
+    createdAt: row.created_at,
+    retiredAt: row.retired_at || null,
+  };
+}
+
+function toReport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    dryRun: Boolean(row.dry_run),
+    triggeredBy: row.triggered_by || null,
+    tenantId: row.tenant_id || null,
+    totals: row.totals || {},
+    results: row.results || {},
+    errorCount: row.error_count || 0,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at || null,
+  };
+}
+
+class EncryptionKeyService {
+  constructor() {
+    this.running = null;
+    this.timer = null;
+  }
+
+  // ==========================================================================
+  // Keys
+  // ==========================================================================
+
+  /**
+   * A tenant's data keys, oldest first, without key material
+   */
+  async listKeys(tenantId) {
+    const rows = await fieldEncryption.listKeyRows(tenantId || null);
+    return rows.map(toKey);
+  }
+
+  /**
+   * Retire the tenant's active data key and start using a new one
+   * Data under the retired key moves on the next re-encryption run.
+   */
+  async rotateKey(tenantId) {
+    this.assertEnabled();
+    const rotation = await fieldEncryption.rotateDataKey(tenantId || null);
+    await auditLogService.record({
+      event: "encryption_key_rotated",
+      category: "encryption",
+      tenantId: tenantId || null,
+      resourceType: "data_key",
+      resourceId: rotation.active.id,
+      before: { keys: rotation.retired },
+      after: rotation.active,
+    });
+    return rotation;
+  }
+
+  /**
+   * Re-wrap data keys still wrapped with a previous master key
+   */
+  async rewrapKeys() {
+    this.assertEnabled();
+    const rewrapped = await fieldEncryption.rewrapDataKeys();
+    await auditLogService.record({
+      event: "encryption_keys_rewrapped",
+      category: "encryption",
+      tenantId: null,
+      resourceType: "master_key",
+      resourceId: fieldEncryption.masterKeyId,
+      metadata: { rewrapped },
+    });
+    return { rewrapped, masterKeyId: fieldEncryption.masterKeyId };
+  }
+
+  assertEnabled() {
+    if (!fieldEncryption.enabled) {
+      throw new EncryptionError(
+        "Encryption at rest is not enabled (set ENCRYPTION_MASTER_KEY)",
+        409,
+      );
+    }
+  }
+
+  // ==========================================================================
+  // Re-encryption
+  // ==========================================================================
+
+  /**
+   * Re-encrypt plaintext fields, fields under retired keys and enc:v1 fields
+   * with each row tenant's active key, and store a report
+   * @param {Object} [options] - { tenantId (omit for every tenant, null for
+   *   the untenanted workspace), dryRun: only count, triggeredBy }
+   * @returns {Promise<Object>} The report
+   */
+  async reencrypt(options = {}) {
+    if (!options.dryRun) this.assertEnabled();
+    if (this.running) {
+      throw new EncryptionError("A re-encryption run is already going", 409);
+    }
+    this.running = this.runReencrypt(options);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runReencrypt({ tenantId, dryRun = false, triggeredBy } = {}) {
+    const startedAt = new Date();
+    const results = {};
+    const byTenant = new Map();
+    for (const table of fieldEncryption.tables) {
+      results[table] = await this.reencryptTable(table, {
+        tenantId,
+        dryRun,
+        byTenant,
+      });
+    }
+
+    const totals = {
+      plaintext: 0,
+      retired_key: 0,
+      unbound: 0,
+      reencrypted: 0,
+    };
+    let errorCount = 0;
+    for (const result of Object.values(results)) {
+      totals.plaintext += result.plaintext;
+      totals.retired_key += result.retiredKey;
+      totals.unbound += result.unbound;
+      totals.reencrypted += result.reencrypted;
+      errorCount += result.errors.length;
+    }
+    const status =
+      errorCount === 0
+        ? "completed"
+        : totals.reencrypted > 0
+          ? "partial"
+          : "failed";
+
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.insert(
+        REPORTS_TABLE,
+        {
+          status,
+          dry_run: dryRun,
+          triggered_by: triggeredBy || principalId(),
+          tenant_id: tenantId || null,
+          totals,
+          results,
+          error_count: errorCount,
+          started_at: startedAt.toISOString(),
+          finished_at: new Date().toISOString(),
+        },
+        { single: true },
+      ),
+    );
+    const report = toReport(data);
+
+    if (!dryRun) {
+      for (const [tenant, fields] of byTenant) {
+        await auditLogService.record({
+          event: "data_reencrypted",
+          category: "encryption",
+          tenantId: tenant,
+          resourceType: "reencryption_report",
+          resourceId: report.id,
+          metadata: { fields },
+        });
+      }
+    }
+
+    log.info(
+      `[Encryption] ${dryRun ? "Dry run" : "Re-encryption"} ${status}: ${JSON.stringify(totals)}`,
+    );
+    return report;
+  }
+
+  /**
+   * Scan one table page by page and re-encrypt what isn't under its
+   * tenant's active key
+   * @returns {Promise<Object>} { rows, plaintext, retiredKey, unbound (enc:v1
+   *   values not bound to their row), reencrypted, errors }
+   */
+  async reencryptTable(table, { tenantId, dryRun, byTenant }) {
+    const fields = fieldEncryption.fieldsOf(table);
+    const result = {
+      rows: 0,
+      plaintext: 0,
+      retiredKey: 0,
+      unbound: 0,
+      reencrypted: 0,
+      errors: [],
+    };
+    // Tenant id -> active key id; a dry run doesn't create missing keys
+    const activeKeys = new Map();
+    const activeKeyId = async (tenant) => {
+      if (!activeKeys.has(tenant)) {
+        if (dryRun) {
+          const rows = await fieldEncryption.listKeyRows(tenant);
+          const active = rows.find((row) => row.status === "active");
+          activeKeys.set(tenant, active ? active.id : null);
+        } else {
+          const dataKey = await fieldEncryption.getActiveKey(tenant);
+          activeKeys.set(tenant, dataKey.id);
+        }
+      }
+      return activeKeys.get(tenant);
+    };
+
+    const filters = [];
+    if (tenantId !== undefined) {
+      filters.push(
+        tenantId
+          ? { column: "tenant_id", operator: "eq", value: tenantId }
+          : { column: "tenant_id", operator: "is", value: null },
+      );
+    }
+
+    for (let offset = 0; ; offset += PAGE_SIZE) {
+      let page;
+      try {
+        ({ data: page } = await fieldEncryption.runRaw(() =>
+          tenantContext.runUnrestricted(() =>
+            databaseService.query(table, {
+              select: [
+                "id",
+                ...fieldEncryption.keyColumnsOf(table),
+                ...fields,
+              ].join(","),
+              filters,
+              order: { column: "id", ascending: true },
+              limit: PAGE_SIZE,
+              offset,
+            }),
+          ),
+        ));
+      } catch (error) {
+        result.errors.push(error.message);
+        break;
+      }
+
+      for (const row of page || []) {
+        result.rows++;
+        const tenant = row.tenant_id || null;
+        const active = await activeKeyId(tenant);
+        const stale = fields.filter((field) => {
+          const value = row[field];
+          if (typeof value !== "string") return false;
+          if (!fieldEncryption.isEncrypted(value)) {
+            result.plaintext++;
+            return true;
+          }
+          if (fieldEncryption.keyIdOf(value) !== active) {
+            result.retiredKey++;
+            return true;
+          }
+          if (fieldEncryption.isLegacy(value)) {
+            result.unbound++;
+            return true;
+          }
+          return false;
+        });
+        if (stale.length === 0 || dryRun) continue;
+
+        try {
+          const values = {};
+          for (const field of stale) {
+            values[field] = fieldEncryption.isEncrypted(row[field])
+              ? await fieldEncryption.decryptValue(
+                  table,
+                  field,
+                  row[field],
+                  row,
+                )
+              : row[field];
+          }
+          const encrypted = await fieldEncryption.encryptFields(
+            table,
+            values,
+            row,
+            tenant,
+          );
+          await tenantContext.runUnrestricted(() =>
+            databaseService.update(
+              table,
+              [{ column: "id", operator: "eq", value: row.id }],
+              encrypted,
+            ),
+          );
+          result.reencrypted += stale.length;
+          byTenant.set(tenant, (byTenant.get(tenant) || 0) + stale.length);
+        } catch (error) {
+          result.errors.push(`${table} ${row.id}: ${error.message}`);
+        }
+      }
+      if (!page || page.length < PAGE_SIZE) break;
+    }
+    return result;
+  }
+
+  /**
+   * Re-encryption reports, newest first
+   * @param {Object} [filters] - { limit }
+   */
+  async listReports(filters = {}) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "*",
+        order: { column: "started_at", ascending: false },
+        limit: Math.min(parseInt(filters.limit, 10) || 50, 500),
+      }),
+    );
+    return (data || []).map(toReport);
+  }
+
+  async getReport(reportId) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "*",
+        filters: [{ column: "id", operator: "eq", value: reportId }],
+      }),
+    );
+    return data?.[0] ? toReport(data[0]) : null;
+  }
+
+  // ==========================================================================
+  // Compliance
+  // ==========================================================================
+
+  /**
+   * Evaluate a tenant's encryption at rest: encryption is on, every stored
+   * code field is under the tenant's active key, and keys are rotated and
+   * wrapped with the current master key
+   * @returns {Promise<Object>} { compliant, issues, keys, fields,
+   *   evaluatedAt }
+   */
+  async evaluate(tenantId) {
+    const now = new Date();
+    const issues = [];
+
+    if (!fieldEncryption.enabled) {
+      issues.push({
+        severity: "high",
+        description: "Stored source code is not encrypted at rest",
+        remediation: "Set ENCRYPTION_MASTER_KEY and run a re-encryption",
+      });
+    }
+
+    const keys = fieldEncryption.masterKeyId
+      ? await this.listKeys(tenantId)
+      : [];
+    const active = keys.find((key) => key.status === "active");
+    const maxAge = config.encryption.keyRotationDays * DAY_MS;
+    if (active && now - new Date(active.createdAt) > maxAge) {
+      issues.push({
+        severity: "medium",
+        description: `The data key is older than ${config.encryption.keyRotationDays} days`,
+        remediation: "Rotate the tenant's data key",
+      });
+    }
+    const outdated = keys.filter(
+      (key) => key.masterKeyId !== fieldEncryption.masterKeyId,
+    );
+    if (fieldEncryption.masterKeyId && outdated.length > 0) {
+      issues.push({
+        severity: "medium",
+        description: `${outdated.length} data key(s) are wrapped with a previous master key`,
+        remediation: "Re-wrap the data keys with /api/encryption/rewrap",
+      });
+    }
+
+    const fields = {};
+    for (const table of fieldEncryption.tables) {
+      const result = await this.reencryptTable(table, {
+        tenantId: tenantId || null,
+        dryRun: true,
+        byTenant: new Map(),
+      });
+      fields[table] = {
+        rows: result.rows,
+        plaintext: result.plaintext,
+        retiredKey: result.retiredKey,
+        unbound: result.unbound,
+      };
+      if (result.errors.length > 0) {
+        issues.push({
+          severity: "high",
+          description: `Could not check ${table}: ${result.errors[0]}`,
+          remediation: "Check that the storage backend is reachable",
+        });
+      }
+      if (result.plaintext > 0) {
+        issues.push({
+          severity: "high",
+          description: `${result.plaintext} field(s) in ${table} are stored in plaintext`,
+          remediation: "Run a re-encryption",
+        });
+      }
+      if (result.retiredKey > 0) {
+        issues.push({
+          severity: "medium",
+          description: `${result.retiredKey} field(s) in ${table} are encrypted with a retired key`,
+          remediation: "Run a re-encryption",
+        });
+      }
+      if (result.unbound > 0) {
+        issues.push({
+          severity: "medium",
+          description: `${result.unbound} field(s) in ${table} are not bound to their row and tenant`,
+          remediation: "Run a re-encryption",
+        });
+      }
+    }
+
+    return {
+      compliant: issues.length === 0,
+      issues,
+      keys,
+      fields,
+      evaluatedAt: now.toISOString(),
+    };
+  }
+
+  // ==========================================================================
+  // Schedule
+  // ==========================================================================
+
+  /**
+   * Start the scheduled re-encryption (no-op when disabled or started)
+   */
+  start() {
+    if (
+      !fieldEncryption.enabled ||
+      !config.encryption.reencryptEnabled ||
+      this.timer
+    ) {
+      return;
+    }
+
+    const interval = config.encryption.reencryptIntervalHours * 60 * 60 * 1000;
+    this.timer = setTimeout(() => {
+      this.runScheduled();
+      this.timer = setInterval(() => this.runScheduled(), interval);
+      this.timer.unref?.();
+    }, Math.min(FIRST_RUN_DELAY, interval));
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  runScheduled() {
+    if (this.running) return;
+    this.reencrypt({ triggeredBy: "schedule" }).catch((error) => {
+      log.error("[Encryption] Scheduled re-encryption failed:", error.message);
+    });
+  }
+}
+
+module.exports = new EncryptionKeyService();
@@ -21,6 +21,7 @@ const log = createLogger("EnhancedFixValidation");
 const { exec } = require("child_process");
 const { promisify } = require("util");
 const execAsync = promisify(exec);
+const { validateFixEdits, applyFixEdits } = require("./llm/fixSchema");
 
 class EnhancedFixValidation {
   constructor() {
@@ -42,6 +43,7 @@ class EnhancedFixValidation {
       strictness = "auto", // 'lenient', 'normal', 'strict', 'auto'
       fixMethod = null,
       fixConfidence = 0.5,
+      edits = null, // Structured line-range edits (see llm/fixSchema)
     } = options;
 
     // Auto-determine strictness based on fix type and confidence
@@ -61,6 +63,24 @@ class EnhancedFixValidation {
       skipped: [],
     };
 
+    // 0. Structured edits: ranges must be valid and reproduce fixedCode
+    if (Array.isArray(edits) && edits.length > 0) {
+      const editErrors = this.validateEdits(edits, fixedCode, originalCode);
+      results.editScope = this.getEditScope(edits, originalCode);
+      if (editErrors.length > 0) {
+        results.errors.push(...editErrors);
+        log.warn(
+          `[Enhanced Validation] Structured edits rejected for ${filePath}: ${editErrors[0]}`,
+        );
+        return results; // Early exit - edits don't describe this fix
+      }
+      if (results.editScope.fraction > 0.5) {
+        results.warnings.push(
+          `Edits touch ${results.editScope.linesTouched} of ${results.editScope.totalLines} lines`,
+        );
+      }
+    }
+
     // Check cache first
     const cacheKey = this.getCacheKey(fixedCode, filePath);
     if (this.validationCache.has(cacheKey)) {
@@ -180,6 +200,38 @@ class EnhancedFixValidation {
     return results;
   }
 
+  /**
+   * Validate structured edits against the original code
+   */
+  validateEdits(edits, fixedCode, originalCode) {
+    const errors = validateFixEdits(edits, originalCode);
+    if (
+      errors.length === 0 &&
+      applyFixEdits(originalCode, edits) !== fixedCode
+    ) {
+      errors.push("Fixed code does not match the structured edits");
+    }
+    return errors;
+  }
+
+  /**
+   * Lines of the original file replaced by structured edits
+   */
+  getEditScope(edits, originalCode) {
+    const totalLines = originalCode.split("\n").length;
+    const linesTouched = edits.reduce(
+      (sum, edit) => sum + Math.max(0, edit.endLine - edit.startLine + 1),
+      0,
+    );
+    return {
+      edits: edits.length,
+      linesTouched,
+      totalLines,
+      fraction: totalLines > 0 ? linesTouched / totalLines : 0,
+      ranges: edits.map((edit) => [edit.startLine, edit.endLine]),
+    };
+  }
+
   /**
    * Determine validation strictness based on fix characteristics
    */
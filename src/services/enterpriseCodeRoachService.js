@@ -3,8 +3,14 @@
  * Multi-tenant, compliance-ready enterprise features for Code Roach
  */
 
-const { createClient } = require('@supabase/supabase-js');
 const crypto = require('crypto');
+const databaseService = require('./databaseService');
+const tokenBudgetService = require('./tokenBudgetService');
+const apiKeyService = require('./apiKeyService');
+const auditLogService = require('./auditLogService');
+const dataSubjectService = require('./dataSubjectService');
+const complianceReportService = require('./complianceReportService');
+const accessControlService = require('./accessControlService');
 
 class EnterpriseCodeRoachService {
     constructor(config = {}) {
@@ -18,12 +24,8 @@ class EnterpriseCodeRoachService {
             ...config
         };
 
-        if (this.config.supabaseUrl && this.config.supabaseKey) {
-            this.supabase = createClient(
-                this.config.supabaseUrl,
-                this.config.supabaseKey
-            );
-        }
+        // Storage client from databaseService (Supabase or local backend)
+        this.supabase = databaseService.getClient();
 
         this.tenants = new Map();
         this.complianceRules = this.loadComplianceRules();
@@ -55,8 +57,7 @@ class EnterpriseCodeRoachService {
             },
             created: new Date(),
             status: 'active',
-            encryptionKey: crypto.randomBytes(32),
-            apiKeys: []
+            encryptionKey: crypto.randomBytes(32)
         };
 
         // Store tenant configuration (encrypted)
@@ -67,11 +68,16 @@ class EnterpriseCodeRoachService {
         // Initialize tenant database schema
         await this.initializeTenantSchema(tenantId);
 
+        // LLM token/spend limits (tenants without them use the configured defaults)
+        if (tenantConfig.budgets) {
+            await tokenBudgetService.setBudget('tenant', tenantId, tenantConfig.budgets);
+        }
+
         // Log tenant creation
         await this.auditLog(tenantId, 'tenant_created', {
             tenantName: tenant.name,
             plan: tenant.plan
-        });
+        }, { after: { name: tenant.name, plan: tenant.plan, settings: tenant.settings } });
 
         return {
             tenantId,
@@ -104,10 +110,24 @@ class EnterpriseCodeRoachService {
     async updateTenant(tenantId, updates) {
         const tenant = await this.getTenant(tenantId);
 
+        // Budgets live in tokenBudgetService, not in tenant settings
+        if (updates.budgets) {
+            const { budgets, ...rest } = updates;
+            await tokenBudgetService.setBudget('tenant', tenantId, budgets);
+            await this.auditLog(tenantId, 'tenant_budget_updated', {
+                limits: Object.keys(budgets)
+            }, { category: 'config', resourceType: 'budget', after: budgets });
+            updates = rest;
+        }
+
         // Validate compliance impact
         await this.validateComplianceChanges(tenant, updates);
 
         // Apply updates
+        const before = {};
+        for (const key of Object.keys(updates)) {
+            before[key] = tenant.settings[key];
+        }
         Object.assign(tenant.settings, updates);
         tenant.updated = new Date();
 
@@ -117,16 +137,64 @@ class EnterpriseCodeRoachService {
         // Log changes
         await this.auditLog(tenantId, 'tenant_updated', {
             changes: Object.keys(updates)
-        });
+        }, { category: 'config', before, after: updates });
 
         return tenant;
     }
 
+    /**
+     * LLM budget status (remaining tokens and spend) for a tenant or one of its projects
+     */
+    async getBudgetStatus(tenantId, projectId = null) {
+        await this.getTenant(tenantId);
+        if (projectId) {
+            await this.assertTenantProject(tenantId, projectId);
+        }
+
+        const tenant = await tokenBudgetService.getStatus('tenant', tenantId);
+        if (!projectId) {
+            return tenant;
+        }
+
+        return {
+            tenant,
+            project: await tokenBudgetService.getStatus('project', projectId)
+        };
+    }
+
+    /**
+     * Set LLM budget limits for a tenant's project
+     */
+    async setProjectBudget(tenantId, projectId, limits) {
+        await this.getTenant(tenantId);
+        await this.assertTenantProject(tenantId, projectId);
+        const budget = await tokenBudgetService.setBudget('project', projectId, limits);
+
+        await this.auditLog(tenantId, 'project_budget_updated', {
+            projectId,
+            limits: Object.keys(limits)
+        }, { category: 'config', resourceType: 'project', resourceId: projectId, after: limits });
+
+        return budget;
+    }
+
+    /**
+     * Project budgets are keyed by project id alone, so a tenant may only
+     * touch projects registered under one of its own organizations
+     */
+    async assertTenantProject(tenantId, projectId) {
+        const owner = await accessControlService.getProjectTenantId(projectId);
+        if (owner !== tenantId) {
+            throw new Error(`Project ${projectId} not found in tenant ${tenantId}`);
+        }
+    }
+
     /**
      * Suspend tenant
      */
     async suspendTenant(tenantId, reason) {
         const tenant = await this.getTenant(tenantId);
+        const before = { status: tenant.status };
         tenant.status = 'suspended';
         tenant.suspendedAt = new Date();
         tenant.suspensionReason = reason;
@@ -136,7 +204,7 @@ class EnterpriseCodeRoachService {
         await this.auditLog(tenantId, 'tenant_suspended', {
             reason,
             suspendedAt: tenant.suspendedAt
-        });
+        }, { before, after: { status: tenant.status } });
 
         return tenant;
     }
@@ -151,6 +219,7 @@ class EnterpriseCodeRoachService {
         await this.validateTenantDeletion(tenant);
 
         // Mark for deletion (soft delete for compliance)
+        const before = { status: tenant.status };
         tenant.status = 'deleting';
         tenant.deletionRequested = new Date();
         tenant.deletionReason = reason;
@@ -163,7 +232,7 @@ class EnterpriseCodeRoachService {
         await this.auditLog(tenantId, 'tenant_deletion_requested', {
             reason,
             retentionPeriod: tenant.settings.dataRetention
-        });
+        }, { before, after: { status: tenant.status } });
 
         return { status: 'deletion_scheduled' };
     }
@@ -282,7 +351,7 @@ class EnterpriseCodeRoachService {
             userId,
             requestType,
             compliance: 'gdpr'
-        });
+        }, { category: 'dsar', resourceType: 'user', resourceId: userId });
 
         switch (requestType) {
             case 'access':
@@ -302,35 +371,33 @@ class EnterpriseCodeRoachService {
      * Export user data for portability
      */
     async exportUserData(tenantId, userId) {
-        const userData = await this.collectUserData(tenantId, userId);
-        const encrypted = this.encryptData(userData);
+        const bundle = await dataSubjectService.exportSubjectData(tenantId, userId);
 
         await this.auditLog(tenantId, 'data_exported', {
             userId,
-            dataTypes: Object.keys(userData),
+            dataTypes: Object.keys(bundle.locations),
+            checksum: bundle.checksum,
             compliance: 'gdpr'
-        });
+        }, { category: 'dsar', resourceType: 'user', resourceId: userId });
 
-        return encrypted;
+        return bundle;
     }
 
     /**
      * Erase user data (Right to be Forgotten)
      */
     async eraseUserData(tenantId, userId) {
-        const dataLocations = await this.findUserDataLocations(tenantId, userId);
-
-        for (const location of dataLocations) {
-            await this.deleteDataAtLocation(location);
-        }
+        const result = await dataSubjectService.eraseSubjectData(tenantId, userId);
 
         await this.auditLog(tenantId, 'data_erased', {
             userId,
-            locations: dataLocations.length,
+            locations: result.locations.length,
+            verified: result.verified,
+            receipt: result.receipt,
             compliance: 'gdpr'
-        });
+        }, { category: 'dsar', resourceType: 'user', resourceId: userId });
 
-        return { status: 'erased', locations: dataLocations.length };
+        return { status: result.verified ? 'erased' : 'partially_erased', ...result };
     }
 
     // ============================================================================
@@ -338,63 +405,17 @@ class EnterpriseCodeRoachService {
     // ============================================================================
 
     /**
-     * Generate compliance report
+     * Generate a signed compliance evidence report (see complianceReportService)
+     * @param {Object} options - { frameworks, from, to }; frameworks default to
+     *   the tenant's complianceFrameworks
      */
-    async generateComplianceReport(tenantId, frameworks = ['gdpr']) {
+    async generateComplianceReport(tenantId, options = {}) {
         const tenant = await this.getTenant(tenantId);
-        const report = {
-            tenantId,
-            tenantName: tenant.name,
-            generated: new Date(),
-            frameworks,
-            compliance: {}
-        };
-
-        for (const framework of frameworks) {
-            report.compliance[framework] = await this.checkFrameworkCompliance(tenant, framework);
-        }
-
-        // Generate audit trail summary
-        report.auditSummary = await this.generateAuditSummary(tenantId);
-
-        return report;
-    }
-
-    /**
-     * Check compliance against specific framework
-     */
-    async checkFrameworkCompliance(tenant, framework) {
-        const rules = this.complianceRules;
-        const compliance = {
-            framework,
-            status: 'compliant',
-            violations: [],
-            recommendations: []
-        };
-
-        // Check encryption
-        if (rules.encryption && !tenant.settings.encryptionEnabled) {
-            compliance.violations.push('Encryption not enabled');
-            compliance.recommendations.push('Enable AES-256-GCM encryption for all data');
-        }
-
-        // Check audit logging
-        if (rules.auditLogging && !tenant.settings.auditLogging) {
-            compliance.violations.push('Audit logging not enabled');
-            compliance.recommendations.push('Enable comprehensive audit logging');
-        }
-
-        // Check data retention
-        if (rules.dataRetention && tenant.settings.dataRetention < rules.dataRetention) {
-            compliance.violations.push('Data retention period too short');
-            compliance.recommendations.push(`Increase retention to ${rules.dataRetention} days`);
-        }
-
-        if (compliance.violations.length > 0) {
-            compliance.status = 'non_compliant';
-        }
-
-        return compliance;
+        return complianceReportService.generate(tenantId, {
+            ...options,
+            frameworks: options.frameworks || tenant.settings.complianceFrameworks,
+            tenantName: tenant.name
+        });
     }
 
     /**
@@ -426,24 +447,28 @@ class EnterpriseCodeRoachService {
     // ============================================================================
 
     /**
-     * Log audit event
+     * Log audit event to the tenant's hash-chained audit log
+     * @param {Object} change - { before, after, category, resourceType, resourceId }
      */
-    async auditLog(tenantId, event, data = {}) {
-        const auditEntry = {
+    async auditLog(tenantId, event, data = {}, change = {}) {
+        const {
+            before,
+            after,
+            category = 'tenant',
+            resourceType = 'tenant',
+            resourceId = tenantId
+        } = change;
+
+        return auditLogService.record({
             tenantId,
             event,
-            timestamp: new Date(),
-            data: this.encryptData(data),
-            userAgent: 'CodeRoach-Enterprise',
-            ipAddress: 'system', // Would be populated from request context
-            sessionId: crypto.randomUUID()
-        };
-
-        // Store in audit log
-        await this.storeAuditEntry(auditEntry);
-
-        // Clean old audit entries based on retention policy
-        await this.cleanupAuditLogs(tenantId);
+            category,
+            resourceType,
+            resourceId,
+            before,
+            after,
+            metadata: data
+        });
     }
 
     /**
@@ -452,22 +477,11 @@ class EnterpriseCodeRoachService {
     async getAuditTrail(tenantId, filters = {}) {
         const tenant = await this.getTenant(tenantId);
 
-        const query = {
-            tenantId,
-            ...filters
-        };
-
         // Respect retention policy
         const retentionDate = new Date(Date.now() - tenant.settings.dataRetention * 24 * 60 * 60 * 1000);
-        query.timestamp = { $gte: retentionDate };
+        const from = filters.from && new Date(filters.from) > retentionDate ? filters.from : retentionDate;
 
-        const auditEntries = await this.queryAuditEntries(query);
-
-        // Decrypt data
-        return auditEntries.map(entry => ({
-            ...entry,
-            data: this.decryptData(entry.data)
-        }));
+        return auditLogService.query(tenantId, { ...filters, from });
     }
 
     // ============================================================================
@@ -475,40 +489,30 @@ class EnterpriseCodeRoachService {
     // ============================================================================
 
     /**
-     * Generate tenant API key
+     * Generate the tenant's initial admin API key (further keys are managed
+     * through apiKeyService / /api/enterprise/tenants/:tenantId/api-keys)
      */
     async generateTenantApiKey(tenantId) {
-        const apiKey = crypto.randomBytes(32).toString('hex');
-        const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
-
-        const keyData = {
-            tenantId,
-            keyHash: hashedKey,
-            created: new Date(),
-            lastUsed: null,
-            permissions: ['read', 'write', 'admin']
-        };
-
-        await this.storeApiKey(keyData);
+        const { key } = await apiKeyService.createKey({
+            ownerType: 'tenant',
+            ownerId: tenantId,
+            name: 'default',
+            scopes: ['admin']
+        });
 
-        return apiKey;
+        return key;
     }
 
     /**
      * Validate tenant API key
      */
     async validateTenantApiKey(apiKey) {
-        const hashedKey = crypto.createHash('sha256').update(apiKey).digest('hex');
-
-        const keyData = await this.findApiKeyByHash(hashedKey);
-        if (!keyData) {
+        const keyData = await apiKeyService.validateKey(apiKey);
+        if (!keyData || keyData.ownerType !== 'tenant') {
             return null;
         }
 
-        // Update last used
-        await this.updateApiKeyLastUsed(keyData.id);
-
-        return await this.getTenant(keyData.tenantId);
+        return await this.getTenant(keyData.ownerId);
     }
 
     /**
@@ -551,36 +555,6 @@ class EnterpriseCodeRoachService {
         console.log(`Initializing schema for tenant ${tenantId}`);
     }
 
-    async storeAuditEntry(entry) {
-        // Store audit entry in secure log
-        console.log(`Storing audit entry: ${entry.event}`);
-    }
-
-    async cleanupAuditLogs(tenantId) {
-        // Remove old audit entries based on retention policy
-        console.log(`Cleaning up audit logs for tenant ${tenantId}`);
-    }
-
-    async queryAuditEntries(query) {
-        // Query audit entries
-        return [];
-    }
-
-    async storeApiKey(keyData) {
-        // Store API key data
-        console.log(`Storing API key for tenant ${keyData.tenantId}`);
-    }
-
-    async findApiKeyByHash(hash) {
-        // Find API key by hash
-        return null;
-    }
-
-    async updateApiKeyLastUsed(keyId) {
-        // Update last used timestamp
-        console.log(`Updating last used for key ${keyId}`);
-    }
-
     async getTenantMetric(tenantId, metric, period) {
         // Get tenant-specific metric
         return Math.floor(Math.random() * 1000); // Demo value
@@ -619,26 +593,6 @@ class EnterpriseCodeRoachService {
         ];
     }
 
-    async collectUserData(tenantId, userId) {
-        // Collect all user data for DSAR
-        return {
-            profile: {},
-            activity: [],
-            scans: [],
-            settings: {}
-        };
-    }
-
-    async findUserDataLocations(tenantId, userId) {
-        // Find all locations containing user data
-        return ['database.users', 'audit.logs', 'analytics.events'];
-    }
-
-    async deleteDataAtLocation(location) {
-        // Delete data at specific location
-        console.log(`Deleting data at ${location}`);
-    }
-
     async scheduleTenantDeletion(tenantId) {
         // Schedule tenant deletion
         console.log(`Scheduling deletion for tenant ${tenantId}`);
@@ -663,16 +617,6 @@ class EnterpriseCodeRoachService {
         // Restrict user data processing
         return { status: 'restricted' };
     }
-
-    async generateAuditSummary(tenantId) {
-        // Generate audit summary
-        return {
-            totalEvents: Math.floor(Math.random() * 10000),
-            lastAudit: new Date(),
-            complianceEvents: Math.floor(Math.random() * 100),
-            securityEvents: Math.floor(Math.random() * 50)
-        };
-    }
 }
 
 module.exports = EnterpriseCodeRoachService;
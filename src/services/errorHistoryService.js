@@ -11,10 +11,15 @@
 /**
  * Error History Service
  * Tracks error patterns and successful fixes for learning
+ *
+ * History and patterns are kept per tenant: records carry the tenantId of
+ * the context they were recorded in, and `history` / `patterns` only expose
+ * the current tenant's entries.
  */
 
 const fs = require("fs").promises;
 const path = require("path");
+const tenantContext = require("./tenantContext");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("ErrorHistoryService");
 
@@ -24,8 +29,8 @@ class ErrorHistoryService {
     this.historyFile = path.join(this.dataDir, "error-history.json");
     this.patternsFile = path.join(this.dataDir, "error-patterns.json");
 
-    this.history = [];
-    this.patterns = new Map();
+    this.records = []; // every tenant's history
+    this.tenantPatterns = new Map(); // tenantId ("" = untenanted) -> patterns
 
     // Load history on initialization
     this.loadHistory().catch((err) => {
@@ -33,6 +38,30 @@ class ErrorHistoryService {
     });
   }
 
+  /**
+   * History visible in the current tenant context
+   */
+  get history() {
+    return tenantContext.scope()
+      ? this.records.filter((record) => tenantContext.owns(record, "tenantId"))
+      : this.records;
+  }
+
+  /**
+   * Patterns (fingerprint -> pattern) of the current tenant
+   */
+  get patterns() {
+    return this.patternsFor(tenantContext.currentTenantId());
+  }
+
+  patternsFor(tenantId) {
+    const key = tenantId || "";
+    if (!this.tenantPatterns.has(key)) {
+      this.tenantPatterns.set(key, new Map());
+    }
+    return this.tenantPatterns.get(key);
+  }
+
   /**
    * Load error history from disk
    */
@@ -43,21 +72,31 @@ class ErrorHistoryService {
       const historyData = await fs
         .readFile(this.historyFile, "utf8")
         .catch(() => "[]");
-      this.history = JSON.parse(historyData);
+      this.records = JSON.parse(historyData);
 
       const patternsData = await fs
         .readFile(this.patternsFile, "utf8")
         .catch(() => "{}");
       const patternsObj = JSON.parse(patternsData);
-      this.patterns = new Map(Object.entries(patternsObj));
+
+      // Tenant patterns are saved as "<tenantId>:<fingerprint>"
+      this.tenantPatterns = new Map();
+      let patternCount = 0;
+      for (const [key, pattern] of Object.entries(patternsObj)) {
+        const fingerprint = pattern.tenantId
+          ? key.substring(pattern.tenantId.length + 1)
+          : key;
+        this.patternsFor(pattern.tenantId).set(fingerprint, pattern);
+        patternCount++;
+      }
 
       console.log(
-        `[Error History] Loaded ${this.history.length} errors, ${this.patterns.size} patterns`,
+        `[Error History] Loaded ${this.records.length} errors, ${patternCount} patterns`,
       );
     } catch (err) {
       console.error("[Error History] Error loading history:", err);
-      this.history = [];
-      this.patterns = new Map();
+      this.records = [];
+      this.tenantPatterns = new Map();
     }
   }
 
@@ -70,11 +109,19 @@ class ErrorHistoryService {
 
       await fs.writeFile(
         this.historyFile,
-        JSON.stringify(this.history, null, 2),
+        JSON.stringify(this.records, null, 2),
         "utf8",
       );
 
-      const patternsObj = Object.fromEntries(this.patterns);
+      const patternsObj = {};
+      for (const patterns of this.tenantPatterns.values()) {
+        for (const [fingerprint, pattern] of patterns) {
+          const key = pattern.tenantId
+            ? `${pattern.tenantId}:${fingerprint}`
+            : fingerprint;
+          patternsObj[key] = pattern;
+        }
+      }
       await fs.writeFile(
         this.patternsFile,
         JSON.stringify(patternsObj, null, 2),
@@ -92,6 +139,7 @@ class ErrorHistoryService {
     const record = {
       id: `err_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       timestamp: Date.now(),
+      tenantId: tenantContext.currentTenantId(),
       error: {
         message: error.message,
         type: error.type,
@@ -117,11 +165,11 @@ class ErrorHistoryService {
       },
     };
 
-    this.history.push(record);
+    this.records.push(record);
 
     // Keep only last 10,000 records
-    if (this.history.length > 10000) {
-      this.history = this.history.slice(-10000);
+    if (this.records.length > 10000) {
+      this.records = this.records.slice(-10000);
     }
 
     // Update patterns
@@ -147,15 +195,11 @@ class ErrorHistoryService {
    */
   async saveToSupabase(record) {
     try {
-      const config = require("../config");
-
-      if (!config.supabase?.url || !config.supabase?.serviceRoleKey) {
-        return; // Supabase not configured
+      const supabase = require("./databaseService").getClient();
+      if (!supabase) {
+        return; // No storage backend available
       }
 
-      const supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-      );
-
       const insertData = {
         id: record.id,
         created_at: new Date(record.timestamp).toISOString(),
@@ -196,6 +240,7 @@ class ErrorHistoryService {
 
     if (!this.patterns.has(fingerprint)) {
       this.patterns.set(fingerprint, {
+        tenantId: tenantContext.currentTenantId() || undefined,
         errorPattern: {
           message: error.message,
           type: error.type,
@@ -311,8 +356,6 @@ class ErrorHistoryService {
 
       try {
         const mlFixPredictor = require("./mlFixPredictor");
-        const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
         if (mlFixPredictor && mlFixPredictor.isTrained) {
           // Score all fixes and pick best
           let bestScore = 0;
@@ -419,9 +462,10 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
    * Get error statistics
    */
   getStats() {
-    const total = this.history.length;
-    const withFixes = this.history.filter((r) => r.fix).length;
-    const successfulFixes = this.history.filter(
+    const history = this.history;
+    const total = history.length;
+    const withFixes = history.filter((r) => r.fix).length;
+    const successfulFixes = history.filter(
       (r) => r.fix && r.fix.success,
     ).length;
 
@@ -432,11 +476,8 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
       successRate: withFixes > 0 ? (successfulFixes / withFixes) * 100 : 0,
       uniquePatterns: this.patterns.size,
       timeRange: {
-        first: this.history.length > 0 ? this.history[0].timestamp : null,
-        last:
-          this.history.length > 0
-            ? this.history[this.history.length - 1].timestamp
-            : null,
+        first: history.length > 0 ? history[0].timestamp : null,
+        last: history.length > 0 ? history[history.length - 1].timestamp : null,
       },
     };
   }
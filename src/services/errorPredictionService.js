@@ -116,10 +116,14 @@ class ErrorPredictionService {
   /**
    * Analyze code for potential errors
    * Now uses AST-based analysis when available, falls back to regex
+   * (context.skipAst goes straight to regex; astAnalyzer's own fallback
+   * sets it)
    */
   analyzeCode(code, context = {}) {
     // Try AST-based analysis first (more accurate)
-    const astPredictions = astAnalyzer.analyzeCode(code, context);
+    const astPredictions = context.skipAst
+      ? []
+      : astAnalyzer.analyzeCode(code, context);
 
     if (
       astPredictions &&
@@ -16,31 +16,14 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("ExpertLearningService");
+const databaseService = require("./databaseService");
 const customerExpertHelper = require("./customerExpertHelper");
 const expertTrainingService = require("./expertTrainingService");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class ExpertLearningService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[expertLearningService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[expertLearningService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -18,31 +18,16 @@ const fs = require("fs").promises;
 const path = require("path");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("ExpertTrainingService");
+const databaseService = require("./databaseService");
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
 const llmService = require("./llmService");
+const { isFixtureMissing } = require("./llm/recordReplay");
 const customerCodebaseAnalyzer = require("./customerCodebaseAnalyzer");
 
 class ExpertTrainingService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[expertTrainingService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[expertTrainingService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
 
     // Initialize expert templates map
     this.expertTemplates = new Map();
@@ -259,6 +244,7 @@ class ExpertTrainingService {
       // Parse response into structured guide
       return this.parseExpertGuide(responseText, expertType);
     } catch (err) {
+      if (isFixtureMissing(err)) throw err;
       log.warn(
         `[Expert Training Service] LLM generation failed for ${expertType}, using template:`,
         err.message,
@@ -542,7 +528,6 @@ Generate the expert guide now:`;
  */
 
 const config = require('../config');
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class ${className} {
     constructor() {
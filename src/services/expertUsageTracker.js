@@ -14,31 +14,14 @@
  */
 
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
 const { createLogger } = require("../utils/logger");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 const log = createLogger("ExpertUsageTracker");
+const databaseService = require("./databaseService");
 
 class ExpertUsageTracker {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[expertUsageTracker] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[expertUsageTracker] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -54,7 +37,7 @@ class ExpertUsageTracker {
           {
             project_id: projectId,
             expert_type: expertType,
-            usage_count: this.getSupabaseService().rpc("increment", { n: 1 }),
+            usage_count: this.supabase.rpc("increment", { n: 1 }),
             last_used_at: new Date().toISOString(),
             updated_at: new Date().toISOString(),
           },
@@ -105,10 +88,10 @@ class ExpertUsageTracker {
             project_id: projectId,
             expert_type: expertType,
             success_count: success
-              ? this.getSupabaseService().rpc("increment", { n: 1 })
+              ? this.supabase.rpc("increment", { n: 1 })
               : undefined,
             failure_count: !success
-              ? this.getSupabaseService().rpc("increment", { n: 1 })
+              ? this.supabase.rpc("increment", { n: 1 })
               : undefined,
             updated_at: new Date().toISOString(),
           },
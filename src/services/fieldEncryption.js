@@ -0,0 +1,762 @@
+/**
+ * Field Encryption
+ * Transparent envelope encryption of source code fields in the storage
+ * layer
+ *
+ * databaseService wraps its storage clients with wrapClient(), underneath
+ * the tenant scoping. Writes to the fields in ENCRYPTED_FIELDS are
+ * encrypted with the row tenant's data key, and reads (including the RPCs
+ * in ENCRYPTED_RPCS) come back decrypted, whichever service issues them.
+ * Embeddings stay in the clear, so encrypted chunks remain searchable
+ * through the embedding index; substring filters on encrypted fields no
+ * longer match.
+ *
+ * Each tenant (and the untenanted workspace) has its own AES-256-GCM data
+ * keys in tenant_data_keys, wrapped with the master key
+ * (config.encryption.masterKey). One key per tenant is active; retired keys
+ * still decrypt until the re-encryption job has moved their data to the
+ * active key (see encryptionKeyService).
+ *
+ * An encrypted value is a string:
+ *   enc:v2:<data key id>:<iv>:<auth tag>:<ciphertext>   (base64 parts)
+ * bound to its table, column, tenant and row key (ROW_KEYS), so it can't be
+ * moved to another field, row or tenant, and it only decrypts with a key of
+ * the row's tenant. Reads that select encrypted fields also select the
+ * columns needed to check that, and drop them again. enc:v1 values are bound
+ * to the table and column only; the re-encryption job rewrites them.
+ * Values that aren't strings or are already encrypted are written as is.
+ */
+
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("FieldEncryption");
+
+const KEYS_TABLE = "tenant_data_keys";
+const PREFIX = "enc:v2:";
+const LEGACY_PREFIX = "enc:v1:";
+const ALGORITHM = "aes-256-gcm";
+// How long a process keeps using a tenant's active key before re-reading it
+const ACTIVE_KEY_TTL = 5 * 60 * 1000;
+
+// Encrypted fields per table
+const ENCRYPTED_FIELDS = {
+  code_roach_issues: ["fix_code", "context_code_snippet", "error_stack"],
+  codebase_index: ["content", "search_text"],
+};
+
+// Row key of each encrypted table; read also names the columns it's
+// computed from. The indexer keeps a chunk's start line in its metadata.
+const ROW_KEYS = {
+  code_roach_issues: { read: ["id"], of: (row) => [row.id] },
+  codebase_index: {
+    read: ["file_path", "line_start", "metadata"],
+    of: (row) => [row.file_path, row.line_start ?? row.metadata?.line_start],
+  },
+};
+
+// RPCs that return rows of an encrypted table (with tenant_id and the row
+// key columns)
+const ENCRYPTED_RPCS = {
+  match_codebase_chunks: "codebase_index",
+};
+
+// Query builder methods that narrow the rows an update reaches
+const FILTER_METHODS = new Set([
+  "eq",
+  "neq",
+  "gt",
+  "gte",
+  "lt",
+  "lte",
+  "like",
+  "ilike",
+  "is",
+  "in",
+  "contains",
+  "containedBy",
+  "match",
+  "not",
+  "or",
+  "filter",
+  "textSearch",
+]);
+
+class FieldEncryptionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "FieldEncryptionError";
+    this.code = "FIELD_ENCRYPTION";
+  }
+}
+
+/**
+ * A master key from configuration: 64 hex characters are used as is, any
+ * other secret is hashed to 32 bytes
+ */
+function parseMasterKey(value) {
+  const secret = String(value);
+  return /^[0-9a-f]{64}$/i.test(secret)
+    ? Buffer.from(secret, "hex")
+    : crypto.createHash("sha256").update(secret).digest();
+}
+
+function masterKeyId(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 16);
+}
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv(ALGORITHM, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const ciphertext = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return [iv, cipher.getAuthTag(), ciphertext]
+    .map((part) => part.toString("base64"))
+    .join(":");
+}
+
+function open(key, sealed, aad) {
+  const [iv, tag, ciphertext] = sealed
+    .split(":")
+    .map((part) => Buffer.from(part, "base64"));
+  const decipher = crypto.createDecipheriv(ALGORITHM, key, iv);
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(ciphertext), decipher.final()]);
+}
+
+class FieldEncryption {
+  constructor() {
+    this.client = null; // Unscoped client holding tenant_data_keys
+    this.masterKeys = new Map(); // master key id -> key
+    this.masterKeyId = null;
+    this.dataKeys = new Map(); // data key id -> { id, tenantId, key }
+    this.activeKeys = new Map(); // tenant id -> Promise<{ key, expiresAt }>
+    this.raw = new AsyncLocalStorage();
+    this.configure(config.encryption || {});
+  }
+
+  /**
+   * Load master keys; the first is current, earlier ones only unwrap
+   * @param {Object} options - { enabled, masterKey, previousMasterKeys }
+   */
+  configure(options) {
+    this.masterKeys.clear();
+    this.dataKeys.clear();
+    this.activeKeys.clear();
+    this.masterKeyId = null;
+    this.enabled = Boolean(options.enabled && options.masterKey);
+    if (!options.masterKey) return;
+
+    const keys = [options.masterKey, ...(options.previousMasterKeys || [])];
+    for (const value of keys) {
+      const key = parseMasterKey(value);
+      const id = masterKeyId(key);
+      this.masterKeys.set(id, key);
+      if (!this.masterKeyId) this.masterKeyId = id;
+    }
+  }
+
+  get tables() {
+    return Object.keys(ENCRYPTED_FIELDS);
+  }
+
+  fieldsOf(table) {
+    return ENCRYPTED_FIELDS[table] || [];
+  }
+
+  /**
+   * Columns a read needs besides the encrypted fields to decrypt them
+   */
+  keyColumnsOf(table) {
+    return ["tenant_id", ...(ROW_KEYS[table]?.read || [])];
+  }
+
+  isEncrypted(value) {
+    return (
+      typeof value === "string" &&
+      (value.startsWith(PREFIX) || value.startsWith(LEGACY_PREFIX))
+    );
+  }
+
+  /**
+   * Whether a value was written before values were bound to their row
+   */
+  isLegacy(value) {
+    return typeof value === "string" && value.startsWith(LEGACY_PREFIX);
+  }
+
+  /**
+   * Id of the data key an encrypted value was written with
+   */
+  keyIdOf(value) {
+    return this.isEncrypted(value)
+      ? value.slice(PREFIX.length).split(":")[0]
+      : null;
+  }
+
+  /**
+   * Run fn with encrypted fields read as stored (for the re-encryption job
+   * and compliance checks)
+   */
+  runRaw(fn) {
+    return this.raw.run(true, fn);
+  }
+
+  // ==========================================================================
+  // Client wrapping
+  // ==========================================================================
+
+  /**
+   * Wrap a supabase-js style client so encrypted fields are encrypted on
+   * write and decrypted on read
+   * Reads are decrypted whenever a master key is configured, so data stays
+   * readable after encryption is turned off.
+   */
+  wrapClient(client) {
+    if (!client) return client;
+    // Data keys live with the primary, which is wrapped first
+    this.client = this.client || client;
+    return new Proxy(client, {
+      get: (target, prop) => {
+        if (prop === "from") {
+          return (table) =>
+            this.masterKeyId && ENCRYPTED_FIELDS[table]
+              ? this.wrapQuery(target.from(table), table, target)
+              : target.from(table);
+        }
+        if (prop === "rpc") {
+          return (name, params, options) =>
+            this.masterKeyId && ENCRYPTED_RPCS[name]
+              ? this.wrapQuery(
+                  target.rpc(name, params, options),
+                  ENCRYPTED_RPCS[name],
+                  target,
+                )
+              : target.rpc(name, params, options);
+        }
+        const value = Reflect.get(target, prop);
+        return typeof value === "function" ? value.bind(target) : value;
+      },
+    });
+  }
+
+  /**
+   * Keep a query builder chainable; its result is decrypted when awaited
+   * and values given to insert, upsert and update are encrypted first
+   * @param {Object} client - Client the builder came from (for the row
+   *   lookups of updates)
+   * @param {string[]} [added] - Columns selected only to decrypt, dropped
+   *   from the result
+   */
+  wrapQuery(builder, table, client, added = []) {
+    const proxy = new Proxy(builder, {
+      get: (target, prop) => {
+        if (prop === "insert" || prop === "upsert") {
+          return (values, options) =>
+            this.deferWrite(async (steps) =>
+              this.replay(
+                target[prop](await this.encryptRows(table, values), options),
+                table,
+                steps,
+              ),
+            );
+        }
+        if (prop === "update") {
+          return (values, options) =>
+            this.deferWrite((steps) =>
+              this.updateRows(client, target, table, values, options, steps),
+            );
+        }
+        if (prop === "select") {
+          return (columns, options) => {
+            const selected = this.withKeyColumns(table, columns);
+            return this.wrapQuery(
+              target.select(selected.columns, options),
+              table,
+              client,
+              selected.added,
+            );
+          };
+        }
+        if (prop === "then") {
+          if (typeof target.then !== "function") return undefined;
+          return (onFulfilled, onRejected) =>
+            target
+              .then((result) => this.decryptResult(table, result, added))
+              .then(onFulfilled, onRejected);
+        }
+        const value = Reflect.get(target, prop);
+        if (typeof value !== "function") return value;
+        return (...args) => {
+          const next = value.apply(target, args);
+          if (next === target) return proxy;
+          return next && typeof next === "object"
+            ? this.wrapQuery(next, table, client, added)
+            : next;
+        };
+      },
+    });
+    return proxy;
+  }
+
+  /**
+   * Columns to select so the encrypted fields among them can be decrypted
+   * @returns {Object} { columns, added }
+   */
+  withKeyColumns(table, columns = "*") {
+    const selected = String(columns)
+      .split(",")
+      .map((column) => column.trim());
+    if (
+      selected.includes("*") ||
+      !this.fieldsOf(table).some((field) => selected.includes(field))
+    ) {
+      return { columns, added: [] };
+    }
+    const added = this.keyColumnsOf(table).filter(
+      (column) => !selected.includes(column),
+    );
+    return { columns: [columns, ...added].join(","), added };
+  }
+
+  /**
+   * Apply the calls chained onto a deferred write and run it
+   */
+  async replay(builder, table, steps) {
+    let added = [];
+    for (const [method, args] of steps) {
+      if (method === "select") {
+        const selected = this.withKeyColumns(table, args[0]);
+        added = selected.added;
+        builder = builder.select(selected.columns, ...args.slice(1));
+      } else {
+        builder = builder[method](...args);
+      }
+    }
+    return this.decryptResult(table, await builder, added);
+  }
+
+  /**
+   * Run an update whose values are bound to the rows it reaches
+   * The rows are looked up with the update's filters first; their tenant and
+   * key bind the values, and each row is updated with its own ciphertext.
+   */
+  async updateRows(client, builder, table, values, options, steps) {
+    if (!this.hasPending(table, values)) {
+      return this.replay(builder.update(values, options), table, steps);
+    }
+
+    let lookup = client
+      .from(table)
+      .select(["id", ...this.keyColumnsOf(table)].join(","));
+    for (const [method, args] of steps) {
+      if (FILTER_METHODS.has(method)) lookup = lookup[method](...args);
+    }
+    const { data: rows, error } = await lookup;
+    if (error) return { data: null, error };
+
+    const updated = [];
+    for (const row of rows || []) {
+      const encrypted = await this.encryptFields(table, values, {
+        ...row,
+        ...values,
+      });
+      const result = await this.replay(
+        client.from(table).update(encrypted, options).eq("id", row.id),
+        table,
+        steps,
+      );
+      if (result.error) return result;
+      updated.push(...[].concat(result.data ?? []));
+    }
+    return { data: updated, error: null };
+  }
+
+  /**
+   * A write builder whose values are encrypted before the write is built;
+   * calls chained onto it are recorded and given to write when awaited
+   * @param {Function} write - async (steps) => result
+   */
+  deferWrite(write) {
+    const steps = [];
+    const run = () => write(steps);
+    const proxy = new Proxy(
+      {},
+      {
+        get: (target, prop) => {
+          if (prop === "then") {
+            return (onFulfilled, onRejected) =>
+              run().then(onFulfilled, onRejected);
+          }
+          if (prop === "catch") {
+            return (onRejected) => run().catch(onRejected);
+          }
+          return (...args) => {
+            steps.push([prop, args]);
+            return proxy;
+          };
+        },
+      },
+    );
+    return proxy;
+  }
+
+  async decryptResult(table, result, added = []) {
+    if (!result?.data) return result;
+    const drop = (row) => {
+      if (added.length === 0 || !row || typeof row !== "object") return row;
+      const kept = { ...row };
+      for (const column of added) delete kept[column];
+      return kept;
+    };
+    try {
+      const rows = this.raw.getStore()
+        ? result.data
+        : await this.decryptRows(table, result.data);
+      return {
+        ...result,
+        data: Array.isArray(rows) ? rows.map(drop) : drop(rows),
+      };
+    } catch (error) {
+      log.error(`Failed to decrypt ${table} rows:`, error.message);
+      return { ...result, data: null, error };
+    }
+  }
+
+  // ==========================================================================
+  // Rows and values
+  // ==========================================================================
+
+  /**
+   * Encrypt the encrypted fields of rows to insert with their tenant's
+   * active key; each row carries its key columns
+   * @param {string|null} [tenantId] - Defaults to each row's tenant_id
+   *   (tenant scoping has stamped it; none is the untenanted workspace)
+   */
+  async encryptRows(table, rows, tenantId) {
+    if (!rows) return rows;
+    const encryptRow = (row) =>
+      row && typeof row === "object"
+        ? this.encryptFields(table, row, row, tenantId)
+        : row;
+
+    return Array.isArray(rows)
+      ? Promise.all(rows.map(encryptRow))
+      : encryptRow(rows);
+  }
+
+  /**
+   * Encrypt the encrypted fields of values written to one row
+   * @param {Object} values - Values to write
+   * @param {Object} row - The row as written: tenant_id and key columns
+   * @param {string|null} [tenantId] - Defaults to the row's tenant_id
+   */
+  async encryptFields(table, values, row, tenantId) {
+    if (!this.hasPending(table, values)) return values;
+
+    const owner = tenantId !== undefined ? tenantId : (row.tenant_id ?? null);
+    const dataKey = await this.getActiveKey(owner);
+    const encrypted = { ...values };
+    for (const field of this.pendingFields(table, values)) {
+      encrypted[field] = this.encryptValue(
+        dataKey,
+        table,
+        field,
+        values[field],
+        row,
+      );
+    }
+    return encrypted;
+  }
+
+  pendingFields(table, values) {
+    if (!values || typeof values !== "object") return [];
+    return this.fieldsOf(table).filter(
+      (field) =>
+        typeof values[field] === "string" && !this.isEncrypted(values[field]),
+    );
+  }
+
+  hasPending(table, values) {
+    return (
+      this.enabled &&
+      [].concat(values || []).some(
+        (row) => this.pendingFields(table, row).length > 0,
+      )
+    );
+  }
+
+  /**
+   * Decrypt a row's (or rows') encrypted fields; plaintext passes through
+   */
+  async decryptRows(table, rows) {
+    const fields = this.fieldsOf(table);
+    if (fields.length === 0 || !rows) return rows;
+
+    const decryptRow = async (row) => {
+      if (!row || typeof row !== "object") return row;
+      if (!fields.some((field) => this.isEncrypted(row[field]))) return row;
+      const decrypted = { ...row };
+      for (const field of fields) {
+        if (this.isEncrypted(row[field])) {
+          decrypted[field] = await this.decryptValue(
+            table,
+            field,
+            row[field],
+            row,
+          );
+        }
+      }
+      return decrypted;
+    };
+
+    return Array.isArray(rows)
+      ? Promise.all(rows.map(decryptRow))
+      : decryptRow(rows);
+  }
+
+  /**
+   * Additional data a value is sealed with: its field, tenant and row key
+   */
+  bindingOf(table, field, tenantId, row) {
+    const rowKey = ROW_KEYS[table] ? ROW_KEYS[table].of(row) : [];
+    return JSON.stringify([`${table}.${field}`, tenantId || null, ...rowKey]);
+  }
+
+  encryptValue(dataKey, table, field, plaintext, row) {
+    const sealed = seal(
+      dataKey.key,
+      Buffer.from(plaintext, "utf8"),
+      this.bindingOf(table, field, dataKey.tenantId, row),
+    );
+    return `${PREFIX}${dataKey.id}:${sealed}`;
+  }
+
+  /**
+   * Decrypt a value of a row, which must carry tenant_id and its key columns
+   */
+  async decryptValue(table, field, value, row) {
+    if (!row || row.tenant_id === undefined) {
+      throw new FieldEncryptionError(
+        `${table}.${field} can't be decrypted without the row's tenant_id`,
+      );
+    }
+    const body = value.slice(PREFIX.length);
+    const separator = body.indexOf(":");
+    const dataKey = await this.getDataKey(body.slice(0, separator));
+    if (dataKey.tenantId !== (row.tenant_id || null)) {
+      throw new FieldEncryptionError(
+        `${table}.${field} is encrypted with a data key of another tenant`,
+      );
+    }
+    const aad = this.isLegacy(value)
+      ? `${table}.${field}`
+      : this.bindingOf(table, field, dataKey.tenantId, row);
+    try {
+      return open(dataKey.key, body.slice(separator + 1), aad).toString(
+        "utf8",
+      );
+    } catch (error) {
+      throw new FieldEncryptionError(
+        `${table}.${field} could not be decrypted: ${error.message}`,
+      );
+    }
+  }
+
+  // ==========================================================================
+  // Data keys
+  // ==========================================================================
+
+  /**
+   * The tenant's active data key, created on first use
+   */
+  async getActiveKey(tenantId) {
+    const owner = tenantId || null;
+    let loading = this.activeKeys.get(owner);
+    if (!loading) {
+      loading = this.loadActiveKey(owner);
+      this.activeKeys.set(owner, loading);
+      loading.catch(() => this.activeKeys.delete(owner));
+    }
+
+    const entry = await loading;
+    if (entry.expiresAt > Date.now()) return entry.key;
+    if (this.activeKeys.get(owner) === loading) this.activeKeys.delete(owner);
+    return this.getActiveKey(owner);
+  }
+
+  async loadActiveKey(tenantId) {
+    const rows = await this.listKeyRows(tenantId);
+    const active = rows.find((row) => row.status === "active");
+    const key = active
+      ? this.unwrap(active)
+      : await this.createFirstKey(tenantId, rows.length + 1);
+    return { key, expiresAt: Date.now() + ACTIVE_KEY_TTL };
+  }
+
+  /**
+   * Create a tenant's active key; when another process created one first
+   * (idx_tenant_data_keys_active allows one per tenant), use that one
+   */
+  async createFirstKey(tenantId, version) {
+    try {
+      return await this.createDataKey(tenantId, version);
+    } catch (error) {
+      if (error.code !== "23505") throw error;
+      const rows = await this.listKeyRows(tenantId);
+      const active = rows.find((row) => row.status === "active");
+      if (!active) throw error;
+      return this.unwrap(active);
+    }
+  }
+
+  /**
+   * A data key by id (any status)
+   */
+  async getDataKey(id) {
+    if (this.dataKeys.has(id)) return this.dataKeys.get(id);
+    const { data, error } = await this.keysTable().select("*").eq("id", id);
+    if (error) throw error;
+    if (!data?.[0]) {
+      throw new FieldEncryptionError(`Data key ${id} not found`);
+    }
+    return this.unwrap(data[0]);
+  }
+
+  /**
+   * Every data key row of a tenant, oldest first
+   */
+  async listKeyRows(tenantId) {
+    const query = this.keysTable().select("*");
+    const { data, error } = await (tenantId
+      ? query.eq("tenant_id", tenantId)
+      : query.is("tenant_id", null)
+    ).order("version", { ascending: true });
+    if (error) throw error;
+    return data || [];
+  }
+
+  /**
+   * Create a tenant's next data key and make it the active one
+   */
+  async createDataKey(tenantId, version) {
+    this.assertMasterKey();
+    const id = crypto.randomUUID();
+    const key = crypto.randomBytes(32);
+    const row = {
+      id,
+      tenant_id: tenantId || null,
+      version,
+      status: "active",
+      master_key_id: this.masterKeyId,
+      wrapped_key: seal(
+        this.masterKeys.get(this.masterKeyId),
+        key,
+        `data-key:${id}`,
+      ),
+      created_at: new Date().toISOString(),
+    };
+    const { error } = await this.keysTable().insert(row);
+    if (error) throw error;
+
+    const dataKey = { id, tenantId: tenantId || null, version, key };
+    this.dataKeys.set(id, dataKey);
+    return dataKey;
+  }
+
+  /**
+   * Retire the tenant's active key and create the next one
+   * @returns {Promise<Object>} { retired, active } key rows without key
+   *   material
+   */
+  async rotateDataKey(tenantId) {
+    const owner = tenantId || null;
+    const rows = await this.listKeyRows(owner);
+    const retiredAt = new Date().toISOString();
+    const retired = rows.filter((row) => row.status === "active");
+    for (const row of retired) {
+      const { error } = await this.keysTable()
+        .update({ status: "retired", retired_at: retiredAt })
+        .eq("id", row.id);
+      if (error) throw error;
+    }
+
+    this.activeKeys.delete(owner);
+    const active = await this.createDataKey(owner, rows.length + 1);
+    this.activeKeys.set(
+      owner,
+      Promise.resolve({ key: active, expiresAt: Date.now() + ACTIVE_KEY_TTL }),
+    );
+    return {
+      retired: retired.map((row) => ({ id: row.id, version: row.version })),
+      active: { id: active.id, version: active.version },
+    };
+  }
+
+  /**
+   * Wrap every data key still wrapped with an earlier master key with the
+   * current one
+   * @returns {Promise<number>} Keys re-wrapped
+   */
+  async rewrapDataKeys() {
+    this.assertMasterKey();
+    const { data, error } = await this.keysTable()
+      .select("*")
+      .neq("master_key_id", this.masterKeyId);
+    if (error) throw error;
+
+    let rewrapped = 0;
+    for (const row of data || []) {
+      const { key } = this.unwrap(row);
+      const { error: updateError } = await this.keysTable()
+        .update({
+          master_key_id: this.masterKeyId,
+          wrapped_key: seal(
+            this.masterKeys.get(this.masterKeyId),
+            key,
+            `data-key:${row.id}`,
+          ),
+        })
+        .eq("id", row.id);
+      if (updateError) throw updateError;
+      rewrapped++;
+    }
+    return rewrapped;
+  }
+
+  unwrap(row) {
+    const masterKey = this.masterKeys.get(row.master_key_id);
+    if (!masterKey) {
+      throw new FieldEncryptionError(
+        `Data key ${row.id} is wrapped with an unknown master key (${row.master_key_id})`,
+      );
+    }
+    const dataKey = {
+      id: row.id,
+      tenantId: row.tenant_id || null,
+      version: row.version,
+      key: open(masterKey, row.wrapped_key, `data-key:${row.id}`),
+    };
+    this.dataKeys.set(row.id, dataKey);
+    return dataKey;
+  }
+
+  assertMasterKey() {
+    if (!this.masterKeyId) {
+      throw new FieldEncryptionError(
+        "No master key configured (ENCRYPTION_MASTER_KEY)",
+      );
+    }
+  }
+
+  keysTable() {
+    if (!this.client) {
+      throw new FieldEncryptionError("Storage client not initialized");
+    }
+    return this.client.from(KEYS_TABLE);
+  }
+}
+
+module.exports = new FieldEncryption();
@@ -20,9 +20,16 @@ const log = createLogger("FixApplicationService");
 const agentSessionService = require("./agentSessionService");
 const expertLearningService = require("./expertLearningService");
 const expertUsageTracker = require("./expertUsageTracker");
+const auditLogService = require("./auditLogService");
+const webhookService = require("./webhookService");
+const crypto = require("crypto");
 const fs = require("fs").promises;
 const path = require("path");
 
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
+
 class FixApplicationService {
   constructor() {
     this.appliedFixes = new Map(); // Track applied fixes for rollback
@@ -479,6 +486,31 @@ class FixApplicationService {
           { agentType: "ai-support-agent", filePath: fullPath },
         );
 
+        // File contents stay out of the audit log; their hashes show the change
+        await auditLogService.record({
+          event: "fix_applied",
+          category: "fix",
+          resourceType: "file",
+          resourceId: path.relative(process.cwd(), fullPath),
+          before: { sha256: sha256(currentContent) },
+          after: { sha256: sha256(newContent) },
+          metadata: {
+            fixId: result.fixId,
+            ticketId: ticketId || null,
+            rollbackId: rollbackId || null,
+            type: fix.type || null,
+            safety,
+          },
+        });
+        await webhookService.triggerWebhook("fix.applied", {
+          fixId: result.fixId,
+          ticketId: ticketId || null,
+          filePath: path.relative(process.cwd(), fullPath),
+          type: fix.type || null,
+          safety,
+          rollbackId: rollbackId || null,
+        });
+
         return result;
       } catch (error) {
         console.error("[Fix Application] Error applying fix to file:", error);
@@ -546,6 +578,15 @@ class FixApplicationService {
         // Delete backup
         await fs.unlink(rollback.backupPath);
 
+        await auditLogService.record({
+          event: "fix_rolled_back",
+          category: "fix",
+          resourceType: "file",
+          resourceId: path.relative(process.cwd(), originalPath),
+          after: { sha256: sha256(backupContent) },
+          metadata: { rollbackId },
+        });
+
         return { success: true, restored: originalPath };
       } catch (error) {
         console.error("[Fix Application] Error rolling back:", error);
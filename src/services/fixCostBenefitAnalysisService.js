@@ -18,30 +18,13 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("FixCostBenefitAnalysisService");
+const databaseService = require("./databaseService");
 const codeHealthScoring = require("./codeHealthScoring");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class FixCostBenefitAnalysisService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[fixCostBenefitAnalysisService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[fixCostBenefitAnalysisService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
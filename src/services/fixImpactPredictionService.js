@@ -18,29 +18,13 @@
 const dependencyAnalysisService = require("./dependencyAnalysisService");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("FixImpactPredictionService");
-const codebaseSearch = require("./codebaseSearch");
+const databaseService = require("./databaseService");
 const config = require("../config");
 
 class FixImpactPredictionService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[fixImpactPredictionService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[fixImpactPredictionService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -257,8 +241,6 @@ class FixImpactPredictionService {
       if (dep.type === "import") {
         // Try to resolve import path
         const path = require("path");
-        const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
         const baseDir = path.dirname(baseFilePath);
         const resolved = path.resolve(baseDir, dep.name);
 
@@ -287,35 +269,21 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
   }
 
   /**
-   * Find files that depend on the file being fixed
+   * Find files that depend on the file being fixed, directly or through
+   * other modules (from the module graph)
    */
   async findDependentFiles(filePath, projectId) {
     try {
-      // Use codebase search to find files that import this file
-      const fileName = require("path").basename(
-        filePath,
-        require("path").extname(filePath),
-      );
-      const searchQuery = `files that import or require ${fileName}`;
-
-      const results = await codebaseSearch.semanticSearch(searchQuery, {
-        limit: 50,
-        threshold: 0.6,
-      });
-
-      // Filter to actual dependent files
-      const dependentFiles = [];
-      for (const result of results.results || []) {
-        if (result.file_path && result.file_path !== filePath) {
-          dependentFiles.push({
-            file: result.file_path,
-            relevance: result.score,
-            reason: "imports or uses this file",
-          });
-        }
-      }
-
-      return dependentFiles;
+      const impact = await dependencyAnalysisService.getImpactSet([filePath]);
+      return impact.map(({ file, depth, via }) => ({
+        file,
+        depth,
+        relevance: 1 / depth,
+        reason:
+          depth === 1
+            ? "imports this file"
+            : `imports ${require("path").basename(via)}, which depends on this file`,
+      }));
     } catch (error) {
       log.warn(
         "[Fix Impact Prediction] Error finding dependent files:",
@@ -444,6 +412,7 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
         depFile.file,
         codeChanges,
         filePath,
+        depFile.depth,
       );
       if (impact.risk > 0.3) {
         cascadeEffects.push({
@@ -461,22 +430,13 @@ const { getSupabaseClient } = require('../utils/supabaseClient');
 
   /**
    * Predict impact on a specific file
+   * @param {number} depth - 1 when the file imports the fixed file itself,
+   *   more when it depends on it through other modules
    */
-  async predictFileImpact(filePath, codeChanges, sourceFilePath) {
+  async predictFileImpact(filePath, codeChanges, sourceFilePath, depth = 1) {
     try {
-      const fs = require("fs").promises;
-      const fileContent = await fs.readFile(filePath, "utf8");
-
-      // Check if file imports from source
-      const sourceName = require("path").basename(
-        sourceFilePath,
-        require("path").extname(sourceFilePath),
-      );
-      const importsSource =
-        fileContent.includes(sourceName) ||
-        fileContent.includes(require("path").basename(sourceFilePath));
-
-      if (!importsSource) {
+      // Only direct importers see the fixed file's exports change
+      if (depth > 1) {
         return { risk: 0, reason: "No direct dependency" };
       }
 
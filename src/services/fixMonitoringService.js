@@ -18,34 +18,17 @@
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("FixMonitoringService");
+const databaseService = require("./databaseService");
 const fixRollbackIntelligenceService = require("./fixRollbackIntelligenceService");
 const codeHealthScoring = require("./codeHealthScoring");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class FixMonitoringService {
   constructor() {
     // Initialize active monitors map
     this.activeMonitors = new Map();
 
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-        );
-      } catch (error) {
-        log.warn(
-          "[fixMonitoringService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[fixMonitoringService] Supabase credentials not configured. Service will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
 
     // Start monitoring loop
     this.startMonitoringLoop();
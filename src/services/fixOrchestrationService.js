@@ -16,6 +16,9 @@
  * System Architecture Expert - 2025-01-15 - Added Event Bus integration
  */
 
+const { createLogger } = require("../utils/logger");
+const log = createLogger("FixOrchestrationService");
+
 // Service Client integration - System Architecture Expert - 2025-01-15
 // Migrated from direct requires to Service Client for retry logic, circuit breakers, and logging
 let serviceClient = null;
@@ -135,13 +138,14 @@ class FixOrchestrationService {
       // Stage 8: Decision
       const decision = await this.stageDecision(pipeline);
 
-      // Stage 9: Application (if approved)
-      if (decision.action === "apply") {
+      // Stage 9: Application (if approved; dry runs only preview)
+      const shouldApply = decision.action === "apply" && !context.dryRun;
+      if (shouldApply) {
         pipeline.stages.push(await this.stageApply(issue, context, decision));
       }
 
       // Stage 10: Monitoring (if applied)
-      if (decision.action === "apply") {
+      if (shouldApply) {
         pipeline.stages.push(await this.stageMonitor(issue, context, decision));
       }
 
@@ -325,14 +329,36 @@ class FixOrchestrationService {
     };
 
     try {
-      // This would delegate to appropriate fix generation service
-      // For now, assume fix is already generated in context
+      // Generate the fix unless the caller already supplied one; later
+      // stages (verify, explain, apply) read it from the context
+      if (!context.fixedCode && context.originalCode) {
+        const llmFixGenerator = require("./llmFixGenerator");
+        const fix = await llmFixGenerator.generateFix(
+          issue,
+          context.originalCode,
+          context.filePath,
+          { ...context, project_id: context.project_id || context.projectId },
+        );
+
+        if (!fix || !fix.success) {
+          throw new Error(fix?.error || "Fix generation failed");
+        }
+
+        context.fixedCode = fix.fixedCode || fix.code;
+        context.edits = fix.edits || null;
+        context.confidence = fix.confidence || context.confidence;
+        context.method = fix.method || context.method;
+        context.explanation = fix.explanation || null;
+      }
+
       stage.result = {
         fix: context.fixedCode,
+        edits: context.edits || null,
+        explanation: context.explanation || null,
         method: context.method || "unknown",
         confidence: context.confidence || 0.8,
       };
-      stage.status = "completed";
+      stage.status = context.fixedCode ? "completed" : "failed";
       stage.completedAt = Date.now();
     } catch (error) {
       stage.status = "failed";
@@ -698,8 +724,6 @@ fixOrchestrationService.category = "code-roach";
 // Register with Service Registry if available
 try {
   const serviceRegistry = require("./serviceRegistry");
-  const { createLogger } = require("../utils/logger");
-  const log = createLogger("FixOrchestrationService");
   serviceRegistry.register("fixOrchestrationService", fixOrchestrationService, {
     capabilities: fixOrchestrationService.capabilities,
     dependencies: fixOrchestrationService.dependencies,
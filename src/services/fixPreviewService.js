@@ -9,12 +9,13 @@
  */
 
 /**
-const { createLogger } = require('../utils/logger');
-const log = createLogger('FixPreviewService');
  * Fix Preview Service
  * ROUND 6: Generate fix previews and diffs for approval workflow
  */
 
+const { createLogger } = require("../utils/logger");
+const log = createLogger("FixPreviewService");
+
 // Use built-in diff or simple implementation
 let diff;
 try {
@@ -85,6 +86,18 @@ class FixPreviewService {
         timestamp: new Date().toISOString(),
       };
 
+      // Structured edits give exact hunks instead of a reconstructed diff
+      if (Array.isArray(options.edits) && options.edits.length > 0) {
+        preview.edits = this.generateEditHunks(originalCode, options.edits);
+        preview.summary = this.summarizeEdits(preview.edits);
+        preview.risk = this.assessRisk(
+          originalCode,
+          fixedCode,
+          issue,
+          preview.edits,
+        );
+      }
+
       // Add confidence if provided
       if (options.confidence) {
         preview.confidence = options.confidence;
@@ -206,6 +219,43 @@ class FixPreviewService {
     }
   }
 
+  /**
+   * Hunks for structured line-range edits (1-based, original line numbers)
+   */
+  generateEditHunks(originalCode, edits) {
+    const originalLines = originalCode.split("\n");
+    return [...edits]
+      .sort((a, b) => a.startLine - b.startLine)
+      .map((edit) => ({
+        startLine: edit.startLine,
+        endLine: edit.endLine,
+        removed: originalLines.slice(edit.startLine - 1, edit.endLine),
+        added: edit.replacement === "" ? [] : edit.replacement.split("\n"),
+      }));
+  }
+
+  /**
+   * Exact change summary from edit hunks
+   */
+  summarizeEdits(hunks) {
+    let linesAdded = 0;
+    let linesRemoved = 0;
+    let linesModified = 0;
+    for (const hunk of hunks) {
+      const modified = Math.min(hunk.removed.length, hunk.added.length);
+      linesModified += modified;
+      linesAdded += hunk.added.length - modified;
+      linesRemoved += hunk.removed.length - modified;
+    }
+    return {
+      linesAdded,
+      linesRemoved,
+      linesModified,
+      totalChanges: linesAdded + linesRemoved + linesModified,
+      hunks: hunks.length,
+    };
+  }
+
   /**
    * Generate summary of changes
    */
@@ -243,10 +293,24 @@ class FixPreviewService {
   /**
    * Assess risk of the fix
    */
-  assessRisk(originalCode, fixedCode, issue) {
+  assessRisk(originalCode, fixedCode, issue, hunks = null) {
     let riskScore = 0;
     const riskFactors = [];
 
+    // Edits far from the reported line change code the issue didn't point at
+    if (hunks && issue.line) {
+      const distant = hunks.filter(
+        (hunk) =>
+          issue.line < hunk.startLine - 20 || issue.line > hunk.endLine + 20,
+      );
+      if (distant.length > 0) {
+        riskScore += 0.2;
+        riskFactors.push(
+          `${distant.length} edit(s) far from line ${issue.line}`,
+        );
+      }
+    }
+
     // Large changes are riskier
     const sizeChange = Math.abs(fixedCode.length - originalCode.length);
     if (sizeChange > 1000) {
@@ -350,6 +414,14 @@ class FixPreviewService {
     text += `  Lines added: ${preview.summary.linesAdded}\n`;
     text += `  Lines removed: ${preview.summary.linesRemoved}\n`;
     text += `  Total changes: ${preview.summary.totalChanges}\n\n`;
+    if (preview.edits) {
+      for (const hunk of preview.edits) {
+        text += `@@ lines ${hunk.startLine}-${hunk.endLine} @@\n`;
+        text += hunk.removed.map((line) => `-${line}\n`).join("");
+        text += hunk.added.map((line) => `+${line}\n`).join("");
+      }
+      text += "\n";
+    }
     text += `Diff:\n${preview.diff.unified}\n`;
 
     return text;
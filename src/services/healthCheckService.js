@@ -12,7 +12,7 @@
  * - External API dependencies
  */
 
-const { createClient } = require('@supabase/supabase-js');
+const databaseService = require('./databaseService');
 const config = require('../config');
 
 class HealthCheckService {
@@ -130,15 +130,23 @@ class HealthCheckService {
      */
     async checkDatabase() {
         try {
-            if (!config.supabase || !config.supabase.url || !config.supabase.serviceRoleKey) {
+            const backend = databaseService.getBackend();
+            if (!backend) {
                 return {
                     status: 'not_configured',
-                    message: 'Supabase not configured'
+                    message: 'No storage backend configured'
+                };
+            }
+
+            // Embedded store lives on local disk - reachable whenever it loaded
+            if (backend === 'local') {
+                return {
+                    status: 'ok',
+                    backend: 'local',
+                    data_dir: config.storage.localDataDir
                 };
             }
 
-            const supabase = createClient(config.supabase.url, config.supabase.serviceRoleKey);
-            
             // Simple connectivity check - verify we can reach Supabase API
             // Don't require specific tables to exist (they might not be migrated yet)
             const https = require('https');
@@ -41,6 +41,7 @@ if (typeof window !== 'undefined') {
 }
 
 const embeddingCache = require("./embeddingCache");
+const { providerKey } = require("./llm/embeddingProviders");
 const confidenceCalculator = require("./confidenceCalculator");
 const metricsCollector = require("./metricsCollector");
 
@@ -435,9 +436,13 @@ class HybridRetrieval {
 
           if (!docEmbedding && result.content) {
             // Check cache first
-            const cached = embeddingCache.get(result.content);
+            const cached = embeddingCache.get(
+              result.content,
+              null,
+              providerKey(),
+            );
             if (cached) {
-              docEmbedding = cached;
+              docEmbedding = cached.embedding;
             } else {
               // Generate embedding (expensive, but improves accuracy)
               // For now, skip to avoid API costs - would generate in production
@@ -14,10 +14,30 @@
  * Now uses resilient databaseService with circuit breakers and retry logic
  */
 
+const crypto = require("crypto");
 const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const webhookService = require("./webhookService");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("IssueStorageService");
 
+/**
+ * The issue.created webhook payload; code stays out of it
+ */
+function issueEvent(row) {
+  return {
+    id: row.id,
+    projectId: row.project_id || null,
+    filePath: row.file_path || null,
+    line: row.line ?? null,
+    type: row.error_type || null,
+    severity: row.error_severity || null,
+    message: row.error_message || null,
+    reviewStatus: row.review_status || null,
+    createdAt: row.created_at || null,
+  };
+}
+
 class IssueStorageService {
   constructor() {
     // Database service auto-initializes
@@ -49,15 +69,21 @@ class IssueStorageService {
           error_message: issue.message,
           error_severity: issue.severity || "medium",
           error_code: issue.code,
+          error_fingerprint: issue.fingerprint || this.fingerprint(issue),
+          crawl_id: issue.crawlId,
           review_status: reviewStatus,
           fix_applied: issue.fixApplied,
           fix_method: issue.fixMethod,
           fix_confidence: issue.fixConfidence,
+          fix_safety: issue.fixSafety || issue.safety,
         },
         { select: "*", single: true },
       );
 
       if (error) throw error;
+      if (data) {
+        await webhookService.triggerWebhook("issue.created", issueEvent(data));
+      }
       return data;
     } catch (err) {
       console.error("[Issue Storage] Store issue error:", err.message);
@@ -84,10 +110,13 @@ class IssueStorageService {
         error_message: issue.message,
         error_severity: issue.severity || "medium",
         error_code: issue.code,
+        error_fingerprint: issue.fingerprint || this.fingerprint(issue),
+        crawl_id: issue.crawlId,
         review_status: issue.reviewStatus || "pending",
         fix_applied: issue.fixApplied,
         fix_method: issue.fixMethod,
         fix_confidence: issue.fixConfidence,
+        fix_safety: issue.fixSafety || issue.safety,
       }));
 
       const { data, error } = await databaseService.insert(
@@ -99,6 +128,9 @@ class IssueStorageService {
       );
 
       if (error) throw error;
+      for (const row of data || []) {
+        await webhookService.triggerWebhook("issue.created", issueEvent(row));
+      }
       return data || [];
     } catch (err) {
       console.error("[Issue Storage] Store issues error:", err.message);
@@ -106,6 +138,26 @@ class IssueStorageService {
     }
   }
 
+  /**
+   * Identity of an issue across scans (stored as error_fingerprint): its
+   * type, file, code and message, without the line, so it survives code
+   * moving up or down
+   */
+  fingerprint(issue) {
+    const content = [issue.code, issue.message]
+      .filter(Boolean)
+      .join("\n")
+      .replace(/\s+/g, " ")
+      .trim();
+    return crypto
+      .createHash("sha256")
+      .update(
+        [issue.type, issue.file || issue.filePath || "", content].join("\n"),
+      )
+      .digest("hex")
+      .slice(0, 32);
+  }
+
   /**
    * Update issue
    */
@@ -163,6 +215,20 @@ class IssueStorageService {
           value: filters.filePath,
         });
       }
+      if (filters.safety) {
+        queryFilters.push({
+          column: "fix_safety",
+          operator: "eq",
+          value: filters.safety,
+        });
+      }
+      if (filters.crawlId) {
+        queryFilters.push({
+          column: "crawl_id",
+          operator: "eq",
+          value: filters.crawlId,
+        });
+      }
 
       const { data, error, count } = await databaseService.query(
         "code_roach_issues",
@@ -222,6 +288,20 @@ class IssueStorageService {
           value: filters.filePath,
         });
       }
+      if (filters.safety) {
+        queryFilters.push({
+          column: "fix_safety",
+          operator: "eq",
+          value: filters.safety,
+        });
+      }
+      if (filters.crawlId) {
+        queryFilters.push({
+          column: "crawl_id",
+          operator: "eq",
+          value: filters.crawlId,
+        });
+      }
 
       const { data, error, count } = await databaseService.query(
         "code_roach_issues",
@@ -258,6 +338,9 @@ class IssueStorageService {
       });
 
       if (error) throw error;
+      if (!data && tenantContext.scope()) {
+        await this.checkForeignIssue(issueId);
+      }
       return data;
     } catch (err) {
       console.error("[Issue Storage] Get issue error:", err.message);
@@ -265,6 +348,28 @@ class IssueStorageService {
     }
   }
 
+  /**
+   * An issue id the tenant can't see may belong to another tenant; record
+   * the attempt so probing for ids shows up in security monitoring
+   */
+  async checkForeignIssue(issueId) {
+    const { data: foreign } = await tenantContext.runUnrestricted(() =>
+      databaseService.query("code_roach_issues", {
+        select: "id, tenant_id",
+        filters: [{ column: "id", operator: "eq", value: issueId }],
+        single: true,
+      }),
+    );
+    if (foreign) {
+      tenantContext.reject({
+        action: "read",
+        table: "code_roach_issues",
+        rowId: issueId,
+        targetTenantId: foreign.tenant_id || null,
+      });
+    }
+  }
+
   /**
    * Mark issue as resolved
    */
@@ -0,0 +1,411 @@
+/**
+ * Embedding Providers
+ * Pluggable embedding backends behind a single interface
+ *
+ * Every provider exposes:
+ * - name / model / dimension     identify the vector space
+ * - isAvailable()                credentials or runtime present
+ * - embed(texts) -> number[][]   batch embedding (null for failed items)
+ * - defaultThreshold (optional)  similarity cut-off suited to the model
+ *
+ * Built-in providers:
+ * - local-llm   self-hosted OpenAI-compatible /embeddings (config.localLLM)
+ * - openai      text-embedding-3-small (1536 dims)
+ * - cohere      embed-english-v3.0 (1024 dims, needs the cohere-ai package)
+ * - local-code  offline, CPU-only, code-aware sparse features hashed into a
+ *               dense vector (identifier sub-tokens, bigrams, character
+ *               trigrams, language keywords down-weighted)
+ *
+ * Vectors from different providers live in different spaces. Anything that
+ * stores embeddings should record describeProvider() and rebuild on mismatch.
+ *
+ * Texts sent to the built-in openai, cohere and local-llm providers are
+ * redacted first under the tenant's redaction mode (promptRedactionService);
+ * local-code never sends them anywhere.
+ */
+
+const crypto = require("crypto");
+const config = require("../../config");
+const promptRedactionService = require("../promptRedactionService");
+const { createLogger } = require("../../utils/logger");
+const log = createLogger("EmbeddingProviders");
+
+// Common keywords across JS/TS/Python/Java/Rust/Go; they carry little meaning
+// on their own, so they get a low weight (a fixed stand-in for IDF)
+const CODE_KEYWORDS = new Set(
+  `abstract async await break case catch class const continue def default
+  delete do elif else enum export extends false final finally fn for from
+  func function if impl implements import in instanceof interface let match
+  mod module mut new none null package pass private protected pub public
+  raise return self static struct super switch this throw throws true try
+  type typeof undefined use var void while with yield the a an of to is and
+  or not`.split(/\s+/),
+);
+
+/**
+ * Split code into lowercase identifier sub-tokens
+ * "getUserById(user_id)" -> ["get", "user", "by", "id", "user", "id"]
+ */
+function tokenizeCode(text) {
+  const identifiers = text.match(/[A-Za-z_$][A-Za-z0-9_$]*|\d+/g) || [];
+  const tokens = [];
+  for (const identifier of identifiers) {
+    const parts = identifier
+      .replace(/([a-z0-9])([A-Z])/g, "$1 $2")
+      .replace(/([A-Z]+)([A-Z][a-z])/g, "$1 $2")
+      .split(/[\s_$]+/)
+      .filter(Boolean);
+    for (const part of parts) {
+      tokens.push(part.toLowerCase());
+    }
+    if (parts.length > 1) {
+      // Keep the whole identifier too, so exact names still match strongly
+      tokens.push(identifier.toLowerCase());
+    }
+  }
+  return tokens;
+}
+
+/**
+ * Hash a feature to (index, sign) for the hashing trick
+ */
+function hashFeature(feature, dimension) {
+  const digest = crypto.createHash("md5").update(feature).digest();
+  const index = digest.readUInt32LE(0) % dimension;
+  const sign = digest[4] & 1 ? 1 : -1;
+  return { index, sign };
+}
+
+/**
+ * Whether an optional dependency is installed
+ */
+function moduleResolves(name) {
+  try {
+    require.resolve(name);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+class OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = "openai";
+    this.model = options.model || "text-embedding-3-small";
+    this.dimension = options.dimension || 1536;
+    this.apiKey =
+      options.apiKey ||
+      process.env.OPENAI_API_KEY ||
+      config.imageGeneration?.openai?.apiKey;
+    this.baseUrl = options.baseUrl || "https://api.openai.com/v1";
+    this.timeoutMs = options.timeoutMs || 60000;
+    this.retries = options.retries || 3;
+  }
+
+  isAvailable() {
+    return !!this.apiKey;
+  }
+
+  async embed(texts) {
+    for (let attempt = 1; attempt <= this.retries; attempt++) {
+      try {
+        const startTime = Date.now();
+        const response = await fetch(`${this.baseUrl}/embeddings`, {
+          method: "POST",
+          headers: {
+            "Content-Type": "application/json",
+            ...(this.apiKey && { Authorization: `Bearer ${this.apiKey}` }),
+          },
+          body: JSON.stringify({
+            model: this.model,
+            input: texts.map((t) => t.substring(0, 8000)), // Limit each to 8k tokens
+          }),
+          signal: AbortSignal.timeout(this.timeoutMs),
+        });
+
+        if (!response.ok) {
+          const error = await response
+            .json()
+            .catch(() => ({ error: "Unknown error" }));
+          if (response.status === 429 && attempt < this.retries) {
+            const waitTime = Math.pow(2, attempt) * 1000;
+            log.warn(
+              `Rate limited, waiting ${waitTime}ms before retry ${attempt}/${this.retries}`,
+            );
+            await new Promise((resolve) => setTimeout(resolve, waitTime));
+            continue;
+          }
+          throw new Error(`${this.name} API error: ${JSON.stringify(error)}`);
+        }
+
+        const data = await response.json();
+        this.trackCost(data.usage?.total_tokens || 0, Date.now() - startTime);
+        return data.data.map((item) => item.embedding);
+      } catch (error) {
+        if (attempt === this.retries) {
+          log.error(
+            `${this.name} embeddings failed after ${this.retries} attempts:`,
+            error,
+          );
+          return texts.map(() => null);
+        }
+        const waitTime = Math.pow(2, attempt) * 1000;
+        await new Promise((resolve) => setTimeout(resolve, waitTime));
+      }
+    }
+    return texts.map(() => null);
+  }
+
+  trackCost(tokensUsed, executionTimeMs) {
+    if (tokensUsed === 0) return;
+    // text-embedding-3-small: $0.02 per 1M tokens
+    const performanceTrackingService = require("../performanceTrackingService");
+    performanceTrackingService
+      .trackAPICost({
+        service: "openai",
+        operationType: "embedding",
+        costUsd: (tokensUsed / 1000000) * 0.02,
+        tokensUsed,
+        cacheUsed: false,
+        requestId: `embedding-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`,
+        metadata: { model: this.model, executionTimeMs },
+      })
+      .catch((err) => {
+        log.warn("Failed to track embedding cost:", err.message);
+      });
+  }
+}
+
+/**
+ * Self-hosted server exposing the OpenAI /embeddings API (config.localLLM)
+ * Free to run, so no cost tracking
+ */
+class LocalLLMEmbeddingProvider extends OpenAIEmbeddingProvider {
+  constructor(options = {}) {
+    super({
+      ...options,
+      timeoutMs: options.timeoutMs || config.localLLM?.timeoutMs,
+    });
+    this.name = "local-llm";
+    // Never fall back to the OpenAI key or model defaults for a local server
+    this.apiKey = options.apiKey || null;
+    this.model = options.model || null;
+    this.baseUrl = (options.baseUrl || "").replace(/\/+$/, "");
+  }
+
+  isAvailable() {
+    return !!this.baseUrl && !!this.model;
+  }
+
+  trackCost() {}
+}
+
+class CohereEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = "cohere";
+    this.model = options.model || "embed-english-v3.0";
+    this.dimension = options.dimension || 1024;
+    this.apiKey =
+      options.apiKey ||
+      process.env.COHERE_API_KEY_PROD ||
+      process.env.COHERE_API_KEY;
+  }
+
+  /**
+   * Needs the optional cohere-ai SDK as well as a key
+   */
+  isAvailable() {
+    return !!this.apiKey && moduleResolves("cohere-ai");
+  }
+
+  async embed(texts) {
+    try {
+      const { CohereClient } = require("cohere-ai");
+      const cohere = new CohereClient({ token: this.apiKey });
+      const response = await cohere.embed({
+        texts,
+        model: this.model,
+        inputType: "search_document",
+      });
+      return texts.map((_, i) => response.embeddings?.[i] || null);
+    } catch (error) {
+      log.warn("Cohere embeddings failed:", error.message);
+      return texts.map(() => null);
+    }
+  }
+}
+
+/**
+ * Offline, deterministic, code-aware embeddings
+ *
+ * Sparse TF features over identifier sub-tokens, sub-token bigrams and
+ * character trigrams, weighted by sublinear term frequency with language
+ * keywords down-weighted, projected with the hashing trick and L2-normalised.
+ * Similar identifiers and vocabulary land close together, which is what code
+ * search and similarity detection rely on.
+ */
+class LocalCodeEmbeddingProvider {
+  constructor(options = {}) {
+    this.name = "local-code";
+    this.dimension = options.dimension || 512;
+    this.model = `hashed-code-tf-v1-${this.dimension}`;
+    // Sparse lexical vectors score lower than neural ones for the same match
+    this.defaultThreshold = 0.1;
+  }
+
+  isAvailable() {
+    return true;
+  }
+
+  async embed(texts) {
+    return texts.map((text) => this.embedOne(text));
+  }
+
+  embedOne(text) {
+    const counts = new Map();
+    const add = (feature, weight) => {
+      counts.set(feature, (counts.get(feature) || 0) + weight);
+    };
+
+    const tokens = tokenizeCode(text || "");
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const keyword = CODE_KEYWORDS.has(token);
+      add(`t:${token}`, keyword ? 0.2 : 1);
+
+      if (i > 0 && !keyword && !CODE_KEYWORDS.has(tokens[i - 1])) {
+        add(`b:${tokens[i - 1]}_${token}`, 0.5);
+      }
+      if (!keyword && token.length > 3) {
+        const padded = `^${token}$`;
+        for (let j = 0; j + 3 <= padded.length; j++) {
+          add(`c:${padded.substring(j, j + 3)}`, 0.25);
+        }
+      }
+    }
+
+    const vector = new Array(this.dimension).fill(0);
+    for (const [feature, count] of counts) {
+      const { index, sign } = hashFeature(feature, this.dimension);
+      vector[index] += sign * Math.log1p(count);
+    }
+
+    let norm = 0;
+    for (const v of vector) norm += v * v;
+    norm = Math.sqrt(norm);
+    return norm > 0 ? vector.map((v) => v / norm) : vector;
+  }
+}
+
+const providers = new Map();
+
+/**
+ * Register (or replace) an embedding provider
+ * @param {Object} provider - { name, model, dimension, isAvailable(), embed(texts) }
+ */
+function registerEmbeddingProvider(provider) {
+  for (const method of ["isAvailable", "embed"]) {
+    if (typeof provider[method] !== "function") {
+      throw new Error(
+        `Embedding provider ${provider.name} must implement ${method}()`,
+      );
+    }
+  }
+  providers.set(provider.name, provider);
+}
+
+function getEmbeddingProvider(name) {
+  return providers.get(name) || null;
+}
+
+/**
+ * Provider selected by config.embeddings.provider
+ * "auto" picks the first available of local-llm, openai, cohere, local-code
+ */
+function getActiveEmbeddingProvider() {
+  const requested = config.embeddings?.provider || "auto";
+  if (requested !== "auto") {
+    const provider = providers.get(requested);
+    if (provider && provider.isAvailable()) {
+      return provider;
+    }
+    log.warn(
+      `Embedding provider "${requested}" unavailable, using local-code embeddings`,
+    );
+    return providers.get("local-code");
+  }
+
+  for (const name of ["local-llm", "openai", "cohere", "local-code"]) {
+    const provider = providers.get(name);
+    if (provider && provider.isAvailable()) {
+      return provider;
+    }
+  }
+  return providers.get("local-code");
+}
+
+/**
+ * Identity of a provider's vector space, for index metadata
+ */
+function describeProvider(provider = getActiveEmbeddingProvider()) {
+  return {
+    provider: provider.name,
+    model: provider.model,
+    dimension: provider.dimension,
+  };
+}
+
+/**
+ * Compact identifier of a provider's vector space, for cache namespacing
+ */
+function providerKey(provider = getActiveEmbeddingProvider()) {
+  return `${provider.name}/${provider.model}/${provider.dimension}`;
+}
+
+/**
+ * Whether stored metadata was produced by the same vector space
+ */
+function isSameVectorSpace(a, b) {
+  return (
+    !!a &&
+    !!b &&
+    a.provider === b.provider &&
+    a.model === b.model &&
+    a.dimension === b.dimension
+  );
+}
+
+registerEmbeddingProvider(new OpenAIEmbeddingProvider());
+registerEmbeddingProvider(
+  new LocalLLMEmbeddingProvider({
+    baseUrl: config.localLLM?.baseUrl,
+    apiKey: config.localLLM?.apiKey,
+    model: config.localLLM?.embeddingModel,
+    dimension: config.localLLM?.embeddingDimension,
+  }),
+);
+registerEmbeddingProvider(new CohereEmbeddingProvider());
+registerEmbeddingProvider(
+  new LocalCodeEmbeddingProvider({
+    dimension: config.embeddings?.localDimension,
+  }),
+);
+
+// Code chunks can hold secrets and PHI just like prompts
+promptRedactionService.wrapEmbeddings(providers.get("openai"), "openai");
+promptRedactionService.wrapEmbeddings(providers.get("cohere"), "cohere");
+promptRedactionService.wrapEmbeddings(providers.get("local-llm"), "local");
+
+module.exports = {
+  OpenAIEmbeddingProvider,
+  LocalLLMEmbeddingProvider,
+  CohereEmbeddingProvider,
+  LocalCodeEmbeddingProvider,
+  registerEmbeddingProvider,
+  getEmbeddingProvider,
+  getActiveEmbeddingProvider,
+  describeProvider,
+  providerKey,
+  isSameVectorSpace,
+  tokenizeCode,
+};
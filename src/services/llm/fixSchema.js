@@ -0,0 +1,164 @@
+/**
+ * Fix Schema
+ * Structured shape of LLM-generated fixes: line-range edits against the
+ * original file plus rationale, confidence and affected symbols
+ *
+ * Edits use 1-based, inclusive line numbers of the ORIGINAL code:
+ * - replace lines 10-12:  { startLine: 10, endLine: 12, replacement: "..." }
+ * - delete lines 10-12:   { startLine: 10, endLine: 12, replacement: "" }
+ * - insert before line 10: { startLine: 10, endLine: 9, replacement: "..." }
+ */
+
+const FIX_SCHEMA = {
+  type: "object",
+  required: ["edits", "rationale", "confidence", "affectedSymbols"],
+  additionalProperties: false,
+  properties: {
+    edits: {
+      type: "array",
+      minItems: 1,
+      maxItems: 50,
+      items: {
+        type: "object",
+        required: ["startLine", "endLine", "replacement"],
+        additionalProperties: false,
+        properties: {
+          startLine: { type: "integer", minimum: 1 },
+          endLine: { type: "integer", minimum: 0 },
+          replacement: { type: "string" },
+        },
+      },
+    },
+    rationale: { type: "string", minLength: 1 },
+    confidence: { type: "number", minimum: 0, maximum: 1 },
+    affectedSymbols: { type: "array", items: { type: "string" } },
+    safety: { type: "string", enum: ["safe", "medium", "risky"] },
+  },
+};
+
+/**
+ * Prefix each line with its 1-based number so the model can cite ranges
+ * @param {string} code - Full source
+ * @param {Object} [options] - { around, context } to limit to a window
+ */
+function numberLines(code, options = {}) {
+  const lines = code.split("\n");
+  let start = 0;
+  let end = lines.length;
+  if (options.around) {
+    const context = options.context || 30;
+    start = Math.max(0, options.around - 1 - context);
+    end = Math.min(lines.length, options.around + context);
+  }
+  const width = String(end).length;
+  return lines
+    .slice(start, end)
+    .map((line, i) => `${String(start + i + 1).padStart(width)} | ${line}`)
+    .join("\n");
+}
+
+/**
+ * Semantic checks the schema can't express: ranges inside the file, no overlap
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateFixEdits(edits, code) {
+  const errors = [];
+  const lineCount = code.split("\n").length;
+
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort((a, b) => a.startLine - b.startLine || a.endLine - b.endLine);
+
+  for (const edit of sorted) {
+    const at = `$.edits[${edit.index}]`;
+    if (edit.startLine > lineCount + 1) {
+      errors.push(
+        `${at}.startLine: ${edit.startLine} is past the end of the file (${lineCount} lines)`,
+      );
+    }
+    if (edit.endLine > lineCount) {
+      errors.push(
+        `${at}.endLine: ${edit.endLine} is past the end of the file (${lineCount} lines)`,
+      );
+    }
+    if (edit.endLine < edit.startLine - 1) {
+      errors.push(`${at}: endLine must be >= startLine - 1`);
+    }
+  }
+
+  for (let i = 1; i < sorted.length; i++) {
+    const previous = sorted[i - 1];
+    const current = sorted[i];
+    if (current.startLine <= previous.endLine) {
+      errors.push(
+        `$.edits[${current.index}]: overlaps $.edits[${previous.index}] (lines ${current.startLine}-${previous.endLine})`,
+      );
+    }
+  }
+
+  if (errors.length === 0 && edits.every((edit) => isNoOp(edit, code))) {
+    errors.push("$.edits: edits do not change the code");
+  }
+
+  return errors;
+}
+
+function isNoOp(edit, code) {
+  const lines = code.split("\n");
+  return (
+    lines.slice(edit.startLine - 1, edit.endLine).join("\n") ===
+    edit.replacement
+  );
+}
+
+/**
+ * Apply validated edits to the original code
+ * Applied bottom-up so earlier line numbers stay valid. At the same start
+ * line a replacement runs before an insertion, so the insertion lands above
+ * the replaced lines, and insertions keep their order in the list.
+ */
+function applyFixEdits(code, edits) {
+  const lines = code.split("\n");
+  const sorted = edits
+    .map((edit, index) => ({ ...edit, index }))
+    .sort(
+      (a, b) =>
+        b.startLine - a.startLine ||
+        b.endLine - a.endLine ||
+        b.index - a.index,
+    );
+  for (const edit of sorted) {
+    const replacement =
+      edit.replacement === "" ? [] : edit.replacement.split("\n");
+    lines.splice(
+      edit.startLine - 1,
+      Math.max(0, edit.endLine - edit.startLine + 1),
+      ...replacement,
+    );
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Human-readable list of changes (legacy `changes` field)
+ */
+function describeFixEdits(edits) {
+  return edits.map((edit) => {
+    if (edit.endLine < edit.startLine) {
+      return `Inserted ${edit.replacement.split("\n").length} line(s) before line ${edit.startLine}`;
+    }
+    const range =
+      edit.startLine === edit.endLine
+        ? `line ${edit.startLine}`
+        : `lines ${edit.startLine}-${edit.endLine}`;
+    return edit.replacement === "" ? `Deleted ${range}` : `Replaced ${range}`;
+  });
+}
+
+module.exports = {
+  FIX_SCHEMA,
+  numberLines,
+  validateFixEdits,
+  applyFixEdits,
+  describeFixEdits,
+};
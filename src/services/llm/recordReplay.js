@@ -0,0 +1,169 @@
+/**
+ * LLM Record/Replay
+ * Deterministic LLM responses for tests of the fix pipeline
+ *
+ * Modes (config.llmRecordReplay.mode / LLM_RECORD_MODE):
+ * - off     (default) providers are called normally
+ * - record  providers are called and each prompt -> response pair is written
+ *           to <fixturesDir>/<hash>.json
+ * - replay  fixtures are served back without any network access; a prompt
+ *           with no fixture throws FixtureMissingError
+ *
+ * Fixtures are keyed by a hash of the normalized system + user prompt. The
+ * provider and model are recorded but not part of the key, because routing
+ * (CSAT picks, weighted provider choice) is not deterministic between runs.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const config = require("../../config");
+const { createLogger } = require("../../utils/logger");
+const log = createLogger("LLMRecordReplay");
+
+const FIXTURE_MISSING = "LLM_FIXTURE_MISSING";
+
+class FixtureMissingError extends Error {
+  constructor(key, fixturePath, userPrompt) {
+    super(
+      `No LLM fixture for prompt ${key} (${fixturePath}). ` +
+        `Re-run with LLM_RECORD_MODE=record to capture it. Prompt starts: ` +
+        JSON.stringify(String(userPrompt || "").substring(0, 120)),
+    );
+    this.name = "FixtureMissingError";
+    this.code = FIXTURE_MISSING;
+    this.key = key;
+    this.fixturePath = fixturePath;
+  }
+}
+
+/**
+ * Normalize a prompt so incidental differences don't change the key
+ * Collapses whitespace and masks timestamps, UUIDs and long numeric ids
+ */
+function normalizePrompt(text) {
+  return String(text || "")
+    .replace(/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(?:\.\d+)?Z?/g, "<timestamp>")
+    .replace(
+      /[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}/gi,
+      "<uuid>",
+    )
+    .replace(/\b\d{10,}\b/g, "<id>")
+    .replace(/\s+/g, " ")
+    .trim();
+}
+
+class LLMRecordReplay {
+  constructor(options = {}) {
+    this.mode = options.mode || "off";
+    this.fixturesDir = options.fixturesDir;
+    this.misses = [];
+  }
+
+  get enabled() {
+    return this.mode === "record" || this.mode === "replay";
+  }
+
+  /**
+   * Fixture key for a prompt pair
+   */
+  key(systemPrompt, userPrompt) {
+    return crypto
+      .createHash("sha256")
+      .update(
+        `${normalizePrompt(systemPrompt)}\n---\n${normalizePrompt(userPrompt)}`,
+      )
+      .digest("hex")
+      .substring(0, 32);
+  }
+
+  fixturePath(key) {
+    return path.join(this.fixturesDir, `${key}.json`);
+  }
+
+  /**
+   * Wrap provider methods with signature (systemPrompt, userPrompt, model)
+   * @param {Object} target - Object owning the methods (e.g. llmService)
+   * @param {Object<string, string>} methods - method name -> provider name
+   */
+  wrap(target, methods) {
+    if (!this.enabled) return;
+
+    for (const [method, provider] of Object.entries(methods)) {
+      const original = target[method].bind(target);
+      target[method] = (systemPrompt, userPrompt, model) =>
+        this.handle(provider, original, systemPrompt, userPrompt, model);
+    }
+    log.info(`LLM ${this.mode} mode enabled (fixtures: ${this.fixturesDir})`);
+  }
+
+  async handle(provider, original, systemPrompt, userPrompt, model) {
+    const key = this.key(systemPrompt, userPrompt);
+    const fixturePath = this.fixturePath(key);
+
+    if (this.mode === "replay") {
+      if (!fs.existsSync(fixturePath)) {
+        this.misses.push({ key, provider, model, fixturePath });
+        const error = new FixtureMissingError(key, fixturePath, userPrompt);
+        log.error(error.message);
+        throw error;
+      }
+      const fixture = JSON.parse(fs.readFileSync(fixturePath, "utf8"));
+      return { ...fixture.result, replayed: true };
+    }
+
+    const result = await original(systemPrompt, userPrompt, model);
+    this.save(fixturePath, {
+      key,
+      provider,
+      model,
+      systemPrompt,
+      userPrompt,
+      result,
+      recordedAt: new Date().toISOString(),
+    });
+    return result;
+  }
+
+  save(fixturePath, fixture) {
+    try {
+      fs.mkdirSync(this.fixturesDir, { recursive: true });
+      const tmpPath = `${fixturePath}.${process.pid}.tmp`;
+      fs.writeFileSync(tmpPath, JSON.stringify(fixture, null, 2));
+      fs.renameSync(tmpPath, fixturePath);
+    } catch (error) {
+      log.warn(`Failed to record LLM fixture ${fixturePath}:`, error.message);
+    }
+  }
+
+  /**
+   * Prompts that had no fixture during replay (for test assertions)
+   */
+  getMisses() {
+    return [...this.misses];
+  }
+
+  resetMisses() {
+    this.misses = [];
+  }
+}
+
+/**
+ * Whether an error is a replay miss that must not be swallowed by fallbacks
+ */
+function isFixtureMissing(error) {
+  return error?.code === FIXTURE_MISSING;
+}
+
+const recordReplay = new LLMRecordReplay({
+  mode: config.llmRecordReplay?.mode,
+  fixturesDir: config.llmRecordReplay?.fixturesDir,
+});
+
+module.exports = {
+  LLMRecordReplay,
+  FixtureMissingError,
+  normalizePrompt,
+  isFixtureMissing,
+  recordReplay,
+};
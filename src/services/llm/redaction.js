@@ -0,0 +1,272 @@
+/**
+ * Prompt Redaction
+ * Finds secrets, credentials, tokens, emails and PHI in prompt text and
+ * swaps them for placeholders before the text is sent to an LLM provider
+ *
+ * A placeholder names the category and a keyed hash of the value, e.g.
+ * REDACTED_SECRET_3fa91c0d, so the same value gets the same placeholder in
+ * every prompt of a session (and across sessions with the same key). It is
+ * a valid identifier, which models tend to copy through into generated code
+ * untouched; restore() puts the original values back.
+ */
+
+const crypto = require("crypto");
+
+const PLACEHOLDER_PATTERN = /\bREDACTED_[A-Z]+_[0-9a-f]{8}\b/g;
+const CONTAINS_PLACEHOLDER = /REDACTED_[A-Z]+_[0-9a-f]{8}/;
+
+// Rules run in order; a rule with `group` only replaces that capture group.
+// Earlier rules win, so specific token formats come before generic ones.
+const RULES = [
+  {
+    type: "private_key",
+    category: "secret",
+    pattern:
+      /-----BEGIN [A-Z ]*PRIVATE KEY-----[\s\S]*?-----END [A-Z ]*PRIVATE KEY-----/g,
+  },
+  {
+    type: "aws_access_key",
+    category: "credential",
+    pattern: /\b(?:AKIA|ASIA)[0-9A-Z]{16}\b/g,
+  },
+  {
+    type: "github_token",
+    category: "token",
+    pattern: /\b(?:gh[pousr]_[A-Za-z0-9]{36,}|github_pat_[A-Za-z0-9_]{22,})\b/g,
+  },
+  {
+    type: "slack_token",
+    category: "token",
+    pattern: /\bxox[abprs]-[A-Za-z0-9-]{10,}\b/g,
+  },
+  {
+    type: "stripe_key",
+    category: "credential",
+    pattern: /\b(?:sk|rk)_(?:live|test)_[A-Za-z0-9]{16,}\b/g,
+  },
+  {
+    type: "google_api_key",
+    category: "credential",
+    pattern: /\bAIza[0-9A-Za-z_-]{35}\b/g,
+  },
+  {
+    type: "llm_api_key",
+    category: "credential",
+    pattern: /\bsk-(?:ant-|proj-)?[A-Za-z0-9_-]{20,}\b/g,
+  },
+  {
+    type: "jwt",
+    category: "token",
+    pattern: /\beyJ[A-Za-z0-9_-]{8,}\.eyJ[A-Za-z0-9_-]{8,}\.[A-Za-z0-9_-]{8,}/g,
+  },
+  {
+    type: "bearer_token",
+    category: "token",
+    pattern: /\bBearer\s+([A-Za-z0-9._~+/-]{20,}=*)/g,
+    group: 1,
+  },
+  {
+    type: "connection_string",
+    category: "credential",
+    pattern: /\b[a-z][a-z0-9+.-]*:\/\/[^\s:/@'"`]+:([^\s@'"`]+)@/gi,
+    group: 1,
+  },
+  {
+    type: "assigned_secret",
+    category: "secret",
+    pattern:
+      /\b(?:password|passwd|pwd|secret|api[_-]?key|access[_-]?key|auth[_-]?token|token|client[_-]?secret|private[_-]?key)\w*["']?\s*[:=]\s*["'`]([^"'`\s]{8,})["'`]/gi,
+    group: 1,
+  },
+  {
+    type: "email",
+    category: "email",
+    pattern: /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)*\.[A-Za-z]{2,}\b/g,
+  },
+  {
+    type: "ssn",
+    category: "phi",
+    pattern: /\b\d{3}-\d{2}-\d{4}\b/g,
+  },
+  {
+    type: "medical_record_number",
+    category: "phi",
+    pattern:
+      /\b(?:MRN|medical record(?: number| no\.?)?)\s*[:#]?\s*["']?([A-Z0-9-]{6,12})\b/gi,
+    group: 1,
+    validate: (value) => /\d/.test(value),
+  },
+  {
+    type: "date_of_birth",
+    category: "phi",
+    pattern:
+      /\b(?:DOB|date of birth|birth_?date)\s*["']?\s*[:=]?\s*["']?(\d{1,4}[-/.]\d{1,2}[-/.]\d{1,4})/gi,
+    group: 1,
+  },
+  {
+    type: "card_number",
+    category: "payment",
+    pattern: /\b[3-6]\d{3}(?:[ -]?\d{3,4}){2,4}\b/g,
+    validate: isCardNumber,
+  },
+  {
+    type: "phone",
+    category: "pii",
+    pattern: /(?<![\w.-])(?:\+1[ .-]?)?\(?\d{3}\)?[ .-]\d{3}[ .-]\d{4}\b/g,
+  },
+];
+
+/**
+ * Luhn check over 13-19 digits (separators ignored)
+ */
+function isCardNumber(value) {
+  const digits = value.replace(/[ -]/g, "");
+  if (digits.length < 13 || digits.length > 19) return false;
+  let sum = 0;
+  for (let i = 0; i < digits.length; i++) {
+    let digit = Number(digits[digits.length - 1 - i]);
+    if (i % 2 === 1) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  }
+  return sum % 10 === 0;
+}
+
+/**
+ * Find sensitive values in text without changing it
+ * @param {string} text - Text to scan
+ * @param {Object} options - { categories } limits the rules to those
+ *   categories
+ * @returns {Array<Object>} { type, category, value, index }
+ */
+function detect(text, options = {}) {
+  const findings = [];
+  if (typeof text !== "string" || !text) return findings;
+  scan(text, options.categories, (finding) => {
+    findings.push(finding);
+    return null;
+  });
+  return findings;
+}
+
+/**
+ * Run the rules over text, calling onMatch for each value found; a string
+ * returned by onMatch replaces the value
+ */
+function scan(text, categories, onMatch) {
+  let result = text;
+  for (const rule of RULES) {
+    if (categories && !categories.includes(rule.category)) continue;
+    result = result.replace(rule.pattern, (match, ...args) => {
+      const value = rule.group ? args[rule.group - 1] : match;
+      if (!value || CONTAINS_PLACEHOLDER.test(value)) return match;
+      if (rule.validate && !rule.validate(value)) return match;
+      const offset = args[args.length - 2];
+      const replacement = onMatch({
+        type: rule.type,
+        category: rule.category,
+        value,
+        index: offset,
+      });
+      if (typeof replacement !== "string") return match;
+      if (!rule.group) return replacement;
+      const at = match.lastIndexOf(value);
+      return (
+        match.slice(0, at) + replacement + match.slice(at + value.length)
+      );
+    });
+  }
+  return result;
+}
+
+/**
+ * One request's redactions: the placeholders handed out and the values
+ * behind them, which never leave this object
+ */
+class RedactionSession {
+  /**
+   * @param {string|Buffer} key - HMAC key for placeholder and value hashes
+   */
+  constructor(key) {
+    this.key = key;
+    this.values = new Map(); // placeholder -> original value
+    this.findings = new Map(); // placeholder -> { type, category, ... }
+    // A prompt that wasn't text and so couldn't be scanned
+    this.unscanned = 0;
+  }
+
+  hash(value) {
+    return crypto.createHmac("sha256", this.key).update(value).digest("hex");
+  }
+
+  /**
+   * Replace sensitive values in text with placeholders
+   * Non-string values are returned unchanged and counted as unscanned.
+   */
+  redact(text) {
+    if (text === undefined || text === null || text === "") return text;
+    if (typeof text !== "string") {
+      this.unscanned++;
+      return text;
+    }
+    return scan(text, null, ({ type, category, value }) => {
+      const valueHash = this.hash(value);
+      const placeholder =
+        `REDACTED_${category.toUpperCase()}_` + valueHash.slice(0, 8);
+      const finding = this.findings.get(placeholder);
+      if (finding) {
+        finding.occurrences++;
+      } else {
+        this.values.set(placeholder, value);
+        this.findings.set(placeholder, {
+          placeholder,
+          type,
+          category,
+          valueHash,
+          occurrences: 1,
+        });
+      }
+      return placeholder;
+    });
+  }
+
+  /**
+   * Put the original values back in place of this session's placeholders
+   */
+  restore(text) {
+    if (typeof text !== "string" || this.values.size === 0) return text;
+    return text.replace(PLACEHOLDER_PATTERN, (placeholder) =>
+      this.values.has(placeholder) ? this.values.get(placeholder) : placeholder,
+    );
+  }
+
+  /**
+   * What was redacted, without the values: counts per category and one
+   * entry per distinct value
+   */
+  summary() {
+    const counts = {};
+    let total = 0;
+    for (const finding of this.findings.values()) {
+      counts[finding.category] =
+        (counts[finding.category] || 0) + finding.occurrences;
+      total += finding.occurrences;
+    }
+    return {
+      total,
+      counts,
+      findings: [...this.findings.values()].map((finding) => ({ ...finding })),
+      unscanned: this.unscanned,
+    };
+  }
+}
+
+module.exports = {
+  RULES,
+  PLACEHOLDER_PATTERN,
+  detect,
+  isCardNumber,
+  RedactionSession,
+};
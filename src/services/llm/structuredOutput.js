@@ -0,0 +1,354 @@
+/**
+ * Structured LLM Output
+ * JSON-schema validation, repair and re-prompting for LLM responses
+ *
+ * Callers declare a schema (a JSON Schema subset: type, properties, required,
+ * additionalProperties, items, enum, minimum, maximum, minLength, minItems,
+ * maxItems). Responses are extracted, locally repaired when the JSON is only
+ * superficially broken, validated, and otherwise re-prompted with the
+ * validation errors. After the last attempt a StructuredOutputError is thrown.
+ */
+
+const STRUCTURED_OUTPUT_INVALID = "LLM_STRUCTURED_OUTPUT_INVALID";
+
+class StructuredOutputError extends Error {
+  constructor(schemaName, errors, attempts, raw) {
+    super(
+      `LLM response did not match ${schemaName} schema after ${attempts} attempt(s): ${errors
+        .slice(0, 5)
+        .join("; ")}`,
+    );
+    this.name = "StructuredOutputError";
+    this.code = STRUCTURED_OUTPUT_INVALID;
+    this.schemaName = schemaName;
+    this.errors = errors;
+    this.attempts = attempts;
+    this.raw = raw;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (typeof value === "number" && Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === "number") return actual === "number" || actual === "integer";
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema
+ * @returns {string[]} Errors as "<path>: <problem>" (empty when valid)
+ */
+function validateSchema(value, schema, pointer = "$") {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some((type) => matchesType(value, type))) {
+      errors.push(
+        `${pointer}: expected ${types.join(" or ")}, got ${typeOf(value)}`,
+      );
+      return errors;
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${pointer}: must be one of ${schema.enum.join(", ")}`);
+  }
+
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push(`${pointer}: must be >= ${schema.minimum}`);
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push(`${pointer}: must be <= ${schema.maximum}`);
+    }
+  }
+
+  if (typeof value === "string" && schema.minLength !== undefined) {
+    if (value.length < schema.minLength) {
+      errors.push(
+        `${pointer}: must be at least ${schema.minLength} characters`,
+      );
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push(`${pointer}: must have at least ${schema.minItems} item(s)`);
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push(`${pointer}: must have at most ${schema.maxItems} item(s)`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => {
+        errors.push(...validateSchema(item, schema.items, `${pointer}[${i}]`));
+      });
+    }
+  }
+
+  if (typeOf(value) === "object") {
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) {
+        errors.push(`${pointer}.${key}: is required`);
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(
+      schema.properties || {},
+    )) {
+      if (value[key] !== undefined) {
+        errors.push(
+          ...validateSchema(value[key], propertySchema, `${pointer}.${key}`),
+        );
+      }
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(value)) {
+        if (!schema.properties?.[key]) {
+          errors.push(`${pointer}.${key}: is not allowed`);
+        }
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Pull the first top-level JSON object out of an LLM response
+ * Handles markdown fences and prose before/after the object
+ */
+function extractJson(text) {
+  if (typeof text !== "string") return null;
+
+  const fenced = text.match(/```(?:json)?\s*\n([\s\S]*?)\n```/);
+  const source = fenced ? fenced[1] : text;
+  const start = source.indexOf("{");
+  if (start === -1) return null;
+
+  let depth = 0;
+  let inString = false;
+  let escaped = false;
+  for (let i = start; i < source.length; i++) {
+    const char = source[i];
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{") {
+      depth++;
+    } else if (char === "}") {
+      depth--;
+      if (depth === 0) return source.substring(start, i + 1);
+    }
+  }
+
+  // Unterminated (e.g. truncated by max tokens) - hand back the rest for repair
+  return source.substring(start);
+}
+
+/**
+ * Fix common superficial JSON breakage without changing meaning
+ */
+function repairJson(text) {
+  let repaired = text.replace(/[“”]/g, '"').replace(/,\s*([}\]])/g, "$1");
+
+  // Close brackets left open by a truncated response
+  const stack = [];
+  let inString = false;
+  let escaped = false;
+  for (const char of repaired) {
+    if (inString) {
+      if (escaped) escaped = false;
+      else if (char === "\\") escaped = true;
+      else if (char === '"') inString = false;
+    } else if (char === '"') {
+      inString = true;
+    } else if (char === "{" || char === "[") {
+      stack.push(char === "{" ? "}" : "]");
+    } else if (char === "}" || char === "]") {
+      stack.pop();
+    }
+  }
+  if (inString) repaired += '"';
+  while (stack.length > 0) repaired += stack.pop();
+
+  return repaired;
+}
+
+/**
+ * Coerce values the schema clearly intends (e.g. "0.8" -> 0.8)
+ */
+function coerceToSchema(value, schema) {
+  if (!schema || value === undefined || value === null) return value;
+  const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+
+  if (
+    typeof value === "string" &&
+    (types.includes("number") || types.includes("integer")) &&
+    value.trim() !== "" &&
+    !isNaN(Number(value))
+  ) {
+    return Number(value);
+  }
+  if (
+    typeof value === "string" &&
+    types.includes("array") &&
+    schema.items?.type === "string"
+  ) {
+    return [value];
+  }
+  if (Array.isArray(value) && schema.items) {
+    return value.map((item) => coerceToSchema(item, schema.items));
+  }
+  if (typeOf(value) === "object" && schema.properties) {
+    const coerced = { ...value };
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      coerced[key] = coerceToSchema(value[key], propertySchema);
+      if (coerced[key] === undefined) delete coerced[key];
+    }
+    return coerced;
+  }
+  return value;
+}
+
+/**
+ * Parse and validate one LLM response
+ * @param {string} text - Raw response
+ * @param {Object} schema - JSON schema
+ * @param {Function} [validate] - Extra semantic checks, (data) => string[]
+ * @returns {{ data: Object|null, errors: string[], repaired: boolean }}
+ */
+function parseStructured(text, schema, validate = null) {
+  const json = extractJson(text);
+  if (!json) {
+    return {
+      data: null,
+      errors: ["$: response contains no JSON object"],
+      repaired: false,
+    };
+  }
+
+  let data;
+  let repaired = false;
+  try {
+    data = JSON.parse(json);
+  } catch (error) {
+    try {
+      data = JSON.parse(repairJson(json));
+      repaired = true;
+    } catch (repairError) {
+      return {
+        data: null,
+        errors: [`$: invalid JSON (${error.message})`],
+        repaired: false,
+      };
+    }
+  }
+
+  const coerced = coerceToSchema(data, schema);
+  if (JSON.stringify(coerced) !== JSON.stringify(data)) repaired = true;
+
+  const errors = validateSchema(coerced, schema);
+  if (errors.length === 0 && validate) {
+    errors.push(...validate(coerced));
+  }
+
+  return { data: errors.length === 0 ? coerced : null, errors, repaired };
+}
+
+/**
+ * Prompt suffix that declares the schema
+ */
+function buildSchemaInstructions(schemaName, schema) {
+  return `\n\nRESPONSE FORMAT: respond with ONLY a JSON object (no markdown, no prose) matching this JSON schema named "${schemaName}":\n${JSON.stringify(schema, null, 2)}`;
+}
+
+/**
+ * Follow-up prompt after a response failed validation
+ */
+function buildRepairPrompt(originalPrompt, previousResponse, errors) {
+  return `${originalPrompt}\n\nYOUR PREVIOUS RESPONSE WAS REJECTED:\n${String(previousResponse || "").substring(0, 2000)}\n\nVALIDATION ERRORS:\n${errors
+    .slice(0, 10)
+    .map((e) => `- ${e}`)
+    .join("\n")}\n\nReturn a corrected JSON object only.`;
+}
+
+/**
+ * Ask for a schema-valid response, re-prompting with the validation errors
+ * @param {Function} request - (prompt) => Promise<{ narrative }>, one model call
+ * @param {Object} options
+ * @param {string} options.userPrompt - Task prompt (schema instructions are appended)
+ * @param {Object} options.schema - JSON schema the response must match
+ * @param {string} options.schemaName - Schema name for prompts and errors
+ * @param {Function} [options.validate] - Extra semantic checks, (data) => string[]
+ * @param {number} [options.maxAttempts] - Total attempts including re-prompts (default 3)
+ * @param {Function} [options.onAttempt] - Called after each call with
+ *   { attempt, result, valid, errors }
+ * @returns {Promise<Object>} { data, attempts, repaired, result }
+ * @throws {StructuredOutputError} When no attempt produced a valid response
+ */
+async function requestStructured(request, options) {
+  const {
+    userPrompt,
+    schema,
+    schemaName = "response",
+    validate = null,
+    maxAttempts = 3,
+    onAttempt = null,
+  } = options;
+
+  const basePrompt = `${userPrompt}${buildSchemaInstructions(schemaName, schema)}`;
+  let prompt = basePrompt;
+  let lastErrors = [];
+  let lastResponse = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const result = await request(prompt);
+    lastResponse = result.narrative;
+
+    const { data, errors, repaired } = parseStructured(
+      result.narrative,
+      schema,
+      validate,
+    );
+    if (onAttempt) onAttempt({ attempt, result, valid: !!data, errors });
+    if (data) {
+      return { data, attempts: attempt, repaired, result };
+    }
+
+    lastErrors = errors;
+    prompt = buildRepairPrompt(basePrompt, result.narrative, errors);
+  }
+
+  throw new StructuredOutputError(
+    schemaName,
+    lastErrors,
+    maxAttempts,
+    lastResponse,
+  );
+}
+
+function isStructuredOutputError(error) {
+  return error?.code === STRUCTURED_OUTPUT_INVALID;
+}
+
+module.exports = {
+  StructuredOutputError,
+  validateSchema,
+  extractJson,
+  repairJson,
+  coerceToSchema,
+  parseStructured,
+  buildSchemaInstructions,
+  buildRepairPrompt,
+  requestStructured,
+  isStructuredOutputError,
+};
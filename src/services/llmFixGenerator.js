@@ -14,6 +14,17 @@
  */
 
 const llmService = require("./llmService");
+const { isFixtureMissing } = require("./llm/recordReplay");
+const { isStructuredOutputError } = require("./llm/structuredOutput");
+const tokenBudgetService = require("./tokenBudgetService");
+const patternBasedFixTemplates = require("./patternBasedFixTemplates");
+const {
+  FIX_SCHEMA,
+  numberLines,
+  validateFixEdits,
+  applyFixEdits,
+  describeFixEdits,
+} = require("./llm/fixSchema");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("LlmFixGenerator");
 const codebaseSearch = require("./codebaseSearch");
@@ -113,13 +124,11 @@ class LLMFixGenerator {
         codeStyle: context.codeStyle || null,
       };
 
-      // Generate fix using LLM
+      // Generate fix using LLM (spend counts against the tenant/project budget)
       const startTime = Date.now();
-      const fix = await this.generateFixWithLLM(
-        issue,
-        code,
-        filePath,
-        enhancedContext,
+      const fix = await tokenBudgetService.runWithScope(
+        { tenantId: context.tenantId, projectId: context.project_id },
+        () => this.generateFixWithLLM(issue, code, filePath, enhancedContext),
       );
       const duration = Date.now() - startTime;
 
@@ -201,10 +210,13 @@ class LLMFixGenerator {
       this.fixStats.generated++;
       return fix;
     } catch (err) {
+      if (isFixtureMissing(err)) throw err;
       console.error("[LLM Fix Generator] Error generating fix:", err);
       return {
         success: false,
         error: err.message,
+        errorCode: err.code,
+        validationErrors: err.errors,
         confidence: 0,
       };
     }
@@ -223,6 +235,11 @@ class LLMFixGenerator {
       codeStyle,
     } = context;
 
+    // Over budget: skip the LLM entirely
+    if (await tokenBudgetService.isExceeded()) {
+      return this.generatePatternOnlyFix(issue, code);
+    }
+
     // Build prompt for LLM (with enhanced context)
     const prompt = this.buildFixPrompt(issue, code, filePath, {
       codebaseContext,
@@ -231,6 +248,7 @@ class LLMFixGenerator {
       similarPatterns,
       existingFixes,
       codeStyle,
+      customerExpertContext: context.customerExpertContext,
     });
 
     try {
@@ -244,17 +262,16 @@ class LLMFixGenerator {
       // Determine context type for routing
       const contextType = this.getContextTypeForIssue(issue);
 
-      // Generate fix using new LLM service with smart routing
-      const response = await llmService.generateNarrative({
-        userMessage: prompt,
-        gameStateContext: this.buildContextForFix(
-          issue,
-          code,
-          filePath,
-          context,
-        ),
+      // Structured output: line-range edits validated against FIX_SCHEMA,
+      // re-prompted on invalid JSON or out-of-range/overlapping edits
+      const response = await llmService.generateStructured({
+        systemPrompt:
+          "You are an expert code fixer. You fix issues with minimal, precise line-range edits and respond only with JSON.",
+        userPrompt: prompt,
+        schema: FIX_SCHEMA,
+        schemaName: "code_fix",
+        validate: (data) => validateFixEdits(data.edits, code),
         costMode: costMode,
-        source: "code-roach-fix", // Track Code Roach usage
         // Context for smart routing
         context: {
           contextType: contextType,
@@ -268,23 +285,68 @@ class LLMFixGenerator {
         },
       });
 
-      // Parse LLM response
-      const fix = this.parseFixResponse(response.narrative, issue, code);
+      const fix = this.buildStructuredFix(response.data, code);
 
       // Add provider info to fix metadata
       fix.provider = response.provider;
       fix.model = response.model;
       fix.cost = response.cost;
       fix.responseTime = response.responseTime;
+      fix.attempts = response.attempts;
 
       return fix;
     } catch (err) {
+      // Replay misses and schema rejections surface as typed errors
+      if (isFixtureMissing(err) || isStructuredOutputError(err)) throw err;
+      if (tokenBudgetService.isBudgetExceeded(err)) {
+        return this.generatePatternOnlyFix(issue, code);
+      }
       console.error("[LLM Fix Generator] LLM error:", err);
       // Fallback to pattern-based fix
       return this.generatePatternBasedFix(issue, code, filePath);
     }
   }
 
+  /**
+   * Pattern-only fix used when the LLM budget is exhausted
+   */
+  generatePatternOnlyFix(issue, code) {
+    log.warn(
+      `[LLM Fix Generator] LLM budget exceeded - pattern-only fix for: ${issue.message}`,
+    );
+    const fix = patternBasedFixTemplates.generatePatternFix(issue, code) || {
+      success: false,
+      error: "LLM budget exceeded and no pattern-only fix applies",
+      errorCode: "LLM_BUDGET_EXCEEDED",
+      confidence: 0,
+    };
+    fix.budgetExceeded = true;
+    return fix;
+  }
+
+  /**
+   * Build fix object from a validated code_fix response
+   * fixedCode is the whole file with the edits applied
+   */
+  buildStructuredFix(data, code) {
+    return {
+      success: true,
+      edits: data.edits,
+      fixedCode: applyFixEdits(code, data.edits),
+      explanation: data.rationale,
+      rationale: data.rationale,
+      confidence: data.confidence,
+      safety: data.safety || "medium",
+      affectedSymbols: data.affectedSymbols,
+      changes: describeFixEdits(data.edits),
+      structured: true,
+      metadata: {
+        schema: "code_fix",
+        timestamp: Date.now(),
+      },
+    };
+  }
+
   /**
    * Get context type for issue (for smart routing)
    */
@@ -324,7 +386,10 @@ class LLMFixGenerator {
       existingFixes,
       codeStyle,
     } = context;
-    const codeSnippet = this.getCodeSnippet(code, issue.line || 1, 10);
+    const numberedCode = numberLines(code, {
+      around: issue.line || 1,
+      context: 30,
+    });
 
     let prompt = `You are an expert code fixer. Generate a fix for the following issue.
 
@@ -334,9 +399,9 @@ SEVERITY: ${issue.severity || "medium"}
 MESSAGE: ${issue.message}
 LINE: ${issue.line || "unknown"}
 
-CODE CONTEXT:
+CODE CONTEXT (line numbers are part of the display, not the code):
 \`\`\`javascript
-${codeSnippet}
+${numberedCode}
 \`\`\`
 
 `;
@@ -401,23 +466,12 @@ ${similarPatterns
     }
 
     prompt += `REQUIREMENTS:
-1. Generate ONLY the fixed code (not the entire file)
-2. Maintain the same code style and conventions
-3. Fix the issue completely
-4. Don't break existing functionality
-5. Add error handling if needed
-6. Follow best practices
-
-RESPONSE FORMAT (JSON):
-{
-  "fixedCode": "the fixed code snippet",
-  "explanation": "brief explanation of the fix",
-  "confidence": 0.0-1.0,
-  "safety": "safe|medium|risky",
-  "changes": ["list of what changed"]
-}
-
-Generate the fix:`;
+1. Express the fix as edits: each replaces original lines startLine..endLine (1-based, inclusive) with "replacement" (no line-number prefixes)
+2. To insert before line N use startLine N and endLine N-1; to delete use an empty replacement
+3. Edit only the lines needed; edits must not overlap
+4. Maintain the same code style, indentation and conventions
+5. Fix the issue completely without breaking existing functionality
+6. List the functions, classes or variables the fix touches in affectedSymbols`;
 
     return prompt;
   }
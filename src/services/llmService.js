@@ -11,12 +11,14 @@
 /**
  * LLM Service
  * Provides LLM-based narrative generation for AI GM with game state context injection
- * Supports OpenAI, Anthropic (Claude), Google Gemini, Mistral AI, Cohere, and Together.ai APIs
+ * Supports OpenAI, Anthropic (Claude), Google Gemini, Mistral AI, Cohere, and Together.ai APIs,
+ * plus a self-hosted model server with an OpenAI-compatible API (config.localLLM)
  */
 
 // Ensure environment variables are loaded
 require("dotenv").config();
 
+const appConfig = require("../config");
 const performanceTrackingService = require("./performanceTrackingService");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("LlmService");
@@ -77,6 +79,15 @@ const {
   BASE_SYSTEM_PROMPT: IMPORTED_BASE_SYSTEM_PROMPT,
 } = require("./llm/prompts");
 const llmProviders = require("./llm/providers");
+const {
+  getEmbeddingProvider,
+  getActiveEmbeddingProvider,
+  describeProvider,
+} = require("./llm/embeddingProviders");
+const { recordReplay, isFixtureMissing } = require("./llm/recordReplay");
+const tokenBudgetService = require("./tokenBudgetService");
+const promptRedactionService = require("./promptRedactionService");
+const { requestStructured } = require("./llm/structuredOutput");
 
 // Use imported prompts (keeps backward compatibility with existing code)
 const GAME_STATE_INSTRUCTIONS =
@@ -323,6 +334,10 @@ class LLMService {
       process.env.COHERE_API_KEY || process.env.COHERE_API_KEY_PROD;
     this.cohereApiKeyProd = process.env.COHERE_API_KEY_PROD; // Backup production key
     this.togetherApiKey = process.env.TOGETHER_API_KEY;
+    this.localLLM = {
+      ...appConfig.localLLM,
+      baseUrl: (appConfig.localLLM?.baseUrl || "").replace(/\/+$/, ""),
+    };
     this.defaultProvider = process.env.LLM_PROVIDER || "openai"; // 'openai', 'anthropic', 'gemini', 'mistral', 'cohere', or 'together'
     // HEAD OF AI: Use fine-tuned Mistral model by default (trained for Smugglers!)
     const FINE_TUNED_MISTRAL =
@@ -335,6 +350,7 @@ class LLMService {
       mistral: process.env.MISTRAL_MODEL || FINE_TUNED_MISTRAL, // Fine-tuned for Smugglers!
       cohere: process.env.COHERE_MODEL || "command-r-plus",
       together: process.env.TOGETHER_MODEL || "meta-llama/Llama-3-70b-chat-hf", // Together.ai default model
+      local: this.localLLM.models?.[0] || "llama3.1:8b",
     };
 
     // Rate limiting cache (simple in-memory, could be upgraded to Redis)
@@ -386,6 +402,32 @@ class LLMService {
     this.fallbackTemplates = this.initializeFallbackTemplates();
 
     this.available = this.checkAvailability();
+
+    // Record/replay (LLM_RECORD_MODE) sits underneath every provider call
+    recordReplay.wrap(this, {
+      generateOpenAI: "openai",
+      generateAnthropic: "anthropic",
+      generateGemini: "gemini",
+      generateMistral: "mistral",
+      generateCohere: "cohere",
+      generateTogether: "together",
+      generateLocal: "local",
+    });
+
+    // Redaction wraps record/replay, so fixtures only see redacted prompts
+    promptRedactionService.wrap(
+      this,
+      {
+        generateOpenAI: "openai",
+        generateAnthropic: "anthropic",
+        generateGemini: "gemini",
+        generateMistral: "mistral",
+        generateCohere: "cohere",
+        generateTogether: "together",
+        generateLocal: "local",
+      },
+      { scope: () => tokenBudgetService.currentScope() },
+    );
   }
 
   /**
@@ -479,6 +521,7 @@ class LLMService {
       mistral: !!this.mistralApiKey,
       cohere: !!this.cohereApiKey || !!this.cohereApiKeyProd,
       together: !!this.togetherApiKey,
+      local: !!this.localLLM.baseUrl,
     };
 
     const totalAvailable = Object.values(available).filter((v) => v).length;
@@ -488,7 +531,7 @@ class LLMService {
         "⚠️  No LLM API keys configured. LLM narrative generation will not be available.",
       );
       log.warn(
-        "   Set OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY, MISTRAL_API_KEY, COHERE_API_KEY, or TOGETHER_API_KEY environment variable to enable.",
+        "   Set OPENAI_API_KEY, ANTHROPIC_API_KEY, GEMINI_API_KEY, MISTRAL_API_KEY, COHERE_API_KEY, TOGETHER_API_KEY, or LOCAL_LLM_BASE_URL environment variable to enable.",
       );
     } else {
       if (available.openai) {
@@ -509,7 +552,12 @@ class LLMService {
       if (available.together) {
         console.log("✅ Together.ai LLM service available");
       }
-      console.log(`📊 Total LLM providers available: ${totalAvailable}/6`);
+      if (available.local) {
+        console.log(
+          `✅ Local LLM service available (${this.localLLM.baseUrl}, priority: ${this.localLLM.priority})`,
+        );
+      }
+      console.log(`📊 Total LLM providers available: ${totalAvailable}/7`);
     }
 
     return available;
@@ -524,7 +572,8 @@ class LLMService {
       this.available.anthropic ||
       this.available.gemini ||
       this.available.mistral ||
-      this.available.cohere
+      this.available.cohere ||
+      this.available.local
     );
   }
 
@@ -681,7 +730,10 @@ class LLMService {
     // Rough estimate based on input length
     const estimatedTokens = Math.ceil(inputLength / 4); // ~4 chars per token
 
-    if (provider === "openai") {
+    if (provider === "local") {
+      // Self-hosted: no per-token charge
+      return 0;
+    } else if (provider === "openai") {
       const costPer1kTokens = {
         "gpt-4o-mini": { input: 0.15, output: 0.6 },
         "gpt-4o": { input: 2.5, output: 10.0 },
@@ -877,6 +929,14 @@ class LLMService {
   getProviderForContext(context, routingStrategy = "balanced") {
     const { contextType, importance, isCritical, isComplex } = context;
 
+    // Self-hosted model takes precedence unless configured as a fallback only
+    if (this.available.local && this.localLLM.priority !== "fallback") {
+      return {
+        provider: "local",
+        model: this.getLocalModel(context, routingStrategy),
+      };
+    }
+
     // HEAD OF AI: Fine-tuned Mistral model for Smugglers narratives
     const FINE_TUNED_MISTRAL =
       "ft:mistral-small-latest:d7de2b55:20251220:smuggler-narrator:20bab39d";
@@ -923,6 +983,28 @@ class LLMService {
     return { provider: "mistral", model: FINE_TUNED_MISTRAL };
   }
 
+  /**
+   * Pick a model from the local model list
+   * The list is ordered fastest to most capable
+   */
+  getLocalModel(context = {}, routingStrategy = "balanced") {
+    const models = this.localLLM.models || [];
+    if (models.length === 0) {
+      return this.defaultModel.local;
+    }
+
+    const { importance, isCritical, isComplex, contextType } = context;
+    const wantsCapable =
+      routingStrategy === "quality" ||
+      (routingStrategy !== "aggressive" &&
+        (isCritical ||
+          isComplex ||
+          importance === "critical" ||
+          contextType === "complex"));
+
+    return wantsCapable ? models[models.length - 1] : models[0];
+  }
+
   /**
    * Get fallback provider if primary fails
    */
@@ -934,17 +1016,37 @@ class LLMService {
       openai: ["gemini", "mistral", "together", "cohere", "anthropic"],
       cohere: ["gemini", "mistral", "together", "openai", "anthropic"],
       anthropic: ["gemini", "mistral", "together", "openai", "cohere"],
+      local: ["gemini", "mistral", "together", "openai", "cohere", "anthropic"],
     };
 
-    const chain = fallbackChain[failedProvider] || [
+    let chain = fallbackChain[failedProvider] || [
       "gemini",
       "mistral",
       "openai",
     ];
 
+    // Local model placement follows LOCAL_LLM_PRIORITY
+    if (failedProvider !== "local") {
+      if (this.localLLM.priority === "only") {
+        chain = ["local"];
+      } else if (this.localLLM.priority === "fallback") {
+        chain = [...chain, "local"];
+      } else {
+        chain = ["local", ...chain];
+      }
+    } else if (this.localLLM.priority === "only") {
+      chain = [];
+    }
+
     // Find first available provider in chain
     for (const provider of chain) {
       if (this.available[provider]) {
+        if (provider === "local") {
+          return {
+            provider,
+            model: this.getLocalModel({}, routingStrategy),
+          };
+        }
         if (routingStrategy === "aggressive") {
           return {
             provider,
@@ -958,7 +1060,13 @@ class LLMService {
       }
     }
 
-    // Last resort: use default
+    // Last resort: use default (never a cloud provider when local-only)
+    if (this.localLLM.priority === "only") {
+      return {
+        provider: "local",
+        model: this.getLocalModel({}, routingStrategy),
+      };
+    }
     return {
       provider: this.defaultProvider,
       model: this.defaultModel[this.defaultProvider],
@@ -1104,6 +1212,12 @@ class LLMService {
       selectedModel = selectedModel || fallback.model;
     }
 
+    // LOCAL_LLM_PRIORITY=only keeps every prompt on-prem, including CSAT picks
+    if (this.localLLM.priority === "only" && selectedProvider !== "local") {
+      selectedProvider = "local";
+      selectedModel = this.getLocalModel(analyzedContext, routingStrategy);
+    }
+
     // Ensure model is set
     selectedModel = selectedModel || this.defaultModel[selectedProvider];
 
@@ -1693,51 +1807,12 @@ class LLMService {
     const startTime = Date.now();
 
     try {
-      if (selectedProvider === "openai") {
-        result = await this.generateOpenAI(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else if (selectedProvider === "anthropic") {
-        result = await this.generateAnthropic(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else if (selectedProvider === "gemini") {
-        result = await this.generateGemini(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else if (selectedProvider === "mistral") {
-        result = await this.generateMistral(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else if (selectedProvider === "cohere") {
-        result = await this.generateCohere(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else if (selectedProvider === "together") {
-        result = await this.generateTogether(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else if (selectedProvider === "local") {
-        result = await this.generateLocal(
-          systemPrompt,
-          enhancedUserPrompt,
-          selectedModel,
-        );
-      } else {
-        throw new Error(`Unknown provider: ${selectedProvider}`);
-      }
+      result = await this.callProvider(
+        selectedProvider,
+        systemPrompt,
+        enhancedUserPrompt,
+        selectedModel,
+      );
 
       const responseTime = Date.now() - startTime;
 
@@ -2673,6 +2748,11 @@ class LLMService {
           log.warn("[LLM Service] Metrics tracking error:", err.message);
         });
 
+      // Replay misses must surface, not turn into template narratives
+      if (isFixtureMissing(error)) {
+        throw error;
+      }
+
       // Try fallback if enabled
       if (this.fallbackEnabled) {
         console.log("[LLM Service] Using fallback due to error");
@@ -2683,6 +2763,167 @@ class LLMService {
     }
   }
 
+  /**
+   * Call a provider's raw generate method
+   * Checked against and counted toward the active tenant/project budget
+   * @returns {Promise<Object>} { narrative, tokensUsed, promptTokens, completionTokens, cost }
+   * @throws {Error} BudgetExceededError (code LLM_BUDGET_EXCEEDED) over a hard limit
+   */
+  async callProvider(provider, systemPrompt, userPrompt, model) {
+    const methods = {
+      openai: this.generateOpenAI,
+      anthropic: this.generateAnthropic,
+      gemini: this.generateGemini,
+      mistral: this.generateMistral,
+      cohere: this.generateCohere,
+      together: this.generateTogether,
+      local: this.generateLocal,
+    };
+    const method = methods[provider];
+    if (!method) {
+      throw new Error(`Unknown provider: ${provider}`);
+    }
+
+    const scope = tokenBudgetService.currentScope();
+    await tokenBudgetService.assertWithinBudget(scope);
+
+    const result = await method.call(this, systemPrompt, userPrompt, model);
+    await tokenBudgetService
+      .recordUsage(scope, {
+        tokens: result?.tokensUsed || 0,
+        cost: result?.cost || 0,
+      })
+      .catch((err) => {
+        log.warn("[LLM Service] Failed to record budget usage:", err.message);
+      });
+    return result;
+  }
+
+  /**
+   * Generate a JSON response validated against a schema
+   * Uses the same routing as generateNarrative but skips narrative
+   * post-processing. Invalid responses are repaired locally when possible,
+   * otherwise re-prompted with the validation errors. A provider error moves
+   * on through the fallback chain; usage is tracked for every attempt.
+   * @param {Object} params
+   * @param {string} params.systemPrompt - System prompt
+   * @param {string} params.userPrompt - Task prompt (schema instructions are appended)
+   * @param {Object} params.schema - JSON schema the response must match
+   * @param {string} params.schemaName - Schema name for prompts and errors
+   * @param {Function} params.validate - Optional extra checks, (data) => string[]
+   * @param {number} params.maxAttempts - Total attempts including re-prompts (default 3)
+   * @param {string} params.costMode - Routing strategy (aggressive, balanced, quality)
+   * @param {Object} params.context - Routing context (contextType, importance, isCritical)
+   * @returns {Promise<Object>} { data, provider, model, cost, attempts, repaired, responseTime }
+   * @throws {StructuredOutputError} When no attempt produced a valid response
+   */
+  async generateStructured(params) {
+    const {
+      systemPrompt = "",
+      userPrompt,
+      schema,
+      schemaName = "response",
+      validate = null,
+      maxAttempts = 3,
+      costMode = process.env.LLM_COST_MODE || "balanced",
+      context = {},
+    } = params;
+
+    const analyzedContext = {
+      ...this.analyzeContext({ userMessage: "", context }),
+      ...context,
+    };
+    let { provider, model } = this.getProviderForContext(
+      analyzedContext,
+      costMode,
+    );
+    if (!this.available[provider]) {
+      ({ provider, model } = this.getFallbackProvider(provider, costMode));
+    }
+    if (this.localLLM.priority === "only" && provider !== "local") {
+      provider = "local";
+      model = this.getLocalModel(analyzedContext, costMode);
+    }
+    model = model || this.defaultModel[provider];
+
+    let cost = 0;
+    const tried = new Set();
+    const startTime = Date.now();
+
+    // One model call; a provider error moves to the next provider in the
+    // fallback chain, and the same prompt is retried there
+    const request = async (prompt) => {
+      for (;;) {
+        try {
+          return await this.callProvider(provider, systemPrompt, prompt, model);
+        } catch (error) {
+          this.trackError({
+            provider,
+            model,
+            error: error.message,
+            timestamp: Date.now(),
+          });
+          tried.add(provider);
+          const fallback = this.getFallbackProvider(provider, costMode);
+          if (
+            !this.fallbackEnabled ||
+            isFixtureMissing(error) ||
+            tokenBudgetService.isBudgetExceeded(error) ||
+            tried.has(fallback.provider)
+          ) {
+            throw error;
+          }
+          log.warn(
+            `[LLM Service] ${schemaName} request failed with ${provider} (${error.message}), trying ${fallback.provider}`,
+          );
+          provider = fallback.provider;
+          model = fallback.model || this.defaultModel[provider];
+        }
+      }
+    };
+
+    // Every call is billed, so usage is recorded per attempt, valid or not
+    let attemptStart = startTime;
+    const onAttempt = ({ attempt, result, valid, errors }) => {
+      cost += result.cost || 0;
+      this.trackUsage({
+        provider,
+        model,
+        tokens: result.tokensUsed || 0,
+        cost: result.cost || 0,
+        responseTime: Date.now() - attemptStart,
+        context: analyzedContext,
+        source: `structured:${schemaName}`,
+        attempt,
+        valid,
+      });
+      attemptStart = Date.now();
+      if (!valid) {
+        log.warn(
+          `[LLM Service] ${schemaName} response invalid (attempt ${attempt}/${maxAttempts}): ${errors.slice(0, 3).join("; ")}`,
+        );
+      }
+    };
+
+    const { data, attempts, repaired } = await requestStructured(request, {
+      userPrompt,
+      schema,
+      schemaName,
+      validate,
+      maxAttempts,
+      onAttempt,
+    });
+    return {
+      data,
+      provider,
+      model,
+      cost,
+      attempts,
+      repaired,
+      responseTime: Date.now() - startTime,
+    };
+  }
+
   /**
    * Generate text using LLM (wrapper for generateOpenAI/generateAnthropic)
    * Provides a unified interface for text generation
@@ -2717,14 +2958,30 @@ class LLMService {
         : systemPrompt?.text || String(systemPrompt || "");
 
     let result;
-    if (provider === "anthropic" || model.includes("claude")) {
-      result = await this.generateAnthropic(
+    // Local model when asked for, when local-only, or by default unless it is fallback-only
+    const useLocal =
+      provider === "local" ||
+      this.localLLM.priority === "only" ||
+      (!options.provider &&
+        this.available.local &&
+        this.localLLM.priority !== "fallback");
+    if (useLocal) {
+      result = await this.callProvider(
+        "local",
+        systemPromptText,
+        promptText,
+        options.model,
+      );
+    } else if (provider === "anthropic" || model.includes("claude")) {
+      result = await this.callProvider(
+        "anthropic",
         systemPromptText,
         promptText,
         model || "claude-3-5-sonnet-20241022",
       );
     } else {
-      result = await this.generateOpenAI(
+      result = await this.callProvider(
+        "openai",
         systemPromptText,
         promptText,
         model || "gpt-4o-mini",
@@ -3878,12 +4135,80 @@ class LLMService {
   }
 
   /**
-   * Generate using local model (placeholder for future implementation)
+   * Generate using a self-hosted model server (OpenAI-compatible chat API)
+   * Works with vLLM, Ollama, llama.cpp server, LM Studio and similar
    */
   async generateLocal(systemPrompt, userPrompt, model) {
-    // Placeholder for local model integration (Ollama, etc.)
-    // For now, throw error to trigger fallback
-    throw new Error("Local model not yet implemented");
+    if (!this.localLLM.baseUrl) {
+      throw new Error("Local LLM base URL not configured");
+    }
+
+    // Models routed from other providers (e.g. a Gemini fallback) don't exist locally
+    const models = this.localLLM.models || [];
+    if (!model || !models.includes(model)) {
+      model = this.defaultModel.local;
+    }
+
+    let response;
+    try {
+      response = await fetch(`${this.localLLM.baseUrl}/chat/completions`, {
+        method: "POST",
+        headers: {
+          "Content-Type": "application/json",
+          ...(this.localLLM.apiKey && {
+            Authorization: `Bearer ${this.localLLM.apiKey}`,
+          }),
+        },
+        body: JSON.stringify({
+          model: model,
+          messages: [
+            {
+              role: "system",
+              content: systemPrompt,
+            },
+            {
+              role: "user",
+              content: userPrompt,
+            },
+          ],
+          temperature: 0.3,
+          max_tokens: 2000,
+          top_p: 0.9,
+        }),
+        signal: AbortSignal.timeout(this.localLLM.timeoutMs),
+      });
+    } catch (error) {
+      if (error.name === "TimeoutError") {
+        throw new Error(
+          `Local LLM request timed out after ${this.localLLM.timeoutMs}ms`,
+        );
+      }
+      throw new Error(`Local LLM unreachable: ${error.message}`);
+    }
+
+    if (!response.ok) {
+      const error = await response
+        .json()
+        .catch(() => ({ error: { message: "Unknown error" } }));
+      throw new Error(
+        `Local LLM API error: ${error.error?.message || response.statusText}`,
+      );
+    }
+
+    const data = await response.json();
+    const narrative = data.choices?.[0]?.message?.content?.trim();
+
+    if (!narrative) {
+      throw new Error("Local LLM returned empty response");
+    }
+
+    return {
+      narrative,
+      tokensUsed: data.usage?.total_tokens || 0,
+      promptTokens: data.usage?.prompt_tokens || 0,
+      completionTokens: data.usage?.completion_tokens || 0,
+      cost: 0, // Self-hosted
+    };
   }
 
   /**
@@ -4590,8 +4915,15 @@ class LLMService {
         gemini: this.available.gemini,
         mistral: this.available.mistral,
         cohere: this.available.cohere,
-        local: false, // Placeholder for future local model support
+        local: this.available.local,
       },
+      local: this.available.local
+        ? {
+            baseUrl: this.localLLM.baseUrl,
+            models: this.localLLM.models,
+            priority: this.localLLM.priority,
+          }
+        : null,
       defaultProvider: this.defaultProvider,
       defaultModels: this.defaultModel,
       fallbackEnabled: this.fallbackEnabled,
@@ -4623,85 +4955,35 @@ class LLMService {
   /**
    * Generate embedding vector for text (for RAG system)
    * @param {string} text - Text to embed
-   * @param {string} model - Optional embedding model (default: text-embedding-3-small)
+   * @param {Object} options - Optional: { provider } to force a registered embedding provider
    * @returns {Promise<Array<number>>} Embedding vector
+   * @throws {Error} When the provider returns no vector
    */
-  async generateEmbedding(text, model = "text-embedding-3-small") {
+  async generateEmbedding(text, options = {}) {
     if (!text || typeof text !== "string" || text.trim().length === 0) {
       throw new Error("Text is required for embedding generation");
     }
 
-    // Try OpenAI first (most common and reliable for embeddings)
-    if (this.available.openai && this.openaiApiKey) {
-      try {
-        const { default: OpenAI } = await import("openai");
-        const openai = new OpenAI({ apiKey: this.openaiApiKey });
+    const provider =
+      (options.provider && getEmbeddingProvider(options.provider)) ||
+      getActiveEmbeddingProvider();
 
-        const response = await openai.embeddings.create({
-          model: model,
-          input: text.trim(),
-        });
-
-        if (response.data && response.data[0] && response.data[0].embedding) {
-          return response.data[0].embedding;
-        }
-      } catch (error) {
-        log.warn(
-          "[LLM Service] OpenAI embedding failed, trying fallback:",
-          error.message,
-        );
-      }
-    }
-
-    // Fallback: Try Cohere (also has good embedding support)
-    if (this.available.cohere && (this.cohereApiKey || this.cohereApiKeyProd)) {
-      try {
-        const { CohereClient } = require("cohere-ai");
-        const cohere = new CohereClient({
-          token: this.cohereApiKeyProd || this.cohereApiKey,
-        });
-
-        const response = await cohere.embed({
-          texts: [text.trim()],
-          model: "embed-english-v3.0",
-          inputType: "search_document",
-        });
-
-        if (response.embeddings && response.embeddings[0]) {
-          return response.embeddings[0];
-        }
-      } catch (error) {
-        log.warn("[LLM Service] Cohere embedding failed:", error.message);
-      }
-    }
-
-    // Ultimate fallback: Simple hash-based embedding (not semantic, but provides structure)
-    log.warn(
-      "[LLM Service] Using fallback hash-based embedding (not semantic)",
-    );
-    const words = text.toLowerCase().split(/\s+/);
-    const embedding = new Array(384).fill(0); // 384-dim vector
-
-    words.forEach((word, i) => {
-      let hash = 0;
-      for (let j = 0; j < word.length; j++) {
-        hash = (hash << 5) - hash + word.charCodeAt(j);
-        hash = hash & hash;
-      }
-      const index = Math.abs(hash) % embedding.length;
-      embedding[index] += (i + 1) / words.length;
-    });
-
-    // Normalize
-    const magnitude = Math.sqrt(
-      embedding.reduce((sum, val) => sum + val * val, 0),
-    );
-    if (magnitude > 0) {
-      return embedding.map((val) => val / magnitude);
+    // Never substitute another provider's vector: it would live in a
+    // different space from the one getEmbeddingInfo() reports
+    const [embedding] = await provider.embed([text.trim()]);
+    if (!embedding) {
+      throw new Error(`Embedding provider ${provider.name} returned no vector`);
     }
-
     return embedding;
   }
+
+  /**
+   * Provider, model and dimension of the active embedding provider
+   * @returns {{provider: string, model: string, dimension: number}}
+   */
+  getEmbeddingInfo() {
+    return describeProvider();
+  }
 }
 
 // Export singleton instance
@@ -0,0 +1,902 @@
+/**
+ * Local Storage Backend
+ * Embedded, file-backed storage that implements the Supabase tables offline
+ *
+ * Provides:
+ * - Table schemas parsed from supabase/migrations/*.sql (defaults, keys, uniques)
+ * - A Supabase-compatible query builder (from/select/insert/update/upsert/delete)
+ * - PostgREST-style filters (eq, neq, gt, in, is, ilike, not, or, ...)
+ * - Registered RPC functions standing in for Postgres functions
+ *
+ * One JSON file per table under the configured data directory. Writes are
+ * atomic (temp file + rename) so a crash never leaves a half-written table,
+ * and batched: a table changed many times within saveDelay is written once.
+ * Batched writes are flushed on exit, SIGTERM and SIGINT; the tables in
+ * SYNC_TABLES (accounts, sessions, keys, the audit log) are written at once.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+const tenantContext = require("./tenantContext");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("LocalStorage");
+
+const MIGRATIONS_DIR = path.join(__dirname, "../../supabase/migrations");
+const TENANT_COLUMN = "tenant_id";
+
+// Backends whose batched writes are flushed on exit
+const openBackends = new Set();
+
+// Tables written as soon as they change: a crash must not lose a login, an
+// API or data key, or an audit entry
+const SYNC_TABLES = new Set([
+  "commercial_users",
+  "auth_sessions",
+  "password_reset_tokens",
+  "api_keys",
+  "audit_log",
+  "audit_log_checkpoints",
+  "tenant_data_keys",
+]);
+
+/**
+ * Parse a SQL DEFAULT expression into a value factory
+ */
+function parseDefault(expression) {
+  const expr = expression.trim().replace(/,$/, "");
+  const lower = expr.toLowerCase();
+
+  if (lower === "now()" || lower === "current_timestamp") {
+    return () => new Date().toISOString();
+  }
+  if (lower.includes("uuid_generate_v4()") || lower.includes("gen_random_uuid()")) {
+    return () => crypto.randomUUID();
+  }
+  if (lower === "true" || lower === "false") {
+    return () => lower === "true";
+  }
+  if (/^-?\d+(\.\d+)?$/.test(expr)) {
+    return () => Number(expr);
+  }
+
+  const literal = expr.match(/^'(.*)'(::\w+)?$/s);
+  if (literal) {
+    const [, raw, cast] = literal;
+    if (cast && /jsonb?/i.test(cast)) {
+      return () => JSON.parse(raw);
+    }
+    return () => raw;
+  }
+
+  return null;
+}
+
+/**
+ * Split a CREATE TABLE body on top-level commas
+ */
+function splitColumns(body) {
+  const parts = [];
+  let depth = 0;
+  let current = "";
+
+  for (const char of body) {
+    if (char === "(") depth++;
+    if (char === ")") depth--;
+    if (char === "," && depth === 0) {
+      parts.push(current);
+      current = "";
+    } else {
+      current += char;
+    }
+  }
+  if (current.trim()) parts.push(current);
+
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse CREATE TABLE statements from the migration files
+ * @param {string} dir - Migrations directory
+ * @returns {Object} Map of table name -> { columns, primaryKey, serial, unique }
+ */
+function loadSchemas(dir = MIGRATIONS_DIR) {
+  const schemas = {};
+  if (!fs.existsSync(dir)) {
+    return schemas;
+  }
+
+  const files = fs
+    .readdirSync(dir)
+    .filter((f) => f.endsWith(".sql"))
+    .sort();
+
+  for (const file of files) {
+    const sql = fs
+      .readFileSync(path.join(dir, file), "utf8")
+      .replace(/--[^\n]*/g, "");
+    const tableRegex =
+      /CREATE TABLE(?: IF NOT EXISTS)?\s+(?:public\.)?(\w+)\s*\(([\s\S]*?)\n\);/gi;
+
+    let match;
+    while ((match = tableRegex.exec(sql)) !== null) {
+      const [, table, body] = match;
+      const schema = {
+        columns: {},
+        primaryKey: null,
+        serial: null,
+        unique: [],
+      };
+
+      for (const definition of splitColumns(body)) {
+        const tableUnique = definition.match(/^UNIQUE\s*\(([^)]+)\)/i);
+        if (tableUnique) {
+          schema.unique.push(tableUnique[1].split(",").map((c) => c.trim()));
+          continue;
+        }
+        const tablePk = definition.match(/^PRIMARY KEY\s*\(([^)]+)\)/i);
+        if (tablePk) {
+          schema.primaryKey = tablePk[1].split(",")[0].trim();
+          continue;
+        }
+        if (/^(CONSTRAINT|CHECK|FOREIGN KEY)\b/i.test(definition)) {
+          continue;
+        }
+
+        const column = definition.match(/^(\w+)\s+(\w+)/);
+        if (!column) continue;
+        const [, name, type] = column;
+        const defaultMatch = definition.match(
+          /DEFAULT\s+('(?:[^']|'')*'(?:::\w+)?|[\w.]+\([^)]*\)|[\w.-]+)/i,
+        );
+
+        schema.columns[name] = {
+          type: type.toUpperCase(),
+          default: defaultMatch ? parseDefault(defaultMatch[1]) : null,
+        };
+
+        if (/PRIMARY KEY/i.test(definition)) {
+          schema.primaryKey = name;
+        }
+        if (/^(BIG)?SERIAL$/i.test(type)) {
+          schema.serial = name;
+        }
+        if (/\bUNIQUE\b/i.test(definition)) {
+          schema.unique.push([name]);
+        }
+      }
+
+      schemas[table] = schema;
+    }
+  }
+
+  return schemas;
+}
+
+/**
+ * Read a (possibly JSON-path) column from a row
+ * Supports "col", "col->key" and "col->>key"
+ */
+function readColumn(row, column) {
+  const segments = column.split(/->>?/).map((s) => s.trim());
+  let value = row[segments[0]];
+  for (const key of segments.slice(1)) {
+    if (value === null || value === undefined) return undefined;
+    value = value[key];
+  }
+  if (column.includes("->>") && value !== null && value !== undefined) {
+    return typeof value === "object" ? JSON.stringify(value) : String(value);
+  }
+  return value;
+}
+
+function compare(a, b) {
+  if (a === b) return 0;
+  if (a === null || a === undefined) return 1;
+  if (b === null || b === undefined) return -1;
+  if (typeof a === "number" && typeof b === "number") return a - b;
+  return String(a) < String(b) ? -1 : 1;
+}
+
+function likeToRegex(pattern, caseInsensitive) {
+  const escaped = String(pattern)
+    .replace(/[.+?^${}()|[\]\\]/g, "\\$&")
+    .replace(/%/g, ".*")
+    .replace(/_/g, ".")
+    .replace(/\*/g, ".*");
+  return new RegExp(`^${escaped}$`, caseInsensitive ? "is" : "s");
+}
+
+/**
+ * Coerce a PostgREST string literal ("null", "true", "5") to a JS value
+ */
+function coerceLiteral(value) {
+  if (value === "null") return null;
+  if (value === "true") return true;
+  if (value === "false") return false;
+  if (/^-?\d+(\.\d+)?$/.test(value)) return Number(value);
+  return value;
+}
+
+const OPERATORS = {
+  eq: (a, b) => a === b || (a !== undefined && a !== null && String(a) === String(b)),
+  neq: (a, b) => !OPERATORS.eq(a, b),
+  gt: (a, b) => a !== null && a !== undefined && compare(a, b) > 0,
+  gte: (a, b) => a !== null && a !== undefined && compare(a, b) >= 0,
+  lt: (a, b) => a !== null && a !== undefined && compare(a, b) < 0,
+  lte: (a, b) => a !== null && a !== undefined && compare(a, b) <= 0,
+  like: (a, b) => typeof a === "string" && likeToRegex(b, false).test(a),
+  ilike: (a, b) => typeof a === "string" && likeToRegex(b, true).test(a),
+  is: (a, b) => (b === null ? a === null || a === undefined : a === b),
+  in: (a, b) => {
+    const list = Array.isArray(b)
+      ? b
+      : String(b).replace(/^\(|\)$/g, "").split(",").map(coerceLiteral);
+    return list.some((v) => OPERATORS.eq(a, v));
+  },
+  contains: (a, b) => {
+    if (Array.isArray(a)) {
+      return (Array.isArray(b) ? b : [b]).every((v) => a.includes(v));
+    }
+    if (a && typeof a === "object" && b && typeof b === "object") {
+      return Object.entries(b).every(([k, v]) => OPERATORS.eq(a[k], v));
+    }
+    return false;
+  },
+  containedBy: (a, b) =>
+    Array.isArray(a) && Array.isArray(b) && a.every((v) => b.includes(v)),
+};
+
+/**
+ * Parse a PostgREST "or" expression, e.g. "type.eq.test,message.ilike.%x%"
+ */
+function parseOrExpression(expression) {
+  return expression.split(",").map((clause) => {
+    const parts = clause.trim().split(".");
+    let negate = false;
+    let column = parts.shift();
+    // JSON paths such as pattern_metadata->>hasTest keep their dots together
+    while (parts.length > 2 && !OPERATORS[parts[0]] && parts[0] !== "not") {
+      column += `.${parts.shift()}`;
+    }
+    let operator = parts.shift();
+    if (operator === "not") {
+      negate = true;
+      operator = parts.shift();
+    }
+    return {
+      column,
+      operator,
+      value: coerceLiteral(parts.join(".")),
+      negate,
+    };
+  });
+}
+
+function matchesFilter(row, filter) {
+  if (filter.any) {
+    return filter.any.some((f) => matchesFilter(row, f));
+  }
+  const test = OPERATORS[filter.operator];
+  if (!test) {
+    throw Object.assign(
+      new Error(`Unsupported filter operator: ${filter.operator}`),
+      { code: "PGRST100" },
+    );
+  }
+  const result = test(readColumn(row, filter.column), filter.value);
+  return filter.negate ? !result : result;
+}
+
+/**
+ * Project selected columns ("*", "a,b", "alias:col"); embedded
+ * resources such as "project:projects(*)" are not supported locally
+ */
+function project(row, columns) {
+  if (!columns || columns.trim() === "*") {
+    return { ...row };
+  }
+  const fields = splitColumns(columns).filter((c) => !c.includes("("));
+  if (fields.includes("*")) {
+    return { ...row };
+  }
+  const result = {};
+  for (const field of fields) {
+    const [alias, source] = field.includes(":")
+      ? field.split(":").map((s) => s.trim())
+      : [field.split(/->>?/).pop(), field];
+    result[alias] = readColumn(row, source);
+  }
+  return result;
+}
+
+/**
+ * Query builder mirroring the subset of supabase-js used by Code Roach.
+ * Thenable: awaiting it executes the query and resolves to
+ * { data, error, count, status }.
+ */
+class LocalQueryBuilder {
+  constructor(backend, table) {
+    this.backend = backend;
+    this.table = table;
+    this.action = "select";
+    this.columns = "*";
+    this.returning = false;
+    this.payload = null;
+    this.filters = [];
+    this.orders = [];
+    this.limitCount = null;
+    this.rangeFrom = null;
+    this.rangeTo = null;
+    this.countMode = null;
+    this.headOnly = false;
+    this.singleMode = null;
+    this.upsertOptions = null;
+  }
+
+  select(columns = "*", options = {}) {
+    if (this.action === "select") {
+      this.columns = columns;
+      this.countMode = options.count || null;
+      this.headOnly = !!options.head;
+    } else {
+      this.returning = true;
+      this.columns = columns;
+    }
+    return this;
+  }
+
+  insert(rows) {
+    this.action = "insert";
+    this.payload = rows;
+    return this;
+  }
+
+  upsert(rows, options = {}) {
+    this.action = "upsert";
+    this.payload = rows;
+    this.upsertOptions = options;
+    return this;
+  }
+
+  update(values) {
+    this.action = "update";
+    this.payload = values;
+    return this;
+  }
+
+  delete() {
+    this.action = "delete";
+    return this;
+  }
+
+  filter(column, operator, value) {
+    this.filters.push({ column, operator, value });
+    return this;
+  }
+
+  not(column, operator, value) {
+    this.filters.push({
+      column,
+      operator,
+      value: typeof value === "string" ? coerceLiteral(value) : value,
+      negate: true,
+    });
+    return this;
+  }
+
+  or(expression) {
+    this.filters.push({ any: parseOrExpression(expression) });
+    return this;
+  }
+
+  match(values) {
+    for (const [column, value] of Object.entries(values)) {
+      this.eq(column, value);
+    }
+    return this;
+  }
+
+  /**
+   * GROUP BY has no PostgREST equivalent; kept as a no-op for callers
+   * that chain it
+   */
+  group() {
+    return this;
+  }
+
+  order(column, options = {}) {
+    this.orders.push({ column, ascending: options.ascending !== false });
+    return this;
+  }
+
+  limit(count) {
+    this.limitCount = count;
+    return this;
+  }
+
+  range(from, to) {
+    this.rangeFrom = from;
+    this.rangeTo = to;
+    return this;
+  }
+
+  single() {
+    this.singleMode = "single";
+    return this;
+  }
+
+  maybeSingle() {
+    this.singleMode = "maybe";
+    return this;
+  }
+
+  then(onFulfilled, onRejected) {
+    let result;
+    try {
+      result = this.execute();
+    } catch (error) {
+      result = {
+        data: null,
+        error: { message: error.message, code: error.code || "LOCAL" },
+        count: null,
+        status: 400,
+      };
+    }
+    return Promise.resolve(result).then(onFulfilled, onRejected);
+  }
+
+  catch(onRejected) {
+    return this.then(undefined, onRejected);
+  }
+
+  /**
+   * Run the query against the in-memory table and persist mutations
+   */
+  execute() {
+    let rows;
+    switch (this.action) {
+      case "insert":
+        rows = this.backend.insertRows(this.table, this.payload, null);
+        break;
+      case "upsert":
+        rows = this.backend.insertRows(
+          this.table,
+          this.payload,
+          this.upsertOptions || {},
+        );
+        break;
+      case "update":
+        rows = this.backend.updateRows(this.table, this.matcher(), this.payload);
+        break;
+      case "delete":
+        rows = this.backend.deleteRows(this.table, this.matcher());
+        break;
+      default:
+        rows = this.backend.getRows(this.table).filter(this.matcher());
+    }
+
+    if (this.action !== "select" && !this.returning) {
+      return { data: null, error: null, count: null, status: 204 };
+    }
+
+    for (const { column, ascending } of [...this.orders].reverse()) {
+      rows = [...rows].sort((a, b) => {
+        const result = compare(readColumn(a, column), readColumn(b, column));
+        return ascending ? result : -result;
+      });
+    }
+
+    const count = this.countMode ? rows.length : null;
+    if (this.rangeFrom !== null) {
+      rows = rows.slice(this.rangeFrom, this.rangeTo + 1);
+    }
+    if (this.limitCount !== null) {
+      rows = rows.slice(0, this.limitCount);
+    }
+
+    const data = this.headOnly ? null : rows.map((r) => project(r, this.columns));
+
+    if (this.singleMode && !this.headOnly) {
+      if (data.length === 1 || (this.singleMode === "maybe" && data.length === 0)) {
+        return { data: data[0] || null, error: null, count, status: 200 };
+      }
+      return {
+        data: null,
+        error: {
+          message: "JSON object requested, multiple (or no) rows returned",
+          code: "PGRST116",
+        },
+        count,
+        status: 406,
+      };
+    }
+
+    return { data, error: null, count, status: 200 };
+  }
+
+  matcher() {
+    const filters = this.filters;
+    return (row) => filters.every((f) => matchesFilter(row, f));
+  }
+}
+
+// eq(column, value), ilike(column, pattern), in(column, values), ...
+for (const operator of Object.keys(OPERATORS)) {
+  LocalQueryBuilder.prototype[operator] = function (column, value) {
+    return this.filter(column, operator, value);
+  };
+}
+
+/**
+ * Embedded, file-backed storage backend with a Supabase-compatible client API
+ */
+class LocalStorageBackend {
+  /**
+   * @param {Object} options
+   * @param {string} options.dataDir - Directory holding one JSON file per table
+   * @param {string} options.migrationsDir - Directory of SQL migrations to load schemas from
+   * @param {number} options.saveDelay - Milliseconds to batch writes before saving changed tables
+   */
+  constructor(options = {}) {
+    this.dataDir =
+      options.dataDir || path.join(__dirname, "../../data/storage");
+    this.schemas = loadSchemas(options.migrationsDir);
+    this.tables = new Map();
+    this.rpcFunctions = new Map();
+    this.saveDelay = options.saveDelay ?? 1000;
+    this.dirtyTables = new Set();
+    this.saveTimer = null;
+
+    fs.mkdirSync(this.dataDir, { recursive: true });
+    this.registerBuiltinRpcs();
+    openBackends.add(this);
+  }
+
+  /**
+   * Start a query against a table (supabase-js compatible)
+   */
+  from(table) {
+    return new LocalQueryBuilder(this, table);
+  }
+
+  /**
+   * Call a registered function (supabase-js compatible)
+   */
+  async rpc(functionName, params = {}) {
+    const fn = this.rpcFunctions.get(functionName);
+    if (!fn) {
+      return {
+        data: null,
+        error: {
+          message: `Could not find the function ${functionName} in the local backend`,
+          code: "PGRST202",
+        },
+      };
+    }
+    try {
+      return { data: await fn(params, this), error: null };
+    } catch (error) {
+      return { data: null, error: { message: error.message, code: "LOCAL" } };
+    }
+  }
+
+  /**
+   * Register a JavaScript implementation of a Postgres function
+   * @param {string} name - Function name as called through rpc()
+   * @param {Function} fn - (params, backend) => result
+   */
+  registerRpc(name, fn) {
+    this.rpcFunctions.set(name, fn);
+  }
+
+  /**
+   * Functions from supabase/migrations that the services call
+   */
+  registerBuiltinRpcs() {
+    this.registerRpc("get_top_problematic_patterns", ({ limit_count = 10 }) =>
+      this.getRows("code_roach_patterns")
+        .sort(
+          (a, b) =>
+            (b.occurrence_count || 0) - (a.occurrence_count || 0) ||
+            (b.failure_count || 0) - (a.failure_count || 0),
+        )
+        .slice(0, limit_count)
+        .map((p) => {
+          const attempts = (p.success_count || 0) + (p.failure_count || 0);
+          return {
+            fingerprint: p.fingerprint,
+            occurrence_count: p.occurrence_count,
+            success_rate: attempts
+              ? Math.round((10000 * (p.success_count || 0)) / attempts) / 100
+              : 0,
+            avg_resolution_time: p.avg_resolution_time_seconds,
+          };
+        }),
+    );
+
+    this.registerRpc("calculate_rule_effectiveness", ({ rule_id_param }) => {
+      const entries = this.getRows("code_roach_rule_effectiveness").filter(
+        (e) => e.rule_id === rule_id_param,
+      );
+      const prevented = entries.filter((e) => e.issue_was_prevented).length;
+      return [
+        {
+          rule_id: rule_id_param,
+          times_applied: entries.length,
+          issues_prevented: prevented,
+          success_rate: entries.length
+            ? Math.round((10000 * prevented) / entries.length) / 100
+            : 0,
+        },
+      ];
+    });
+
+    this.registerRpc("get_pending_reviews", ({ limit_count = 50 } = {}) =>
+      this.getRows("fix_review_queue")
+        .filter((r) => r.status === "pending")
+        .slice(0, limit_count),
+    );
+  }
+
+  tablePath(table) {
+    if (!/^\w+$/.test(table)) {
+      throw new Error(`Invalid table name: ${table}`);
+    }
+    return path.join(this.dataDir, `${table}.json`);
+  }
+
+  /**
+   * Load a table into memory (lazily, once)
+   */
+  getRows(table) {
+    if (!this.tables.has(table)) {
+      const file = this.tablePath(table);
+      let state = { rows: [], sequence: 0 };
+      if (fs.existsSync(file)) {
+        state = JSON.parse(fs.readFileSync(file, "utf8"));
+      }
+      this.tables.set(table, state);
+    }
+    return this.tables.get(table).rows;
+  }
+
+  /**
+   * Mark a table changed; it is written with the others after saveDelay,
+   * or right away if it is in SYNC_TABLES
+   */
+  persist(table) {
+    if (SYNC_TABLES.has(table)) {
+      this.writeTable(table);
+      return;
+    }
+    this.dirtyTables.add(table);
+    if (this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      try {
+        this.flush();
+      } catch (error) {
+        log.error(`Failed to save tables to ${this.dataDir}:`, error);
+      }
+    }, this.saveDelay);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * Write every changed table to disk now
+   */
+  flush() {
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    for (const table of this.dirtyTables) {
+      this.writeTable(table);
+    }
+  }
+
+  /**
+   * Write one table atomically
+   */
+  writeTable(table) {
+    const file = this.tablePath(table);
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.tables.get(table)));
+    fs.renameSync(tmp, file);
+    this.dirtyTables.delete(table);
+  }
+
+  /**
+   * Apply column defaults for a new row
+   */
+  withDefaults(table, row) {
+    const schema = this.schemas[table];
+    const state = this.tables.get(table);
+    const result = { ...row };
+
+    if (schema) {
+      for (const [name, column] of Object.entries(schema.columns)) {
+        if (result[name] !== undefined) continue;
+        if (name === schema.serial) {
+          result[name] = ++state.sequence;
+        } else if (column.default) {
+          result[name] = column.default();
+        }
+      }
+      if (schema.serial && typeof result[schema.serial] === "number") {
+        state.sequence = Math.max(state.sequence, result[schema.serial]);
+      }
+      if (schema.primaryKey && result[schema.primaryKey] === undefined) {
+        result[schema.primaryKey] = crypto.randomUUID();
+      }
+    } else {
+      // Tables without a migration get a UUID id and created_at
+      if (result.id === undefined) result.id = crypto.randomUUID();
+      if (result.created_at === undefined) {
+        result.created_at = new Date().toISOString();
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Key columns used to detect conflicts for upsert and unique violations
+   * Tenant-scoped tables (tenantContext) are keyed within the tenant, as
+   * the tenant isolation migration re-keys them, so their key column from
+   * the CREATE TABLE is replaced by the tenant key
+   */
+  conflictKeys(table, onConflict) {
+    if (onConflict) {
+      return [onConflict.split(",").map((c) => c.trim())];
+    }
+    const schema = this.schemas[table];
+    if (!schema) return [["id"]];
+    if (!tenantContext.isScopedTable(table)) {
+      return [
+        schema.primaryKey ? [schema.primaryKey] : [],
+        ...schema.unique,
+      ].filter((keys) => keys.length > 0);
+    }
+
+    const tenantKey = tenantContext.conflictTarget(table).split(",");
+    const primaryKey =
+      schema.primaryKey && !tenantKey.includes(schema.primaryKey)
+        ? [schema.primaryKey]
+        : [];
+    return [primaryKey, tenantKey, ...schema.unique].filter(
+      (keys) => keys.length > 0,
+    );
+  }
+
+  /**
+   * Index of the row that conflicts with a new one, or -1
+   * Unique keys ignore rows with a null key column, except explicit upsert
+   * targets and tenant_id, which match nulls like the NULLS NOT DISTINCT
+   * indexes behind them (untenanted rows)
+   */
+  findConflict(rows, row, keySets, nullsDistinct = true) {
+    const distinct = (k) => nullsDistinct && k !== TENANT_COLUMN;
+    const same = (k, a, b) =>
+      distinct(k) ? OPERATORS.eq(a, b) : OPERATORS.eq(a ?? null, b ?? null);
+    for (const keys of keySets) {
+      if (
+        keys.some(
+          (k) =>
+            (row[k] === undefined && k !== TENANT_COLUMN) ||
+            (distinct(k) && row[k] === null),
+        )
+      ) {
+        continue;
+      }
+      const index = rows.findIndex((existing) =>
+        keys.every((k) => same(k, existing[k], row[k])),
+      );
+      if (index !== -1) return index;
+    }
+    return -1;
+  }
+
+  /**
+   * Insert rows; with upsert options, merge into conflicting rows instead
+   * The batch is applied to a copy of the table and only committed once
+   * every row is written, so a unique violation leaves the table untouched
+   */
+  insertRows(table, payload, upsertOptions) {
+    this.getRows(table);
+    const state = this.tables.get(table);
+    const rows = state.rows.slice();
+    const sequence = state.sequence;
+    const input = Array.isArray(payload) ? payload : [payload];
+    const keySets = this.conflictKeys(table, upsertOptions?.onConflict);
+    const written = [];
+
+    for (const row of input) {
+      const index = this.findConflict(
+        rows,
+        row,
+        keySets,
+        !upsertOptions?.onConflict,
+      );
+      if (index !== -1) {
+        if (!upsertOptions) {
+          state.sequence = sequence;
+          throw Object.assign(
+            new Error(
+              `duplicate key value violates unique constraint on ${table}`,
+            ),
+            { code: "23505" },
+          );
+        }
+        if (upsertOptions.ignoreDuplicates) continue;
+        rows[index] = { ...rows[index], ...row };
+        written.push(rows[index]);
+      } else {
+        const created = this.withDefaults(table, row);
+        rows.push(created);
+        written.push(created);
+      }
+    }
+
+    state.rows = rows;
+    this.persist(table);
+    return written;
+  }
+
+  updateRows(table, matches, values) {
+    const rows = this.getRows(table);
+    const updated = [];
+    for (let i = 0; i < rows.length; i++) {
+      if (matches(rows[i])) {
+        rows[i] = { ...rows[i], ...values };
+        updated.push(rows[i]);
+      }
+    }
+    if (updated.length > 0) this.persist(table);
+    return updated;
+  }
+
+  deleteRows(table, matches) {
+    this.getRows(table);
+    const state = this.tables.get(table);
+    const removed = state.rows.filter(matches);
+    if (removed.length > 0) {
+      state.rows = state.rows.filter((row) => !matches(row));
+      this.persist(table);
+    }
+    return removed;
+  }
+}
+
+// Flush batched writes before the process exits (unless the data directory
+// was removed, as throwaway test directories are)
+function flushAll() {
+  for (const backend of openBackends) {
+    if (!fs.existsSync(backend.dataDir)) continue;
+    try {
+      backend.flush();
+    } catch (error) {
+      log.error(`Failed to save tables to ${backend.dataDir}:`, error);
+    }
+  }
+}
+
+process.on("exit", flushAll);
+
+// A signal skips the exit event, so flush first; when nothing else handles
+// the signal, raise it again so the process still ends the default way
+for (const signal of ["SIGTERM", "SIGINT"]) {
+  process.once(signal, () => {
+    flushAll();
+    if (process.listenerCount(signal) === 0) {
+      process.kill(process.pid, signal);
+    }
+  });
+}
+
+module.exports = {
+  LocalStorageBackend,
+  LocalQueryBuilder,
+  loadSchemas,
+};
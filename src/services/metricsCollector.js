@@ -33,8 +33,6 @@ const { createLogger } = require("../utils/logger");
 const log = createLogger("MetricsCollector");
 const fs = require("fs").promises;
 const path = require("path");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 
 class MetricsCollector {
   constructor(options = {}) {
@@ -88,16 +86,11 @@ class MetricsCollector {
     this.retentionDays = options.retentionDays || 90; // Keep 90 days of metrics
     this.maxSamples = options.maxSamples || 10000; // Max samples per metric type
 
-    // Initialize Supabase client if available
-    try {
-      this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey,
-      );
-      this.useDatabase = true;
-    } catch (err) {
-      log.warn(
-        "[Metrics Collector] Supabase not available, using file storage",
-      );
-      this.useDatabase = false;
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = require("./databaseService").getClient();
+    this.useDatabase = !!this.supabase;
+    if (!this.useDatabase) {
+      log.warn("[Metrics Collector] Storage not available, using file storage");
     }
 
     // Load existing metrics
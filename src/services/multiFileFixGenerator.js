@@ -18,6 +18,7 @@ const path = require("path");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("MultiFileFixGenerator");
 const codebaseSearch = require("./codebaseSearch");
+const dependencyAnalysisService = require("./dependencyAnalysisService");
 const llmFixGenerator = require("./llmFixGenerator");
 
 class MultiFileFixGenerator {
@@ -402,30 +403,12 @@ class MultiFileFixGenerator {
   }
 
   /**
-   * Find files that depend on this file
+   * Find files that depend on this file (import it directly)
    */
   async findDependentFiles(filePath) {
     try {
-      // Search for files that import/require this file
-      const fileName = path.basename(filePath, path.extname(filePath));
-      const relativePath = path.relative(
-        this.getProjectRoot(filePath),
-        filePath,
-      );
-
-      const query = `import or require ${fileName} or ${relativePath}`;
-      const results = await codebaseSearch.semanticSearch(query, {
-        limit: 20,
-        threshold: 0.6,
-      });
-
-      if (results && results.results) {
-        return results.results
-          .map((r) => r.file_path)
-          .filter((p) => p !== filePath);
-      }
-
-      return [];
+      const dependents = await dependencyAnalysisService.getDependents(filePath);
+      return [...new Set(dependents.map((dependent) => dependent.file))];
     } catch (err) {
       log.warn(
         "[Multi-File Fix] Error finding dependent files:",
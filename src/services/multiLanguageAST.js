@@ -9,9 +9,11 @@
  */
 
 /* eslint-disable no-undef */
-/**
 const { createLogger } = require('../utils/logger');
 const log = createLogger('MultiLanguageAST');
+const treeSitterParser = require('./treeSitterParser');
+
+/**
  * Multi-Language AST Analyzer Service
  * 
  * Extends AST analysis to support multiple programming languages beyond JavaScript/TypeScript.
@@ -32,6 +34,11 @@ const log = createLogger('MultiLanguageAST');
  * - Python (via tree-sitter or fallback)
  * - Java (via tree-sitter or fallback)
  * - Rust (via tree-sitter or fallback)
+ *
+ * Python, Java and Rust trees come from treeSitterParser in its normalized
+ * node model, and the detectors below walk them. Until a grammar has loaded
+ * (see initialize()), or when it is not installed, those languages get the
+ * regex fallback.
  * 
  * Expected Accuracy: 85%+ across all languages
  */
@@ -54,6 +61,139 @@ function getConfidenceCalculator() {
     return confidenceCalculator;
 }
 
+// How identifiers are classified when collecting a tree's names. Keys are
+// "<parent type>.<field>" or "<parent type>" for any field.
+// - within: ancestors whose whole subtree declares (true) or is ignored
+//   (false); the outermost match wins
+// - ignores / declares: the identifier's own parent and field
+// - targets: where a destructuring pattern declares names, reached through
+//   the pattern node types in `patterns`
+// - wildcard: node types of star imports, after which any name may exist
+// - types: names assumed to be types or constants declared elsewhere
+// - inherits: a class field whose presence means names may be inherited
+const NAME_RULES = {
+    python: {
+        within: {
+            'import_from_statement.module_name': false,
+            'aliased_import.name': false,
+            import_statement: true,
+            import_from_statement: true,
+            global_statement: true,
+            nonlocal_statement: true
+        },
+        ignores: ['attribute.property', 'keyword_argument.name'],
+        declares: [
+            'function_definition.name', 'class_definition.name', 'parameters',
+            'lambda_parameters', 'typed_parameter', 'list_splat_pattern',
+            'dictionary_splat_pattern', 'default_parameter.left',
+            'typed_default_parameter.left', 'named_expression.left', 'as_pattern_target'
+        ],
+        targets: ['assignment.left', 'augmented_assignment.left', 'for_statement.left', 'for_in_clause.left'],
+        patterns: [
+            'pattern_list', 'tuple_pattern', 'list_pattern', 'tuple', 'list',
+            'parenthesized_expression', 'list_splat_pattern', 'expression_list'
+        ],
+        wildcard: ['wildcard_import']
+    },
+    java: {
+        within: {
+            package_declaration: false,
+            import_declaration: false,
+            scoped_identifier: false,
+            marker_annotation: false,
+            annotation: false,
+            method_reference: false,
+            break_statement: false,
+            continue_statement: false
+        },
+        ignores: ['method_invocation.property', 'field_access.property', 'labeled_statement', 'element_value_pair.key'],
+        declares: [
+            'variable_declarator.left', 'formal_parameter.name', 'catch_formal_parameter.name',
+            'enhanced_for_statement.name', 'resource.name', 'lambda_expression.parameters',
+            'inferred_parameters', 'class_declaration.name', 'interface_declaration.name',
+            'enum_declaration.name', 'record_declaration.name', 'method_declaration.name',
+            'constructor_declaration.name', 'enum_constant.name'
+        ],
+        targets: [],
+        patterns: [],
+        wildcard: [],
+        types: /^[A-Z]/,
+        inherits: 'superclass'
+    },
+    rust: {
+        within: {
+            use_declaration: true,
+            scoped_identifier: false,
+            scoped_type_identifier: false,
+            generic_type: false,
+            token_tree: false,
+            attribute_item: false,
+            inner_attribute_item: false,
+            lifetime: false,
+            label: false,
+            'macro_invocation.macro': false
+        },
+        ignores: ['tuple_struct_pattern.type', 'struct_pattern.type'],
+        declares: [
+            'function_item.name', 'const_item.name', 'static_item.name', 'mod_item.name',
+            'macro_definition.name', 'enum_variant.name', 'closure_parameters', 'field_pattern.name'
+        ],
+        targets: [
+            'let_declaration.left', 'parameter.pattern', 'for_expression.pattern',
+            'match_arm.pattern', 'let_condition.pattern'
+        ],
+        patterns: [
+            'match_pattern', 'tuple_pattern', 'tuple_struct_pattern', 'struct_pattern',
+            'field_pattern', 'slice_pattern', 'ref_pattern', 'mut_pattern',
+            'reference_pattern', 'or_pattern', 'captured_pattern'
+        ],
+        wildcard: ['use_wildcard'],
+        types: /^[A-Z]/
+    }
+};
+
+// Calls whose result may be null (Python's None)
+const NULLABLE_CALLS = {
+    python: ['get', 'match', 'search', 'fullmatch', 'getenv', 'getattr'],
+    java: ['get', 'getProperty', 'getenv', 'getParameter', 'getAttribute', 'getHeader', 'readLine', 'poll', 'peek']
+};
+
+// Text that shows a value was checked for null before it is used
+const NULL_GUARDS = {
+    python: (name) => [
+        new RegExp(`\\b${name}\\s+is\\s+(not\\s+)?None\\b`),
+        new RegExp(`\\b${name}\\s*[!=]=\\s*None\\b`),
+        new RegExp(`\\b(if|elif|while|assert)\\s+(not\\s+)?${name}\\b`),
+        new RegExp(`\\b${name}\\s+and\\b`)
+    ],
+    java: (name) => [
+        new RegExp(`\\b${name}\\s*[!=]=\\s*null\\b`),
+        new RegExp(`\\bnull\\s*[!=]=\\s*${name}\\b`),
+        new RegExp(`\\b(requireNonNull|ofNullable)\\(\\s*${name}\\b`),
+        new RegExp(`\\b${name}\\s+instanceof\\b`)
+    ]
+};
+
+// Network calls that can fail: callee text patterns, or Java method names
+const NETWORK_CALLS = {
+    python: /^(requests|urllib\d?|aiohttp|httpx)\b/,
+    java: ['send', 'sendAsync', 'openConnection', 'openStream', 'getInputStream', 'getOutputStream', 'getResponseCode'],
+    rust: /^(reqwest|hyper)\b/
+};
+
+// Calls that handle a failure in a call chain (Java futures, Rust results)
+const ERROR_HANDLERS = {
+    java: ['exceptionally', 'exceptionallyCompose', 'handle', 'whenComplete'],
+    rust: ['map_err', 'unwrap_or', 'unwrap_or_else', 'unwrap_or_default', 'or_else', 'ok', 'expect', 'is_ok', 'is_err']
+};
+
+// Timers, threads and schedulers that leak when their handle is dropped
+const LEAKING_CALLS = {
+    python: ['threading.Timer', 'Timer', 'signal.alarm'],
+    java: ['Timer', 'ScheduledThreadPoolExecutor', 'Executors.newScheduledThreadPool', 'Executors.newSingleThreadScheduledExecutor'],
+    rust: ['thread::spawn', 'std::thread::spawn', 'tokio::spawn', 'spawn']
+};
+
 class MultiLanguageAST {
     constructor() {
         this.supportedLanguages = ['javascript', 'typescript', 'python', 'java', 'rust'];
@@ -81,25 +221,39 @@ class MultiLanguageAST {
             name: 'babel'
         });
 
-        // Python - would use tree-sitter-python in production
+        // Python - tree-sitter-python (WASM grammar, see treeSitterParser)
         this.parsers.set('python', {
             parse: (code) => this.parsePython(code),
             name: 'tree-sitter-python'
         });
 
-        // Java - would use tree-sitter-java in production
+        // Java - tree-sitter-java (WASM grammar, see treeSitterParser)
         this.parsers.set('java', {
             parse: (code) => this.parseJava(code),
             name: 'tree-sitter-java'
         });
 
-        // Rust - would use tree-sitter-rust in production
+        // Rust - tree-sitter-rust (WASM grammar, see treeSitterParser)
         this.parsers.set('rust', {
             parse: (code) => this.parseRust(code),
             name: 'tree-sitter-rust'
         });
     }
 
+    /**
+     * Load the tree-sitter grammars. Parsing starts loading a grammar on
+     * first use, so this only makes the first analyses use real trees.
+     * 
+     * @param {Array<string>} languages - Languages to load (default: all with a grammar)
+     * @returns {Promise<Object>} Language -> whether its grammar loaded
+     */
+    async initialize(languages = treeSitterParser.supportedLanguages()) {
+        const loaded = await Promise.all(
+            languages.map(language => treeSitterParser.load(this.normalizeLanguage(language)))
+        );
+        return Object.fromEntries(languages.map((language, i) => [language, loaded[i]]));
+    }
+
     /**
      * Analyze code for error-prone patterns (language-agnostic)
      * 
@@ -172,6 +326,10 @@ class MultiLanguageAST {
      * @returns {Array} Detected patterns
      */
     detectNullReferences(ast, code, language) {
+        if (ast && ast.root) {
+            return this.detectNullReferencesInTree(ast.root, code, language);
+        }
+
         const patterns = [];
         const nullKeywords = {
             javascript: ['null', 'undefined'],
@@ -236,6 +394,10 @@ class MultiLanguageAST {
      * @returns {Array} Detected patterns
      */
     detectUndefinedVariables(ast, code, language) {
+        if (ast && ast.root) {
+            return this.detectUndefinedVariablesInTree(ast.root, code, language);
+        }
+
         const patterns = [];
         
         // Pattern: variable usage without declaration
@@ -306,6 +468,10 @@ class MultiLanguageAST {
      * @returns {Array} Detected patterns
      */
     detectMissingErrorHandling(ast, code, language) {
+        if (ast && ast.root) {
+            return this.detectMissingErrorHandlingInTree(ast.root, code, language);
+        }
+
         const patterns = [];
         
         const asyncPatterns = {
@@ -353,6 +519,10 @@ class MultiLanguageAST {
      * @returns {Array} Detected patterns
      */
     detectMemoryLeaks(ast, code, language) {
+        if (ast && ast.root) {
+            return this.detectMemoryLeaksInTree(ast.root, code, language);
+        }
+
         const patterns = [];
         
         const leakPatterns = {
@@ -402,6 +572,431 @@ class MultiLanguageAST {
         return patterns;
     }
 
+    /**
+     * Detect null references in a tree: members of a value bound to
+     * null/None (or to a call that may return it) without a null check in
+     * between, and unwrap() in Rust
+     * 
+     * @param {Object} root - Normalized tree root
+     * @param {string} code - Source code
+     * @param {string} language - Programming language
+     * @returns {Array} Detected patterns
+     */
+    detectNullReferencesInTree(root, code, language) {
+        const patterns = [];
+        const report = (node, objectName, propertyName) => {
+            patterns.push(this.treePattern(node, {
+                type: 'null-reference',
+                severity: 'high',
+                message: `Potential null reference: ${objectName}.${propertyName}`,
+                language: language,
+                object: objectName,
+                property: propertyName,
+                suggestion: this.getNullCheckSuggestion(objectName, language)
+            }));
+        };
+
+        if (language === 'rust') {
+            treeSitterParser.walk(root, node => {
+                const callee = treeSitterParser.child(node, 'callee');
+                if (node.kind === 'call' && callee?.kind === 'member' &&
+                    treeSitterParser.child(callee, 'property')?.text === 'unwrap') {
+                    const object = treeSitterParser.child(callee, 'object');
+                    report(node, this.shorten(treeSitterParser.text(object, code)), 'unwrap()');
+                }
+            });
+            return patterns;
+        }
+
+        // Where each name is bound, in source order, and whether to a null
+        const bindings = new Map();
+        treeSitterParser.walk(root, node => {
+            const left = treeSitterParser.child(node, 'left');
+            if (node.kind !== 'assignment' || left?.kind !== 'identifier') {
+                return;
+            }
+            const right = treeSitterParser.child(node, 'right');
+            if (!bindings.has(left.text)) {
+                bindings.set(left.text, []);
+            }
+            bindings.get(left.text).push({
+                endIndex: node.endIndex,
+                nullable: !!right && this.isNullable(right, code, language)
+            });
+        });
+
+        treeSitterParser.walk(root, node => {
+            const isAccess = node.kind === 'member' ||
+                (node.kind === 'call' && treeSitterParser.child(node, 'property'));
+            const object = isAccess && treeSitterParser.child(node, 'object');
+            if (object?.kind !== 'identifier') {
+                return;
+            }
+
+            const binding = (bindings.get(object.text) || [])
+                .filter(candidate => candidate.endIndex <= node.startIndex)
+                .pop();
+            if (!binding?.nullable || this.isNullGuarded(node, object.text, binding, code, language)) {
+                return;
+            }
+            report(node, object.text, treeSitterParser.child(node, 'property').text);
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Detect undefined variables in a tree: identifiers used as values that
+     * nothing in the file declares
+     * 
+     * @param {Object} root - Normalized tree root
+     * @param {string} code - Source code
+     * @param {string} language - Programming language
+     * @returns {Array} Detected patterns
+     */
+    detectUndefinedVariablesInTree(root, code, language) {
+        const rules = NAME_RULES[language];
+        const { declared, references, wildcard } = this.collectNames(root, language);
+        if (!rules || wildcard) {
+            return [];
+        }
+
+        return references
+            .filter(node => !declared.has(node.text) &&
+                !this.isBuiltIn(node.text, language) &&
+                !(rules.types && rules.types.test(node.text)) &&
+                !(rules.inherits && this.inInheritingClass(node, rules.inherits)))
+            .map(node => this.treePattern(node, {
+                type: 'undefined-variable',
+                severity: 'high',
+                message: `Variable "${node.text}" may be undefined`,
+                language: language,
+                variable: node.text,
+                suggestion: this.getVariableDeclarationSuggestion(node.text, language)
+            }));
+    }
+
+    /**
+     * Detect network calls in a tree whose failure nothing handles: outside
+     * a try block (Python, Java without `throws`), or in Rust without `?`,
+     * match or a Result combinator
+     * 
+     * @param {Object} root - Normalized tree root
+     * @param {string} code - Source code
+     * @param {string} language - Programming language
+     * @returns {Array} Detected patterns
+     */
+    detectMissingErrorHandlingInTree(root, code, language) {
+        const patterns = [];
+        const calls = [];
+        treeSitterParser.walk(root, node => {
+            if (node.kind === 'call' && this.isNetworkCall(node, code, language)) {
+                calls.push(node);
+            }
+        });
+
+        // A chain of calls (requests.get(url).json()) is reported once, at its first network call
+        const continued = new Set(calls.flatMap(node => this.callChain(node).slice(1)));
+
+        calls.forEach(node => {
+            const chain = this.callChain(node);
+            if (continued.has(node) || this.isErrorHandled(node, chain, code, language)) {
+                return;
+            }
+
+            const functionName = this.calleeText(node, code);
+            patterns.push(this.treePattern(node, {
+                type: 'missing-error-handling',
+                severity: 'medium',
+                message: `Async operation "${this.shorten(functionName)}" may fail without error handling`,
+                language: language,
+                function: functionName,
+                suggestion: this.getErrorHandlingSuggestion(language)
+            }));
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Detect timers, threads and schedulers in a tree whose handle is
+     * dropped (the call chain is a statement of its own)
+     * 
+     * @param {Object} root - Normalized tree root
+     * @param {string} code - Source code
+     * @param {string} language - Programming language
+     * @returns {Array} Detected patterns
+     */
+    detectMemoryLeaksInTree(root, code, language) {
+        const patterns = [];
+        const leaking = LEAKING_CALLS[language] || [];
+
+        treeSitterParser.walk(root, node => {
+            if (node.kind !== 'call' || !leaking.includes(this.calleeText(node, code))) {
+                return;
+            }
+            const chain = this.callChain(node);
+            if (chain[chain.length - 1].parent?.kind !== 'statement') {
+                return;
+            }
+
+            const functionName = this.calleeText(node, code);
+            patterns.push(this.treePattern(node, {
+                type: 'memory-leak',
+                severity: 'low',
+                message: `Potential memory leak: ${functionName} result not stored for cleanup`,
+                language: language,
+                function: functionName,
+                suggestion: this.getMemoryLeakSuggestion(language)
+            }));
+        });
+
+        return patterns;
+    }
+
+    /**
+     * Names a tree declares and the identifiers that use a name as a value
+     * 
+     * @param {Object} root - Normalized tree root
+     * @param {string} language - Programming language
+     * @returns {Object} { declared: Set, references: Array, wildcard: boolean }
+     */
+    collectNames(root, language) {
+        const rules = NAME_RULES[language];
+        const nameTypes = treeSitterParser.nameTypes(language);
+        const declared = new Set();
+        const references = [];
+        let wildcard = false;
+
+        treeSitterParser.walk(root, node => {
+            if (rules.wildcard.includes(node.type)) {
+                wildcard = true;
+            }
+            if (!nameTypes.includes(node.type)) {
+                return;
+            }
+            const role = this.nameRole(node, rules);
+            if (role === 'declaration') {
+                declared.add(node.text);
+            } else if (role === 'reference' && node.type === 'identifier') {
+                references.push(node);
+            }
+        });
+
+        return { declared, references, wildcard };
+    }
+
+    /**
+     * Whether an identifier declares a name, uses one, or neither
+     * 
+     * @param {Object} node - Identifier node
+     * @param {Object} rules - The language's NAME_RULES
+     * @returns {string} 'declaration', 'reference' or 'ignored'
+     */
+    nameRole(node, rules) {
+        const keys = (child, parent) => [`${parent.type}.${child.field}`, parent.type];
+
+        // Outermost enclosing rule first
+        let within = null;
+        for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+            const key = keys(child, parent).find(candidate => candidate in rules.within);
+            if (key) {
+                within = rules.within[key];
+            }
+        }
+        if (within !== null) {
+            return within ? 'declaration' : 'ignored';
+        }
+
+        const own = keys(node, node.parent);
+        if (own.some(key => rules.ignores.includes(key))) {
+            return 'ignored';
+        }
+        if (own.some(key => rules.declares.includes(key))) {
+            return 'declaration';
+        }
+
+        // Destructuring: climb through pattern nodes to where they bind
+        let target = node;
+        while (target.parent && rules.patterns.includes(target.parent.type)) {
+            target = target.parent;
+        }
+        if (target.parent && keys(target, target.parent).some(key => rules.targets.includes(key))) {
+            return 'declaration';
+        }
+        return 'reference';
+    }
+
+    /**
+     * Whether a node is inside a class that inherits from another
+     */
+    inInheritingClass(node, field) {
+        for (let current = node.parent; current; current = current.parent) {
+            if (current.kind === 'class' && treeSitterParser.child(current, field)) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a bound value may be null: a null literal, or a call that may
+     * return null (other than a network call)
+     */
+    isNullable(node, code, language) {
+        if (node.kind === 'null') {
+            return true;
+        }
+        return node.kind === 'call' &&
+            (NULLABLE_CALLS[language] || []).includes(this.calleeName(node, code)) &&
+            !this.isNetworkCall(node, code, language);
+    }
+
+    /**
+     * Whether a null check on a name sits between its binding and a use, or
+     * in the condition of an if/ternary around the use
+     */
+    isNullGuarded(node, name, binding, code, language) {
+        const escaped = name.replace(/[$]/g, '\\$');
+        const between = code.slice(binding.endIndex, node.startIndex);
+        if ((NULL_GUARDS[language] || (() => []))(escaped).some(guard => guard.test(between))) {
+            return true;
+        }
+
+        for (let current = node.parent; current; current = current.parent) {
+            const condition = current.kind === 'if' && treeSitterParser.child(current, 'condition');
+            if (condition && new RegExp(`\\b${escaped}\\b`).test(treeSitterParser.text(condition, code))) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    /**
+     * Whether a call reaches the network
+     */
+    isNetworkCall(node, code, language) {
+        const network = NETWORK_CALLS[language];
+        if (Array.isArray(network)) {
+            return network.includes(this.calleeName(node, code));
+        }
+        return !!network && network.test(this.calleeText(node, code));
+    }
+
+    /**
+     * Whether a failing network call is handled
+     * 
+     * @param {Object} node - The call
+     * @param {Array} chain - The call and the chain built on it (see callChain)
+     * @param {string} code - Source code
+     * @param {string} language - Programming language
+     * @returns {boolean}
+     */
+    isErrorHandled(node, chain, code, language) {
+        const handlers = ERROR_HANDLERS[language] || [];
+        if (chain.some(link => link.kind === 'propagate' ||
+            (link.kind === 'call' && handlers.includes(this.calleeName(link, code))))) {
+            return true;
+        }
+
+        const top = chain[chain.length - 1];
+        if (language === 'rust') {
+            // Matched on, or returned as the function's Result
+            return ['match', 'return'].includes(top.parent?.kind) || top.parent?.type === 'let_condition';
+        }
+
+        for (let child = node, parent = node.parent; parent; child = parent, parent = parent.parent) {
+            // Java's try-with-resources also catches failures opening its resources
+            if (parent.kind === 'try' && (child.field === 'body' || child.field === 'resources')) {
+                return true;
+            }
+            if (parent.kind === 'function') {
+                // Java: declared to throw
+                return parent.children.some(sibling => sibling.type === 'throws');
+            }
+        }
+        return false;
+    }
+
+    /**
+     * A call followed by the calls, member accesses, awaits and Rust `?` built
+     * on its result (fetch().then().catch() ends at catch())
+     * 
+     * @param {Object} node - The call
+     * @returns {Array} Nodes from the call to the end of its chain
+     */
+    callChain(node) {
+        const chain = [node];
+        for (let current = node; current.parent; current = current.parent) {
+            const { parent } = current;
+            const continues = (parent.kind === 'member' && current.field === 'object') ||
+                (parent.kind === 'call' && (current.field === 'callee' || current.field === 'object')) ||
+                parent.kind === 'propagate' ||
+                parent.type === 'await_expression' ||
+                parent.type === 'await';
+            if (!continues) {
+                break;
+            }
+            chain.push(parent);
+        }
+        return chain;
+    }
+
+    /**
+     * Source text of what a call calls (requests.get, thread::spawn,
+     * Executors.newScheduledThreadPool)
+     */
+    calleeText(node, code) {
+        const callee = treeSitterParser.child(node, 'callee');
+        if (callee) {
+            return treeSitterParser.text(callee, code);
+        }
+        const object = treeSitterParser.child(node, 'object');
+        const property = treeSitterParser.child(node, 'property');
+        const name = property ? treeSitterParser.text(property, code) : '';
+        return object ? `${treeSitterParser.text(object, code)}.${name}` : name;
+    }
+
+    /**
+     * Name of the function or method a call calls (get for map.get(k))
+     */
+    calleeName(node, code) {
+        const callee = treeSitterParser.child(node, 'callee');
+        const named = callee?.kind === 'member' ? treeSitterParser.child(callee, 'property') : callee;
+        const name = treeSitterParser.child(node, 'property') || named;
+        if (!name) {
+            return '';
+        }
+        return treeSitterParser.text(name, code).split(/::|\./).pop();
+    }
+
+    /**
+     * A pattern at a node's location
+     */
+    treePattern(node, pattern) {
+        return {
+            ...pattern,
+            confidence: this.calculateLanguageAgnosticConfidence(pattern.type, pattern.language),
+            line: node.line,
+            column: node.column,
+            endLine: node.endLine,
+            location: {
+                line: node.line,
+                column: node.column,
+                endLine: node.endLine,
+                endColumn: node.endColumn
+            }
+        };
+    }
+
+    /**
+     * Source text short enough for a message
+     */
+    shorten(text) {
+        const line = text.replace(/\s+/g, ' ');
+        return line.length > 60 ? `${line.slice(0, 57)}...` : line;
+    }
+
     /**
      * Calculate confidence score (language-agnostic)
      * 
@@ -513,10 +1108,18 @@ class MultiLanguageAST {
         const builtIns = {
             javascript: ['console', 'window', 'document', 'global', 'process', 'require', 'module', 'exports', 'Array', 'Object', 'String', 'Number', 'Boolean', 'Date', 'Math', 'JSON', 'Promise'],
             typescript: ['console', 'window', 'document', 'global', 'process', 'require', 'module', 'exports', 'Array', 'Object', 'String', 'Number', 'Boolean', 'Date', 'Math', 'JSON', 'Promise'],
-            python: ['print', 'len', 'str', 'int', 'float', 'bool', 'list', 'dict', 'tuple', 'set', 'range', 'enumerate', 'zip', 'map', 'filter', 'reduce', 'open', 'import'],
+            python: ['print', 'len', 'str', 'int', 'float', 'bool', 'list', 'dict', 'tuple', 'set', 'range', 'enumerate', 'zip', 'map', 'filter', 'reduce', 'open', 'import',
+                'self', 'cls', 'super', 'object', 'type', 'isinstance', 'issubclass', 'hasattr', 'getattr', 'setattr', 'delattr',
+                'min', 'max', 'sum', 'abs', 'all', 'any', 'sorted', 'reversed', 'iter', 'next', 'repr', 'format', 'round',
+                'bytes', 'bytearray', 'frozenset', 'callable', 'id', 'hash', 'input', 'vars', 'dir', 'divmod', 'pow', 'chr', 'ord',
+                'hex', 'bin', 'oct', 'slice', 'property', 'staticmethod', 'classmethod', 'NotImplemented', 'Ellipsis',
+                'Exception', 'BaseException', 'ValueError', 'TypeError', 'KeyError', 'IndexError', 'AttributeError',
+                'RuntimeError', 'NotImplementedError', 'StopIteration', 'OSError', 'IOError', 'FileNotFoundError',
+                'ImportError', 'ZeroDivisionError', 'AssertionError', 'KeyboardInterrupt', 'TimeoutError', 'PermissionError',
+                '__name__', '__file__', '__doc__', '__all__'],
             java: ['System', 'String', 'Integer', 'Double', 'Boolean', 'List', 'Map', 'Set', 'ArrayList', 'HashMap', 'HashSet', 'Arrays', 'Collections'],
             rust: ['println!', 'print!', 'String', 'Vec', 'HashMap', 'HashSet', 'Option', 'Result', 
-                'Some', 'None', 'Ok', 'Err']
+                'Some', 'None', 'Ok', 'Err', 'Box', 'drop', 'std', 'core', 'alloc']
         };
         
         return (builtIns[language] || builtIns.javascript).includes(name);
@@ -540,51 +1143,33 @@ class MultiLanguageAST {
     }
 
     /**
-     * Parse Python code (fallback - would use tree-sitter in production)
+     * Parse Python code with tree-sitter
      * 
      * @param {string} code - Python code
-     * @returns {Object|null} AST or null
+     * @returns {Object|null} Normalized tree, or null until the grammar is loaded
      */
     parsePython(code) {
-        // In production, would use tree-sitter-python
-        // For now, return simplified AST structure
-        return {
-            type: 'module',
-            language: 'python',
-            parsed: true
-        };
+        return treeSitterParser.parse(code, 'python');
     }
 
     /**
-     * Parse Java code (fallback - would use tree-sitter in production)
+     * Parse Java code with tree-sitter
      * 
      * @param {string} code - Java code
-     * @returns {Object|null} AST or null
+     * @returns {Object|null} Normalized tree, or null until the grammar is loaded
      */
     parseJava(code) {
-        // In production, would use tree-sitter-java
-        // For now, return simplified AST structure
-        return {
-            type: 'compilation_unit',
-            language: 'java',
-            parsed: true
-        };
+        return treeSitterParser.parse(code, 'java');
     }
 
     /**
-     * Parse Rust code (fallback - would use tree-sitter in production)
+     * Parse Rust code with tree-sitter
      * 
      * @param {string} code - Rust code
-     * @returns {Object|null} AST or null
+     * @returns {Object|null} Normalized tree, or null until the grammar is loaded
      */
     parseRust(code) {
-        // In production, would use tree-sitter-rust
-        // For now, return simplified AST structure
-        return {
-            type: 'source_file',
-            language: 'rust',
-            parsed: true
-        };
+        return treeSitterParser.parse(code, 'rust');
     }
 
     /**
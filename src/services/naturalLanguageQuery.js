@@ -19,6 +19,7 @@ const log = createLogger("NaturalLanguageQuery");
 const errorHistoryService = require("./errorHistoryService");
 const rootCauseAnalysis = require("./rootCauseAnalysis");
 const llmService = require("./llmService");
+const { isFixtureMissing } = require("./llm/recordReplay");
 
 class NaturalLanguageQuery {
   constructor() {
@@ -54,6 +55,7 @@ class NaturalLanguageQuery {
           return await this.generalQuery(query, context);
       }
     } catch (error) {
+      if (isFixtureMissing(error)) throw error;
       console.error("[Natural Language Query] Error:", error);
       return {
         success: false,
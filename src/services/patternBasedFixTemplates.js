@@ -16,6 +16,7 @@
 
 const codebaseSearch = require("./codebaseSearch");
 const errorHistoryService = require("./errorHistoryService");
+const { applyFixEdits, describeFixEdits } = require("./llm/fixSchema");
 
 class PatternBasedFixTemplates {
   constructor() {
@@ -196,6 +197,84 @@ class PatternBasedFixTemplates {
 
     return null;
   }
+
+  /**
+   * Deterministic fix without an LLM (used when the LLM budget is exhausted)
+   * Only covers errors whose fix is mechanical at the reported line
+   * @returns {Object|null} { success, code, fixedCode, edits, ... } or null
+   */
+  generatePatternFix(error, code) {
+    const message = error.message || "";
+    const lines = code.split("\n");
+    const lineNumber = error.line;
+    if (!lineNumber || lineNumber < 1 || lineNumber > lines.length) {
+      return null;
+    }
+
+    let edit = null;
+    let explanation = null;
+
+    // "Cannot read properties of undefined (reading 'name')" -> optional chaining
+    const property =
+      message.match(/reading '([\w$]+)'/) ||
+      message.match(/read propert(?:y|ies) '([\w$]+)'/);
+    if (property) {
+      const line = lines[lineNumber - 1];
+      const name = property[1].replace(/\$/g, "\\$");
+      const access = new RegExp(`(^|[^?])\\.(${name})(?![\\w$])`);
+      if (access.test(line)) {
+        edit = {
+          startLine: lineNumber,
+          endLine: lineNumber,
+          replacement: line.replace(access, "$1?.$2"),
+        };
+        explanation = `Guarded .${property[1]} access with optional chaining`;
+      }
+    }
+
+    // "await is only valid in async functions" -> make enclosing function async
+    if (!edit && /await is only valid in async/i.test(message)) {
+      for (let i = lineNumber - 1; i >= 0; i--) {
+        const line = lines[i];
+        if (/\basync\b/.test(line)) break;
+        if (/\bfunction\b/.test(line)) {
+          edit = {
+            startLine: i + 1,
+            endLine: i + 1,
+            replacement: line.replace(/\bfunction\b/, "async function"),
+          };
+        } else if (/=\s*\([^)]*\)\s*=>/.test(line)) {
+          edit = {
+            startLine: i + 1,
+            endLine: i + 1,
+            replacement: line.replace(/=\s*\(/, "= async ("),
+          };
+        }
+        if (edit) {
+          explanation = "Marked the enclosing function async";
+          break;
+        }
+      }
+    }
+
+    if (!edit) {
+      return null;
+    }
+
+    const fixedCode = applyFixEdits(code, [edit]);
+    return {
+      success: true,
+      code: fixedCode,
+      fixedCode,
+      edits: [edit],
+      explanation,
+      rationale: explanation,
+      changes: describeFixEdits([edit]),
+      confidence: 0.6,
+      safety: "safe",
+      method: "pattern-only",
+    };
+  }
 }
 
 module.exports = new PatternBasedFixTemplates();
@@ -17,24 +17,13 @@ const agentKnowledgeService = require('./agentKnowledgeService');
 const { createLogger } = require('../utils/logger');
 const log = createLogger('PatternSuggestionService');
 const codebaseSearch = require('./codebaseSearch');
-const config = require('../config');
-const { getSupabaseService } = require('../utils/supabaseClient');
+const databaseService = require('./databaseService');
 
 class PatternSuggestionService {
     constructor() {
-        // Only create Supabase client if credentials are available
-        if (config.getSupabaseService().serviceRoleKey) {
-            try {
-                this.supabase = getSupabaseClient({ requireService: true }).serviceRoleKey
-                );
-            } catch (error) {
-                log.warn('[patternSuggestionService] Supabase not configured:', error.message);
-                this.supabase = null;
-            }
-        } else {
-            log.warn('[patternSuggestionService] Supabase credentials not configured. Service will be disabled.');
-            this.supabase = null;
-        }
+        // Storage client from databaseService (Supabase or local backend)
+        this.supabase = databaseService.getClient();
+    }
 
     /**
      * Analyze code and suggest pattern improvements
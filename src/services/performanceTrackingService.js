@@ -14,30 +14,14 @@
  */
 
 const config = require("../config");
-const { getSupabaseService } = require("../utils/supabaseClient");
 const { createLogger } = require("../utils/logger");
-const { getSupabaseClient } = require('../utils/supabaseClient');
 const log = createLogger("PerformanceTrackingService");
+const databaseService = require("./databaseService");
 
 class PerformanceTrackingService {
   constructor() {
-    // Only create Supabase client if credentials are available
-    if (config.getSupabaseService().serviceRoleKey) {
-      try {
-        this.supabase = getSupabaseClient({ requireService: true });
-      } catch (error) {
-        log.warn(
-          "[PerformanceTrackingService] Supabase not configured:",
-          error.message,
-        );
-        this.supabase = null;
-      }
-    } else {
-      log.warn(
-        "[PerformanceTrackingService] Supabase credentials not configured. Performance tracking will be disabled.",
-      );
-      this.supabase = null;
-    }
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
   }
 
   /**
@@ -46,7 +30,7 @@ class PerformanceTrackingService {
   async logSlowQuery(queryData) {
     if (!this.supabase) return false;
     try {
-      const { error } = await this.getSupabaseService().rpc("log_slow_query", {
+      const { error } = await this.supabase.rpc("log_slow_query", {
         query_type_param: queryData.queryType,
         execution_time_ms_param: queryData.executionTimeMs,
         rows_returned_param: queryData.rowsReturned,
@@ -69,7 +53,7 @@ class PerformanceTrackingService {
   async getSlowQueries(hours = 24, minMs = 1000) {
     if (!this.supabase) return [];
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_slow_queries",
         {
           p_hours: hours,
@@ -121,7 +105,7 @@ class PerformanceTrackingService {
   async getAPICostsSummary(days = 7, service = null) {
     if (!this.supabase) return [];
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_api_costs_summary",
         {
           p_days: days,
@@ -170,7 +154,7 @@ class PerformanceTrackingService {
   async getCacheEffectiveness(cacheType = null, hours = 24) {
     if (!this.supabase) return [];
     try {
-      const { data, error } = await this.getSupabaseService().rpc(
+      const { data, error } = await this.supabase.rpc(
         "get_cache_effectiveness",
         {
           p_cache_type: cacheType,
@@ -0,0 +1,358 @@
+/**
+ * Prompt Redaction Service
+ * Redacts secrets, credentials, tokens, emails and PHI from every prompt
+ * before it reaches an LLM provider, restores them in the response, and
+ * records what was redacted per request
+ *
+ * Sits outside record/replay around each provider method of llmService, so
+ * recorded fixtures never hold the redacted values either. Chunks sent to
+ * embedding providers are redacted the same way (see wrapEmbeddings).
+ *
+ * Tenant modes (llm_redaction_policies; no row follows the configuration):
+ *   enabled    redact prompts to hosted providers
+ *   disabled   send prompts unchanged
+ *   mandatory  redact every prompt, including to the self-hosted model,
+ *              whatever the configuration says; a prompt that can't be
+ *              redacted is not sent. Only a platform admin can lift it.
+ *
+ * Tenants under HIPAA or PCI DSS set mandatory; complianceService checks it
+ * for both frameworks.
+ */
+
+const crypto = require("crypto");
+const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const auditLogService = require("./auditLogService");
+const { RedactionSession, detect } = require("./llm/redaction");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("PromptRedactionService");
+
+const POLICIES_TABLE = "llm_redaction_policies";
+const LOG_TABLE = "llm_redactions";
+const MODES = ["enabled", "disabled", "mandatory"];
+const POLICY_CACHE_TTL = 30 * 1000;
+const LOCAL_PROVIDER = "local";
+
+class RedactionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RedactionError";
+    this.status = status;
+  }
+}
+
+class PromptRedactionService {
+  constructor() {
+    // Without a configured key placeholders are stable only per process
+    this.key = config.llmRedaction.key || crypto.randomBytes(32);
+    this.policyCache = new Map(); // tenant id -> { policy, expiresAt }
+    this.stats = { requests: 0, redactedRequests: 0, values: 0, refused: 0 };
+  }
+
+  /**
+   * Wrap provider methods with signature (systemPrompt, userPrompt, model)
+   * @param {Object} target - Object owning the methods (e.g. llmService)
+   * @param {Object<string, string>} methods - method name -> provider name
+   * @param {Object} options - { scope } returns the { tenantId, projectId }
+   *   of the current call when the tenant context doesn't have them
+   */
+  wrap(target, methods, options = {}) {
+    const scope = options.scope || (() => ({}));
+    for (const [method, provider] of Object.entries(methods)) {
+      const original = target[method].bind(target);
+      target[method] = (systemPrompt, userPrompt, model) => {
+        const { tenantId, projectId } = scope();
+        return this.handle(provider, original, [systemPrompt, userPrompt], {
+          model,
+          tenantId: tenantContext.currentTenantId() || tenantId || null,
+          projectId: projectId || null,
+        });
+      };
+    }
+  }
+
+  /**
+   * Wrap an embedding provider's embed(texts) so chunks are redacted like
+   * prompts before they are sent; vectors have nothing to restore
+   * @param {Object} embeddingProvider - Provider owning embed()
+   * @param {string} provider - Provider name for the tenant mode ("local"
+   *   for a self-hosted server)
+   */
+  wrapEmbeddings(embeddingProvider, provider) {
+    const original = embeddingProvider.embed.bind(embeddingProvider);
+    embeddingProvider.embed = async (texts) => {
+      const call = {
+        model: embeddingProvider.model,
+        tenantId: tenantContext.currentTenantId() || null,
+        projectId: null,
+      };
+      const { redact, mandatory } = await this.resolve(
+        provider,
+        call.tenantId,
+      );
+      if (!redact) return original(texts);
+
+      this.stats.requests++;
+      const session = new RedactionSession(this.key);
+      const redacted = texts.map((text) => session.redact(text));
+      if (session.unscanned > 0 && mandatory) {
+        this.stats.refused++;
+        throw new RedactionError(
+          "Redaction is mandatory for this tenant and a chunk could not be scanned",
+          422,
+        );
+      }
+
+      const summary = session.summary();
+      if (summary.total > 0) {
+        this.stats.redactedRequests++;
+        this.stats.values += summary.total;
+        this.record(summary, { ...call, provider, mandatory });
+      }
+      return original(redacted);
+    };
+  }
+
+  /**
+   * Redact one provider call's prompts and restore its response
+   * @param {Object} call - { model, tenantId, projectId }
+   */
+  async handle(provider, original, [systemPrompt, userPrompt], call) {
+    const { model } = call;
+    const { redact, mandatory } = await this.resolve(provider, call.tenantId);
+    if (!redact) return original(systemPrompt, userPrompt, model);
+
+    this.stats.requests++;
+    const session = new RedactionSession(this.key);
+    const redactedSystem = session.redact(systemPrompt);
+    const redactedUser = session.redact(userPrompt);
+    if (session.unscanned > 0 && mandatory) {
+      this.stats.refused++;
+      throw new RedactionError(
+        "Redaction is mandatory for this tenant and the prompt could not be scanned",
+        422,
+      );
+    }
+
+    const summary = session.summary();
+    if (summary.total > 0) {
+      this.stats.redactedRequests++;
+      this.stats.values += summary.total;
+      this.record(summary, { ...call, provider, mandatory });
+    }
+
+    const result = await original(redactedSystem, redactedUser, model);
+    if (summary.total === 0 || !result || typeof result !== "object") {
+      return result;
+    }
+    const restored = { ...result, redactions: summary.total };
+    for (const field of ["narrative", "text", "content"]) {
+      if (typeof result[field] === "string") {
+        restored[field] = session.restore(result[field]);
+      }
+    }
+    return restored;
+  }
+
+  /**
+   * Whether the current request's prompts to a provider are redacted
+   * A policy that can't be read redacts anyway rather than risk a leak.
+   */
+  async resolve(provider, tenantId) {
+    let mode = null;
+    try {
+      mode = tenantId ? (await this.getPolicy(tenantId)).mode : null;
+    } catch (error) {
+      log.warn(`Redaction policy of ${tenantId} unavailable:`, error.message);
+      return { redact: true, mandatory: false };
+    }
+
+    if (mode === "mandatory") return { redact: true, mandatory: true };
+    if (mode === "disabled") return { redact: false, mandatory: false };
+    if (mode === null && !config.llmRedaction.enabled) {
+      return { redact: false, mandatory: false };
+    }
+    return {
+      redact: provider !== LOCAL_PROVIDER || config.llmRedaction.includeLocal,
+      mandatory: false,
+    };
+  }
+
+  /**
+   * A tenant's redaction mode; source is "tenant" or "default"
+   */
+  async getPolicy(tenantId) {
+    const cached = this.policyCache.get(tenantId);
+    if (cached && cached.expiresAt > Date.now()) return cached.policy;
+
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(POLICIES_TABLE, {
+        select: "*",
+        filters: [{ column: "tenant_id", operator: "eq", value: tenantId }],
+      }),
+    );
+
+    const row = data?.[0];
+    const policy = row
+      ? {
+          mode: row.mode,
+          source: "tenant",
+          updatedBy: row.updated_by || null,
+          updatedAt: row.updated_at || null,
+        }
+      : {
+          mode: config.llmRedaction.enabled ? "enabled" : "disabled",
+          source: "default",
+        };
+    this.policyCache.set(tenantId, {
+      policy,
+      expiresAt: Date.now() + POLICY_CACHE_TTL,
+    });
+    return policy;
+  }
+
+  /**
+   * Set a tenant's redaction mode
+   * @param {string} tenantId - Tenant id
+   * @param {string} mode - enabled, disabled or mandatory
+   * @param {Object} options - { allowDowngrade } lets a platform admin lift
+   *   mandatory redaction
+   */
+  async setPolicy(tenantId, mode, options = {}) {
+    if (!tenantId) {
+      throw new RedactionError(
+        "Redaction modes are set per tenant; the platform default comes from the configuration",
+      );
+    }
+    if (!MODES.includes(mode)) {
+      throw new RedactionError(`mode must be one of: ${MODES.join(", ")}`);
+    }
+
+    this.policyCache.delete(tenantId);
+    const before = await this.getPolicy(tenantId);
+    if (
+      before.mode === "mandatory" &&
+      mode !== "mandatory" &&
+      !options.allowDowngrade
+    ) {
+      throw new RedactionError(
+        "Mandatory redaction can only be lifted by a platform admin",
+        403,
+      );
+    }
+
+    const values = {
+      mode,
+      updated_by: tenantContext.current()?.principalId || null,
+      updated_at: new Date().toISOString(),
+    };
+    await tenantContext.runUnrestricted(async () => {
+      if (before.source === "tenant") {
+        await databaseService.update(
+          POLICIES_TABLE,
+          [{ column: "tenant_id", operator: "eq", value: tenantId }],
+          values,
+        );
+      } else {
+        await databaseService.insert(POLICIES_TABLE, {
+          tenant_id: tenantId,
+          ...values,
+        });
+      }
+    });
+    this.policyCache.delete(tenantId);
+
+    const policy = {
+      mode,
+      source: "tenant",
+      updatedBy: values.updated_by,
+      updatedAt: values.updated_at,
+    };
+    await auditLogService.record({
+      event: "llm_redaction_policy_updated",
+      category: "config",
+      tenantId,
+      resourceType: "llm_redaction_policy",
+      resourceId: tenantId,
+      before: { mode: before.mode, source: before.source },
+      after: { mode, source: "tenant" },
+    });
+    return policy;
+  }
+
+  /**
+   * Store what one request redacted: categories, rule types and keyed value
+   * hashes, never the values. Fire and forget; a failed write is logged.
+   */
+  record(summary, { tenantId, projectId, provider, model, mandatory }) {
+    const context = tenantContext.current();
+    databaseService
+      .insert(LOG_TABLE, {
+        tenant_id: tenantId,
+        project_id: projectId,
+        principal_id: context?.principalId || null,
+        provider,
+        model: model || null,
+        mandatory,
+        total: summary.total,
+        counts: summary.counts,
+        findings: summary.findings,
+        created_at: new Date().toISOString(),
+      })
+      .catch((error) => {
+        log.warn("Failed to record redactions:", error.message);
+      });
+  }
+
+  /**
+   * A tenant's redaction records, newest first
+   * @param {Object} options - { limit, since }
+   */
+  async listRecords(tenantId, options = {}) {
+    const limit = Math.min(parseInt(options.limit, 10) || 50, 500);
+    const filters = [];
+    if (options.since) {
+      filters.push({
+        column: "created_at",
+        operator: "gte",
+        value: new Date(options.since).toISOString(),
+      });
+    }
+
+    const { data } = await tenantContext.run({ tenantId }, () =>
+      databaseService.query(LOG_TABLE, {
+        select: "*",
+        filters,
+        order: { column: "created_at", ascending: false },
+        limit,
+      }),
+    );
+
+    return (data || []).map((row) => ({
+      id: row.id,
+      principalId: row.principal_id,
+      provider: row.provider,
+      model: row.model,
+      mandatory: Boolean(row.mandatory),
+      total: row.total,
+      counts: row.counts || {},
+      findings: row.findings || [],
+      createdAt: row.created_at,
+    }));
+  }
+
+  /**
+   * Find sensitive values in text (see llm/redaction for the rules)
+   * @param {Object} options - { categories }
+   */
+  detect(text, options = {}) {
+    return detect(text, options);
+  }
+
+  getStats() {
+    return { ...this.stats };
+  }
+}
+
+module.exports = new PromptRedactionService();
@@ -0,0 +1,970 @@
+/**
+ * Retention Service
+ * Retention policies per tenant and data class, legal holds, and the
+ * scheduled purge that enforces them
+ *
+ * Data classes:
+ *   raw_code    code snippets and fix code stored with issues (the issue
+ *               itself is kept, marked code_purged_at)
+ *   embeddings  codebase index chunks and their local vectors
+ *   issues      issues, with their review queue entries
+ *   usage_logs  LLM token and spend counters of the tenant and its projects
+ *   audit_logs  the tenant's audit chain, purged from its start behind a
+ *               checkpoint so the rest still verifies
+ *
+ * config.retention.defaults applies to every tenant without its own policy;
+ * null days keeps a class indefinitely. An active legal hold stops purging
+ * for its tenant (or every tenant) and data classes until released.
+ *
+ * The purge runs every config.retention.purgeIntervalHours over each known
+ * tenant: the untenanted workspace and every tenant with an organization, a
+ * tenant API key, a policy or a hold. Each run stores a report in
+ * retention_purge_reports and a retention_purge entry in the audit chain of
+ * every tenant it purged data from.
+ */
+
+const config = require("../config");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const auditLogService = require("./auditLogService");
+const { codebaseVectorIndex } = require("./vectorIndex");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("RetentionService");
+
+const POLICIES_TABLE = "retention_policies";
+const HOLDS_TABLE = "legal_holds";
+const REPORTS_TABLE = "retention_purge_reports";
+const DAY_MS = 24 * 60 * 60 * 1000;
+const PAGE_SIZE = 500;
+const MAX_RETENTION_DAYS = 36500;
+// The first scheduled run waits for the server to settle
+const FIRST_RUN_DELAY = 5 * 60 * 1000;
+// Tables created outside the migrations; a missing table holds no data
+const MISSING_TABLE_CODES = ["42P01", "PGRST205"];
+
+// Data classes and the method that purges each one
+const DATA_CLASSES = {
+  raw_code: {
+    description: "code snippets and fix code stored with issues",
+    purge: "purgeRawCode",
+  },
+  embeddings: {
+    description: "codebase index chunks and embeddings",
+    purge: "purgeEmbeddings",
+  },
+  issues: {
+    description: "issues",
+    purge: "purgeIssues",
+  },
+  usage_logs: {
+    description: "LLM usage counters",
+    purge: "purgeUsageLogs",
+  },
+  audit_logs: {
+    description: "audit log entries",
+    purge: "purgeAuditLogs",
+  },
+};
+
+class RetentionError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "RetentionError";
+    this.status = status;
+  }
+}
+
+function isMissingTable(error) {
+  return MISSING_TABLE_CODES.includes(error?.code);
+}
+
+function principalId() {
+  return tenantContext.current()?.principalId || null;
+}
+
+function toHold(row) {
+  return {
+    id: row.id,
+    tenantId: row.tenant_id || null,
+    dataClasses: row.data_classes || null,
+    reason: row.reason,
+    createdBy: row.created_by || null,
+    createdAt: row.created_at,
+    releasedAt: row.released_at || null,
+    releasedBy: row.released_by || null,
+  };
+}
+
+function toReport(row) {
+  return {
+    id: row.id,
+    status: row.status,
+    dryRun: Boolean(row.dry_run),
+    triggeredBy: row.triggered_by || null,
+    tenantId: row.tenant_id || null,
+    totals: row.totals || {},
+    results: row.results || [],
+    errorCount: row.error_count || 0,
+    startedAt: row.started_at,
+    finishedAt: row.finished_at || null,
+  };
+}
+
+/**
+ * Whether a hold covers a tenant's data class (null tenant = the
+ * untenanted workspace)
+ */
+function holdCovers(hold, tenantId, dataClass) {
+  return (
+    !hold.releasedAt &&
+    (hold.tenantId === null || hold.tenantId === (tenantId || null)) &&
+    (!hold.dataClasses || hold.dataClasses.includes(dataClass))
+  );
+}
+
+class RetentionService {
+  constructor() {
+    this.timer = null;
+    this.running = null;
+  }
+
+  get dataClasses() {
+    return Object.keys(DATA_CLASSES);
+  }
+
+  // ==========================================================================
+  // Policies
+  // ==========================================================================
+
+  /**
+   * Tenant policy overrides
+   * @returns {Promise<Map<string, Object>>} tenant id -> { dataClass: days }
+   */
+  async getOverrides(tenantId) {
+    const filters = tenantId
+      ? [{ column: "tenant_id", operator: "eq", value: tenantId }]
+      : [];
+    const rows = await this.readAll(POLICIES_TABLE, "*", filters);
+    const overrides = new Map();
+    for (const row of rows) {
+      if (!overrides.has(row.tenant_id)) overrides.set(row.tenant_id, {});
+      overrides.get(row.tenant_id)[row.data_class] =
+        row.retention_days === null || row.retention_days === undefined
+          ? null
+          : Number(row.retention_days);
+    }
+    return overrides;
+  }
+
+  /**
+   * Effective policy of a tenant from its overrides and the defaults
+   * @returns {Object} dataClass -> { days, source: "tenant" or "default" }
+   */
+  resolvePolicies(overrides, tenantId) {
+    const own = (tenantId && overrides.get(tenantId)) || {};
+    const policies = {};
+    for (const dataClass of this.dataClasses) {
+      policies[dataClass] = Object.prototype.hasOwnProperty.call(
+        own,
+        dataClass,
+      )
+        ? { days: own[dataClass], source: "tenant" }
+        : {
+            days: config.retention.defaults[dataClass] ?? null,
+            source: "default",
+          };
+    }
+    return policies;
+  }
+
+  /**
+   * A tenant's effective retention policy (null = the untenanted
+   * workspace, which always follows the defaults)
+   */
+  async getPolicies(tenantId) {
+    const overrides = tenantId ? await this.getOverrides(tenantId) : new Map();
+    return this.resolvePolicies(overrides, tenantId);
+  }
+
+  /**
+   * Set how long a tenant keeps one data class
+   * @param {string} tenantId
+   * @param {string} dataClass - One of DATA_CLASSES
+   * @param {number|null} days - null keeps the data indefinitely
+   */
+  async setPolicy(tenantId, dataClass, days) {
+    this.assertDataClass(dataClass);
+    if (!tenantId) {
+      throw new RetentionError(
+        "Policies are set per tenant; platform defaults come from the configuration",
+      );
+    }
+    if (
+      days !== null &&
+      (!Number.isInteger(days) || days < 1 || days > MAX_RETENTION_DAYS)
+    ) {
+      throw new RetentionError(
+        `days must be a whole number from 1 to ${MAX_RETENTION_DAYS}, or null to keep data indefinitely`,
+      );
+    }
+    const minimum = config.retention.auditLogMinimumDays;
+    if (dataClass === "audit_logs" && days !== null && days < minimum) {
+      throw new RetentionError(
+        `Audit logs must be kept for at least ${minimum} days`,
+      );
+    }
+
+    const before = (await this.getPolicies(tenantId))[dataClass];
+    const values = {
+      retention_days: days,
+      updated_by: principalId(),
+      updated_at: new Date().toISOString(),
+    };
+    const key = [
+      { column: "tenant_id", operator: "eq", value: tenantId },
+      { column: "data_class", operator: "eq", value: dataClass },
+    ];
+    await tenantContext.runUnrestricted(async () => {
+      if (before.source === "tenant") {
+        await databaseService.update(POLICIES_TABLE, key, values);
+      } else {
+        await databaseService.insert(POLICIES_TABLE, {
+          tenant_id: tenantId,
+          data_class: dataClass,
+          ...values,
+        });
+      }
+    });
+
+    const policy = { days, source: "tenant" };
+    await auditLogService.record({
+      event: "retention_policy_updated",
+      category: "config",
+      tenantId,
+      resourceType: "retention_policy",
+      resourceId: dataClass,
+      before,
+      after: policy,
+    });
+    return policy;
+  }
+
+  /**
+   * Drop a tenant's override so the data class follows the defaults again
+   */
+  async resetPolicy(tenantId, dataClass) {
+    this.assertDataClass(dataClass);
+    const before = (await this.getPolicies(tenantId))[dataClass];
+    if (before.source === "tenant") {
+      await tenantContext.runUnrestricted(() =>
+        databaseService.delete(POLICIES_TABLE, [
+          { column: "tenant_id", operator: "eq", value: tenantId },
+          { column: "data_class", operator: "eq", value: dataClass },
+        ]),
+      );
+    }
+
+    const policy = (await this.getPolicies(tenantId))[dataClass];
+    await auditLogService.record({
+      event: "retention_policy_reset",
+      category: "config",
+      tenantId,
+      resourceType: "retention_policy",
+      resourceId: dataClass,
+      before,
+      after: policy,
+    });
+    return policy;
+  }
+
+  assertDataClass(dataClass) {
+    if (!DATA_CLASSES[dataClass]) {
+      throw new RetentionError(
+        `Unknown data class "${dataClass}"; use one of: ${this.dataClasses.join(", ")}`,
+      );
+    }
+  }
+
+  // ==========================================================================
+  // Legal holds
+  // ==========================================================================
+
+  /**
+   * Place a legal hold
+   * @param {Object} hold - { tenantId (null = every tenant), dataClasses
+   *   (null = every class), reason }
+   */
+  async placeHold({ tenantId = null, dataClasses = null, reason }) {
+    if (!reason || typeof reason !== "string") {
+      throw new RetentionError("reason is required");
+    }
+    if (dataClasses !== null) {
+      if (!Array.isArray(dataClasses) || dataClasses.length === 0) {
+        throw new RetentionError(
+          "dataClasses must be a non-empty array, or null for every class",
+        );
+      }
+      dataClasses.forEach((dataClass) => this.assertDataClass(dataClass));
+    }
+
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.insert(
+        HOLDS_TABLE,
+        {
+          tenant_id: tenantId || null,
+          data_classes: dataClasses,
+          reason: reason.slice(0, 1000),
+          created_by: principalId(),
+          created_at: new Date().toISOString(),
+        },
+        { single: true },
+      ),
+    );
+    const hold = toHold(data);
+
+    await auditLogService.record({
+      event: "legal_hold_placed",
+      category: "retention",
+      tenantId: hold.tenantId,
+      resourceType: "legal_hold",
+      resourceId: hold.id,
+      after: { dataClasses: hold.dataClasses, reason: hold.reason },
+    });
+    return hold;
+  }
+
+  /**
+   * Release a legal hold
+   * @param {string} holdId
+   * @param {Object} [options] - { tenantId: only release a hold of this
+   *   tenant (holds on every tenant are left to admins) }
+   */
+  async releaseHold(holdId, options = {}) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(HOLDS_TABLE, {
+        select: "*",
+        filters: [{ column: "id", operator: "eq", value: holdId }],
+        limit: 1,
+      }),
+    );
+    const hold = data?.[0] ? toHold(data[0]) : null;
+    if (
+      !hold ||
+      (options.tenantId !== undefined && hold.tenantId !== options.tenantId)
+    ) {
+      throw new RetentionError("Legal hold not found", 404);
+    }
+    if (hold.releasedAt) {
+      throw new RetentionError("Legal hold was already released", 409);
+    }
+
+    const released = {
+      released_at: new Date().toISOString(),
+      released_by: principalId(),
+    };
+    await tenantContext.runUnrestricted(() =>
+      databaseService.update(
+        HOLDS_TABLE,
+        [{ column: "id", operator: "eq", value: holdId }],
+        released,
+      ),
+    );
+
+    await auditLogService.record({
+      event: "legal_hold_released",
+      category: "retention",
+      tenantId: hold.tenantId,
+      resourceType: "legal_hold",
+      resourceId: hold.id,
+      before: { dataClasses: hold.dataClasses, reason: hold.reason },
+    });
+    return {
+      ...hold,
+      releasedAt: released.released_at,
+      releasedBy: released.released_by,
+    };
+  }
+
+  /**
+   * Legal holds, newest first
+   * @param {Object} [filters] - { tenantId: holds covering this tenant
+   *   (including holds on every tenant), includeReleased }
+   */
+  async listHolds(filters = {}) {
+    const rows = await this.readAll(HOLDS_TABLE, "*", []);
+    return rows
+      .map(toHold)
+      .filter(
+        (hold) =>
+          (filters.includeReleased || !hold.releasedAt) &&
+          (filters.tenantId === undefined ||
+            hold.tenantId === null ||
+            hold.tenantId === (filters.tenantId || null)),
+      )
+      .sort((a, b) => String(b.createdAt).localeCompare(String(a.createdAt)));
+  }
+
+  // ==========================================================================
+  // Purge
+  // ==========================================================================
+
+  /**
+   * Purge data past its retention period and store a report
+   * @param {Object} [options] - { tenantId (omit for every known tenant,
+   *   null for the untenanted workspace), dryRun: only count what is due,
+   *   triggeredBy }
+   * @returns {Promise<Object>} The purge report
+   */
+  async purge(options = {}) {
+    if (this.running) {
+      throw new RetentionError("A purge is already running", 409);
+    }
+    this.running = this.runPurge(options);
+    try {
+      return await this.running;
+    } finally {
+      this.running = null;
+    }
+  }
+
+  async runPurge({ tenantId, dryRun = false, triggeredBy } = {}) {
+    const startedAt = new Date();
+    const [overrides, holds, tenants] = await Promise.all([
+      this.getOverrides(),
+      this.listHolds(),
+      tenantId === undefined ? this.listTenants() : [tenantId || null],
+    ]);
+
+    const results = [];
+    for (const tenant of tenants) {
+      results.push(
+        await this.purgeTenant(tenant, {
+          overrides,
+          holds,
+          dryRun,
+          now: startedAt,
+        }),
+      );
+    }
+
+    const totals = {};
+    for (const dataClass of this.dataClasses) {
+      totals[dataClass] = results.reduce(
+        (sum, result) => sum + (result.classes[dataClass].records || 0),
+        0,
+      );
+    }
+    const errorCount = results.reduce((sum, result) => sum + result.errors, 0);
+    const attempted = results.reduce(
+      (sum, result) =>
+        sum +
+        Object.values(result.classes).filter((outcome) => outcome.cutoff)
+          .length,
+      0,
+    );
+    const status =
+      errorCount === 0
+        ? "completed"
+        : errorCount < attempted
+          ? "partial"
+          : "failed";
+
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.insert(
+        REPORTS_TABLE,
+        {
+          status,
+          dry_run: dryRun,
+          triggered_by: triggeredBy || principalId(),
+          tenant_id: tenantId || null,
+          totals,
+          results,
+          error_count: errorCount,
+          started_at: startedAt.toISOString(),
+          finished_at: new Date().toISOString(),
+        },
+        { single: true },
+      ),
+    );
+    const report = toReport(data);
+
+    if (!dryRun) {
+      for (const result of results.filter((r) => r.records > 0)) {
+        const records = {};
+        for (const [dataClass, outcome] of Object.entries(result.classes)) {
+          if (outcome.records) records[dataClass] = outcome.records;
+        }
+        await auditLogService.record({
+          event: "retention_purge",
+          category: "retention",
+          tenantId: result.tenantId,
+          resourceType: "retention_purge_report",
+          resourceId: report.id,
+          metadata: { records },
+        });
+      }
+    }
+
+    log.info(
+      `[Retention] ${dryRun ? "Dry run" : "Purge"} ${status} over ${results.length} tenant(s): ${JSON.stringify(totals)}`,
+    );
+    return report;
+  }
+
+  /**
+   * Apply a tenant's policy to each data class
+   * @returns {Promise<Object>} { tenantId, classes: { dataClass: { status,
+   *   days, cutoff, records, holdIds, error } }, records, errors }; status
+   *   is purged, due (dry run), held, kept or failed
+   */
+  async purgeTenant(
+    tenantId,
+    { overrides, holds, dryRun = false, now = new Date() },
+  ) {
+    const policies = this.resolvePolicies(overrides, tenantId);
+    const result = {
+      tenantId: tenantId || null,
+      classes: {},
+      records: 0,
+      errors: 0,
+    };
+
+    for (const [dataClass, { purge }] of Object.entries(DATA_CLASSES)) {
+      const { days } = policies[dataClass];
+      const holdIds = holds
+        .filter((hold) => holdCovers(hold, tenantId, dataClass))
+        .map((hold) => hold.id);
+      if (holdIds.length > 0) {
+        result.classes[dataClass] = { status: "held", days, holdIds };
+        continue;
+      }
+      if (days === null) {
+        result.classes[dataClass] = { status: "kept", days };
+        continue;
+      }
+
+      const cutoff = new Date(now.getTime() - days * DAY_MS).toISOString();
+      try {
+        const records = await this[purge](tenantId || null, cutoff, dryRun);
+        result.classes[dataClass] = {
+          status: dryRun ? "due" : "purged",
+          days,
+          cutoff,
+          records,
+        };
+        result.records += records;
+      } catch (error) {
+        result.errors++;
+        result.classes[dataClass] = {
+          status: "failed",
+          days,
+          cutoff,
+          records: 0,
+          error: error.message,
+        };
+        log.error(
+          `[Retention] Failed to purge ${dataClass} of ${tenantId || "the untenanted workspace"}: ${error.message}`,
+        );
+      }
+    }
+    return result;
+  }
+
+  /**
+   * Tenants the scheduled purge covers (null = the untenanted workspace)
+   */
+  async listTenants() {
+    const sources = [
+      { table: "organizations", column: "tenant_id", filters: [] },
+      {
+        table: "api_keys",
+        column: "owner_id",
+        filters: [{ column: "owner_type", operator: "eq", value: "tenant" }],
+      },
+      { table: POLICIES_TABLE, column: "tenant_id", filters: [] },
+      { table: HOLDS_TABLE, column: "tenant_id", filters: [] },
+    ];
+    const tenants = new Set([null]);
+    for (const { table, column, filters } of sources) {
+      for (const row of await this.readAll(table, column, filters)) {
+        if (row[column]) tenants.add(row[column]);
+      }
+    }
+    return [...tenants];
+  }
+
+  async purgeRawCode(tenantId, cutoff, dryRun) {
+    const filters = [
+      { column: "created_at", operator: "lt", value: cutoff },
+      { column: "code_purged_at", operator: "is", value: null },
+    ];
+    return this.inTenant(tenantId, async () => {
+      const records = await this.count("code_roach_issues", filters);
+      if (!dryRun && records > 0) {
+        await databaseService.update(
+          "code_roach_issues",
+          filters,
+          {
+            context_code_snippet: null,
+            fix_code: null,
+            code_purged_at: new Date().toISOString(),
+          },
+          { select: "id" },
+        );
+      }
+      return records;
+    });
+  }
+
+  async purgeEmbeddings(tenantId, cutoff, dryRun) {
+    const filters = [{ column: "indexed_at", operator: "lt", value: cutoff }];
+    let records;
+    try {
+      records = await this.inTenant(tenantId, () =>
+        this.deleteWhere("codebase_index", filters, dryRun),
+      );
+    } catch (error) {
+      if (!isMissingTable(error)) throw error;
+      records = 0;
+    }
+
+    if (!dryRun && config.vectorIndex?.enabled) {
+      codebaseVectorIndex.removeWhere(
+        (chunk) =>
+          (chunk.tenant_id ?? null) === tenantId &&
+          Boolean(chunk.indexed_at) &&
+          chunk.indexed_at < cutoff,
+      );
+    }
+    return records;
+  }
+
+  async purgeIssues(tenantId, cutoff, dryRun) {
+    return this.inTenant(tenantId, () =>
+      this.deleteWhere(
+        "code_roach_issues",
+        [{ column: "created_at", operator: "lt", value: cutoff }],
+        dryRun,
+      ),
+    );
+  }
+
+  /**
+   * Usage counters of the tenant (the global counters for the untenanted
+   * workspace) and of the projects in its organizations
+   */
+  async purgeUsageLogs(tenantId, cutoff, dryRun) {
+    const older = { column: "updated_at", operator: "lt", value: cutoff };
+    const scopes = [
+      tenantId
+        ? [
+            { column: "scope_type", operator: "eq", value: "tenant" },
+            { column: "scope_id", operator: "eq", value: tenantId },
+            older,
+          ]
+        : [{ column: "scope_type", operator: "eq", value: "global" }, older],
+    ];
+    const projectIds = await this.usageProjects(tenantId, older);
+    if (projectIds.length > 0) {
+      scopes.push([
+        { column: "scope_type", operator: "eq", value: "project" },
+        { column: "scope_id", operator: "in", value: projectIds },
+        older,
+      ]);
+    }
+
+    let records = 0;
+    for (const filters of scopes) {
+      records += await tenantContext.runUnrestricted(() =>
+        this.deleteWhere("llm_budget_usage", filters, dryRun),
+      );
+    }
+    return records;
+  }
+
+  /**
+   * Projects with old usage counters that belong to a tenant; projects
+   * outside any tenant's organizations belong to the untenanted workspace
+   */
+  async usageProjects(tenantId, older) {
+    const counters = await this.readAll("llm_budget_usage", "scope_id", [
+      { column: "scope_type", operator: "eq", value: "project" },
+      older,
+    ]);
+    if (counters.length === 0) return [];
+
+    const organizations = await this.readAll(
+      "organizations",
+      "id, tenant_id",
+      [],
+    );
+    const projects = await this.readAll("projects", "id, organization_id", []);
+    const tenantOfOrganization = new Map(
+      organizations.map((org) => [org.id, org.tenant_id || null]),
+    );
+    const tenantOfProject = new Map(
+      projects.map((project) => [
+        project.id,
+        tenantOfOrganization.get(project.organization_id) ?? null,
+      ]),
+    );
+
+    const ids = new Set();
+    for (const { scope_id: projectId } of counters) {
+      if ((tenantOfProject.get(projectId) ?? null) === tenantId) {
+        ids.add(projectId);
+      }
+    }
+    return [...ids];
+  }
+
+  async purgeAuditLogs(tenantId, cutoff, dryRun) {
+    const { entries } = await auditLogService.purgeBefore(tenantId, cutoff, {
+      dryRun,
+    });
+    return entries;
+  }
+
+  /**
+   * Run fn in a tenant's context (null = the untenanted workspace) as the
+   * current principal
+   */
+  inTenant(tenantId, fn) {
+    return tenantContext.run(
+      { ...tenantContext.current(), tenantId, unrestricted: false },
+      fn,
+    );
+  }
+
+  async count(table, filters) {
+    const { data, count } = await databaseService.query(table, {
+      select: "*",
+      filters,
+      limit: 1,
+      count: "exact",
+    });
+    return count || (data || []).length;
+  }
+
+  /**
+   * Delete matching rows (or only count them on a dry run)
+   * @returns {Promise<number>} Rows matched
+   */
+  async deleteWhere(table, filters, dryRun) {
+    const records = await this.count(table, filters);
+    if (!dryRun && records > 0) {
+      await databaseService.delete(table, filters);
+    }
+    return records;
+  }
+
+  /**
+   * Every matching row of a table outside any tenant scope
+   */
+  async readAll(table, select, filters) {
+    const rows = [];
+    for (;;) {
+      const { data } = await tenantContext.runUnrestricted(() =>
+        databaseService.query(table, {
+          select,
+          filters,
+          limit: PAGE_SIZE,
+          offset: rows.length,
+        }),
+      );
+      rows.push(...(data || []));
+      if (!data || data.length < PAGE_SIZE) return rows;
+    }
+  }
+
+  // ==========================================================================
+  // Reports
+  // ==========================================================================
+
+  /**
+   * Purge reports, newest first
+   * @param {Object} [filters] - { dryRun, limit }
+   */
+  async listReports(filters = {}) {
+    const conditions = [];
+    if (filters.dryRun !== undefined) {
+      conditions.push({
+        column: "dry_run",
+        operator: "eq",
+        value: Boolean(filters.dryRun),
+      });
+    }
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "*",
+        filters: conditions,
+        order: { column: "started_at", ascending: false },
+        limit: Math.min(parseInt(filters.limit, 10) || 50, 500),
+      }),
+    );
+    return (data || []).map(toReport);
+  }
+
+  async getReport(id) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(REPORTS_TABLE, {
+        select: "*",
+        filters: [{ column: "id", operator: "eq", value: id }],
+        limit: 1,
+      }),
+    );
+    return data?.[0] ? toReport(data[0]) : null;
+  }
+
+  /**
+   * When a purge last ran over a tenant without errors
+   * @returns {Promise<string|null>}
+   */
+  async lastPurgeOf(tenantId) {
+    const reports = await this.listReports({ dryRun: false, limit: 50 });
+    const report = reports.find((candidate) =>
+      candidate.results.some(
+        (result) =>
+          (result.tenantId ?? null) === (tenantId || null) &&
+          result.errors === 0,
+      ),
+    );
+    return report ? report.finishedAt || report.startedAt : null;
+  }
+
+  // ==========================================================================
+  // Compliance
+  // ==========================================================================
+
+  /**
+   * Evaluate a tenant's retention state: every class has a limit, audit
+   * logs are kept long enough, the purge runs, and nothing is past its
+   * retention period outside a legal hold
+   * @param {string|null} tenantId
+   * @param {Object} [options] - { auditLogMinimumDays }
+   * @returns {Promise<Object>} { compliant, issues, policies, holds,
+   *   lastPurgeAt, due }
+   */
+  async evaluate(tenantId, options = {}) {
+    const now = new Date();
+    const [overrides, holds, lastPurgeAt] = await Promise.all([
+      this.getOverrides(),
+      this.listHolds({ tenantId: tenantId || null }),
+      this.lastPurgeOf(tenantId),
+    ]);
+    const policies = this.resolvePolicies(overrides, tenantId);
+    const issues = [];
+
+    for (const [dataClass, { description }] of Object.entries(DATA_CLASSES)) {
+      if (dataClass !== "audit_logs" && policies[dataClass].days === null) {
+        issues.push({
+          severity: "medium",
+          dataClass,
+          description: `No retention limit for ${description}`,
+          remediation: `Set a retention period for ${dataClass}`,
+        });
+      }
+    }
+
+    const minimum =
+      options.auditLogMinimumDays || config.retention.auditLogMinimumDays;
+    const auditDays = policies.audit_logs.days;
+    if (auditDays !== null && auditDays < minimum) {
+      issues.push({
+        severity: "high",
+        dataClass: "audit_logs",
+        description: `Audit logs are kept ${auditDays} days, less than the required ${minimum}`,
+        remediation: `Keep audit_logs for at least ${minimum} days`,
+      });
+    }
+
+    const interval = config.retention.purgeIntervalHours * 60 * 60 * 1000;
+    if (!config.retention.purgeEnabled) {
+      issues.push({
+        severity: "high",
+        description: "The scheduled retention purge is disabled",
+        remediation: "Set RETENTION_PURGE_ENABLED=true",
+      });
+    } else if (
+      !lastPurgeAt ||
+      now.getTime() - new Date(lastPurgeAt).getTime() > 2 * interval
+    ) {
+      issues.push({
+        severity: "high",
+        description: lastPurgeAt
+          ? `No purge has completed since ${lastPurgeAt}`
+          : "No purge has completed yet",
+        remediation:
+          "Check the retention purge in the server logs or run one from /api/retention/purge",
+      });
+    }
+
+    const due = await this.purgeTenant(tenantId, {
+      overrides,
+      holds,
+      dryRun: true,
+      now,
+    });
+    for (const [dataClass, outcome] of Object.entries(due.classes)) {
+      if (outcome.status === "failed") {
+        issues.push({
+          severity: "high",
+          dataClass,
+          description: `Could not check ${DATA_CLASSES[dataClass].description} for expired records: ${outcome.error}`,
+          remediation: "Check that the storage backend is reachable",
+        });
+      } else if (outcome.records > 0) {
+        issues.push({
+          severity: "high",
+          dataClass,
+          description: `${outcome.records} record(s) of ${DATA_CLASSES[dataClass].description} are past their ${outcome.days}-day retention period`,
+          remediation: "Run the retention purge",
+        });
+      }
+    }
+
+    return {
+      compliant: issues.length === 0,
+      issues,
+      policies,
+      holds,
+      lastPurgeAt,
+      due: due.classes,
+      evaluatedAt: now.toISOString(),
+    };
+  }
+
+  // ==========================================================================
+  // Schedule
+  // ==========================================================================
+
+  /**
+   * Start the scheduled purge (no-op when disabled or already started)
+   */
+  start() {
+    if (!config.retention.purgeEnabled || this.timer) return;
+
+    const interval = config.retention.purgeIntervalHours * 60 * 60 * 1000;
+    this.timer = setTimeout(() => {
+      this.runScheduled();
+      this.timer = setInterval(() => this.runScheduled(), interval);
+      this.timer.unref?.();
+    }, Math.min(FIRST_RUN_DELAY, interval));
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearTimeout(this.timer);
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  runScheduled() {
+    if (this.running) return;
+    this.purge({ triggeredBy: "schedule" }).catch((error) => {
+      log.error(`[Retention] Scheduled purge failed: ${error.message}`);
+    });
+  }
+}
+
+module.exports = new RetentionService();
@@ -13,7 +13,9 @@
  * Traces errors back to architectural decisions and identifies root causes
  */
 
+const path = require("path");
 const codebaseSearch = require("./codebaseSearch");
+const dependencyAnalysisService = require("./dependencyAnalysisService");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("RootCauseAnalysis");
 const errorHistoryService = require("./errorHistoryService");
@@ -158,7 +160,8 @@ class RootCauseAnalysis {
   }
 
   /**
-   * Trace dependency chain
+   * Trace dependency chain: the files the source file imports directly and
+   * indirectly, and the import cycles it is part of
    */
   async traceDependencyChain(error, context) {
     const chain = {
@@ -172,25 +175,17 @@ class RootCauseAnalysis {
     if (!sourceFile) return chain;
 
     try {
-      // Search for imports/dependencies
-      const fileContext = await codebaseSearch.getFileContext(sourceFile);
-      if (fileContext) {
-        const imports = this.extractImports(fileContext);
-        chain.direct = imports;
-
-        // Trace indirect dependencies
-        for (const imp of imports.slice(0, 5)) {
-          try {
-            const depContext = await codebaseSearch.getFileContext(imp);
-            if (depContext) {
-              const depImports = this.extractImports(depContext);
-              chain.indirect.push(...depImports);
-            }
-          } catch (e) {
-            // Ignore
-          }
-        }
+      const filePath = path.resolve(sourceFile);
+      const [dependencies, cycles] = await Promise.all([
+        dependencyAnalysisService.getDependencies(filePath, {
+          transitive: true,
+        }),
+        dependencyAnalysisService.findCycles({ filePath }),
+      ]);
+      for (const { file, depth } of dependencies) {
+        (depth === 1 ? chain.direct : chain.indirect).push(file);
       }
+      chain.circular = cycles;
     } catch (error) {
       log.warn(
         "[Root Cause Analysis] Error tracing dependencies:",
@@ -0,0 +1,422 @@
+/**
+ * SARIF Exporter
+ * Code Roach issues as a SARIF 2.1.0 log, the format code-scanning
+ * dashboards ingest (GitHub code scanning, Azure DevOps, DefectDojo ...):
+ *
+ * - rules: one per issue type, described from the AST rules and the taint
+ *   analysis vulnerability classes
+ * - results: level, message, location relative to the source root
+ *   (%SRCROOT%), the issue's error_fingerprint, the fix as a replacement of
+ *   the flagged code, and a taint trace as a code flow
+ * - suppressions: issues rejected in review are suppressed as accepted,
+ *   deferred ones as under review
+ *
+ * Takes stored code_roach_issues rows, issues as the issue routes format
+ * them, analysis findings, or a cicdIntegration pull request analysis.
+ */
+
+const path = require("path");
+const { pathToFileURL } = require("url");
+const { version } = require("../../package.json");
+const astRuleEngine = require("./astRuleEngine");
+const taintAnalyzer = require("./taintAnalyzer");
+const issueStorageService = require("./issueStorageService");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("SarifExporter");
+
+const SARIF_VERSION = "2.1.0";
+const SARIF_SCHEMA = "https://json.schemastore.org/sarif-2.1.0.json";
+const INFORMATION_URI = "https://code-roach.dev";
+const FINGERPRINT = "codeRoach/v1";
+const SOURCE_ROOT = "%SRCROOT%";
+
+const LEVELS = {
+  critical: "error",
+  high: "error",
+  medium: "warning",
+  low: "note",
+  info: "note",
+};
+// Score GitHub code scanning ranks security alerts by
+const SECURITY_SEVERITY = {
+  critical: "9.5",
+  high: "7.5",
+  medium: "5.0",
+  low: "3.0",
+  info: "1.0",
+};
+const SEVERITIES = ["critical", "high", "medium", "low", "info"];
+
+// review_status -> SARIF suppression status
+const SUPPRESSIONS = {
+  rejected: "accepted",
+  deferred: "underReview",
+};
+
+const PAGE_SIZE = 1000;
+const MAX_RESULTS = 10000;
+
+class SarifExporter {
+  /**
+   * A project's or crawl's stored issues as a SARIF log. Resolved issues are
+   * left out, so a dashboard closes their alerts.
+   * @param {Object} scope - { projectId, crawlId, baseDir, includeResolved }:
+   *   baseDir is the source root file paths are made relative to
+   * @returns {Promise<Object>} SARIF log
+   */
+  async exportIssues(scope = {}) {
+    const { projectId, crawlId, baseDir } = scope;
+    const issues = await this.loadIssues(scope);
+    log.info(
+      `[SARIF] Exporting ${issues.length} issues${projectId ? ` of ${projectId}` : ""}${crawlId ? ` from ${crawlId}` : ""}`,
+    );
+    return this.toSarif(issues, {
+      baseDir,
+      automationId: `code-roach/${projectId || "all"}/${crawlId || ""}`,
+    });
+  }
+
+  /**
+   * A cicdIntegration.analyzePullRequest result as a SARIF log
+   * @param {Object} analysis - { prId, files: [{ path, issues, warnings }] }
+   * @param {Object} [options] - { baseDir }
+   * @returns {Object} SARIF log
+   */
+  fromPullRequest(analysis, options = {}) {
+    const issues = (analysis.files || []).flatMap((file) =>
+      [...(file.issues || []), ...(file.warnings || [])].map((issue) => ({
+        ...issue,
+        filePath: issue.filePath || file.path,
+      })),
+    );
+    return this.toSarif(issues, {
+      ...options,
+      automationId: `code-roach/pull-request/${analysis.prId ?? ""}`,
+    });
+  }
+
+  /**
+   * Issues as a SARIF log with one run
+   * @param {Array<Object>} issues - Stored rows, formatted issues or findings
+   * @param {Object} [options] - { baseDir, automationId }
+   * @returns {Object} SARIF log
+   */
+  toSarif(issues, options = {}) {
+    const normalized = issues.map(normalize);
+    const rules = this.describeRules(normalized);
+    const ruleIndex = new Map(rules.map((rule, index) => [rule.id, index]));
+
+    const run = {
+      tool: {
+        driver: {
+          name: "Code Roach",
+          version,
+          semanticVersion: version,
+          informationUri: INFORMATION_URI,
+          rules,
+        },
+      },
+      ...(options.automationId && {
+        automationDetails: { id: options.automationId },
+      }),
+      ...(options.baseDir && {
+        originalUriBaseIds: {
+          [SOURCE_ROOT]: {
+            uri: `${pathToFileURL(path.resolve(options.baseDir)).href}/`,
+          },
+        },
+      }),
+      columnKind: "utf16CodeUnits",
+      results: normalized.map((issue) =>
+        toResult(issue, ruleIndex.get(issue.ruleId), options.baseDir),
+      ),
+    };
+
+    return { $schema: SARIF_SCHEMA, version: SARIF_VERSION, runs: [run] };
+  }
+
+  /**
+   * Rule metadata for each issue type, in order of first appearance
+   */
+  describeRules(issues) {
+    const known = new Map();
+    try {
+      for (const rule of astRuleEngine.listRules()) {
+        known.set(rule.id, {
+          description: rule.docs?.description,
+          helpUri: rule.docs?.url,
+          category: rule.category,
+          severity: rule.defaultSeverity,
+        });
+      }
+    } catch (error) {
+      log.warn(`[SARIF] AST rules not available: ${error.message}`);
+    }
+    for (const sink of taintAnalyzer.sinkTypes()) {
+      known.set(sink.id, {
+        description: sink.title,
+        help: sink.suggestion,
+        category: "security",
+        severity: sink.severity,
+        cwe: sink.cwe,
+      });
+    }
+
+    const byRule = new Map();
+    for (const issue of issues) {
+      if (!byRule.has(issue.ruleId)) byRule.set(issue.ruleId, []);
+      byRule.get(issue.ruleId).push(issue);
+    }
+
+    return [...byRule].map(([id, ruleIssues]) => {
+      const meta = known.get(id) || {};
+      const category =
+        meta.category || ruleIssues.find((i) => i.category)?.category || id;
+      const severity = meta.severity || highest(ruleIssues);
+      const cwe = meta.cwe || ruleIssues.find((i) => i.cwe)?.cwe;
+      const tags = [category];
+      if (cwe) tags.push(`external/cwe/${cwe.toLowerCase()}`);
+
+      return {
+        id,
+        name: id,
+        shortDescription: { text: meta.description || humanize(id) },
+        ...(meta.helpUri && { helpUri: meta.helpUri }),
+        ...(meta.help && { help: { text: meta.help } }),
+        defaultConfiguration: { level: LEVELS[severity] || "warning" },
+        properties: {
+          category,
+          tags,
+          ...(category === "security" && {
+            "security-severity": SECURITY_SEVERITY[severity] || "5.0",
+          }),
+        },
+      };
+    });
+  }
+
+  async loadIssues({ projectId, crawlId, includeResolved = false }) {
+    const issues = [];
+    for (let offset = 0; offset < MAX_RESULTS; offset += PAGE_SIZE) {
+      const filters = { crawlId, limit: PAGE_SIZE, offset };
+      const page = projectId
+        ? await issueStorageService.getProjectIssues(projectId, filters)
+        : await issueStorageService.getAllIssues(filters);
+      issues.push(...page);
+      if (page.length < PAGE_SIZE) break;
+    }
+    return includeResolved
+      ? issues
+      : issues.filter((issue) => issue.review_status !== "resolved");
+  }
+}
+
+/**
+ * One shape for stored rows (error_type, file_path ...), formatted issues
+ * and analysis findings (type, filePath ...)
+ */
+function normalize(issue) {
+  const fix = issue.fix && typeof issue.fix === "object" ? issue.fix : {};
+  const ruleId = issue.error_type || issue.type || "code-roach";
+  const code = issue.error_code ?? issue.code ?? null;
+  return {
+    id: issue.id ?? null,
+    ruleId,
+    message:
+      issue.error_message || issue.message || `${humanize(ruleId)} issue`,
+    severity: issue.error_severity || issue.severity || "medium",
+    category: issue.category || null,
+    file:
+      issue.file_path ||
+      issue.error_file ||
+      issue.filePath ||
+      (typeof issue.file === "string" ? issue.file : null),
+    line: issue.line ?? issue.error_line ?? null,
+    column: issue.column ?? null,
+    endLine: issue.end_line ?? issue.endLine ?? null,
+    endColumn: issue.endColumn ?? null,
+    // AST rule findings store their rule id as the code
+    snippet: code && code !== ruleId ? code : null,
+    fingerprint:
+      issue.error_fingerprint ||
+      issue.fingerprint ||
+      issueStorageService.fingerprint({
+        type: ruleId,
+        filePath: issue.file_path || issue.filePath || issue.file,
+        code,
+        message: issue.error_message || issue.message,
+      }),
+    reviewStatus:
+      issue.review_status || issue.reviewStatus || issue.status || null,
+    reviewNotes: issue.review_notes || null,
+    fixCode: issue.fix_code ?? fix.code ?? null,
+    fixDescription:
+      fix.explanation ||
+      issue.suggestion ||
+      (issue.fix_method || fix.method
+        ? `Apply the ${issue.fix_method || fix.method} fix`
+        : "Apply the Code Roach fix"),
+    suggestion: issue.suggestion || null,
+    confidence: issue.confidence ?? issue.fix_confidence ?? null,
+    cwe: issue.cwe || null,
+    trace: Array.isArray(issue.trace) ? issue.trace : null,
+  };
+}
+
+function toResult(issue, ruleIndex, baseDir) {
+  const artifactLocation = issue.file
+    ? artifactUri(issue.file, baseDir)
+    : null;
+  const region = toRegion(issue);
+  const location = artifactLocation && {
+    physicalLocation: { artifactLocation, ...(region && { region }) },
+  };
+
+  const result = {
+    ruleId: issue.ruleId,
+    ruleIndex,
+    level: LEVELS[issue.severity] || "warning",
+    message: { text: issue.message },
+    locations: location ? [location] : [],
+    fingerprints: { [FINGERPRINT]: issue.fingerprint },
+  };
+
+  // A fix replaces the flagged code, so it needs the code's exact range
+  if (issue.fixCode && location && region?.endColumn) {
+    result.fixes = [
+      {
+        description: { text: issue.fixDescription },
+        artifactChanges: [
+          {
+            artifactLocation,
+            replacements: [
+              {
+                deletedRegion: {
+                  startLine: region.startLine,
+                  startColumn: region.startColumn,
+                  endLine: region.endLine,
+                  endColumn: region.endColumn,
+                },
+                insertedContent: { text: issue.fixCode },
+              },
+            ],
+          },
+        ],
+      },
+    ];
+  }
+
+  if (issue.trace && artifactLocation) {
+    result.codeFlows = [
+      {
+        threadFlows: [
+          {
+            locations: issue.trace.map((step) => ({
+              location: {
+                physicalLocation: {
+                  artifactLocation,
+                  region: {
+                    startLine: step.line,
+                    ...(step.column != null && {
+                      startColumn: step.column + 1,
+                    }),
+                  },
+                },
+                message: { text: `${step.code}: ${step.note}` },
+              },
+              kinds: [step.kind],
+            })),
+          },
+        ],
+      },
+    ];
+  }
+
+  const suppression = SUPPRESSIONS[issue.reviewStatus];
+  if (suppression) {
+    result.suppressions = [
+      {
+        kind: "external",
+        status: suppression,
+        justification:
+          issue.reviewNotes || `Marked ${issue.reviewStatus} in review`,
+      },
+    ];
+  }
+
+  result.properties = compact({
+    issueId: issue.id,
+    severity: issue.severity,
+    reviewStatus: issue.reviewStatus,
+    confidence: issue.confidence,
+    suggestion: issue.suggestion,
+    cwe: issue.cwe,
+  });
+  return result;
+}
+
+/**
+ * SARIF lines and columns are 1-based; ours are 1-based lines and 0-based
+ * columns. Without an end column the end is worked out from the flagged
+ * code, when there is some.
+ */
+function toRegion(issue) {
+  if (!issue.line) return null;
+  const region = { startLine: issue.line };
+  if (issue.column != null) region.startColumn = issue.column + 1;
+
+  if (issue.endLine && issue.endColumn != null) {
+    region.endLine = issue.endLine;
+    region.endColumn = issue.endColumn + 1;
+  } else if (issue.snippet && issue.column != null) {
+    const lines = issue.snippet.split("\n");
+    const last = lines[lines.length - 1];
+    region.endLine = issue.line + lines.length - 1;
+    region.endColumn =
+      (lines.length === 1 ? issue.column : 0) + last.length + 1;
+  } else if (issue.endLine > issue.line) {
+    region.endLine = issue.endLine;
+  }
+
+  if (issue.snippet) region.snippet = { text: issue.snippet };
+  return region;
+}
+
+/**
+ * A path under the source root as a relative URI against %SRCROOT%, any
+ * other absolute path as a file URI
+ */
+function artifactUri(file, baseDir) {
+  const relative =
+    baseDir && path.isAbsolute(file)
+      ? path.relative(path.resolve(baseDir), file)
+      : file;
+  if (path.isAbsolute(relative) || relative.startsWith("..")) {
+    return { uri: pathToFileURL(file).href };
+  }
+  return {
+    uri: encodeURI(relative.split(path.sep).join("/")),
+    uriBaseId: SOURCE_ROOT,
+  };
+}
+
+function highest(issues) {
+  return SEVERITIES.find((severity) =>
+    issues.some((issue) => issue.severity === severity),
+  );
+}
+
+function humanize(id) {
+  const text = String(id).replace(/[-_]+/g, " ");
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+function compact(object) {
+  return Object.fromEntries(
+    Object.entries(object).filter(
+      ([, value]) => value !== null && value !== undefined,
+    ),
+  );
+}
+
+module.exports = new SarifExporter();
@@ -2,87 +2,732 @@
  * Code Roach Standalone - Synced from Smugglers Project
  * Source: server/services/securityAutoFix.js
  * Last Sync: 2025-12-25T07:02:33.982Z
- * 
+ *
  * NOTE: This file is synced from the Smugglers project.
  * Changes here may be overwritten on next sync.
  * For standalone-specific changes, see .standalone-overrides/
  */
 
 /**
-const { createLogger } = require('../utils/logger');
-const log = createLogger('SecurityAutoFix');
  * Security Auto Fix Service
- * Automatically fixes security vulnerabilities
+ * Finds vulnerabilities with taint analysis (see taintAnalyzer) and fixes
+ * the common classes: parameterized SQL, execFile instead of a shell,
+ * path.basename for file paths, escaped HTML, JSON.parse instead of eval,
+ * local-only redirects and string-cast NoSQL queries
  */
 
-// Fixed syntax error - removed malformed fetch statement
+const { createLogger } = require("../utils/logger");
+const taintAnalyzer = require("./taintAnalyzer");
+const log = createLogger("SecurityAutoFix");
 
-module.exports = {
-  fixSecurityIssue: async (issue) => {
-    // TODO: Implement security auto-fix
-    return { success: false, message: "Not implemented" };
+// Risky API use, matched by pattern when the code cannot be analyzed for
+// dataflow (other languages, a syntax error, Babel not installed)
+const RISKY_API_PATTERNS = [
+  {
+    pattern: /eval\s*\(/gi,
+    severity: "high",
+    message: "Use of eval() is dangerous and can lead to code injection",
+  },
+  {
+    pattern: /innerHTML\s*=/gi,
+    severity: "medium",
+    message:
+      "innerHTML can lead to XSS vulnerabilities, use textContent or sanitize",
+  },
+  {
+    pattern: /dangerouslySetInnerHTML/gi,
+    severity: "medium",
+    message:
+      "dangerouslySetInnerHTML can lead to XSS, ensure content is sanitized",
   },
+  {
+    pattern: /\.query\(['"`][^'"`]*\$\{/gi,
+    severity: "high",
+    message:
+      "SQL query with template literals may be vulnerable to SQL injection",
+  },
+];
 
-  /**
-   * Scan code for security vulnerabilities
-   * Returns array of vulnerabilities found
-   */
-  scanForVulnerabilities: async (code, filePath) => {
-    try {
-      const vulnerabilities = [];
+const SECRET_PATTERNS = [
+  {
+    pattern: /password\s*[:=]\s*['"`][^'"`]{0,10}['"`]/gi,
+    severity: "critical",
+    message: "Hardcoded password detected",
+  },
+  {
+    pattern: /api[_-]?key\s*[:=]\s*['"`][^'"`]+['"`]/gi,
+    severity: "critical",
+    message: "Hardcoded API key detected",
+  },
+];
 
-      // Basic security pattern checks
-      const securityPatterns = [
-        {
-          pattern: /eval\s*\(/gi,
-          severity: "high",
-          message: "Use of eval() is dangerous and can lead to code injection",
-        },
-        {
-          pattern: /innerHTML\s*=/gi,
-          severity: "medium",
-          message:
-            "innerHTML can lead to XSS vulnerabilities, use textContent or sanitize",
-        },
-        {
-          pattern: /dangerouslySetInnerHTML/gi,
-          severity: "medium",
-          message:
-            "dangerouslySetInnerHTML can lead to XSS, ensure content is sanitized",
-        },
-        {
-          pattern: /\.query\(['"`][^'"`]*\$\{/gi,
-          severity: "high",
-          message:
-            "SQL query with template literals may be vulnerable to SQL injection",
-        },
+// SQL drivers by placeholder syntax: $1, $2, ... or ?
+const NUMBERED_DRIVERS =
+  /^(pg|pg-pool|pg-promise|postgres|@neondatabase\/serverless|@vercel\/postgres)$/;
+const QUESTION_DRIVERS = /^(mysql|mysql2(\/promise)?|sqlite3?|better-sqlite3)$/;
+
+// Shell syntax that execFile cannot express
+const SHELL_SYNTAX = /[|&;<>()$`\\"'*?~#{}[\]]/;
+
+const ESCAPE_HTML = `
+function escapeHtml(value) {
+  return String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+`;
+
+const LOCAL_REDIRECT = `
+function localRedirect(url) {
+  // Only paths on this site: "/orders", not "//evil.example" or "https://..."
+  return typeof url === "string" && /^\\/(?![/\\\\])/.test(url) ? url : "/";
+}
+`;
+
+/**
+ * Edits that fix a finding, by vulnerability type. Each returns
+ * { edits: [{ start, end, text }], explanation } or { reason } when the code
+ * has to be changed by hand.
+ */
+const REMEDIATIONS = {
+  "sql-injection": (finding, sink, program, code) => {
+    const args = sink.node.arguments;
+    const query = argumentAt(sink, finding);
+    const parts = stringParts(query);
+    if (!parts) {
+      return {
+        reason:
+          "The query is built outside the call; pass its values as parameters where it is built",
+      };
+    }
+    const rest = args.slice(1);
+    const callback =
+      rest.length === 1 &&
+      ["FunctionExpression", "ArrowFunctionExpression"].includes(rest[0].type);
+    if (rest.length > 0 && !callback) {
+      return { reason: "The query already takes parameters" };
+    }
+
+    const driver = queryModule(sink);
+    const numbered = NUMBERED_DRIVERS.test(driver);
+    if (!numbered && !QUESTION_DRIVERS.test(driver)) {
+      // Postgres takes $1 where MySQL and SQLite take ?
+      return {
+        reason: driver
+          ? `Not a known SQL driver (${driver}); pass the values as parameters in its placeholder syntax`
+          : "The query's driver could not be traced; pass the values as parameters in its placeholder syntax",
+      };
+    }
+    const spread = /Unsafe$/.test(calleeName(sink.get("callee")));
+    const values = [];
+    let sql = "";
+    parts.forEach((part, index) => {
+      if (part.static !== undefined) {
+        sql += part.static;
+        return;
+      }
+      let value = code.slice(part.expression.start, part.expression.end);
+      // '${name}' and '%${term}%' become a bare placeholder
+      const open = sql.match(/(['"])(%?)$/);
+      const next = parts[index + 1];
+      const close = next?.static?.match(/^(%?)(['"])/);
+      if (open && close && open[1] === close[2]) {
+        sql = sql.slice(0, -open[0].length);
+        next.static = next.static.slice(close[0].length);
+        if (open[2] || close[1]) {
+          value = `\`${open[2]}\${${value}}${close[1]}\``;
+        }
+      }
+      values.push(value);
+      sql += numbered ? `$${values.length}` : "?";
+    });
+    if (!values.length) {
+      return { reason: "The query has no values to parameterize" };
+    }
+
+    const literal = query.isTemplateLiteral()
+      ? `\`${templateText(sql)}\``
+      : JSON.stringify(sql);
+    const params = spread ? values.join(", ") : `[${values.join(", ")}]`;
+    return {
+      edits: [
         {
-          pattern: /password\s*[:=]\s*['"`][^'"`]{0,10}['"`]/gi,
-          severity: "critical",
-          message: "Hardcoded password detected",
+          start: query.node.start,
+          end: query.node.end,
+          text: `${literal}, ${params}`,
         },
-        {
-          pattern: /api[_-]?key\s*[:=]\s*['"`][^'"`]+['"`]/gi,
-          severity: "critical",
-          message: "Hardcoded API key detected",
+      ],
+      explanation: `Moved ${values.length} value(s) out of the SQL text into query parameters`,
+    };
+  },
+
+  "nosql-injection": (finding, sink) => {
+    const filter = argumentAt(sink, finding);
+    if (!filter.isObjectExpression() || !finding.sink.tainted.length) {
+      return {
+        reason:
+          "The query object comes from input; build it from individual values instead",
+      };
+    }
+    return {
+      edits: finding.sink.tainted.map((range) => wrap(range, "String")),
+      explanation:
+        "Cast the query values to strings so input cannot add query operators",
+    };
+  },
+
+  "command-injection": (finding, sink, program, code) => {
+    const callee = sink.get("callee");
+    const name = calleeName(callee);
+    if (name !== "exec" && name !== "execSync") {
+      return {
+        reason:
+          "The program to run comes from input; choose it from a fixed list",
+      };
+    }
+    const parts = stringParts(argumentAt(sink, finding));
+    if (!parts) {
+      return {
+        reason:
+          "The command is built outside the call; run it with execFile and an argument list",
+      };
+    }
+
+    // Split the command line into words, keeping values as whole arguments
+    const words = [[]];
+    for (const part of parts) {
+      if (part.expression) {
+        words[words.length - 1].push(part);
+        continue;
+      }
+      if (SHELL_SYNTAX.test(part.static)) {
+        return {
+          reason:
+            "The command uses shell syntax (pipes, redirects, quotes); rewrite it without a shell",
+        };
+      }
+      part.static.split(/(\s+)/).forEach((piece) => {
+        if (/^\s+$/.test(piece)) words.push([]);
+        else if (piece) words[words.length - 1].push({ static: piece });
+      });
+    }
+    const [executable, ...args] = words
+      .filter((word) => word.length)
+      .map((word) => renderWord(word, code));
+    if (!executable || executable.static === undefined) {
+      return {
+        reason:
+          "The program to run comes from input; choose it from a fixed list",
+      };
+    }
+
+    const execFile = name === "exec" ? "execFile" : "execFileSync";
+    const edits = [];
+    if (callee.isIdentifier()) {
+      const importEdit = addImportedName(callee, execFile);
+      if (!importEdit) {
+        return { reason: `${name} is not imported from child_process` };
+      }
+      edits.push(importEdit, {
+        start: callee.node.start,
+        end: callee.node.end,
+        text: execFile,
+      });
+    } else {
+      const property = callee.get("property");
+      edits.push({
+        start: property.node.start,
+        end: property.node.end,
+        text: execFile,
+      });
+    }
+    const command = sink.node.arguments[0];
+    edits.push({
+      start: command.start,
+      end: command.end,
+      text: `${executable.text}, [${args
+        .map((arg) => arg.text)
+        .join(", ")}]`,
+    });
+    return {
+      edits,
+      explanation: `Run ${executable.static} with ${execFile} and pass the values as arguments, so no shell interprets them`,
+    };
+  },
+
+  "path-traversal": (finding, sink, program, code) => {
+    const { tainted, argument } = finding.sink;
+    if (!tainted.length) {
+      return { reason: "No single value to restrict in the path" };
+    }
+    // A whole configured path (process.env.CONFIG_PATH) is meant to point
+    // anywhere; reducing it to a file name would break it
+    const whole = tainted.some(
+      (range) => range.start === argument.start && range.end === argument.end,
+    );
+    if (whole && finding.source.kind !== "request") {
+      return {
+        reason:
+          "The whole path comes from configuration; check that it resolves inside the expected directory",
+      };
+    }
+    const module = pathModule(sink, program, code);
+    if (!module) {
+      return { reason: "path is shadowed in this module; use path.basename()" };
+    }
+    return {
+      edits: [
+        ...tainted.map((range) => wrap(range, "path.basename")),
+        ...(module.edit ? [module.edit] : []),
+      ],
+      explanation:
+        "Reduced the untrusted part of the path to a file name with path.basename(), so it cannot contain ../",
+    };
+  },
+
+  xss: (finding, sink, program) => {
+    if (sink.isAssignmentExpression()) {
+      const left = sink.get("left");
+      if (calleeName(left) !== "innerHTML") {
+        return { reason: "Build the element with DOM methods instead" };
+      }
+      const property = left.get("property");
+      return {
+        edits: [
+          {
+            start: property.node.start,
+            end: property.node.end,
+            text: "textContent",
+          },
+        ],
+        explanation:
+          "Set textContent instead of innerHTML, so the value is shown as text",
+      };
+    }
+    if (!sink.isCallExpression() || !finding.sink.tainted.length) {
+      return {
+        reason:
+          "Sanitize the HTML (for example with DOMPurify) before rendering it",
+      };
+    }
+    return {
+      edits: [
+        ...finding.sink.tainted.map((range) => wrap(range, "escapeHtml")),
+        ...helper(sink, program, "escapeHtml", ESCAPE_HTML),
+      ],
+      explanation:
+        "Escaped the values with escapeHtml() before writing them into HTML",
+    };
+  },
+
+  "code-injection": (finding, sink) => {
+    const callee = sink.get("callee");
+    if (!sink.isCallExpression() || !callee.isIdentifier({ name: "eval" })) {
+      return {
+        reason: "Remove the dynamic code; it cannot be made safe automatically",
+      };
+    }
+    return {
+      edits: [
+        { start: callee.node.start, end: callee.node.end, text: "JSON.parse" },
+      ],
+      explanation: "Parse the value as JSON instead of running it as code",
+    };
+  },
+
+  "open-redirect": (finding, sink, program) => {
+    const target = sink.isAssignmentExpression()
+      ? sink.get("right")
+      : argumentAt(sink, finding);
+    return {
+      edits: [
+        wrap(target.node, "localRedirect"),
+        ...helper(sink, program, "localRedirect", LOCAL_REDIRECT),
+      ],
+      explanation: "Redirect only to local paths with localRedirect()",
+    };
+  },
+};
+
+/**
+ * The node a finding was reported at
+ */
+function sinkPath(program, finding) {
+  let found = null;
+  program.traverse({
+    enter(candidate) {
+      const { start, end } = candidate.node;
+      if (start === finding.sink.start && end === finding.sink.end) {
+        found = candidate;
+        candidate.stop();
+      } else if (start > finding.sink.start || end < finding.sink.end) {
+        candidate.skip();
+      }
+    },
+  });
+  // A parenthesized or wrapped sink shares its position with its child
+  while (found && !isSinkNode(found)) {
+    const child = ["expression", "argument"]
+      .map((key) => found.get(key))
+      .find((candidate) => candidate.node);
+    found = child || null;
+  }
+  return found;
+}
+
+function isSinkNode(candidate) {
+  return (
+    candidate.isCallExpression() ||
+    candidate.isNewExpression() ||
+    candidate.isAssignmentExpression() ||
+    candidate.isJSXAttribute()
+  );
+}
+
+function argumentAt(sink, finding) {
+  return sink
+    .get("arguments")
+    .find((arg) => arg.node.start === finding.sink.argument.start);
+}
+
+/**
+ * A template literal or string concatenation as static text and values
+ */
+function stringParts(expression) {
+  if (!expression) return null;
+  if (expression.isTemplateLiteral()) {
+    const quasis = expression.node.quasis;
+    return quasis.flatMap((quasi, index) =>
+      index < expression.node.expressions.length
+        ? [
+            { static: quasi.value.cooked },
+            { expression: expression.node.expressions[index] },
+          ]
+        : [{ static: quasi.value.cooked }],
+    );
+  }
+  if (!expression.isBinaryExpression({ operator: "+" })) return null;
+
+  const parts = [];
+  const visit = (node) => {
+    if (node.type === "BinaryExpression" && node.operator === "+") {
+      visit(node.left);
+      visit(node.right);
+    } else if (node.type === "StringLiteral") {
+      parts.push({ static: node.value });
+    } else {
+      parts.push({ expression: node });
+    }
+  };
+  visit(expression.node);
+  return parts;
+}
+
+/**
+ * One execFile argument from the pieces of a command-line word
+ */
+function renderWord(pieces, code) {
+  if (pieces.every((piece) => piece.static !== undefined)) {
+    const value = pieces.map((piece) => piece.static).join("");
+    return { static: value, text: JSON.stringify(value) };
+  }
+  if (pieces.length === 1) {
+    const { start, end } = pieces[0].expression;
+    return { text: code.slice(start, end) };
+  }
+  const template = pieces
+    .map((piece) =>
+      piece.static !== undefined
+        ? templateText(piece.static)
+        : `\${${code.slice(piece.expression.start, piece.expression.end)}}`,
+    )
+    .join("");
+  return { text: `\`${template}\`` };
+}
+
+function calleeName(callee) {
+  const { node } = callee;
+  if (node.type === "Identifier") return node.name;
+  if (node.property?.type === "Identifier") return node.property.name;
+  return null;
+}
+
+/**
+ * Add a name next to a destructured require or import of child_process
+ */
+function addImportedName(callee, name) {
+  const binding = callee.scope.getBinding(callee.node.name);
+  const declaration = binding?.path;
+  let names = null;
+  if (declaration?.isVariableDeclarator()) {
+    names = declaration.node.id.properties;
+  } else if (declaration?.isImportSpecifier()) {
+    names = declaration.parent.specifiers;
+  }
+  if (!names) return null;
+
+  const present = names.some(
+    (entry) =>
+      (entry.key?.name || entry.imported?.name) === name &&
+      (entry.value?.name || entry.local?.name) === name,
+  );
+  const last = names[names.length - 1];
+  return present
+    ? { start: last.end, end: last.end, text: "" }
+    : { start: last.end, end: last.end, text: `, ${name}` };
+}
+
+/**
+ * How to reach the path module where a sink is: as path, adding a require
+ * or import when it is not loaded yet; null when path is another variable
+ */
+function pathModule(sink, program, code) {
+  const binding = sink.scope.getBinding("path");
+  if (binding) {
+    const declaration = binding.path;
+    const loaded =
+      (declaration.isVariableDeclarator() &&
+        /^require\(\s*["'](node:)?path["']\s*\)$/.test(
+          code.slice(declaration.node.init?.start, declaration.node.init?.end),
+        )) ||
+      ((declaration.isImportDefaultSpecifier() ||
+        declaration.isImportNamespaceSpecifier()) &&
+        /^(node:)?path$/.test(declaration.parent.source.value));
+    return loaded ? {} : null;
+  }
+
+  const body = program.get("body");
+  const esm = body.some((statement) => statement.isImportDeclaration());
+  const statement = esm
+    ? 'import path from "path";'
+    : 'const path = require("path");';
+  // After the last import or top-level require
+  const imports = body.filter(
+    (candidate) =>
+      candidate.isImportDeclaration() ||
+      (candidate.isVariableDeclaration() &&
+        /\brequire\(/.test(
+          code.slice(candidate.node.start, candidate.node.end),
+        )),
+  );
+  const anchor = imports[imports.length - 1];
+  return {
+    edit: anchor
+      ? { start: anchor.node.end, end: anchor.node.end, text: `\n${statement}` }
+      : {
+          start: body[0]?.node.start || 0,
+          end: body[0]?.node.start || 0,
+          text: `${statement}\n`,
         },
-      ];
+  };
+}
 
-      for (const check of securityPatterns) {
-        const matches = code.match(check.pattern);
-        if (matches) {
-          vulnerabilities.push({
-            type: "security",
-            severity: check.severity,
-            message: check.message,
-            line: code.substring(0, code.indexOf(matches[0])).split("\n")
-              .length,
-            pattern: check.pattern.toString(),
-          });
-        }
+/**
+ * Append a helper function unless the name is already taken
+ */
+function helper(sink, program, name, source) {
+  if (sink.scope.hasBinding(name)) return [];
+  const end = program.node.end;
+  return [{ start: end, end, text: source }];
+}
+
+function wrap(range, fn) {
+  return {
+    start: range.start,
+    end: range.start,
+    text: `${fn}(`,
+    close: range.end,
+  };
+}
+
+function applyEdits(code, edits) {
+  // A wrap is an insertion at its start and a ")" at its end
+  const flat = edits.flatMap((edit) =>
+    edit.close === undefined
+      ? [edit]
+      : [
+          { start: edit.start, end: edit.end, text: edit.text },
+          { start: edit.close, end: edit.close, text: ")" },
+        ],
+  );
+  flat.sort((a, b) => b.start - a.start || b.end - a.end);
+  let result = code;
+  for (const edit of flat) {
+    result = result.slice(0, edit.start) + edit.text + result.slice(edit.end);
+  }
+  return result;
+}
+
+/**
+ * Text as the inside of a template literal
+ */
+function templateText(value) {
+  return value.replace(/[`\\]|\$\{/g, (match) => `\\${match}`);
+}
+
+/**
+ * Module the object a query is called on comes from: db in db.query() is
+ * followed through its declaration, new Pool(), pool.connect() and await
+ * to a require or import; null when it can't be traced
+ */
+function queryModule(sink) {
+  let target = sink.get("callee");
+  for (let steps = 0; steps < 20 && target?.node; steps++) {
+    if (
+      target.isCallExpression() &&
+      target.get("callee").isIdentifier({ name: "require" }) &&
+      target.node.arguments[0]?.type === "StringLiteral"
+    ) {
+      return target.node.arguments[0].value;
+    }
+    if (target.isMemberExpression()) {
+      target = target.get("object");
+    } else if (target.isAwaitExpression()) {
+      target = target.get("argument");
+    } else if (target.isCallExpression() || target.isNewExpression()) {
+      target = target.get("callee");
+    } else if (target.isIdentifier()) {
+      const declaration = target.scope.getBinding(target.node.name)?.path;
+      if (
+        declaration?.isImportSpecifier() ||
+        declaration?.isImportDefaultSpecifier() ||
+        declaration?.isImportNamespaceSpecifier()
+      ) {
+        return declaration.parent.source.value;
       }
+      if (!declaration?.isVariableDeclarator()) return null;
+      target = declaration.get("init");
+    } else {
+      return null;
+    }
+  }
+  return null;
+}
+
+function matchPatterns(code, patterns) {
+  const vulnerabilities = [];
+  for (const check of patterns) {
+    const matches = code.match(check.pattern);
+    if (matches) {
+      vulnerabilities.push({
+        type: "security",
+        severity: check.severity,
+        message: check.message,
+        line: code.substring(0, code.indexOf(matches[0])).split("\n").length,
+        pattern: check.pattern.toString(),
+      });
+    }
+  }
+  return vulnerabilities;
+}
+
+module.exports = {
+  /**
+   * Fix a vulnerability reported by scanForVulnerabilities
+   * @param {Object} issue - The finding, or { type, line, code } of one
+   * @param {Object} context - { code, filePath }: the file's current code
+   * @returns {Promise<Object>} { success, fixedCode, fixed, explanation,
+   *   changes } where fixed replaces the finding's code; or { success:
+   *   false, message }
+   */
+  fixSecurityIssue: async (issue, context = {}) => {
+    const code = context.code;
+    if (typeof code !== "string") {
+      return {
+        success: false,
+        message: "The file's code is required to fix a security issue",
+      };
+    }
+    const parsed = taintAnalyzer.parse(code, { filePath: context.filePath });
+    if (!parsed) {
+      return {
+        success: false,
+        message:
+          "Only JavaScript and TypeScript security issues can be fixed automatically",
+      };
+    }
+
+    const findings = taintAnalyzer.analyze(code, {
+      filePath: context.filePath,
+    });
+    const sameType = (finding) =>
+      finding.type === issue.type || issue.type === "security";
+    const finding =
+      findings.find((f) => sameType(f) && f.code === issue.code) ||
+      findings.find((f) => sameType(f) && f.line === issue.line);
+    if (!finding) {
+      return {
+        success: false,
+        message: "The vulnerability was not found in the code",
+      };
+    }
+
+    const remediation = REMEDIATIONS[finding.type];
+    const sink = sinkPath(parsed.program, finding);
+    const result =
+      remediation && sink
+        ? remediation(finding, sink, parsed.program, code)
+        : { reason: `No automatic fix for ${finding.type}` };
+    if (!result.edits) {
+      return { success: false, message: result.reason, finding };
+    }
 
-      return vulnerabilities;
+    const fixedCode = applyEdits(code, result.edits);
+    if (!taintAnalyzer.parse(fixedCode, { filePath: context.filePath })) {
+      log.warn(
+        `[Security Auto Fix] ${finding.type} fix did not produce valid code`,
+      );
+      return {
+        success: false,
+        message: "The fix did not produce valid code",
+        finding,
+      };
+    }
+
+    const { start, end } = finding.sink;
+    const inSink = result.edits
+      .filter((edit) => edit.start >= start && (edit.close ?? edit.end) <= end)
+      .map((edit) => ({
+        ...edit,
+        start: edit.start - start,
+        end: edit.end - start,
+        ...(edit.close !== undefined && { close: edit.close - start }),
+      }));
+
+    return {
+      success: true,
+      type: finding.type,
+      line: finding.line,
+      fixed: applyEdits(finding.code, inSink),
+      fixedCode,
+      explanation: result.explanation,
+      changes: [result.explanation],
+      finding,
+    };
+  },
+
+  /**
+   * Same as fixSecurityIssue (the name the fix generators use)
+   */
+  generateFix: (issue, context) =>
+    module.exports.fixSecurityIssue(issue, context),
+
+  /**
+   * Scan code for security vulnerabilities
+   * Returns array of vulnerabilities found: source-to-sink flows with their
+   * trace for JavaScript and TypeScript, risky API use by pattern for other
+   * code, and hardcoded secrets
+   */
+  scanForVulnerabilities: async (code, filePath) => {
+    try {
+      const flows = taintAnalyzer.analyze(code, { filePath });
+      return [
+        ...(flows || matchPatterns(code, RISKY_API_PATTERNS)),
+        ...matchPatterns(code, SECRET_PATTERNS),
+      ];
     } catch (err) {
       log.warn(
         "[Security Auto Fix] Error scanning for vulnerabilities:",
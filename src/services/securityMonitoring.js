@@ -31,6 +31,7 @@ class SecurityMonitoring {
         ddosAttempts: options.alertThresholds?.ddosAttempts || 5, // Per hour
         xssAttempts: options.alertThresholds?.xssAttempts || 10, // Per hour
         websocketFloods: options.alertThresholds?.websocketFloods || 20, // Per hour
+        crossTenantAccess: options.alertThresholds?.crossTenantAccess || 5, // Per hour
         ...options.alertThresholds,
       },
       ...options,
@@ -45,6 +46,7 @@ class SecurityMonitoring {
       ddosAttempts: 0,
       xssAttempts: 0,
       websocketFloods: 0,
+      crossTenantAccess: 0,
       lastAlert: null,
       alertsSent: 0,
     };
@@ -56,6 +58,7 @@ class SecurityMonitoring {
       ddosAttempts: [],
       xssAttempts: [],
       websocketFloods: [],
+      crossTenantAccess: [],
     };
 
     // Alert handlers
@@ -64,8 +67,8 @@ class SecurityMonitoring {
     // Initialize log file
     this.initializeLogFile();
 
-    // Cleanup old events periodically
-    setInterval(() => this.cleanup(), 3600000); // Every hour
+    // Cleanup old events periodically (without keeping the process alive)
+    setInterval(() => this.cleanup(), 3600000).unref(); // Every hour
   }
 
   /**
@@ -144,6 +147,10 @@ class SecurityMonitoring {
         this.stats.websocketFloods++;
         this.hourlyCounters.websocketFloods.push(now);
         break;
+      case "cross_tenant_access":
+        this.stats.crossTenantAccess++;
+        this.hourlyCounters.crossTenantAccess.push(now);
+        break;
     }
 
     // Clean up old hourly counters
@@ -194,6 +201,7 @@ class SecurityMonitoring {
       ddos_attempt: "ddosAttempts",
       xss_attempt: "xssAttempts",
       websocket_flood: "websocketFloods",
+      cross_tenant_access: "crossTenantAccess",
     };
     return mapping[type] || type;
   }
@@ -267,6 +275,7 @@ class SecurityMonitoring {
         ddosAttempts: this.hourlyCounters.ddosAttempts.length,
         xssAttempts: this.hourlyCounters.xssAttempts.length,
         websocketFloods: this.hourlyCounters.websocketFloods.length,
+        crossTenantAccess: this.hourlyCounters.crossTenantAccess.length,
       },
       recentEvents: this.events.filter((e) => e.timestamp > hourAgo).length,
       recentCriticalEvents: this.events.filter(
@@ -83,14 +83,38 @@ class SmartAlertService {
       severity: "critical",
       message: "Critical error pattern detected",
     });
+
+    // Rule: LLM spend approaching a tenant/project budget
+    this.alertRules.set("llm-budget-soft-limit", {
+      name: "LLM Budget Soft Limit",
+      check: (budgetStatus) => budgetStatus.state === "warning",
+      severity: "medium",
+      message: "LLM token/spend budget is nearly used up",
+    });
+
+    // Rule: LLM budget exhausted (fixes downgrade to pattern-only)
+    this.alertRules.set("llm-budget-exceeded", {
+      name: "LLM Budget Exceeded",
+      check: (budgetStatus) => budgetStatus.state === "exceeded",
+      severity: "high",
+      message: "LLM budget exceeded - falling back to pattern-only fixes",
+    });
+
+    // Rule: Webhook disabled after its deliveries kept failing
+    this.alertRules.set("webhook-disabled", {
+      name: "Webhook Disabled",
+      check: (webhook) => webhook.enabled === false,
+      severity: "high",
+      message: "Webhook disabled after repeated failed deliveries",
+    });
   }
 
   /**
    * Check if alert should be sent
    */
   shouldAlert(ruleId, context) {
-    // Check cooldown
-    const lastAlert = this.alertCooldowns.get(ruleId);
+    // Check cooldown (context.cooldownKey scopes it, e.g. per tenant)
+    const lastAlert = this.alertCooldowns.get(context?.cooldownKey || ruleId);
     if (lastAlert && Date.now() - lastAlert < 300000) {
       // 5 minute cooldown
       return false;
@@ -124,7 +148,7 @@ class SmartAlertService {
     };
 
     this.alertHistory.push(alert);
-    this.alertCooldowns.set(ruleId, Date.now());
+    this.alertCooldowns.set(context?.cooldownKey || ruleId, Date.now());
 
     // Keep only last 1000 alerts
     if (this.alertHistory.length > 1000) {
@@ -0,0 +1,1520 @@
+/**
+ * Taint Analyzer
+ * Dataflow analysis of JavaScript and TypeScript that follows untrusted
+ * values from where they enter a program (sources) to where they are
+ * dangerous (sinks):
+ *
+ * - sources: Express request input (req.body, req.query, req.params,
+ *   req.headers, req.cookies, req.get() ...), process.env and file reads
+ * - sinks: SQL and NoSQL queries, child_process commands, fs paths, HTML
+ *   responses, eval and redirects
+ *
+ * Values are followed through assignments, destructuring, string building,
+ * callbacks and calls to functions in the same file. Each function is
+ * summarized once: which of its parameters reach its return value and which
+ * reach a sink, so a request value passed to a helper that builds a query is
+ * reported at the query with the whole path.
+ *
+ * A sanitizer (parseInt, escapeHtml, path.basename, ...) or a validation
+ * guard (`if (!isUUID(id)) return`) clears a value for the sink classes it
+ * protects. Values from the environment or files are reported with a lower
+ * severity than request input.
+ */
+
+const path = require("path");
+const astAnalyzer = require("./astAnalyzer");
+
+const EXTENSIONS = [".js", ".jsx", ".mjs", ".cjs", ".ts", ".tsx", ".mts", ".cts"];
+
+// Where untrusted values come from, in order of priority
+const SOURCES = {
+  request: { note: "Express request input", severityDrop: 0, confidence: 0.9 },
+  file: { note: "file contents", severityDrop: 1, confidence: 0.7 },
+  env: { note: "environment variable", severityDrop: 2, confidence: 0.6 },
+};
+
+const SINK_TYPES = {
+  "sql-injection": {
+    title: "SQL injection",
+    cwe: "CWE-89",
+    severity: "critical",
+    suggestion:
+      "Pass values as query parameters (placeholders and a values array) instead of building the SQL string",
+  },
+  "nosql-injection": {
+    title: "NoSQL injection",
+    cwe: "CWE-943",
+    severity: "high",
+    suggestion:
+      "Cast query values to strings (or numbers) so request objects such as { $ne: null } cannot become operators",
+  },
+  "command-injection": {
+    title: "Command injection",
+    cwe: "CWE-78",
+    severity: "critical",
+    suggestion:
+      "Run the program with execFile/spawn and pass the values as arguments instead of through a shell",
+  },
+  "path-traversal": {
+    title: "Path traversal",
+    cwe: "CWE-22",
+    severity: "high",
+    suggestion:
+      "Reduce the untrusted part of the path to a file name with path.basename() or check that the resolved path stays in its directory",
+  },
+  xss: {
+    title: "Cross-site scripting",
+    cwe: "CWE-79",
+    severity: "high",
+    suggestion: "Escape values before writing them into HTML",
+  },
+  "code-injection": {
+    title: "Code injection",
+    cwe: "CWE-94",
+    severity: "critical",
+    suggestion: "Never evaluate untrusted input; parse data with JSON.parse",
+  },
+  "open-redirect": {
+    title: "Open redirect",
+    cwe: "CWE-601",
+    severity: "medium",
+    suggestion: "Only redirect to local paths or to an allow-list of hosts",
+  },
+};
+
+const SEVERITIES = ["critical", "high", "medium", "low"];
+
+const REQUEST_NAMES = ["req", "request"];
+const RESPONSE_NAMES = ["res", "response", "reply"];
+const REQUEST_INPUTS = [
+  "body",
+  "query",
+  "params",
+  "headers",
+  "cookies",
+  "signedCookies",
+  "url",
+  "originalUrl",
+  "path",
+  "hostname",
+  "files",
+  "file",
+];
+const REQUEST_METHODS = ["get", "header", "param"];
+const ROUTE_METHODS = [
+  "get",
+  "post",
+  "put",
+  "patch",
+  "delete",
+  "del",
+  "all",
+  "use",
+  "options",
+  "head",
+];
+
+const FS_MODULES = ["fs", "fs-extra", "graceful-fs"];
+const FS_READS = ["readFile", "readFileSync", "readJson", "readJsonSync"];
+const FS_CALLS = [
+  ...FS_READS,
+  "writeFile",
+  "writeFileSync",
+  "appendFile",
+  "appendFileSync",
+  "createReadStream",
+  "createWriteStream",
+  "unlink",
+  "unlinkSync",
+  "rm",
+  "rmSync",
+  "rmdir",
+  "rmdirSync",
+  "readdir",
+  "readdirSync",
+  "mkdir",
+  "mkdirSync",
+  "open",
+  "openSync",
+  "access",
+  "accessSync",
+  "stat",
+  "statSync",
+  "writeJson",
+  "outputFile",
+  "remove",
+];
+const FS_TWO_PATHS = [
+  "copyFile",
+  "copyFileSync",
+  "rename",
+  "renameSync",
+  "copy",
+  "move",
+  "symlink",
+  "link",
+];
+const COMMAND_CALLS = [
+  "exec",
+  "execSync",
+  "spawn",
+  "spawnSync",
+  "execFile",
+  "execFileSync",
+  "fork",
+];
+const VM_CALLS = [
+  "runInNewContext",
+  "runInThisContext",
+  "runInContext",
+  "compileFunction",
+  "Script",
+];
+const SQL_CALLS = [
+  "query",
+  "execute",
+  "raw",
+  "whereRaw",
+  "orWhereRaw",
+  "havingRaw",
+  "orderByRaw",
+  "joinRaw",
+  "$queryRawUnsafe",
+  "$executeRawUnsafe",
+];
+const NOSQL_CALLS = [
+  "find",
+  "findOne",
+  "findOneAndUpdate",
+  "findOneAndDelete",
+  "findOneAndReplace",
+  "updateOne",
+  "updateMany",
+  "replaceOne",
+  "deleteOne",
+  "deleteMany",
+  "countDocuments",
+  "aggregate",
+];
+const HTML_RESPONSES = ["send", "write", "end"];
+const FILE_RESPONSES = ["sendFile", "download"];
+const TIMER_CALLS = ["setTimeout", "setInterval"];
+// Unbound names in snippets that stand for a module
+const MODULE_GLOBALS = {
+  fs: "fs",
+  child_process: "child_process",
+  childProcess: "child_process",
+  vm: "vm",
+  path: "path",
+};
+// Template tags that parameterize their values
+const SAFE_TAGS = ["sql", "SQL", "$queryRaw", "$executeRaw"];
+
+// Sanitizer -> the sink classes it protects ("*" for all)
+const SANITIZERS = {
+  parseInt: ["*"],
+  parseFloat: ["*"],
+  Number: ["*"],
+  Boolean: ["*"],
+  toInt: ["*"],
+  toFloat: ["*"],
+  toBoolean: ["*"],
+  escapeHtml: ["xss"],
+  escape: ["xss", "sql-injection"],
+  encode: ["xss"],
+  sanitizeHtml: ["xss"],
+  filterXSS: ["xss"],
+  xss: ["xss"],
+  sanitize: ["xss", "nosql-injection"],
+  encodeURIComponent: ["xss", "path-traversal", "open-redirect"],
+  localRedirect: ["open-redirect"],
+  basename: ["path-traversal"],
+  escapeId: ["sql-injection"],
+  escapeLiteral: ["sql-injection"],
+  escapeIdentifier: ["sql-injection"],
+  String: ["nosql-injection"],
+  stringify: ["nosql-injection"],
+  quote: ["command-injection"],
+  shellEscape: ["command-injection"],
+  escapeShellArg: ["command-injection"],
+};
+// Calls that check a value: `if (!isUUID(id)) return` clears id afterwards
+const VALIDATOR = /^(is[A-Z0-9_]\w*|validate\w*|test|includes|has)$/;
+// ... and calls that are true when the value is bad
+const INVALIDATORS = ["isNaN"];
+
+const MAX_FLOWS = 6;
+const MAX_STEPS = 20;
+const MAX_LOOP_DEPTH = 3;
+
+class TaintAnalyzer {
+  /**
+   * Whether a file is analyzed (JavaScript and TypeScript; code without a
+   * path is assumed to be JavaScript)
+   * @param {string} [filePath]
+   * @returns {boolean}
+   */
+  supports(filePath) {
+    return (
+      !filePath || EXTENSIONS.includes(path.extname(filePath).toLowerCase())
+    );
+  }
+
+  /**
+   * The vulnerability classes findings are reported as
+   * @returns {Array<Object>} { id, title, cwe, severity, suggestion }
+   */
+  sinkTypes() {
+    return Object.entries(SINK_TYPES).map(([id, spec]) => ({ id, ...spec }));
+  }
+
+  /**
+   * Find source-to-sink flows in a file
+   * @param {string} code - Source code
+   * @param {Object} context - { filePath, language }
+   * @returns {Array<Object>|null} Findings ({ type, severity, message, line,
+   *   column, code, cwe, source, sink, trace, ... }), or null when the code
+   *   cannot be analyzed (Babel not installed, not JavaScript or TypeScript,
+   *   or a syntax error)
+   */
+  analyze(code, context = {}) {
+    const parsed = this.parse(code, context);
+    if (!parsed) return null;
+    return new FileAnalysis(code, parsed.program).run();
+  }
+
+  /**
+   * Parse a file for analysis
+   * @param {string} code - Source code
+   * @param {Object} context - { filePath, language }
+   * @returns {Object|null} { ast, program } where program is the Babel path
+   *   of the Program node
+   */
+  parse(code, context = {}) {
+    if (!astAnalyzer.traverse || !this.supports(context.filePath)) {
+      return null;
+    }
+    const language =
+      context.language ||
+      (/\.[mc]?tsx?$/i.test(context.filePath || "")
+        ? "typescript"
+        : "javascript");
+    const ast = astAnalyzer.parseCode(code, language);
+    if (!ast) return null;
+
+    let program = null;
+    astAnalyzer.traverse(ast, {
+      Program(programPath) {
+        program = programPath;
+        programPath.stop();
+      },
+    });
+    return program ? { ast, program } : null;
+  }
+}
+
+/**
+ * One file's analysis. A flow is { source, steps, sanitized }: where a value
+ * came from, what it went through and the sink classes it was sanitized for.
+ * Inside a function summary, parameters are sources of kind "param".
+ */
+class FileAnalysis {
+  constructor(code, program) {
+    this.code = code;
+    this.program = program;
+    this.findings = new Map(); // "<type>:<sink start>" -> finding
+    this.summaries = new Map(); // function node -> { returns, sinks }
+    this.inProgress = new Set();
+    this.inline = new Set(); // callbacks analyzed where they are passed
+    this.routes = new Set(); // functions registered as route handlers
+    this.moduleEnv = new Map();
+  }
+
+  run() {
+    this.runStatements(
+      this.program.get("body"),
+      this.context({ env: this.moduleEnv }),
+    );
+
+    // Every other function on its own: handlers, exports, methods
+    this.program.traverse({
+      Function: (fn) => {
+        if (!this.inline.has(fn.node)) this.summarize(fn);
+      },
+    });
+
+    return [...this.findings.values()].sort(
+      (a, b) => a.line - b.line || a.column - b.column,
+    );
+  }
+
+  context(overrides = {}) {
+    return {
+      env: new Map(), // binding -> flows
+      requests: new Set(), // bindings of request objects
+      responses: new Set(), // bindings of response objects
+      returns: [],
+      summary: null,
+      depth: 0,
+      ...overrides,
+    };
+  }
+
+  branch(ctx) {
+    return { ...ctx, depth: ctx.depth + 1 };
+  }
+
+  /**
+   * Which parameters of a function reach its return value and its sinks
+   */
+  summarize(fn) {
+    if (this.summaries.has(fn.node)) return this.summaries.get(fn.node);
+    if (this.inProgress.has(fn.node)) return { returns: [], sinks: [] };
+    this.inProgress.add(fn.node);
+
+    const summary = { returns: [], sinks: [], seen: new Set() };
+    const ctx = this.context({ env: new Map(this.moduleEnv), summary });
+    this.bindParams(fn, ctx, (index, param) => [
+      {
+        source: { kind: "param", index, label: text(this.code, param) },
+        steps: [],
+        sanitized: [],
+      },
+    ]);
+    this.runBody(fn, ctx);
+    summary.returns = merge(ctx.returns);
+
+    this.inProgress.delete(fn.node);
+    this.summaries.set(fn.node, summary);
+    return summary;
+  }
+
+  bindParams(fn, ctx, flowsFor, requestIndex = this.requestIndex(fn)) {
+    fn.get("params").forEach((param, index) => {
+      const target = param.isTSParameterProperty()
+        ? param.get("parameter")
+        : param;
+      if (index === requestIndex) {
+        this.bindRequest(target, ctx);
+      } else if (requestIndex >= 0 && index === requestIndex + 1) {
+        this.bindResponse(target, ctx);
+      } else {
+        this.assignPattern(target, flowsFor(index, target), ctx, { at: null });
+      }
+    });
+  }
+
+  requestIndex(fn) {
+    const params = fn.node.params;
+    if (this.routes.has(fn.node)) {
+      // Error middleware is (err, req, res, next)
+      return params.length >= 4 ? 1 : 0;
+    }
+    return params.findIndex(
+      (param) =>
+        param.type === "Identifier" && REQUEST_NAMES.includes(param.name),
+    );
+  }
+
+  bindRequest(target, ctx) {
+    if (target.isIdentifier()) {
+      const binding = target.scope.getBinding(target.node.name);
+      if (binding) ctx.requests.add(binding);
+    } else {
+      this.assignPattern(target, [], ctx, {
+        base: { kind: "request", label: "req", request: true },
+        at: null,
+      });
+    }
+  }
+
+  bindResponse(target, ctx) {
+    if (!target.isIdentifier()) return;
+    const binding = target.scope.getBinding(target.node.name);
+    if (binding) ctx.responses.add(binding);
+  }
+
+  runBody(fn, ctx) {
+    const body = fn.get("body");
+    if (body.isBlockStatement()) {
+      this.runStatements(body.get("body"), ctx);
+    } else {
+      ctx.returns.push(...this.evaluate(body, ctx));
+    }
+  }
+
+  runStatements(statements, ctx) {
+    for (const statement of statements) {
+      this.runStatement(statement, ctx);
+    }
+  }
+
+  runStatement(statement, ctx) {
+    switch (statement.type) {
+      case "VariableDeclaration":
+        for (const declarator of statement.get("declarations")) {
+          this.declare(declarator, ctx);
+        }
+        break;
+      case "ExpressionStatement":
+        this.evaluate(statement.get("expression"), ctx);
+        break;
+      case "ReturnStatement":
+        ctx.returns.push(...this.evaluate(statement.get("argument"), ctx));
+        break;
+      case "ThrowStatement":
+        this.evaluate(statement.get("argument"), ctx);
+        break;
+      case "BlockStatement":
+        this.runStatements(statement.get("body"), ctx);
+        break;
+      case "IfStatement":
+        this.runIf(statement, ctx);
+        break;
+      case "ForStatement":
+        this.runLoop(ctx, (inner) => {
+          const init = statement.get("init");
+          if (init.isVariableDeclaration()) this.runStatement(init, inner);
+          else this.evaluate(init, inner);
+          this.evaluate(statement.get("test"), inner);
+          this.runStatement(statement.get("body"), inner);
+          this.evaluate(statement.get("update"), inner);
+        });
+        break;
+      case "ForInStatement":
+      case "ForOfStatement":
+        this.runLoop(ctx, (inner) => {
+          const flows = this.evaluate(statement.get("right"), inner);
+          const left = statement.get("left");
+          const target = left.isVariableDeclaration()
+            ? left.get("declarations.0.id")
+            : left;
+          this.assignPattern(target, flows, inner, { at: statement });
+          this.runStatement(statement.get("body"), inner);
+        });
+        break;
+      case "WhileStatement":
+      case "DoWhileStatement":
+        this.runLoop(ctx, (inner) => {
+          this.evaluate(statement.get("test"), inner);
+          this.runStatement(statement.get("body"), inner);
+        });
+        break;
+      case "TryStatement":
+        this.runStatement(statement.get("block"), ctx);
+        if (statement.node.handler) {
+          this.runStatement(statement.get("handler.body"), this.branch(ctx));
+        }
+        if (statement.node.finalizer) {
+          this.runStatement(statement.get("finalizer"), ctx);
+        }
+        break;
+      case "SwitchStatement":
+        this.evaluate(statement.get("discriminant"), ctx);
+        for (const switchCase of statement.get("cases")) {
+          this.evaluate(switchCase.get("test"), ctx);
+          this.runStatements(switchCase.get("consequent"), this.branch(ctx));
+        }
+        break;
+      case "LabeledStatement":
+        this.runStatement(statement.get("body"), ctx);
+        break;
+      case "ExportNamedDeclaration":
+        if (statement.node.declaration) {
+          this.runStatement(statement.get("declaration"), ctx);
+        }
+        break;
+      case "ExportDefaultDeclaration": {
+        const declaration = statement.get("declaration");
+        if (declaration.isExpression()) this.evaluate(declaration, ctx);
+        break;
+      }
+      default:
+        // Function and class declarations are analyzed on their own
+        break;
+    }
+  }
+
+  runLoop(ctx, body) {
+    const inner = this.branch(ctx);
+    body(inner);
+    // A second pass picks up values carried from one iteration to the next
+    if (ctx.depth < MAX_LOOP_DEPTH) body(inner);
+  }
+
+  runIf(statement, ctx) {
+    const test = statement.get("test");
+    this.evaluate(test, ctx);
+    const consequent = statement.get("consequent");
+    const alternate = statement.get("alternate");
+    const guard = this.guard(test, ctx);
+    const saved = guard?.bindings.map((binding) => [
+      binding,
+      ctx.env.get(binding),
+    ]);
+    const restore = () =>
+      saved?.forEach(([binding, flows]) => ctx.env.set(binding, flows));
+
+    if (guard && guard.valid) this.clearGuarded(guard, test, ctx);
+    this.runStatement(consequent, this.branch(ctx));
+    restore();
+
+    if (alternate.node) {
+      if (guard && !guard.valid) this.clearGuarded(guard, test, ctx);
+      this.runStatement(alternate, this.branch(ctx));
+      restore();
+    }
+
+    // if (!isValid(x)) return; ... x is valid from here on
+    if (guard && !guard.valid && exits(consequent)) {
+      this.clearGuarded(guard, test, ctx);
+    } else if (guard?.valid && alternate.node && exits(alternate)) {
+      this.clearGuarded(guard, test, ctx);
+    }
+  }
+
+  /**
+   * The tainted names an if statement validates, and whether its test is
+   * true when they are valid
+   */
+  guard(test, ctx) {
+    let valid = true;
+    let call = test;
+    if (test.isUnaryExpression({ operator: "!" })) {
+      valid = false;
+      call = test.get("argument");
+    }
+    if (!call.isCallExpression()) return null;
+
+    const name = propertyName(call.get("callee")) || "";
+    if (INVALIDATORS.includes(name)) {
+      valid = !valid;
+    } else if (!VALIDATOR.test(name)) {
+      return null;
+    }
+    const bindings = call
+      .get("arguments")
+      .filter((arg) => arg.isIdentifier())
+      .map((arg) => arg.scope.getBinding(arg.node.name))
+      .filter((binding) => binding && ctx.env.get(binding)?.length);
+    return bindings.length ? { bindings, valid } : null;
+  }
+
+  clearGuarded(guard, test, ctx) {
+    for (const binding of guard.bindings) {
+      ctx.env.set(
+        binding,
+        this.sanitize(ctx.env.get(binding), ["*"], test, "validated"),
+      );
+    }
+  }
+
+  declare(declarator, ctx) {
+    const init = declarator.get("init");
+    // Functions are analyzed when they are called
+    if (!init.node || isFunction(init)) return;
+
+    const base = this.sourceBase(init, ctx);
+    const flows = base ? [] : this.evaluate(init, ctx);
+    this.assignPattern(declarator.get("id"), flows, ctx, {
+      base,
+      at: declarator,
+    });
+  }
+
+  /**
+   * An object whose members are sources: the request (only its inputs),
+   * process.env or a request input such as req.query
+   */
+  sourceBase(expression, ctx) {
+    const value = unwrap(expression);
+    if (this.isRequest(value, ctx)) {
+      return { kind: "request", label: value.node.name, request: true };
+    }
+    if (isProcessEnv(value)) {
+      return { kind: "env", label: "process.env" };
+    }
+    const source = isMember(value) && this.memberSource(value, ctx);
+    return source
+      ? { kind: source.source.kind, label: text(this.code, value) }
+      : null;
+  }
+
+  assignPattern(pattern, flows, ctx, { base = null, at = pattern } = {}) {
+    if (pattern.isIdentifier()) {
+      const binding = pattern.scope.getBinding(pattern.node.name);
+      if (!binding) return;
+      if (base?.request) {
+        ctx.requests.add(binding);
+        return;
+      }
+      const value = base ? [this.source(base.kind, pattern, base.label)] : flows;
+      this.setBinding(
+        binding,
+        at
+          ? this.extend(value, at, "assign", `assigned to ${pattern.node.name}`)
+          : value,
+        ctx,
+      );
+    } else if (pattern.isObjectPattern()) {
+      for (const property of pattern.get("properties")) {
+        if (property.isRestElement()) {
+          const rest =
+            base && !base.request
+              ? [this.source(base.kind, property, base.label)]
+              : base
+                ? []
+                : flows;
+          this.assignPattern(property.get("argument"), rest, ctx, { at });
+          continue;
+        }
+        const key = propertyKey(property.node);
+        const value = base ? this.baseMember(base, key, property) : flows;
+        this.assignPattern(property.get("value"), value, ctx, { at });
+      }
+    } else if (pattern.isArrayPattern()) {
+      for (const element of pattern.get("elements")) {
+        if (element.node) this.assignPattern(element, flows, ctx, { at });
+      }
+    } else if (pattern.isAssignmentPattern()) {
+      const fallback = this.evaluate(pattern.get("right"), ctx);
+      this.assignPattern(pattern.get("left"), merge(flows, fallback), ctx, {
+        base,
+        at,
+      });
+    } else if (pattern.isRestElement()) {
+      this.assignPattern(pattern.get("argument"), flows, ctx, { base, at });
+    } else if (isMember(pattern)) {
+      this.taintObject(pattern, flows, ctx);
+    }
+  }
+
+  baseMember(base, key, at) {
+    if (base.request && !REQUEST_INPUTS.includes(key)) return [];
+    return [this.source(base.kind, at, `${base.label}.${key}`)];
+  }
+
+  setBinding(binding, flows, ctx) {
+    // Inside a branch or loop the old value may survive
+    const current = ctx.depth === 0 ? [] : ctx.env.get(binding) || [];
+    ctx.env.set(binding, merge(current, flows));
+  }
+
+  /**
+   * obj.prop = tainted taints obj
+   */
+  taintObject(member, flows, ctx) {
+    if (!flows.length) return;
+    let base = member;
+    while (isMember(base)) base = base.get("object");
+    if (!base.isIdentifier()) return;
+    const binding = base.scope.getBinding(base.node.name);
+    if (binding && !ctx.requests.has(binding)) {
+      ctx.env.set(binding, merge(ctx.env.get(binding) || [], flows));
+    }
+  }
+
+  /**
+   * The flows an expression's value carries
+   */
+  evaluate(expression, ctx) {
+    if (!expression?.node) return [];
+
+    switch (expression.type) {
+      case "Identifier": {
+        const binding = expression.scope.getBinding(expression.node.name);
+        return (binding && ctx.env.get(binding)) || [];
+      }
+      case "MemberExpression":
+      case "OptionalMemberExpression":
+        return this.evaluateMember(expression, ctx);
+      case "CallExpression":
+      case "OptionalCallExpression":
+      case "NewExpression":
+        return this.evaluateCall(expression, ctx);
+      case "AssignmentExpression":
+        return this.evaluateAssignment(expression, ctx);
+      case "TemplateLiteral":
+        return merge(
+          ...expression
+            .get("expressions")
+            .map((part) => this.evaluate(part, ctx)),
+        );
+      case "TaggedTemplateExpression": {
+        const values = this.evaluate(expression.get("quasi"), ctx);
+        const tag = propertyName(expression.get("tag"));
+        return SAFE_TAGS.includes(tag) ? [] : values;
+      }
+      case "BinaryExpression": {
+        const left = this.evaluate(expression.get("left"), ctx);
+        const right = this.evaluate(expression.get("right"), ctx);
+        // Only concatenation carries text; comparisons and arithmetic don't
+        return expression.node.operator === "+" ? merge(left, right) : [];
+      }
+      case "LogicalExpression":
+        return merge(
+          this.evaluate(expression.get("left"), ctx),
+          this.evaluate(expression.get("right"), ctx),
+        );
+      case "ConditionalExpression":
+        this.evaluate(expression.get("test"), ctx);
+        return merge(
+          this.evaluate(expression.get("consequent"), ctx),
+          this.evaluate(expression.get("alternate"), ctx),
+        );
+      case "SequenceExpression": {
+        const flows = expression
+          .get("expressions")
+          .map((part) => this.evaluate(part, ctx));
+        return flows[flows.length - 1];
+      }
+      case "AwaitExpression":
+      case "SpreadElement":
+        return this.evaluate(expression.get("argument"), ctx);
+      case "ParenthesizedExpression":
+      case "TSAsExpression":
+      case "TSSatisfiesExpression":
+      case "TSNonNullExpression":
+      case "TSTypeAssertion":
+      case "TypeCastExpression":
+        return this.evaluate(expression.get("expression"), ctx);
+      case "ArrayExpression":
+        return merge(
+          ...expression
+            .get("elements")
+            .map((element) => this.evaluate(element, ctx)),
+        );
+      case "ObjectExpression":
+        return merge(
+          ...expression
+            .get("properties")
+            .map((property) =>
+              property.isObjectProperty()
+                ? this.evaluate(property.get("value"), ctx)
+                : property.isSpreadElement()
+                  ? this.evaluate(property, ctx)
+                  : [],
+            ),
+        );
+      case "UnaryExpression":
+        this.evaluate(expression.get("argument"), ctx);
+        return [];
+      case "JSXElement":
+      case "JSXFragment":
+        this.evaluateJsx(expression, ctx);
+        return [];
+      default:
+        return [];
+    }
+  }
+
+  evaluateMember(member, ctx) {
+    const source = this.memberSource(member, ctx);
+    if (source) return [source];
+
+    const object = this.evaluate(member.get("object"), ctx);
+    if (member.node.computed) this.evaluate(member.get("property"), ctx);
+    return propertyName(member) === "length" ? [] : object;
+  }
+
+  /**
+   * req.query.id or process.env.TOKEN as a source
+   */
+  memberSource(member, ctx) {
+    for (let current = member; isMember(current); ) {
+      if (isProcessEnv(current)) {
+        return this.source("env", member, text(this.code, member));
+      }
+      const object = current.get("object");
+      if (this.isRequest(object, ctx)) {
+        return REQUEST_INPUTS.includes(propertyName(current))
+          ? this.source("request", member, text(this.code, member))
+          : null;
+      }
+      current = object;
+    }
+    return null;
+  }
+
+  evaluateCall(call, ctx) {
+    const callee = call.get("callee");
+    const name = this.calleeName(callee);
+    const receiver = isMember(callee)
+      ? this.evaluate(callee.get("object"), ctx)
+      : callee.isIdentifier()
+        ? []
+        : this.evaluate(callee, ctx);
+    const args = call.get("arguments");
+    const flows = args.map((arg) =>
+      isFunction(arg) ? [] : this.evaluate(arg, ctx),
+    );
+
+    const sink = this.callSink(call, callee, name, ctx);
+    if (sink) {
+      for (const index of sink.indexes) {
+        if (args[index]) {
+          this.checkSink(
+            sink,
+            args[index],
+            this.sinkFlows(sink, args[index], flows[index], ctx),
+            ctx,
+          );
+        }
+      }
+    }
+
+    const callbacks = this.runCallbacks(call, callee, name, receiver, ctx);
+
+    const source = this.callSource(call, callee, name, ctx);
+    if (source) return [source];
+
+    if (SANITIZERS[name] && !call.isNewExpression()) {
+      return this.sanitize(
+        merge(receiver, ...flows),
+        SANITIZERS[name],
+        call,
+        `sanitized by ${name}()`,
+      );
+    }
+
+    const fn = this.resolveFunction(callee);
+    if (fn) return this.applySummary(call, fn, name, flows, ctx);
+
+    // Query results and command output are not the input that went in
+    if (sink) return [];
+    return merge(receiver, ...flows, callbacks);
+  }
+
+  evaluateAssignment(assignment, ctx) {
+    const left = assignment.get("left");
+    const { operator } = assignment.node;
+    let flows = this.evaluate(assignment.get("right"), ctx);
+    if (operator === "+=" || operator === "||=" || operator === "??=") {
+      flows = merge(this.evaluate(left, ctx), flows);
+    } else if (operator !== "=" && operator !== "&&=") {
+      flows = [];
+    }
+
+    const sink = this.assignmentSink(assignment, left);
+    if (sink) this.checkSink(sink, assignment.get("right"), flows, ctx);
+
+    if (isMember(left)) {
+      this.taintObject(left, flows, ctx);
+    } else {
+      this.assignPattern(left, flows, ctx, { at: assignment });
+    }
+    return flows;
+  }
+
+  evaluateJsx(element, ctx) {
+    element.traverse({
+      JSXAttribute: (attribute) => {
+        if (attribute.node.name.name !== "dangerouslySetInnerHTML") return;
+        const value = attribute.get("value");
+        if (!value.isJSXExpressionContainer()) return;
+        const expression = value.get("expression");
+        this.checkSink(
+          {
+            type: "xss",
+            label: "dangerouslySetInnerHTML",
+            path: attribute,
+            indexes: [],
+          },
+          expression,
+          this.evaluate(expression, ctx),
+          ctx,
+        );
+      },
+    });
+  }
+
+  /**
+   * Run the functions passed to a call where they are passed, with the
+   * values they will receive: the request in route handlers, file contents
+   * in fs.readFile callbacks, the receiver's value in .then/.map/.forEach
+   */
+  runCallbacks(call, callee, name, receiver, ctx) {
+    const args = call.get("arguments");
+    const route =
+      isMember(callee) &&
+      ROUTE_METHODS.includes(name) &&
+      !this.isRequest(callee.get("object"), ctx);
+    const fileRead =
+      FS_READS.includes(name) && FS_MODULES.includes(this.moduleOf(callee));
+
+    const returns = [];
+    for (const arg of args) {
+      if (!isFunction(arg)) {
+        // app.get("/", handler) with a handler defined elsewhere
+        const handler = route && this.resolveFunction(arg);
+        if (handler) this.routes.add(handler.node);
+        continue;
+      }
+
+      this.inline.add(arg.node);
+      const inner = { ...this.branch(ctx), returns: [] };
+      if (route) this.routes.add(arg.node);
+      const valueIndex = name === "reduce" ? 1 : 0;
+      this.bindParams(arg, inner, (index, param) => {
+        if (fileRead) {
+          return index === 1 ? [this.fileSource(call, callee)] : [];
+        }
+        return index === valueIndex
+          ? this.extend(
+              receiver,
+              param,
+              "callback",
+              `passed to the ${name || "callback"}() callback as ${text(this.code, param)}`,
+            )
+          : [];
+      });
+      this.runBody(arg, inner);
+      returns.push(...inner.returns);
+    }
+    return merge(returns);
+  }
+
+  /**
+   * req.get("X-Header") or a file read as a source
+   */
+  callSource(call, callee, name, ctx) {
+    if (!isMember(callee)) {
+      if (!FS_READS.includes(name)) return null;
+    } else if (this.isRequest(callee.get("object"), ctx)) {
+      return REQUEST_METHODS.includes(name)
+        ? this.source("request", call, text(this.code, call))
+        : null;
+    }
+    const callback = call.node.arguments.some(
+      (arg) =>
+        arg.type === "FunctionExpression" ||
+        arg.type === "ArrowFunctionExpression",
+    );
+    if (
+      FS_READS.includes(name) &&
+      !callback &&
+      FS_MODULES.includes(this.moduleOf(callee))
+    ) {
+      return this.fileSource(call, callee);
+    }
+    return null;
+  }
+
+  fileSource(call, callee) {
+    return this.source("file", call, `${text(this.code, callee)}()`);
+  }
+
+  callSink(call, callee, name, ctx) {
+    const args = call.node.arguments;
+    const sink = (type, indexes) => ({
+      type,
+      indexes,
+      label: `${shorten(text(this.code, callee))}()`,
+      path: call,
+    });
+    const all = args.map((_, index) => index);
+
+    if (callee.isIdentifier() && !callee.scope.getBinding(name)) {
+      if (name === "eval") return sink("code-injection", [0]);
+      if (name === "Function") return sink("code-injection", all);
+      if (TIMER_CALLS.includes(name)) return sink("code-injection", [0]);
+    }
+
+    const module = this.moduleOf(callee);
+    if (module === "child_process" && COMMAND_CALLS.includes(name)) {
+      return sink("command-injection", [0]);
+    }
+    if (FS_MODULES.includes(module)) {
+      if (FS_TWO_PATHS.includes(name)) return sink("path-traversal", [0, 1]);
+      if (FS_CALLS.includes(name)) return sink("path-traversal", [0]);
+    }
+    if (module === "vm" && VM_CALLS.includes(name)) {
+      return sink("code-injection", [0]);
+    }
+    if (!isMember(callee) || call.isNewExpression()) return null;
+
+    if (SQL_CALLS.includes(name)) return sink("sql-injection", [0]);
+    if (NOSQL_CALLS.includes(name)) return sink("nosql-injection", [0]);
+
+    const object = callee.get("object");
+    if (this.isResponse(object, ctx)) {
+      if (HTML_RESPONSES.includes(name)) return sink("xss", [0]);
+      if (name === "redirect") return sink("open-redirect", [args.length - 1]);
+      if (name === "location") return sink("open-redirect", [0]);
+      // sendFile(file, { root }) keeps the file inside root
+      const rooted = args[1]?.properties?.some(
+        (property) => propertyKey(property) === "root",
+      );
+      if (FILE_RESPONSES.includes(name) && !rooted) {
+        return sink("path-traversal", [0]);
+      }
+    }
+    if (
+      object.isIdentifier({ name: "document" }) &&
+      (name === "write" || name === "writeln")
+    ) {
+      return sink("xss", all);
+    }
+    if (name === "insertAdjacentHTML") return sink("xss", [1]);
+    return null;
+  }
+
+  assignmentSink(assignment, left) {
+    const label = text(this.code, left);
+    const property = propertyName(left);
+    if (
+      isMember(left) &&
+      (property === "innerHTML" || property === "outerHTML")
+    ) {
+      return { type: "xss", label, path: assignment, indexes: [] };
+    }
+    if (/^((window|document)\.)?location(\.href)?$/.test(label)) {
+      return { type: "open-redirect", label, path: assignment, indexes: [] };
+    }
+    return null;
+  }
+
+  /**
+   * The part of a sink argument that is dangerous: the SQL of a
+   * { text, values } query config; nothing for objects sent as JSON
+   */
+  sinkFlows(sink, arg, flows, ctx) {
+    if (arg.isObjectExpression() || arg.isArrayExpression()) {
+      if (sink.type === "sql-injection" && arg.isObjectExpression()) {
+        const text = arg
+          .get("properties")
+          .find((property) =>
+            ["text", "sql"].includes(propertyKey(property.node)),
+          );
+        return text ? this.evaluate(text.get("value"), ctx) : [];
+      }
+      if (sink.type === "xss") return [];
+    }
+    return flows;
+  }
+
+  checkSink(sink, arg, flows, ctx) {
+    const live = flows.filter((flow) => !isSanitized(flow, sink.type));
+    if (!live.length) return;
+
+    const descriptor = {
+      ...sink,
+      argument: arg,
+      tainted: this.taintedParts(arg, sink.type, ctx),
+    };
+    for (const flow of live) {
+      this.checkFlow(descriptor, flow, ctx);
+    }
+  }
+
+  checkFlow(sink, flow, ctx) {
+    if (isSanitized(flow, sink.type)) return;
+    if (flow.source.kind === "param") {
+      // Reported where a caller passes a real source in
+      const key = `${sink.type}:${sink.path.node.start}:${flowKey(flow)}`;
+      if (ctx.summary && !ctx.summary.seen.has(key)) {
+        ctx.summary.seen.add(key);
+        ctx.summary.sinks.push({ sink, flow });
+      }
+      return;
+    }
+
+    const key = `${sink.type}:${sink.path.node.start}`;
+    const existing = this.findings.get(key);
+    if (existing && rank(existing.source.kind) <= rank(flow.source.kind)) {
+      return;
+    }
+    this.findings.set(key, this.finding(sink, flow));
+  }
+
+  /**
+   * The maximal tainted sub-expressions of a sink argument (the values in a
+   * template or concatenation, the parts of a path.join)
+   */
+  taintedParts(arg, type, ctx) {
+    const parts = [];
+    const visit = (expression) => {
+      if (expression.isTemplateLiteral()) {
+        expression.get("expressions").forEach(visit);
+      } else if (expression.isBinaryExpression({ operator: "+" })) {
+        visit(expression.get("left"));
+        visit(expression.get("right"));
+      } else if (expression.isObjectExpression()) {
+        for (const property of expression.get("properties")) {
+          if (property.isObjectProperty()) visit(property.get("value"));
+        }
+      } else if (
+        expression.isCallExpression() &&
+        ["join", "resolve"].includes(propertyName(expression.get("callee"))) &&
+        this.moduleOf(expression.get("callee")) === "path"
+      ) {
+        expression.get("arguments").forEach(visit);
+      } else if (
+        this.evaluate(expression, ctx).some((flow) => !isSanitized(flow, type))
+      ) {
+        parts.push({ start: expression.node.start, end: expression.node.end });
+      }
+    };
+    visit(arg);
+    return parts;
+  }
+
+  applySummary(call, fn, name, flows, ctx) {
+    const summary = this.summarize(fn);
+    const label = `${name || "function"}()`;
+    const passed = (index) => {
+      const param =
+        text(this.code, fn.get(`params.${index}`)) || `argument ${index + 1}`;
+      return this.extend(
+        flows[index] || [],
+        call,
+        "call",
+        `passed to ${label} as ${param}`,
+      );
+    };
+
+    for (const { sink, flow } of summary.sinks) {
+      for (const outer of passed(flow.source.index)) {
+        this.checkFlow(sink, join(outer, flow), ctx);
+      }
+    }
+
+    const returns = summary.returns.flatMap((flow) =>
+      flow.source.kind === "param"
+        ? passed(flow.source.index).map((outer) => join(outer, flow))
+        : [flow],
+    );
+    return this.extend(merge(returns), call, "return", `returned from ${label}`);
+  }
+
+  resolveFunction(callee) {
+    if (!callee.isIdentifier()) return null;
+    const binding = callee.scope.getBinding(callee.node.name);
+    const declaration = binding?.path;
+    if (declaration?.isFunctionDeclaration()) return declaration;
+    if (declaration?.isVariableDeclarator()) {
+      const init = declaration.get("init");
+      if (isFunction(init)) return init;
+    }
+    return null;
+  }
+
+  isRequest(expression, ctx) {
+    if (!expression.isIdentifier()) return false;
+    const binding = expression.scope.getBinding(expression.node.name);
+    return Boolean(binding && ctx.requests.has(binding));
+  }
+
+  isResponse(object, ctx) {
+    // res.status(400).send(...) is still the response
+    let base = object;
+    while (base.isCallExpression() || isMember(base)) {
+      base = base.isCallExpression() ? base.get("callee") : base.get("object");
+    }
+    if (!base.isIdentifier()) return false;
+    const binding = base.scope.getBinding(base.node.name);
+    return (
+      Boolean(binding && ctx.responses.has(binding)) ||
+      RESPONSE_NAMES.includes(base.node.name)
+    );
+  }
+
+  /**
+   * The name a callee calls: the property of a member call, or the
+   * imported name of a function taken from a module ({ exec: run })
+   */
+  calleeName(callee) {
+    if (isMember(callee)) return propertyName(callee);
+    if (!callee.isIdentifier()) return null;
+    const binding = callee.scope.getBinding(callee.node.name);
+    const declaration = binding?.path;
+    if (declaration?.isImportSpecifier()) {
+      return propertyKey({ key: declaration.node.imported });
+    }
+    if (declaration?.isVariableDeclarator()) {
+      const property = declaration.node.id.properties?.find(
+        (candidate) => candidate.value?.name === callee.node.name,
+      );
+      if (property) return propertyKey(property);
+    }
+    return callee.node.name;
+  }
+
+  /**
+   * The module a callee comes from (fs for fs.readFile, require("fs")
+   * .readFile and a destructured or imported readFile)
+   */
+  moduleOf(callee) {
+    let base = callee;
+    while (isMember(base)) base = base.get("object");
+    if (base.isCallExpression()) return requiredModule(base.node);
+    if (!base.isIdentifier()) return null;
+
+    const binding = base.scope.getBinding(base.node.name);
+    if (!binding) return MODULE_GLOBALS[base.node.name] || null;
+    const declaration = binding.path;
+    if (
+      declaration.isImportSpecifier() ||
+      declaration.isImportDefaultSpecifier() ||
+      declaration.isImportNamespaceSpecifier()
+    ) {
+      return normalizeModule(declaration.parent.source.value);
+    }
+    if (declaration.isVariableDeclarator()) {
+      return requiredModule(declaration.node.init);
+    }
+    return null;
+  }
+
+  source(kind, at, label) {
+    return {
+      source: { kind, label: shorten(label), ...this.position(at) },
+      steps: [],
+      sanitized: [],
+    };
+  }
+
+  step(at, kind, note) {
+    return {
+      kind,
+      ...this.position(at),
+      code: shorten(text(this.code, at)),
+      note,
+    };
+  }
+
+  position(at) {
+    const { start } = at.node.loc;
+    return { line: start.line, column: start.column, start: at.node.start };
+  }
+
+  extend(flows, at, kind, note) {
+    if (!flows.length) return flows;
+    const step = this.step(at, kind, note);
+    return flows.map((flow) =>
+      flow.steps.length < MAX_STEPS
+        ? { ...flow, steps: [...flow.steps, step] }
+        : flow,
+    );
+  }
+
+  sanitize(flows, classes, at, note) {
+    if (!flows.length) return flows;
+    const step = this.step(at, "sanitize", note);
+    return merge(
+      flows.map((flow) => ({
+        ...flow,
+        steps: [...flow.steps, step].slice(0, MAX_STEPS),
+        sanitized: [...new Set([...flow.sanitized, ...classes])],
+      })),
+    );
+  }
+
+  finding(sink, flow) {
+    const spec = SINK_TYPES[sink.type];
+    const source = SOURCES[flow.source.kind];
+    const { loc, start, end } = sink.path.node;
+    const severity =
+      SEVERITIES[
+        Math.min(
+          SEVERITIES.indexOf(spec.severity) + source.severityDrop,
+          SEVERITIES.length - 1,
+        )
+      ];
+    const { start: _start, ...origin } = flow.source;
+
+    return {
+      type: sink.type,
+      category: "security",
+      severity,
+      confidence: source.confidence,
+      message: `${spec.title}: ${source.note} ${flow.source.label} reaches ${sink.label}`,
+      line: loc.start.line,
+      column: loc.start.column,
+      endLine: loc.end.line,
+      endColumn: loc.end.column,
+      code: this.code.slice(start, end),
+      cwe: spec.cwe,
+      source: origin,
+      sink: {
+        label: sink.label,
+        line: loc.start.line,
+        column: loc.start.column,
+        start,
+        end,
+        argument: {
+          start: sink.argument.node.start,
+          end: sink.argument.node.end,
+        },
+        tainted: sink.tainted,
+      },
+      trace: [
+        { ...origin, kind: "source", code: origin.label, note: source.note },
+        ...flow.steps.map(({ start: _offset, ...step }) => step),
+        {
+          kind: "sink",
+          line: loc.start.line,
+          column: loc.start.column,
+          code: shorten(this.code.slice(start, end)),
+          note: spec.title,
+        },
+      ],
+      suggestion: spec.suggestion,
+      fixType: "security",
+    };
+  }
+}
+
+function isFunction(expression) {
+  return (
+    expression.isFunctionExpression() || expression.isArrowFunctionExpression()
+  );
+}
+
+function isMember(expression) {
+  return (
+    expression.isMemberExpression() || expression.isOptionalMemberExpression()
+  );
+}
+
+function isProcessEnv(expression) {
+  if (!isMember(expression) || propertyName(expression) !== "env") {
+    return false;
+  }
+  const object = expression.get("object");
+  return (
+    object.isIdentifier({ name: "process" }) &&
+    !object.scope.getBinding("process")
+  );
+}
+
+function unwrap(expression) {
+  let current = expression;
+  while (
+    current.isAwaitExpression() ||
+    current.isTSAsExpression() ||
+    current.isTSNonNullExpression() ||
+    current.isParenthesizedExpression()
+  ) {
+    current = current.isAwaitExpression()
+      ? current.get("argument")
+      : current.get("expression");
+  }
+  return current;
+}
+
+/**
+ * Whether a statement always leaves the block it is in
+ */
+function exits(statement) {
+  if (statement.isBlockStatement()) {
+    const body = statement.get("body");
+    return body.length > 0 && exits(body[body.length - 1]);
+  }
+  return (
+    statement.isReturnStatement() ||
+    statement.isThrowStatement() ||
+    statement.isBreakStatement() ||
+    statement.isContinueStatement()
+  );
+}
+
+function propertyName(expression) {
+  const { node } = expression;
+  if (!node) return null;
+  if (node.type === "Identifier") return node.name;
+  if (
+    node.type === "MemberExpression" ||
+    node.type === "OptionalMemberExpression"
+  ) {
+    if (!node.computed && node.property.type === "Identifier") {
+      return node.property.name;
+    }
+    if (node.property.type === "StringLiteral") return node.property.value;
+  }
+  return null;
+}
+
+function propertyKey(property) {
+  const key = property?.key;
+  if (!key) return null;
+  if (key.type === "Identifier") return key.name;
+  if (key.type === "StringLiteral") return key.value;
+  return null;
+}
+
+function requiredModule(node) {
+  let current = node;
+  // require("fs").promises
+  while (current?.type === "MemberExpression") current = current.object;
+  if (
+    current?.type === "CallExpression" &&
+    current.callee.type === "Identifier" &&
+    current.callee.name === "require" &&
+    current.arguments[0]?.type === "StringLiteral"
+  ) {
+    return normalizeModule(current.arguments[0].value);
+  }
+  return null;
+}
+
+function normalizeModule(name) {
+  return name.replace(/^node:/, "").replace(/\/promises$/, "");
+}
+
+function text(code, expression) {
+  const { node } = expression;
+  return node ? code.slice(node.start, node.end) : "";
+}
+
+function shorten(value) {
+  const line = String(value).replace(/\s+/g, " ").trim();
+  return line.length > 80 ? `${line.slice(0, 77)}...` : line;
+}
+
+function isSanitized(flow, type) {
+  return flow.sanitized.includes("*") || flow.sanitized.includes(type);
+}
+
+function rank(kind) {
+  return Object.keys(SOURCES).indexOf(kind);
+}
+
+function flowKey(flow) {
+  const { kind, start, index } = flow.source;
+  return `${kind}:${start ?? index}:${flow.sanitized.join(",")}`;
+}
+
+/**
+ * Union of flow lists, without duplicates and capped
+ */
+function merge(...lists) {
+  const seen = new Set();
+  const flows = [];
+  for (const flow of lists.flat()) {
+    if (!flow) continue;
+    const key = flowKey(flow);
+    if (seen.has(key)) continue;
+    seen.add(key);
+    flows.push(flow);
+  }
+  return flows.length > MAX_FLOWS
+    ? flows
+        .sort((a, b) => rank(a.source.kind) - rank(b.source.kind))
+        .slice(0, MAX_FLOWS)
+    : flows;
+}
+
+/**
+ * A flow into a function followed by the function's flow from that
+ * parameter
+ */
+function join(outer, inner) {
+  return {
+    source: outer.source,
+    steps: [...outer.steps, ...inner.steps].slice(0, MAX_STEPS),
+    sanitized: [...new Set([...outer.sanitized, ...inner.sanitized])],
+  };
+}
+
+module.exports = new TaintAnalyzer();
@@ -0,0 +1,350 @@
+/**
+ * Tenant Context
+ * Request-scoped tenant isolation for the storage layer
+ *
+ * authenticate() runs every request inside a tenant context, and
+ * databaseService wraps its storage clients with scopeClient(). From then on
+ * reads, updates and deletes on tenant-scoped tables only match the
+ * context's rows, and inserts are stamped with its tenant_id, whichever
+ * service issues them.
+ *
+ * A context whose tenantId is null is the untenanted workspace: it only sees
+ * rows without a tenant. Code running outside any context (CLI, scripts,
+ * startup jobs) and admins who don't pick a tenant are unrestricted.
+ *
+ * The context is carried with AsyncLocalStorage, like budget scopes:
+ *   tenantContext.run({ tenantId }, () => issueStorageService.getAllIssues())
+ *
+ * Writes that name another tenant throw TenantIsolationError and are logged
+ * to securityMonitoring as cross_tenant_access events.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const SecurityMonitoring = require("./securityMonitoring");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("TenantContext");
+
+const TENANT_COLUMN = "tenant_id";
+const TENANT_ISOLATION = "TENANT_ISOLATION";
+const CROSS_TENANT_EVENT = "cross_tenant_access";
+
+// Tenant-scoped tables and the key their upserts conflict on within a tenant
+const TENANT_TABLES = {
+  code_roach_issues: "id",
+  code_roach_patterns: "fingerprint",
+  codebase_index: "file_path,line_start",
+  agent_knowledge_base: "id",
+  dsar_requests: "id",
+  llm_redactions: "id",
+};
+
+// Postgres functions over tenant-scoped tables. Rows they return are
+// filtered by tenant_id; functions that change one row by id are only
+// called when that row belongs to the tenant.
+const TENANT_RPCS = {
+  match_codebase_chunks: {},
+  search_agent_knowledge: {},
+  get_best_knowledge: {},
+  record_knowledge_usage: {
+    table: "agent_knowledge_base",
+    idParam: "p_knowledge_id",
+  },
+};
+
+class TenantIsolationError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = "TenantIsolationError";
+    this.code = TENANT_ISOLATION;
+    this.status = 403;
+  }
+}
+
+/**
+ * Call through to a method of the wrapped client or query builder
+ */
+function passThrough(target, prop) {
+  const value = Reflect.get(target, prop);
+  return typeof value === "function" ? value.bind(target) : value;
+}
+
+class TenantContext {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.monitor = null;
+  }
+
+  get tables() {
+    return Object.keys(TENANT_TABLES);
+  }
+
+  /**
+   * Run fn inside a tenant context
+   * @param {Object} context - { tenantId, principalId, ip, userAgent,
+   *   unrestricted }; tenantId null means the untenanted workspace
+   */
+  run(context, fn) {
+    return this.storage.run(
+      {
+        tenantId: context.tenantId || null,
+        principalId: context.principalId || null,
+        ip: context.ip || null,
+        userAgent: context.userAgent || null,
+        unrestricted: Boolean(context.unrestricted),
+      },
+      fn,
+    );
+  }
+
+  /**
+   * Run fn without tenant filtering, keeping who is acting for the logs
+   */
+  runUnrestricted(fn) {
+    return this.run({ ...this.current(), unrestricted: true }, fn);
+  }
+
+  /**
+   * The active context, or null outside of any
+   */
+  current() {
+    return this.storage.getStore() || null;
+  }
+
+  /**
+   * The context when it restricts storage, null when unrestricted
+   */
+  scope() {
+    const context = this.current();
+    return context && !context.unrestricted ? context : null;
+  }
+
+  currentTenantId() {
+    return this.current()?.tenantId || null;
+  }
+
+  /**
+   * Whether a row or in-memory record is visible in the current context
+   * @param {Object} record - Anything carrying a tenant id
+   * @param {string} [column] - Field holding the tenant id
+   */
+  owns(record, column = TENANT_COLUMN) {
+    const scope = this.scope();
+    return !scope || (record?.[column] ?? null) === scope.tenantId;
+  }
+
+  isScopedTable(table) {
+    return Object.prototype.hasOwnProperty.call(TENANT_TABLES, table);
+  }
+
+  /**
+   * Throw (and log) when rows to write belong to another tenant
+   * @param {string} table - Target table
+   * @param {Object|Object[]} rows - Insert rows or update values
+   */
+  assertWritable(table, rows) {
+    const scope = this.scope();
+    if (!scope || !this.isScopedTable(table) || !rows) return;
+
+    for (const row of Array.isArray(rows) ? rows : [rows]) {
+      const tenantId = row?.[TENANT_COLUMN];
+      if (tenantId !== undefined && (tenantId ?? null) !== scope.tenantId) {
+        throw this.reject({
+          action: "write",
+          table,
+          targetTenantId: tenantId,
+        });
+      }
+    }
+  }
+
+  /**
+   * Record a cross-tenant access attempt and build the error to throw
+   * @param {Object} details - { action, table, targetTenantId, ... }
+   * @returns {TenantIsolationError}
+   */
+  reject(details) {
+    const context = this.current() || {};
+    this.logViolation({
+      ...details,
+      tenantId: context.tenantId || null,
+      principalId: context.principalId || null,
+      ip: context.ip,
+      userAgent: context.userAgent,
+    });
+    return new TenantIsolationError(
+      `Access to ${details.table || "tenant"} data of another tenant was denied`,
+    );
+  }
+
+  /**
+   * Log a cross_tenant_access event to securityMonitoring
+   * @param {Object} details - { tenantId, targetTenantId, principalId,
+   *   action, table, ip, userAgent }
+   */
+  logViolation({ ip, userAgent, ...details }) {
+    log.warn(
+      `[Tenant Isolation] ${details.principalId || "unknown principal"} in tenant ${details.tenantId || "(none)"} denied ${details.action || "access"} on ${details.table || "tenant"} of ${details.targetTenantId || "another tenant"}`,
+    );
+
+    if (!this.monitor) {
+      this.monitor = new SecurityMonitoring();
+    }
+    return this.monitor
+      .logEvent(CROSS_TENANT_EVENT, {
+        severity: "high",
+        ip: ip || "unknown",
+        userAgent: userAgent || "unknown",
+        details,
+      })
+      .catch((err) =>
+        log.warn("[Tenant Isolation] Failed to log violation:", err.message),
+      );
+  }
+
+  /**
+   * Whether an error is a rejected cross-tenant access
+   */
+  isIsolationError(error) {
+    return error?.code === TENANT_ISOLATION;
+  }
+
+  /**
+   * Recent cross-tenant access events (most recent first)
+   */
+  getViolations(limit = 100) {
+    return this.monitor
+      ? this.monitor.getRecentEvents(limit, CROSS_TENANT_EVENT)
+      : [];
+  }
+
+  /**
+   * Wrap a supabase-js style client so from() and rpc() honour the context
+   * that is active when they are called
+   */
+  scopeClient(client) {
+    if (!client) return client;
+    return new Proxy(client, {
+      get: (target, prop) => {
+        if (prop === "from") {
+          return (table) => this.scopeQuery(target.from(table), table);
+        }
+        if (prop === "rpc") {
+          return (name, params, options) =>
+            this.scopeRpc(target, name, params, options);
+        }
+        return passThrough(target, prop);
+      },
+    });
+  }
+
+  scopeQuery(builder, table) {
+    const scope = this.scope();
+    if (!scope || !this.isScopedTable(table)) return builder;
+
+    const filter = (query) =>
+      scope.tenantId
+        ? query.eq(TENANT_COLUMN, scope.tenantId)
+        : query.is(TENANT_COLUMN, null);
+    const stamp = (rows) => {
+      this.assertWritable(table, rows);
+      const withTenant = (row) => ({ ...row, [TENANT_COLUMN]: scope.tenantId });
+      return Array.isArray(rows) ? rows.map(withTenant) : withTenant(rows);
+    };
+
+    return new Proxy(builder, {
+      get: (target, prop) => {
+        switch (prop) {
+          case "select":
+            return (...args) => filter(target.select(...args));
+          case "insert":
+            return (rows, options) => target.insert(stamp(rows), options);
+          case "upsert":
+            return (rows, options = {}) =>
+              target.upsert(stamp(rows), {
+                ...options,
+                onConflict: this.conflictTarget(table, options.onConflict),
+              });
+          case "update":
+            return (values, options) =>
+              filter(target.update(stamp(values), options));
+          case "delete":
+            return (options) => filter(target.delete(options));
+          case "then":
+            // The local backend runs a select when the builder is awaited as is
+            if (typeof target.then !== "function") return undefined;
+            return (onFulfilled, onRejected) =>
+              filter(target.select()).then(onFulfilled, onRejected);
+          default:
+            return passThrough(target, prop);
+        }
+      },
+    });
+  }
+
+  /**
+   * Upsert conflict target within the tenant
+   */
+  conflictTarget(table, onConflict) {
+    const columns = String(onConflict || TENANT_TABLES[table])
+      .split(",")
+      .map((column) => column.trim())
+      .filter((column) => column && column !== TENANT_COLUMN);
+    return [TENANT_COLUMN, ...columns].join(",");
+  }
+
+  scopeRpc(client, name, params, options) {
+    const scope = this.scope();
+    const rule = TENANT_RPCS[name];
+    if (!scope || !rule) return client.rpc(name, params, options);
+
+    if (rule.idParam) {
+      return this.ownsRow(client, rule.table, params?.[rule.idParam]).then(
+        (owned) => {
+          if (owned) return client.rpc(name, params, options);
+          const error = this.reject({
+            action: `rpc:${name}`,
+            table: rule.table,
+            rowId: params?.[rule.idParam],
+          });
+          return { data: null, error };
+        },
+      );
+    }
+
+    // Keep the builder chainable (callers add filters) and filter on await
+    const builder = client.rpc(name, params, options);
+    const proxy = new Proxy(builder, {
+      get: (target, prop) => {
+        if (prop === "then") {
+          return (onFulfilled, onRejected) =>
+            target
+              .then((result) => ({
+                ...result,
+                data: Array.isArray(result?.data)
+                  ? result.data.filter((row) => this.owns(row))
+                  : result?.data,
+              }))
+              .then(onFulfilled, onRejected);
+        }
+        const value = Reflect.get(target, prop);
+        if (typeof value !== "function") return value;
+        return (...args) => {
+          const next = value.apply(target, args);
+          return next === target ? proxy : next;
+        };
+      },
+    });
+    return proxy;
+  }
+
+  async ownsRow(client, table, id) {
+    if (id === undefined || id === null) return false;
+    const { data } = await this.scopeQuery(client.from(table), table)
+      .select("id")
+      .eq("id", id)
+      .limit(1);
+    return Array.isArray(data) && data.length > 0;
+  }
+}
+
+module.exports = new TenantContext();
@@ -0,0 +1,502 @@
+/**
+ * Token Budget Service
+ * Daily and monthly LLM token/spend budgets per tenant and project
+ *
+ * Every provider call made through llmService is checked against the budgets
+ * of the active scope (global, tenant, project) and its usage is counted
+ * against all of them. Crossing the soft limit raises a smartAlertService
+ * alert; crossing a hard limit makes provider calls throw BudgetExceededError,
+ * which the fix generators turn into pattern-only fixes.
+ *
+ * The scope is carried with AsyncLocalStorage, so callers only wrap the work:
+ *   tokenBudgetService.runWithScope({ tenantId, projectId }, () => scan())
+ * Calls made outside of a scope count against the request's tenant.
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const config = require("../config");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("TokenBudgetService");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const smartAlertService = require("./smartAlertService");
+
+const BUDGET_EXCEEDED = "LLM_BUDGET_EXCEEDED";
+const LIMITS = [
+  "dailyTokens",
+  "monthlyTokens",
+  "dailyCostUsd",
+  "monthlyCostUsd",
+];
+const BUDGET_CACHE_TTL = 60 * 1000;
+const FLUSH_DELAY = 2000;
+
+class BudgetExceededError extends Error {
+  constructor(status) {
+    super(
+      `LLM budget exceeded for ${status.scope.type} ${status.scope.id}: ${status.exceededLimits.join(", ")}`,
+    );
+    this.name = "BudgetExceededError";
+    this.code = BUDGET_EXCEEDED;
+    this.status = status;
+  }
+}
+
+/**
+ * UTC period keys ("2026-10-19", "2026-10")
+ */
+function periodKeys(date = new Date()) {
+  const day = date.toISOString().substring(0, 10);
+  return { day, month: day.substring(0, 7) };
+}
+
+class TokenBudgetService {
+  constructor() {
+    // Storage client from databaseService (Supabase or local backend)
+    this.supabase = databaseService.getClient();
+    this.scopeStorage = new AsyncLocalStorage();
+    this.budgets = new Map(); // "type:id" -> { limits, loadedAt }
+    this.usage = new Map(); // "type:id" -> { day, month }
+    this.dirty = new Set();
+    this.alerted = new Set();
+    this.flushTimer = null;
+  }
+
+  get enabled() {
+    return config.llmBudgets?.enabled !== false;
+  }
+
+  /**
+   * Run fn with a budget scope; ids not given are inherited from the outer scope
+   * @param {Object} scope - { tenantId, projectId }
+   */
+  runWithScope(scope, fn) {
+    const current = this.currentScope();
+    return this.scopeStorage.run(
+      {
+        tenantId: scope?.tenantId || current.tenantId || null,
+        projectId: scope?.projectId || current.projectId || null,
+      },
+      fn,
+    );
+  }
+
+  /**
+   * The active budget scope; outside of one, the tenant the request runs in
+   */
+  currentScope() {
+    return (
+      this.scopeStorage.getStore() || {
+        tenantId: tenantContext.currentTenantId(),
+        projectId: null,
+      }
+    );
+  }
+
+  /**
+   * Whether scope adds ids that the current scope doesn't have yet
+   */
+  needsScope(scope) {
+    const current = this.currentScope();
+    return Boolean(
+      (scope?.tenantId && scope.tenantId !== current.tenantId) ||
+      (scope?.projectId && scope.projectId !== current.projectId),
+    );
+  }
+
+  /**
+   * Budget levels that apply to a scope (global always applies)
+   */
+  levelsFor(scope = this.currentScope()) {
+    const levels = [{ type: "global", id: "default" }];
+    if (scope.tenantId) levels.push({ type: "tenant", id: scope.tenantId });
+    if (scope.projectId) levels.push({ type: "project", id: scope.projectId });
+    return levels;
+  }
+
+  defaultLimits(type) {
+    const budgets = config.llmBudgets || {};
+    const defaults =
+      type === "global"
+        ? budgets.global
+        : type === "tenant"
+          ? budgets.tenantDefaults
+          : budgets.projectDefaults;
+    return {
+      dailyTokens: null,
+      monthlyTokens: null,
+      dailyCostUsd: null,
+      monthlyCostUsd: null,
+      ...defaults,
+      softLimitRatio: budgets.softLimitRatio || 0.8,
+    };
+  }
+
+  /**
+   * Limits for one level (stored limits override the configured defaults)
+   */
+  async getBudget(type, id) {
+    const key = `${type}:${id}`;
+    const cached = this.budgets.get(key);
+    if (cached && Date.now() - cached.loadedAt < BUDGET_CACHE_TTL) {
+      return cached.limits;
+    }
+
+    const limits = this.defaultLimits(type);
+    if (this.supabase) {
+      try {
+        const { data, error } = await this.supabase
+          .from("llm_budgets")
+          .select("*")
+          .eq("scope_type", type)
+          .eq("scope_id", id)
+          .maybeSingle();
+        if (error) throw error;
+        if (data) Object.assign(limits, this.fromBudgetRow(data));
+      } catch (error) {
+        log.warn(`Failed to load budget for ${key}:`, error.message);
+      }
+    }
+
+    this.budgets.set(key, { limits, loadedAt: Date.now() });
+    return limits;
+  }
+
+  /**
+   * Set limits for a tenant or project (null = unlimited, undefined = keep)
+   * @param {string} type - global, tenant or project
+   * @param {string} id - Tenant/project id ("default" for global)
+   * @param {Object} limits - { dailyTokens, monthlyTokens, dailyCostUsd, monthlyCostUsd, softLimitRatio }
+   */
+  async setBudget(type, id, limits = {}) {
+    if (!["global", "tenant", "project"].includes(type)) {
+      throw new Error(`Invalid budget scope: ${type}`);
+    }
+    if (!id) {
+      throw new Error("Budget scope id is required");
+    }
+    for (const name of [...LIMITS, "softLimitRatio"]) {
+      const value = limits[name];
+      if (value !== undefined && value !== null && !(Number(value) >= 0)) {
+        throw new Error(`Invalid budget limit ${name}: ${value}`);
+      }
+    }
+    if (limits.softLimitRatio > 1) {
+      throw new Error("softLimitRatio must be between 0 and 1");
+    }
+
+    const current = await this.getBudget(type, id);
+    const next = { ...current };
+    for (const name of [...LIMITS, "softLimitRatio"]) {
+      if (limits[name] !== undefined) {
+        next[name] = limits[name] === null ? null : Number(limits[name]);
+      }
+    }
+
+    if (this.supabase) {
+      const { error } = await this.supabase.from("llm_budgets").upsert(
+        {
+          scope_type: type,
+          scope_id: id,
+          daily_tokens: next.dailyTokens,
+          monthly_tokens: next.monthlyTokens,
+          daily_cost_usd: next.dailyCostUsd,
+          monthly_cost_usd: next.monthlyCostUsd,
+          soft_limit_ratio: next.softLimitRatio,
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "scope_type,scope_id" },
+      );
+      if (error) throw error;
+    }
+
+    this.budgets.set(`${type}:${id}`, { limits: next, loadedAt: Date.now() });
+    this.clearAlerts(type, id);
+    return next;
+  }
+
+  fromBudgetRow(row) {
+    const limits = {};
+    const columns = {
+      dailyTokens: "daily_tokens",
+      monthlyTokens: "monthly_tokens",
+      dailyCostUsd: "daily_cost_usd",
+      monthlyCostUsd: "monthly_cost_usd",
+      softLimitRatio: "soft_limit_ratio",
+    };
+    for (const [name, column] of Object.entries(columns)) {
+      if (row[column] !== null && row[column] !== undefined) {
+        limits[name] = Number(row[column]);
+      } else if (name !== "softLimitRatio") {
+        limits[name] = null;
+      }
+    }
+    return limits;
+  }
+
+  /**
+   * Usage counters for one level in the current day/month
+   */
+  async getUsage(type, id) {
+    const key = `${type}:${id}`;
+    const periods = periodKeys();
+    let usage = this.usage.get(key);
+
+    if (
+      usage &&
+      usage.day.period === periods.day &&
+      usage.month.period === periods.month
+    ) {
+      return usage;
+    }
+
+    usage = {
+      day: { period: periods.day, tokens: 0, costUsd: 0, requests: 0 },
+      month: { period: periods.month, tokens: 0, costUsd: 0, requests: 0 },
+    };
+
+    if (this.supabase) {
+      try {
+        const { data, error } = await this.supabase
+          .from("llm_budget_usage")
+          .select("period, period_key, tokens, cost_usd, requests")
+          .eq("scope_type", type)
+          .eq("scope_id", id)
+          .in("period_key", [periods.day, periods.month]);
+        if (error) throw error;
+        for (const row of data || []) {
+          const counter = usage[row.period];
+          if (counter && counter.period === row.period_key) {
+            counter.tokens = Number(row.tokens) || 0;
+            counter.costUsd = Number(row.cost_usd) || 0;
+            counter.requests = Number(row.requests) || 0;
+          }
+        }
+      } catch (error) {
+        log.warn(`Failed to load budget usage for ${key}:`, error.message);
+      }
+    }
+
+    this.usage.set(key, usage);
+    return usage;
+  }
+
+  /**
+   * Budget status for one level
+   * @returns {Promise<Object>} { scope, budget, usage, remaining, utilization, state, exceededLimits }
+   */
+  async getStatus(type, id) {
+    const [budget, usage] = await Promise.all([
+      this.getBudget(type, id),
+      this.getUsage(type, id),
+    ]);
+
+    const used = {
+      dailyTokens: usage.day.tokens,
+      monthlyTokens: usage.month.tokens,
+      dailyCostUsd: usage.day.costUsd,
+      monthlyCostUsd: usage.month.costUsd,
+    };
+
+    const remaining = {};
+    const exceededLimits = [];
+    let utilization = 0;
+    for (const name of LIMITS) {
+      const limit = budget[name];
+      if (limit === null || limit === undefined) {
+        remaining[name] = null;
+        continue;
+      }
+      remaining[name] = Math.max(0, limit - used[name]);
+      const ratio = limit > 0 ? used[name] / limit : 1;
+      utilization = Math.max(utilization, ratio);
+      if (used[name] >= limit) exceededLimits.push(name);
+    }
+
+    let state = "ok";
+    if (exceededLimits.length > 0) state = "exceeded";
+    else if (utilization >= budget.softLimitRatio) state = "warning";
+
+    return {
+      scope: { type, id },
+      budget,
+      usage: {
+        daily: { ...usage.day },
+        monthly: { ...usage.month },
+      },
+      remaining,
+      utilization: Math.round(utilization * 1000) / 1000,
+      state,
+      exceededLimits,
+    };
+  }
+
+  /**
+   * Status of every level that applies to a scope
+   */
+  async checkBudget(scope = this.currentScope()) {
+    const levels = await Promise.all(
+      this.levelsFor(scope).map((level) =>
+        this.getStatus(level.type, level.id),
+      ),
+    );
+    const exceeded = levels.find((status) => status.state === "exceeded");
+    return {
+      allowed: !exceeded,
+      state: exceeded
+        ? "exceeded"
+        : levels.some((status) => status.state === "warning")
+          ? "warning"
+          : "ok",
+      levels,
+    };
+  }
+
+  /**
+   * Throw BudgetExceededError when any level of the scope is over a hard limit
+   */
+  async assertWithinBudget(scope = this.currentScope()) {
+    if (!this.enabled) return;
+
+    const result = await this.checkBudget(scope);
+    if (result.allowed) return;
+
+    const status = result.levels.find((level) => level.state === "exceeded");
+    this.notify(status);
+    throw new BudgetExceededError(status);
+  }
+
+  /**
+   * Whether the scope is over a hard limit (for skipping LLM work up front)
+   */
+  async isExceeded(scope = this.currentScope()) {
+    if (!this.enabled) return false;
+    const result = await this.checkBudget(scope);
+    return !result.allowed;
+  }
+
+  /**
+   * Count one provider call against every level of the scope
+   * @param {Object} scope - { tenantId, projectId }
+   * @param {Object} usage - { tokens, cost }
+   */
+  async recordUsage(scope = this.currentScope(), usage = {}) {
+    if (!this.enabled) return;
+
+    const tokens = usage.tokens || 0;
+    const cost = usage.cost || 0;
+
+    for (const level of this.levelsFor(scope)) {
+      const counters = await this.getUsage(level.type, level.id);
+      for (const counter of [counters.day, counters.month]) {
+        counter.tokens += tokens;
+        counter.costUsd += cost;
+        counter.requests++;
+      }
+      this.dirty.add(`${level.type}:${level.id}`);
+
+      const status = await this.getStatus(level.type, level.id);
+      if (status.state !== "ok") {
+        this.notify(status);
+      }
+    }
+
+    this.scheduleFlush();
+  }
+
+  /**
+   * Alert once per level, state and period
+   */
+  notify(status) {
+    const { type, id } = status.scope;
+    const period =
+      status.exceededLimits.some((name) => name.startsWith("monthly")) ||
+      status.state === "warning"
+        ? status.usage.monthly.period
+        : status.usage.daily.period;
+    const alertKey = `${type}:${id}:${status.state}:${period}`;
+    if (this.alerted.has(alertKey)) return;
+    this.alerted.add(alertKey);
+
+    const ruleId =
+      status.state === "exceeded"
+        ? "llm-budget-exceeded"
+        : "llm-budget-soft-limit";
+    log.warn(
+      `LLM budget ${status.state} for ${type} ${id} (${Math.round(status.utilization * 100)}% used)`,
+    );
+    smartAlertService.sendAlert(
+      ruleId,
+      { ...status, cooldownKey: `${ruleId}:${type}:${id}` },
+      {
+        scope: status.scope,
+        utilization: status.utilization,
+        remaining: status.remaining,
+        exceededLimits: status.exceededLimits,
+      },
+    );
+  }
+
+  clearAlerts(type, id) {
+    const prefix = `${type}:${id}:`;
+    for (const key of this.alerted) {
+      if (key.startsWith(prefix)) this.alerted.delete(key);
+    }
+  }
+
+  scheduleFlush() {
+    if (this.flushTimer || !this.supabase) return;
+    this.flushTimer = setTimeout(() => {
+      this.flushTimer = null;
+      this.flush().catch((error) => {
+        log.warn("Failed to persist budget usage:", error.message);
+      });
+    }, FLUSH_DELAY);
+    this.flushTimer.unref?.();
+  }
+
+  /**
+   * Persist dirty usage counters
+   */
+  async flush() {
+    if (!this.supabase || this.dirty.size === 0) return;
+
+    const keys = [...this.dirty];
+    this.dirty.clear();
+    const rows = [];
+    for (const key of keys) {
+      const [type, ...rest] = key.split(":");
+      const usage = this.usage.get(key);
+      if (!usage) continue;
+      for (const period of ["day", "month"]) {
+        rows.push({
+          scope_type: type,
+          scope_id: rest.join(":"),
+          period,
+          period_key: usage[period].period,
+          tokens: usage[period].tokens,
+          cost_usd: Math.round(usage[period].costUsd * 1e6) / 1e6,
+          requests: usage[period].requests,
+          updated_at: new Date().toISOString(),
+        });
+      }
+    }
+
+    const { error } = await this.supabase
+      .from("llm_budget_usage")
+      .upsert(rows, { onConflict: "scope_type,scope_id,period,period_key" });
+    if (error) {
+      keys.forEach((key) => this.dirty.add(key));
+      throw error;
+    }
+  }
+
+  /**
+   * Whether an error is a hard budget stop
+   */
+  isBudgetExceeded(error) {
+    return error?.code === BUDGET_EXCEEDED;
+  }
+}
+
+module.exports = new TokenBudgetService();
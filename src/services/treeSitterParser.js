@@ -0,0 +1,406 @@
+/**
+ * Tree-sitter Parser
+ * Concrete syntax trees for Python, Java and Rust from WASM tree-sitter
+ * grammars (the optional web-tree-sitter and tree-sitter-wasms packages).
+ * Grammars are read from disk, so parsing works offline; set
+ * TREE_SITTER_GRAMMAR_DIR to load tree-sitter-<language>.wasm files from
+ * another directory.
+ *
+ * Loading a grammar is asynchronous and parsing is not: parse() returns null
+ * for a language until load() has finished (it starts loading on first use).
+ *
+ * Trees are converted to one node model for every language:
+ *
+ *   { type, kind, field, text, line, column, endLine, endColumn,
+ *     startIndex, endIndex, children, parent }
+ *
+ * - type: the grammar's node type (attribute, method_invocation, ...)
+ * - kind: the node's role across languages, or null: module, function,
+ *   class, call, member, identifier, assignment, try, if, logical, null,
+ *   statement, return, propagate (Rust's ?) and match
+ * - field: the node's field in its parent, with the grammar's names mapped
+ *   to shared ones where the kind has them: a member's object and property,
+ *   a call's callee (or object and property for method calls), an
+ *   assignment's left and right (declarations and parameter defaults
+ *   included), an if's condition, a function's or class's name
+ * - text: the source of nodes without named children (identifiers,
+ *   literals)
+ * - parent is not enumerable, so a tree serializes as JSON
+ *
+ * Only named nodes are kept. Lines are 1-based and columns 0-based, as in
+ * Babel; indexes are offsets into the source string.
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("TreeSitterParser");
+
+// Per language: the grammar file, node kinds, field names mapped to the
+// shared ones ("<type>.<field>"), and the node types that name things
+const LANGUAGES = {
+  python: {
+    grammar: "tree-sitter-python.wasm",
+    kinds: {
+      module: "module",
+      function_definition: "function",
+      lambda: "function",
+      class_definition: "class",
+      call: "call",
+      attribute: "member",
+      identifier: "identifier",
+      assignment: "assignment",
+      augmented_assignment: "assignment",
+      named_expression: "assignment",
+      default_parameter: "assignment",
+      typed_default_parameter: "assignment",
+      try_statement: "try",
+      if_statement: "if",
+      elif_clause: "if",
+      while_statement: "if",
+      conditional_expression: "if",
+      boolean_operator: "logical",
+      none: "null",
+      expression_statement: "statement",
+      return_statement: "return",
+      match_statement: "match",
+    },
+    fields: {
+      "call.function": "callee",
+      "attribute.attribute": "property",
+      "named_expression.name": "left",
+      "named_expression.value": "right",
+      "default_parameter.name": "left",
+      "default_parameter.value": "right",
+      "typed_default_parameter.name": "left",
+      "typed_default_parameter.value": "right",
+    },
+    names: ["identifier"],
+  },
+
+  java: {
+    grammar: "tree-sitter-java.wasm",
+    kinds: {
+      program: "module",
+      method_declaration: "function",
+      constructor_declaration: "function",
+      lambda_expression: "function",
+      class_declaration: "class",
+      interface_declaration: "class",
+      enum_declaration: "class",
+      record_declaration: "class",
+      method_invocation: "call",
+      object_creation_expression: "call",
+      field_access: "member",
+      identifier: "identifier",
+      variable_declarator: "assignment",
+      assignment_expression: "assignment",
+      try_statement: "try",
+      try_with_resources_statement: "try",
+      if_statement: "if",
+      while_statement: "if",
+      ternary_expression: "if",
+      binary_expression: "logical",
+      null_literal: "null",
+      expression_statement: "statement",
+      return_statement: "return",
+      switch_expression: "match",
+    },
+    fields: {
+      "method_invocation.name": "property",
+      "object_creation_expression.type": "callee",
+      "field_access.field": "property",
+      "variable_declarator.name": "left",
+      "variable_declarator.value": "right",
+    },
+    names: ["identifier"],
+  },
+
+  rust: {
+    grammar: "tree-sitter-rust.wasm",
+    kinds: {
+      source_file: "module",
+      function_item: "function",
+      closure_expression: "function",
+      struct_item: "class",
+      enum_item: "class",
+      impl_item: "class",
+      call_expression: "call",
+      field_expression: "member",
+      identifier: "identifier",
+      shorthand_field_identifier: "identifier",
+      let_declaration: "assignment",
+      assignment_expression: "assignment",
+      if_expression: "if",
+      while_expression: "if",
+      binary_expression: "logical",
+      expression_statement: "statement",
+      return_expression: "return",
+      try_expression: "propagate",
+      match_expression: "match",
+    },
+    fields: {
+      "call_expression.function": "callee",
+      "field_expression.value": "object",
+      "field_expression.field": "property",
+      "let_declaration.pattern": "left",
+      "let_declaration.value": "right",
+    },
+    names: ["identifier", "shorthand_field_identifier"],
+  },
+};
+
+class TreeSitterParser {
+  constructor() {
+    this.runtime = null;
+    this.queue = Promise.resolve();
+    this.languages = new Map(); // language -> Promise<Language>
+    this.loaded = new Map(); // language -> Language
+    this.parsers = new Map(); // language -> Parser
+    this.failed = new Set();
+  }
+
+  /**
+   * Languages with a tree-sitter grammar
+   * @returns {string[]}
+   */
+  supportedLanguages() {
+    return Object.keys(LANGUAGES);
+  }
+
+  /**
+   * Whether parse() can be called for a language now
+   * @param {string} language
+   * @returns {boolean}
+   */
+  isLoaded(language) {
+    return this.loaded.has(language);
+  }
+
+  /**
+   * Load a language's grammar
+   * @param {string} language - python, java or rust
+   * @returns {Promise<boolean>} false when the grammar is not available
+   */
+  async load(language) {
+    const spec = LANGUAGES[language];
+    if (!spec) return false;
+
+    if (!this.languages.has(language)) {
+      // Grammars load one at a time: web-tree-sitter links each WASM module
+      // into shared state, and concurrent loads break that
+      const loading = this.queue.then(() => this.loadLanguage(spec));
+      this.queue = loading.catch(() => {});
+      this.languages.set(
+        language,
+        loading.then((grammar) => {
+          this.loaded.set(language, grammar);
+          return grammar;
+        }),
+      );
+    }
+
+    try {
+      await this.languages.get(language);
+      return true;
+    } catch (error) {
+      if (!this.failed.has(language)) {
+        this.failed.add(language);
+        log.warn(
+          `[Tree-sitter] ${language} grammar not available (${error.message}). Install with: npm install web-tree-sitter tree-sitter-wasms`,
+        );
+      }
+      return false;
+    }
+  }
+
+  /**
+   * Parse code into a normalized tree
+   * @param {string} code - Source code
+   * @param {string} language - python, java or rust
+   * @returns {Object|null} { type, language, parsed, hasErrors, root }, or
+   *   null while the grammar is not loaded
+   */
+  parse(code, language) {
+    const grammar = this.loaded.get(language);
+    if (!grammar) {
+      this.load(language);
+      return null;
+    }
+
+    if (!this.parsers.has(language)) {
+      const parser = new this.runtime.Parser();
+      parser.setLanguage(grammar);
+      this.parsers.set(language, parser);
+    }
+
+    // The tree lives in WASM memory until it is deleted
+    const tree = this.parsers.get(language).parse(code);
+    try {
+      const root = convert(tree, LANGUAGES[language], code);
+      const { rootNode } = tree;
+      // A property in 0.22, a method in earlier versions
+      const hasErrors =
+        typeof rootNode.hasError === "function"
+          ? rootNode.hasError()
+          : rootNode.hasError;
+      return { type: root.type, language, parsed: true, hasErrors, root };
+    } finally {
+      tree.delete();
+    }
+  }
+
+  /**
+   * Node types that name things (identifiers) in a language
+   * @param {string} language
+   * @returns {string[]}
+   */
+  nameTypes(language) {
+    return LANGUAGES[language]?.names || [];
+  }
+
+  /**
+   * Visit every node of a tree, parents first
+   * @param {Object} node - Normalized node
+   * @param {Function} visit - (node) => false to skip the node's children
+   */
+  walk(node, visit) {
+    const stack = [node];
+    while (stack.length > 0) {
+      const current = stack.pop();
+      if (visit(current) === false) continue;
+      for (let i = current.children.length - 1; i >= 0; i--) {
+        stack.push(current.children[i]);
+      }
+    }
+  }
+
+  /**
+   * A node's child in a field
+   * @param {Object} node - Normalized node
+   * @param {string} field - Shared or grammar field name
+   * @returns {Object|null}
+   */
+  child(node, field) {
+    return node?.children.find((child) => child.field === field) || null;
+  }
+
+  /**
+   * The source of a node
+   * @param {Object} node - Normalized node
+   * @param {string} code - The parsed source
+   * @returns {string}
+   */
+  text(node, code) {
+    return node.text ?? code.slice(node.startIndex, node.endIndex);
+  }
+
+  async loadLanguage(spec) {
+    if (!this.runtime) {
+      this.runtime = await loadRuntime();
+    }
+    const file = path.join(grammarDirectory(), spec.grammar);
+    if (!fs.existsSync(file)) {
+      throw new Error(`${file} not found`);
+    }
+    return this.runtime.Language.load(file);
+  }
+}
+
+async function loadRuntime() {
+  const TreeSitter = require("web-tree-sitter");
+  // 0.22 exports the Parser class with Language on it; later versions
+  // export both by name
+  const Parser = TreeSitter.Parser || TreeSitter;
+  await Parser.init();
+  return { Parser, Language: TreeSitter.Language || Parser.Language };
+}
+
+function grammarDirectory() {
+  if (config.treeSitter.grammarDir) {
+    return path.resolve(config.treeSitter.grammarDir);
+  }
+  return path.dirname(
+    require.resolve("tree-sitter-wasms/out/tree-sitter-python.wasm"),
+  );
+}
+
+/**
+ * Convert a tree-sitter tree to normalized nodes, walking it with a cursor
+ * (no recursion, so deeply nested code cannot overflow the stack)
+ */
+function convert(tree, spec, code) {
+  const cursor = tree.walk();
+  try {
+    const root = createNode(cursor, spec, null);
+    let parent = root;
+    if (!cursor.gotoFirstChild()) {
+      return finish(root, code);
+    }
+
+    for (;;) {
+      if (cursor.nodeIsNamed) {
+        const node = createNode(cursor, spec, parent);
+        parent.children.push(node);
+        if (cursor.gotoFirstChild()) {
+          parent = node;
+          continue;
+        }
+      }
+      while (!cursor.gotoNextSibling()) {
+        if (parent === root) {
+          return finish(root, code);
+        }
+        cursor.gotoParent();
+        parent = parent.parent;
+      }
+    }
+  } finally {
+    cursor.delete();
+  }
+}
+
+function createNode(cursor, spec, parent) {
+  const type = cursor.nodeType;
+  const fieldName =
+    typeof cursor.currentFieldName === "function"
+      ? cursor.currentFieldName()
+      : cursor.currentFieldName;
+  const start = cursor.startPosition;
+  const end = cursor.endPosition;
+
+  const node = {
+    type,
+    kind: spec.kinds[type] || null,
+    field:
+      parent && fieldName
+        ? spec.fields[`${parent.type}.${fieldName}`] || fieldName
+        : null,
+    text: null,
+    line: start.row + 1,
+    column: start.column,
+    endLine: end.row + 1,
+    endColumn: end.column,
+    startIndex: cursor.startIndex,
+    endIndex: cursor.endIndex,
+    children: [],
+  };
+  Object.defineProperty(node, "parent", { value: parent, enumerable: false });
+  return node;
+}
+
+function finish(root, code) {
+  const stack = [root];
+  while (stack.length > 0) {
+    const node = stack.pop();
+    if (node.children.length === 0) {
+      node.text = code.slice(node.startIndex, node.endIndex);
+    } else {
+      stack.push(...node.children);
+    }
+  }
+  return root;
+}
+
+module.exports = new TreeSitterParser();
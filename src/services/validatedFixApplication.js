@@ -21,6 +21,12 @@ const { createLogger } = require("../utils/logger");
 const log = createLogger("ValidatedFixApplication");
 const fixVerificationService = require("./fixVerificationService");
 const fixApplicationService = require("./fixApplicationService");
+const auditLogService = require("./auditLogService");
+const crypto = require("crypto");
+
+function sha256(content) {
+  return crypto.createHash("sha256").update(content).digest("hex");
+}
 
 class ValidatedFixApplication {
   constructor() {
@@ -177,10 +183,19 @@ class ValidatedFixApplication {
         await this.restoreBackup(backup.backupPath, filePath);
         results.applied = false;
         results.errors.push("Post-write validation failed");
+        await this.auditFix("fix_rolled_back", fix, filePath, {
+          before: { sha256: sha256(fixedCode) },
+          after: { sha256: sha256(backup.originalCode) },
+          reason: "Post-write validation failed",
+        });
         return results;
       }
 
       console.log(`✅ [Validated Fix] Fix applied successfully to ${filePath}`);
+      await this.auditFix("fix_applied", fix, filePath, {
+        before: { sha256: sha256(backup.originalCode) },
+        after: { sha256: sha256(fixedCode) },
+      });
       return results;
     } catch (err) {
       results.errors.push(err.message);
@@ -198,6 +213,27 @@ class ValidatedFixApplication {
     }
   }
 
+  /**
+   * Record a fix written to (or restored from) disk; file contents stay out
+   * of the audit log, their hashes show the change
+   */
+  auditFix(event, fix, filePath, { before, after, reason = null }) {
+    return auditLogService.record({
+      event,
+      category: "fix",
+      resourceType: "file",
+      resourceId: path.relative(process.cwd(), path.resolve(filePath)),
+      before,
+      after,
+      metadata: {
+        fixId: fix.id || null,
+        method: fix.method || null,
+        confidence: fix.confidence ?? null,
+        reason,
+      },
+    });
+  }
+
   /**
    * Format validation errors for display
    */
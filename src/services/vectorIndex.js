@@ -0,0 +1,475 @@
+/**
+ * Vector Index
+ * In-process approximate nearest neighbour index (HNSW) over embeddings
+ *
+ * Lets semantic search run without the match_codebase_chunks RPC:
+ * codebaseIndexer writes chunk embeddings here, codebaseSearch reads from it.
+ *
+ * Provides:
+ * - Hierarchical Navigable Small World graph (cosine similarity)
+ * - Incremental add / remove (tombstones, compacted when they pile up)
+ * - Payload filters (file path, language, ...)
+ * - Persistence to a JSON file on disk (atomic writes, debounced)
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config");
+const { createLogger } = require("../utils/logger");
+const log = createLogger("VectorIndex");
+
+const FORMAT_VERSION = 1;
+
+/**
+ * Binary heap ordered by a compare function
+ */
+class Heap {
+  constructor(compare) {
+    this.items = [];
+    this.compare = compare;
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  peek() {
+    return this.items[0];
+  }
+
+  push(item) {
+    const items = this.items;
+    items.push(item);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (this.compare(items[i], items[parent]) >= 0) break;
+      [items[i], items[parent]] = [items[parent], items[i]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = 2 * i + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && this.compare(items[left], items[smallest]) < 0) {
+          smallest = left;
+        }
+        if (right < items.length && this.compare(items[right], items[smallest]) < 0) {
+          smallest = right;
+        }
+        if (smallest === i) break;
+        [items[i], items[smallest]] = [items[smallest], items[i]];
+        i = smallest;
+      }
+    }
+    return top;
+  }
+}
+
+function normalize(vector) {
+  let norm = 0;
+  for (const v of vector) norm += v * v;
+  norm = Math.sqrt(norm) || 1;
+  return vector.map((v) => v / norm);
+}
+
+function dot(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += a[i] * b[i];
+  return sum;
+}
+
+class VectorIndex {
+  /**
+   * @param {Object} options
+   * @param {string} options.filePath - Where the index is persisted (null = memory only)
+   * @param {number} options.m - Max neighbours per node on upper layers
+   * @param {number} options.efConstruction - Candidate list size while inserting
+   * @param {number} options.efSearch - Candidate list size while searching
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.m = options.m || 16;
+    this.m0 = this.m * 2;
+    this.efConstruction = options.efConstruction || 100;
+    this.efSearch = options.efSearch || 50;
+    this.levelMultiplier = 1 / Math.log(this.m);
+    this.saveDelay = options.saveDelay ?? 1000;
+
+    this.reset();
+    this.loaded = false;
+    this.dirty = false;
+    this.saveTimer = null;
+  }
+
+  reset(dimension = null) {
+    this.dimension = dimension;
+    this.nodes = []; // { id, vector, level, neighbors: number[][], payload, deleted }
+    this.idToNode = new Map();
+    this.entryPoint = -1;
+    this.maxLevel = -1;
+    this.deletedCount = 0;
+    this.metadata = {};
+  }
+
+  /**
+   * Number of live (non-deleted) vectors
+   */
+  get size() {
+    this.ensureLoaded();
+    return this.idToNode.size;
+  }
+
+  /**
+   * Add or replace a vector
+   * @param {string} id - Stable identifier (e.g. "file.js:120")
+   * @param {number[]} vector - Embedding
+   * @param {Object} payload - Data returned with search hits
+   */
+  add(id, vector, payload = {}) {
+    this.ensureLoaded();
+    if (!Array.isArray(vector) || vector.length === 0) {
+      throw new Error(`Invalid vector for ${id}`);
+    }
+    if (this.dimension === null) {
+      this.dimension = vector.length;
+    } else if (vector.length !== this.dimension) {
+      throw new Error(
+        `Vector dimension ${vector.length} does not match index dimension ${this.dimension}`,
+      );
+    }
+
+    if (this.idToNode.has(id)) {
+      this.markDeleted(this.idToNode.get(id));
+    }
+
+    const index = this.nodes.length;
+    const level = Math.floor(-Math.log(Math.random() || 1e-9) * this.levelMultiplier);
+    const node = {
+      id,
+      vector: normalize(vector),
+      level,
+      neighbors: Array.from({ length: level + 1 }, () => []),
+      payload,
+      deleted: false,
+    };
+    this.nodes.push(node);
+    this.idToNode.set(id, index);
+
+    if (this.entryPoint === -1) {
+      this.entryPoint = index;
+      this.maxLevel = level;
+      this.scheduleSave();
+      return;
+    }
+
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > level; l--) {
+      entry = this.greedyClosest(node.vector, entry, l);
+    }
+
+    for (let l = Math.min(level, this.maxLevel); l >= 0; l--) {
+      const candidates = this.searchLayer(node.vector, [entry], this.efConstruction, l);
+      const maxNeighbors = l === 0 ? this.m0 : this.m;
+      const selected = candidates.slice(0, maxNeighbors).map((c) => c.index);
+      node.neighbors[l] = selected;
+
+      for (const neighborIndex of selected) {
+        const neighbor = this.nodes[neighborIndex];
+        neighbor.neighbors[l].push(index);
+        if (neighbor.neighbors[l].length > maxNeighbors) {
+          neighbor.neighbors[l] = this.closestOf(
+            neighbor.vector,
+            neighbor.neighbors[l],
+            maxNeighbors,
+          );
+        }
+      }
+      entry = candidates[0].index;
+    }
+
+    if (level > this.maxLevel) {
+      this.maxLevel = level;
+      this.entryPoint = index;
+    }
+
+    this.scheduleSave();
+  }
+
+  /**
+   * Remove a vector by id
+   * @returns {boolean} Whether the id was present
+   */
+  remove(id) {
+    this.ensureLoaded();
+    if (!this.idToNode.has(id)) return false;
+    this.markDeleted(this.idToNode.get(id));
+    this.maybeCompact();
+    this.scheduleSave();
+    return true;
+  }
+
+  /**
+   * Remove every vector whose payload matches
+   * @returns {number} Number removed
+   */
+  removeWhere(predicate) {
+    this.ensureLoaded();
+    let removed = 0;
+    for (const index of [...this.idToNode.values()]) {
+      if (predicate(this.nodes[index].payload, this.nodes[index].id)) {
+        this.markDeleted(index);
+        removed++;
+      }
+    }
+    if (removed > 0) {
+      this.maybeCompact();
+      this.scheduleSave();
+    }
+    return removed;
+  }
+
+  /**
+   * k-nearest-neighbour search
+   * @param {number[]} vector - Query embedding
+   * @param {Object} options
+   * @param {number} options.k - Results to return
+   * @param {number} options.threshold - Minimum cosine similarity
+   * @param {Function} options.filter - (payload) => boolean
+   * @returns {Array<{id, similarity, payload}>}
+   */
+  search(vector, options = {}) {
+    this.ensureLoaded();
+    const { k = 10, threshold = 0, filter = null } = options;
+    if (this.entryPoint === -1 || this.idToNode.size === 0) {
+      return [];
+    }
+    if (vector.length !== this.dimension) {
+      throw new Error(
+        `Query dimension ${vector.length} does not match index dimension ${this.dimension}`,
+      );
+    }
+
+    const query = normalize(vector);
+    let entry = this.entryPoint;
+    for (let l = this.maxLevel; l > 0; l--) {
+      entry = this.greedyClosest(query, entry, l);
+    }
+
+    // Filters and tombstones discard candidates, so widen the beam
+    const ef = Math.max(this.efSearch, filter ? k * 10 : k);
+    const accept = (node) => !node.deleted && (!filter || filter(node.payload));
+    let hits = this.searchLayer(query, [entry], ef, 0)
+      .filter((c) => accept(this.nodes[c.index]))
+      .slice(0, k);
+
+    // Very selective filters can starve the beam; fall back to an exact scan
+    if (filter && hits.length < k) {
+      hits = this.nodes
+        .map((node, index) => ({ index, similarity: dot(query, node.vector) }))
+        .filter((c) => accept(this.nodes[c.index]))
+        .sort((a, b) => b.similarity - a.similarity)
+        .slice(0, k);
+    }
+
+    return hits
+      .filter((c) => c.similarity >= threshold)
+      .map((c) => ({
+        id: this.nodes[c.index].id,
+        similarity: c.similarity,
+        payload: this.nodes[c.index].payload,
+      }));
+  }
+
+  greedyClosest(query, entry, level) {
+    let current = entry;
+    let best = dot(query, this.nodes[current].vector);
+    let improved = true;
+    while (improved) {
+      improved = false;
+      for (const neighbor of this.nodes[current].neighbors[level] || []) {
+        const similarity = dot(query, this.nodes[neighbor].vector);
+        if (similarity > best) {
+          best = similarity;
+          current = neighbor;
+          improved = true;
+        }
+      }
+    }
+    return current;
+  }
+
+  /**
+   * Beam search on one layer; returns candidates sorted by similarity (desc)
+   */
+  searchLayer(query, entries, ef, level) {
+    const visited = new Set(entries);
+    const candidates = new Heap((a, b) => b.similarity - a.similarity); // best first
+    const results = new Heap((a, b) => a.similarity - b.similarity); // worst first
+
+    for (const index of entries) {
+      const item = { index, similarity: dot(query, this.nodes[index].vector) };
+      candidates.push(item);
+      results.push(item);
+    }
+
+    while (candidates.size > 0) {
+      const current = candidates.pop();
+      if (results.size >= ef && current.similarity < results.peek().similarity) {
+        break;
+      }
+      for (const neighbor of this.nodes[current.index].neighbors[level] || []) {
+        if (visited.has(neighbor)) continue;
+        visited.add(neighbor);
+        const similarity = dot(query, this.nodes[neighbor].vector);
+        if (results.size < ef || similarity > results.peek().similarity) {
+          const item = { index: neighbor, similarity };
+          candidates.push(item);
+          results.push(item);
+          if (results.size > ef) results.pop();
+        }
+      }
+    }
+
+    return results.items.sort((a, b) => b.similarity - a.similarity);
+  }
+
+  closestOf(vector, indices, count) {
+    return indices
+      .map((index) => ({ index, similarity: dot(vector, this.nodes[index].vector) }))
+      .sort((a, b) => b.similarity - a.similarity)
+      .slice(0, count)
+      .map((c) => c.index);
+  }
+
+  markDeleted(index) {
+    const node = this.nodes[index];
+    if (node.deleted) return;
+    node.deleted = true;
+    this.idToNode.delete(node.id);
+    this.deletedCount++;
+  }
+
+  /**
+   * Rebuild the graph once tombstones outnumber live vectors
+   */
+  maybeCompact() {
+    if (this.deletedCount > 100 && this.deletedCount > this.idToNode.size) {
+      this.compact();
+    }
+  }
+
+  compact() {
+    const live = this.nodes.filter((n) => !n.deleted);
+    const { dimension, metadata } = this;
+    this.reset(live.length > 0 ? dimension : null);
+    this.metadata = metadata;
+    for (const node of live) {
+      this.add(node.id, node.vector, node.payload);
+    }
+    log.info(`Compacted vector index to ${live.length} vectors`);
+  }
+
+  /**
+   * Drop all vectors (e.g. before a full rebuild)
+   */
+  clear() {
+    this.ensureLoaded();
+    this.reset();
+    this.scheduleSave();
+  }
+
+  ensureLoaded() {
+    if (this.loaded) return;
+    this.loaded = true;
+    if (!this.filePath || !fs.existsSync(this.filePath)) return;
+
+    try {
+      const state = JSON.parse(fs.readFileSync(this.filePath, "utf8"));
+      if (state.version !== FORMAT_VERSION) {
+        log.warn(`Ignoring vector index with unknown format ${state.version}`);
+        return;
+      }
+      this.dimension = state.dimension;
+      this.nodes = state.nodes;
+      this.entryPoint = state.entryPoint;
+      this.maxLevel = state.maxLevel;
+      this.metadata = state.metadata || {};
+      this.deletedCount = 0;
+      this.nodes.forEach((node, index) => {
+        if (node.deleted) this.deletedCount++;
+        else this.idToNode.set(node.id, index);
+      });
+    } catch (error) {
+      log.warn(`Failed to load vector index from ${this.filePath}: ${error.message}`);
+      this.reset();
+    }
+  }
+
+  scheduleSave() {
+    this.dirty = true;
+    if (!this.filePath || this.saveTimer) return;
+    this.saveTimer = setTimeout(() => {
+      this.saveTimer = null;
+      this.save();
+    }, this.saveDelay);
+    if (this.saveTimer.unref) this.saveTimer.unref();
+  }
+
+  /**
+   * Write the index to disk now
+   */
+  save() {
+    if (!this.filePath || !this.dirty) return;
+    if (this.saveTimer) {
+      clearTimeout(this.saveTimer);
+      this.saveTimer = null;
+    }
+    try {
+      fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+      const tmp = `${this.filePath}.${process.pid}.tmp`;
+      fs.writeFileSync(
+        tmp,
+        JSON.stringify({
+          version: FORMAT_VERSION,
+          dimension: this.dimension,
+          entryPoint: this.entryPoint,
+          maxLevel: this.maxLevel,
+          metadata: this.metadata,
+          nodes: this.nodes,
+        }),
+      );
+      fs.renameSync(tmp, this.filePath);
+      this.dirty = false;
+    } catch (error) {
+      log.error(`Failed to save vector index to ${this.filePath}:`, error);
+    }
+  }
+}
+
+// Shared index over codebase_index chunks
+const codebaseVectorIndex = new VectorIndex({
+  filePath: config.vectorIndex?.enabled
+    ? path.join(config.storage.localDataDir, "vector-index", "codebase_index.json")
+    : null,
+  m: config.vectorIndex?.m,
+  efConstruction: config.vectorIndex?.efConstruction,
+  efSearch: config.vectorIndex?.efSearch,
+});
+
+// Flush pending writes before the process exits
+process.on("exit", () => codebaseVectorIndex.save());
+
+module.exports = {
+  VectorIndex,
+  codebaseVectorIndex,
+};
@@ -2,7 +2,7 @@
  * Code Roach Standalone - Synced from Smugglers Project
  * Source: server/services/webhookService.js
  * Last Sync: 2025-12-25T07:02:34.012Z
- * 
+ *
  * NOTE: This file is synced from the Smugglers project.
  * Changes here may be overwritten on next sync.
  * For standalone-specific changes, see .standalone-overrides/
@@ -13,72 +13,283 @@
  *
  * Manages webhooks for real-time integrations.
  * Supports event subscriptions and delivery.
+ *
+ * Registrations and deliveries are stored. Every event becomes a delivery
+ * per subscribed webhook, retried with exponential backoff; after
+ * config.webhooks.maxAttempts it stays in the dead-letter queue until it
+ * is redelivered. Webhooks whose deliveries keep dead-lettering are
+ * disabled, with an alert, an audit entry and a `webhook.disabled` event.
  */
 
 const config = require("../config");
 const { createLogger } = require("../utils/logger");
 const log = createLogger("WebhookService");
 const crypto = require("crypto");
-const { getSupabaseService } = require("../utils/supabaseClient");
-const { getSupabaseClient } = require('../utils/supabaseClient');
+const dns = require("dns").promises;
+const net = require("net");
+const databaseService = require("./databaseService");
+const tenantContext = require("./tenantContext");
+const auditLogService = require("./auditLogService");
+const smartAlertService = require("./smartAlertService");
+const RetryService = require("./retryService");
+
+const WEBHOOKS_TABLE = "code_roach_webhooks";
+const DELIVERIES_TABLE = "webhook_deliveries";
+// Client errors worth retrying; other 4xx responses dead-letter at once
+const RETRYABLE_STATUSES = new Set([408, 429]);
+const SWEEP_BATCH = 100;
+
+// Addresses webhooks can't reach: this host, private networks, link-local
+// (cloud metadata), shared, multicast and reserved ranges
+const INTERNAL_ADDRESSES = new net.BlockList();
+for (const [network, prefix] of [
+  ["0.0.0.0", 8],
+  ["10.0.0.0", 8],
+  ["100.64.0.0", 10],
+  ["127.0.0.0", 8],
+  ["169.254.0.0", 16],
+  ["172.16.0.0", 12],
+  ["192.168.0.0", 16],
+  ["224.0.0.0", 3],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, "ipv4");
+}
+for (const [network, prefix] of [
+  ["::", 127],
+  ["fc00::", 7],
+  ["fe80::", 10],
+  ["ff00::", 8],
+]) {
+  INTERNAL_ADDRESSES.addSubnet(network, prefix, "ipv6");
+}
+
+class WebhookError extends Error {
+  constructor(message, status = 400) {
+    super(message);
+    this.name = "WebhookError";
+    this.status = status;
+  }
+}
+
+/**
+ * The tenant an operation is for: options.tenantId when given, otherwise
+ * the tenant context's
+ */
+function tenantOf(options = {}) {
+  return "tenantId" in options
+    ? options.tenantId || null
+    : tenantContext.currentTenantId();
+}
+
+function tenantFilter(tenantId) {
+  return tenantId
+    ? { column: "tenant_id", operator: "eq", value: tenantId }
+    : { column: "tenant_id", operator: "is", value: null };
+}
+
+// Webhook URLs often carry a token (Slack, Teams), so logs only get the host
+function hostOf(url) {
+  try {
+    return new URL(url).host;
+  } catch {
+    return null;
+  }
+}
+
+async function validate(url, events) {
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    throw new WebhookError("url must be an absolute http(s) URL");
+  }
+  if (!["http:", "https:"].includes(parsed.protocol)) {
+    throw new WebhookError("url must be an absolute http(s) URL");
+  }
+  if (
+    !events.length ||
+    !events.every((event) => typeof event === "string" && event)
+  ) {
+    throw new WebhookError("events must list at least one event type");
+  }
+  await assertPublicHost(parsed);
+}
+
+function isInternal(address) {
+  // IPv4-mapped IPv6 (::ffff:10.0.0.1) is checked as IPv4
+  const mapped = address.match(/^::ffff:(\d+\.\d+\.\d+\.\d+)$/i);
+  if (mapped) return INTERNAL_ADDRESSES.check(mapped[1], "ipv4");
+  const type = net.isIPv6(address) ? "ipv6" : "ipv4";
+  return INTERNAL_ADDRESSES.check(address, type);
+}
+
+/**
+ * Refuse a URL whose host is, or resolves to, an internal address, unless
+ * the host is in config.webhooks.allowedHosts. Checked when a webhook is
+ * saved and again before every delivery, as DNS answers can change.
+ * @param {URL} url
+ */
+async function assertPublicHost(url) {
+  const host = url.hostname.replace(/^\[|\]$/g, "").toLowerCase();
+  if (config.webhooks.allowedHosts.includes(host)) return;
+
+  let addresses;
+  if (net.isIP(host)) {
+    addresses = [host];
+  } else {
+    try {
+      const records = await dns.lookup(host, { all: true, verbatim: true });
+      addresses = records.map((record) => record.address);
+    } catch {
+      throw new WebhookError(`url host ${host} could not be resolved`);
+    }
+  }
+  const internal = addresses.find(isInternal);
+  if (internal) {
+    throw Object.assign(
+      new WebhookError(
+        `url host ${host} is an internal address (${internal}); allow it with WEBHOOK_ALLOWED_HOSTS`,
+      ),
+      { internal: true },
+    );
+  }
+}
+
+function isRetryable(error) {
+  if (error.internal) return false;
+  const status = error.response?.status;
+  return !status || status >= 500 || RETRYABLE_STATUSES.has(status);
+}
+
+function toWebhook(row) {
+  return {
+    id: row.webhook_id,
+    tenantId: row.tenant_id || null,
+    url: row.url,
+    events: row.events || [],
+    enabled: Boolean(row.enabled),
+    createdAt: row.created_at,
+    lastTriggered: row.last_triggered_at || null,
+    lastSuccessAt: row.last_success_at || null,
+    lastFailureAt: row.last_failure_at || null,
+    failureCount: row.failure_count || 0,
+    disabledAt: row.disabled_at || null,
+    disabledReason: row.disabled_reason || null,
+  };
+}
+
+function toDelivery(row) {
+  return {
+    id: row.id,
+    webhookId: row.webhook_id,
+    tenantId: row.tenant_id || null,
+    event: row.event,
+    payload: row.payload,
+    status: row.status,
+    attemptCount: row.attempt_count || 0,
+    attempts: row.attempts || [],
+    responseStatus: row.response_status ?? null,
+    latencyMs: row.latency_ms ?? null,
+    lastError: row.last_error || null,
+    nextAttemptAt: row.next_attempt_at || null,
+    createdAt: row.created_at,
+    deliveredAt: row.delivered_at || null,
+    deadLetteredAt: row.dead_lettered_at || null,
+  };
+}
 
 class WebhookService {
   constructor() {
-    if (config.supabase?.url && config.supabase?.serviceRoleKey) {
-      this.supabase = require("@supabase/supabase-js").getSupabaseClient({ requireService: true }).serviceRoleKey,
-      );
-    } else {
-      this.supabase = null;
-    }
+    // Delivery id -> its running dispatch
+    this.inFlight = new Map();
+    this.timer = null;
+    this.configure(config.webhooks);
+  }
 
-    this.webhooks = new Map();
+  /**
+   * @param {Object} options - { maxAttempts, retryInitialDelayMs,
+   *   retryMaxDelayMs, timeoutMs, disableAfterFailures,
+   *   sweepIntervalSeconds }
+   */
+  configure(options) {
+    this.settings = { ...config.webhooks, ...options };
   }
 
   /**
-   * Register webhook
+   * Register webhook; registering an existing id updates it and keeps its
+   * secret unless a new one is given
+   * @param {Object} webhookConfig - { id, url, events, secret, enabled,
+   *   tenantId }
    */
   async registerWebhook(webhookConfig) {
     try {
       const {
+        id,
         url,
         events, // Array of event types
         secret,
         enabled = true,
       } = webhookConfig;
+      const tenantId = tenantOf(webhookConfig);
+      const eventTypes = Array.isArray(events) ? events : [events];
+      await validate(url, eventTypes);
 
-      const webhookId = `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
-      const webhookSecret = secret || crypto.randomBytes(32).toString("hex");
+      const existing = id ? await this.findWebhook(id) : null;
+      if (existing && (existing.tenant_id || null) !== tenantId) {
+        throw new WebhookError(`Webhook id ${id} is already taken`, 409);
+      }
 
-      const webhook = {
-        id: webhookId,
+      const webhookId =
+        id ||
+        `webhook-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+      const webhookSecret =
+        secret || existing?.secret || crypto.randomBytes(32).toString("hex");
+      const now = new Date().toISOString();
+      const values = {
         url,
-        events: Array.isArray(events) ? events : [events],
+        events: eventTypes,
         secret: webhookSecret,
-        enabled,
-        createdAt: new Date().toISOString(),
-        lastTriggered: null,
-        failureCount: 0,
+        enabled: Boolean(enabled),
+        updated_at: now,
+        ...(enabled && !existing?.enabled && this.reenabled()),
       };
 
-      this.webhooks.set(webhookId, webhook);
+      await tenantContext.runUnrestricted(() =>
+        existing
+          ? databaseService.update(
+              WEBHOOKS_TABLE,
+              [{ column: "webhook_id", operator: "eq", value: webhookId }],
+              values,
+            )
+          : databaseService.insert(WEBHOOKS_TABLE, {
+              webhook_id: webhookId,
+              tenant_id: tenantId,
+              failure_count: 0,
+              created_by: tenantContext.current()?.principalId || null,
+              created_at: now,
+              ...values,
+            }),
+      );
 
-      // Store in database
-      if (this.supabase) {
-        await this.supabase.from("code_roach_webhooks").insert({
-          webhook_id: webhookId,
-          url,
-          events: webhook.events,
-          secret: webhookSecret,
-          enabled,
-        });
-      }
+      await auditLogService.record({
+        event: existing ? "webhook_updated" : "webhook_registered",
+        category: "config",
+        tenantId,
+        resourceType: "webhook",
+        resourceId: webhookId,
+        after: {
+          host: hostOf(url),
+          events: eventTypes,
+          enabled: values.enabled,
+        },
+      });
 
       return {
         success: true,
         webhook: {
           id: webhookId,
           url,
-          events: webhook.events,
+          events: eventTypes,
           secret: webhookSecret,
         },
       };
@@ -87,52 +298,82 @@ class WebhookService {
       return {
         success: false,
         error: error.message,
+        status: error.status,
       };
     }
   }
 
   /**
-   * Trigger webhook
+   * Change a webhook's url, events or enabled flag; enabling it clears its
+   * failures
+   * @param {Object} updates - { url, events, enabled }
+   * @param {Object} [options] - { tenantId }
    */
-  async triggerWebhook(eventType, payload) {
+  async updateWebhook(webhookId, updates, options = {}) {
+    const row = await this.requireWebhook(webhookId, options);
+    const url = updates.url ?? row.url;
+    const events = updates.events
+      ? [].concat(updates.events)
+      : row.events || [];
+    await validate(url, events);
+
+    const enabled =
+      updates.enabled === undefined ? row.enabled : Boolean(updates.enabled);
+    const values = {
+      url,
+      events,
+      enabled,
+      updated_at: new Date().toISOString(),
+      ...(enabled && !row.enabled && this.reenabled()),
+    };
+    await this.saveWebhook(webhookId, values);
+
+    await auditLogService.record({
+      event: "webhook_updated",
+      category: "config",
+      tenantId: row.tenant_id || null,
+      resourceType: "webhook",
+      resourceId: webhookId,
+      before: {
+        host: hostOf(row.url),
+        events: row.events,
+        enabled: row.enabled,
+      },
+      after: { host: hostOf(url), events, enabled },
+    });
+    return toWebhook({ ...row, ...values });
+  }
+
+  reenabled() {
+    return { failure_count: 0, disabled_at: null, disabled_reason: null };
+  }
+
+  /**
+   * Trigger webhook: queue a delivery of the event to each enabled webhook
+   * of the tenant that subscribes to it. Deliveries are sent in the
+   * background; see listDeliveries for their outcome.
+   * @param {Object} [options] - { tenantId }
+   */
+  async triggerWebhook(eventType, payload, options = {}) {
     try {
-      const matchingWebhooks = Array.from(this.webhooks.values()).filter(
-        (w) => w.enabled && w.events.includes(eventType),
-      );
+      const webhooks = (
+        await this.queryWebhooks(tenantOf(options), { enabled: true })
+      ).filter((w) => (w.events || []).includes(eventType));
 
-      const results = [];
-
-      for (const webhook of matchingWebhooks) {
-        try {
-          const result = await this.deliverWebhook(webhook, eventType, payload);
-          results.push({
-            webhookId: webhook.id,
-            success: true,
-            ...result,
-          });
-
-          // Update last triggered
-          webhook.lastTriggered = new Date().toISOString();
-          webhook.failureCount = 0;
-        } catch (error) {
-          webhook.failureCount++;
-          results.push({
-            webhookId: webhook.id,
-            success: false,
-            error: error.message,
-          });
-
-          // Disable after 5 failures
-          if (webhook.failureCount >= 5) {
-            webhook.enabled = false;
-          }
-        }
+      const deliveries = [];
+      for (const webhook of webhooks) {
+        const delivery = await this.enqueue(webhook, eventType, payload);
+        deliveries.push({
+          webhookId: webhook.webhook_id,
+          deliveryId: delivery.id,
+        });
+        this.dispatch(delivery.id);
       }
 
       return {
         success: true,
-        triggered: results.length,
-        results,
+        triggered: deliveries.length,
+        deliveries,
       };
     } catch (error) {
       console.error("[Webhook Service] Error triggering webhooks:", error);
@@ -143,39 +384,288 @@ class WebhookService {
     }
   }
 
+  async enqueue(webhook, eventType, payload) {
+    const now = new Date().toISOString();
+    const row = {
+      id: crypto.randomUUID(),
+      webhook_id: webhook.webhook_id,
+      tenant_id: webhook.tenant_id || null,
+      event: eventType,
+      payload: payload ?? {},
+      status: "pending",
+      attempt_count: 0,
+      attempts: [],
+      next_attempt_at: now,
+      created_at: now,
+    };
+    await tenantContext.runUnrestricted(() =>
+      databaseService.insert(DELIVERIES_TABLE, row),
+    );
+    await this.saveWebhook(webhook.webhook_id, { last_triggered_at: now });
+    return row;
+  }
+
+  /**
+   * Send a queued delivery unless this process is already sending it
+   * @returns {Promise<void>} Settles when it is delivered or dead-lettered
+   */
+  dispatch(deliveryId) {
+    if (!this.inFlight.has(deliveryId)) {
+      const run = this.runDelivery(deliveryId)
+        .catch((error) => {
+          log.error(
+            `[Webhook Service] Delivery ${deliveryId} failed:`,
+            error.message,
+          );
+        })
+        .finally(() => this.inFlight.delete(deliveryId));
+      this.inFlight.set(deliveryId, run);
+    }
+    return this.inFlight.get(deliveryId);
+  }
+
   /**
-   * Deliver webhook
+   * Attempt a delivery until it succeeds, fails for good or runs out of
+   * attempts. A delivery interrupted by a restart resumes with the
+   * attempts and backoff it had left.
    */
-  async deliverWebhook(webhook, eventType, payload) {
+  async runDelivery(deliveryId) {
+    const delivery = await this.getDeliveryRow(deliveryId);
+    if (!delivery || delivery.status !== "pending") return;
+
+    const webhook = await this.findWebhook(delivery.webhook_id);
+    if (!webhook) return;
+    if (!webhook.enabled) {
+      await this.deadLetter(delivery, "Webhook is disabled");
+      return;
+    }
+
+    const { maxAttempts, retryMaxDelayMs } = this.settings;
+    try {
+      await RetryService.retryWithJitter(
+        () => this.attempt(webhook, delivery),
+        {
+          maxRetries: Math.max(maxAttempts - delivery.attempt_count - 1, 0),
+          initialDelay: this.backoff(delivery.attempt_count + 1),
+          maxDelay: retryMaxDelayMs,
+          shouldRetry: isRetryable,
+        },
+      );
+    } catch (error) {
+      await this.deadLetter(delivery, error.message);
+      await this.recordFailure(webhook.webhook_id, error.message);
+      return;
+    }
+
+    const now = new Date().toISOString();
+    await this.saveDelivery(delivery.id, {
+      status: "delivered",
+      delivered_at: now,
+      next_attempt_at: null,
+    });
+    await this.saveWebhook(webhook.webhook_id, {
+      failure_count: 0,
+      last_success_at: now,
+    });
+  }
+
+  /**
+   * One attempt, added to the delivery's log
+   */
+  async attempt(webhook, delivery) {
+    const attemptedAt = new Date().toISOString();
+    let result = null;
+    let failure = null;
+    try {
+      result = await this.deliverWebhook(
+        { id: webhook.webhook_id, url: webhook.url, secret: webhook.secret },
+        delivery.event,
+        delivery.payload,
+        { id: delivery.id, timestamp: delivery.created_at },
+      );
+    } catch (error) {
+      failure = error;
+    }
+
+    const entry = {
+      attempt: (delivery.attempts || []).length + 1,
+      statusCode: result?.status ?? failure?.response?.status ?? null,
+      latencyMs: result?.latencyMs ?? failure?.latencyMs ?? null,
+      error: failure?.message || null,
+      attemptedAt,
+    };
+    delivery.attempt_count += 1;
+    delivery.attempts = [...(delivery.attempts || []), entry];
+    // Kept due while the backoff runs so a restart picks the delivery up
+    const nextAttempt = failure
+      ? new Date(Date.now() + this.backoff(delivery.attempt_count))
+      : null;
+    await this.saveDelivery(delivery.id, {
+      attempt_count: delivery.attempt_count,
+      attempts: delivery.attempts,
+      response_status: entry.statusCode,
+      latency_ms: entry.latencyMs,
+      last_error: entry.error,
+      next_attempt_at: nextAttempt && nextAttempt.toISOString(),
+    });
+
+    if (failure) throw failure;
+    return result;
+  }
+
+  /**
+   * Delay after the nth attempt of a delivery
+   */
+  backoff(attempt) {
+    const { retryInitialDelayMs, retryMaxDelayMs } = this.settings;
+    return Math.min(retryInitialDelayMs * 2 ** (attempt - 1), retryMaxDelayMs);
+  }
+
+  async deadLetter(delivery, reason) {
+    await this.saveDelivery(delivery.id, {
+      status: "dead_letter",
+      dead_lettered_at: new Date().toISOString(),
+      next_attempt_at: null,
+      last_error: reason,
+    });
+    log.warn(
+      `[Webhook Service] Delivery ${delivery.id} of ${delivery.event} to webhook ${delivery.webhook_id} dead-lettered: ${reason}`,
+    );
+  }
+
+  /**
+   * Count a dead-lettered delivery against its webhook; disable the webhook
+   * when they keep coming
+   */
+  async recordFailure(webhookId, reason) {
+    const row = await this.findWebhook(webhookId);
+    if (!row) return;
+
+    const failureCount = (row.failure_count || 0) + 1;
+    await this.saveWebhook(webhookId, {
+      failure_count: failureCount,
+      last_failure_at: new Date().toISOString(),
+    });
+    if (row.enabled && failureCount >= this.settings.disableAfterFailures) {
+      await this.disable({ ...row, failure_count: failureCount }, reason);
+    }
+  }
+
+  async disable(row, reason) {
+    const disabledAt = new Date().toISOString();
+    const disabledReason = `${row.failure_count} deliveries in a row failed; last: ${reason}`;
+    await this.saveWebhook(row.webhook_id, {
+      enabled: false,
+      disabled_at: disabledAt,
+      disabled_reason: disabledReason,
+    });
+
+    const details = {
+      webhookId: row.webhook_id,
+      tenantId: row.tenant_id || null,
+      host: hostOf(row.url),
+      failureCount: row.failure_count,
+      reason: disabledReason,
+    };
+    log.warn(
+      `[Webhook Service] Disabled webhook ${row.webhook_id} (${details.host}): ${disabledReason}`,
+    );
+    await auditLogService.record({
+      event: "webhook_disabled",
+      category: "config",
+      tenantId: details.tenantId,
+      resourceType: "webhook",
+      resourceId: row.webhook_id,
+      before: { enabled: true },
+      after: { enabled: false },
+      metadata: { failureCount: row.failure_count, reason: disabledReason },
+    });
+    smartAlertService.sendAlert(
+      "webhook-disabled",
+      { enabled: false, cooldownKey: `webhook-disabled:${row.webhook_id}` },
+      details,
+    );
+    // The tenant's other webhooks can subscribe to hear about it
+    await this.triggerWebhook(
+      "webhook.disabled",
+      { ...details, disabledAt },
+      { tenantId: details.tenantId },
+    );
+  }
+
+  /**
+   * Deliver webhook: one signed POST. The signature covers the JSON of
+   * `payload`, which receivers find as `data` in the body.
+   * @param {Object} [delivery] - { id, timestamp } of a queued delivery,
+   *   so every attempt sends the same body
+   * @returns {Promise<Object>} { status, latencyMs, deliveredAt }; throws
+   *   with `response.status` and `latencyMs` when it fails
+   */
+  async deliverWebhook(webhook, eventType, payload, delivery = {}) {
     const signature = this.generateSignature(
       webhook.secret,
       JSON.stringify(payload),
     );
 
-    const response = await fetch(webhook.url, {
-      method: "POST",
-      headers: {
-        "Content-Type": "application/json",
-        "X-Code-Roach-Event": eventType,
-        "X-Code-Roach-Signature": signature,
-        "X-Code-Roach-Webhook-Id": webhook.id,
-      },
-      body: JSON.stringify({
-        event: eventType,
-        timestamp: new Date().toISOString(),
-        data: payload,
-      }),
-      timeout: 10000, // 10 second timeout
-    });
+    const headers = {
+      "Content-Type": "application/json",
+      "X-Code-Roach-Event": eventType,
+      "X-Code-Roach-Signature": signature,
+      "X-Code-Roach-Webhook-Id": webhook.id,
+    };
+    if (delivery.id) {
+      // Stays the same across retries so receivers can drop duplicates
+      headers["X-Code-Roach-Delivery-Id"] = delivery.id;
+    }
+
+    const started = Date.now();
+    try {
+      await assertPublicHost(new URL(webhook.url));
+    } catch (error) {
+      throw Object.assign(
+        new Error(`Webhook delivery failed: ${error.message}`),
+        { internal: error.internal, latencyMs: Date.now() - started },
+      );
+    }
+
+    let response;
+    try {
+      // Redirects aren't followed, so they can't lead to an internal host
+      response = await fetch(webhook.url, {
+        redirect: "manual",
+        method: "POST",
+        headers,
+        body: JSON.stringify({
+          event: eventType,
+          timestamp: delivery.timestamp || new Date().toISOString(),
+          data: payload,
+        }),
+        signal: AbortSignal.timeout(this.settings.timeoutMs),
+      });
+    } catch (error) {
+      throw Object.assign(
+        new Error(
+          `Webhook delivery failed: ${error.cause?.message || error.message}`,
+        ),
+        { latencyMs: Date.now() - started },
+      );
+    }
+    const latencyMs = Date.now() - started;
+    // Only the status matters; release the connection
+    await response.body?.cancel().catch(() => {});
 
     if (!response.ok) {
-      throw new Error(
-        `Webhook delivery failed: ${response.status} ${response.statusText}`,
+      throw Object.assign(
+        new Error(
+          `Webhook delivery failed: ${response.status} ${response.statusText}`,
+        ),
+        { response: { status: response.status }, latencyMs },
       );
     }
 
     return {
       status: response.status,
+      latencyMs,
       deliveredAt: new Date().toISOString(),
     };
   }
@@ -200,36 +690,42 @@ class WebhookService {
 
   /**
    * List webhooks
+   * @param {Object} [filters] - { enabled, event, tenantId }
    */
   async listWebhooks(filters = {}) {
-    let webhooks = Array.from(this.webhooks.values());
-
-    if (filters.enabled !== undefined) {
-      webhooks = webhooks.filter((w) => w.enabled === filters.enabled);
-    }
+    let webhooks = await this.queryWebhooks(tenantOf(filters), {
+      enabled: filters.enabled,
+    });
 
     if (filters.event) {
-      webhooks = webhooks.filter((w) => w.events.includes(filters.event));
+      webhooks = webhooks.filter((w) =>
+        (w.events || []).includes(filters.event),
+      );
     }
 
     return {
       success: true,
-      webhooks: webhooks.map((w) => ({
-        id: w.id,
-        url: w.url,
-        events: w.events,
-        enabled: w.enabled,
-        lastTriggered: w.lastTriggered,
-        failureCount: w.failureCount,
-      })),
+      webhooks: webhooks.map(toWebhook),
     };
   }
 
   /**
-   * Delete webhook
+   * A tenant's webhook, null if there is none
+   * @param {Object} [options] - { tenantId }
    */
-  async deleteWebhook(webhookId) {
-    const webhook = this.webhooks.get(webhookId);
+  async getWebhook(webhookId, options = {}) {
+    const row = await this.findWebhook(webhookId);
+    return row && (row.tenant_id || null) === tenantOf(options)
+      ? toWebhook(row)
+      : null;
+  }
+
+  /**
+   * Delete webhook and its delivery log
+   * @param {Object} [options] - { tenantId }
+   */
+  async deleteWebhook(webhookId, options = {}) {
+    const webhook = await this.getWebhook(webhookId, options);
     if (!webhook) {
       return {
         success: false,
@@ -237,14 +733,22 @@ class WebhookService {
       };
     }
 
-    this.webhooks.delete(webhookId);
+    const byWebhook = [
+      { column: "webhook_id", operator: "eq", value: webhookId },
+    ];
+    await tenantContext.runUnrestricted(async () => {
+      await databaseService.delete(DELIVERIES_TABLE, byWebhook);
+      await databaseService.delete(WEBHOOKS_TABLE, byWebhook);
+    });
 
-    if (this.supabase) {
-      await this.supabase
-        .from("code_roach_webhooks")
-        .delete()
-        .eq("webhook_id", webhookId);
-    }
+    await auditLogService.record({
+      event: "webhook_deleted",
+      category: "config",
+      tenantId: webhook.tenantId,
+      resourceType: "webhook",
+      resourceId: webhookId,
+      before: { host: hostOf(webhook.url), events: webhook.events },
+    });
 
     return {
       success: true,
@@ -253,10 +757,12 @@ class WebhookService {
   }
 
   /**
-   * Test webhook
+   * Test webhook: send one `test` event now, without retries and without
+   * counting toward the delivery log or the failure count
+   * @param {Object} [options] - { tenantId }
    */
-  async testWebhook(webhookId) {
-    const webhook = this.webhooks.get(webhookId);
+  async testWebhook(webhookId, options = {}) {
+    const webhook = await this.getWebhook(webhookId, options);
     if (!webhook) {
       return {
         success: false,
@@ -264,12 +770,284 @@ class WebhookService {
       };
     }
 
+    const row = await this.findWebhook(webhookId);
     const testPayload = {
       test: true,
       timestamp: new Date().toISOString(),
     };
 
-    return await this.triggerWebhook("test", testPayload);
+    try {
+      const result = await this.deliverWebhook(
+        { id: webhookId, url: row.url, secret: row.secret },
+        "test",
+        testPayload,
+      );
+      return { success: true, webhookId, ...result };
+    } catch (error) {
+      return {
+        success: false,
+        webhookId,
+        status: error.response?.status ?? null,
+        latencyMs: error.latencyMs ?? null,
+        error: error.message,
+      };
+    }
+  }
+
+  /**
+   * A webhook's delivery log, newest first
+   * @param {Object} [filters] - { status, limit, tenantId }
+   */
+  async listDeliveries(webhookId, filters = {}) {
+    await this.requireWebhook(webhookId, filters);
+    return this.queryDeliveries(
+      [
+        { column: "webhook_id", operator: "eq", value: webhookId },
+        filters.status && {
+          column: "status",
+          operator: "eq",
+          value: filters.status,
+        },
+      ],
+      filters.limit,
+    );
+  }
+
+  /**
+   * The tenant's dead-letter queue, newest first
+   * @param {Object} [filters] - { webhookId, limit, tenantId }
+   */
+  async listDeadLetters(filters = {}) {
+    return this.queryDeliveries(
+      [
+        tenantFilter(tenantOf(filters)),
+        { column: "status", operator: "eq", value: "dead_letter" },
+        filters.webhookId && {
+          column: "webhook_id",
+          operator: "eq",
+          value: filters.webhookId,
+        },
+      ],
+      filters.limit,
+    );
+  }
+
+  /**
+   * A tenant's delivery, null if there is none
+   * @param {Object} [options] - { tenantId }
+   */
+  async getDelivery(deliveryId, options = {}) {
+    const row = await this.getDeliveryRow(deliveryId);
+    return row && (row.tenant_id || null) === tenantOf(options)
+      ? toDelivery(row)
+      : null;
+  }
+
+  /**
+   * Queue a dead-lettered (or delivered) delivery again with a fresh set
+   * of attempts
+   * @param {Object} [options] - { tenantId }
+   * @returns {Promise<Object>} The queued delivery
+   */
+  async redeliver(deliveryId, options = {}) {
+    const row = await this.getDeliveryRow(deliveryId);
+    if (!row || (row.tenant_id || null) !== tenantOf(options)) {
+      throw new WebhookError("Delivery not found", 404);
+    }
+    if (row.status === "pending") {
+      throw new WebhookError("Delivery is already queued", 409);
+    }
+    const webhook = await this.findWebhook(row.webhook_id);
+    if (!webhook?.enabled) {
+      throw new WebhookError(
+        "Webhook is disabled; enable it before redelivering",
+        409,
+      );
+    }
+
+    const requeued = await this.requeue(row);
+    this.dispatch(row.id);
+    return requeued;
+  }
+
+  /**
+   * Queue every dead-lettered delivery of a webhook again
+   * @param {Object} [options] - { tenantId }
+   * @returns {Promise<Object>} { webhookId, requeued }
+   */
+  async redeliverDeadLetters(webhookId, options = {}) {
+    const webhook = await this.requireWebhook(webhookId, options);
+    if (!webhook.enabled) {
+      throw new WebhookError(
+        "Webhook is disabled; enable it before redelivering",
+        409,
+      );
+    }
+
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(DELIVERIES_TABLE, {
+        select: "*",
+        filters: [
+          { column: "webhook_id", operator: "eq", value: webhookId },
+          { column: "status", operator: "eq", value: "dead_letter" },
+        ],
+        order: { column: "created_at", ascending: true },
+      }),
+    );
+    for (const row of data || []) {
+      await this.requeue(row);
+      this.dispatch(row.id);
+    }
+    return { webhookId, requeued: (data || []).length };
+  }
+
+  async requeue(row) {
+    const values = {
+      status: "pending",
+      attempt_count: 0,
+      next_attempt_at: new Date().toISOString(),
+      delivered_at: null,
+      dead_lettered_at: null,
+    };
+    await this.saveDelivery(row.id, values);
+    log.info(
+      `[Webhook Service] Delivery ${row.id} queued again by ${tenantContext.current()?.principalId || "system"}`,
+    );
+    return toDelivery({ ...row, ...values });
+  }
+
+  /**
+   * Send deliveries that are due but not being sent, e.g. after a restart
+   * @returns {Promise<number>} Deliveries picked up
+   */
+  async sweep() {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(DELIVERIES_TABLE, {
+        select: "id",
+        filters: [
+          { column: "status", operator: "eq", value: "pending" },
+          {
+            column: "next_attempt_at",
+            operator: "lte",
+            value: new Date().toISOString(),
+          },
+        ],
+        order: { column: "next_attempt_at", ascending: true },
+        limit: SWEEP_BATCH,
+      }),
+    );
+    const due = (data || []).filter(({ id }) => !this.inFlight.has(id));
+    for (const { id } of due) {
+      this.dispatch(id);
+    }
+    return due.length;
+  }
+
+  /**
+   * Settles once no delivery is being sent
+   */
+  async whenIdle() {
+    while (this.inFlight.size > 0) {
+      await Promise.all(this.inFlight.values());
+    }
+  }
+
+  start() {
+    if (this.timer) return;
+    this.runScheduled();
+    this.timer = setInterval(
+      () => this.runScheduled(),
+      this.settings.sweepIntervalSeconds * 1000,
+    );
+    this.timer.unref?.();
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  runScheduled() {
+    this.sweep().catch((error) => {
+      log.error("[Webhook Service] Delivery sweep failed:", error.message);
+    });
+  }
+
+  async queryWebhooks(tenantId, { enabled } = {}) {
+    const filters = [tenantFilter(tenantId)];
+    if (enabled !== undefined) {
+      filters.push({ column: "enabled", operator: "eq", value: enabled });
+    }
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(WEBHOOKS_TABLE, {
+        select: "*",
+        filters,
+        order: { column: "created_at", ascending: true },
+      }),
+    );
+    return data || [];
+  }
+
+  async queryDeliveries(filters, limit) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(DELIVERIES_TABLE, {
+        select: "*",
+        filters: filters.filter(Boolean),
+        order: { column: "created_at", ascending: false },
+        limit: Math.min(parseInt(limit, 10) || 50, 500),
+      }),
+    );
+    return (data || []).map(toDelivery);
+  }
+
+  async findWebhook(webhookId) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(WEBHOOKS_TABLE, {
+        select: "*",
+        filters: [{ column: "webhook_id", operator: "eq", value: webhookId }],
+        limit: 1,
+      }),
+    );
+    return data?.[0] || null;
+  }
+
+  async requireWebhook(webhookId, options) {
+    const row = await this.findWebhook(webhookId);
+    if (!row || (row.tenant_id || null) !== tenantOf(options)) {
+      throw new WebhookError("Webhook not found", 404);
+    }
+    return row;
+  }
+
+  async getDeliveryRow(deliveryId) {
+    const { data } = await tenantContext.runUnrestricted(() =>
+      databaseService.query(DELIVERIES_TABLE, {
+        select: "*",
+        filters: [{ column: "id", operator: "eq", value: deliveryId }],
+        limit: 1,
+      }),
+    );
+    return data?.[0] || null;
+  }
+
+  saveWebhook(webhookId, values) {
+    return tenantContext.runUnrestricted(() =>
+      databaseService.update(
+        WEBHOOKS_TABLE,
+        [{ column: "webhook_id", operator: "eq", value: webhookId }],
+        values,
+      ),
+    );
+  }
+
+  saveDelivery(deliveryId, values) {
+    return tenantContext.runUnrestricted(() =>
+      databaseService.update(
+        DELIVERIES_TABLE,
+        [{ column: "id", operator: "eq", value: deliveryId }],
+        values,
+      ),
+    );
   }
 }
 
@@ -0,0 +1,38 @@
+-- LLM Token Budgets
+-- Migration: 20261019000001_llm_budgets.sql
+-- Description: Daily/monthly token and spend limits per tenant and project, and usage counters
+
+-- Budget limits (NULL = unlimited)
+CREATE TABLE IF NOT EXISTS llm_budgets (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope_type TEXT NOT NULL, -- 'global', 'tenant', 'project'
+    scope_id TEXT NOT NULL,
+    daily_tokens BIGINT,
+    monthly_tokens BIGINT,
+    daily_cost_usd DECIMAL(12,4),
+    monthly_cost_usd DECIMAL(12,4),
+    soft_limit_ratio DECIMAL(3,2),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(scope_type, scope_id)
+);
+
+-- Usage per budget period
+CREATE TABLE IF NOT EXISTS llm_budget_usage (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    scope_type TEXT NOT NULL,
+    scope_id TEXT NOT NULL,
+    period TEXT NOT NULL, -- 'day', 'month'
+    period_key TEXT NOT NULL, -- '2026-10-19', '2026-10' (UTC)
+    tokens BIGINT DEFAULT 0,
+    cost_usd DECIMAL(14,6) DEFAULT 0,
+    requests INTEGER DEFAULT 0,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(scope_type, scope_id, period, period_key)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_llm_budget_usage_scope
+    ON llm_budget_usage(scope_type, scope_id);
+
+CREATE INDEX IF NOT EXISTS idx_llm_budget_usage_period_key
+    ON llm_budget_usage(period_key);
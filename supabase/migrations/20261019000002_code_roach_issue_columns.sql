@@ -0,0 +1,17 @@
+-- Code Roach Issue Columns
+-- Migration: 20261019000002_code_roach_issue_columns.sql
+-- Description: Columns written by issueStorageService and read by the /api/code-roach issue routes
+
+ALTER TABLE code_roach_issues ALTER COLUMN id SET DEFAULT gen_random_uuid()::text;
+
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS project_id TEXT;
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS file_path TEXT;
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS line INTEGER;
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS end_line INTEGER;
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS "column" INTEGER;
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS error_code TEXT;
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS resolved_by TEXT;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_code_roach_issues_project
+    ON code_roach_issues(project_id, review_status);
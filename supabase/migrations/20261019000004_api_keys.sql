@@ -0,0 +1,33 @@
+-- API Keys
+-- Migration: 20261019000004_api_keys.sql
+-- Description: Named, scoped, expiring API keys for users and tenants (stored as SHA-256 hashes)
+
+CREATE TABLE IF NOT EXISTS api_keys (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    owner_type TEXT NOT NULL, -- 'user', 'tenant'
+    owner_id TEXT NOT NULL,
+    name TEXT NOT NULL,
+    key_prefix TEXT NOT NULL, -- first characters of the key, shown in listings
+    key_hash TEXT NOT NULL UNIQUE,
+    scopes JSONB DEFAULT '[]'::jsonb, -- 'analyze:read', 'analyze:write', 'fix:write', 'admin'
+    expires_at TIMESTAMPTZ,
+    last_used_at TIMESTAMPTZ,
+    revoked_at TIMESTAMPTZ,
+    rotated_from UUID,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_api_keys_owner
+    ON api_keys(owner_type, owner_id);
+
+-- Registration keys previously lived on commercial_users; move them over
+-- with the scopes a registration key gets today
+INSERT INTO api_keys (owner_type, owner_id, name, key_prefix, key_hash, scopes, created_by)
+SELECT 'user', id, 'default', '', api_key_hash, '["analyze:read", "analyze:write", "fix:write"]'::jsonb, id
+FROM commercial_users
+WHERE api_key_hash IS NOT NULL
+ON CONFLICT (key_hash) DO NOTHING;
+
+ALTER TABLE commercial_users DROP COLUMN IF EXISTS api_key_hash;
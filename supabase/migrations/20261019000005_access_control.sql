@@ -0,0 +1,69 @@
+-- Access Control
+-- Migration: 20261019000005_access_control.sql
+-- Description: Organizations, projects and role-based membership (owner, maintainer, reviewer, viewer)
+
+-- Organizations; tenant_id links an organization to an enterprise tenant
+CREATE TABLE IF NOT EXISTS organizations (
+    id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    name TEXT NOT NULL,
+    slug TEXT NOT NULL UNIQUE,
+    tenant_id TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Projects (issues reference them through code_roach_issues.project_id)
+CREATE TABLE IF NOT EXISTS projects (
+    id TEXT PRIMARY KEY DEFAULT gen_random_uuid()::text,
+    organization_id TEXT REFERENCES organizations(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    slug TEXT,
+    repository_url TEXT,
+    repository_type TEXT,
+    root_directory TEXT,
+    language TEXT,
+    framework TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(organization_id, slug)
+);
+
+-- Organization roles apply to every project in the organization
+CREATE TABLE IF NOT EXISTS organization_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL, -- 'owner', 'maintainer', 'reviewer', 'viewer'
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(organization_id, user_id)
+);
+
+-- Project roles add to (never reduce) a member's organization role
+CREATE TABLE IF NOT EXISTS project_members (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    project_id TEXT NOT NULL REFERENCES projects(id) ON DELETE CASCADE,
+    user_id TEXT NOT NULL,
+    role TEXT NOT NULL, -- 'owner', 'maintainer', 'reviewer', 'viewer'
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(project_id, user_id)
+);
+
+-- Projects created before organizations existed
+ALTER TABLE projects ADD COLUMN IF NOT EXISTS organization_id TEXT REFERENCES organizations(id) ON DELETE CASCADE;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_organizations_tenant
+    ON organizations(tenant_id);
+
+CREATE INDEX IF NOT EXISTS idx_projects_organization
+    ON projects(organization_id);
+
+CREATE INDEX IF NOT EXISTS idx_organization_members_user
+    ON organization_members(user_id);
+
+CREATE INDEX IF NOT EXISTS idx_project_members_user
+    ON project_members(user_id);
@@ -0,0 +1,56 @@
+-- Tenant Isolation
+-- Migration: 20261019000006_tenant_isolation.sql
+-- Description: tenant_id on tenant-scoped tables; the storage layer filters and stamps it per request
+
+-- Rows without a tenant belong to the untenanted workspace. Upserts conflict
+-- on (tenant_id, <key>), so those unique indexes treat NULL tenants as equal.
+
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_code_roach_issues_tenant_key
+    ON code_roach_issues(tenant_id, id) NULLS NOT DISTINCT;
+
+-- Patterns were unique per fingerprint across every customer; make them unique per tenant.
+-- tenant_id is NULL for untenanted rows, so it can't be part of the primary key:
+-- the fingerprint key is replaced by a surrogate id (once; a rerun keeps it).
+ALTER TABLE code_roach_patterns ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1 FROM information_schema.columns
+        WHERE table_schema = 'public'
+          AND table_name = 'code_roach_patterns'
+          AND column_name = 'id'
+    ) THEN
+        ALTER TABLE code_roach_patterns DROP CONSTRAINT IF EXISTS code_roach_patterns_pkey;
+        ALTER TABLE code_roach_patterns
+            ADD COLUMN id UUID PRIMARY KEY DEFAULT uuid_generate_v4();
+    END IF;
+END $$;
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_code_roach_patterns_tenant_key
+    ON code_roach_patterns(tenant_id, fingerprint) NULLS NOT DISTINCT;
+
+-- codebase_index and agent_knowledge_base are created outside these migrations.
+-- match_codebase_chunks, search_agent_knowledge and get_best_knowledge must
+-- return tenant_id: their rows are filtered by it.
+DO $$
+BEGIN
+    IF to_regclass('public.codebase_index') IS NOT NULL THEN
+        ALTER TABLE codebase_index ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+        ALTER TABLE codebase_index DROP CONSTRAINT IF EXISTS codebase_index_file_path_line_start_key;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_codebase_index_tenant_key
+            ON codebase_index(tenant_id, file_path, line_start) NULLS NOT DISTINCT;
+    END IF;
+
+    IF to_regclass('public.agent_knowledge_base') IS NOT NULL THEN
+        ALTER TABLE agent_knowledge_base ADD COLUMN IF NOT EXISTS tenant_id TEXT;
+        CREATE UNIQUE INDEX IF NOT EXISTS idx_agent_knowledge_base_tenant_key
+            ON agent_knowledge_base(tenant_id, id) NULLS NOT DISTINCT;
+    END IF;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_code_roach_issues_tenant
+    ON code_roach_issues(tenant_id, project_id);
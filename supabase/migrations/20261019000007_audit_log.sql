@@ -0,0 +1,50 @@
+-- Audit Log
+-- Migration: 20261019000007_audit_log.sql
+-- Description: Append-only, hash-chained audit trail (one chain per tenant plus a system chain)
+
+-- hash = SHA-256 of the entry's content and prev_hash; prev_hash is the hash
+-- of the previous entry in the chain (64 zeros for the first)
+CREATE TABLE IF NOT EXISTS audit_log (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain_id TEXT NOT NULL, -- 'tenant:<id>' or 'system'
+    sequence BIGINT NOT NULL,
+    tenant_id TEXT,
+    event TEXT NOT NULL,
+    category TEXT, -- 'auth', 'access', 'config', 'dsar', 'fix', 'tenant'
+    actor_id TEXT,
+    actor_type TEXT, -- 'user', 'tenant', 'system'
+    ip_address TEXT,
+    user_agent TEXT,
+    resource_type TEXT,
+    resource_id TEXT,
+    before JSONB,
+    after JSONB,
+    metadata JSONB,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    prev_hash TEXT NOT NULL,
+    hash TEXT NOT NULL,
+    UNIQUE(chain_id, sequence)
+);
+
+-- Entries can't be changed or removed through the database either
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_append_only ON audit_log;
+CREATE TRIGGER audit_log_append_only
+    BEFORE UPDATE OR DELETE ON audit_log
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_log_changes();
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_audit_log_tenant_created
+    ON audit_log(tenant_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_log_event
+    ON audit_log(chain_id, event);
+CREATE INDEX IF NOT EXISTS idx_audit_log_actor
+    ON audit_log(chain_id, actor_id);
+CREATE INDEX IF NOT EXISTS idx_audit_log_resource
+    ON audit_log(chain_id, resource_type, resource_id);
@@ -0,0 +1,28 @@
+-- Data Subject Requests
+-- Migration: 20261019000008_dsar_requests.sql
+-- Description: GDPR/CCPA data subject requests tracked from receipt to completion
+
+-- result holds a summary (record counts, export checksum, erasure receipt),
+-- never the exported personal data itself
+CREATE TABLE IF NOT EXISTS dsar_requests (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT, -- NULL = platform-wide request
+    subject_id TEXT NOT NULL,
+    request_type TEXT NOT NULL, -- 'access', 'portability', 'erase', 'rectify', 'restrict'
+    status TEXT NOT NULL DEFAULT 'received', -- 'received', 'completed', 'failed'
+    requested_by TEXT,
+    received_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    due_at TIMESTAMPTZ NOT NULL,
+    completed_at TIMESTAMPTZ,
+    result JSONB,
+    error TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_dsar_requests_tenant_status
+    ON dsar_requests(tenant_id, status);
+CREATE INDEX IF NOT EXISTS idx_dsar_requests_subject
+    ON dsar_requests(subject_id);
+CREATE INDEX IF NOT EXISTS idx_dsar_requests_due
+    ON dsar_requests(due_at) WHERE status = 'received';
@@ -0,0 +1,110 @@
+-- Data Retention
+-- Migration: 20261019000009_data_retention.sql
+-- Description: Per-tenant retention policies, legal holds, purge reports and audit log checkpoints
+
+-- Tenant overrides of the platform defaults (config.retention.defaults);
+-- retention_days NULL keeps the data class indefinitely
+CREATE TABLE IF NOT EXISTS retention_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL,
+    data_class TEXT NOT NULL, -- 'raw_code', 'embeddings', 'issues', 'usage_logs', 'audit_logs'
+    retention_days INTEGER,
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE(tenant_id, data_class)
+);
+
+-- Legal holds stop purging until released; tenant_id NULL holds every
+-- tenant, data_classes NULL every data class
+CREATE TABLE IF NOT EXISTS legal_holds (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT,
+    data_classes TEXT[],
+    reason TEXT NOT NULL,
+    created_by TEXT,
+    created_at TIMESTAMPTZ DEFAULT NOW(),
+    released_at TIMESTAMPTZ,
+    released_by TEXT
+);
+
+-- One row per purge run (scheduled, manual or dry run)
+CREATE TABLE IF NOT EXISTS retention_purge_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status TEXT NOT NULL, -- 'completed', 'partial', 'failed'
+    dry_run BOOLEAN DEFAULT FALSE,
+    triggered_by TEXT, -- 'schedule' or the principal that started it
+    tenant_id TEXT, -- NULL = every tenant
+    totals JSONB DEFAULT '{}'::jsonb, -- data class -> records purged
+    results JSONB DEFAULT '[]'::jsonb, -- per tenant, per data class outcome
+    error_count INTEGER DEFAULT 0,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ
+);
+
+-- The last entry purged from the start of an audit chain; verification
+-- continues from its sequence and hash
+CREATE TABLE IF NOT EXISTS audit_log_checkpoints (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    chain_id TEXT NOT NULL,
+    tenant_id TEXT,
+    sequence BIGINT NOT NULL,
+    hash TEXT NOT NULL,
+    purged_before TIMESTAMPTZ NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    UNIQUE(chain_id, sequence)
+);
+
+CREATE OR REPLACE FUNCTION prevent_audit_checkpoint_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'audit_log_checkpoints is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS audit_log_checkpoints_append_only ON audit_log_checkpoints;
+CREATE TRIGGER audit_log_checkpoints_append_only
+    BEFORE UPDATE OR DELETE ON audit_log_checkpoints
+    FOR EACH ROW EXECUTE FUNCTION prevent_audit_checkpoint_changes();
+
+-- Audit entries stay unchangeable; only entries covered by a checkpoint
+-- can be deleted
+CREATE OR REPLACE FUNCTION prevent_audit_log_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    IF TG_OP = 'DELETE' AND EXISTS (
+        SELECT 1 FROM audit_log_checkpoints c
+        WHERE c.chain_id = OLD.chain_id AND c.sequence >= OLD.sequence
+    ) THEN
+        RETURN OLD;
+    END IF;
+    RAISE EXCEPTION 'audit_log is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+-- Issues whose code snippet and fix code were purged (the issue is kept)
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS code_purged_at TIMESTAMPTZ;
+
+-- Purged issues leave their fix learning rows behind
+ALTER TABLE code_roach_fix_learning DROP CONSTRAINT IF EXISTS code_roach_fix_learning_issue_id_fkey;
+ALTER TABLE code_roach_fix_learning ADD CONSTRAINT code_roach_fix_learning_issue_id_fkey
+    FOREIGN KEY (issue_id) REFERENCES code_roach_issues(id) ON DELETE SET NULL;
+
+-- Embedding retention counts from when a chunk was last indexed
+DO $$
+BEGIN
+    IF to_regclass('public.codebase_index') IS NOT NULL THEN
+        ALTER TABLE codebase_index ADD COLUMN IF NOT EXISTS indexed_at TIMESTAMPTZ DEFAULT NOW();
+        CREATE INDEX IF NOT EXISTS idx_codebase_index_tenant_indexed
+            ON codebase_index(tenant_id, indexed_at);
+    END IF;
+END $$;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_legal_holds_tenant
+    ON legal_holds(tenant_id, released_at);
+CREATE INDEX IF NOT EXISTS idx_retention_purge_reports_started
+    ON retention_purge_reports(started_at DESC);
+CREATE INDEX IF NOT EXISTS idx_code_roach_issues_tenant_created
+    ON code_roach_issues(tenant_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_llm_budget_usage_updated
+    ON llm_budget_usage(scope_type, updated_at);
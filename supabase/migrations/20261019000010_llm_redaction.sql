@@ -0,0 +1,32 @@
+-- LLM Prompt Redaction
+-- Migration: 20261019000010_llm_redaction.sql
+-- Description: Per-tenant prompt redaction modes and a per-request record of what was redacted
+
+-- Tenant overrides of config.llmRedaction.enabled
+CREATE TABLE IF NOT EXISTS llm_redaction_policies (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT NOT NULL UNIQUE,
+    mode TEXT NOT NULL, -- 'enabled', 'disabled', 'mandatory'
+    updated_by TEXT,
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- One row per provider call that had values redacted; findings hold the
+-- category, rule and keyed hash of each value, never the value itself
+CREATE TABLE IF NOT EXISTS llm_redactions (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    tenant_id TEXT,
+    project_id TEXT,
+    principal_id TEXT,
+    provider TEXT NOT NULL,
+    model TEXT,
+    mandatory BOOLEAN DEFAULT FALSE,
+    total INTEGER NOT NULL DEFAULT 0,
+    counts JSONB DEFAULT '{}'::jsonb, -- category -> values redacted
+    findings JSONB DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_llm_redactions_tenant_created
+    ON llm_redactions(tenant_id, created_at DESC);
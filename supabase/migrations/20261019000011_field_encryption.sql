@@ -0,0 +1,40 @@
+-- Field Encryption
+-- Migration: 20261019000011_field_encryption.sql
+-- Description: Per-tenant data keys for field-level encryption at rest and re-encryption job reports
+
+-- Data keys are AES-256 keys wrapped with a master key that never reaches
+-- the database; tenant_id NULL is the untenanted workspace. One key per
+-- tenant is active, retired keys only decrypt.
+CREATE TABLE IF NOT EXISTS tenant_data_keys (
+    id UUID PRIMARY KEY,
+    tenant_id TEXT,
+    version INTEGER NOT NULL,
+    status TEXT NOT NULL DEFAULT 'active', -- 'active', 'retired'
+    master_key_id TEXT NOT NULL,
+    wrapped_key TEXT NOT NULL,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    retired_at TIMESTAMPTZ
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_data_keys_version
+    ON tenant_data_keys(tenant_id, version) NULLS NOT DISTINCT;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_tenant_data_keys_active
+    ON tenant_data_keys(tenant_id) NULLS NOT DISTINCT
+    WHERE status = 'active';
+
+-- One row per re-encryption run (scheduled, manual or dry run)
+CREATE TABLE IF NOT EXISTS reencryption_reports (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    status TEXT NOT NULL, -- 'completed', 'partial', 'failed'
+    dry_run BOOLEAN DEFAULT FALSE,
+    triggered_by TEXT, -- 'schedule' or the principal that started it
+    tenant_id TEXT, -- NULL = every tenant
+    totals JSONB DEFAULT '{}'::jsonb, -- 'plaintext', 'retired_key', 'unbound', 'reencrypted'
+    results JSONB DEFAULT '{}'::jsonb, -- table -> rows scanned, fields found and re-encrypted
+    error_count INTEGER DEFAULT 0,
+    started_at TIMESTAMPTZ NOT NULL,
+    finished_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_reencryption_reports_started
+    ON reencryption_reports(started_at DESC);
@@ -0,0 +1,42 @@
+-- Compliance Reports
+-- Migration: 20261019000012_compliance_reports.sql
+-- Description: Hash-chained, signed compliance evidence reports (one chain per tenant)
+
+-- digest = SHA-256 of the report content, its sequence and previous_digest
+-- (the digest of the tenant's previous report, 64 zeros for the first);
+-- signature is an Ed25519 signature of the digest when a signing key is
+-- configured. tenant_id NULL is the untenanted workspace.
+CREATE TABLE IF NOT EXISTS compliance_reports (
+    id UUID PRIMARY KEY,
+    tenant_id TEXT,
+    sequence INTEGER NOT NULL,
+    frameworks TEXT[] NOT NULL,
+    status TEXT NOT NULL, -- 'compliant', 'non_compliant'
+    period_from TIMESTAMPTZ NOT NULL,
+    period_to TIMESTAMPTZ NOT NULL,
+    content JSONB NOT NULL,
+    previous_digest TEXT NOT NULL,
+    digest TEXT NOT NULL,
+    signature TEXT,
+    key_id TEXT,
+    generated_by TEXT,
+    generated_at TIMESTAMPTZ NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_compliance_reports_sequence
+    ON compliance_reports(tenant_id, sequence) NULLS NOT DISTINCT;
+CREATE INDEX IF NOT EXISTS idx_compliance_reports_generated
+    ON compliance_reports(tenant_id, generated_at DESC);
+
+-- Reports are evidence; they can't be changed or removed once issued
+CREATE OR REPLACE FUNCTION prevent_compliance_report_changes()
+RETURNS TRIGGER AS $$
+BEGIN
+    RAISE EXCEPTION 'compliance_reports is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS compliance_reports_append_only ON compliance_reports;
+CREATE TRIGGER compliance_reports_append_only
+    BEFORE UPDATE OR DELETE ON compliance_reports
+    FOR EACH ROW EXECUTE FUNCTION prevent_compliance_report_changes();
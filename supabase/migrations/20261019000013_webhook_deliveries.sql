@@ -0,0 +1,56 @@
+-- Webhook Deliveries
+-- Migration: 20261019000013_webhook_deliveries.sql
+-- Description: Persisted webhook registrations, the delivery log and the dead-letter queue
+
+-- Registered endpoints; tenant_id NULL is the untenanted workspace.
+-- failure_count counts dead-lettered deliveries in a row; the webhook is
+-- disabled when it reaches config.webhooks.disableAfterFailures.
+CREATE TABLE IF NOT EXISTS code_roach_webhooks (
+    webhook_id TEXT PRIMARY KEY,
+    tenant_id TEXT,
+    url TEXT NOT NULL,
+    events TEXT[] NOT NULL DEFAULT '{}',
+    secret TEXT NOT NULL,
+    enabled BOOLEAN NOT NULL DEFAULT TRUE,
+    failure_count INTEGER NOT NULL DEFAULT 0,
+    last_triggered_at TIMESTAMPTZ,
+    last_success_at TIMESTAMPTZ,
+    last_failure_at TIMESTAMPTZ,
+    disabled_at TIMESTAMPTZ,
+    disabled_reason TEXT,
+    created_by TEXT,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_code_roach_webhooks_tenant
+    ON code_roach_webhooks(tenant_id, enabled);
+
+-- One row per event sent to a webhook. Deliveries are retried with
+-- exponential backoff; after the last attempt they stay here as
+-- 'dead_letter' until they are redelivered.
+CREATE TABLE IF NOT EXISTS webhook_deliveries (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    webhook_id TEXT NOT NULL REFERENCES code_roach_webhooks(webhook_id) ON DELETE CASCADE,
+    tenant_id TEXT,
+    event TEXT NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+    status TEXT NOT NULL DEFAULT 'pending', -- 'pending', 'delivered', 'dead_letter'
+    attempt_count INTEGER NOT NULL DEFAULT 0, -- attempts since it was (re)queued
+    attempts JSONB NOT NULL DEFAULT '[]'::jsonb, -- { attempt, statusCode, latencyMs, error, attemptedAt }
+    response_status INTEGER,
+    latency_ms INTEGER,
+    last_error TEXT,
+    next_attempt_at TIMESTAMPTZ,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    delivered_at TIMESTAMPTZ,
+    dead_lettered_at TIMESTAMPTZ
+);
+
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_webhook
+    ON webhook_deliveries(webhook_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_due
+    ON webhook_deliveries(next_attempt_at) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_webhook_deliveries_dead_letter
+    ON webhook_deliveries(tenant_id, dead_lettered_at DESC)
+    WHERE status = 'dead_letter';
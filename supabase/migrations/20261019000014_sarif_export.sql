@@ -0,0 +1,9 @@
+-- SARIF Export
+-- Migration: 20261019000014_sarif_export.sql
+-- Description: The crawl each issue was found by, so one crawl's issues export as a SARIF run
+
+ALTER TABLE code_roach_issues ADD COLUMN IF NOT EXISTS crawl_id TEXT;
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_code_roach_issues_crawl
+    ON code_roach_issues(crawl_id);
@@ -0,0 +1,25 @@
+-- Module Graph
+-- Migration: 20261019000015_module_graph.sql
+-- Description: Persisted module graphs for dependency analysis, one row per file
+
+-- root_dir is the absolute directory a graph was built for; file_path is
+-- relative to it. imports holds the file's resolved imports:
+-- [{ specifier, kind, line, typeOnly, target, package, builtin }] where
+-- target is the imported file's path (NULL when it did not resolve or is a
+-- package). content_hash and mtime_ms tell unchanged files apart when a
+-- graph is loaded.
+CREATE TABLE IF NOT EXISTS code_roach_module_graph (
+    id UUID PRIMARY KEY DEFAULT uuid_generate_v4(),
+    root_dir TEXT NOT NULL,
+    file_path TEXT NOT NULL,
+    content_hash TEXT NOT NULL,
+    mtime_ms DOUBLE PRECISION,
+    imports JSONB NOT NULL DEFAULT '[]'::jsonb,
+    created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+    updated_at TIMESTAMPTZ DEFAULT NOW(),
+    UNIQUE (root_dir, file_path)
+);
+
+-- Create indexes
+CREATE INDEX IF NOT EXISTS idx_code_roach_module_graph_root
+    ON code_roach_module_graph(root_dir, file_path);
@@ -0,0 +1,294 @@
+#!/usr/bin/env node
+
+/**
+ * Access Control Test
+ * Checks can() for organization, project and tenant roles, for unregistered
+ * projects and requests naming no resource, and in strict mode
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-access-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+delete process.env.ACCESS_CONTROL_STRICT;
+
+const config = require("../../src/config");
+const accessControlService = require("../../src/services/accessControlService");
+
+const TENANT_ID = "tenant-acme";
+
+const users = {
+  owner: { id: "u-owner", role: "user" },
+  maintainer: { id: "u-maintainer", role: "user" },
+  reviewer: { id: "u-reviewer", role: "user" },
+  viewer: { id: "u-viewer", role: "user" },
+  outsider: { id: "u-outsider", role: "user" },
+  admin: { id: "u-admin", role: "admin" },
+  tenantKey: {
+    id: `tenant:${TENANT_ID}`,
+    principalType: "tenant",
+    tenantId: TENANT_ID,
+    role: "user",
+  },
+};
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+/**
+ * Run [user, permission, resource, expected] cases through can()
+ * @returns {Promise<string[]>} Descriptions of the cases that didn't match
+ */
+async function mismatches(cases) {
+  const failures = [];
+  for (const [user, permission, resource, expected] of cases) {
+    const allowed = await accessControlService.can(
+      users[user],
+      permission,
+      resource,
+    );
+    if (allowed !== expected) {
+      failures.push(
+        `${user} ${permission} ${JSON.stringify(resource)}: ${allowed}`,
+      );
+    }
+  }
+  return failures;
+}
+
+/**
+ * Organization with a project; every role except owner is granted by the owner
+ */
+async function createOrganization() {
+  const organization = await accessControlService.createOrganization(
+    { name: "Acme", tenantId: TENANT_ID },
+    users.owner,
+  );
+  const project = await accessControlService.createProject(
+    { organizationId: organization.id, name: "web" },
+    users.owner,
+  );
+  await accessControlService.addMember(
+    "organization",
+    organization.id,
+    users.maintainer.id,
+    "maintainer",
+    users.owner,
+  );
+  await accessControlService.addMember(
+    "organization",
+    organization.id,
+    users.viewer.id,
+    "viewer",
+    users.owner,
+  );
+  await accessControlService.addMember(
+    "project",
+    project.id,
+    users.reviewer.id,
+    "reviewer",
+    users.owner,
+  );
+  return { organizationId: organization.id, projectId: project.id };
+}
+
+/**
+ * Test 1: Registered resources grant what the caller's role allows
+ */
+async function testManagedRoles({ organizationId, projectId }) {
+  try {
+    const project = { projectId };
+    const tenant = { tenantId: TENANT_ID };
+    const failures = await mismatches([
+      ["maintainer", "fix:apply", project, true],
+      ["reviewer", "issue:review", project, true],
+      ["reviewer", "fix:apply", project, false],
+      ["reviewer", "project:read", { organizationId }, false],
+      ["viewer", "project:read", project, true],
+      ["viewer", "analysis:run", project, false],
+      ["outsider", "project:read", project, false],
+      ["owner", "tenant:manage", tenant, true],
+      ["maintainer", "tenant:read", tenant, true],
+      ["maintainer", "tenant:manage", tenant, false],
+      ["outsider", "tenant:read", tenant, false],
+      ["tenantKey", "project:delete", project, true],
+      ["tenantKey", "tenant:read", { tenantId: "tenant-other" }, false],
+      ["admin", "tenant:manage", { tenantId: "tenant-other" }, true],
+    ]);
+    recordTest(
+      "Managed roles",
+      failures.length === 0,
+      failures.length === 0
+        ? "organization, project and tenant roles applied"
+        : failures.join("; "),
+    );
+  } catch (err) {
+    recordTest("Managed roles", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Unregistered projects stay open, except for crawls and changes
+ */
+async function testUnmanaged() {
+  try {
+    const cliProject = { projectId: "default" };
+    const failures = await mismatches([
+      ["outsider", "project:read", cliProject, true],
+      ["outsider", "crawl:run", cliProject, false],
+      ["maintainer", "crawl:run", {}, false],
+      ["outsider", "analysis:run", {}, true],
+      ["outsider", "fix:apply", cliProject, false],
+      ["outsider", "fix:apply", {}, false],
+      ["outsider", "project:manage", {}, false],
+      ["outsider", "tenant:manage", {}, false],
+      ["maintainer", "fix:apply", {}, false],
+      ["tenantKey", "fix:apply", { tenantId: TENANT_ID, ...cliProject }, true],
+      ["outsider", "fix:apply", { tenantId: TENANT_ID, ...cliProject }, false],
+      ["admin", "fix:apply", {}, true],
+    ]);
+    recordTest(
+      "Unregistered resources",
+      failures.length === 0,
+      failures.length === 0
+        ? "reads allowed; crawls, fixes and settings need a registered resource"
+        : failures.join("; "),
+    );
+  } catch (err) {
+    recordTest("Unregistered resources", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Strict mode denies every unregistered resource
+ */
+async function testStrict({ projectId }) {
+  const strict = config.accessControl.strict;
+  try {
+    config.accessControl.strict = true;
+    const cliProject = { projectId: "default" };
+    const failures = await mismatches([
+      ["outsider", "project:read", cliProject, false],
+      ["outsider", "analysis:run", {}, false],
+      ["tenantKey", "fix:apply", { tenantId: TENANT_ID, ...cliProject }, false],
+      ["maintainer", "fix:apply", { projectId }, true],
+      ["admin", "crawl:run", cliProject, true],
+    ]);
+    recordTest(
+      "Strict mode",
+      failures.length === 0,
+      failures.length === 0
+        ? "only registered resources and admins pass"
+        : failures.join("; "),
+    );
+  } catch (err) {
+    recordTest("Strict mode", false, err.message);
+  } finally {
+    config.accessControl.strict = strict;
+  }
+}
+
+/**
+ * Test 4: Unknown permissions are a programming error
+ */
+async function testUnknownPermission() {
+  try {
+    let error = null;
+    try {
+      await accessControlService.can(users.admin, "fix:deploy", {});
+    } catch (err) {
+      error = err;
+    }
+    const passed =
+      error?.name === "AccessControlError" &&
+      error.status === 500 &&
+      (await accessControlService.can(null, "project:read", {})) === false;
+    recordTest(
+      "Unknown permission",
+      passed,
+      passed
+        ? "unknown permissions throw; anonymous callers are denied"
+        : error?.message || "no error",
+    );
+  } catch (err) {
+    recordTest("Unknown permission", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Access Control Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    const resources = await createOrganization();
+    await testManagedRoles(resources);
+    await testUnmanaged();
+    await testStrict(resources);
+    await testUnknownPermission();
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Roles gate every permission!", "green");
+    } else {
+      log("\n⚠️  Access control tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
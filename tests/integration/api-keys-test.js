@@ -0,0 +1,353 @@
+#!/usr/bin/env node
+
+/**
+ * API Keys Test
+ * Serves the API key routes on localhost against a throwaway local store
+ * and checks hashed-at-rest lookup, scope checks, rotation with an overlap
+ * window and revocation
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-keys-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+
+const express = require("express");
+const {
+  authenticate,
+  requireScope,
+} = require("../../src/commercial-middleware");
+const { createApiKeyRoutes } = require("../../src/routes/apiKeyRoutes");
+const apiKeyService = require("../../src/services/apiKeyService");
+const authStore = require("../../src/services/commercialAuthStore");
+const databaseService = require("../../src/services/databaseService");
+
+const USER_ID = "user_ci_owner";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    "/api/auth/api-keys",
+    authenticate,
+    createApiKeyRoutes({
+      resolveOwner: (req) => ({ ownerType: "user", ownerId: req.user.id }),
+    }),
+  );
+  app.get("/read", authenticate, requireScope("analyze:read"), (req, res) =>
+    res.json({ ok: true }),
+  );
+  app.post("/fix", authenticate, requireScope("fix:write"), (req, res) =>
+    res.json({ ok: true }),
+  );
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+/**
+ * JSON request against the test server
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function call(baseUrl, method, route, { key, body } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (key) headers["x-api-key"] = key;
+  const response = await fetch(`${baseUrl}${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Test 1: Keys are stored as hashes and looked up by hash
+ */
+async function testHashedLookup(baseUrl, adminKey) {
+  try {
+    const created = await call(baseUrl, "POST", "/api/auth/api-keys", {
+      key: adminKey,
+      body: { name: "ci", scopes: ["analyze:read"], expiresInDays: 30 },
+    });
+    const key = created.body.apiKey;
+    const { data: rows } = await databaseService.query("api_keys", {
+      select: "*",
+    });
+    const stored = rows.find((row) => row.id === created.body.key.id);
+    const found = await apiKeyService.validateKey(key);
+    const unknown = await apiKeyService.validateKey(`${key}x`);
+
+    const passed =
+      created.status === 201 &&
+      key.startsWith("cr_") &&
+      stored.key_hash ===
+        crypto.createHash("sha256").update(key).digest("hex") &&
+      !JSON.stringify(rows).includes(key) &&
+      found?.id === stored.id &&
+      Boolean(found.lastUsedAt) &&
+      unknown === null;
+    recordTest(
+      "Hashed lookup",
+      passed,
+      passed
+        ? "only the SHA-256 hash is stored; lookup records last use"
+        : `status ${created.status}, found ${found?.id}`,
+    );
+    return { key, id: created.body.key.id };
+  } catch (err) {
+    recordTest("Hashed lookup", false, err.message);
+    return null;
+  }
+}
+
+/**
+ * Test 2: A key only passes the scopes it holds and can't grant more
+ */
+async function testScopes(baseUrl, adminKey, ci) {
+  try {
+    const read = await call(baseUrl, "GET", "/read", { key: ci.key });
+    const fix = await call(baseUrl, "POST", "/fix", { key: ci.key });
+    const manage = await call(baseUrl, "GET", "/api/auth/api-keys", {
+      key: ci.key,
+    });
+    const unknownScope = await call(baseUrl, "POST", "/api/auth/api-keys", {
+      key: adminKey,
+      body: { name: "x", scopes: ["deploy"] },
+    });
+    let escalation = null;
+    try {
+      await apiKeyService.createKey({
+        ownerType: "user",
+        ownerId: USER_ID,
+        name: "escalated",
+        scopes: ["fix:write"],
+        grantedScopes: ["analyze:write"],
+      });
+    } catch (err) {
+      escalation = err;
+    }
+
+    const passed =
+      read.status === 200 &&
+      fix.status === 403 &&
+      fix.body.requiredScope === "fix:write" &&
+      manage.status === 403 &&
+      unknownScope.status === 400 &&
+      escalation?.status === 403 &&
+      apiKeyService.hasScope(["analyze:write"], "analyze:read") &&
+      !apiKeyService.hasScope(["analyze:read"], "analyze:write");
+    recordTest(
+      "Scope checks",
+      passed,
+      passed
+        ? "fix:write and key management denied to an analyze:read key; " +
+          "unknown and unheld scopes refused"
+        : `statuses ${read.status}/${fix.status}/${manage.status}/` +
+            `${unknownScope.status}, escalation ${escalation?.status}`,
+    );
+  } catch (err) {
+    recordTest("Scope checks", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Rotation keeps the old key working until the overlap ends
+ */
+async function testRotation(baseUrl, adminKey, ci) {
+  try {
+    const rotated = await call(
+      baseUrl,
+      "POST",
+      `/api/auth/api-keys/${ci.id}/rotate`,
+      { key: adminKey, body: { overlapHours: 1 } },
+    );
+    const overlapMs = new Date(rotated.body.previous.expiresAt) - Date.now();
+    const oldDuringOverlap = await call(baseUrl, "GET", "/read", {
+      key: ci.key,
+    });
+    const replacement = await call(baseUrl, "GET", "/read", {
+      key: rotated.body.apiKey,
+    });
+
+    const immediate = await call(
+      baseUrl,
+      "POST",
+      `/api/auth/api-keys/${rotated.body.key.id}/rotate`,
+      { key: adminKey, body: { overlapHours: 0 } },
+    );
+    const oldAfterCutover = await call(baseUrl, "GET", "/read", {
+      key: rotated.body.apiKey,
+    });
+    const latest = await call(baseUrl, "GET", "/read", {
+      key: immediate.body.apiKey,
+    });
+
+    const passed =
+      rotated.status === 200 &&
+      rotated.body.key.name === "ci" &&
+      rotated.body.key.scopes.join() === "analyze:read" &&
+      rotated.body.key.rotatedFrom === ci.id &&
+      overlapMs > 55 * 60 * 1000 &&
+      overlapMs <= 60 * 60 * 1000 &&
+      oldDuringOverlap.status === 200 &&
+      replacement.status === 200 &&
+      oldAfterCutover.status === 401 &&
+      latest.status === 200;
+    recordTest(
+      "Rotation overlap",
+      passed,
+      passed
+        ? "both keys worked for the 1h overlap; a 0h rotation cut over at once"
+        : `statuses ${rotated.status}/${oldDuringOverlap.status}/` +
+            `${replacement.status}/${oldAfterCutover.status}/${latest.status}`,
+    );
+    return { key: immediate.body.apiKey, id: immediate.body.key.id };
+  } catch (err) {
+    recordTest("Rotation overlap", false, err.message);
+    return null;
+  }
+}
+
+/**
+ * Test 4: Revoked keys stop working at once
+ */
+async function testRevocation(baseUrl, adminKey, ci) {
+  try {
+    const before = await call(baseUrl, "GET", "/read", { key: ci.key });
+    const revoked = await call(
+      baseUrl,
+      "DELETE",
+      `/api/auth/api-keys/${ci.id}`,
+      { key: adminKey },
+    );
+    const after = await call(baseUrl, "GET", "/read", { key: ci.key });
+    const again = await call(
+      baseUrl,
+      "DELETE",
+      `/api/auth/api-keys/${ci.id}`,
+      { key: adminKey },
+    );
+    const listed = await call(baseUrl, "GET", "/api/auth/api-keys", {
+      key: adminKey,
+    });
+
+    const passed =
+      before.status === 200 &&
+      revoked.status === 200 &&
+      after.status === 401 &&
+      again.status === 404 &&
+      !listed.body.keys.some((key) => key.id === ci.id);
+    recordTest(
+      "Revocation",
+      passed,
+      passed
+        ? "the revoked key was rejected and left the key list"
+        : `statuses ${before.status}/${revoked.status}/${after.status}/${again.status}`,
+    );
+  } catch (err) {
+    recordTest("Revocation", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 API Key Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  let server = null;
+  try {
+    server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await authStore.createUser({
+      id: USER_ID,
+      email: "ci-owner@example.com",
+      passwordHash: "unused",
+      tier: "starter",
+    });
+    const { key: adminKey } = await apiKeyService.createKey({
+      ownerType: "user",
+      ownerId: USER_ID,
+      name: "admin",
+      scopes: ["admin"],
+    });
+
+    const ci = await testHashedLookup(baseUrl, adminKey);
+    if (ci) {
+      await testScopes(baseUrl, adminKey, ci);
+      const rotated = await testRotation(baseUrl, adminKey, ci);
+      if (rotated) {
+        await testRevocation(baseUrl, adminKey, rotated);
+      }
+    }
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    if (server) server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 API keys are hashed, scoped and rotatable!", "green");
+    } else {
+      log("\n⚠️  API key tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
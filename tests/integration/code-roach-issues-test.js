@@ -0,0 +1,250 @@
+#!/usr/bin/env node
+
+/**
+ * Code Roach Issues Test
+ * Checks the storage behind the /api/code-roach issue routes: crawl results
+ * with fix safety, the filters the CLI and dashboard send, review decisions
+ * and statistics, plus how the routes resolve their tenant and project
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Use the local storage backend in a throwaway directory (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-issues-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+delete process.env.DEFAULT_PROJECT_ID;
+
+const issueStorageService = require("../../src/services/issueStorageService");
+const {
+  DEFAULT_PROJECT_ID,
+  resolveProjectId,
+  resolveResource,
+} = require("../../src/routes/codeRoach/scope");
+
+const PROJECT_ID = "cli-project";
+const CRAWL_ID = "crawl-1";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+const crawlIssue = (line, severity, safety) => ({
+  file: "src/app.js",
+  line,
+  type: "security",
+  severity,
+  message: `issue on line ${line}`,
+  code: `eval(input${line})`,
+  crawlId: CRAWL_ID,
+  fixMethod: "pattern",
+  safety,
+});
+
+/**
+ * Test 1: A crawl's issues are stored with their fix safety and filtered
+ */
+async function testStoreAndFilter() {
+  try {
+    const stored = await issueStorageService.storeIssues(
+      [
+        crawlIssue(1, "high", "safe"),
+        crawlIssue(2, "high", "risky"),
+        crawlIssue(3, "low", "safe"),
+      ],
+      PROJECT_ID,
+    );
+    const safe = await issueStorageService.getProjectIssues(PROJECT_ID, {
+      safety: "safe",
+    });
+    const page = await issueStorageService.getProjectIssues(PROJECT_ID, {
+      severity: "high",
+      limit: 1,
+    });
+    const crawl = await issueStorageService.getAllIssues({ crawlId: CRAWL_ID });
+    const other = await issueStorageService.getAllIssues({ crawlId: "nope" });
+
+    const passed =
+      stored.length === 3 &&
+      stored.every((row) => row.review_status === "pending") &&
+      safe.length === 2 &&
+      safe.every((row) => row.fix_safety === "safe") &&
+      page.length === 1 &&
+      page._count === 2 &&
+      crawl.length === 3 &&
+      other.length === 0;
+    recordTest(
+      "Store and filter",
+      passed,
+      passed
+        ? "safety, severity, paging and crawl filters matched"
+        : `stored ${stored.length}, safe ${safe.length}, page ${page.length}/${page._count}, crawl ${crawl.length}`,
+    );
+  } catch (err) {
+    recordTest("Store and filter", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Review decisions leave the queue and show up in statistics
+ */
+async function testReview() {
+  try {
+    const [first, second] = await issueStorageService.getProjectIssues(
+      PROJECT_ID,
+      { status: "pending" },
+    );
+    const approved = await issueStorageService.updateIssue(first.id, {
+      review_status: "approved",
+      review_notes: "looks right",
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: "reviewer-1",
+    });
+    await issueStorageService.updateIssue(second.id, {
+      review_status: "deferred",
+    });
+
+    const queue = await issueStorageService.getProjectIssues(PROJECT_ID, {
+      status: "pending",
+    });
+    const reloaded = await issueStorageService.getIssue(first.id);
+    const stats = await issueStorageService.getProjectStatistics(PROJECT_ID);
+
+    const passed =
+      approved?.review_status === "approved" &&
+      reloaded.review_notes === "looks right" &&
+      reloaded.reviewed_by === "reviewer-1" &&
+      queue.length === 1 &&
+      stats.total === 3 &&
+      stats.pending === 1 &&
+      stats.byStatus.approved === 1 &&
+      stats.byStatus.deferred === 1 &&
+      stats.bySeverity.high === 2;
+    recordTest(
+      "Review decisions",
+      passed,
+      passed
+        ? "approved and deferred issues left the review queue"
+        : `queue ${queue.length}, stats ${JSON.stringify(stats)}`,
+    );
+  } catch (err) {
+    recordTest("Review decisions", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Routes take the project from the body, crawl options or query
+ */
+function testScope() {
+  try {
+    const request = (body, query = {}, extra = {}) => ({
+      body,
+      query,
+      ...extra,
+    });
+    const projects = [
+      resolveProjectId(request({ projectId: "body" }, { projectId: "query" })),
+      resolveProjectId(request({ options: { projectId: "options" } })),
+      resolveProjectId(request({}, { projectId: "query" })),
+      resolveProjectId(request(undefined)),
+    ];
+    const resource = resolveResource(
+      request(
+        { tenantId: "body-tenant" },
+        {},
+        { tenantId: "checked-tenant", user: { tenantId: "user-tenant" } },
+      ),
+    );
+    const fromUser = resolveResource(
+      request({}, {}, { user: { tenantId: "user-tenant" } }),
+    );
+
+    const passed =
+      projects.join(",") === `body,options,query,${DEFAULT_PROJECT_ID}` &&
+      resource.tenantId === "checked-tenant" &&
+      resource.projectId === DEFAULT_PROJECT_ID &&
+      fromUser.tenantId === "user-tenant";
+    recordTest(
+      "Request scope",
+      passed,
+      passed
+        ? "project and tenant resolved in priority order"
+        : JSON.stringify({ projects, resource, fromUser }),
+    );
+  } catch (err) {
+    recordTest("Request scope", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Code Roach Issue Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    await testStoreAndFilter();
+    await testReview();
+    testScope();
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Issues are stored, filtered and reviewed!", "green");
+    } else {
+      log("\n⚠️  Code Roach issue tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
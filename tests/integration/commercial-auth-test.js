@@ -0,0 +1,350 @@
+#!/usr/bin/env node
+
+/**
+ * Commercial Auth Test
+ * Serves the /api/auth routes on localhost against a throwaway local store
+ * and checks hashed passwords, login, refresh token rotation, logout,
+ * one-time password reset tokens and the production secret check
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-auth-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+process.env.AUTH_BCRYPT_ROUNDS = "4";
+delete process.env.JWT_SECRET;
+
+const express = require("express");
+const {
+  assertSecureConfig,
+  createAuthRoutes,
+} = require("../../src/commercial-middleware");
+const authStore = require("../../src/services/commercialAuthStore");
+const databaseService = require("../../src/services/databaseService");
+
+const EMAIL = "Dev@Example.com";
+const PASSWORD = "correct horse battery";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use("/api/auth", createAuthRoutes());
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+/**
+ * JSON request against the test server
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function call(baseUrl, method, route, { body, token } = {}) {
+  const headers = { "Content-Type": "application/json" };
+  if (token) headers.Authorization = `Bearer ${token}`;
+  const response = await fetch(`${baseUrl}/api/auth${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+/**
+ * Test 1: Registration stores a bcrypt hash, never the password
+ */
+async function testRegister(baseUrl) {
+  try {
+    const registered = await call(baseUrl, "POST", "/register", {
+      body: { email: EMAIL, password: PASSWORD, company: "Acme" },
+    });
+    const duplicate = await call(baseUrl, "POST", "/register", {
+      body: { email: EMAIL.toLowerCase(), password: PASSWORD },
+    });
+    const weak = await call(baseUrl, "POST", "/register", {
+      body: { email: "weak@example.com", password: "short" },
+    });
+    const credentials = await authStore.getCredentialsByEmail(EMAIL);
+    const { data: rows } = await databaseService.query("commercial_users", {
+      select: "*",
+    });
+    const stored = JSON.stringify(rows);
+
+    const passed =
+      registered.status === 200 &&
+      rows.length === 1 &&
+      registered.body.userId === credentials?.user.id &&
+      registered.body.apiKey.startsWith("cr_") &&
+      /^\$2[aby]\$04\$/.test(credentials.passwordHash) &&
+      !stored.includes(PASSWORD) &&
+      duplicate.status === 409 &&
+      weak.status === 400;
+    recordTest(
+      "Register",
+      passed,
+      passed
+        ? "bcrypt hash stored; duplicate and weak passwords rejected"
+        : `statuses ${registered.status}/${duplicate.status}/${weak.status}`,
+    );
+  } catch (err) {
+    recordTest("Register", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Login checks the password and the token opens /me
+ */
+async function testLogin(baseUrl) {
+  try {
+    const wrong = await call(baseUrl, "POST", "/login", {
+      body: { email: EMAIL, password: "not the password" },
+    });
+    const unknown = await call(baseUrl, "POST", "/login", {
+      body: { email: "nobody@example.com", password: PASSWORD },
+    });
+    const login = await call(baseUrl, "POST", "/login", {
+      body: { email: EMAIL, password: PASSWORD },
+    });
+    const me = await call(baseUrl, "GET", "/me", { token: login.body.token });
+
+    const passed =
+      wrong.status === 401 &&
+      unknown.status === 401 &&
+      login.status === 200 &&
+      login.body.refreshToken &&
+      login.body.expiresIn > 0 &&
+      me.status === 200 &&
+      me.body.user.email === EMAIL.toLowerCase() &&
+      me.body.user.company === "Acme";
+    recordTest(
+      "Login",
+      passed,
+      passed
+        ? "wrong and unknown credentials rejected; /me answers for the token"
+        : `statuses ${wrong.status}/${unknown.status}/${login.status}/${me.status}`,
+    );
+    return login.body;
+  } catch (err) {
+    recordTest("Login", false, err.message);
+    return null;
+  }
+}
+
+/**
+ * Test 3: Refresh tokens rotate, and logout ends the session
+ */
+async function testRefreshAndLogout(baseUrl, login) {
+  try {
+    const refreshed = await call(baseUrl, "POST", "/refresh", {
+      body: { refreshToken: login.refreshToken },
+    });
+    const reused = await call(baseUrl, "POST", "/refresh", {
+      body: { refreshToken: login.refreshToken },
+    });
+    const next = await call(baseUrl, "POST", "/refresh", {
+      body: { refreshToken: refreshed.body.refreshToken },
+    });
+
+    const logout = await call(baseUrl, "POST", "/logout", {
+      token: next.body.token,
+    });
+    const afterLogout = await call(baseUrl, "GET", "/me", {
+      token: next.body.token,
+    });
+    const refreshAfterLogout = await call(baseUrl, "POST", "/refresh", {
+      body: { refreshToken: next.body.refreshToken },
+    });
+
+    const passed =
+      refreshed.status === 200 &&
+      refreshed.body.refreshToken !== login.refreshToken &&
+      reused.status === 401 &&
+      next.status === 200 &&
+      logout.body.revokedSessions === 1 &&
+      afterLogout.status === 401 &&
+      refreshAfterLogout.status === 401;
+    recordTest(
+      "Refresh and logout",
+      passed,
+      passed
+        ? "a rotated refresh token can't be reused; logout revoked the session"
+        : `statuses ${refreshed.status}/${reused.status}/${next.status}/` +
+            `${afterLogout.status}/${refreshAfterLogout.status}`,
+    );
+  } catch (err) {
+    recordTest("Refresh and logout", false, err.message);
+  }
+}
+
+/**
+ * Test 4: A reset token sets a new password once and signs out sessions
+ */
+async function testPasswordReset(baseUrl) {
+  try {
+    const login = await call(baseUrl, "POST", "/login", {
+      body: { email: EMAIL, password: PASSWORD },
+    });
+    const requested = await call(baseUrl, "POST", "/password-reset/request", {
+      body: { email: EMAIL },
+    });
+    const unknown = await call(baseUrl, "POST", "/password-reset/request", {
+      body: { email: "nobody@example.com" },
+    });
+    const newPassword = "a brand new passphrase";
+    const confirmed = await call(baseUrl, "POST", "/password-reset/confirm", {
+      body: { token: requested.body.resetToken, password: newPassword },
+    });
+    const reused = await call(baseUrl, "POST", "/password-reset/confirm", {
+      body: { token: requested.body.resetToken, password: "yet another one" },
+    });
+
+    const oldToken = await call(baseUrl, "GET", "/me", {
+      token: login.body.token,
+    });
+    const oldPassword = await call(baseUrl, "POST", "/login", {
+      body: { email: EMAIL, password: PASSWORD },
+    });
+    const updated = await call(baseUrl, "POST", "/login", {
+      body: { email: EMAIL, password: newPassword },
+    });
+
+    const passed =
+      Boolean(requested.body.resetToken) &&
+      unknown.status === 200 &&
+      unknown.body.message === requested.body.message &&
+      !unknown.body.resetToken &&
+      confirmed.status === 200 &&
+      confirmed.body.revokedSessions === 1 &&
+      reused.status === 400 &&
+      oldToken.status === 401 &&
+      oldPassword.status === 401 &&
+      updated.status === 200;
+    recordTest(
+      "Password reset",
+      passed,
+      passed
+        ? "the token worked once and signed out the existing session"
+        : `statuses ${confirmed.status}/${reused.status}/${oldToken.status}/` +
+            `${oldPassword.status}/${updated.status}`,
+    );
+  } catch (err) {
+    recordTest("Password reset", false, err.message);
+  }
+}
+
+/**
+ * Test 5: Production refuses the default JWT secret
+ */
+function testSecureConfig() {
+  const nodeEnv = process.env.NODE_ENV;
+  try {
+    process.env.NODE_ENV = "development";
+    assertSecureConfig();
+
+    process.env.NODE_ENV = "production";
+    let error = null;
+    try {
+      assertSecureConfig();
+    } catch (err) {
+      error = err;
+    }
+    const passed = /JWT_SECRET must be set/.test(error?.message || "");
+    recordTest(
+      "Production secret",
+      passed,
+      passed ? "the default secret is refused in production" : "no error",
+    );
+  } catch (err) {
+    recordTest("Production secret", false, err.message);
+  } finally {
+    if (nodeEnv === undefined) delete process.env.NODE_ENV;
+    else process.env.NODE_ENV = nodeEnv;
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Commercial Auth Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  let server = null;
+  try {
+    server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+    await testRegister(baseUrl);
+    const login = await testLogin(baseUrl);
+    if (login) {
+      await testRefreshAndLogout(baseUrl, login);
+    }
+    await testPasswordReset(baseUrl);
+    testSecureConfig();
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    if (server) server.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Accounts and sessions are secured!", "green");
+    } else {
+      log("\n⚠️  Commercial auth tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,500 @@
+#!/usr/bin/env node
+
+/**
+ * Dependency Graph Test
+ * Builds the module graph of a fixture repository (CommonJS, ESM, dynamic
+ * imports, tsconfig paths and a workspace package with "exports") and checks
+ * resolution, queries, persistence, incremental updates and the watcher
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-graph-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+
+const databaseService = require("../../src/services/databaseService");
+const astAnalyzer = require("../../src/services/astAnalyzer");
+const SERVICE = "../../src/services/dependencyAnalysisService";
+
+const ROOT = path.join(dataDir, "repo");
+const file = (relative) => path.join(ROOT, relative);
+
+const FIXTURE = {
+  "package.json": JSON.stringify({
+    name: "app",
+    workspaces: ["packages/*"],
+    imports: { "#config": "./src/config.js" },
+  }),
+  "tsconfig.base.json": '{ "compilerOptions": { "baseUrl": "." } }',
+  "tsconfig.json": `{
+    // Aliases for application code
+    "extends": "./tsconfig.base.json",
+    "compilerOptions": {
+      "paths": { "@lib/*": ["src/lib/*"], },
+    },
+  }`,
+  "packages/utils/package.json": JSON.stringify({
+    name: "@acme/utils",
+    exports: {
+      ".": { import: "./src/index.mjs", require: "./src/index.cjs" },
+      "./strings": "./src/strings.js",
+    },
+  }),
+  "packages/utils/src/index.mjs": 'export * from "./strings.js";\n',
+  "packages/utils/src/index.cjs": 'module.exports = require("./strings.js");\n',
+  "packages/utils/src/strings.js":
+    "export const upper = (s) => s.toUpperCase();\n",
+  "src/index.ts": [
+    'import { a } from "@lib/a";',
+    'import type { Options } from "./types";',
+    'import { helper } from "src/util";',
+    'export * from "./reexported";',
+    'export const lazy = () => import("./lazy.js");',
+    "",
+  ].join("\n"),
+  "src/types.ts": "export interface Options { a: number }\n",
+  "src/util.ts": "export const helper = 1;\n",
+  "src/reexported.ts": "export const r = 1;\n",
+  "src/lazy.ts": "export default 1;\n",
+  "src/lib/a.ts": [
+    'import { upper } from "@acme/utils";',
+    'import lodash from "lodash";',
+    'import fs from "node:fs";',
+    'import { readFile } from "fs";',
+    'export const a = upper("a");',
+    "",
+  ].join("\n"),
+  "src/lib/index.js": 'module.exports = require("./a");\n',
+  "src/legacy.js": [
+    'const utils = require("@acme/utils");',
+    'const { upper } = require("@acme/utils/strings");',
+    'const config = require("#config");',
+    'const { b } = require("./b");',
+    'const later = require("./later");',
+    "function load(require) {",
+    '  return require("./plugin");',
+    "}",
+    "",
+  ].join("\n"),
+  "src/b.js": 'const { c } = require("./c");\nexports.b = 1;\n',
+  "src/c.js": [
+    'const { b } = require("./b");',
+    'const lib = require("./lib");',
+    "exports.c = 2;",
+    "",
+  ].join("\n"),
+  "src/config.js": "module.exports = { port: 3000 };\n",
+  "node_modules/lodash/index.js": 'require("./lodash");\n',
+};
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+function writeFixture() {
+  fs.mkdirSync(path.join(ROOT, ".git"), { recursive: true });
+  for (const [relative, content] of Object.entries(FIXTURE)) {
+    fs.mkdirSync(path.dirname(file(relative)), { recursive: true });
+    fs.writeFileSync(file(relative), content);
+  }
+}
+
+// "specifier -> target" for a file's imports, relative to the fixture
+async function importMap(service, relative) {
+  const imports = await service.getDependencies(file(relative));
+  return Object.fromEntries(
+    imports.map((entry) => [
+      entry.specifier,
+      [
+        entry.kind,
+        entry.file
+          ? path.relative(ROOT, entry.file)
+          : entry.package || (entry.builtin ? "builtin" : "unresolved"),
+        entry.typeOnly ? "type" : "",
+      ]
+        .filter(Boolean)
+        .join(" "),
+    ]),
+  );
+}
+
+function diff(actual, expected) {
+  return Object.entries(expected)
+    .filter(([key, value]) => actual[key] !== value)
+    .map(([key, value]) => `${key}: ${actual[key]} (expected ${value})`);
+}
+
+async function storedRows() {
+  const { data } = await databaseService
+    .getClient()
+    .from("code_roach_module_graph")
+    .select("*")
+    .eq("root_dir", ROOT);
+  return new Map((data || []).map((row) => [row.file_path, row]));
+}
+
+/**
+ * Test 1: Resolution of every kind of import
+ */
+async function testResolution(service) {
+  log("\n🧪 Test 1: Import resolution", "cyan");
+
+  try {
+    const problems = [
+      ...diff(await importMap(service, "src/index.ts"), {
+        "@lib/a": "import src/lib/a.ts",
+        "./types": "import src/types.ts type",
+        "src/util": "import src/util.ts",
+        "./reexported": "re-export src/reexported.ts",
+        "./lazy.js": "dynamic-import src/lazy.ts",
+      }),
+      ...diff(await importMap(service, "src/lib/a.ts"), {
+        "@acme/utils": "import packages/utils/src/index.mjs",
+        lodash: "import lodash",
+        "node:fs": "import builtin",
+        fs: "import builtin",
+      }),
+      ...diff(await importMap(service, "src/legacy.js"), {
+        "@acme/utils": "require packages/utils/src/index.cjs",
+        "@acme/utils/strings": "require packages/utils/src/strings.js",
+        "#config": "require src/config.js",
+        "./b": "require src/b.js",
+        "./later": "require unresolved",
+      }),
+      ...diff(await importMap(service, "src/c.js"), {
+        "./lib": "require src/lib/index.js",
+      }),
+    ];
+    // A parameter named require is not Node's
+    const legacy = await importMap(service, "src/legacy.js");
+    if (astAnalyzer.traverse && legacy["./plugin"]) {
+      problems.push("./plugin is not a module import");
+    }
+    const graph = await service.getGraph(ROOT);
+    if ([...graph.nodes.keys()].some((f) => f.startsWith("node_modules"))) {
+      problems.push("node_modules in the graph");
+    }
+
+    recordTest(
+      "Import resolution",
+      problems.length === 0,
+      problems.length === 0
+        ? `${graph.nodes.size} files; aliases, baseUrl, exports conditions and imports resolved`
+        : problems.join("; "),
+    );
+  } catch (err) {
+    recordTest("Import resolution", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Dependents, dependencies, impact sets and cycles
+ */
+async function testQueries(service) {
+  log("\n🧪 Test 2: Graph queries", "cyan");
+
+  try {
+    const relative = (entries) =>
+      entries
+        .map((e) => `${path.relative(ROOT, e.file)}@${e.depth || 1}`)
+        .sort();
+    const strings = file("packages/utils/src/strings.js");
+    const dependents = relative(await service.getDependents(strings));
+    const impact = relative(await service.getImpactSet([strings]));
+    const dependencies = relative(
+      await service.getDependencies(file("src/index.ts"), {
+        transitive: true,
+        maxDepth: 2,
+      }),
+    );
+    const cycles = (await service.findCycles({ rootDir: ROOT })).map((group) =>
+      group.map((f) => path.relative(ROOT, f)),
+    );
+    const throughA = await service.findCycles({
+      filePath: file("src/lib/a.ts"),
+    });
+
+    const expectedDependents = [
+      "packages/utils/src/index.cjs@1",
+      "packages/utils/src/index.mjs@1",
+      "src/legacy.js@1",
+    ];
+    const expectedImpact = [
+      ...expectedDependents,
+      "src/b.js@5",
+      "src/c.js@4",
+      "src/index.ts@3",
+      "src/lib/a.ts@2",
+      "src/lib/index.js@3",
+    ].sort();
+    const expectedDependencies = [
+      "packages/utils/src/index.mjs@2",
+      "src/lazy.ts@1",
+      "src/lib/a.ts@1",
+      "src/reexported.ts@1",
+      "src/types.ts@1",
+      "src/util.ts@1",
+    ];
+
+    const problems = [];
+    if (JSON.stringify(dependents) !== JSON.stringify(expectedDependents)) {
+      problems.push(`dependents ${dependents}`);
+    }
+    if (JSON.stringify(impact) !== JSON.stringify(expectedImpact)) {
+      problems.push(`impact ${impact}`);
+    }
+    if (JSON.stringify(dependencies) !== JSON.stringify(expectedDependencies)) {
+      problems.push(`dependencies ${dependencies}`);
+    }
+    if (JSON.stringify(cycles) !== JSON.stringify([["src/b.js", "src/c.js"]])) {
+      problems.push(`cycles ${JSON.stringify(cycles)}`);
+    }
+    if (throughA.length !== 0) problems.push("a.ts is in no cycle");
+
+    // The fix impact prediction reads its dependents from the graph
+    const fixImpactPredictionService = require("../../src/services/fixImpactPredictionService");
+    const predicted =
+      await fixImpactPredictionService.findDependentFiles(strings);
+    const indexEntry = predicted.find((p) => p.file === file("src/index.ts"));
+    if (
+      predicted.length !== expectedImpact.length ||
+      indexEntry?.reason !== "imports a.ts, which depends on this file"
+    ) {
+      problems.push("fix impact dependents");
+    }
+
+    recordTest(
+      "Graph queries",
+      problems.length === 0,
+      problems.length === 0
+        ? `${dependents.length} dependents, impact set of ${impact.length}, cycle b.js <-> c.js`
+        : problems.join("; "),
+    );
+  } catch (err) {
+    recordTest("Graph queries", false, err.message);
+  }
+}
+
+/**
+ * Test 3: A persisted graph is reloaded, re-parsing only changed files
+ */
+async function testPersistence() {
+  log("\n🧪 Test 3: Persisted graph", "cyan");
+
+  try {
+    const before = await storedRows();
+
+    // A file changes while nothing is watching; then a new process loads
+    fs.writeFileSync(
+      file("src/util.ts"),
+      'import type { Options } from "./types";\nexport const helper = 1;\n',
+    );
+    delete require.cache[require.resolve(SERVICE)];
+    const service = require(SERVICE);
+    const util = await importMap(service, "src/util.ts");
+    const after = await storedRows();
+
+    const unchanged = [...before.keys()].filter(
+      (f) => f !== "src/util.ts" && f !== "src/types.ts",
+    );
+    const problems = [];
+    if (before.size !== 18) problems.push(`${before.size} stored rows`);
+    if (util["./types"] !== "import src/types.ts type") {
+      problems.push("util.ts change not picked up");
+    }
+    if (
+      !unchanged.every(
+        (f) => after.get(f)?.updated_at === before.get(f).updated_at,
+      )
+    ) {
+      problems.push("unchanged files were stored again");
+    }
+    if (
+      after.get("src/util.ts").content_hash ===
+      before.get("src/util.ts").content_hash
+    ) {
+      problems.push("util.ts row not updated");
+    }
+
+    recordTest(
+      "Persisted graph",
+      problems.length === 0,
+      problems.length === 0
+        ? `${after.size} rows reloaded; only the changed file re-parsed`
+        : problems.join("; "),
+    );
+    return service;
+  } catch (err) {
+    recordTest("Persisted graph", false, err.message);
+    return require(SERVICE);
+  }
+}
+
+/**
+ * Test 4: Incremental updates for added and changed files
+ */
+async function testIncremental(service) {
+  log("\n🧪 Test 4: Incremental updates", "cyan");
+
+  try {
+    fs.writeFileSync(file("src/later.js"), "module.exports = 3;\n");
+    fs.writeFileSync(
+      file("src/c.js"),
+      'const lib = require("./lib");\nexports.c = 2;\n',
+    );
+    const summaries = await service.updateFiles([
+      file("src/later.js"),
+      file("src/c.js"),
+      file("node_modules/lodash/index.js"),
+    ]);
+
+    const legacy = await importMap(service, "src/legacy.js");
+    const cycles = await service.findCycles({ rootDir: ROOT });
+    const stored = await storedRows();
+    const problems = [];
+    if (legacy["./later"] !== "require src/later.js") {
+      problems.push(`./later -> ${legacy["./later"]}`);
+    }
+    if (cycles.length !== 0) problems.push("b.js <-> c.js cycle remains");
+    if (
+      summaries.length !== 1 ||
+      !["src/c.js", "src/later.js", "src/legacy.js"].every((f) =>
+        summaries[0].updated.includes(f),
+      )
+    ) {
+      problems.push(`summary ${JSON.stringify(summaries)}`);
+    }
+    if (
+      !stored.has("src/later.js") ||
+      stored.get("src/c.js").imports.length !== 1 ||
+      !stored.get("src/legacy.js").imports.some(
+        (entry) => entry.target === "src/later.js",
+      )
+    ) {
+      problems.push("storage not updated");
+    }
+
+    recordTest(
+      "Incremental updates",
+      problems.length === 0,
+      problems.length === 0
+        ? "a new file resolves a waiting import; a removed import ends the cycle"
+        : problems.join("; "),
+    );
+  } catch (err) {
+    recordTest("Incremental updates", false, err.message);
+  }
+}
+
+/**
+ * Test 5: The watcher passes a deleted file to the graph
+ */
+async function testWatcher(service) {
+  log("\n🧪 Test 5: Watcher updates", "cyan");
+
+  try {
+    const CodebaseWatcher = require("../../src/services/codebaseWatcher");
+    const watcher = new CodebaseWatcher({
+      rootPath: ROOT,
+      detectIssues: false,
+    });
+    fs.unlinkSync(file("src/b.js"));
+    watcher.pendingFiles.add("src/b.js");
+    await watcher.processPendingFiles();
+
+    const legacy = await importMap(service, "src/legacy.js");
+    const dependents = await service.getDependents(file("src/c.js"));
+    const stored = await storedRows();
+    const passed =
+      legacy["./b"] === "require unresolved" &&
+      dependents.length === 0 &&
+      !stored.has("src/b.js");
+    recordTest(
+      "Watcher updates",
+      passed,
+      passed
+        ? "the deleted file left the graph and storage"
+        : `./b -> ${legacy["./b"]}, ${dependents.length} dependents of c.js`,
+    );
+  } catch (err) {
+    recordTest("Watcher updates", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Dependency Graph Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    writeFixture();
+    await testResolution(require(SERVICE));
+    await testQueries(require(SERVICE));
+    const service = await testPersistence();
+    await testIncremental(service);
+    await testWatcher(service);
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 The module graph is resolved and kept current!", "green");
+    } else {
+      log("\n⚠️  Dependency graph tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,368 @@
+#!/usr/bin/env node
+
+/**
+ * DSAR Test
+ * Seeds a user's account, keys, memberships, reviews and audit entries,
+ * then runs access and erasure requests and checks what they find, delete,
+ * pseudonymize and keep, and that another tenant's owner can't reach the
+ * account through the DSAR routes
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-dsar-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+
+const express = require("express");
+const { authenticate } = require("../../src/commercial-middleware");
+const { createDsarRoutes } = require("../../src/routes/dsarRoutes");
+const tenantContext = require("../../src/services/tenantContext");
+const databaseService = require("../../src/services/databaseService");
+const authStore = require("../../src/services/commercialAuthStore");
+const apiKeyService = require("../../src/services/apiKeyService");
+const accessControlService = require("../../src/services/accessControlService");
+const auditLogService = require("../../src/services/auditLogService");
+const dataSubjectService = require("../../src/services/dataSubjectService");
+const ComplianceService = require("../../src/services/complianceService");
+
+const USER_ID = "user_dsar_subject";
+const OWNER_ID = "user_dsar_other_owner";
+const EMAIL = "subject@example.com";
+const TENANT = "dsar-tenant";
+const OTHER_TENANT = "dsar-other-tenant";
+
+const complianceService = new ComplianceService();
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+/**
+ * Serve the DSAR routes as index.js mounts them
+ */
+function startServer() {
+  const app = express();
+  app.use(express.json());
+  app.use(
+    "/api/compliance/dsar",
+    authenticate,
+    createDsarRoutes({
+      processDSAR: (...args) => complianceService.processDSAR(...args),
+    }),
+  );
+  return new Promise((resolve) => {
+    const server = app.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+/**
+ * JSON request against the test server
+ * @returns {Promise<{status: number, body: Object}>}
+ */
+async function call(baseUrl, method, route, { key, tenantId, body } = {}) {
+  const headers = { "Content-Type": "application/json", "x-api-key": key };
+  if (tenantId) headers["x-tenant-id"] = tenantId;
+  const response = await fetch(`${baseUrl}/api/compliance/dsar${route}`, {
+    method,
+    headers,
+    body: body ? JSON.stringify(body) : undefined,
+  });
+  return { status: response.status, body: await response.json() };
+}
+
+async function rows(table, column, value) {
+  const { data } = await databaseService.query(table, {
+    select: "*",
+    filters: [{ column, operator: "eq", value }],
+  });
+  return data || [];
+}
+
+// Test 1: Seed the subject's data
+async function seedSubject() {
+  log("\n[TEST 1] Seeding the data subject...", "cyan");
+
+  const user = await authStore.createUser({
+    id: USER_ID,
+    email: EMAIL,
+    passwordHash: "$2b$12$not-a-real-hash",
+    tier: "starter",
+  });
+  await authStore.createSession({
+    userId: USER_ID,
+    refreshToken: "refresh-token",
+    expiresAt: new Date(Date.now() + 60 * 60 * 1000).toISOString(),
+  });
+  await apiKeyService.createKey({
+    ownerType: "user",
+    ownerId: USER_ID,
+    name: "ci",
+    scopes: ["analyze:read"],
+  });
+  await accessControlService.createOrganization(
+    { name: "Subject Org", tenantId: TENANT },
+    user,
+  );
+
+  for (const tenantId of [TENANT, OTHER_TENANT]) {
+    await tenantContext.run({ tenantId }, () =>
+      databaseService.insert("code_roach_issues", {
+        id: `issue-${tenantId}`,
+        error_message: "Reviewed issue",
+        error_type: "style",
+        error_severity: "low",
+        review_status: "approved",
+        reviewed_by: USER_ID,
+      }),
+    );
+  }
+  await auditLogService.record({
+    event: "login_succeeded",
+    category: "auth",
+    tenantId: null,
+    actorId: USER_ID,
+  });
+
+  recordTest("Seed", true, "Account, key, membership, reviews and audit");
+  return true;
+}
+
+// Test 2: A tenant access request only covers that tenant's data
+async function testTenantAccess() {
+  log("\n[TEST 2] Tenant access request...", "cyan");
+
+  const dsar = await tenantContext.run({ tenantId: TENANT }, () =>
+    complianceService.processDSAR(TENANT, USER_ID, "access"),
+  );
+  const bundle = dsar.result?.bundle;
+  const reviews = bundle?.locations.issue_reviews?.records || [];
+
+  const passed =
+    dsar.status === "completed" &&
+    reviews.length === 1 &&
+    reviews[0].id === `issue-${TENANT}` &&
+    !bundle.locations.account;
+  recordTest(
+    "Tenant Access",
+    passed,
+    passed
+      ? "Own tenant's review only, no account data"
+      : JSON.stringify(bundle?.locations),
+  );
+}
+
+// Test 3: A platform access request finds the account by email
+async function testPlatformAccess() {
+  log("\n[TEST 3] Platform access request...", "cyan");
+
+  const dsar = await complianceService.processDSAR(null, EMAIL, "access");
+  const bundle = dsar.result?.bundle || { locations: {} };
+  const account = bundle.locations.account?.records[0];
+  const key = bundle.locations.api_keys?.records[0];
+  const stored = await dataSubjectService.getRequest(dsar.id);
+
+  const passed =
+    dsar.status === "completed" &&
+    account?.id === USER_ID &&
+    account.password_hash === undefined &&
+    key && key.key_hash === undefined &&
+    bundle.locations.sessions?.records.length === 1 &&
+    bundle.locations.organization_memberships?.records.length === 1 &&
+    bundle.locations.issue_reviews?.records.length === 2 &&
+    bundle.locations.audit_log?.records.length > 0 &&
+    /^[0-9a-f]{64}$/.test(bundle.checksum) &&
+    stored?.status === "completed" &&
+    stored.result?.checksum === bundle.checksum;
+  recordTest(
+    "Platform Access",
+    passed,
+    passed
+      ? `${bundle.recordCount} records, secrets omitted, status stored`
+      : JSON.stringify(Object.keys(bundle.locations)),
+  );
+}
+
+// Test 4: Another tenant's owner can't erase the account or read other
+// tenants' requests
+async function testTenantOwner() {
+  log("\n[TEST 4] Requests from another tenant's owner...", "cyan");
+
+  let server = null;
+  try {
+    server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    const owner = await authStore.createUser({
+      id: OWNER_ID,
+      email: "owner@example.com",
+      passwordHash: "$2b$12$not-a-real-hash",
+      tier: "starter",
+    });
+    await accessControlService.createOrganization(
+      { name: "Other Org", tenantId: OTHER_TENANT },
+      owner,
+    );
+    const { key } = await apiKeyService.createKey({
+      ownerType: "user",
+      ownerId: OWNER_ID,
+      name: "admin",
+      scopes: ["admin"],
+    });
+    const erase = { subjectId: USER_ID, requestType: "erase" };
+
+    const platform = await call(baseUrl, "POST", "/", { key, body: erase });
+    const otherTenant = await call(baseUrl, "POST", "/", {
+      key,
+      tenantId: OTHER_TENANT,
+      body: { ...erase, tenantId: TENANT },
+    });
+    const own = await call(baseUrl, "POST", "/", {
+      key,
+      tenantId: OTHER_TENANT,
+      body: erase,
+    });
+    const listed = await call(baseUrl, "GET", "/", {
+      key,
+      tenantId: OTHER_TENANT,
+    });
+    const all = await tenantContext.run({ unrestricted: true }, () =>
+      dataSubjectService.listRequests(),
+    );
+    const foreign = all.find((request) => request.tenantId !== OTHER_TENANT);
+    const lookup = await call(baseUrl, "GET", `/${foreign.id}`, {
+      key,
+      tenantId: OTHER_TENANT,
+    });
+
+    const passed =
+      platform.status === 403 &&
+      otherTenant.status === 400 &&
+      own.status === 200 &&
+      own.body.tenantId === OTHER_TENANT &&
+      !own.body.result.locations.some((l) => l.location === "account") &&
+      (await authStore.getUserById(USER_ID))?.id === USER_ID &&
+      (await rows("api_keys", "owner_id", USER_ID)).length === 1 &&
+      listed.body.requests.length === 1 &&
+      listed.body.requests[0].id === own.body.id &&
+      lookup.status === 404;
+    recordTest(
+      "Tenant Owner",
+      passed,
+      passed
+        ? "Erasure stayed in the owner's tenant; other tenants' DSARs hidden"
+        : JSON.stringify({
+            statuses: [platform, otherTenant, own, listed, lookup].map(
+              (response) => response.status,
+            ),
+            own: own.body,
+          }),
+    );
+  } finally {
+    if (server) server.close();
+  }
+}
+
+// Test 5: Erasure deletes the account, pseudonymizes reviews and keeps the
+// audit log
+async function testErasure() {
+  log("\n[TEST 5] Platform erasure request...", "cyan");
+
+  const dsar = await complianceService.processDSAR(null, USER_ID, "erase");
+  const outcome = (name) =>
+    dsar.result?.locations.find((location) => location.location === name);
+  const pseudonym = dataSubjectService.pseudonym(USER_ID);
+  const reviews = await tenantContext.run({ unrestricted: true }, () =>
+    rows("code_roach_issues", "reviewed_by", pseudonym),
+  );
+
+  const passed =
+    dsar.status === "completed" &&
+    dsar.result.verified &&
+    (await rows("commercial_users", "id", USER_ID)).length === 0 &&
+    (await rows("auth_sessions", "user_id", USER_ID)).length === 0 &&
+    (await rows("api_keys", "owner_id", USER_ID)).length === 0 &&
+    (await rows("organization_members", "user_id", USER_ID)).length === 0 &&
+    reviews.length === 2 &&
+    outcome("audit_log")?.status === "retained" &&
+    (await authStore.getUserById(USER_ID)) === null;
+  recordTest(
+    "Erasure",
+    passed,
+    passed
+      ? "Account deleted, reviews pseudonymized, audit retained"
+      : JSON.stringify(dsar.result?.locations || dsar.error),
+  );
+}
+
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("DSAR Integration Test", "cyan");
+  log("=".repeat(60) + "\n", "cyan");
+
+  try {
+    if (await seedSubject()) {
+      await testTenantAccess();
+      await testPlatformAccess();
+      await testTenantOwner();
+      await testErasure();
+    }
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Data subject requests complete and verified!", "green");
+    } else {
+      log("\n⚠️  DSAR tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
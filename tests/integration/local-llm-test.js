@@ -0,0 +1,260 @@
+#!/usr/bin/env node
+
+/**
+ * Local LLM Test
+ * Serves a fake OpenAI-compatible model server on localhost and checks the
+ * self-hosted embedding provider against it: auto selection, request shape,
+ * credentials and failures
+ */
+
+const http = require("http");
+
+const CONFIG = "../../src/config";
+const PROVIDERS = "../../src/services/llm/embeddingProviders";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+// Requests received by the fake server
+const requests = [];
+
+/**
+ * Minimal OpenAI-compatible /embeddings endpoint
+ * Vectors encode the input length so responses can be matched to inputs
+ */
+function startServer() {
+  const server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      const payload = body ? JSON.parse(body) : {};
+      requests.push({
+        url: req.url,
+        authorization: req.headers.authorization || null,
+        payload,
+      });
+      res.setHeader("Content-Type", "application/json");
+
+      if (req.url !== "/v1/embeddings" || payload.model === "broken") {
+        res.statusCode = 500;
+        res.end(JSON.stringify({ error: { message: "model failed" } }));
+        return;
+      }
+      res.end(
+        JSON.stringify({
+          data: payload.input.map((text, index) => ({
+            index,
+            embedding: [text.length, index, 1],
+          })),
+          usage: { total_tokens: 10 },
+        }),
+      );
+    });
+  });
+  return new Promise((resolve) => {
+    server.listen(0, "127.0.0.1", () => resolve(server));
+  });
+}
+
+/**
+ * Test 1: Auto mode prefers the configured local server
+ */
+function testSelection(providers, baseUrl) {
+  try {
+    const active = providers.getActiveEmbeddingProvider();
+    const info = providers.describeProvider(active);
+    const { LocalLLMEmbeddingProvider } = providers;
+    const noModel = new LocalLLMEmbeddingProvider({ baseUrl });
+    const noUrl = new LocalLLMEmbeddingProvider({ model: "nomic" });
+
+    const passed =
+      active.name === "local-llm" &&
+      active.baseUrl === baseUrl &&
+      info.model === "nomic-embed-text" &&
+      info.dimension === 3 &&
+      !noModel.isAvailable() &&
+      !noUrl.isAvailable();
+    recordTest(
+      "Provider selection",
+      passed,
+      passed
+        ? `auto picked ${info.provider}/${info.model}`
+        : JSON.stringify(info),
+    );
+  } catch (err) {
+    recordTest("Provider selection", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Batches are sent to /embeddings with the local model and key
+ */
+async function testEmbed(providers) {
+  try {
+    const provider = providers.getActiveEmbeddingProvider();
+    requests.length = 0;
+    const long = "x".repeat(9000);
+    const vectors = await provider.embed(["const a = 1;", long]);
+    const [request] = requests;
+
+    const passed =
+      requests.length === 1 &&
+      request.url === "/v1/embeddings" &&
+      request.authorization === "Bearer local-secret" &&
+      request.payload.model === "nomic-embed-text" &&
+      request.payload.input[1].length === 8000 &&
+      JSON.stringify(vectors) === "[[12,0,1],[8000,1,1]]";
+    recordTest(
+      "Embedding request",
+      passed,
+      passed
+        ? "one batched request with the local model, key and truncated input"
+        : JSON.stringify({ request, vectors }),
+    );
+
+    // A keyless server gets no Authorization header, never the OpenAI key
+    process.env.OPENAI_API_KEY = "sk-cloud-key";
+    const keyless = new providers.LocalLLMEmbeddingProvider({
+      baseUrl: provider.baseUrl,
+      model: "nomic-embed-text",
+    });
+    requests.length = 0;
+    await keyless.embed(["a"]);
+    delete process.env.OPENAI_API_KEY;
+    const noKey = requests.length === 1 && requests[0].authorization === null;
+    recordTest(
+      "Keyless server",
+      noKey,
+      noKey
+        ? "no credentials were sent"
+        : `authorization ${requests[0]?.authorization}`,
+    );
+  } catch (err) {
+    recordTest("Embedding request", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Server errors yield no vectors instead of throwing
+ */
+async function testFailure(providers, baseUrl) {
+  try {
+    const broken = new providers.LocalLLMEmbeddingProvider({
+      baseUrl,
+      model: "broken",
+      retries: 1,
+    });
+    const unreachable = new providers.LocalLLMEmbeddingProvider({
+      baseUrl: "http://127.0.0.1:9/v1",
+      model: "nomic-embed-text",
+      retries: 1,
+    });
+    const fromError = await broken.embed(["a", "b"]);
+    const fromNetwork = await unreachable.embed(["a"]);
+
+    const passed =
+      JSON.stringify(fromError) === "[null,null]" &&
+      JSON.stringify(fromNetwork) === "[null]";
+    recordTest(
+      "Failures",
+      passed,
+      passed
+        ? "API and network errors returned null vectors"
+        : JSON.stringify({ fromError, fromNetwork }),
+    );
+  } catch (err) {
+    recordTest("Failures", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Local LLM Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  let server = null;
+  try {
+    server = await startServer();
+    const baseUrl = `http://127.0.0.1:${server.address().port}/v1`;
+
+    // Configure the local server, then load config and providers afresh
+    Object.assign(process.env, {
+      LOCAL_LLM_BASE_URL: `${baseUrl}/`,
+      LOCAL_LLM_API_KEY: "local-secret",
+      LOCAL_LLM_EMBEDDING_MODEL: "nomic-embed-text",
+      LOCAL_LLM_EMBEDDING_DIMENSION: "3",
+    });
+    delete process.env.OPENAI_API_KEY;
+    delete process.env.CODE_ROACH_EMBEDDING_PROVIDER;
+    for (const module of [CONFIG, PROVIDERS]) {
+      delete require.cache[require.resolve(module)];
+    }
+    const providers = require(PROVIDERS);
+
+    testSelection(providers, baseUrl);
+    await testEmbed(providers);
+    await testFailure(providers, baseUrl);
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    if (server) server.close();
+    for (const name of Object.keys(process.env)) {
+      if (name.startsWith("LOCAL_LLM_")) delete process.env[name];
+    }
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 The self-hosted model server is used for embeddings!", "green");
+    } else {
+      log("\n⚠️  Local LLM tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,529 @@
+#!/usr/bin/env node
+
+/**
+ * Local Storage Backend Test
+ * Runs the supabase-js compatible client of the embedded backend against
+ * the migration schemas: filters, upsert conflict targets, unique
+ * violations and tenant keys, single(), rpc, batched and synchronous
+ * writes, flushing on exit and SIGTERM, and reloading the tables from disk
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { execFileSync } = require("child_process");
+
+const { LocalStorageBackend } = require("../../src/services/localStorageBackend");
+
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-local-"));
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+const rule = (name, category, timesApplied, extra = {}) => ({
+  rule_name: name,
+  rule_content: `Rule ${name}`,
+  rule_category: category,
+  times_applied: timesApplied,
+  ...extra,
+});
+
+const RULES = [
+  rule("no-eval", "security", 12),
+  rule("prefer-const", "style", 3),
+  rule("no-sync-io", "performance", 7),
+  rule("no-inner-html", "security", 0, { is_active: false }),
+];
+
+/**
+ * Test 1: Inserts get schema defaults and filters match like PostgREST
+ */
+async function testFilters(db) {
+  try {
+    const { data: inserted, error } = await db
+      .from("code_roach_cursor_rules")
+      .insert(RULES)
+      .select();
+    if (error) throw new Error(error.message);
+
+    const defaults =
+      inserted.map((r) => r.id).join(",") === "1,2,3,4" &&
+      inserted[0].is_active === true &&
+      inserted[3].is_active === false &&
+      typeof inserted[0].created_at === "string";
+    recordTest(
+      "Schema defaults",
+      defaults,
+      defaults
+        ? "serial ids and column defaults were applied"
+        : JSON.stringify(inserted[0]),
+    );
+
+    const names = async (query) => {
+      const { data, error: queryError } = await query;
+      if (queryError) throw new Error(queryError.message);
+      return data.map((r) => r.rule_name).join(",");
+    };
+    const rules = () => db.from("code_roach_cursor_rules").select("*");
+    const checks = {
+      "eq + gte + order": [
+        await names(
+          rules()
+            .eq("rule_category", "security")
+            .gte("times_applied", 1)
+            .order("times_applied", { ascending: false }),
+        ),
+        "no-eval",
+      ],
+      "in + neq": [
+        await names(
+          rules()
+            .in("rule_category", ["style", "performance"])
+            .neq("rule_name", "prefer-const"),
+        ),
+        "no-sync-io",
+      ],
+      ilike: [
+        await names(rules().ilike("rule_name", "NO-%").order("id")),
+        "no-eval,no-sync-io,no-inner-html",
+      ],
+      "not + is": [
+        await names(rules().not("is_active", "is", true)),
+        "no-inner-html",
+      ],
+      or: [
+        await names(
+          rules().or("times_applied.gt.10,rule_category.eq.style").order("id"),
+        ),
+        "no-eval,prefer-const",
+      ],
+      "order + range": [
+        await names(rules().order("times_applied").range(1, 2)),
+        "prefer-const,no-sync-io",
+      ],
+    };
+    const failures = Object.entries(checks).filter(
+      ([, [actual, expected]]) => actual !== expected,
+    );
+    recordTest(
+      "Filters",
+      failures.length === 0,
+      failures.length === 0
+        ? `${Object.keys(checks).length} filter combinations matched`
+        : failures.map(([name, [actual]]) => `${name} -> ${actual}`).join("; "),
+    );
+  } catch (err) {
+    recordTest("Filters", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Upserts merge on the conflict target; plain inserts violate it
+ */
+async function testUpsert(db) {
+  try {
+    const budget = (scopeId, dailyTokens) => ({
+      scope_type: "project",
+      scope_id: scopeId,
+      daily_tokens: dailyTokens,
+    });
+    await db.from("llm_budgets").insert(budget("p1", 1000));
+    const { data: upserted } = await db
+      .from("llm_budgets")
+      .upsert([budget("p1", 5000), budget("p2", 200)], {
+        onConflict: "scope_type,scope_id",
+      })
+      .select();
+    await db
+      .from("llm_budgets")
+      .upsert(budget("p1", 1), {
+        onConflict: "scope_type,scope_id",
+        ignoreDuplicates: true,
+      });
+    const { data: rows } = await db
+      .from("llm_budgets")
+      .select("*")
+      .order("scope_id");
+
+    const passed =
+      upserted.length === 2 &&
+      rows.length === 2 &&
+      rows[0].daily_tokens === 5000 &&
+      rows[0].id === upserted[0].id &&
+      rows[1].daily_tokens === 200;
+    recordTest(
+      "Upsert onConflict",
+      passed,
+      passed
+        ? "the conflicting row was merged in place, ignoreDuplicates kept it"
+        : JSON.stringify(rows),
+    );
+  } catch (err) {
+    recordTest("Upsert onConflict", false, err.message);
+  }
+}
+
+/**
+ * Test 3: A unique violation anywhere in a batch writes none of it
+ */
+async function testUniqueViolation(db) {
+  try {
+    const { data, error } = await db.from("code_roach_cursor_rules").insert([
+      { rule_name: "no-var", rule_content: "Use let" },
+      { rule_name: "no-eval", rule_content: "Duplicate" },
+    ]);
+    const { data: after } = await db
+      .from("code_roach_cursor_rules")
+      .select("*")
+      .eq("rule_name", "no-var");
+    const { data: next } = await db
+      .from("code_roach_cursor_rules")
+      .insert({ rule_name: "no-var", rule_content: "Use let" })
+      .select()
+      .single();
+
+    const passed =
+      data === null &&
+      error?.code === "23505" &&
+      after.length === 0 &&
+      next.id === 5;
+    recordTest(
+      "Unique violation",
+      passed,
+      passed
+        ? "23505 was returned and the batch left no rows or sequence gaps"
+        : `error ${error?.code}, ${after.length} partial rows, next id ${next?.id}`,
+    );
+
+    const { error: inBatch } = await db.from("code_roach_cursor_rules").insert([
+      { rule_name: "twin", rule_content: "a" },
+      { rule_name: "twin", rule_content: "b" },
+    ]);
+    const { data: twins } = await db
+      .from("code_roach_cursor_rules")
+      .select("*")
+      .eq("rule_name", "twin");
+    const withinBatch = inBatch?.code === "23505" && twins.length === 0;
+    recordTest(
+      "Duplicate within a batch",
+      withinBatch,
+      withinBatch
+        ? "rows conflicting with each other were rejected together"
+        : `error ${inBatch?.code}, ${twins.length} rows written`,
+    );
+
+    // Tenant-scoped tables are keyed within the tenant, not by fingerprint
+    const pattern = (tenantId) => ({
+      fingerprint: "fp-shared",
+      error_pattern: {},
+      tenant_id: tenantId,
+    });
+    const { error: first } = await db
+      .from("code_roach_patterns")
+      .insert([pattern("tenant-a"), pattern("tenant-b"), pattern(null)]);
+    const { error: again } = await db
+      .from("code_roach_patterns")
+      .insert(pattern("tenant-a"));
+    const { error: untenanted } = await db
+      .from("code_roach_patterns")
+      .insert({ fingerprint: "fp-shared", error_pattern: {} });
+    const perTenant =
+      !first && again?.code === "23505" && untenanted?.code === "23505";
+    recordTest(
+      "Tenant keys",
+      perTenant,
+      perTenant
+        ? "a fingerprint is unique per tenant, untenanted rows included"
+        : `errors ${first?.code}, ${again?.code}, ${untenanted?.code}`,
+    );
+  } catch (err) {
+    recordTest("Unique violation", false, err.message);
+  }
+}
+
+/**
+ * Test 4: single() and maybeSingle() report row counts like PostgREST
+ */
+async function testSingle(db) {
+  try {
+    const rules = () => db.from("code_roach_cursor_rules").select("*");
+    const one = await rules().eq("rule_name", "prefer-const").single();
+    const none = await rules().eq("rule_name", "missing").single();
+    const many = await rules().eq("rule_category", "security").single();
+    const maybe = await rules().eq("rule_name", "missing").maybeSingle();
+
+    const passed =
+      one.data?.rule_name === "prefer-const" &&
+      one.error === null &&
+      none.data === null &&
+      none.error?.code === "PGRST116" &&
+      many.error?.code === "PGRST116" &&
+      maybe.data === null &&
+      maybe.error === null;
+    recordTest(
+      "single()",
+      passed,
+      passed
+        ? "one row resolved, zero or several rows returned PGRST116"
+        : `none ${none.error?.code}, many ${many.error?.code}, maybe ${maybe.error?.code}`,
+    );
+  } catch (err) {
+    recordTest("single()", false, err.message);
+  }
+}
+
+/**
+ * Test 5: Built-in and registered functions run through rpc()
+ */
+async function testRpc(db) {
+  try {
+    await db.from("code_roach_rule_effectiveness").insert([
+      { rule_id: 1, issue_was_prevented: true },
+      { rule_id: 1, issue_was_prevented: false },
+      { rule_id: 1, issue_was_prevented: true },
+      { rule_id: 1, issue_was_prevented: true },
+    ]);
+    const { data: effectiveness } = await db.rpc(
+      "calculate_rule_effectiveness",
+      { rule_id_param: 1 },
+    );
+    db.registerRpc("count_rules", (params, backend) =>
+      backend.getRows("code_roach_cursor_rules").length,
+    );
+    const { data: count } = await db.rpc("count_rules");
+    const { error: missing } = await db.rpc("not_a_function");
+
+    const passed =
+      effectiveness[0].times_applied === 4 &&
+      effectiveness[0].success_rate === 75 &&
+      count === 5 &&
+      missing?.code === "PGRST202";
+    recordTest(
+      "rpc",
+      passed,
+      passed
+        ? "built-in and registered functions ran, unknown ones returned PGRST202"
+        : `${JSON.stringify(effectiveness)}, count ${count}, ${missing?.code}`,
+    );
+  } catch (err) {
+    recordTest("rpc", false, err.message);
+  }
+}
+
+/**
+ * Test 6: Writes are batched until flush(), and the process exit flushes them
+ */
+async function testBatchedWrites(db) {
+  try {
+    const onDisk = () =>
+      JSON.parse(
+        fs.readFileSync(path.join(dataDir, "code_roach_cursor_rules.json")),
+      ).rows.find((r) => r.rule_name === "prefer-const").times_applied;
+
+    db.flush();
+    await db
+      .from("code_roach_cursor_rules")
+      .update({ times_applied: 99 })
+      .eq("rule_name", "prefer-const");
+    const beforeFlush = onDisk();
+    db.flush();
+    const afterFlush = onDisk();
+
+    const passed = beforeFlush === 3 && afterFlush === 99;
+    recordTest(
+      "Batched writes",
+      passed,
+      passed
+        ? "the update reached disk on flush(), not on every write"
+        : `on disk ${beforeFlush} before flush, ${afterFlush} after`,
+    );
+
+    await db.from("audit_log").insert({
+      chain_id: "system",
+      sequence: 1,
+      event: "login",
+    });
+    const audited = JSON.parse(
+      fs.readFileSync(path.join(dataDir, "audit_log.json")),
+    ).rows;
+    const synced = audited.length === 1 && audited[0].event === "login";
+    recordTest(
+      "Synchronous tables",
+      synced,
+      synced
+        ? "the audit entry was on disk without a flush"
+        : `${audited.length} audit rows on disk`,
+    );
+
+    // A process that exits right after writing still saves its tables
+    const exitDir = path.join(dataDir, "exit");
+    execFileSync(process.execPath, [
+      "-e",
+      `const { LocalStorageBackend } = require(${JSON.stringify(
+        require.resolve("../../src/services/localStorageBackend"),
+      )});
+      new LocalStorageBackend({ dataDir: ${JSON.stringify(exitDir)} })
+        .from("llm_budgets")
+        .insert({ scope_type: "global", scope_id: "all" })
+        .then(() => process.exit(0));`,
+    ]);
+    const { data: saved } = await new LocalStorageBackend({ dataDir: exitDir })
+      .from("llm_budgets")
+      .select("*");
+    const onExit = saved.length === 1 && saved[0].scope_id === "all";
+    recordTest(
+      "Flush on exit",
+      onExit,
+      onExit
+        ? "the pending insert was written when the process exited"
+        : `${saved.length} rows saved`,
+    );
+
+    // ...and so does one stopped by a signal
+    const signalDir = path.join(dataDir, "signal");
+    try {
+      execFileSync(process.execPath, [
+        "-e",
+        `const { LocalStorageBackend } = require(${JSON.stringify(
+          require.resolve("../../src/services/localStorageBackend"),
+        )});
+        new LocalStorageBackend({ dataDir: ${JSON.stringify(signalDir)} })
+          .from("llm_budgets")
+          .insert({ scope_type: "global", scope_id: "all" })
+          .then(() => process.kill(process.pid, "SIGTERM"));
+        setTimeout(() => {}, 5000);`,
+      ]);
+    } catch (err) {
+      // Killed by SIGTERM once the tables are flushed
+    }
+    const { data: kept } = await new LocalStorageBackend({
+      dataDir: signalDir,
+    })
+      .from("llm_budgets")
+      .select("*");
+    const onSignal = kept.length === 1;
+    recordTest(
+      "Flush on SIGTERM",
+      onSignal,
+      onSignal
+        ? "the pending insert was written before the process was stopped"
+        : `${kept.length} rows saved`,
+    );
+  } catch (err) {
+    recordTest("Batched writes", false, err.message);
+  }
+}
+
+/**
+ * Test 7: A new backend on the same directory sees every write
+ */
+async function testReload(db) {
+  try {
+    await db.from("llm_budgets").delete().eq("scope_id", "p2");
+    db.flush();
+
+    const reloaded = new LocalStorageBackend({ dataDir });
+    const { data: rules } = await reloaded
+      .from("code_roach_cursor_rules")
+      .select("*")
+      .order("id");
+    const { data: budgets } = await reloaded.from("llm_budgets").select("*");
+    const { data: created } = await reloaded
+      .from("code_roach_cursor_rules")
+      .insert({ rule_name: "after-reload", rule_content: "x" })
+      .select()
+      .single();
+
+    const passed =
+      rules.length === 5 &&
+      rules[1].times_applied === 99 &&
+      budgets.length === 1 &&
+      budgets[0].scope_id === "p1" &&
+      created.id === 6;
+    recordTest(
+      "Persistence reload",
+      passed,
+      passed
+        ? "rows, updates, deletes and the serial sequence survived a reload"
+        : `${rules.length} rules, ${budgets.length} budgets, next id ${created?.id}`,
+    );
+  } catch (err) {
+    recordTest("Persistence reload", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Local Storage Backend Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    const db = new LocalStorageBackend({ dataDir });
+    await testFilters(db);
+    await testUpsert(db);
+    await testUniqueViolation(db);
+    await testSingle(db);
+    await testRpc(db);
+    await testBatchedWrites(db);
+    await testReload(db);
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 The local backend behaves like Supabase!", "green");
+    } else {
+      log("\n⚠️  Local storage backend tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,349 @@
+#!/usr/bin/env node
+
+/**
+ * Multi-Language AST Test
+ * Parses Python, Java and Rust with the tree-sitter grammars (when
+ * web-tree-sitter and tree-sitter-wasms are installed), checks the normalized
+ * tree and runs the detectors on each language. Without the grammars, checks
+ * that analysis falls back to the regex detectors.
+ */
+
+const multiLanguageAST = require("../../src/services/multiLanguageAST");
+const treeSitterParser = require("../../src/services/treeSitterParser");
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+const PYTHON = `import os
+import re
+from typing import Optional
+
+def load(path: str, default: Optional[str] = None) -> str:
+    match = re.match(r"(\\w+)", path)
+    print(match.group(1))
+    value = os.environ.get("HOME")
+    if value:
+        return value.upper()
+    response = requests.get(path, timeout=5).json()
+    try:
+        requests.post(path)
+    except requests.RequestException:
+        pass
+    threading.Timer(60, refresh).start()
+    return default.strip() + suffix
+`;
+
+const JAVA = `import java.util.Map;
+
+class Cache {
+    private final Map<String, String> entries;
+
+    Cache(Map<String, String> entries) { this.entries = entries; }
+
+    String lookup(String key) {
+        String value = entries.get(key);
+        return value.trim() + suffix;
+    }
+
+    String safe(String key) {
+        String value = entries.get(key);
+        if (value != null) { return value.trim(); }
+        return "";
+    }
+
+    void fetch(HttpClient client, HttpRequest request) {
+        client.sendAsync(request, BodyHandlers.ofString());
+        new Timer().schedule(task, 1000);
+    }
+}
+`;
+
+const RUST = `use std::collections::HashMap;
+
+fn lookup(map: &HashMap<String, u32>, key: &str) -> u32 {
+    *map.get(key).unwrap()
+}
+
+async fn fetch(url: &str) -> Result<String, reqwest::Error> {
+    let body = reqwest::get(url).await?.text().await?;
+    Ok(body)
+}
+
+fn fire(url: &str) {
+    let _ = reqwest::blocking::get(url);
+    std::thread::spawn(move || work(url));
+}
+`;
+
+/**
+ * Findings as "type:line:name" for comparison
+ */
+function summarize(findings) {
+  return findings
+    .map((p) => {
+      const name = p.variable || p.function || `${p.object}.${p.property}`;
+      return `${p.type}:${p.line}:${name}`;
+    })
+    .sort();
+}
+
+/**
+ * Compare findings with the expected ones
+ */
+function checkFindings(name, language, code, expected) {
+  try {
+    const findings = multiLanguageAST.analyzeCode(code, language);
+    const actual = summarize(findings);
+    const missing = expected.filter((entry) => !actual.includes(entry));
+    const unexpected = actual.filter((entry) => !expected.includes(entry));
+    const located = findings.every(
+      (p) =>
+        p.language === language &&
+        p.column >= 0 &&
+        p.location?.endColumn >= 0 &&
+        p.confidence > 0,
+    );
+
+    const passed = missing.length === 0 && unexpected.length === 0 && located;
+    recordTest(
+      name,
+      passed,
+      passed
+        ? `${findings.length} findings at their exact lines`
+        : `missing=${missing.join(",")} unexpected=${unexpected.join(",")} located=${located}`,
+    );
+  } catch (err) {
+    recordTest(name, false, err.message);
+  }
+}
+
+/**
+ * Test 1: The normalized tree
+ */
+function testNormalizedTree() {
+  log("\n🧪 Test 1: Normalized tree", "cyan");
+
+  try {
+    const python = treeSitterParser.parse("user.name = load(key)\n", "python");
+    const java = treeSitterParser.parse(
+      "class A { int f() { return a.b(c); } }",
+      "java",
+    );
+    const rust = treeSitterParser.parse("fn f() { let x = p.q; }", "rust");
+
+    const find = (tree, predicate) => {
+      let found = null;
+      treeSitterParser.walk(tree.root, (node) => {
+        if (!found && predicate(node)) found = node;
+      });
+      return found;
+    };
+
+    const problems = [];
+    const attribute = find(python, (node) => node.kind === "member");
+    if (
+      treeSitterParser.child(attribute, "object")?.text !== "user" ||
+      treeSitterParser.child(attribute, "property")?.text !== "name" ||
+      attribute.field !== "left" ||
+      attribute.line !== 1 ||
+      attribute.column !== 0
+    ) {
+      problems.push("python member");
+    }
+    const pythonCall = find(python, (node) => node.kind === "call");
+    if (treeSitterParser.child(pythonCall, "callee")?.text !== "load") {
+      problems.push("python call");
+    }
+
+    const invocation = find(java, (node) => node.kind === "call");
+    if (
+      treeSitterParser.child(invocation, "object")?.text !== "a" ||
+      treeSitterParser.child(invocation, "property")?.text !== "b" ||
+      invocation.parent.kind !== "return"
+    ) {
+      problems.push("java method call");
+    }
+
+    const binding = find(rust, (node) => node.kind === "assignment");
+    const field = treeSitterParser.child(binding, "right");
+    if (
+      treeSitterParser.child(binding, "left")?.text !== "x" ||
+      field?.kind !== "member" ||
+      treeSitterParser.child(field, "property")?.text !== "q"
+    ) {
+      problems.push("rust let");
+    }
+
+    // parent is not enumerable, so trees serialize
+    const copy = JSON.parse(JSON.stringify(python));
+    if (copy.root.type !== "module" || "parent" in copy.root.children[0]) {
+      problems.push("serialization");
+    }
+    const broken = treeSitterParser.parse("def (:", "python");
+    if (python.hasErrors || !broken.hasErrors) {
+      problems.push("hasErrors");
+    }
+    if (treeSitterParser.parse("package main", "go") !== null) {
+      problems.push("unsupported language");
+    }
+
+    recordTest(
+      "Normalized tree",
+      problems.length === 0,
+      problems.length === 0
+        ? "members, calls and bindings share kinds and fields across languages"
+        : problems.join(", "),
+    );
+  } catch (err) {
+    recordTest("Normalized tree", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Python detectors
+ */
+function testPython() {
+  log("\n🧪 Test 2: Python", "cyan");
+  checkFindings("Python", "python", PYTHON, [
+    "null-reference:7:match.group",
+    "null-reference:17:default.strip",
+    "undefined-variable:11:requests",
+    "undefined-variable:13:requests",
+    "undefined-variable:14:requests",
+    "undefined-variable:16:threading",
+    "undefined-variable:16:refresh",
+    "undefined-variable:17:suffix",
+    "missing-error-handling:11:requests.get",
+    "memory-leak:16:threading.Timer",
+  ]);
+}
+
+/**
+ * Test 3: Java detectors
+ */
+function testJava() {
+  log("\n🧪 Test 3: Java", "cyan");
+  checkFindings("Java", "java", JAVA, [
+    "null-reference:10:value.trim",
+    "undefined-variable:10:suffix",
+    "undefined-variable:21:task",
+    "missing-error-handling:20:client.sendAsync",
+    "memory-leak:21:Timer",
+  ]);
+}
+
+/**
+ * Test 4: Rust detectors
+ */
+function testRust() {
+  log("\n🧪 Test 4: Rust", "cyan");
+  checkFindings("Rust", "rust", RUST, [
+    "null-reference:4:map.get(key).unwrap()",
+    "undefined-variable:14:work",
+    "missing-error-handling:13:reqwest::blocking::get",
+    "memory-leak:14:std::thread::spawn",
+  ]);
+}
+
+/**
+ * Test 5: Without grammars, analysis uses the regex detectors
+ */
+function testFallback() {
+  log("\n🧪 Test 5: Regex fallback", "cyan");
+
+  try {
+    const findings = multiLanguageAST.analyzeCode(PYTHON, "python");
+    const passed =
+      Array.isArray(findings) &&
+      findings.length > 0 &&
+      findings.every((p) => p.type === "null-reference" && !p.location);
+    recordTest(
+      "Regex fallback",
+      passed,
+      passed
+        ? `${findings.length} regex findings without a grammar`
+        : `${findings.length} findings`,
+    );
+  } catch (err) {
+    recordTest("Regex fallback", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Multi-Language AST Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    const loaded = await multiLanguageAST.initialize();
+    if (Object.values(loaded).every(Boolean)) {
+      testNormalizedTree();
+      testPython();
+      testJava();
+      testRust();
+    } else {
+      log(
+        "⚠️  tree-sitter grammars not installed; skipping tree parsing",
+        "yellow",
+      );
+      testFallback();
+    }
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Python, Java and Rust parse into one tree!", "green");
+    } else {
+      log("\n⚠️  Multi-language AST tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
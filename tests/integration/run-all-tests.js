@@ -5,12 +5,57 @@
  * Runs all integration test suites and provides summary
  */
 
+const {
+  runTests: runLocalStorageBackendTests,
+} = require("./local-storage-backend-test");
+const { runTests: runVectorIndexTests } = require("./vector-index-test");
+const {
+  runTests: runEmbeddingProviderTests,
+} = require("./embedding-providers-test");
+const { runTests: runLocalLLMTests } = require("./local-llm-test");
+const { runTests: runStructuredFixTests } = require("./structured-fix-test");
+const { runTests: runLLMReplayTests } = require("./llm-replay-test");
+const {
+  runTests: runEnterpriseBudgetTests,
+} = require("./enterprise-budget-test");
+const {
+  runTests: runCodeRoachIssueTests,
+} = require("./code-roach-issues-test");
+const { runTests: runCodeAnalysisTests } = require("./code-analysis-test");
+const { runTests: runCommercialAuthTests } = require("./commercial-auth-test");
+const { runTests: runApiKeyTests } = require("./api-keys-test");
+const { runTests: runAccessControlTests } = require("./access-control-test");
 const { runTests: runAuthTests } = require("./api-auth-test");
 const { runTests: runWebhookTests } = require("./github-webhook-test");
 const {
   runTests: runOrchestrationTests,
 } = require("./orchestration-pipeline-test");
 const { runTests: runFrontendTests } = require("./frontend-ui-test");
+const { runTests: runTenantTests } = require("./tenant-isolation-test");
+const { runTests: runAuditLogTests } = require("./audit-log-test");
+const { runTests: runDsarTests } = require("./dsar-test");
+const { runTests: runRetentionTests } = require("./retention-test");
+const {
+  runTests: runPromptRedactionTests,
+} = require("./prompt-redaction-test");
+const {
+  runTests: runFieldEncryptionTests,
+} = require("./field-encryption-test");
+const {
+  runTests: runComplianceReportTests,
+} = require("./compliance-report-test");
+const {
+  runTests: runWebhookDeliveryTests,
+} = require("./webhook-delivery-test");
+const { runTests: runAstRuleEngineTests } = require("./ast-rule-engine-test");
+const {
+  runTests: runMultiLanguageAstTests,
+} = require("./multi-language-ast-test");
+const { runTests: runSecurityTaintTests } = require("./security-taint-test");
+const { runTests: runSarifExportTests } = require("./sarif-export-test");
+const {
+  runTests: runDependencyGraphTests,
+} = require("./dependency-graph-test");
 const { runTests: runE2ETests } = require("../e2e/code-roach-e2e-test");
 
 const colors = {
@@ -56,10 +101,38 @@ async function runAllTests() {
   const startTime = Date.now();
 
   // Run all test suites
+  await runTestSuite(
+    "Local Storage Backend Tests",
+    runLocalStorageBackendTests,
+  );
+  await runTestSuite("Vector Index Tests", runVectorIndexTests);
+  await runTestSuite("Embedding Provider Tests", runEmbeddingProviderTests);
+  await runTestSuite("Local LLM Tests", runLocalLLMTests);
+  await runTestSuite("Structured Fix Tests", runStructuredFixTests);
+  await runTestSuite("LLM Replay Tests", runLLMReplayTests);
+  await runTestSuite("Enterprise Budget Tests", runEnterpriseBudgetTests);
+  await runTestSuite("Code Roach Issue Tests", runCodeRoachIssueTests);
+  await runTestSuite("Code Analysis Tests", runCodeAnalysisTests);
+  await runTestSuite("Commercial Auth Tests", runCommercialAuthTests);
+  await runTestSuite("API Key Tests", runApiKeyTests);
+  await runTestSuite("Access Control Tests", runAccessControlTests);
   await runTestSuite("API Authentication Tests", runAuthTests);
   await runTestSuite("GitHub Webhook Tests", runWebhookTests);
   await runTestSuite("Orchestration Pipeline Tests", runOrchestrationTests);
   await runTestSuite("Frontend UI Tests", runFrontendTests);
+  await runTestSuite("Tenant Isolation Tests", runTenantTests);
+  await runTestSuite("Audit Log Tests", runAuditLogTests);
+  await runTestSuite("DSAR Tests", runDsarTests);
+  await runTestSuite("Retention Tests", runRetentionTests);
+  await runTestSuite("Prompt Redaction Tests", runPromptRedactionTests);
+  await runTestSuite("Field Encryption Tests", runFieldEncryptionTests);
+  await runTestSuite("Compliance Report Tests", runComplianceReportTests);
+  await runTestSuite("Webhook Delivery Tests", runWebhookDeliveryTests);
+  await runTestSuite("AST Rule Engine Tests", runAstRuleEngineTests);
+  await runTestSuite("Multi-Language AST Tests", runMultiLanguageAstTests);
+  await runTestSuite("Security Taint Tests", runSecurityTaintTests);
+  await runTestSuite("SARIF Export Tests", runSarifExportTests);
+  await runTestSuite("Dependency Graph Tests", runDependencyGraphTests);
   await runTestSuite("End-to-End Tests", runE2ETests);
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(2);
@@ -0,0 +1,488 @@
+#!/usr/bin/env node
+
+/**
+ * SARIF Export Test
+ * Stores issues from two crawls of a project, reviews some of them and
+ * exports them as SARIF 2.1.0: rules, results and locations, fingerprints,
+ * fixes, suppressions from review decisions, a single crawl's export and
+ * a pull request analysis with a taint trace
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-sarif-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+
+const issueStorageService = require("../../src/services/issueStorageService");
+const sarifExporter = require("../../src/services/sarifExporter");
+
+const PROJECT = "sarif-project";
+const ROOT = path.join(dataDir, "repo");
+const USERS = path.join(ROOT, "src", "users.js");
+const CART = path.join(ROOT, "src", "cart.js");
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+const SQL = "db.query(`SELECT * FROM users WHERE id = ${id}`)";
+
+const ISSUES = [
+  {
+    type: "sql-injection",
+    severity: "critical",
+    message: "SQL injection: Express request input req.query.id reaches db.query()",
+    filePath: USERS,
+    line: 19,
+    column: 21,
+    code: SQL,
+    crawlId: "crawl_1",
+  },
+  {
+    type: "null-reference",
+    severity: "medium",
+    message: "user.profile may be null",
+    filePath: USERS,
+    line: 7,
+    column: 4,
+    code: "null-reference",
+    crawlId: "crawl_1",
+  },
+  {
+    type: "memory-leak",
+    severity: "low",
+    message: "setInterval handle is never cleared",
+    filePath: CART,
+    line: 3,
+    column: 0,
+    code: "memory-leak",
+    crawlId: "crawl_1",
+  },
+  {
+    type: "missing-error-handling",
+    severity: "high",
+    message: "fetch() without error handling",
+    filePath: CART,
+    line: 12,
+    column: 2,
+    code: "missing-error-handling",
+    crawlId: "crawl_1",
+  },
+  {
+    type: "undefined-variable",
+    severity: "high",
+    message: "total is not defined",
+    filePath: CART,
+    line: 20,
+    column: 9,
+    code: "undefined-variable",
+    crawlId: "crawl_1",
+  },
+  {
+    type: "sql-injection",
+    severity: "critical",
+    message: "SQL injection in the second crawl",
+    filePath: CART,
+    line: 40,
+    column: 2,
+    code: "db.query(sql)",
+    crawlId: "crawl_2",
+  },
+];
+
+// The first crawl's SQL injection (the project also has the second crawl's)
+function usersQuery(run) {
+  return run.results.find(
+    (r) =>
+      r.ruleId === "sql-injection" &&
+      r.locations[0].physicalLocation.region.startLine === 19,
+  );
+}
+
+/**
+ * Store the issues and record review decisions:
+ * memory-leak rejected, missing-error-handling deferred,
+ * undefined-variable resolved, and a fix for the SQL injection
+ */
+async function seed() {
+  const rows = await issueStorageService.storeIssues(ISSUES, PROJECT);
+  const byType = (type) => rows.find((row) => row.error_type === type);
+
+  await issueStorageService.updateIssue(byType("memory-leak").id, {
+    review_status: "rejected",
+    review_notes: "The interval lives as long as the process",
+  });
+  await issueStorageService.updateIssue(byType("missing-error-handling").id, {
+    review_status: "deferred",
+  });
+  await issueStorageService.updateIssue(byType("undefined-variable").id, {
+    review_status: "resolved",
+  });
+  await issueStorageService.updateIssue(byType("sql-injection").id, {
+    fix_code: "db.query(`SELECT * FROM users WHERE id = ?`, [id])",
+    fix_method: "security-auto-fix",
+  });
+  return rows;
+}
+
+/**
+ * Test 1: Rules, results and locations
+ */
+async function testLog() {
+  log("\n🧪 Test 1: SARIF log", "cyan");
+
+  try {
+    const sarif = await sarifExporter.exportIssues({
+      projectId: PROJECT,
+      baseDir: ROOT,
+    });
+    const [run] = sarif.runs;
+    const { rules } = run.tool.driver;
+    const result = (type) => run.results.find((r) => r.ruleId === type);
+
+    const problems = [];
+    if (sarif.version !== "2.1.0" || !sarif.$schema || sarif.runs.length !== 1) {
+      problems.push("log");
+    }
+    if (run.results.length !== 5) {
+      problems.push(`${run.results.length} results (resolved must be left out)`);
+    }
+    const ids = rules.map((rule) => rule.id);
+    if (new Set(ids).size !== ids.length) problems.push("duplicate rules");
+    if (!run.results.every((r) => rules[r.ruleIndex]?.id === r.ruleId)) {
+      problems.push("ruleIndex");
+    }
+
+    const sqlRule = rules.find((rule) => rule.id === "sql-injection");
+    if (
+      sqlRule.shortDescription.text !== "SQL injection" ||
+      !sqlRule.properties.tags.includes("external/cwe/cwe-89") ||
+      sqlRule.properties["security-severity"] !== "9.5" ||
+      !sqlRule.help?.text
+    ) {
+      problems.push("taint rule metadata");
+    }
+    const nullRule = rules.find((rule) => rule.id === "null-reference");
+    if (
+      !nullRule.shortDescription.text ||
+      nullRule.properties.category !== "correctness" ||
+      "security-severity" in nullRule.properties
+    ) {
+      problems.push(`AST rule metadata ${JSON.stringify(nullRule)}`);
+    }
+
+    const sql = usersQuery(run);
+    const location = sql.locations[0].physicalLocation;
+    if (
+      sql.level !== "error" ||
+      location.artifactLocation.uri !== "src/users.js" ||
+      location.artifactLocation.uriBaseId !== "%SRCROOT%" ||
+      location.region.startLine !== 19 ||
+      location.region.startColumn !== 22 ||
+      location.region.endColumn !== 22 + SQL.length ||
+      location.region.snippet.text !== SQL
+    ) {
+      problems.push(`sql location ${JSON.stringify(location)}`);
+    }
+    const nullRegion = result("null-reference").locations[0].physicalLocation
+      .region;
+    if (
+      result("null-reference").level !== "warning" ||
+      result("memory-leak").level !== "note" ||
+      nullRegion.snippet ||
+      nullRegion.endColumn
+    ) {
+      problems.push("levels or a rule id taken for code");
+    }
+    if (
+      run.originalUriBaseIds["%SRCROOT%"].uri !==
+      `file://${ROOT.split(path.sep).join("/")}/`
+    ) {
+      problems.push("source root");
+    }
+
+    recordTest(
+      "SARIF log",
+      problems.length === 0,
+      problems.length === 0
+        ? `${rules.length} rules and ${run.results.length} results with relative locations`
+        : problems.join(", "),
+    );
+    return sarif;
+  } catch (err) {
+    recordTest("SARIF log", false, err.message);
+    return null;
+  }
+}
+
+/**
+ * Test 2: Fingerprints come from error_fingerprint and survive moved lines
+ */
+async function testFingerprints(sarif, rows) {
+  log("\n🧪 Test 2: Fingerprints", "cyan");
+
+  try {
+    const stored = new Map(rows.map((row) => [row.id, row.error_fingerprint]));
+    const matches = sarif.runs[0].results.every(
+      (r) =>
+        r.fingerprints["codeRoach/v1"] &&
+        r.fingerprints["codeRoach/v1"] === stored.get(r.properties.issueId),
+    );
+    const unique =
+      new Set(rows.map((row) => row.error_fingerprint)).size === rows.length;
+
+    // The same issue after code above it moved
+    const [moved] = await issueStorageService.storeIssues(
+      [{ ...ISSUES[0], line: 25, crawlId: "crawl_3" }],
+      PROJECT,
+    );
+    const stable = moved.error_fingerprint === rows[0].error_fingerprint;
+
+    const passed = matches && unique && stable;
+    recordTest(
+      "Fingerprints",
+      passed,
+      passed
+        ? "results carry the stored fingerprint, unchanged when lines move"
+        : `matches=${matches} unique=${unique} stable=${stable}`,
+    );
+  } catch (err) {
+    recordTest("Fingerprints", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Fixes and suppressions
+ */
+function testFixesAndSuppressions(sarif) {
+  log("\n🧪 Test 3: Fixes and suppressions", "cyan");
+
+  try {
+    const result = (type) =>
+      sarif.runs[0].results.find((r) => r.ruleId === type);
+    const problems = [];
+
+    const [fix] = usersQuery(sarif.runs[0]).fixes || [];
+    const [change] = fix?.artifactChanges || [];
+    const [replacement] = change?.replacements || [];
+    if (
+      change?.artifactLocation.uri !== "src/users.js" ||
+      replacement?.deletedRegion.startColumn !== 22 ||
+      replacement.deletedRegion.endColumn !== 22 + SQL.length ||
+      replacement.insertedContent.text !==
+        "db.query(`SELECT * FROM users WHERE id = ?`, [id])" ||
+      fix.description.text !== "Apply the security-auto-fix fix"
+    ) {
+      problems.push("fix");
+    }
+    if (result("null-reference").fixes) problems.push("fix without code");
+
+    const [rejected] = result("memory-leak").suppressions || [];
+    if (
+      rejected?.kind !== "external" ||
+      rejected.status !== "accepted" ||
+      rejected.justification !== "The interval lives as long as the process"
+    ) {
+      problems.push("rejected");
+    }
+    const [deferred] = result("missing-error-handling").suppressions || [];
+    if (deferred?.status !== "underReview") problems.push("deferred");
+    if (usersQuery(sarif.runs[0]).suppressions) problems.push("pending");
+
+    recordTest(
+      "Fixes and suppressions",
+      problems.length === 0,
+      problems.length === 0
+        ? "fix replaces the flagged code; rejected and deferred are suppressed"
+        : problems.join(", "),
+    );
+  } catch (err) {
+    recordTest("Fixes and suppressions", false, err.message);
+  }
+}
+
+/**
+ * Test 4: One crawl's issues without naming the project
+ */
+async function testCrawlExport() {
+  log("\n🧪 Test 4: Crawl export", "cyan");
+
+  try {
+    const sarif = await sarifExporter.exportIssues({
+      crawlId: "crawl_2",
+      baseDir: ROOT,
+    });
+    const [run] = sarif.runs;
+    const passed =
+      run.results.length === 1 &&
+      run.results[0].message.text === "SQL injection in the second crawl" &&
+      run.results[0].locations[0].physicalLocation.artifactLocation.uri ===
+        "src/cart.js" &&
+      run.tool.driver.rules.length === 1 &&
+      run.automationDetails.id === "code-roach/all/crawl_2";
+    recordTest(
+      "Crawl export",
+      passed,
+      passed
+        ? "only the crawl's results and rules"
+        : `${run.results.length} results, ${run.automationDetails.id}`,
+    );
+  } catch (err) {
+    recordTest("Crawl export", false, err.message);
+  }
+}
+
+/**
+ * Test 5: A pull request analysis and a taint finding's trace
+ */
+function testPullRequest() {
+  log("\n🧪 Test 5: Pull request analysis", "cyan");
+
+  try {
+    const analysis = {
+      prId: 42,
+      files: [
+        {
+          path: "src/app.js",
+          issues: [
+            {
+              type: "security",
+              severity: "critical",
+              message: "Command injection: req.body.dir reaches exec()",
+              line: 25,
+              code: "exec(`ls ${req.body.dir}`)",
+              suggestion: "Use execFile",
+              cwe: "CWE-78",
+              trace: [
+                {
+                  kind: "source",
+                  line: 25,
+                  column: 10,
+                  code: "req.body.dir",
+                  note: "Express request input",
+                },
+                {
+                  kind: "sink",
+                  line: 25,
+                  column: 2,
+                  code: "exec(`ls ${req.body.dir}`)",
+                  note: "Command injection",
+                },
+              ],
+            },
+          ],
+          warnings: [
+            { type: "style", severity: "low", message: "Long line", line: 3 },
+          ],
+        },
+      ],
+    };
+    const sarif = sarifExporter.fromPullRequest(analysis);
+    const [run] = sarif.runs;
+    const [security, style] = run.results;
+    const flow = security.codeFlows?.[0].threadFlows[0].locations;
+
+    const passed =
+      run.results.length === 2 &&
+      run.automationDetails.id === "code-roach/pull-request/42" &&
+      security.locations[0].physicalLocation.artifactLocation.uri ===
+        "src/app.js" &&
+      flow?.length === 2 &&
+      flow[0].location.physicalLocation.region.startColumn === 11 &&
+      flow[0].location.message.text ===
+        "req.body.dir: Express request input" &&
+      flow[1].kinds[0] === "sink" &&
+      security.properties.cwe === "CWE-78" &&
+      !security.locations[0].physicalLocation.region.endColumn &&
+      style.level === "note";
+    recordTest(
+      "Pull request analysis",
+      passed,
+      passed
+        ? "files' issues and warnings as results, the trace as a code flow"
+        : JSON.stringify(run.results).slice(0, 300),
+    );
+  } catch (err) {
+    recordTest("Pull request analysis", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 SARIF Export Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    const rows = await seed();
+    const sarif = await testLog();
+    if (sarif) {
+      await testFingerprints(sarif, rows);
+      testFixesAndSuppressions(sarif);
+    }
+    await testCrawlExport();
+    testPullRequest();
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Issues export as SARIF!", "green");
+    } else {
+      log("\n⚠️  SARIF export tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
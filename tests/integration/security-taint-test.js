@@ -0,0 +1,459 @@
+#!/usr/bin/env node
+
+/**
+ * Security Taint Test
+ * Runs the taint analysis on a small Express app (when Babel is installed):
+ * flows from request input, files and the environment to each sink class
+ * with their traces, sanitizers and validation guards, flows through local
+ * functions, and the automatic fix for each class. Without Babel, and for
+ * other languages, checks that scanning falls back to the risky API patterns.
+ */
+
+const astAnalyzer = require("../../src/services/astAnalyzer");
+const taintAnalyzer = require("../../src/services/taintAnalyzer");
+const securityAutoFix = require("../../src/services/securityAutoFix");
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+const APP = `const express = require("express");
+const { exec } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+const app = express();
+
+function buildQuery(name) {
+  return "SELECT * FROM users WHERE name = '" + name + "'";
+}
+
+function runCommand(cmd) {
+  exec(cmd);
+}
+
+app.get("/users", async (req, res) => {
+  const { id } = req.query;
+  const rows = await db.query(\`SELECT * FROM users WHERE id = \${id}\`);
+  const named = await db.query(buildQuery(req.query.name));
+  res.json(rows);
+});
+
+app.post("/run", (req, res) => {
+  exec(\`ls \${req.body.dir}\`, (err, out) => res.send(out));
+  runCommand("git log " + req.body.ref);
+});
+
+app.get("/file", (req, res) => {
+  const file = req.params.file;
+  fs.readFile(path.join(__dirname, "uploads", file), "utf8", (err, data) => {
+    res.send(\`<pre>\${data}</pre>\`);
+  });
+});
+
+app.get("/hello", (req, res) => {
+  res.send("<h1>Hello " + req.query.name + "</h1>");
+});
+
+app.get("/go", (req, res) => {
+  res.redirect(req.query.next);
+});
+
+app.post("/calc", (req, res) => {
+  res.json({ result: eval(req.body.expression) });
+});
+
+app.post("/login", async (req, res) => {
+  const user = await db.collection("users").findOne({ name: req.body.name });
+  res.json(user);
+});
+
+const config = fs.readFileSync(process.env.CONFIG_PATH, "utf8");
+exec(process.env.HOOK);
+`;
+
+const SAFE = `const { exec } = require("child_process");
+const fs = require("fs");
+const path = require("path");
+const db = require("./db");
+
+app.get("/items", (req, res) => {
+  const page = parseInt(req.query.page, 10);
+  db.query(\`SELECT * FROM items LIMIT 10 OFFSET \${page}\`);
+  db.query("SELECT * FROM items WHERE id = ?", [req.query.id]);
+  fs.readFileSync(path.join(__dirname, path.basename(req.query.file)));
+  const id = req.params.id;
+  if (!isUUID(id)) return res.status(400).end();
+  db.query(\`SELECT * FROM items WHERE id = '\${id}'\`);
+  exec("git status", (err, out) => res.send(escapeHtml(out)));
+  res.json(req.body);
+});
+`;
+
+/**
+ * Findings as "type:line" for comparison
+ */
+function summarize(findings) {
+  return findings.map((f) => `${f.type}:${f.line}`).sort();
+}
+
+/**
+ * Test 1: Flows from each source to each sink class
+ */
+function testFlows() {
+  log("\n🧪 Test 1: Source-to-sink flows", "cyan");
+
+  try {
+    const findings = taintAnalyzer.analyze(APP, { filePath: "app.js" });
+    const expected = [
+      "code-injection:45",
+      "command-injection:14",
+      "command-injection:25",
+      "command-injection:54",
+      "nosql-injection:49",
+      "open-redirect:41",
+      "path-traversal:31",
+      "path-traversal:53",
+      "sql-injection:19",
+      "sql-injection:20",
+      "xss:32",
+      "xss:37",
+    ];
+    const actual = summarize(findings);
+    const missing = expected.filter((entry) => !actual.includes(entry));
+    const unexpected = actual.filter((entry) => !expected.includes(entry));
+    const described = findings.every(
+      (f) =>
+        f.category === "security" &&
+        /^CWE-\d+$/.test(f.cwe) &&
+        f.column >= 0 &&
+        f.trace[0].kind === "source" &&
+        f.trace[f.trace.length - 1].kind === "sink" &&
+        APP.slice(f.sink.start, f.sink.end) === f.code,
+    );
+
+    const passed = missing.length === 0 && unexpected.length === 0 && described;
+    recordTest(
+      "Source-to-sink flows",
+      passed,
+      passed
+        ? `${findings.length} flows at their sinks, each with a trace`
+        : `missing=${missing.join(",")} unexpected=${unexpected.join(",")} described=${described}`,
+    );
+    return findings;
+  } catch (err) {
+    recordTest("Source-to-sink flows", false, err.message);
+    return null;
+  }
+}
+
+/**
+ * Test 2: Traces through destructuring, local functions and callbacks, and
+ * severity by source
+ */
+function testTraces(findings) {
+  log("\n🧪 Test 2: Traces and severity", "cyan");
+
+  try {
+    const at = (type, line) =>
+      findings.find((f) => f.type === type && f.line === line);
+    const steps = (finding) =>
+      finding.trace.map((step) => `${step.kind}:${step.line}`).join(" ");
+
+    const problems = [];
+    const destructured = at("sql-injection", 19);
+    if (
+      destructured.source.label !== "req.query.id" ||
+      steps(destructured) !== "source:18 assign:18 sink:19"
+    ) {
+      problems.push(`destructuring (${steps(destructured)})`);
+    }
+    const built = at("sql-injection", 20);
+    if (steps(built) !== "source:20 call:20 return:20 sink:20") {
+      problems.push(`returned from a function (${steps(built)})`);
+    }
+    const passed = at("command-injection", 14);
+    if (
+      passed.source.line !== 26 ||
+      !passed.trace[1].note.includes("runCommand() as cmd")
+    ) {
+      problems.push("passed to a function");
+    }
+    const fromFile = at("xss", 32);
+    if (fromFile.source.kind !== "file" || fromFile.severity !== "medium") {
+      problems.push("file source");
+    }
+    const fromEnv = at("command-injection", 54);
+    if (
+      fromEnv.source.label !== "process.env.HOOK" ||
+      fromEnv.severity !== "medium" ||
+      at("path-traversal", 53).severity !== "low"
+    ) {
+      problems.push("environment source");
+    }
+    if (
+      at("command-injection", 25).severity !== "critical" ||
+      at("command-injection", 25).confidence <= fromEnv.confidence
+    ) {
+      problems.push("request severity");
+    }
+
+    recordTest(
+      "Traces and severity",
+      problems.length === 0,
+      problems.length === 0
+        ? "steps follow the value; file and environment sources rank lower"
+        : problems.join(", "),
+    );
+  } catch (err) {
+    recordTest("Traces and severity", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Sanitizers, parameters and validation guards clear values
+ */
+function testSanitizers() {
+  log("\n🧪 Test 3: Sanitizers and guards", "cyan");
+
+  try {
+    const findings = taintAnalyzer.analyze(SAFE, { filePath: "safe.js" });
+    recordTest(
+      "Sanitizers and guards",
+      findings.length === 0,
+      findings.length === 0
+        ? "no findings for sanitized, parameterized or validated values"
+        : `unexpected=${summarize(findings).join(",")}`,
+    );
+  } catch (err) {
+    recordTest("Sanitizers and guards", false, err.message);
+  }
+}
+
+/**
+ * Test 4: Each class gets a fix that removes the flow
+ */
+async function testFixes(findings) {
+  log("\n🧪 Test 4: Automatic fixes", "cyan");
+
+  const expected = {
+    "command-injection:25":
+      'execFile("ls", [req.body.dir], (err, out) => res.send(out))',
+    "xss:37":
+      'res.send("<h1>Hello " + escapeHtml(req.query.name) + "</h1>")',
+    "open-redirect:41": "res.redirect(localRedirect(req.query.next))",
+    "code-injection:45": "JSON.parse(req.body.expression)",
+    "nosql-injection:49":
+      'db.collection("users").findOne({ name: String(req.body.name) })',
+  };
+
+  try {
+    const problems = [];
+    let fixed = 0;
+    for (const finding of findings) {
+      const key = `${finding.type}:${finding.line}`;
+      const fix = await securityAutoFix.fixSecurityIssue(
+        { type: finding.type, line: finding.line, code: finding.code },
+        { code: APP, filePath: "app.js" },
+      );
+      if (!fix.success) {
+        // Queries built elsewhere or on an unknown driver (./db), commands
+        // built elsewhere and configured paths are left to the developer
+        // with a reason
+        if (expected[key] || key === "path-traversal:31" || !fix.message) {
+          problems.push(`${key} not fixed`);
+        }
+        continue;
+      }
+      fixed++;
+      if (expected[key] && fix.fixed !== expected[key]) {
+        problems.push(`${key} => ${fix.fixed}`);
+      }
+      const again = taintAnalyzer.analyze(fix.fixedCode, {
+        filePath: "app.js",
+      });
+      const remaining = again.filter(
+        (f) => f.type === finding.type && f.line === finding.line,
+      );
+      if (remaining.length > 0) {
+        problems.push(`${key} still reported`);
+      }
+    }
+
+    const command = await securityAutoFix.fixSecurityIssue(
+      { type: "command-injection", line: 25 },
+      { code: APP, filePath: "app.js" },
+    );
+    const imported = 'const { exec, execFile } = require("child_process");';
+    if (!command.fixedCode.includes(imported)) {
+      problems.push("execFile import");
+    }
+    const xss = await securityAutoFix.fixSecurityIssue(
+      { type: "security", line: 37 },
+      { code: APP, filePath: "app.js" },
+    );
+    if (!xss.fixedCode.includes("function escapeHtml(value)")) {
+      problems.push("escapeHtml helper");
+    }
+
+    // SQL placeholders follow the driver the query object comes from
+    const drivers = [
+      [
+        'const { Pool } = require("pg");\nconst db = new Pool();',
+        "db.query(`SELECT * FROM users WHERE id = $1`, [id])",
+      ],
+      [
+        'import mysql from "mysql2/promise";\nconst db = mysql.createPool({});',
+        "db.query(`SELECT * FROM users WHERE id = ?`, [id])",
+      ],
+      ['const express = require("express");\nconst db = require("./db");', null],
+    ];
+    for (const [setup, want] of drivers) {
+      const fix = await securityAutoFix.fixSecurityIssue(
+        { type: "sql-injection", line: 5 },
+        {
+          code: `${setup}
+app.get("/users", async (req, res) => {
+  const { id } = req.query;
+  res.json(await db.query(\`SELECT * FROM users WHERE id = \${id}\`));
+});
+`,
+          filePath: "app.js",
+        },
+      );
+      if (want ? fix.fixed !== want : fix.success || !fix.message) {
+        problems.push(`${setup.split("\n")[1]} => ${fix.fixed || fix.message}`);
+      }
+    }
+
+    recordTest(
+      "Automatic fixes",
+      problems.length === 0 && fixed >= Object.keys(expected).length,
+      problems.length === 0
+        ? `${fixed} flows fixed and gone on a second scan`
+        : problems.join(", "),
+    );
+  } catch (err) {
+    recordTest("Automatic fixes", false, err.message);
+  }
+}
+
+/**
+ * Test 5: Scanning reports flows and secrets, and uses the risky API
+ * patterns where the code cannot be analyzed
+ */
+async function testScan(analyzed) {
+  log("\n🧪 Test 5: Scanning", "cyan");
+
+  try {
+    const secret = '\nconst apiKey = "sk-1234567890";\n';
+    const python = 'result = eval(request.args["expr"])\n';
+    const flows = await securityAutoFix.scanForVulnerabilities(
+      APP + secret,
+      "app.js",
+    );
+    const patterns = await securityAutoFix.scanForVulnerabilities(
+      python,
+      "calc.py",
+    );
+
+    const secretFound = flows.some(
+      (v) => v.message === "Hardcoded API key detected",
+    );
+    const flowsFound = analyzed
+      ? flows.some((v) => v.type === "sql-injection" && v.trace)
+      : flows.some((v) => v.pattern);
+    const fallback =
+      patterns.length === 1 &&
+      patterns[0].type === "security" &&
+      patterns[0].line === 1;
+
+    const passed = secretFound && flowsFound && fallback;
+    recordTest(
+      "Scanning",
+      passed,
+      passed
+        ? `${analyzed ? "flows" : "patterns"} and secrets for JavaScript, patterns for Python`
+        : `secret=${secretFound} flows=${flowsFound} fallback=${fallback}`,
+    );
+  } catch (err) {
+    recordTest("Scanning", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Security Taint Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    if (astAnalyzer.traverse) {
+      const findings = testFlows();
+      if (findings) {
+        testTraces(findings);
+        testSanitizers();
+        await testFixes(findings);
+      }
+    } else {
+      log("⚠️  Babel not installed; skipping taint analysis", "yellow");
+    }
+    await testScan(Boolean(astAnalyzer.traverse));
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Untrusted values are traced to their sinks!", "green");
+    } else {
+      log("\n⚠️  Security taint tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,270 @@
+#!/usr/bin/env node
+
+/**
+ * Structured Fix Test
+ * Checks the code_fix schema pipeline: applying line-range edits, the
+ * semantic edit checks, local JSON repair and the re-prompt loop
+ */
+
+const {
+  FIX_SCHEMA,
+  validateFixEdits,
+  applyFixEdits,
+} = require("../../src/services/llm/fixSchema");
+const {
+  parseStructured,
+  requestStructured,
+  isStructuredOutputError,
+} = require("../../src/services/llm/structuredOutput");
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+const CODE = "a\nb\nc\nd";
+const edit = (startLine, endLine, replacement) => ({
+  startLine,
+  endLine,
+  replacement,
+});
+
+/**
+ * Test 1: Edits apply against original line numbers in any order
+ */
+function testApply() {
+  const cases = [
+    {
+      name: "insert and replace at the same line",
+      edits: [edit(2, 1, "INS"), edit(2, 3, "X")],
+      expected: "a\nINS\nX\nd",
+    },
+    {
+      name: "replace listed before insert",
+      edits: [edit(2, 3, "X"), edit(2, 1, "INS")],
+      expected: "a\nINS\nX\nd",
+    },
+    {
+      name: "two inserts at the same line",
+      edits: [edit(2, 1, "first"), edit(2, 1, "second")],
+      expected: "a\nfirst\nsecond\nb\nc\nd",
+    },
+    {
+      name: "delete, replace and append",
+      edits: [edit(1, 1, ""), edit(3, 3, "C1\nC2"), edit(5, 4, "e")],
+      expected: "b\nC1\nC2\nd\ne",
+    },
+  ];
+
+  const failures = cases.filter((c) => {
+    const errors = validateFixEdits(c.edits, CODE);
+    return errors.length > 0 || applyFixEdits(CODE, c.edits) !== c.expected;
+  });
+  recordTest(
+    "Apply edits",
+    failures.length === 0,
+    failures.length === 0
+      ? `${cases.length} edit combinations applied`
+      : failures
+          .map((c) => `${c.name}: ${JSON.stringify(applyFixEdits(CODE, c.edits))}`)
+          .join("; "),
+  );
+}
+
+/**
+ * Test 2: Out-of-range, overlapping and no-op edits are rejected
+ */
+function testValidate() {
+  const errors = {
+    overlap: validateFixEdits([edit(1, 2, "x"), edit(2, 3, "y")], CODE),
+    pastEnd: validateFixEdits([edit(4, 6, "x")], CODE),
+    inverted: validateFixEdits([edit(3, 1, "x")], CODE),
+    noOp: validateFixEdits([edit(2, 2, "b")], CODE),
+  };
+  const passed =
+    /overlaps/.test(errors.overlap.join()) &&
+    /past the end/.test(errors.pastEnd.join()) &&
+    /endLine must be/.test(errors.inverted.join()) &&
+    /do not change/.test(errors.noOp.join());
+  recordTest(
+    "Validate edits",
+    passed,
+    passed ? "all four invalid edit sets were rejected" : JSON.stringify(errors),
+  );
+}
+
+/**
+ * Test 3: Superficially broken JSON is repaired locally
+ */
+function testRepair() {
+  const response = [
+    "Here is the fix:",
+    "```json",
+    '{"edits": [{"startLine": "2", "endLine": 2, "replacement": "B",},],',
+    ' "rationale": "uppercase", "confidence": "0.8", "affectedSymbols": []',
+    "```",
+  ].join("\n");
+  const { data, errors, repaired } = parseStructured(
+    response,
+    FIX_SCHEMA,
+    (fix) => validateFixEdits(fix.edits, CODE),
+  );
+  const passed =
+    repaired &&
+    errors.length === 0 &&
+    data.edits[0].startLine === 2 &&
+    data.confidence === 0.8;
+  recordTest(
+    "Repair JSON",
+    passed,
+    passed
+      ? "fences, trailing commas and numeric strings were repaired"
+      : errors.join("; "),
+  );
+}
+
+/**
+ * Test 4: Invalid responses are re-prompted and every attempt is reported
+ */
+async function testReprompt() {
+  try {
+    const valid = JSON.stringify({
+      edits: [edit(2, 2, "B")],
+      rationale: "uppercase",
+      confidence: 0.9,
+      affectedSymbols: [],
+    });
+    const responses = [
+      "I cannot produce JSON",
+      JSON.stringify({
+        edits: [edit(9, 9, "x")],
+        rationale: "r",
+        confidence: 1,
+        affectedSymbols: [],
+      }),
+      valid,
+    ];
+    const prompts = [];
+    const attempts = [];
+    const options = {
+      userPrompt: "Fix the code",
+      schema: FIX_SCHEMA,
+      schemaName: "code_fix",
+      validate: (fix) => validateFixEdits(fix.edits, CODE),
+      onAttempt: ({ attempt, valid: ok }) => attempts.push(`${attempt}:${ok}`),
+    };
+    const { data, attempts: used } = await requestStructured(async (prompt) => {
+      prompts.push(prompt);
+      return { narrative: responses[prompts.length - 1], tokensUsed: 10 };
+    }, options);
+
+    const passed =
+      used === 3 &&
+      attempts.join(",") === "1:false,2:false,3:true" &&
+      /RESPONSE FORMAT/.test(prompts[0]) &&
+      /no JSON object/.test(prompts[1]) &&
+      /past the end of the file/.test(prompts[2]) &&
+      applyFixEdits(CODE, data.edits) === "a\nB\nc\nd";
+    recordTest(
+      "Re-prompt",
+      passed,
+      passed
+        ? "two rejected responses were re-prompted with their errors"
+        : `attempts ${attempts.join(",")}`,
+    );
+
+    let error = null;
+    const failedAttempts = [];
+    try {
+      await requestStructured(async () => ({ narrative: "{}" }), {
+        ...options,
+        maxAttempts: 2,
+        onAttempt: ({ attempt }) => failedAttempts.push(attempt),
+      });
+    } catch (err) {
+      error = err;
+    }
+    const exhausted =
+      isStructuredOutputError(error) &&
+      error.attempts === 2 &&
+      failedAttempts.length === 2 &&
+      error.errors.some((e) => /edits/.test(e));
+    recordTest(
+      "Attempts exhausted",
+      exhausted,
+      exhausted
+        ? "StructuredOutputError after 2 reported attempts"
+        : `${error?.message}, ${failedAttempts.length} attempts`,
+    );
+  } catch (err) {
+    recordTest("Re-prompt", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Structured Fix Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    testApply();
+    testValidate();
+    testRepair();
+    await testReprompt();
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Structured fixes parse, validate and apply!", "green");
+    } else {
+      log("\n⚠️  Structured fix tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
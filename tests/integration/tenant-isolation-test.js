@@ -0,0 +1,320 @@
+#!/usr/bin/env node
+
+/**
+ * Tenant Isolation Test
+ * Seeds two tenants through the storage services and checks that neither
+ * can read, change or probe the other's data
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-tenants-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+
+const tenantContext = require("../../src/services/tenantContext");
+const databaseService = require("../../src/services/databaseService");
+const issueStorageService = require("../../src/services/issueStorageService");
+const fixMarketplaceService = require("../../src/services/fixMarketplaceService");
+const errorHistoryService = require("../../src/services/errorHistoryService");
+
+const TENANT_A = "tenant-isolation-a";
+const TENANT_B = "tenant-isolation-b";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+function asTenant(tenantId, fn) {
+  return tenantContext.run({ tenantId, principalId: `user-${tenantId}` }, fn);
+}
+
+// Each tenant's data, filled in by seedTenants()
+const seeded = {};
+
+// Test 1: Seed both tenants
+async function seedTenants() {
+  log("\n[TEST 1] Seeding two tenants...", "cyan");
+
+  const history = new errorHistoryService.constructor({ dataDir });
+
+  for (const tenantId of [TENANT_A, TENANT_B]) {
+    seeded[tenantId] = await asTenant(tenantId, async () => {
+      const client = databaseService.getClient();
+
+      const issue = await issueStorageService.storeIssue(
+        {
+          file: "src/app.js",
+          line: 10,
+          type: "security",
+          message: `Secret leaked by ${tenantId}`,
+        },
+        "shared-project",
+      );
+
+      const pattern = await fixMarketplaceService.submitPattern(
+        {
+          fingerprint: "shared-fingerprint",
+          error_pattern: { type: "security", message: tenantId },
+          success_count: 1,
+        },
+        "shared-project",
+      );
+
+      const { error: chunkError } = await client.from("codebase_index").upsert(
+        {
+          file_path: "src/app.js",
+          line_start: 1,
+          content: `// code of ${tenantId}`,
+        },
+        { onConflict: "file_path,line_start" },
+      );
+
+      const { data: knowledge } = await client
+        .from("agent_knowledge_base")
+        .insert({
+          knowledge_type: "fix",
+          content: `Knowledge of ${tenantId}`,
+        })
+        .select()
+        .single();
+
+      const record = await history.recordError({
+        message: `Runtime error in ${tenantId}`,
+        type: "runtime",
+      });
+
+      return {
+        issue,
+        pattern: pattern.pattern,
+        chunkError,
+        knowledge,
+        record,
+        history,
+      };
+    });
+  }
+
+  const complete = [TENANT_A, TENANT_B].every(
+    (tenantId) =>
+      seeded[tenantId].issue?.tenant_id === tenantId &&
+      seeded[tenantId].pattern?.tenant_id === tenantId &&
+      !seeded[tenantId].chunkError &&
+      seeded[tenantId].knowledge?.tenant_id === tenantId &&
+      seeded[tenantId].record?.tenantId === tenantId,
+  );
+  recordTest(
+    "Seed Tenants",
+    complete,
+    complete
+      ? "Rows are stamped with their tenant"
+      : "Seeded rows are missing their tenant_id",
+  );
+  return complete;
+}
+
+// Test 2: Each tenant only sees its own rows
+async function testReadIsolation() {
+  log("\n[TEST 2] Testing read isolation...", "cyan");
+
+  for (const [tenantId, otherId] of [
+    [TENANT_A, TENANT_B],
+    [TENANT_B, TENANT_A],
+  ]) {
+    const visible = await asTenant(tenantId, async () => {
+      const client = databaseService.getClient();
+      const issues = await issueStorageService.getAllIssues();
+      const projectIssues =
+        await issueStorageService.getProjectIssues("shared-project");
+      const pattern =
+        await fixMarketplaceService.getPatternDetails("shared-fingerprint");
+      const { data: chunks } = await client
+        .from("codebase_index")
+        .select("*")
+        .eq("file_path", "src/app.js");
+      const { data: knowledge } = await client
+        .from("agent_knowledge_base")
+        .select("*");
+      const history = seeded[tenantId].history;
+
+      return [
+        ...issues,
+        ...projectIssues,
+        pattern.pattern,
+        ...(chunks || []),
+        ...(knowledge || []),
+        ...history.history.map((record) => ({ tenant_id: record.tenantId })),
+      ];
+    });
+
+    const leaked = visible.filter((row) => row?.tenant_id !== tenantId);
+    recordTest(
+      `Read Isolation (${tenantId})`,
+      visible.length >= 7 && leaked.length === 0,
+      leaked.length
+        ? `${leaked.length} row(s) of ${otherId} visible`
+        : `${visible.length} own rows, none of ${otherId}`,
+    );
+  }
+}
+
+// Test 3: The untenanted workspace sees neither tenant
+async function testUntenantedWorkspace() {
+  log("\n[TEST 3] Testing the untenanted workspace...", "cyan");
+
+  const issues = await asTenant(null, () => issueStorageService.getAllIssues());
+  recordTest(
+    "Untenanted Workspace",
+    issues.every((issue) => !issue.tenant_id),
+    `${issues.length} untenanted issue(s) visible`,
+  );
+}
+
+// Test 4: Reading another tenant's issue by id is denied and logged
+async function testForeignIssueProbe() {
+  log("\n[TEST 4] Testing a cross-tenant issue lookup...", "cyan");
+
+  const before = tenantContext.getViolations().length;
+  const issue = await asTenant(TENANT_A, () =>
+    issueStorageService.getIssue(seeded[TENANT_B].issue.id),
+  );
+  const violations = tenantContext.getViolations();
+  const logged =
+    violations.length > before &&
+    violations[0].details.targetTenantId === TENANT_B;
+
+  recordTest(
+    "Foreign Issue Lookup",
+    issue === null && logged,
+    issue ? "Issue of another tenant returned" : "Denied and logged",
+  );
+}
+
+// Test 5: Updates and deletes can't reach another tenant's rows
+async function testWriteIsolation() {
+  log("\n[TEST 5] Testing write isolation...", "cyan");
+
+  await asTenant(TENANT_A, async () => {
+    await issueStorageService.updateIssue(seeded[TENANT_B].issue.id, {
+      review_status: "dismissed",
+    });
+    await databaseService.delete("agent_knowledge_base", [
+      { column: "id", operator: "eq", value: seeded[TENANT_B].knowledge.id },
+    ]);
+  });
+
+  const untouched = await asTenant(TENANT_B, async () => {
+    const issue = await issueStorageService.getIssue(seeded[TENANT_B].issue.id);
+    const { data: knowledge } = await databaseService
+      .getClient()
+      .from("agent_knowledge_base")
+      .select("*")
+      .eq("id", seeded[TENANT_B].knowledge.id);
+    return issue?.review_status !== "dismissed" && knowledge?.length === 1;
+  });
+
+  recordTest(
+    "Write Isolation",
+    untouched,
+    untouched ? "Rows of tenant B unchanged" : "Tenant A changed tenant B",
+  );
+}
+
+// Test 6: Writing rows that name another tenant is rejected
+async function testCrossTenantInsert() {
+  log("\n[TEST 6] Testing a cross-tenant insert...", "cyan");
+
+  const before = tenantContext.getViolations().length;
+  let rejected = false;
+  try {
+    await asTenant(TENANT_A, () =>
+      databaseService.insert("code_roach_issues", {
+        project_id: "shared-project",
+        error_message: "Planted issue",
+        tenant_id: TENANT_B,
+      }),
+    );
+  } catch (error) {
+    rejected = tenantContext.isIsolationError(error);
+  }
+
+  recordTest(
+    "Cross-Tenant Insert",
+    rejected && tenantContext.getViolations().length > before,
+    rejected ? "Rejected and logged" : "Row for another tenant accepted",
+  );
+}
+
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("Tenant Isolation Integration Test", "cyan");
+  log("=".repeat(60) + "\n", "cyan");
+
+  try {
+    if (await seedTenants()) {
+      await testReadIsolation();
+      await testUntenantedWorkspace();
+      await testForeignIssueProbe();
+      await testWriteIsolation();
+      await testCrossTenantInsert();
+    }
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 No data leaked between tenants!", "green");
+    } else {
+      log("\n⚠️  Tenant isolation tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
@@ -0,0 +1,307 @@
+#!/usr/bin/env node
+
+/**
+ * Vector Index Test
+ * Checks the HNSW index against an exact scan: recall, removals and
+ * compaction, payload filters and reloading the index from disk
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep the shared codebase index off disk (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-hnsw-"));
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+
+const { VectorIndex } = require("../../src/services/vectorIndex");
+
+const DIMENSION = 32;
+const COUNT = 2000;
+const QUERIES = 50;
+const K = 10;
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+// Deterministic vectors so a failure reproduces
+let seed = 42;
+function random() {
+  seed = (seed * 1103515245 + 12345) % 2147483648;
+  return seed / 2147483648;
+}
+
+function randomVector() {
+  return Array.from({ length: DIMENSION }, () => random() * 2 - 1);
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let na = 0;
+  let nb = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    na += a[i] * a[i];
+    nb += b[i] * b[i];
+  }
+  return dot / Math.sqrt(na * nb);
+}
+
+/**
+ * Exact k nearest ids among the live vectors
+ */
+function exactNeighbors(vectors, query, k, accept = () => true) {
+  return [...vectors.entries()]
+    .filter(([id]) => accept(id))
+    .map(([id, vector]) => ({ id, similarity: cosine(query, vector) }))
+    .sort((a, b) => b.similarity - a.similarity)
+    .slice(0, k)
+    .map((hit) => hit.id);
+}
+
+function recall(index, vectors, queries, options = {}) {
+  let found = 0;
+  let expected = 0;
+  for (const query of queries) {
+    const truth = exactNeighbors(vectors, query, K, options.accept);
+    const hits = new Set(
+      index.search(query, { k: K, filter: options.filter }).map((h) => h.id),
+    );
+    found += truth.filter((id) => hits.has(id)).length;
+    expected += truth.length;
+  }
+  return found / expected;
+}
+
+const payloadOf = (i) => ({ file: `src/file${i % 20}.js`, language: "js" });
+
+/**
+ * Test 1: Approximate search finds nearly all exact neighbours
+ */
+function testRecall(index, vectors, queries) {
+  try {
+    const value = recall(index, vectors, queries);
+    const top = index.search(queries[0], { k: 1 })[0];
+    const passed =
+      value >= 0.9 &&
+      top.id === exactNeighbors(vectors, queries[0], 1)[0] &&
+      top.payload.language === "js";
+    recordTest(
+      "Recall",
+      passed,
+      `recall@${K} ${value.toFixed(3)} over ${QUERIES} queries (${COUNT} vectors)`,
+    );
+  } catch (err) {
+    recordTest("Recall", false, err.message);
+  }
+}
+
+/**
+ * Test 2: Filtered search only returns matching payloads
+ */
+function testFilter(index, vectors, queries) {
+  try {
+    const file = "src/file3.js";
+    const accept = (id) => payloadOf(Number(id.split(":")[1])).file === file;
+    const value = recall(index, vectors, queries.slice(0, 10), {
+      filter: (payload) => payload.file === file,
+      accept,
+    });
+    const hits = index.search(queries[0], {
+      k: K,
+      filter: (payload) => payload.file === file,
+    });
+    const passed =
+      value >= 0.9 &&
+      hits.length === K &&
+      hits.every((h) => h.payload.file === file);
+    recordTest(
+      "Payload filter",
+      passed,
+      `recall@${K} ${value.toFixed(3)} for a 1-in-20 filter`,
+    );
+  } catch (err) {
+    recordTest("Payload filter", false, err.message);
+  }
+}
+
+/**
+ * Test 3: Removed vectors disappear and compaction rebuilds the graph
+ */
+function testRemoval(index, vectors, queries) {
+  try {
+    const removedIds = [];
+    for (let i = 0; i < 90; i++) {
+      const id = `chunk:${i}`;
+      index.remove(id);
+      vectors.delete(id);
+      removedIds.push(id);
+    }
+    const tombstones = index.nodes.length - index.size;
+    const beforeCompaction = recall(index, vectors, queries);
+
+    const removed = index.removeWhere((payload, id) => {
+      const i = Number(id.split(":")[1]);
+      return i >= 90 && i < 1200;
+    });
+    for (let i = 90; i < 1200; i++) {
+      vectors.delete(`chunk:${i}`);
+      removedIds.push(`chunk:${i}`);
+    }
+    const afterCompaction = recall(index, vectors, queries);
+
+    const gone = new Set(removedIds);
+    const leaked = queries.some((query) =>
+      index.search(query, { k: 50 }).some((hit) => gone.has(hit.id)),
+    );
+
+    const passed =
+      tombstones === 90 &&
+      beforeCompaction >= 0.9 &&
+      removed === 1110 &&
+      index.size === vectors.size &&
+      index.nodes.length === vectors.size &&
+      index.deletedCount === 0 &&
+      afterCompaction >= 0.9 &&
+      !leaked &&
+      index.remove("chunk:0") === false;
+    recordTest(
+      "Remove and compact",
+      passed,
+      passed
+        ? `90 tombstones kept, compacted to ${index.size} vectors, recall ${afterCompaction.toFixed(3)}`
+        : `tombstones ${tombstones}, nodes ${index.nodes.length}/${index.size}, ` +
+            `recall ${beforeCompaction.toFixed(3)}/${afterCompaction.toFixed(3)}, leaked ${leaked}`,
+    );
+  } catch (err) {
+    recordTest("Remove and compact", false, err.message);
+  }
+}
+
+/**
+ * Test 4: A saved index reloads with the same answers
+ */
+function testPersistence(index, queries) {
+  try {
+    const filePath = path.join(dataDir, "index.json");
+    const saved = new VectorIndex({ filePath });
+    for (const node of index.nodes) {
+      saved.add(node.id, node.vector, node.payload);
+    }
+    saved.add("replaced", randomVector(), { version: 1 });
+    saved.add("replaced", queries[1], { version: 2 });
+    saved.save();
+
+    const reloaded = new VectorIndex({ filePath });
+    const same = queries.every(
+      (query) =>
+        JSON.stringify(reloaded.search(query, { k: K })) ===
+        JSON.stringify(saved.search(query, { k: K })),
+    );
+    const replaced = reloaded.search(queries[1], { k: 1 })[0];
+    let dimensionError = null;
+    try {
+      reloaded.add("short", [1, 2, 3]);
+    } catch (err) {
+      dimensionError = err.message;
+    }
+
+    const passed =
+      reloaded.size === index.size + 1 &&
+      same &&
+      replaced.id === "replaced" &&
+      replaced.payload.version === 2 &&
+      /dimension/.test(dimensionError || "");
+    recordTest(
+      "Persistence",
+      passed,
+      passed
+        ? `${reloaded.size} vectors reloaded with identical results`
+        : `size ${reloaded.size}, same ${same}, replaced ${replaced?.id}`,
+    );
+  } catch (err) {
+    recordTest("Persistence", false, err.message);
+  }
+}
+
+/**
+ * Run all tests
+ */
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("🧪 Vector Index Tests", "cyan");
+  log("=".repeat(60), "cyan");
+
+  try {
+    const index = new VectorIndex();
+    const vectors = new Map();
+    for (let i = 0; i < COUNT; i++) {
+      const vector = randomVector();
+      vectors.set(`chunk:${i}`, vector);
+      index.add(`chunk:${i}`, vector, payloadOf(i));
+    }
+    const queries = Array.from({ length: QUERIES }, randomVector);
+
+    testRecall(index, vectors, queries);
+    testFilter(index, vectors, queries);
+    testRemoval(index, vectors, queries);
+    testPersistence(index, queries);
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 The vector index matches exact search!", "green");
+    } else {
+      log("\n⚠️  Vector index tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };
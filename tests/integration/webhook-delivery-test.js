@@ -0,0 +1,498 @@
+#!/usr/bin/env node
+
+/**
+ * Webhook Delivery Test
+ * Registers webhooks for two tenants against a local receiver, stores an
+ * issue and checks the signed delivery, then makes the receiver fail to
+ * check retries, the dead-letter queue, redelivery, auto-disable with its
+ * notifications, resuming a delivery left pending by a restart, and that
+ * internal addresses are refused
+ */
+
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const http = require("http");
+
+// Run against a throwaway local store (before any service is loaded)
+const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "code-roach-webhooks-"));
+process.env.CODE_ROACH_STORAGE_BACKEND = "local";
+process.env.CODE_ROACH_DATA_DIR = dataDir;
+process.env.CODE_ROACH_VECTOR_INDEX = "false";
+// The local receiver is on loopback, which webhooks can't reach otherwise
+process.env.WEBHOOK_ALLOWED_HOSTS = "127.0.0.1";
+
+const config = require("../../src/config");
+const tenantContext = require("../../src/services/tenantContext");
+const databaseService = require("../../src/services/databaseService");
+const auditLogService = require("../../src/services/auditLogService");
+const smartAlertService = require("../../src/services/smartAlertService");
+const issueStorageService = require("../../src/services/issueStorageService");
+const webhookService = require("../../src/services/webhookService");
+
+const TENANT = "webhook-tenant";
+const OTHER_TENANT = "webhook-other";
+
+// Colors for console output
+const colors = {
+  reset: "\x1b[0m",
+  green: "\x1b[32m",
+  red: "\x1b[31m",
+  yellow: "\x1b[33m",
+  cyan: "\x1b[36m",
+};
+
+function log(message, color = "reset") {
+  console.log(`${colors[color]}${message}${colors.reset}`);
+}
+
+const results = {
+  passed: 0,
+  failed: 0,
+  tests: [],
+};
+
+function recordTest(name, passed, message = "") {
+  results.tests.push({ name, passed, message });
+  if (passed) {
+    results.passed++;
+    log(`✅ ${name}: ${message || "PASSED"}`, "green");
+  } else {
+    results.failed++;
+    log(`❌ ${name}: ${message || "FAILED"}`, "red");
+  }
+}
+
+// Receiver answering with queued statuses (200 once the queue is empty)
+const receiver = {
+  requests: [],
+  statuses: [],
+  server: null,
+  url: null,
+};
+
+function startReceiver() {
+  receiver.server = http.createServer((req, res) => {
+    let body = "";
+    req.on("data", (chunk) => (body += chunk));
+    req.on("end", () => {
+      receiver.requests.push({
+        path: req.url,
+        headers: req.headers,
+        body: JSON.parse(body),
+      });
+      res.statusCode = receiver.statuses.shift() || 200;
+      res.end();
+    });
+  });
+  return new Promise((resolve) => {
+    receiver.server.listen(0, "127.0.0.1", () => {
+      receiver.url = `http://127.0.0.1:${receiver.server.address().port}`;
+      resolve();
+    });
+  });
+}
+
+function received(pathname) {
+  return receiver.requests.filter((request) => request.path === pathname);
+}
+
+async function register(tenantId, pathname, events) {
+  const { webhook } = await webhookService.registerWebhook({
+    tenantId,
+    url: `${receiver.url}${pathname}`,
+    events,
+  });
+  return webhook;
+}
+
+async function deliveriesOf(webhookId, tenantId = TENANT) {
+  return webhookService.listDeliveries(webhookId, { tenantId });
+}
+
+const state = {};
+
+// Test 1: A stored issue reaches the tenant's webhook, signed and logged
+async function testDelivery() {
+  log("\n[TEST 1] Delivering issue.created...", "cyan");
+
+  state.issues = await register(TENANT, "/issues", ["issue.created"]);
+  const other = await register(OTHER_TENANT, "/other", ["issue.created"]);
+
+  const issue = await tenantContext.run(
+    { tenantId: TENANT, principalId: "user-1" },
+    () =>
+      issueStorageService.storeIssue(
+        {
+          file: "src/app.js",
+          line: 12,
+          type: "null-reference",
+          message: "Cannot read properties of undefined",
+          severity: "high",
+        },
+        "project-1",
+      ),
+  );
+  await webhookService.whenIdle();
+
+  const [request] = received("/issues");
+  const [delivery] = await deliveriesOf(state.issues.id);
+  const { webhooks } = await webhookService.listWebhooks({ tenantId: TENANT });
+  const { entries } = await auditLogService.query(TENANT, {
+    event: "webhook_registered",
+  });
+
+  const passed =
+    received("/issues").length === 1 &&
+    received("/other").length === 0 &&
+    request.headers["x-code-roach-event"] === "issue.created" &&
+    request.body.data.id === issue.id &&
+    webhookService.verifySignature(
+      state.issues.secret,
+      JSON.stringify(request.body.data),
+      request.headers["x-code-roach-signature"],
+    ) &&
+    request.headers["x-code-roach-delivery-id"] === delivery.id &&
+    delivery.status === "delivered" &&
+    delivery.responseStatus === 200 &&
+    typeof delivery.attempts[0].latencyMs === "number" &&
+    webhooks.length === 1 &&
+    !("secret" in webhooks[0]) &&
+    entries.length === 1 &&
+    !JSON.stringify(entries).includes(receiver.url) &&
+    other.id !== state.issues.id;
+  recordTest(
+    "Delivery",
+    passed,
+    passed
+      ? "Signed issue.created delivered to its tenant only and logged"
+      : JSON.stringify({ requests: receiver.requests, delivery, webhooks }),
+  );
+  return passed;
+}
+
+// Test 2: Failed attempts are retried with backoff
+async function testRetries() {
+  log("\n[TEST 2] Retrying failed attempts...", "cyan");
+
+  receiver.statuses.push(500, 503);
+  await webhookService.triggerWebhook(
+    "issue.created",
+    { id: "issue-2" },
+    { tenantId: TENANT },
+  );
+  await webhookService.whenIdle();
+
+  const [delivery] = await deliveriesOf(state.issues.id);
+  const bodies = received("/issues")
+    .slice(1)
+    .map((request) => JSON.stringify(request.body));
+  const webhook = await webhookService.getWebhook(state.issues.id, {
+    tenantId: TENANT,
+  });
+
+  const passed =
+    delivery.status === "delivered" &&
+    delivery.attempts.map((attempt) => attempt.statusCode).join() ===
+      "500,503,200" &&
+    new Set(bodies).size === 1 &&
+    webhook.failureCount === 0;
+  recordTest(
+    "Retries",
+    passed,
+    passed
+      ? `Delivered on attempt ${delivery.attemptCount}, same body each time`
+      : JSON.stringify({ delivery, webhook }),
+  );
+}
+
+// Test 3: Deliveries out of attempts wait in the dead-letter queue
+async function testDeadLetters() {
+  log("\n[TEST 3] Dead-lettering and redelivering...", "cyan");
+
+  receiver.statuses.push(503, 503, 503, 410);
+  await webhookService.triggerWebhook(
+    "issue.created",
+    { id: "issue-3" },
+    { tenantId: TENANT },
+  );
+  await webhookService.whenIdle();
+  await webhookService.triggerWebhook(
+    "issue.created",
+    { id: "issue-4" },
+    { tenantId: TENANT },
+  );
+  await webhookService.whenIdle();
+
+  const deadLetters = await webhookService.listDeadLetters({
+    tenantId: TENANT,
+  });
+  const otherQueue = await webhookService.listDeadLetters({
+    tenantId: OTHER_TENANT,
+  });
+  const exhausted = deadLetters.find((d) => d.payload.id === "issue-3");
+  const gone = deadLetters.find((d) => d.payload.id === "issue-4");
+  const foreign = await webhookService
+    .redeliver(exhausted.id, { tenantId: OTHER_TENANT })
+    .catch((error) => error);
+
+  // One at a time, then the rest of the webhook's queue
+  const requeued = await webhookService.redeliver(exhausted.id, {
+    tenantId: TENANT,
+  });
+  await webhookService.whenIdle();
+  const bulk = await webhookService.redeliverDeadLetters(state.issues.id, {
+    tenantId: TENANT,
+  });
+  await webhookService.whenIdle();
+  const redelivered = await webhookService.getDelivery(exhausted.id, {
+    tenantId: TENANT,
+  });
+  const remaining = await webhookService.listDeadLetters({
+    tenantId: TENANT,
+  });
+
+  const passed =
+    deadLetters.length === 2 &&
+    otherQueue.length === 0 &&
+    exhausted.attempts.length === 3 &&
+    gone.attempts.length === 1 &&
+    gone.responseStatus === 410 &&
+    foreign.status === 404 &&
+    requeued.status === "pending" &&
+    bulk.requeued === 1 &&
+    redelivered.status === "delivered" &&
+    redelivered.attempts.length === 4 &&
+    remaining.length === 0;
+  recordTest(
+    "Dead Letters",
+    passed,
+    passed
+      ? "Exhausted and rejected deliveries queued, redelivered on demand"
+      : JSON.stringify({ deadLetters, redelivered, bulk, foreign }),
+  );
+}
+
+// Test 4: A webhook that keeps failing is disabled, with notifications
+async function testAutoDisable() {
+  log("\n[TEST 4] Disabling a failing webhook...", "cyan");
+
+  const watcher = await register(TENANT, "/watcher", ["webhook.disabled"]);
+  receiver.statuses.push(...Array(9).fill(500));
+  for (const id of ["issue-5", "issue-6", "issue-7"]) {
+    await webhookService.triggerWebhook(
+      "issue.created",
+      { id },
+      { tenantId: TENANT },
+    );
+    await webhookService.whenIdle();
+  }
+
+  const disabled = await webhookService.getWebhook(state.issues.id, {
+    tenantId: TENANT,
+  });
+  const skipped = await webhookService.triggerWebhook(
+    "issue.created",
+    { id: "issue-8" },
+    { tenantId: TENANT },
+  );
+  const [deadLetter] = await webhookService.listDeadLetters({
+    tenantId: TENANT,
+  });
+  const refused = await webhookService
+    .redeliver(deadLetter.id, { tenantId: TENANT })
+    .catch((error) => error);
+  const alert = smartAlertService
+    .getRecentAlerts()
+    .find((candidate) => candidate.ruleId === "webhook-disabled");
+  const { entries } = await auditLogService.query(TENANT, {
+    event: "webhook_disabled",
+  });
+  const [notice] = received("/watcher");
+
+  const enabled = await webhookService.updateWebhook(
+    state.issues.id,
+    { enabled: true },
+    { tenantId: TENANT },
+  );
+
+  const passed =
+    !disabled.enabled &&
+    disabled.failureCount === 3 &&
+    disabled.disabledReason.includes("500") &&
+    skipped.triggered === 0 &&
+    refused.status === 409 &&
+    alert?.details.webhookId === state.issues.id &&
+    entries.length === 1 &&
+    notice?.body.data.webhookId === state.issues.id &&
+    watcher.id !== state.issues.id &&
+    enabled.enabled &&
+    enabled.failureCount === 0 &&
+    !enabled.disabledReason;
+  recordTest(
+    "Auto-disable",
+    passed,
+    passed
+      ? "Disabled after 3 dead letters; alert, audit entry and event sent"
+      : JSON.stringify({ disabled, skipped, alert, entries, notice }),
+  );
+}
+
+// Test 5: Deliveries left pending by a restart are picked up again
+async function testResume() {
+  log("\n[TEST 5] Resuming a pending delivery...", "cyan");
+
+  const past = new Date(Date.now() - 1000).toISOString();
+  await tenantContext.runUnrestricted(() =>
+    databaseService.insert("webhook_deliveries", {
+      id: "00000000-0000-4000-8000-000000000001",
+      webhook_id: state.issues.id,
+      tenant_id: TENANT,
+      event: "issue.created",
+      payload: { id: "issue-9" },
+      status: "pending",
+      attempt_count: 1,
+      attempts: [
+        { attempt: 1, statusCode: 502, latencyMs: 3, attemptedAt: past },
+      ],
+      next_attempt_at: past,
+      created_at: past,
+    }),
+  );
+
+  const picked = await webhookService.sweep();
+  await webhookService.whenIdle();
+  const delivery = await webhookService.getDelivery(
+    "00000000-0000-4000-8000-000000000001",
+    { tenantId: TENANT },
+  );
+  const again = await webhookService.sweep();
+
+  const passed =
+    picked === 1 &&
+    delivery.status === "delivered" &&
+    delivery.attempts.length === 2 &&
+    delivery.attempts[1].statusCode === 200 &&
+    again === 0;
+  recordTest(
+    "Resume",
+    passed,
+    passed
+      ? "Pending delivery resumed by the sweep and delivered"
+      : JSON.stringify({ picked, delivery, again }),
+  );
+}
+
+// Test 6: Internal addresses are refused when saved and when delivered
+async function testInternalHosts() {
+  log("\n[TEST 6] Refusing internal addresses...", "cyan");
+
+  const urls = [
+    "http://localhost:8080/hook",
+    "http://169.254.169.254/latest/meta-data",
+    "http://10.0.0.5/hook",
+    "http://192.168.1.10/hook",
+    "http://[::1]:8080/hook",
+    "http://[fd00::1]/hook",
+    "http://[::ffff:172.16.0.1]/hook",
+  ];
+  const refused = [];
+  for (const url of urls) {
+    const result = await webhookService.registerWebhook({
+      tenantId: TENANT,
+      url,
+      events: ["issue.created"],
+    });
+    if (!result.success && result.status === 400) refused.push(url);
+  }
+  const update = await webhookService
+    .updateWebhook(
+      state.issues.id,
+      { url: "http://127.0.0.2/hook" },
+      { tenantId: TENANT },
+    )
+    .catch((error) => error);
+
+  // A host taken off the allowlist is refused at delivery time
+  const allowed = config.webhooks.allowedHosts;
+  const before = receiver.requests.length;
+  let test;
+  try {
+    config.webhooks.allowedHosts = [];
+    test = await webhookService.testWebhook(state.issues.id, {
+      tenantId: TENANT,
+    });
+  } finally {
+    config.webhooks.allowedHosts = allowed;
+  }
+
+  const passed =
+    refused.length === urls.length &&
+    update.status === 400 &&
+    !test.success &&
+    /internal address/.test(test.error) &&
+    receiver.requests.length === before;
+  recordTest(
+    "Internal Hosts",
+    passed,
+    passed
+      ? "Loopback, private, link-local and ULA hosts refused on save and delivery"
+      : JSON.stringify({ refused, update: update?.message, test }),
+  );
+}
+
+async function runTests() {
+  log("\n" + "=".repeat(60), "cyan");
+  log("Webhook Delivery Integration Test", "cyan");
+  log("=".repeat(60) + "\n", "cyan");
+
+  try {
+    await startReceiver();
+    webhookService.configure({
+      maxAttempts: 3,
+      retryInitialDelayMs: 10,
+      retryMaxDelayMs: 40,
+      disableAfterFailures: 3,
+      timeoutMs: 2000,
+    });
+    if (await testDelivery()) {
+      await testRetries();
+      await testDeadLetters();
+      await testAutoDisable();
+      await testResume();
+      await testInternalHosts();
+    }
+  } catch (err) {
+    log(`\n❌ Test suite error: ${err.message}`, "red");
+    console.error(err);
+    recordTest("Test Suite", false, err.message);
+  } finally {
+    await webhookService.whenIdle();
+    webhookService.configure(config.webhooks);
+    receiver.server?.close();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+
+    // Print summary
+    log("\n" + "=".repeat(60), "cyan");
+    log("Test Summary", "cyan");
+    log("=".repeat(60), "cyan");
+    log(`✅ Passed: ${results.passed}`, "green");
+    log(`❌ Failed: ${results.failed}`, "red");
+    log(`📊 Total: ${results.tests.length}`, "cyan");
+
+    if (results.failed === 0) {
+      log("\n🎉 Webhook deliveries are durable!", "green");
+    } else {
+      log("\n⚠️  Webhook delivery tests failed", "yellow");
+    }
+  }
+
+  return results;
+}
+
+// Run tests
+if (require.main === module) {
+  runTests().then(({ failed }) => process.exit(failed === 0 ? 0 : 1));
+}
+
+module.exports = { runTests };